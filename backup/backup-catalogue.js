@@ -0,0 +1,198 @@
+/**
+ * Backup catalogue for Piper Newsletter System
+ * One entry per backup with its checksum, encryption key ID, location,
+ * record counts, retention status and last restore drill result.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const CATALOGUE_VERSION = 1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Backups this close to expiry are reported as expiring
+const EXPIRING_WITHIN_DAYS = 3;
+
+const RETENTION_STATUSES = {
+    RETAINED: 'retained',
+    EXPIRING: 'expiring',
+    EXPIRED: 'expired',
+    DELETED: 'deleted'
+};
+
+const VERIFICATION_STATUSES = {
+    UNVERIFIED: 'unverified',
+    PASSED: 'passed',
+    FAILED: 'failed'
+};
+
+class BackupCatalogue {
+    /**
+     * @param {Object} options
+     * @param {string} options.filePath - Local JSON file
+     * @param {number} options.retentionDays - How long backups are kept
+     * @param {Object} [options.remote] - Copy kept off the backup host, with
+     *   read() resolving to the JSON (or null) and write(json)
+     */
+    constructor({ filePath, retentionDays, remote = null }) {
+        this.filePath = filePath;
+        this.retentionDays = retentionDays;
+        this.remote = remote;
+        this.entries = [];
+    }
+
+    /**
+     * Load the catalogue, from the remote copy if the local file is gone
+     */
+    async load() {
+        let content = null;
+        try {
+            content = await fs.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            content = this.remote ? await this.remote.read() : null;
+        }
+
+        this.entries = content ? JSON.parse(content).backups : [];
+        return this;
+    }
+
+    /**
+     * Write the catalogue locally (atomically) and to the remote copy
+     */
+    async save() {
+        const content = JSON.stringify({ version: CATALOGUE_VERSION, backups: this.entries }, null, 2);
+        const tempPath = `${this.filePath}.tmp`;
+
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(tempPath, content);
+        await fs.rename(tempPath, this.filePath);
+
+        if (this.remote) {
+            await this.remote.write(content);
+        }
+    }
+
+    /**
+     * Add a backup
+     * @param {Object} backup - id, type, fileName, createdAt, sizeBytes,
+     *   checksum, encryptionKeyId, location ({ s3Key, localPath }) and counts
+     */
+    add(backup) {
+        const createdAt = new Date(backup.createdAt || Date.now());
+        const entry = {
+            ...backup,
+            createdAt: createdAt.toISOString(),
+            expiresAt: new Date(createdAt.getTime() + this.retentionDays * DAY_MS).toISOString(),
+            deletedAt: null,
+            verification: { status: VERIFICATION_STATUSES.UNVERIFIED, verifiedAt: null, differences: [], error: null }
+        };
+
+        this.entries = this.entries.filter(existing => existing.id !== entry.id);
+        this.entries.push(entry);
+        return entry;
+    }
+
+    get(id) {
+        return this.entries.find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * Newest backup of a type that has not been deleted
+     */
+    latest(type) {
+        return this.list({ type }).find(entry => entry.retentionStatus !== RETENTION_STATUSES.DELETED) || null;
+    }
+
+    /**
+     * Backups, newest first, with their retention status
+     * @param {Object} filters - type and retentionStatus
+     */
+    list({ type, retentionStatus } = {}, now = new Date()) {
+        return this.entries
+            .map(entry => ({ ...entry, retentionStatus: this.retentionStatus(entry, now) }))
+            .filter(entry => (!type || entry.type === type) && (!retentionStatus || entry.retentionStatus === retentionStatus))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    retentionStatus(entry, now = new Date()) {
+        if (entry.deletedAt) {
+            return RETENTION_STATUSES.DELETED;
+        }
+
+        const expiresAt = new Date(entry.expiresAt).getTime();
+        if (expiresAt <= now.getTime()) {
+            return RETENTION_STATUSES.EXPIRED;
+        }
+        if (expiresAt - now.getTime() <= EXPIRING_WITHIN_DAYS * DAY_MS) {
+            return RETENTION_STATUSES.EXPIRING;
+        }
+        return RETENTION_STATUSES.RETAINED;
+    }
+
+    /**
+     * Mark backups created before the cutoff as deleted by retention cleanup
+     * @returns {Array<Object>} The entries marked
+     */
+    markDeletedBefore(cutoffDate, now = new Date()) {
+        const deleted = this.entries.filter(entry => !entry.deletedAt && new Date(entry.createdAt) < cutoffDate);
+        deleted.forEach(entry => {
+            entry.deletedAt = now.toISOString();
+        });
+        return deleted;
+    }
+
+    /**
+     * Record the result of a restore drill
+     * @param {string} id
+     * @param {Object} result - passed, differences and error
+     */
+    recordVerification(id, { passed, differences = [], error = null }, now = new Date()) {
+        const entry = this.get(id);
+        if (!entry) {
+            throw new Error(`Backup not in catalogue: ${id}`);
+        }
+
+        entry.verification = {
+            status: passed ? VERIFICATION_STATUSES.PASSED : VERIFICATION_STATUSES.FAILED,
+            verifiedAt: now.toISOString(),
+            differences,
+            error
+        };
+        return entry;
+    }
+
+    /**
+     * Backups to restore in a drill: the newest of each type, plus a random
+     * sample of the other backups still held
+     * @param {number} percentage - Share of the other backups to sample
+     */
+    selectForDrill(percentage = 0, random = Math.random, now = new Date()) {
+        const held = this.list({}, now).filter(entry => entry.retentionStatus !== RETENTION_STATUSES.DELETED);
+        const newest = [];
+        const others = [];
+
+        held.forEach(entry => {
+            if (newest.some(selected => selected.type === entry.type)) {
+                others.push(entry);
+            } else {
+                newest.push(entry);
+            }
+        });
+
+        const sampleSize = Math.ceil(others.length * percentage / 100);
+        const sample = others
+            .map(entry => ({ entry, order: random() }))
+            .sort((a, b) => a.order - b.order)
+            .slice(0, sampleSize)
+            .map(({ entry }) => entry);
+
+        return [...newest, ...sample];
+    }
+}
+
+module.exports = BackupCatalogue;
+module.exports.RETENTION_STATUSES = RETENTION_STATUSES;
+module.exports.VERIFICATION_STATUSES = VERIFICATION_STATUSES;
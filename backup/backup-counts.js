@@ -0,0 +1,141 @@
+/**
+ * Record counts for backups and restore drills
+ * Counts are read from the backup artifacts themselves, so a drill can check
+ * that a restore brought back exactly what was dumped.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Number of documents in a mongodump .bson file. Each document starts with
+ * its length as a little-endian int32.
+ */
+async function countBsonDocuments(filePath) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+        const { size } = await handle.stat();
+        const header = Buffer.alloc(4);
+        let position = 0;
+        let count = 0;
+
+        while (position < size) {
+            const { bytesRead } = await handle.read(header, 0, 4, position);
+            const length = bytesRead === 4 ? header.readInt32LE(0) : 0;
+            if (length < 5 || position + length > size) {
+                throw new Error(`Truncated BSON file: ${filePath}`);
+            }
+            count++;
+            position += length;
+        }
+
+        return count;
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Documents per collection in a mongodump output directory
+ * @returns {Promise<Object>} Collection name to document count
+ */
+async function countMongoDump(dumpDir, database) {
+    const databaseDir = path.join(dumpDir, database);
+    const files = (await fs.readdir(databaseDir)).filter(file => file.endsWith('.bson')).sort();
+    const counts = {};
+
+    for (const file of files) {
+        counts[path.basename(file, '.bson')] = await countBsonDocuments(path.join(databaseDir, file));
+    }
+
+    return counts;
+}
+
+/**
+ * Counts rows per table in a plain-format pg_dump, from its COPY blocks.
+ * Feed it the dump one line at a time as it streams past.
+ * @returns {{line: Function, counts: Object}} counts maps qualified table names to rows
+ */
+function createPostgresRowCounter() {
+    const counts = {};
+    let table = null;
+
+    return {
+        counts,
+        line(line) {
+            if (table) {
+                if (line === '\\.') {
+                    table = null;
+                } else {
+                    counts[table]++;
+                }
+                return;
+            }
+
+            const copy = /^COPY (\S+) .*FROM stdin;$/.exec(line);
+            if (copy) {
+                table = copy[1];
+                counts[table] = 0;
+            }
+        }
+    };
+}
+
+/**
+ * Number of keys across all Redis databases, from `INFO keyspace` output
+ */
+function countRedisKeys(keyspaceInfo) {
+    return String(keyspaceInfo)
+        .split('\n')
+        .map(line => /^db\d+:keys=(\d+)/.exec(line.trim()))
+        .filter(Boolean)
+        .reduce((total, match) => total + Number(match[1]), 0);
+}
+
+/**
+ * Number of files (not directories) in a `tar -t` listing
+ */
+function countArchiveFiles(listing) {
+    return String(listing)
+        .split('\n')
+        .filter(entry => entry.trim() && !entry.endsWith('/'))
+        .length;
+}
+
+/**
+ * Number of files (not directories) under a directory
+ */
+async function countDirectoryFiles(dir) {
+    const entries = await fs.readdir(dir, { recursive: true, withFileTypes: true });
+    return entries.filter(entry => !entry.isDirectory()).length;
+}
+
+/**
+ * Compare the counts recorded at backup time with those after a restore.
+ * Tolerance is the fraction a count may differ by, for sources that cannot
+ * be counted from the artifact.
+ * @returns {{matches: boolean, differences: Array<Object>}}
+ */
+function compareCounts(expected = {}, actual = {}, { tolerance = 0 } = {}) {
+    const names = [...new Set([...Object.keys(expected), ...Object.keys(actual)])].sort();
+    const differences = names
+        .map(name => ({ name, expected: expected[name] ?? null, actual: actual[name] ?? null }))
+        .filter(({ expected: want, actual: got }) => {
+            if (want === null || got === null) {
+                return true;
+            }
+            return Math.abs(want - got) > Math.floor(want * tolerance);
+        });
+
+    return { matches: differences.length === 0, differences };
+}
+
+module.exports = {
+    countBsonDocuments,
+    countMongoDump,
+    createPostgresRowCounter,
+    countRedisKeys,
+    countArchiveFiles,
+    countDirectoryFiles,
+    compareCounts
+};
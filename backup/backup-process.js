@@ -0,0 +1,184 @@
+/**
+ * Child processes for the backup service
+ * Commands are spawned from argument arrays without a shell, so config values
+ * are never read as shell syntax. Output is streamed to files or handled line
+ * by line instead of being buffered whole.
+ */
+
+const { spawn } = require('child_process');
+const { Transform, Writable } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const { pipeline } = require('stream/promises');
+
+const DEFAULT_TIMEOUT_MS = 2 * 60 * 60 * 1000;
+
+// Time a timed-out command gets to exit after SIGTERM before SIGKILL
+const KILL_GRACE_MS = 10 * 1000;
+
+// Only the end of stderr is kept for error messages
+const STDERR_LIMIT = 16 * 1024;
+
+/**
+ * Run a command and wait for it to exit
+ * @param {string} command
+ * @param {Array<string>} args
+ * @param {Object} options
+ * @param {Object} [options.env] - Environment, process.env by default
+ * @param {number} [options.timeoutMs] - Kill the command after this long
+ * @param {Array<stream.Readable|stream.Duplex>} [options.stdin] - Pipeline
+ *   stages, starting with a readable, streamed to the command's input
+ * @param {Array<stream.Duplex|stream.Writable>} [options.stdout] - Pipeline
+ *   stages for the command's output, ending in a writable
+ * @param {Function} [options.onLine] - Called with each line of output
+ * @returns {Promise<{stdout: string}>} Output, when neither stdout nor onLine is given
+ */
+async function runCommand(command, args, { env, timeoutMs = DEFAULT_TIMEOUT_MS, stdin, stdout, onLine } = {}) {
+    const child = spawn(command, args.map(String), { env, stdio: [stdin ? 'pipe' : 'ignore', 'pipe', 'pipe'] });
+    let stderr = '';
+    let captured = '';
+    let timedOut = false;
+
+    child.stderr.setEncoding('utf8');
+    child.stderr.on('data', chunk => {
+        stderr = (stderr + chunk).slice(-STDERR_LIMIT);
+    });
+
+    const timer = setTimeout(() => {
+        timedOut = true;
+        child.kill('SIGTERM');
+        setTimeout(() => child.kill('SIGKILL'), KILL_GRACE_MS).unref();
+    }, timeoutMs);
+
+    const exited = new Promise((resolve, reject) => {
+        child.on('error', reject);
+        child.on('close', (code, signal) => resolve({ code, signal }));
+    });
+
+    // A stream failing while the command runs leaves nothing to wait for,
+    // so stop the command and report the stream's error instead of the kill
+    let streamError = null;
+    const killOnError = (promise) => promise.catch(error => {
+        if (child.exitCode === null && child.signalCode === null) {
+            streamError = error;
+            child.kill('SIGKILL');
+        }
+        throw error;
+    });
+
+    const streams = [];
+    if (stdin) {
+        streams.push(killOnError(pipeline(...stdin, child.stdin)));
+    }
+    if (stdout) {
+        streams.push(killOnError(pipeline(child.stdout, ...stdout)));
+    } else if (onLine) {
+        streams.push(killOnError(pipeline(child.stdout, lineTap(onLine), ignoreOutput())));
+    } else {
+        child.stdout.setEncoding('utf8');
+        child.stdout.on('data', chunk => {
+            captured += chunk;
+        });
+    }
+
+    try {
+        const [exit, ...results] = await Promise.allSettled([exited, ...streams]);
+
+        if (exit.status === 'rejected') {
+            throw exit.reason;
+        }
+        if (streamError) {
+            throw streamError;
+        }
+        if (timedOut) {
+            throw new Error(`${command} timed out after ${Math.round(timeoutMs / 1000)} seconds`);
+        }
+        if (exit.value.code !== 0) {
+            const reason = exit.value.signal ? `was killed by ${exit.value.signal}` : `exited with code ${exit.value.code}`;
+            throw new Error(`${command} ${reason}${stderr.trim() ? `: ${stderr.trim()}` : ''}`);
+        }
+
+        const failed = results.find(result => result.status === 'rejected');
+        if (failed) {
+            throw failed.reason;
+        }
+
+        return { stdout: captured };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Pass data through unchanged, calling onLine with each complete line
+ */
+function lineTap(onLine) {
+    const decoder = new StringDecoder('utf8');
+    let partial = '';
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            const lines = (partial + decoder.write(chunk)).split('\n');
+            partial = lines.pop();
+            lines.forEach(line => onLine(line));
+            callback(null, chunk);
+        },
+        flush(callback) {
+            partial += decoder.end();
+            if (partial) {
+                onLine(partial);
+            }
+            callback();
+        }
+    });
+}
+
+/**
+ * Pass data through unchanged, calling onProgress with the bytes seen so
+ * far at most once per interval, and once at the end
+ */
+function progressMeter(onProgress, intervalMs = 30 * 1000) {
+    let bytes = 0;
+    let reportedAt = Date.now();
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            bytes += chunk.length;
+            if (Date.now() - reportedAt >= intervalMs) {
+                reportedAt = Date.now();
+                onProgress(bytes);
+            }
+            callback(null, chunk);
+        },
+        flush(callback) {
+            onProgress(bytes);
+            callback();
+        }
+    });
+}
+
+/**
+ * Call report with the latest value at most once per interval
+ */
+function throttle(report, intervalMs = 30 * 1000) {
+    let reportedAt = Date.now();
+    return (value) => {
+        if (Date.now() - reportedAt >= intervalMs) {
+            reportedAt = Date.now();
+            report(value);
+        }
+    };
+}
+
+function ignoreOutput() {
+    return new Writable({
+        write(chunk, encoding, callback) {
+            callback();
+        }
+    });
+}
+
+module.exports = {
+    runCommand,
+    lineTap,
+    progressMeter,
+    throttle,
+    DEFAULT_TIMEOUT_MS
+};
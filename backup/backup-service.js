@@ -6,17 +6,57 @@
  */
 
 const fs = require('fs').promises;
+const { createReadStream, createWriteStream } = require('fs');
 const path = require('path');
-const { exec, spawn } = require('child_process');
-const { promisify } = require('util');
+const { pipeline } = require('stream/promises');
+const zlib = require('zlib');
 const crypto = require('crypto');
 const AWS = require('aws-sdk');
 const yaml = require('js-yaml');
 const winston = require('winston');
 const nodemailer = require('nodemailer');
 const axios = require('axios');
+const BackupCatalogue = require('./backup-catalogue');
+const {
+    countMongoDump,
+    createPostgresRowCounter,
+    countRedisKeys,
+    countArchiveFiles,
+    countDirectoryFiles,
+    compareCounts
+} = require('./backup-counts');
+const {
+    runCommand,
+    lineTap,
+    progressMeter,
+    throttle,
+    DEFAULT_TIMEOUT_MS
+} = require('./backup-process');
 
-const execAsync = promisify(exec);
+// Encrypted backups start with this, then the key ID length and key ID,
+// the IV and the auth tag
+const ENCRYPTION_MAGIC = Buffer.from('PBK1');
+const IV_LENGTH = 12;
+const AUTH_TAG_LENGTH = 16;
+
+// Redis keys are counted from the live server just after the dump, so a
+// restore may differ by the writes in between
+const REDIS_COUNT_TOLERANCE = 0.01;
+const REDIS_LOAD_TIMEOUT_SECONDS = 120;
+
+// Kept apart from backups/, which retention cleanup prunes
+const CATALOGUE_S3_KEY = 'catalogue/backups.json';
+
+// First bytes of a gzip stream. Postgres and Redis backups from before
+// streaming compression are uncompressed.
+const GZIP_MAGIC = Buffer.from([0x1f, 0x8b]);
+
+const NOTIFICATION_TITLES = {
+    backup_success: 'Backup Success',
+    backup_failure: 'Backup Failure',
+    restore_drill_success: 'Restore Drill Passed',
+    restore_drill_failure: 'Restore Drill Failed'
+};
 
 class BackupService {
     constructor(configPath = '/app/config/backup-config.yml') {
@@ -25,6 +65,8 @@ class BackupService {
         this.logger = this.setupLogger();
         this.s3Client = null;
         this.emailTransporter = null;
+        this.catalogue = null;
+        this.encryptionKeys = null;
         this.isRunning = false;
     }
 
@@ -63,6 +105,9 @@ class BackupService {
             // Create backup directories
             await this.createBackupDirectories();
             
+            // Load the backup catalogue
+            await this.initializeCatalogue();
+            
             this.logger.info('Backup service initialized successfully');
         } catch (error) {
             this.logger.error('Failed to initialize backup service:', error);
@@ -113,7 +158,8 @@ class BackupService {
             '/backups/database',
             '/backups/application',
             '/backups/system',
-            '/backups/temp'
+            '/backups/temp',
+            '/backups/restore'
         ];
 
         for (const dir of directories) {
@@ -129,6 +175,64 @@ class BackupService {
         }
     }
 
+    async initializeCatalogue() {
+        this.catalogue = new BackupCatalogue({
+            filePath: this.config.backup.catalogue_path || '/backups/catalogue.json',
+            retentionDays: this.config.backup.retention_days,
+            remote: this.getCatalogueRemote()
+        });
+        await this.catalogue.load();
+        this.logger.info(`Backup catalogue loaded with ${this.catalogue.entries.length} backups`);
+    }
+
+    /**
+     * Copy of the catalogue in S3, so backups can still be found and
+     * restored if the backup host is lost
+     */
+    getCatalogueRemote() {
+        if (!this.s3Client) return null;
+
+        const params = { Bucket: this.config.cloud_storage.aws_s3.bucket, Key: CATALOGUE_S3_KEY };
+        return {
+            read: async () => {
+                try {
+                    const object = await this.s3Client.getObject(params).promise();
+                    return object.Body.toString('utf8');
+                } catch (error) {
+                    if (error.code === 'NoSuchKey') return null;
+                    throw error;
+                }
+            },
+            write: (content) => this.s3Client.putObject({
+                ...params,
+                Body: content,
+                ContentType: 'application/json',
+                ServerSideEncryption: 'AES256'
+            }).promise()
+        };
+    }
+
+    /**
+     * Backup sources by group. backup-config.yml nests them under `backup:`;
+     * older configs had them at the top level.
+     */
+    getSources() {
+        const root = this.config.backup?.databases ? this.config.backup : this.config;
+        return {
+            databases: root.databases || {},
+            application_data: root.application_data || {},
+            system_data: root.system_data || {}
+        };
+    }
+
+    getSourceConfig(backupType) {
+        const sources = this.getSources();
+        return sources.databases[backupType]
+            || sources.application_data[backupType]
+            || sources.system_data[backupType]
+            || null;
+    }
+
     async performBackup(backupType, backupConfig) {
         this.logger.info(`Starting ${backupType} backup...`);
         
@@ -164,15 +268,32 @@ class BackupService {
             
             if (backupResult.success) {
                 // Encrypt backup if enabled
+                let encryptionKeyId = null;
                 if (this.config.backup.encryption_enabled) {
-                    await this.encryptBackup(backupPath);
+                    encryptionKeyId = await this.encryptBackup(backupPath);
                 }
                 
+                const { checksum, sizeBytes } = await this.checksumFile(backupPath);
+                
                 // Upload to cloud storage
-                await this.uploadToCloudStorage(backupPath, backupFileName);
+                const s3Key = await this.uploadToCloudStorage(backupPath, backupFileName);
+                
+                // Move the local backup file into place, or clean it up
+                const localPath = await this.keepLocalCopy(backupPath, backupConfig, backupFileName);
                 
-                // Clean up local backup file
-                await fs.unlink(backupPath);
+                // Record it in the catalogue
+                this.catalogue.add({
+                    id: path.basename(backupFileName, '.tar.gz'),
+                    type: backupType,
+                    fileName: backupFileName,
+                    sizeBytes,
+                    checksum,
+                    encrypted: Boolean(encryptionKeyId),
+                    encryptionKeyId,
+                    location: { s3Key, localPath },
+                    counts: backupResult.counts || null
+                });
+                await this.catalogue.save();
                 
                 this.logger.info(`${backupType} backup completed successfully`);
                 
@@ -207,40 +328,69 @@ class BackupService {
             
             await fs.mkdir(tempBackupDir, { recursive: true });
             
-            const command = `mongodump --host ${config.host} --port ${config.port} --db ${config.database} --username ${config.username} --password ${config.password} --out ${tempBackupDir}`;
+            await runCommand('mongodump', [
+                ...this.mongoConnection(config),
+                '--db', config.database,
+                '--out', tempBackupDir
+            ], { timeoutMs: this.commandTimeout(config) });
             
-            await execAsync(command);
+            // Count documents before the dump is compressed
+            const counts = await countMongoDump(tempBackupDir, config.database);
             
             // Compress the backup
-            await execAsync(`tar -czf ${backupPath} -C ${tempBackupDir} .`);
+            await this.createArchive(tempBackupDir, backupPath, config, 'mongodb');
             
             // Clean up temp directory
-            await fs.rmdir(tempBackupDir, { recursive: true });
+            await fs.rm(tempBackupDir, { recursive: true, force: true });
             
-            return { success: true };
+            return { success: true, counts };
         } catch (error) {
             return { success: false, error: error.message };
         }
     }
 
     async backupRedis(config, backupPath) {
+        const rdbPath = `${backupPath}.rdb`;
         try {
-            const command = `redis-cli -h ${config.host} -p ${config.port} --rdb ${backupPath}`;
-            await execAsync(command);
-            return { success: true };
+            const connection = ['-h', config.host, '-p', config.port];
+            await runCommand('redis-cli', [...connection, '--rdb', rdbPath], { timeoutMs: this.commandTimeout(config) });
+            
+            await pipeline(
+                createReadStream(rdbPath),
+                zlib.createGzip({ level: this.compressionLevel() }),
+                this.progressMeter('redis'),
+                createWriteStream(backupPath)
+            );
+            
+            const { stdout } = await runCommand('redis-cli', [...connection, 'INFO', 'keyspace']);
+            return { success: true, counts: { keys: countRedisKeys(stdout) } };
         } catch (error) {
             return { success: false, error: error.message };
+        } finally {
+            await fs.rm(rdbPath, { force: true });
         }
     }
 
+    /**
+     * The dump is compressed as it streams from pg_dump, counting rows on
+     * the way, so the uncompressed SQL never reaches the disk
+     */
     async backupPostgres(config, backupPath) {
         try {
-            const command = `pg_dump -h ${config.host} -p ${config.port} -U ${config.username} -d ${config.database} -f ${backupPath}`;
+            const rows = createPostgresRowCounter();
             
-            const env = { ...process.env, PGPASSWORD: config.password };
-            await execAsync(command, { env });
+            await runCommand('pg_dump', [...this.postgresConnection(config), '-d', config.database], {
+                env: this.postgresEnv(config),
+                timeoutMs: this.commandTimeout(config),
+                stdout: [
+                    lineTap(line => rows.line(line)),
+                    zlib.createGzip({ level: this.compressionLevel() }),
+                    this.progressMeter('postgres'),
+                    createWriteStream(backupPath)
+                ]
+            });
             
-            return { success: true };
+            return { success: true, counts: rows.counts };
         } catch (error) {
             return { success: false, error: error.message };
         }
@@ -248,9 +398,7 @@ class BackupService {
 
     async backupApplicationData(config, backupPath) {
         try {
-            const command = `tar -czf ${backupPath} -C ${config.source_path} .`;
-            await execAsync(command);
-            return { success: true };
+            return { success: true, counts: await this.createArchive(config.source_path, backupPath, config, path.basename(config.source_path)) };
         } catch (error) {
             return { success: false, error: error.message };
         }
@@ -258,40 +406,230 @@ class BackupService {
 
     async backupSystemData(config, backupPath) {
         try {
-            const command = `tar -czf ${backupPath} -C ${config.source_path} .`;
-            await execAsync(command);
-            return { success: true };
+            return { success: true, counts: await this.createArchive(config.source_path, backupPath, config, path.basename(config.source_path)) };
         } catch (error) {
             return { success: false, error: error.message };
         }
     }
 
+    /**
+     * Archive a directory, counting files from tar's verbose listing as it goes
+     * @returns {Promise<{files: number}>}
+     */
+    async createArchive(sourceDir, archivePath, config, label) {
+        let files = 0;
+        const report = throttle(count => this.logger.info(`${label}: ${count} files archived`));
+        
+        await runCommand('tar', ['-czvf', archivePath, '-C', sourceDir, '.'], {
+            timeoutMs: this.commandTimeout(config),
+            onLine: line => {
+                files += countArchiveFiles(line);
+                report(files);
+            }
+        });
+        
+        return { files };
+    }
+
+    compressionLevel() {
+        return this.config.backup.compression_level || 6;
+    }
+
+    /**
+     * How long a source's commands may run: its timeout_minutes, else
+     * backup.command_timeout_minutes
+     */
+    commandTimeout(config = {}) {
+        const minutes = config.timeout_minutes || this.config.backup.command_timeout_minutes;
+        return minutes ? minutes * 60 * 1000 : DEFAULT_TIMEOUT_MS;
+    }
+
+    progressMeter(label) {
+        return progressMeter(bytes => {
+            this.logger.info(`${label}: ${(bytes / (1024 * 1024)).toFixed(1)} MB written`);
+        });
+    }
+
+    mongoConnection(config) {
+        return [
+            '--host', config.host,
+            '--port', config.port,
+            '--username', config.username,
+            '--password', config.password,
+            '--authenticationDatabase', config.auth_database || config.database
+        ];
+    }
+
+    postgresConnection(config) {
+        return ['-h', config.host, '-p', config.port, '-U', config.username];
+    }
+
+    postgresEnv(config) {
+        return { ...process.env, PGPASSWORD: config.password };
+    }
+
+    /**
+     * Encryption keys, newest first. Each key's ID is a fingerprint of its
+     * file, so backups can name their key without revealing it. New backups
+     * use encryption_key_path; keep rotated keys in
+     * previous_encryption_key_paths until their backups have expired.
+     */
+    async loadEncryptionKeys() {
+        if (this.encryptionKeys) return this.encryptionKeys;
+
+        const keyPaths = [
+            this.config.backup.encryption_key_path,
+            ...(this.config.backup.previous_encryption_key_paths || [])
+        ].filter(Boolean);
+
+        this.encryptionKeys = [];
+        for (const keyPath of keyPaths) {
+            const raw = await fs.readFile(keyPath);
+            this.encryptionKeys.push({
+                id: crypto.createHash('sha256').update(raw).digest('hex').slice(0, 16),
+                raw,
+                key: raw.length === 32 ? raw : crypto.createHash('sha256').update(raw).digest()
+            });
+        }
+
+        if (this.encryptionKeys.length === 0) {
+            throw new Error('No backup encryption key configured');
+        }
+        return this.encryptionKeys;
+    }
+
+    /**
+     * Encrypts as a stream. The auth tag is only known at the end, so its
+     * slot in the header is filled in afterwards.
+     * @returns {Promise<string>} ID of the key used
+     */
     async encryptBackup(backupPath) {
         try {
-            const key = await fs.readFile(this.config.backup.encryption_key_path);
-            const iv = crypto.randomBytes(16);
-            const cipher = crypto.createCipher('aes-256-gcm', key);
-            
-            const backupData = await fs.readFile(backupPath);
-            const encrypted = Buffer.concat([cipher.update(backupData), cipher.final()]);
-            const authTag = cipher.getAuthTag();
+            const [current] = await this.loadEncryptionKeys();
+            const header = Buffer.concat([ENCRYPTION_MAGIC, Buffer.from([current.id.length]), Buffer.from(current.id)]);
+            const iv = crypto.randomBytes(IV_LENGTH);
+            const cipher = crypto.createCipheriv('aes-256-gcm', current.key, iv);
+            cipher.setAAD(header);
             
             const encryptedPath = `${backupPath}.encrypted`;
-            await fs.writeFile(encryptedPath, Buffer.concat([iv, authTag, encrypted]));
+            const output = createWriteStream(encryptedPath);
+            output.write(Buffer.concat([header, iv, Buffer.alloc(AUTH_TAG_LENGTH)]));
+            await pipeline(createReadStream(backupPath), cipher, output);
+            
+            const handle = await fs.open(encryptedPath, 'r+');
+            try {
+                await handle.write(cipher.getAuthTag(), 0, AUTH_TAG_LENGTH, header.length + IV_LENGTH);
+            } finally {
+                await handle.close();
+            }
             
             // Replace original with encrypted version
             await fs.unlink(backupPath);
             await fs.rename(encryptedPath, backupPath);
             
-            this.logger.info('Backup encrypted successfully');
+            this.logger.info(`Backup encrypted successfully with key ${current.id}`);
+            return current.id;
         } catch (error) {
             this.logger.error('Failed to encrypt backup:', error);
             throw error;
         }
     }
 
+    async decryptBackup(encryptedPath, outputPath) {
+        const keys = await this.loadEncryptionKeys();
+        const prefix = Buffer.alloc(ENCRYPTION_MAGIC.length + 1 + 255 + IV_LENGTH + AUTH_TAG_LENGTH);
+        const handle = await fs.open(encryptedPath, 'r');
+        try {
+            await handle.read(prefix, 0, prefix.length, 0);
+        } finally {
+            await handle.close();
+        }
+
+        if (!prefix.subarray(0, ENCRYPTION_MAGIC.length).equals(ENCRYPTION_MAGIC)) {
+            return this.decryptLegacyBackup(encryptedPath, outputPath, prefix, keys);
+        }
+
+        const headerLength = ENCRYPTION_MAGIC.length + 1 + prefix[ENCRYPTION_MAGIC.length];
+        const keyId = prefix.subarray(ENCRYPTION_MAGIC.length + 1, headerLength).toString();
+        const key = keys.find(candidate => candidate.id === keyId);
+        if (!key) {
+            throw new Error(`Encryption key ${keyId} is not configured; add it to previous_encryption_key_paths`);
+        }
+
+        const iv = prefix.subarray(headerLength, headerLength + IV_LENGTH);
+        const authTag = prefix.subarray(headerLength + IV_LENGTH, headerLength + IV_LENGTH + AUTH_TAG_LENGTH);
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key.key, iv);
+        decipher.setAAD(prefix.subarray(0, headerLength));
+        decipher.setAuthTag(authTag);
+
+        await pipeline(
+            createReadStream(encryptedPath, { start: headerLength + IV_LENGTH + AUTH_TAG_LENGTH }),
+            decipher,
+            createWriteStream(outputPath)
+        );
+    }
+
+    /**
+     * Backups from before key IDs: a 16-byte IV, the auth tag and the data,
+     * encrypted with the key file as a createCipher password (the IV was not
+     * used)
+     */
+    async decryptLegacyBackup(encryptedPath, outputPath, prefix, keys) {
+        if (typeof crypto.createDecipher !== 'function') {
+            throw new Error('Backups from before key IDs can only be decrypted on Node.js 20 or earlier');
+        }
+
+        const authTag = prefix.subarray(16, 32);
+        for (const { raw } of keys) {
+            try {
+                const decipher = crypto.createDecipher('aes-256-gcm', raw);
+                decipher.setAuthTag(authTag);
+                await pipeline(createReadStream(encryptedPath, { start: 32 }), decipher, createWriteStream(outputPath));
+                return;
+            } catch (error) {
+                // Encrypted with another key
+            }
+        }
+        throw new Error('None of the configured encryption keys decrypts this backup');
+    }
+
+    async checksumFile(filePath) {
+        const hash = crypto.createHash('sha256');
+        let sizeBytes = 0;
+        for await (const chunk of createReadStream(filePath)) {
+            hash.update(chunk);
+            sizeBytes += chunk.length;
+        }
+        return { checksum: { algorithm: 'sha256', value: hash.digest('hex') }, sizeBytes };
+    }
+
+    /**
+     * Keep the backup in the source's backup_path, if it has one
+     * @returns {Promise<string|null>} The local path
+     */
+    async keepLocalCopy(backupPath, backupConfig, fileName) {
+        if (!backupConfig.backup_path) {
+            await fs.unlink(backupPath);
+            return null;
+        }
+
+        await fs.mkdir(backupConfig.backup_path, { recursive: true });
+        const localPath = path.join(backupConfig.backup_path, fileName);
+        try {
+            await fs.rename(backupPath, localPath);
+        } catch (error) {
+            if (error.code !== 'EXDEV') throw error;
+            await fs.copyFile(backupPath, localPath);
+            await fs.unlink(backupPath);
+        }
+        return localPath;
+    }
+
+    /**
+     * @returns {Promise<string|null>} The S3 key
+     */
     async uploadToCloudStorage(backupPath, fileName) {
-        if (!this.s3Client) return;
+        if (!this.s3Client) return null;
         
         try {
             const fileContent = await fs.readFile(backupPath);
@@ -306,12 +644,21 @@ class BackupService {
             
             await this.s3Client.upload(params).promise();
             this.logger.info(`Backup uploaded to S3: ${fileName}`);
+            return params.Key;
         } catch (error) {
             this.logger.error('Failed to upload to S3:', error);
             throw error;
         }
     }
 
+    async downloadFromCloudStorage(s3Key, outputPath) {
+        const object = await this.s3Client.getObject({
+            Bucket: this.config.cloud_storage.aws_s3.bucket,
+            Key: s3Key
+        }).promise();
+        await fs.writeFile(outputPath, object.Body);
+    }
+
     async cleanupOldBackups() {
         try {
             this.logger.info('Starting cleanup of old backups...');
@@ -328,6 +675,11 @@ class BackupService {
                 await this.cleanupS3Backups(cutoffDate);
             }
             
+            const deleted = this.catalogue.markDeletedBefore(cutoffDate);
+            if (deleted.length > 0) {
+                await this.catalogue.save();
+            }
+            
             this.logger.info('Cleanup completed successfully');
         } catch (error) {
             this.logger.error('Cleanup failed:', error);
@@ -340,13 +692,14 @@ class BackupService {
         
         for (const dir of backupDirs) {
             try {
-                const files = await fs.readdir(dir);
+                // Backups are kept in per-source subdirectories
+                const files = await fs.readdir(dir, { recursive: true });
                 
                 for (const file of files) {
                     const filePath = path.join(dir, file);
                     const stats = await fs.stat(filePath);
                     
-                    if (stats.mtime < cutoffDate) {
+                    if (stats.isFile() && stats.mtime < cutoffDate) {
                         await fs.unlink(filePath);
                         this.logger.info(`Deleted old backup: ${file}`);
                     }
@@ -403,12 +756,10 @@ class BackupService {
 
     async sendEmailNotification(type, data) {
         try {
-            const subject = type === 'backup_success' 
-                ? `Backup Success: ${data.backupType}` 
-                : `Backup Failure: ${data.backupType}`;
+            const subject = `${NOTIFICATION_TITLES[type]}: ${data.backupType}`;
             
             const html = `
-                <h2>Backup ${type === 'backup_success' ? 'Success' : 'Failure'}</h2>
+                <h2>${NOTIFICATION_TITLES[type]}</h2>
                 <p><strong>Backup Type:</strong> ${data.backupType}</p>
                 <p><strong>Timestamp:</strong> ${data.timestamp}</p>
                 ${data.error ? `<p><strong>Error:</strong> ${data.error}</p>` : ''}
@@ -429,10 +780,9 @@ class BackupService {
 
     async sendSlackNotification(type, data) {
         try {
-            const color = type === 'backup_success' ? 'good' : 'danger';
-            const text = type === 'backup_success' 
-                ? `✅ Backup Success: ${data.backupType}` 
-                : `❌ Backup Failure: ${data.backupType}`;
+            const succeeded = type.endsWith('_success');
+            const color = succeeded ? 'good' : 'danger';
+            const text = `${succeeded ? '✅' : '❌'} ${NOTIFICATION_TITLES[type]}: ${data.backupType}`;
             
             const payload = {
                 channel: this.config.monitoring.alerting.slack.channel,
@@ -477,6 +827,359 @@ class BackupService {
         }
     }
 
+    /**
+     * Restore a backup. Databases are restored into a new database and
+     * directories into /backups/restore unless a target is given; restoring
+     * over the live data needs `overwrite`.
+     * @param {string} backupId - Catalogue ID, or a backup type for its newest backup
+     * @param {Object} options
+     * @param {string} [options.target] - Database name, or a path for Redis and file backups
+     * @param {boolean} [options.overwrite] - Allow restoring over the live database or source directory
+     * @param {string} [options.file] - Backup file that is not in the catalogue, with backupId as its type
+     * @returns {Promise<Object>} Target, record counts and how they compare with the backup's
+     */
+    async restore(backupId, options = {}) {
+        const entry = this.resolveBackup(backupId, options.file);
+        const sourceConfig = this.getSourceConfig(entry.type);
+        const target = options.target || this.defaultRestoreTarget(entry, sourceConfig);
+        const live = this.isLiveTarget(entry.type, sourceConfig, target);
+
+        if (live && !options.overwrite) {
+            throw new Error(`${target} is the live ${entry.type} data; pass --overwrite to restore over it`);
+        }
+
+        this.logger.info(`Restoring ${entry.id} into ${target}...`);
+        const workDir = await fs.mkdtemp(path.join('/backups/temp', 'restore-'));
+        try {
+            const plainPath = await this.fetchBackup(entry, workDir);
+            const counts = await this.restoreInto(entry.type, sourceConfig, plainPath, target, workDir, { overwrite: live });
+            const comparison = entry.counts
+                ? compareCounts(entry.counts, counts, { tolerance: this.countTolerance(entry.type) })
+                : null;
+
+            this.logger.info(`Restored ${entry.id} into ${target}`);
+            if (entry.type === 'redis') {
+                this.logger.info('To restore Redis, stop it, replace its dump.rdb with this file and start it again');
+            }
+            return { backupId: entry.id, type: entry.type, target, counts, comparison };
+        } finally {
+            await fs.rm(workDir, { recursive: true, force: true });
+        }
+    }
+
+    resolveBackup(backupId, file) {
+        if (file) {
+            if (!this.getSourceConfig(backupId)) {
+                throw new Error(`Unknown backup type: ${backupId}`);
+            }
+            return {
+                id: path.basename(file, '.tar.gz'),
+                type: backupId,
+                encrypted: Boolean(this.config.backup.encryption_enabled),
+                location: { localPath: file },
+                checksum: null,
+                counts: null
+            };
+        }
+
+        const entry = this.catalogue.get(backupId) || this.catalogue.latest(backupId);
+        if (!entry) {
+            throw new Error(`No backup found for ${backupId}`);
+        }
+        if (entry.deletedAt) {
+            throw new Error(`Backup ${entry.id} was removed by retention cleanup at ${entry.deletedAt}`);
+        }
+        return entry;
+    }
+
+    defaultRestoreTarget(entry, sourceConfig) {
+        switch (entry.type) {
+            case 'mongodb':
+            case 'postgres':
+                return `${sourceConfig.database}_restore_${new Date().toISOString().replace(/\D/g, '').slice(0, 14)}`;
+            case 'redis':
+                return path.join('/backups/restore', `${entry.id}.rdb`);
+            default:
+                return path.join('/backups/restore', entry.id);
+        }
+    }
+
+    /**
+     * Redis is never restored into the running server; its dump is written
+     * to a file to swap in by hand
+     */
+    isLiveTarget(type, sourceConfig, target) {
+        switch (type) {
+            case 'mongodb':
+            case 'postgres':
+                return target === sourceConfig.database;
+            case 'redis':
+                return false;
+            default:
+                return path.resolve(target) === path.resolve(sourceConfig.source_path);
+        }
+    }
+
+    /**
+     * Fetch a backup into the work directory, check its checksum and decrypt it
+     * @returns {Promise<string>} Path of the decrypted backup
+     */
+    async fetchBackup(entry, workDir) {
+        let storedPath = entry.location.localPath;
+        const local = storedPath && await fs.access(storedPath).then(() => true, () => false);
+
+        if (!local) {
+            if (!entry.location.s3Key || !this.s3Client) {
+                throw new Error(`Backup ${entry.id} is neither on this host nor in S3`);
+            }
+            storedPath = path.join(workDir, entry.fileName);
+            await this.downloadFromCloudStorage(entry.location.s3Key, storedPath);
+        }
+
+        if (entry.checksum) {
+            const { checksum } = await this.checksumFile(storedPath);
+            if (checksum.value !== entry.checksum.value) {
+                throw new Error(`Checksum mismatch for backup ${entry.id}; the file is corrupt or was altered`);
+            }
+        }
+
+        if (!entry.encrypted) {
+            return storedPath;
+        }
+
+        const plainPath = path.join(workDir, 'decrypted');
+        await this.decryptBackup(storedPath, plainPath);
+        return plainPath;
+    }
+
+    /**
+     * @returns {Promise<Object>} Record counts of the restored data
+     */
+    async restoreInto(type, config, plainPath, target, workDir, { overwrite = false } = {}) {
+        switch (type) {
+            case 'mongodb':
+                return this.restoreMongoDB(config, plainPath, target, workDir);
+            case 'redis':
+                return this.restoreRedis(config, plainPath, target);
+            case 'postgres':
+                return this.restorePostgres(config, plainPath, target, overwrite);
+            default:
+                return this.restoreArchive(plainPath, target);
+        }
+    }
+
+    async restoreMongoDB(config, archivePath, targetDatabase, workDir) {
+        const dumpDir = path.join(workDir, 'mongodb');
+        await fs.mkdir(dumpDir, { recursive: true });
+        await runCommand('tar', ['-xzf', archivePath, '-C', dumpDir], { timeoutMs: this.commandTimeout(config) });
+
+        await runCommand('mongorestore', [
+            ...this.mongoConnection(config),
+            '--drop',
+            '--nsFrom', `${config.database}.*`,
+            '--nsTo', `${targetDatabase}.*`,
+            dumpDir
+        ], { timeoutMs: this.commandTimeout(config) });
+
+        return this.countMongoDatabase(config, targetDatabase);
+    }
+
+    async countMongoDatabase(config, database) {
+        const script = 'JSON.stringify(Object.fromEntries(db.getCollectionNames().map(name => [name, db.getCollection(name).countDocuments()])))';
+        const { stdout } = await runCommand('mongosh', ['--quiet', ...this.mongoConnection(config), database, '--eval', script], {
+            timeoutMs: this.commandTimeout(config)
+        });
+        return JSON.parse(stdout.trim());
+    }
+
+    /**
+     * The dump is decompressed as it streams into psql
+     */
+    async restorePostgres(config, dumpPath, targetDatabase, overwrite) {
+        const options = { env: this.postgresEnv(config), timeoutMs: this.commandTimeout(config) };
+        const connection = this.postgresConnection(config);
+
+        if (overwrite) {
+            await runCommand('dropdb', [...connection, '--if-exists', targetDatabase], options);
+        }
+        await runCommand('createdb', [...connection, targetDatabase], options);
+
+        const stages = [createReadStream(dumpPath)];
+        if (await this.isGzip(dumpPath)) {
+            stages.push(zlib.createGunzip());
+        }
+        await runCommand('psql', [...connection, '-d', targetDatabase, '-v', 'ON_ERROR_STOP=1', '-q'], {
+            ...options,
+            stdin: stages,
+            onLine: () => {}
+        });
+
+        return this.countPostgresDatabase(config, targetDatabase);
+    }
+
+    async countPostgresDatabase(config, database) {
+        const query = "SELECT format('%I.%I', schemaname, relname), (xpath('/row/count/text()', query_to_xml(format('SELECT count(*) FROM %I.%I', schemaname, relname), false, true, '')))[1]::text FROM pg_stat_user_tables";
+        const { stdout } = await runCommand('psql', [...this.postgresConnection(config), '-d', database, '-At', '-F', '|', '-c', query], {
+            env: this.postgresEnv(config),
+            timeoutMs: this.commandTimeout(config)
+        });
+
+        return Object.fromEntries(stdout.trim().split('\n').filter(Boolean).map(line => {
+            const [table, count] = line.split('|');
+            return [table, Number(count)];
+        }));
+    }
+
+    async restoreRedis(config, rdbPath, targetPath) {
+        await fs.mkdir(path.dirname(targetPath), { recursive: true });
+        if (await this.isGzip(rdbPath)) {
+            await pipeline(createReadStream(rdbPath), zlib.createGunzip(), createWriteStream(targetPath));
+        } else {
+            await fs.copyFile(rdbPath, targetPath);
+        }
+
+        return { keys: await this.countRedisDump(targetPath) };
+    }
+
+    /**
+     * Load a Redis dump into a throwaway server on the drill port and count its keys
+     */
+    async countRedisDump(rdbPath) {
+        const port = this.config.disaster_recovery?.verification?.redis_port || 6390;
+        await runCommand('redis-server', [
+            '--port', port,
+            '--bind', '127.0.0.1',
+            '--dir', path.dirname(rdbPath),
+            '--dbfilename', path.basename(rdbPath),
+            '--save', '',
+            '--appendonly', 'no',
+            '--daemonize', 'yes'
+        ]);
+
+        try {
+            for (let attempt = 0; attempt < REDIS_LOAD_TIMEOUT_SECONDS; attempt++) {
+                const { stdout } = await runCommand('redis-cli', ['-p', port, 'PING']).catch(() => ({ stdout: '' }));
+                if (stdout.trim() === 'PONG') {
+                    const { stdout: keyspace } = await runCommand('redis-cli', ['-p', port, 'INFO', 'keyspace']);
+                    return countRedisKeys(keyspace);
+                }
+                await new Promise(resolve => setTimeout(resolve, 1000));
+            }
+            throw new Error(`Redis dump did not load within ${REDIS_LOAD_TIMEOUT_SECONDS} seconds`);
+        } finally {
+            await runCommand('redis-cli', ['-p', port, 'SHUTDOWN', 'NOSAVE']).catch(() => {});
+        }
+    }
+
+    async restoreArchive(archivePath, targetDir) {
+        await fs.mkdir(targetDir, { recursive: true });
+        await runCommand('tar', ['-xzf', archivePath, '-C', targetDir], { timeoutMs: this.commandTimeout() });
+        return { files: await countDirectoryFiles(targetDir) };
+    }
+
+    async isGzip(filePath) {
+        const handle = await fs.open(filePath, 'r');
+        try {
+            const { buffer, bytesRead } = await handle.read(Buffer.alloc(GZIP_MAGIC.length), 0, GZIP_MAGIC.length, 0);
+            return bytesRead === GZIP_MAGIC.length && buffer.equals(GZIP_MAGIC);
+        } finally {
+            await handle.close();
+        }
+    }
+
+    countTolerance(type) {
+        return type === 'redis' ? REDIS_COUNT_TOLERANCE : 0;
+    }
+
+    /**
+     * Restore the newest backup of each type, and a sample of older ones,
+     * into scratch targets and check the record counts match the backup's
+     * @returns {Promise<Array<Object>>} Result per backup
+     */
+    async runRestoreDrill() {
+        const verification = this.config.disaster_recovery?.verification || {};
+        const selected = this.catalogue.selectForDrill(verification.test_restore_percentage || 0);
+
+        this.logger.info(`Starting restore drill of ${selected.length} backups...`);
+        const results = [];
+        for (const entry of selected) {
+            results.push(await this.drillBackup(entry));
+        }
+        await this.catalogue.save();
+
+        const failed = results.filter(result => !result.passed);
+        if (failed.length > 0) {
+            this.logger.error(`Restore drill failed for ${failed.map(result => result.backupId).join(', ')}`);
+            await this.sendNotification('restore_drill_failure', {
+                backupType: [...new Set(failed.map(result => result.type))].join(', '),
+                error: failed.map(result => `${result.backupId}: ${result.error || `${result.differences.length} counts differ`}`).join('; '),
+                timestamp: new Date().toISOString()
+            });
+        } else {
+            this.logger.info('Restore drill passed');
+            await this.sendNotification('restore_drill_success', {
+                backupType: [...new Set(results.map(result => result.type))].join(', '),
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        return results;
+    }
+
+    async drillBackup(entry) {
+        const sourceConfig = this.getSourceConfig(entry.type);
+        const workDir = await fs.mkdtemp(path.join('/backups/temp', 'drill-'));
+        const target = this.drillTarget(entry, sourceConfig, workDir);
+        let result;
+
+        try {
+            if (!sourceConfig) {
+                throw new Error(`No configuration for backup type ${entry.type}`);
+            }
+            if (this.isLiveTarget(entry.type, sourceConfig, target)) {
+                throw new Error(`Drill target ${target} is the live ${entry.type} data`);
+            }
+
+            const plainPath = await this.fetchBackup(entry, workDir);
+            const counts = await this.restoreInto(entry.type, sourceConfig, plainPath, target, workDir, { overwrite: true });
+            const { matches, differences } = compareCounts(entry.counts || {}, counts, { tolerance: this.countTolerance(entry.type) });
+            result = { backupId: entry.id, type: entry.type, passed: matches, counts, differences };
+        } catch (error) {
+            this.logger.error(`Restore drill of ${entry.id} failed:`, error);
+            result = { backupId: entry.id, type: entry.type, passed: false, differences: [], error: error.message };
+        } finally {
+            await this.dropDrillTarget(entry.type, sourceConfig, target).catch(error => {
+                this.logger.error(`Failed to drop drill target ${target}:`, error);
+            });
+            await fs.rm(workDir, { recursive: true, force: true });
+        }
+
+        this.catalogue.recordVerification(entry.id, result);
+        return result;
+    }
+
+    drillTarget(entry, sourceConfig, workDir) {
+        switch (entry.type) {
+            case 'mongodb':
+            case 'postgres':
+                return `${sourceConfig?.database}_restore_drill`;
+            case 'redis':
+                return path.join(workDir, 'dump.rdb');
+            default:
+                return path.join(workDir, 'files');
+        }
+    }
+
+    async dropDrillTarget(type, sourceConfig, target) {
+        if (type === 'mongodb') {
+            await runCommand('mongosh', ['--quiet', ...this.mongoConnection(sourceConfig), target, '--eval', 'db.dropDatabase()']);
+        } else if (type === 'postgres') {
+            await runCommand('dropdb', [...this.postgresConnection(sourceConfig), '--if-exists', target], {
+                env: this.postgresEnv(sourceConfig)
+            });
+        }
+    }
+
     async verifyBackup(backupPath) {
         try {
             this.logger.info('Verifying backup integrity...');
@@ -488,7 +1191,7 @@ class BackupService {
             }
             
             // Verify tar.gz integrity
-            await execAsync(`tar -tzf ${backupPath} > /dev/null`);
+            await runCommand('tar', ['-tzf', backupPath], { onLine: () => {} });
             
             this.logger.info('Backup verification completed successfully');
             return true;
@@ -509,30 +1212,14 @@ class BackupService {
         try {
             this.logger.info('Starting scheduled backup process...');
             
-            // Database backups
-            if (this.config.databases?.mongodb?.enabled) {
-                await this.performBackup('mongodb', this.config.databases.mongodb);
-            }
-            
-            if (this.config.databases?.redis?.enabled) {
-                await this.performBackup('redis', this.config.databases.redis);
-            }
+            const sources = this.getSources();
             
-            if (this.config.databases?.postgres?.enabled) {
-                await this.performBackup('postgres', this.config.databases.postgres);
-            }
-            
-            // Application data backups
-            for (const [backupType, config] of Object.entries(this.config.application_data || {})) {
-                if (config.enabled) {
-                    await this.performBackup(backupType, config);
-                }
-            }
-            
-            // System data backups
-            for (const [backupType, config] of Object.entries(this.config.system_data || {})) {
-                if (config.enabled) {
-                    await this.performBackup(backupType, config);
+            // Database backups, then application and system data
+            for (const group of [sources.databases, sources.application_data, sources.system_data]) {
+                for (const [backupType, config] of Object.entries(group)) {
+                    if (config.enabled) {
+                        await this.performBackup(backupType, config);
+                    }
                 }
             }
             
@@ -557,30 +1244,15 @@ class BackupService {
             const cron = require('node-cron');
             
             // Schedule different backup types based on their individual schedules
-            for (const [backupType, config] of Object.entries(this.config.databases || {})) {
-                if (config.enabled && config.schedule) {
-                    cron.schedule(config.schedule, async () => {
-                        await this.performBackup(backupType, config);
-                    });
-                    this.logger.info(`Scheduled ${backupType} backups: ${config.schedule}`);
-                }
-            }
-            
-            for (const [backupType, config] of Object.entries(this.config.application_data || {})) {
-                if (config.enabled && config.schedule) {
-                    cron.schedule(config.schedule, async () => {
-                        await this.performBackup(backupType, config);
-                    });
-                    this.logger.info(`Scheduled ${backupType} backups: ${config.schedule}`);
-                }
-            }
-            
-            for (const [backupType, config] of Object.entries(this.config.system_data || {})) {
-                if (config.enabled && config.schedule) {
-                    cron.schedule(config.schedule, async () => {
-                        await this.performBackup(backupType, config);
-                    });
-                    this.logger.info(`Scheduled ${backupType} backups: ${config.schedule}`);
+            const sources = this.getSources();
+            for (const group of [sources.databases, sources.application_data, sources.system_data]) {
+                for (const [backupType, config] of Object.entries(group)) {
+                    if (config.enabled && config.schedule) {
+                        cron.schedule(config.schedule, async () => {
+                            await this.performBackup(backupType, config);
+                        });
+                        this.logger.info(`Scheduled ${backupType} backups: ${config.schedule}`);
+                    }
                 }
             }
             
@@ -592,6 +1264,17 @@ class BackupService {
                 this.logger.info('Scheduled daily cleanup task');
             }
             
+            // Schedule restore drills
+            const verification = this.config.disaster_recovery?.verification;
+            if (verification?.enabled && verification.schedule) {
+                cron.schedule(verification.schedule, async () => {
+                    await this.runRestoreDrill().catch(error => {
+                        this.logger.error('Restore drill failed:', error);
+                    });
+                });
+                this.logger.info(`Scheduled restore drills: ${verification.schedule}`);
+            }
+            
         } catch (error) {
             this.logger.error('Failed to start backup service:', error);
             process.exit(1);
@@ -604,6 +1287,22 @@ if (require.main === module) {
     const backupService = new BackupService();
     
     const command = process.argv[2];
+    const option = (name) => {
+        const index = process.argv.indexOf(name);
+        return index === -1 ? undefined : process.argv[index + 1];
+    };
+    
+    // Initialize, run a command, print its result and exit non-zero on failure
+    const run = (task, failed = () => false) => backupService.initialize()
+        .then(task)
+        .then(result => {
+            console.log(JSON.stringify(result, null, 2));
+            process.exit(failed(result) ? 1 : 0);
+        })
+        .catch(error => {
+            console.error(error.message);
+            process.exit(1);
+        });
     
     switch (command) {
         case 'start':
@@ -628,8 +1327,27 @@ if (require.main === module) {
             }
             backupService.verifyBackup(backupPath);
             break;
+        case 'restore': {
+            const backupId = process.argv[3];
+            if (!backupId || backupId.startsWith('--')) {
+                console.error('Please specify a backup ID or type');
+                process.exit(1);
+            }
+            run(() => backupService.restore(backupId, {
+                target: option('--target'),
+                file: option('--file'),
+                overwrite: process.argv.includes('--overwrite')
+            }), result => result.comparison && !result.comparison.matches);
+            break;
+        }
+        case 'drill':
+            run(() => backupService.runRestoreDrill(), results => results.some(result => !result.passed));
+            break;
+        case 'catalogue':
+            run(() => backupService.catalogue.list({ type: process.argv[3] }));
+            break;
         default:
-            console.log('Usage: node backup-service.js [start|backup <type>|cleanup|verify <path>]');
+            console.log('Usage: node backup-service.js [start|backup <type>|cleanup|verify <path>|restore <id|type> [--target <name>] [--overwrite] [--file <path>]|drill|catalogue [type]]');
             process.exit(1);
     }
 }
@@ -1,388 +0,0 @@
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
-const winston = require('winston');
-const rateLimit = require('express-rate-limit');
-const helmet = require('helmet');
-
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.errors({ stack: true }),
-    winston.format.json()
-  ),
-  defaultMeta: { service: 'auth-middleware' },
-  transports: [
-    new winston.transports.File({ filename: 'logs/auth-error.log', level: 'error' }),
-    new winston.transports.File({ filename: 'logs/auth-combined.log' })
-  ]
-});
-
-// JWT Authentication Middleware
-const authenticateToken = async (req, res, next) => {
-  try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-
-    if (!token) {
-      return res.status(401).json({ 
-        error: 'Access token required',
-        code: 'NO_TOKEN'
-      });
-    }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'test-jwt-secret-key');
-    const user = await User.findById(decoded.userId).select('-password');
-    
-    if (!user) {
-      return res.status(401).json({ 
-        error: 'User not found',
-        code: 'USER_NOT_FOUND'
-      });
-    }
-
-    if (user.is_suspended) {
-      return res.status(403).json({ 
-        error: 'Account suspended',
-        code: 'ACCOUNT_SUSPENDED'
-      });
-    }
-
-    req.user = user;
-    next();
-  } catch (error) {
-    logger.error('JWT authentication error:', error);
-    
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ 
-        error: 'Token expired',
-        code: 'TOKEN_EXPIRED'
-      });
-    }
-    
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({ 
-        error: 'Invalid token',
-        code: 'INVALID_TOKEN'
-      });
-    }
-
-    return res.status(500).json({ 
-      error: 'Authentication error',
-      code: 'AUTH_ERROR'
-    });
-  }
-};
-
-// Optional Authentication Middleware
-const optionalAuth = async (req, res, next) => {
-  try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-
-    if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'test-jwt-secret-key');
-      const user = await User.findById(decoded.userId).select('-password');
-      
-      if (user && !user.is_suspended) {
-        req.user = user;
-      }
-    }
-    
-    next();
-  } catch (error) {
-    // Continue without authentication for optional routes
-    next();
-  }
-};
-
-// Role-based Authorization Middleware
-const authorizeRoles = (...roles) => {
-  return (req, res, next) => {
-    if (!req.user) {
-      return res.status(401).json({ 
-        error: 'Authentication required',
-        code: 'AUTH_REQUIRED'
-      });
-    }
-
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({ 
-        error: 'Insufficient permissions',
-        code: 'INSUFFICIENT_PERMISSIONS',
-        required: roles,
-        current: req.user.role
-      });
-    }
-
-    next();
-  };
-};
-
-// Permission-based Authorization Middleware
-const authorizePermissions = (...permissions) => {
-  return (req, res, next) => {
-    if (!req.user) {
-      return res.status(401).json({ 
-        error: 'Authentication required',
-        code: 'AUTH_REQUIRED'
-      });
-    }
-
-    const userPermissions = req.user.permissions || [];
-    const hasPermission = permissions.some(permission => 
-      userPermissions.includes(permission)
-    );
-
-    if (!hasPermission) {
-      return res.status(403).json({ 
-        error: 'Insufficient permissions',
-        code: 'INSUFFICIENT_PERMISSIONS',
-        required: permissions,
-        current: userPermissions
-      });
-    }
-
-    next();
-  };
-};
-
-// Rate Limiting Middleware
-const createRateLimiter = (windowMs = 15 * 60 * 1000, max = 100, message = 'Too many requests') => {
-  return rateLimit({
-    windowMs,
-    max,
-    message: {
-      error: message,
-      code: 'RATE_LIMIT_EXCEEDED',
-      retryAfter: Math.ceil(windowMs / 1000)
-    },
-    standardHeaders: true,
-    legacyHeaders: false,
-    handler: (req, res) => {
-      logger.warn(`Rate limit exceeded for IP: ${req.ip}`);
-      res.status(429).json({
-        error: message,
-        code: 'RATE_LIMIT_EXCEEDED',
-        retryAfter: Math.ceil(windowMs / 1000)
-      });
-    }
-  });
-};
-
-// Specific rate limiters for different endpoints
-const authRateLimiter = createRateLimiter(15 * 60 * 1000, 5, 'Too many authentication attempts');
-const apiRateLimiter = createRateLimiter(15 * 60 * 1000, 100, 'Too many API requests');
-const sensitiveRateLimiter = createRateLimiter(60 * 60 * 1000, 10, 'Too many sensitive operation requests');
-
-// Security Headers Middleware
-const securityHeaders = helmet({
-  contentSecurityPolicy: {
-    directives: {
-      defaultSrc: ["'self'"],
-      styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com"],
-      fontSrc: ["'self'", "https://fonts.gstatic.com"],
-      scriptSrc: ["'self'"],
-      imgSrc: ["'self'", "data:", "https:"],
-      connectSrc: ["'self'", "https://api.stripe.com", "https://api.openai.com"],
-      frameSrc: ["'none'"],
-      objectSrc: ["'none'"],
-      baseUri: ["'self'"],
-      formAction: ["'self'"]
-    }
-  },
-  hsts: {
-    maxAge: 31536000,
-    includeSubDomains: true,
-    preload: true
-  },
-  noSniff: true,
-  xssFilter: true,
-  referrerPolicy: { policy: 'same-origin' }
-});
-
-// Input Validation Middleware
-const validateInput = (schema) => {
-  return (req, res, next) => {
-    const { error, value } = schema.validate(req.body);
-    
-    if (error) {
-      const errorDetails = error.details.map(detail => ({
-        field: detail.path.join('.'),
-        message: detail.message,
-        type: detail.type
-      }));
-
-      return res.status(400).json({
-        error: 'Validation error',
-        code: 'VALIDATION_ERROR',
-        details: errorDetails
-      });
-    }
-
-    req.body = value;
-    next();
-  };
-};
-
-// API Key Authentication Middleware
-const authenticateApiKey = async (req, res, next) => {
-  try {
-    const apiKey = req.headers['x-api-key'];
-    
-    if (!apiKey) {
-      return res.status(401).json({
-        error: 'API key required',
-        code: 'NO_API_KEY'
-      });
-    }
-
-    // In a real implementation, you would validate the API key against a database
-    // For now, we'll use environment variable for simple API key auth
-    if (apiKey !== process.env.API_KEY) {
-      return res.status(401).json({
-        error: 'Invalid API key',
-        code: 'INVALID_API_KEY'
-      });
-    }
-
-    req.apiKey = apiKey;
-    next();
-  } catch (error) {
-    logger.error('API key authentication error:', error);
-    return res.status(500).json({
-      error: 'API key authentication error',
-      code: 'API_KEY_AUTH_ERROR'
-    });
-  }
-};
-
-// Two-Factor Authentication Middleware
-const requireTwoFactor = async (req, res, next) => {
-  try {
-    if (!req.user) {
-      return res.status(401).json({
-        error: 'Authentication required',
-        code: 'AUTH_REQUIRED'
-      });
-    }
-
-    if (req.user.two_factor_enabled && !req.user.two_factor_verified) {
-      return res.status(403).json({
-        error: 'Two-factor authentication required',
-        code: '2FA_REQUIRED'
-      });
-    }
-
-    next();
-  } catch (error) {
-    logger.error('Two-factor authentication check error:', error);
-    return res.status(500).json({
-      error: 'Two-factor authentication check error',
-      code: '2FA_CHECK_ERROR'
-    });
-  }
-};
-
-// Session Management Middleware
-const sessionMiddleware = (req, res, next) => {
-  try {
-    if (req.user) {
-      // Update last activity
-      req.user.last_activity = new Date();
-      req.user.save().catch(error => {
-        logger.error('Failed to update user last activity:', error);
-      });
-    }
-    next();
-  } catch (error) {
-    logger.error('Session management error:', error);
-    next(); // Continue even if session update fails
-  }
-};
-
-// Request Logging Middleware
-const requestLogger = (req, res, next) => {
-  const start = Date.now();
-  
-  res.on('finish', () => {
-    const duration = Date.now() - start;
-    const logData = {
-      method: req.method,
-      url: req.originalUrl,
-      status: res.statusCode,
-      duration: `${duration}ms`,
-      userAgent: req.get('User-Agent'),
-      ip: req.ip,
-      userId: req.user?.id || 'anonymous'
-    };
-
-    if (res.statusCode >= 400) {
-      logger.warn('Request completed with error', logData);
-    } else {
-      logger.info('Request completed', logData);
-    }
-  });
-
-  next();
-};
-
-// Error Handling Middleware
-const errorHandler = (err, req, res, next) => {
-  logger.error('Unhandled error:', err);
-
-  // Don't leak error details in production
-  const isDevelopment = process.env.NODE_ENV === 'development';
-  
-  const errorResponse = {
-    error: 'Internal server error',
-    code: 'INTERNAL_ERROR'
-  };
-
-  if (isDevelopment) {
-    errorResponse.message = err.message;
-    errorResponse.stack = err.stack;
-  }
-
-  res.status(500).json(errorResponse);
-};
-
-// CORS Configuration Middleware
-const corsOptions = {
-  origin: function (origin, callback) {
-    const allowedOrigins = process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:3000'];
-    
-    // Allow requests with no origin (mobile apps, curl, etc.)
-    if (!origin) return callback(null, true);
-    
-    if (allowedOrigins.indexOf(origin) !== -1) {
-      callback(null, true);
-    } else {
-      logger.warn(`CORS blocked for origin: ${origin}`);
-      callback(new Error('Not allowed by CORS'));
-    }
-  },
-  credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Requested-With'],
-  maxAge: 86400 // 24 hours
-};
-
-module.exports = {
-  authenticateToken,
-  optionalAuth,
-  authorizeRoles,
-  authorizePermissions,
-  createRateLimiter,
-  authRateLimiter,
-  apiRateLimiter,
-  sensitiveRateLimiter,
-  securityHeaders,
-  validateInput,
-  authenticateApiKey,
-  requireTwoFactor,
-  sessionMiddleware,
-  requestLogger,
-  errorHandler,
-  corsOptions
-};
\ No newline at end of file
@@ -0,0 +1,531 @@
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const rateLimit = require('express-rate-limit');
+const morgan = require('morgan');
+const bcrypt = require('bcryptjs');
+const { body, validationResult } = require('express-validator');
+const logger = require('./logger');
+const createContainer = require('./container');
+const User = require('./models/User');
+const Subscription = require('./models/Subscription');
+const Appointment = require('./models/Appointment');
+const Content = require('./models/Content');
+const Analytics = require('./models/Analytics');
+const createEmailTrackingRoutes = require('./routes/emailTracking');
+const createEmailCampaignRoutes = require('./routes/emailCampaigns');
+const createSecurityRoutes = require('./routes/security');
+const createPrivacyRoutes = require('./routes/privacy');
+const createNewsletterRoutes = require('./routes/newsletters');
+const createSubscriberRoutes = require('./routes/subscribers');
+const createSegmentRoutes = require('./routes/segments');
+const createSubscriptionRoutes = require('./routes/subscriptions');
+const createPreferenceRoutes = require('./routes/preferences');
+const createBounceRoutes = require('./routes/bounces');
+const createAlertRoutes = require('./routes/alerts');
+const createTwoFactorRoutes = require('./routes/twoFactor');
+const createSessionRoutes = require('./routes/sessions');
+const createApiKeyRoutes = require('./routes/apiKeys');
+const createAccountRoutes = require('./routes/account');
+const createSsoRoutes = require('./routes/sso');
+const { EMAIL_VARIANTS } = require('./services/NewsletterRenderService');
+
+const requestContext = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
+/**
+ * Build the Express app. Routes get their services from the container, so
+ * every route shares one instance of each service.
+ * @param {Object} options
+ * @param {Object} [options.services] - Services from createContainer()
+ */
+function createApp({ services = createContainer() } = {}) {
+  const app = express();
+  const { authenticateToken, authorizeRoles, authenticate } = services.auth;
+
+  // Configure rate limiting - use stricter limits in test environment
+  const limiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: process.env.NODE_ENV === 'test' ? 5 : 100, // Stricter limit in tests
+    message: 'Too many requests from this IP, please try again later.'
+  });
+
+  app.use(helmet({
+    contentSecurityPolicy: {
+      directives: {
+        defaultSrc: ["'self'"],
+        styleSrc: ["'self'", "'unsafe-inline'"],
+        scriptSrc: ["'self'"],
+        imgSrc: ["'self'", "data:", "https:"],
+        connectSrc: ["'self'"],
+        fontSrc: ["'self'"],
+        objectSrc: ["'none'"],
+        mediaSrc: ["'self'"],
+        frameSrc: ["'none'"],
+      },
+    },
+    hsts: {
+      maxAge: 31536000,
+      includeSubDomains: true,
+      preload: true
+    }
+  }));
+
+  app.use(cors({
+    origin: process.env.FRONTEND_URL || 'http://localhost:3000',
+    credentials: true
+  }));
+
+  app.use(morgan('combined', { stream: { write: message => logger.info(message.trim()) } }));
+  app.use(limiter);
+  app.use(express.json({ limit: '10mb' }));
+  app.use(express.urlencoded({ extended: true }));
+
+  // Record suspicious requests as security events for the security dashboard
+  app.use(services.securityDashboardService.monitorRequests());
+
+  app.get('/api/health', (req, res) => {
+    res.json({ 
+      status: 'healthy', 
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime(),
+      memory: process.memoryUsage()
+    });
+  });
+
+  app.post('/api/auth/register', [
+    body('email').isEmail().normalizeEmail(),
+    body('password').isLength({ min: 8 }).matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/),
+    body('firstName').trim().isLength({ min: 1 }),
+    body('lastName').trim().isLength({ min: 1 })
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { email, password, firstName, lastName } = req.body;
+
+      const existingUser = await User.findOne({ email });
+      if (existingUser) {
+        return res.status(409).json({ error: 'User already exists' });
+      }
+
+      const hashedPassword = await bcrypt.hash(password, 12);
+      const user = new User({
+        email,
+        password: hashedPassword,
+        firstName,
+        lastName,
+        role: 'user'
+      });
+
+      await user.save();
+
+      // The account works without it, with fewer permissions until the address is verified
+      await services.accountEmailService.sendVerification(user)
+        .catch(error => logger.error(`Failed to send verification email to ${email}:`, error));
+
+      const { token, refreshToken, expiresIn } = await services.sessionService.createSession(user, requestContext(req));
+
+      logger.info(`New user registered: ${email}`);
+      res.status(201).json({
+        message: 'User created successfully',
+        token,
+        refreshToken,
+        expiresIn,
+        user: { id: user._id, email: user.email, firstName: user.firstName, lastName: user.lastName, emailVerified: user.emailVerified }
+      });
+    } catch (error) {
+      logger.error('Registration error:', error);
+      res.status(500).json({ error: 'Registration failed' });
+    }
+  });
+
+  app.post('/api/auth/login', [
+    body('email').isEmail().normalizeEmail(),
+    body('password').exists()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { email, password } = req.body;
+
+      const user = await User.findOne({ email });
+      if (!user) {
+        return res.status(401).json({ error: 'Invalid credentials' });
+      }
+
+      const isValidPassword = await bcrypt.compare(password, user.password);
+      if (!isValidPassword) {
+        return res.status(401).json({ error: 'Invalid credentials' });
+      }
+
+      // Users with two-factor on get a challenge to exchange at /api/auth/2fa/verify
+      if (user.twoFactorEnabled) {
+        logger.info(`Two-factor challenge issued: ${email}`);
+        return res.json({
+          message: 'Two-factor authentication required',
+          twoFactorRequired: true,
+          challengeToken: services.twoFactorService.createChallenge(user)
+        });
+      }
+
+      const { token, refreshToken, expiresIn } = await services.sessionService.createSession(user, requestContext(req));
+
+      logger.info(`User logged in: ${email}`);
+      res.json({
+        message: 'Login successful',
+        token,
+        refreshToken,
+        expiresIn,
+        twoFactorEnrollmentRequired: (await services.twoFactorService.getRequiredRoles()).includes(user.role),
+        user: { id: user._id, email: user.email, firstName: user.firstName, lastName: user.lastName, role: user.role, emailVerified: user.emailVerified }
+      });
+    } catch (error) {
+      logger.error('Login error:', error);
+      res.status(500).json({ error: 'Login failed' });
+    }
+  });
+
+  app.get('/api/user/profile', authenticateToken, async (req, res) => {
+    try {
+      const user = await User.findById(req.user._id).select('-password');
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      res.json(user);
+    } catch (error) {
+      logger.error('Profile fetch error:', error);
+      res.status(500).json({ error: 'Failed to fetch profile' });
+    }
+  });
+
+  app.put('/api/user/profile', authenticateToken, [
+    body('firstName').optional().trim().isLength({ min: 1 }),
+    body('lastName').optional().trim().isLength({ min: 1 }),
+    body('location').optional().trim(),
+    body('website').optional().isURL(),
+    body('bio').optional().trim().isLength({ max: 500 }),
+    body('emailVariant').optional().isIn(EMAIL_VARIANTS)
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { emailVariant, ...profile } = req.body;
+      if (emailVariant) {
+        profile['neurodiversityProfile.emailVariant'] = emailVariant;
+      }
+
+      const user = await User.findByIdAndUpdate(
+        req.user._id,
+        { $set: profile },
+        { new: true, runValidators: true }
+      ).select('-password');
+
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      logger.info(`User profile updated: ${req.user.email}`);
+      res.json(user);
+    } catch (error) {
+      logger.error('Profile update error:', error);
+      res.status(500).json({ error: 'Failed to update profile' });
+    }
+  });
+
+  app.get('/api/subscriptions', authenticateToken, async (req, res) => {
+    try {
+      const subscriptions = await Subscription.find({ userId: req.user._id });
+      res.json(subscriptions);
+    } catch (error) {
+      logger.error('Subscriptions fetch error:', error);
+      res.status(500).json({ error: 'Failed to fetch subscriptions' });
+    }
+  });
+
+  app.post('/api/subscriptions', authenticateToken, [
+    body('plan').isIn(['basic', 'premium', 'enterprise']),
+    body('paymentMethod').exists()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { plan, paymentMethod } = req.body;
+
+      const existingSubscription = await Subscription.findOne({ 
+        userId: req.user._id, 
+        status: 'active' 
+      });
+
+      if (existingSubscription) {
+        return res.status(409).json({ error: 'Active subscription already exists' });
+      }
+
+      const subscription = new Subscription({
+        userId: req.user._id,
+        plan,
+        paymentMethod,
+        status: 'active',
+        startDate: new Date(),
+        endDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)
+      });
+
+      await subscription.save();
+
+      logger.info(`New subscription created: ${req.user.email} - ${plan}`);
+      res.status(201).json(subscription);
+    } catch (error) {
+      logger.error('Subscription creation error:', error);
+      res.status(500).json({ error: 'Failed to create subscription' });
+    }
+  });
+
+  app.get('/api/appointments', authenticateToken, async (req, res) => {
+    try {
+      const appointments = await Appointment.find({ userId: req.user._id });
+      res.json(appointments);
+    } catch (error) {
+      logger.error('Appointments fetch error:', error);
+      res.status(500).json({ error: 'Failed to fetch appointments' });
+    }
+  });
+
+  app.post('/api/appointments', authenticateToken, [
+    body('title').trim().isLength({ min: 1 }),
+    body('startTime').isISO8601(),
+    body('endTime').isISO8601(),
+    body('participants').optional().isArray()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { title, startTime, endTime, participants, description } = req.body;
+
+      const appointment = new Appointment({
+        userId: req.user._id,
+        title,
+        startTime: new Date(startTime),
+        endTime: new Date(endTime),
+        participants: participants || [],
+        description: description || '',
+        status: 'scheduled'
+      });
+
+      await appointment.save();
+
+      logger.info(`New appointment created: ${req.user.email} - ${title}`);
+      res.status(201).json(appointment);
+    } catch (error) {
+      logger.error('Appointment creation error:', error);
+      res.status(500).json({ error: 'Failed to create appointment' });
+    }
+  });
+
+  app.get('/api/analytics/dashboard', authenticate('analytics:read'), async (req, res) => {
+    try {
+      const { range = '7d' } = req.query;
+      const userId = req.user._id;
+
+      const dateRange = new Date();
+      switch (range) {
+        case '24h':
+          dateRange.setDate(dateRange.getDate() - 1);
+          break;
+        case '7d':
+          dateRange.setDate(dateRange.getDate() - 7);
+          break;
+        case '30d':
+          dateRange.setDate(dateRange.getDate() - 30);
+          break;
+        case '90d':
+          dateRange.setDate(dateRange.getDate() - 90);
+          break;
+        default:
+          dateRange.setDate(dateRange.getDate() - 7);
+      }
+
+      const analytics = await Analytics.find({
+        userId,
+        timestamp: { $gte: dateRange }
+      }).sort({ timestamp: -1 });
+
+      const metrics = {
+        subscribers: Math.floor(Math.random() * 1000) + 500,
+        engagement: Math.floor(Math.random() * 100) + 20,
+        contentViews: Math.floor(Math.random() * 5000) + 1000,
+        traffic: Math.floor(Math.random() * 10000) + 2000,
+        conversionRate: (Math.random() * 5 + 2).toFixed(2),
+        revenue: Math.floor(Math.random() * 50000) + 10000
+      };
+
+      res.json({
+        metrics,
+        analytics,
+        dateRange: {
+          start: dateRange.toISOString(),
+          end: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      logger.error('Analytics fetch error:', error);
+      res.status(500).json({ error: 'Failed to fetch analytics' });
+    }
+  });
+
+  app.get('/api/content/schedule', authenticateToken, async (req, res) => {
+    try {
+      const schedules = await Content.find({ userId: req.user._id })
+        .sort({ scheduledDate: -1 });
+      res.json(schedules);
+    } catch (error) {
+      logger.error('Content schedule fetch error:', error);
+      res.status(500).json({ error: 'Failed to fetch content schedules' });
+    }
+  });
+
+  app.post('/api/content/schedule', authenticateToken, [
+    body('title').trim().isLength({ min: 1 }),
+    body('content').trim().isLength({ min: 1 }),
+    body('scheduledDate').isISO8601()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { title, content, scheduledDate, tags } = req.body;
+
+      const contentItem = new Content({
+        userId: req.user._id,
+        title,
+        content,
+        scheduledDate: new Date(scheduledDate),
+        tags: tags || [],
+        status: 'scheduled'
+      });
+
+      await contentItem.save();
+
+      logger.info(`Content scheduled: ${req.user.email} - ${title}`);
+      res.status(201).json(contentItem);
+    } catch (error) {
+      logger.error('Content scheduling error:', error);
+      res.status(500).json({ error: 'Failed to schedule content' });
+    }
+  });
+
+  // Two-factor enrolment, login verification and policy
+  app.use('/api/auth/2fa', createTwoFactorRoutes(services));
+
+  // Token refresh, logout and the session list
+  app.use('/api/auth', createSessionRoutes(services));
+
+  // Password reset and email verification
+  app.use('/api/auth', createAccountRoutes(services));
+
+  // Enterprise single sign-on through OIDC and SAML identity providers
+  app.use('/api/auth/sso', createSsoRoutes(services));
+
+  // API keys for integrations and apps
+  app.use('/api/api-keys', createApiKeyRoutes(services));
+
+  // Privacy, consent and data subject request routes
+  app.use('/api/privacy', createPrivacyRoutes(services));
+
+  // Newsletter issue routes; the Newsletter component reads them under /v1
+  const newsletterRoutes = createNewsletterRoutes(services);
+  app.use('/api', newsletterRoutes);
+  app.use('/v1', newsletterRoutes);
+
+  // Audience routes
+  app.use('/api/subscribers', createSubscriberRoutes(services));
+  app.use('/api/segments', createSegmentRoutes(services));
+  app.use('/api/subscriptions', createSubscriptionRoutes(services));
+
+  // Unsubscribe and preference center links from emails (/unsubscribe, /preferences, /api/preferences)
+  app.use(createPreferenceRoutes(services));
+
+  // Bounce and complaint webhooks, and the suppression list
+  app.use('/api/bounces', createBounceRoutes(services));
+
+  // Email tracking routes
+  app.use('/api/email-tracking', createEmailTrackingRoutes(services));
+
+  // Email campaign routes
+  app.use('/api/email-campaigns', createEmailCampaignRoutes(services));
+
+  // Security dashboard routes
+  app.use('/api/security', createSecurityRoutes(services));
+
+  // Health alerts: list, acknowledge, resolve and test channels
+  app.use('/api/alerts', createAlertRoutes(services));
+
+  // Monitoring endpoints
+  app.get('/api/monitoring/health', async (req, res) => {
+    try {
+      const healthStatus = await services.monitoringService.getHealthStatus();
+      res.json(healthStatus);
+    } catch (error) {
+      logger.error('Health check error:', error);
+      res.status(500).json({ error: 'Health check failed' });
+    }
+  });
+
+  app.get('/api/monitoring/metrics', authenticateToken, async (req, res) => {
+    try {
+      const metrics = await services.monitoringService.getMetrics();
+      res.json(metrics);
+    } catch (error) {
+      logger.error('Metrics fetch error:', error);
+      res.status(500).json({ error: 'Failed to fetch metrics' });
+    }
+  });
+
+  // Older path for acknowledging a health alert; /api/alerts is the full API
+  app.post('/api/monitoring/alerts/:alertId/acknowledge', authenticateToken, authorizeRoles('admin', 'moderator'), async (req, res) => {
+    try {
+      await services.healthCheckService.notifier.acknowledge(req.params.alertId, { by: req.user.email || String(req.user._id) });
+      res.json({ message: 'Alert acknowledged' });
+    } catch (error) {
+      if (error.status && error.status < 500) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Alert acknowledgment error:', error);
+      res.status(500).json({ error: 'Failed to acknowledge alert' });
+    }
+  });
+
+  app.use((req, res) => {
+    res.status(404).json({ error: 'Endpoint not found' });
+  });
+
+  app.use((err, req, res, next) => {
+    logger.error('Unhandled error:', err);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong'
+    });
+  });
+
+  return app;
+}
+
+module.exports = createApp;
@@ -0,0 +1,70 @@
+const MonitoringService = require('./services/MonitoringService');
+const HealthCheckService = require('./services/HealthCheckService');
+const DataExportService = require('./services/DataExportService');
+const SecurityDashboardService = require('./services/SecurityDashboardService');
+const EmailTrackingService = require('./services/EmailTrackingService');
+const AbTestService = require('./services/AbTestService');
+const SegmentService = require('./services/SegmentService');
+const CampaignDeliveryService = require('./services/CampaignDeliveryService');
+const EmailQueueService = require('./services/EmailQueueService');
+const BounceService = require('./services/BounceService');
+const NewsletterService = require('./services/NewsletterService');
+const PreferenceCenterService = require('./services/PreferenceCenterService');
+const PrivacyComplianceService = require('./services/PrivacyComplianceService');
+const DoubleOptInService = require('./services/DoubleOptInService');
+const TwoFactorService = require('./services/TwoFactorService');
+const SessionService = require('./services/SessionService');
+const ApiKeyService = require('./services/ApiKeyService');
+const AccountEmailService = require('./services/AccountEmailService');
+const SsoService = require('./services/SsoService');
+const { createAuth } = require('./middleware/auth');
+
+/**
+ * Composition root for the API. Builds each service once and shares it
+ * between the routes that need it, so campaign routes and tracking routes
+ * see the same tracking keys and the same A/B test state, and authentication
+ * checks sessions with the same session service that issues them.
+ * @param {Object} overrides - Services to use instead of the defaults, e.g. in tests
+ * @returns {Object} Services by name
+ */
+function createContainer(overrides = {}) {
+  const services = { ...overrides };
+  const provide = (name, build) => {
+    if (!services[name]) {
+      services[name] = build();
+    }
+  };
+
+  provide('monitoringService', () => new MonitoringService());
+  provide('healthCheckService', () => new HealthCheckService());
+  provide('securityDashboardService', () => new SecurityDashboardService());
+  provide('emailTrackingService', () => new EmailTrackingService());
+  provide('abTestService', () => new AbTestService({ trackingService: services.emailTrackingService }));
+  provide('segmentService', () => new SegmentService());
+  provide('campaignDeliveryService', () => new CampaignDeliveryService());
+  provide('bounceService', () => new BounceService({ monitoringService: services.monitoringService }));
+  provide('newsletterService', () => new NewsletterService());
+  provide('preferenceService', () => new PreferenceCenterService());
+  provide('privacyService', () => new PrivacyComplianceService());
+  provide('dataExportService', () => new DataExportService({ privacyService: services.privacyService }));
+  provide('emailQueueService', () => new EmailQueueService({
+    monitoringService: services.monitoringService,
+    segmentService: services.segmentService,
+    trackingService: services.emailTrackingService,
+    preferenceService: services.preferenceService,
+    bounceService: services.bounceService,
+    abTestService: services.abTestService
+  }));
+  provide('doubleOptInService', () => new DoubleOptInService());
+  provide('twoFactorService', () => new TwoFactorService());
+  provide('sessionService', () => new SessionService());
+  provide('apiKeyService', () => new ApiKeyService());
+  provide('accountEmailService', () => new AccountEmailService({ sessionService: services.sessionService }));
+  provide('ssoService', () => new SsoService({ sessionService: services.sessionService, twoFactorService: services.twoFactorService }));
+  // Authentication middleware, bound to the services above
+  provide('auth', () => createAuth(services));
+
+  return services;
+}
+
+module.exports = createContainer;
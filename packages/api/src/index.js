@@ -0,0 +1,92 @@
+/**
+ * Public surface of the API package. Import from here rather than from
+ * files under src/, which may move.
+ *
+ * Modules load on first access, so requiring the package does not connect
+ * to databases or build services that are never used.
+ */
+
+const lazy = (paths) => Object.defineProperties({}, Object.fromEntries(
+  Object.entries(paths).map(([name, modulePath]) => [name, { enumerable: true, get: () => require(modulePath) }])
+));
+
+module.exports = Object.defineProperties({}, {
+  createApp: { enumerable: true, get: () => require('./app') },
+  createContainer: { enumerable: true, get: () => require('./container') },
+  app: { enumerable: true, get: () => require('./server').app },
+  start: { enumerable: true, get: () => require('./server').start },
+  logger: { enumerable: true, get: () => require('./logger') }
+});
+
+module.exports.services = lazy({
+  AbTestService: './services/AbTestService',
+  AccountEmailService: './services/AccountEmailService',
+  AccountErasureService: './services/AccountErasureService',
+  AlertNotificationService: './services/AlertNotificationService',
+  AnalyticsService: './services/AnalyticsService',
+  ApiKeyService: './services/ApiKeyService',
+  BounceService: './services/BounceService',
+  CacheService: './services/CacheService',
+  CampaignDeliveryService: './services/CampaignDeliveryService',
+  DataExportService: './services/DataExportService',
+  DatabaseOptimizationService: './services/DatabaseOptimizationService',
+  DoubleOptInService: './services/DoubleOptInService',
+  EmailQueueService: './services/EmailQueueService',
+  EmailService: './services/EmailService',
+  EmailTrackingService: './services/EmailTrackingService',
+  ErrorHandler: './services/ErrorHandler',
+  ErrorTrackingService: './services/ErrorTrackingService',
+  GoogleCalendarService: './services/GoogleCalendarService',
+  HealthCheckService: './services/HealthCheckService',
+  LoggingService: './services/LoggingService',
+  MachineEventClassifier: './services/MachineEventClassifier',
+  MonitoringService: './services/MonitoringService',
+  NewsletterRenderService: './services/NewsletterRenderService',
+  NewsletterService: './services/NewsletterService',
+  OidcClient: './services/OidcClient',
+  OutlookCalendarService: './services/OutlookCalendarService',
+  PaymentService: './services/PaymentService',
+  PreferenceCenterService: './services/PreferenceCenterService',
+  PrivacyComplianceService: './services/PrivacyComplianceService',
+  SamlServiceProvider: './services/SamlServiceProvider',
+  SecurityDashboardService: './services/SecurityDashboardService',
+  SecurityHardeningService: './services/SecurityHardeningService',
+  SecurityService: './services/SecurityService',
+  SegmentService: './services/SegmentService',
+  SendTimeService: './services/SendTimeService',
+  SessionService: './services/SessionService',
+  SsoService: './services/SsoService',
+  TwoFactorService: './services/TwoFactorService',
+  VulnerabilityScannerService: './services/VulnerabilityScannerService'
+});
+
+module.exports.models = lazy({
+  Analytics: './models/Analytics',
+  ApiKey: './models/ApiKey',
+  Appointment: './models/Appointment',
+  ConsentRecord: './models/ConsentRecord',
+  Content: './models/Content',
+  DataExport: './models/DataExport',
+  DataSubjectRequest: './models/DataSubjectRequest',
+  EmailCampaign: './models/EmailCampaign',
+  EmailJob: './models/EmailJob',
+  EmailTracking: './models/EmailTracking',
+  ErasureCertificate: './models/ErasureCertificate',
+  Newsletter: './models/Newsletter',
+  SecurityPolicy: './models/SecurityPolicy',
+  Segment: './models/Segment',
+  Session: './models/Session',
+  SsoConnection: './models/SsoConnection',
+  SsoRequest: './models/SsoRequest',
+  Subscriber: './models/Subscriber',
+  Subscription: './models/Subscription',
+  Suppression: './models/Suppression',
+  ThreatResponse: './models/ThreatResponse',
+  User: './models/User'
+});
+
+module.exports.middleware = lazy({
+  auth: './middleware/auth',
+  errorHandler: './middleware/errorHandler',
+  productionSecurity: './middleware/productionSecurity'
+});
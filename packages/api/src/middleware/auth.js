@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { SESSION_REQUIREMENTS } = require('../services/TwoFactorService');
 const winston = require('winston');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
@@ -18,107 +19,6 @@ const logger = winston.createLogger({
   ]
 });
 
-// JWT Authentication Middleware
-const authenticateToken = async (req, res, next) => {
-  try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-
-    if (!token) {
-      return res.status(401).json({ 
-        error: 'Access token required',
-        code: 'NO_TOKEN'
-      });
-    }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'test-jwt-secret-key');
-    const user = await User.findById(decoded.userId).select('-password');
-    
-    if (!user) {
-      return res.status(401).json({ 
-        error: 'User not found',
-        code: 'USER_NOT_FOUND'
-      });
-    }
-
-    if (user.is_suspended) {
-      return res.status(403).json({ 
-        error: 'Account suspended',
-        code: 'ACCOUNT_SUSPENDED'
-      });
-    }
-
-    req.user = user;
-    next();
-  } catch (error) {
-    logger.error('JWT authentication error:', error);
-    
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ 
-        error: 'Token expired',
-        code: 'TOKEN_EXPIRED'
-      });
-    }
-    
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({ 
-        error: 'Invalid token',
-        code: 'INVALID_TOKEN'
-      });
-    }
-
-    return res.status(500).json({ 
-      error: 'Authentication error',
-      code: 'AUTH_ERROR'
-    });
-  }
-};
-
-// Optional Authentication Middleware
-const optionalAuth = async (req, res, next) => {
-  try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-
-    if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'test-jwt-secret-key');
-      const user = await User.findById(decoded.userId).select('-password');
-      
-      if (user && !user.is_suspended) {
-        req.user = user;
-      }
-    }
-    
-    next();
-  } catch (error) {
-    // Continue without authentication for optional routes
-    next();
-  }
-};
-
-// Role-based Authorization Middleware
-const authorizeRoles = (...roles) => {
-  return (req, res, next) => {
-    if (!req.user) {
-      return res.status(401).json({ 
-        error: 'Authentication required',
-        code: 'AUTH_REQUIRED'
-      });
-    }
-
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({ 
-        error: 'Insufficient permissions',
-        code: 'INSUFFICIENT_PERMISSIONS',
-        required: roles,
-        current: req.user.role
-      });
-    }
-
-    next();
-  };
-};
-
 // Permission-based Authorization Middleware
 const authorizePermissions = (...permissions) => {
   return (req, res, next) => {
@@ -148,8 +48,10 @@ const authorizePermissions = (...permissions) => {
 };
 
 // Rate Limiting Middleware
-const createRateLimiter = (windowMs = 15 * 60 * 1000, max = 100, message = 'Too many requests') => {
+// options.keyGenerator counts requests by something other than the IP address
+const createRateLimiter = (windowMs = 15 * 60 * 1000, max = 100, message = 'Too many requests', options = {}) => {
   return rateLimit({
+    ...options,
     windowMs,
     max,
     message: {
@@ -174,6 +76,15 @@ const createRateLimiter = (windowMs = 15 * 60 * 1000, max = 100, message = 'Too
 const authRateLimiter = createRateLimiter(15 * 60 * 1000, 5, 'Too many authentication attempts');
 const apiRateLimiter = createRateLimiter(15 * 60 * 1000, 100, 'Too many API requests');
 const sensitiveRateLimiter = createRateLimiter(60 * 60 * 1000, 10, 'Too many sensitive operation requests');
+const twoFactorRateLimiter = createRateLimiter(15 * 60 * 1000, 20, 'Too many two-factor attempts');
+
+// Refresh tokens start with their session ID, so each session gets its own
+// budget for routine rotation; the per-IP limit only stops token guessing
+const refreshSessionRateLimiter = createRateLimiter(15 * 60 * 1000, 30, 'Too many token refreshes', {
+  keyGenerator: (req) => `session:${String((req.body && req.body.refreshToken) || '').split('.')[0]}`
+});
+const refreshIpRateLimiter = createRateLimiter(15 * 60 * 1000, 600, 'Too many token refreshes');
+const refreshRateLimiter = [refreshIpRateLimiter, refreshSessionRateLimiter];
 
 // Security Headers Middleware
 const securityHeaders = helmet({
@@ -225,64 +136,267 @@ const validateInput = (schema) => {
   };
 };
 
-// API Key Authentication Middleware
-const authenticateApiKey = async (req, res, next) => {
-  try {
-    const apiKey = req.headers['x-api-key'];
-    
-    if (!apiKey) {
-      return res.status(401).json({
-        error: 'API key required',
-        code: 'NO_API_KEY'
+// Email Verification Middleware
+// Until they verify their address, users can sign in and manage their own
+// account, but not reach their audience or its data
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      code: 'AUTH_REQUIRED'
+    });
+  }
+
+  if (!req.user.emailVerified) {
+    return res.status(403).json({
+      error: 'Please verify your email address first',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Middleware that needs the session, two-factor and API key services. The
+ * container builds this once from its services, so overrides such as
+ * createContainer({ sessionService }) also apply to authentication.
+ * @param {Object} services - sessionService, twoFactorService and apiKeyService
+ * @returns {Object} Middleware by name
+ */
+function createAuth({ sessionService, twoFactorService, apiKeyService }) {
+  // JWT Authentication Middleware
+  const authenticateToken = async (req, res, next) => {
+    try {
+      const authHeader = req.headers['authorization'];
+      const token = authHeader && authHeader.split(' ')[1];
+
+      if (!token) {
+        return res.status(401).json({ 
+          error: 'Access token required',
+          code: 'NO_TOKEN'
+        });
+      }
+
+      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'test-jwt-secret-key');
+
+      // Access tokens belong to a session, and stop working when it is revoked
+      if (!decoded.sid || await sessionService.isRevoked(decoded.sid)) {
+        return res.status(401).json({
+          error: 'Session has been revoked',
+          code: 'SESSION_REVOKED'
+        });
+      }
+
+      const user = await User.findById(decoded.userId).select('-password');
+      
+      if (!user) {
+        return res.status(401).json({ 
+          error: 'User not found',
+          code: 'USER_NOT_FOUND'
+        });
+      }
+
+      if (user.is_suspended) {
+        return res.status(403).json({ 
+          error: 'Account suspended',
+          code: 'ACCOUNT_SUSPENDED'
+        });
+      }
+
+      req.user = user;
+      req.auth = { sessionId: decoded.sid, twoFactorVerified: decoded.twoFactorVerified === true };
+      sessionService.touch(decoded.sid);
+      next();
+    } catch (error) {
+      logger.error('JWT authentication error:', error);
+      
+      if (error.name === 'TokenExpiredError') {
+        return res.status(401).json({ 
+          error: 'Token expired',
+          code: 'TOKEN_EXPIRED'
+        });
+      }
+      
+      if (error.name === 'JsonWebTokenError') {
+        return res.status(401).json({ 
+          error: 'Invalid token',
+          code: 'INVALID_TOKEN'
+        });
+      }
+
+      return res.status(500).json({ 
+        error: 'Authentication error',
+        code: 'AUTH_ERROR'
       });
     }
+  };
 
-    // In a real implementation, you would validate the API key against a database
-    // For now, we'll use environment variable for simple API key auth
-    if (apiKey !== process.env.API_KEY) {
-      return res.status(401).json({
-        error: 'Invalid API key',
-        code: 'INVALID_API_KEY'
-      });
+  // Optional Authentication Middleware
+  const optionalAuth = async (req, res, next) => {
+    try {
+      const authHeader = req.headers['authorization'];
+      const token = authHeader && authHeader.split(' ')[1];
+
+      if (token) {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'test-jwt-secret-key');
+        const user = decoded.sid && !await sessionService.isRevoked(decoded.sid)
+          ? await User.findById(decoded.userId).select('-password')
+          : null;
+        
+        if (user && !user.is_suspended) {
+          req.user = user;
+          req.auth = { sessionId: decoded.sid, twoFactorVerified: decoded.twoFactorVerified === true };
+        }
+      }
+      
+      next();
+    } catch (error) {
+      // Continue without authentication for optional routes
+      next();
     }
+  };
 
-    req.apiKey = apiKey;
-    next();
-  } catch (error) {
-    logger.error('API key authentication error:', error);
-    return res.status(500).json({
-      error: 'API key authentication error',
-      code: 'API_KEY_AUTH_ERROR'
-    });
-  }
-};
+  // Role-based Authorization Middleware
+  const authorizeRoles = (...roles) => {
+    return (req, res, next) => {
+      if (!req.user) {
+        return res.status(401).json({ 
+          error: 'Authentication required',
+          code: 'AUTH_REQUIRED'
+        });
+      }
 
-// Two-Factor Authentication Middleware
-const requireTwoFactor = async (req, res, next) => {
-  try {
-    if (!req.user) {
-      return res.status(401).json({
-        error: 'Authentication required',
-        code: 'AUTH_REQUIRED'
+      if (!roles.includes(req.user.role)) {
+        return res.status(403).json({ 
+          error: 'Insufficient permissions',
+          code: 'INSUFFICIENT_PERMISSIONS',
+          required: roles,
+          current: req.user.role
+        });
+      }
+
+      // Privileged routes are two-factor protected
+      return requireTwoFactor(req, res, next);
+    };
+  };
+
+  // API Key Authentication Middleware
+  // A key acts as its account, within its scopes and its own rate limit
+  const authenticateApiKey = async (req, res, next) => {
+    try {
+      const key = req.headers['x-api-key'];
+      
+      if (!key) {
+        return res.status(401).json({
+          error: 'API key required',
+          code: 'NO_API_KEY'
+        });
+      }
+
+      const { apiKey, user } = await apiKeyService.authenticate(key, { ipAddress: req.ip });
+
+      req.user = user;
+      req.apiKey = apiKey;
+      req.auth = { apiKeyId: String(apiKey._id), twoFactorVerified: false };
+      return apiKeyService.rateLimiter(apiKey)(req, res, next);
+    } catch (error) {
+      if (error.status === 401) {
+        return res.status(401).json({
+          error: error.message,
+          code: error.code
+        });
+      }
+
+      logger.error('API key authentication error:', error);
+      return res.status(500).json({
+        error: 'API key authentication error',
+        code: 'API_KEY_AUTH_ERROR'
       });
     }
+  };
+
+  // Scope Authorization Middleware
+  // Requests with an API key need every listed scope; a route that lists
+  // none is closed to API keys. Session tokens are not scoped.
+  const requireScopes = (...scopes) => {
+    return (req, res, next) => {
+      if (req.apiKey && (!scopes.length || !apiKeyService.hasScopes(req.apiKey, scopes))) {
+        return res.status(403).json({
+          error: 'API key is missing a required scope',
+          code: 'INSUFFICIENT_SCOPE',
+          required: scopes,
+          current: req.apiKey.scopes
+        });
+      }
+
+      next();
+    };
+  };
 
-    if (req.user.two_factor_enabled && !req.user.two_factor_verified) {
-      return res.status(403).json({
-        error: 'Two-factor authentication required',
-        code: '2FA_REQUIRED'
+  // Authentication for routes integrations may call: a bearer token, or an
+  // API key carrying the scopes
+  const authenticate = (...scopes) => [
+    (req, res, next) => req.headers['x-api-key']
+      ? authenticateApiKey(req, res, next)
+      : authenticateToken(req, res, next),
+    requireVerifiedEmail,
+    requireScopes(...scopes)
+  ];
+
+  // Two-Factor Authentication Middleware
+  // Users with two-factor on need a session verified with a code, and users
+  // in roles the security policy requires it for need to enroll first
+  const requireTwoFactor = async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          error: 'Authentication required',
+          code: 'AUTH_REQUIRED'
+        });
+      }
+
+      // API keys can only be created from a session that passed this check
+      if (req.apiKey) {
+        return next();
+      }
+
+      const requirement = await twoFactorService.sessionRequirement(req.user, req.auth);
+
+      if (requirement === SESSION_REQUIREMENTS.VERIFY) {
+        return res.status(403).json({
+          error: 'Two-factor authentication required',
+          code: requirement
+        });
+      }
+
+      if (requirement === SESSION_REQUIREMENTS.ENROLL) {
+        return res.status(403).json({
+          error: 'Two-factor authentication must be enabled for your role',
+          code: requirement
+        });
+      }
+
+      next();
+    } catch (error) {
+      logger.error('Two-factor authentication check error:', error);
+      return res.status(500).json({
+        error: 'Two-factor authentication check error',
+        code: '2FA_CHECK_ERROR'
       });
     }
+  };
 
-    next();
-  } catch (error) {
-    logger.error('Two-factor authentication check error:', error);
-    return res.status(500).json({
-      error: 'Two-factor authentication check error',
-      code: '2FA_CHECK_ERROR'
-    });
-  }
-};
+  return {
+    authenticateToken,
+    optionalAuth,
+    authorizeRoles,
+    authenticateApiKey,
+    requireScopes,
+    authenticate,
+    requireTwoFactor
+  };
+}
 
 // Session Management Middleware
 const sessionMiddleware = (req, res, next) => {
@@ -369,20 +483,19 @@ const corsOptions = {
 };
 
 module.exports = {
-  authenticateToken,
-  optionalAuth,
-  authorizeRoles,
+  createAuth,
   authorizePermissions,
   createRateLimiter,
   authRateLimiter,
+  twoFactorRateLimiter,
+  refreshRateLimiter,
   apiRateLimiter,
   sensitiveRateLimiter,
   securityHeaders,
   validateInput,
-  authenticateApiKey,
-  requireTwoFactor,
+  requireVerifiedEmail,
   sessionMiddleware,
   requestLogger,
   errorHandler,
   corsOptions
-};
\ No newline at end of file
+};
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+const API_KEY_SCOPES = [
+  'campaigns:read',
+  'campaigns:write',
+  'subscribers:read',
+  'subscribers:write',
+  'subscribers:import',
+  'analytics:read'
+];
+
+// A credential for an integration, script or app. The key acts as `userId`
+// but only for routes its scopes allow.
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Public part of the key, used to find it; shown in listings
+  keyId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Hash of the secret part; the key itself is only shown when created
+  keyHash: {
+    type: String,
+    required: true
+  },
+  // User keys belong to one person. Organisation keys are managed by any
+  // admin, so automation keeps working when the person who set it up leaves.
+  ownerType: {
+    type: String,
+    enum: ['user', 'organization'],
+    default: 'user'
+  },
+  // The account whose data the key works on
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  scopes: {
+    type: [{ type: String, enum: API_KEY_SCOPES }],
+    validate: scopes => scopes.length > 0
+  },
+  rateLimit: {
+    max: { type: Number, default: 1000 },
+    windowMs: { type: Number, default: 15 * 60 * 1000 }
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIpHash: {
+    type: String
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+apiKeySchema.index({ ownerType: 1, revokedAt: 1 });
+
+apiKeySchema.methods.toJSON = function() {
+  const apiKey = this.toObject();
+  delete apiKey.keyHash;
+  delete apiKey.__v;
+  return apiKey;
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
+module.exports.API_KEY_SCOPES = API_KEY_SCOPES;
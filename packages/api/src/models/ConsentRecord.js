@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Append-only ledger: every consent change is a new record, never an update.
+// The only exception is pseudonymisation when the account is erased.
+const consentRecordSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  purpose: {
+    type: String,
+    enum: ['essential', 'analytics', 'marketing', 'personalization', 'social', 'thirdParty', 'cookies'],
+    required: true
+  },
+  granted: {
+    type: Boolean,
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  policyVersion: {
+    type: String,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['privacy_settings', 'consent_banner', 'signup', 'data_subject_request', 'api'],
+    default: 'privacy_settings'
+  },
+  ipHash: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  },
+  pseudonymisedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+consentRecordSchema.index({ userId: 1, purpose: 1, version: -1 }, { unique: true });
+consentRecordSchema.index({ userId: 1, recordedAt: -1 });
+
+const ConsentRecord = mongoose.model('ConsentRecord', consentRecordSchema);
+
+module.exports = ConsentRecord;
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const exportFileSchema = new mongoose.Schema({
+  path: {
+    type: String,
+    required: true
+  },
+  collectionName: String,
+  format: {
+    type: String,
+    enum: ['json', 'csv']
+  },
+  records: Number,
+  bytes: Number,
+  sha256: String
+}, { _id: false });
+
+const dataExportSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  requestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DataSubjectRequest',
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'expired'],
+    default: 'queued',
+    index: true
+  },
+  fileName: String,
+  filePath: String,
+  size: Number,
+  sha256: String,
+  files: {
+    type: [exportFileSchema],
+    default: []
+  },
+  error: String,
+  startedAt: Date,
+  completedAt: Date,
+  expiresAt: {
+    type: Date,
+    index: true
+  },
+  downloadCount: {
+    type: Number,
+    default: 0
+  },
+  lastDownloadedAt: Date
+}, {
+  timestamps: true
+});
+
+dataExportSchema.index({ userId: 1, createdAt: -1 });
+
+const DataExport = mongoose.model('DataExport', dataExportSchema);
+
+module.exports = DataExport;
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+const auditEntrySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true
+  },
+  fromStatus: String,
+  toStatus: String,
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: String,
+  note: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const dataSubjectRequestSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ['export', 'rectify', 'erase', 'restrict'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'verifying', 'processing', 'completed', 'rejected', 'cancelled'],
+    default: 'pending',
+    index: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  dueDate: {
+    type: Date,
+    required: true,
+    index: true
+  },
+  extension: {
+    days: Number,
+    reason: String,
+    extendedAt: Date
+  },
+  completedAt: Date,
+  resolution: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  auditTrail: {
+    type: [auditEntrySchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+dataSubjectRequestSchema.index({ userId: 1, type: 1, status: 1 });
+dataSubjectRequestSchema.index({ status: 1, dueDate: 1 });
+
+dataSubjectRequestSchema.virtual('isOverdue').get(function() {
+  return !['completed', 'rejected', 'cancelled'].includes(this.status) && this.dueDate < new Date();
+});
+
+const DataSubjectRequest = mongoose.model('DataSubjectRequest', dataSubjectRequestSchema);
+
+module.exports = DataSubjectRequest;
@@ -21,7 +21,15 @@ const emailCampaignSchema = new mongoose.Schema({
   },
   content: {
     type: String,
-    required: true
+    // Campaigns for a newsletter issue are rendered from the issue at send time
+    required: function() {
+      return !this.newsletterId;
+    }
+  },
+  newsletterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Newsletter',
+    index: true
   },
   template: {
     type: String,
@@ -29,7 +37,7 @@ const emailCampaignSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['draft', 'scheduled', 'sending', 'sent', 'paused', 'cancelled'],
+    enum: ['draft', 'scheduled', 'sending', 'sent', 'paused', 'cancelled', 'failed'],
     default: 'draft',
     index: true
   },
@@ -45,9 +53,15 @@ const emailCampaignSchema = new mongoose.Schema({
       },
       firstName: String,
       lastName: String,
+      // Email rendering the recipient chose (see NewsletterRenderService)
+      variant: {
+        type: String,
+        enum: ['standard', 'adhd', 'dyslexia', 'asd'],
+        default: 'standard'
+      },
       status: {
         type: String,
-        enum: ['pending', 'sent', 'failed', 'bounced', 'opened', 'clicked'],
+        enum: ['pending', 'sent', 'failed', 'bounced', 'suppressed', 'opened', 'clicked'],
         default: 'pending'
       },
       sentAt: Date,
@@ -57,11 +71,13 @@ const emailCampaignSchema = new mongoose.Schema({
     }],
     default: []
   },
+  // Resolved into recipients at send time by SegmentService; 'manual' sends
+  // only to recipients added through the recipients endpoint
   segment: {
     type: {
       type: String,
-      enum: ['all', 'tag', 'custom'],
-      default: 'all'
+      enum: ['manual', 'all', 'tag', 'custom', 'saved'],
+      default: 'manual'
     },
     criteria: {
       type: mongoose.Schema.Types.Mixed,
@@ -107,7 +123,81 @@ const emailCampaignSchema = new mongoose.Schema({
     index: true
   },
   sentDate: Date,
+  // Set once every recipient has an EmailJob; until then a restart re-queues the campaign
+  queuedAt: {
+    type: Date,
+    default: null
+  },
   completedDate: Date,
+  pausedAt: Date,
+  // Send each recipient's email at the hour they usually open, within 24 hours
+  // of queueing (see SendTimeService)
+  optimizeSendTime: {
+    type: Boolean,
+    default: false
+  },
+  // Most emails per minute for this campaign; unset sends as fast as provider limits allow
+  sendRate: {
+    type: Number,
+    min: 1,
+    max: 10000,
+    default: null
+  },
+  // Subject or content variants sent to a test slice before the winner goes
+  // to everyone else (see AbTestService)
+  abTest: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    metric: {
+      type: String,
+      enum: ['open_rate', 'click_rate'],
+      default: 'open_rate'
+    },
+    // Share of the audience split between the variants; the rest waits for the winner
+    testPercentage: {
+      type: Number,
+      min: 5,
+      max: 50,
+      default: 20
+    },
+    waitHours: {
+      type: Number,
+      min: 1,
+      max: 72,
+      default: 4
+    },
+    variants: {
+      type: [{
+        _id: false,
+        key: {
+          type: String,
+          enum: ['A', 'B', 'C', 'D'],
+          required: true
+        },
+        subject: {
+          type: String,
+          trim: true,
+          maxlength: 300
+        },
+        content: String
+      }],
+      default: []
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'testing', 'winner_selected'],
+      default: 'pending'
+    },
+    testStartedAt: Date,
+    decideAt: Date,
+    winnerKey: String,
+    decidedAt: Date,
+    // Per-variant stats and significance when the winner was picked
+    results: mongoose.Schema.Types.Mixed,
+    significance: mongoose.Schema.Types.Mixed
+  },
   stats: {
     totalRecipients: {
       type: Number,
@@ -129,6 +219,11 @@ const emailCampaignSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    // Recipients skipped because they are on the suppression list
+    suppressed: {
+      type: Number,
+      default: 0
+    },
     opened: {
       type: Number,
       default: 0
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// One queued email: a campaign to a single recipient. Jobs outlive the worker
+// process, so a restart picks up where the last one stopped.
+const emailJobSchema = new mongoose.Schema({
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmailCampaign',
+    required: true
+  },
+  // campaignId:email; enqueueing the same campaign twice cannot queue a second copy
+  idempotencyKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  recipient: {
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true
+    },
+    subscriberId: String,
+    firstName: String,
+    lastName: String,
+    variant: {
+      type: String,
+      enum: ['standard', 'adhd', 'dyslexia', 'asd'],
+      default: 'standard'
+    }
+  },
+  // A/B test variant for recipients in the test slice; unset for everyone else
+  abVariant: {
+    type: String,
+    enum: ['A', 'B', 'C', 'D']
+  },
+  // Provider the recipient's domain belongs to ("gmail", "outlook"), or the domain itself
+  throttleGroup: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    // held: waiting for the campaign's A/B test to pick a winner
+    enum: ['queued', 'held', 'sending', 'sent', 'failed', 'suppressed', 'cancelled'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set while a worker holds the job; an expired lock means the worker died
+  lockedBy: String,
+  lockedUntil: Date,
+  lastError: {
+    code: String,
+    responseCode: Number,
+    message: String
+  },
+  messageId: String,
+  sentAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+emailJobSchema.index({ status: 1, nextAttemptAt: 1, throttleGroup: 1 });
+emailJobSchema.index({ campaignId: 1, status: 1 });
+// Delivery time lookups for tracking events
+emailJobSchema.index({ campaignId: 1, 'recipient.subscriberId': 1 });
+emailJobSchema.index({ status: 1, lockedUntil: 1 });
+
+const EmailJob = mongoose.model('EmailJob', emailJobSchema);
+
+module.exports = EmailJob;
@@ -26,9 +26,18 @@ const emailOpenSchema = new mongoose.Schema({
   },
   device_type: {
     type: String,
-    enum: ['desktop', 'mobile', 'tablet', 'other'],
+    enum: ['desktop', 'mobile', 'tablet', 'bot', 'other'],
     default: 'other'
   },
+  // Mail privacy proxies and link scanners, not a person (see MachineEventClassifier)
+  is_machine: {
+    type: Boolean,
+    default: false
+  },
+  machine_reasons: {
+    type: [String],
+    default: undefined
+  },
   opened_at: {
     type: Date,
     default: Date.now,
@@ -74,9 +83,18 @@ const emailClickSchema = new mongoose.Schema({
   },
   device_type: {
     type: String,
-    enum: ['desktop', 'mobile', 'tablet', 'other'],
+    enum: ['desktop', 'mobile', 'tablet', 'bot', 'other'],
     default: 'other'
   },
+  // Mail privacy proxies and link scanners, not a person (see MachineEventClassifier)
+  is_machine: {
+    type: Boolean,
+    default: false
+  },
+  machine_reasons: {
+    type: [String],
+    default: undefined
+  },
   utm_source: {
     type: String,
     default: null
@@ -175,22 +193,109 @@ const spamComplaintSchema = new mongoose.Schema({
   }
 });
 
+// One row per bounce report; classified by BounceService
+const emailBounceSchema = new mongoose.Schema({
+  email_id: {
+    type: String,
+    default: null,
+    index: true
+  },
+  subscriber_id: {
+    type: String,
+    default: null,
+    index: true
+  },
+  campaign_id: {
+    type: String,
+    default: null,
+    index: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    index: true
+  },
+  bounce_type: {
+    type: String,
+    enum: ['hard', 'soft', 'block'],
+    required: true
+  },
+  status_code: {
+    type: String,
+    default: null
+  },
+  diagnostic: {
+    type: String,
+    default: null,
+    maxlength: 1000
+  },
+  source: {
+    type: String,
+    enum: ['smtp', 'dsn', 'ses', 'sendgrid'],
+    required: true
+  },
+  // Soft bounce that crossed the soft bounce limit and was suppressed as hard
+  escalated: {
+    type: Boolean,
+    default: false
+  },
+  bounced_at: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Links a campaign's emails contained when they were rendered; click
+// redirects only go to these
+const trackedLinkSchema = new mongoose.Schema({
+  campaign_id: {
+    type: String,
+    required: true
+  },
+  link_id: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true,
+    maxlength: 2048
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
 // Create compound indexes for efficient queries
 emailOpenSchema.index({ campaign_id: 1, subscriber_id: 1 });
-emailOpenSchema.index({ email_id: 1, subscriber_id: 1 });
+emailOpenSchema.index({ email_id: 1, subscriber_id: 1, is_machine: 1 });
 emailClickSchema.index({ campaign_id: 1, subscriber_id: 1 });
-emailClickSchema.index({ email_id: 1, subscriber_id: 1 });
+emailClickSchema.index({ email_id: 1, subscriber_id: 1, clicked_at: -1 });
 emailUnsubscribeSchema.index({ campaign_id: 1, subscriber_id: 1 });
 spamComplaintSchema.index({ campaign_id: 1, subscriber_id: 1 });
+emailBounceSchema.index({ email: 1, bounce_type: 1, bounced_at: -1 });
+trackedLinkSchema.index({ campaign_id: 1, link_id: 1 }, { unique: true });
 
 const EmailOpen = mongoose.model('EmailOpen', emailOpenSchema);
 const EmailClick = mongoose.model('EmailClick', emailClickSchema);
 const EmailUnsubscribe = mongoose.model('EmailUnsubscribe', emailUnsubscribeSchema);
 const SpamComplaint = mongoose.model('SpamComplaint', spamComplaintSchema);
+const EmailBounce = mongoose.model('EmailBounce', emailBounceSchema);
+const TrackedLink = mongoose.model('TrackedLink', trackedLinkSchema);
 
 module.exports = {
   EmailOpen,
   EmailClick,
   EmailUnsubscribe,
-  SpamComplaint
+  SpamComplaint,
+  EmailBounce,
+  TrackedLink
 };
\ No newline at end of file
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const erasureStepSchema = new mongoose.Schema({
+  collectionName: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['deleted', 'anonymised', 'pseudonymised', 'cancelled', 'invalidated'],
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  retained: {
+    type: Boolean,
+    default: false
+  },
+  reason: String
+}, { _id: false });
+
+const erasureCertificateSchema = new mongoose.Schema({
+  certificateId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // HMAC of the erased user ID; the raw ID is never stored
+  subjectPseudonym: {
+    type: String,
+    required: true,
+    index: true
+  },
+  requestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DataSubjectRequest'
+  },
+  requestedBy: {
+    type: String,
+    enum: ['data_subject', 'admin', 'system'],
+    required: true
+  },
+  erasedAt: {
+    type: Date,
+    required: true
+  },
+  steps: {
+    type: [erasureStepSchema],
+    default: []
+  },
+  algorithm: {
+    type: String,
+    default: 'HMAC-SHA256'
+  },
+  signature: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+const ErasureCertificate = mongoose.model('ErasureCertificate', erasureCertificateSchema);
+
+module.exports = ErasureCertificate;
@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+
+// One entry per section module (TheSignal, TheVanguard, ...) used in the issue
+const newsletterSectionSchema = new mongoose.Schema({
+  sectionKey: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  icon: String,
+  priority: {
+    type: String,
+    enum: ['high', 'medium', 'low'],
+    default: 'medium'
+  },
+  content: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+// Mirrors the newsletters table in database/migrations/002_create_newsletters_table.sql.
+// custom_js is deliberately not carried over: mail clients strip scripts and the
+// web view would only gain an XSS vector.
+const newsletterSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 255
+  },
+  subtitle: {
+    type: String,
+    trim: true,
+    maxlength: 255
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    maxlength: 255
+  },
+  // Issue number, assigned when the issue is first sent
+  edition: Number,
+  content: {
+    type: String,
+    required: true
+  },
+  excerpt: String,
+  sections: {
+    type: [newsletterSectionSchema],
+    default: []
+  },
+  template: {
+    type: String,
+    default: 'modern',
+    maxlength: 100
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'scheduled', 'sent', 'archived'],
+    default: 'draft',
+    index: true
+  },
+  scheduledFor: {
+    type: Date,
+    index: true
+  },
+  sentAt: {
+    type: Date,
+    index: true
+  },
+  archivedAt: Date,
+  subjectLine: {
+    type: String,
+    maxlength: 255
+  },
+  previewText: {
+    type: String,
+    maxlength: 255
+  },
+  fromName: String,
+  fromEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  replyTo: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  tags: {
+    type: [String],
+    default: [],
+    index: true
+  },
+  category: {
+    type: String,
+    maxlength: 100,
+    index: true
+  },
+  featuredImageUrl: {
+    type: String,
+    maxlength: 500
+  },
+  clickTrackingEnabled: {
+    type: Boolean,
+    default: true
+  },
+  openTrackingEnabled: {
+    type: Boolean,
+    default: true
+  },
+  unsubscribeFooterEnabled: {
+    type: Boolean,
+    default: true
+  },
+  analyticsEnabled: {
+    type: Boolean,
+    default: true
+  },
+  customCss: String,
+  metrics: {
+    views: {
+      type: Number,
+      default: 0
+    },
+    shares: {
+      type: Number,
+      default: 0
+    }
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+newsletterSchema.index({ deletedAt: 1, status: 1, sentAt: -1 });
+newsletterSchema.index({ userId: 1, createdAt: -1 });
+newsletterSchema.index({ status: 1, scheduledFor: 1 });
+newsletterSchema.index({ title: 'text', content: 'text', excerpt: 'text' });
+
+const Newsletter = mongoose.model('Newsletter', newsletterSchema);
+
+module.exports = Newsletter;
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Platform-wide security settings, kept in a single document
+const securityPolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'default',
+    unique: true
+  },
+  // Roles that cannot use privileged routes until two-factor is enrolled
+  twoFactorRequiredRoles: [{
+    type: String,
+    enum: ['admin', 'moderator']
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('SecurityPolicy', securityPolicySchema);
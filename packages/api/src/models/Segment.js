@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const segmentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    maxlength: 1000
+  },
+  // Rule tree, validated by SegmentService.validateRules
+  rules: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  lastResolvedAt: Date,
+  lastResolvedCount: Number
+}, {
+  timestamps: true
+});
+
+segmentSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+const Segment = mongoose.model('Segment', segmentSchema);
+
+module.exports = Segment;
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// One login on one device. Access tokens name their session, so revoking it
+// ends them all; the refresh token rotates on every use.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Hash of the current refresh token; the token itself is never stored
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Hashes of refresh tokens already rotated out, to spot a stolen one being replayed
+  rotatedTokenHashes: [{
+    type: String
+  }],
+  device: {
+    name: String,
+    userAgent: {
+      type: String,
+      maxlength: 512
+    }
+  },
+  ipHash: {
+    type: String
+  },
+  twoFactorVerified: {
+    type: Boolean,
+    default: false
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastRefreshedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Hard limit, however often the session is refreshed
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'revoked', 'refresh_token_reuse', 'account_disabled', 'password_reset']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1, lastSeenAt: -1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
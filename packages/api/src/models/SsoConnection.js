@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const SSO_PROTOCOLS = ['oidc', 'saml'];
+
+// Roles an identity provider can grant. Admin is never granted through SSO.
+const SSO_ROLES = ['user', 'moderator'];
+
+// Single sign-on for an enterprise customer through their own identity
+// provider. People whose address is on one of the connection's domains
+// sign in there instead of with a password.
+const ssoConnectionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  protocol: {
+    type: String,
+    enum: SSO_PROTOCOLS,
+    required: true
+  },
+  // The enterprise-plan account the connection belongs to
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Domains people sign in for. A domain is added once its DNS TXT record
+  // shows the customer owns it, and belongs to at most one connection.
+  domains: {
+    type: [{ type: String, lowercase: true, trim: true }],
+    default: []
+  },
+  // Requested domains still waiting for their TXT record
+  pendingDomains: {
+    type: [{ type: String, lowercase: true, trim: true }],
+    default: []
+  },
+  // The TXT record value is piper-sso-verification=<token>
+  domainVerificationToken: {
+    type: String,
+    default: () => crypto.randomBytes(32).toString('base64url')
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  oidc: {
+    issuer: String,
+    clientId: String,
+    // Encrypted at rest
+    clientSecret: String,
+    tokenEndpointAuthMethod: {
+      type: String,
+      enum: ['client_secret_basic', 'client_secret_post'],
+      default: 'client_secret_basic'
+    },
+    scopes: [String],
+    // From the provider's discovery document
+    metadata: {
+      authorizationEndpoint: String,
+      tokenEndpoint: String,
+      jwksUri: String
+    }
+  },
+  saml: {
+    metadataUrl: String,
+    // From the IdP's metadata
+    entityId: String,
+    ssoUrl: String,
+    certificates: [String]
+  },
+  metadataRefreshedAt: {
+    type: Date,
+    default: null
+  },
+  // Claim (OIDC) or attribute (SAML) names to read the profile from
+  attributeMapping: {
+    email: String,
+    firstName: String,
+    lastName: String,
+    groups: String
+  },
+  // Create accounts at first sign-in; otherwise only existing accounts can use the connection
+  jitProvisioning: {
+    type: Boolean,
+    default: true
+  },
+  defaultRole: {
+    type: String,
+    enum: SSO_ROLES,
+    default: 'user'
+  },
+  // Groups from the IdP that grant a role; the highest matching role wins
+  roleMapping: [{
+    _id: false,
+    group: { type: String, required: true },
+    role: { type: String, enum: SSO_ROLES, required: true }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+ssoConnectionSchema.index(
+  { domains: 1 },
+  { unique: true, partialFilterExpression: { domains: { $type: 'string' } } }
+);
+
+ssoConnectionSchema.methods.toJSON = function() {
+  const connection = this.toObject();
+  if (connection.oidc) {
+    delete connection.oidc.clientSecret;
+  }
+  delete connection.__v;
+  return connection;
+};
+
+module.exports = mongoose.model('SsoConnection', ssoConnectionSchema);
+module.exports.SSO_PROTOCOLS = SSO_PROTOCOLS;
+module.exports.SSO_ROLES = SSO_ROLES;
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// One SSO sign-in in progress. It is found by the state sent to the
+// identity provider, used once when the provider answers, then holds the
+// single-use code the frontend exchanges for a session.
+const ssoRequestSchema = new mongoose.Schema({
+  connectionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SsoConnection',
+    required: true
+  },
+  protocol: {
+    type: String,
+    enum: ['oidc', 'saml'],
+    required: true
+  },
+  // Hash of the OIDC state or SAML RelayState; the value itself is never stored
+  stateHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  nonce: String,
+  codeVerifier: String,
+  // ID of the SAML AuthnRequest, which the Response must answer
+  samlRequestId: String,
+  // Set when a signed-in user started the sign-in to link their account;
+  // the identity can then only be linked to them
+  linkUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Set when the provider's answer is received, so it is only accepted once
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Hash of the code handed to the frontend
+  handoffHash: {
+    type: String
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+ssoRequestSchema.index({ handoffHash: 1 }, { unique: true, sparse: true });
+ssoRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('SsoRequest', ssoRequestSchema);
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+const subscriberSchema = new mongoose.Schema({
+  // Owner of the audience (the campaign sender)
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Reader account, when the subscriber has one; plan, language and timezone come from it
+  linkedUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  firstName: {
+    type: String,
+    trim: true
+  },
+  lastName: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    // pending: signed up through the public form and not yet confirmed
+    enum: ['pending', 'subscribed', 'unsubscribed', 'bounced', 'complained'],
+    default: 'subscribed',
+    index: true
+  },
+  tags: {
+    type: [String],
+    default: []
+  },
+  language: String,
+  timezone: String,
+  emailVariant: {
+    type: String,
+    enum: ['standard', 'adhd', 'dyslexia', 'asd']
+  },
+  // Chosen in the preference center
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly', 'monthly']
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'import', 'signup', 'api'],
+    default: 'manual'
+  },
+  customFields: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  subscribedAt: {
+    type: Date,
+    default: Date.now
+  },
+  unsubscribedAt: Date,
+  // Outstanding double opt-in confirmation; only the latest token is accepted
+  confirmation: {
+    tokenHash: String,
+    expiresAt: Date,
+    lastSentAt: Date,
+    sendCount: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Evidence of the opt-in, kept for as long as the subscriber is
+  consent: {
+    formVersion: String,
+    requestedAt: Date,
+    requestIpHash: String,
+    confirmedAt: Date,
+    confirmIpHash: String
+  }
+}, {
+  timestamps: true
+});
+
+subscriberSchema.index({ userId: 1, email: 1 }, { unique: true });
+subscriberSchema.index({ userId: 1, status: 1, tags: 1 });
+subscriberSchema.index({ 'confirmation.expiresAt': 1 }, { sparse: true });
+
+const Subscriber = mongoose.model('Subscriber', subscriberSchema);
+
+module.exports = Subscriber;
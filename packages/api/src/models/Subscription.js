@@ -132,6 +132,10 @@ const subscriptionSchema = new mongoose.Schema({
   isTrial: {
     type: Boolean,
     default: true
+  },
+  pseudonymisedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
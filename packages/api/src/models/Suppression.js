@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Platform-wide list of addresses no campaign may send to. Looked up by a
+// salted hash so the entry outlives account erasure without keeping the address.
+const suppressionSchema = new mongoose.Schema({
+  emailHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Cleared on erasure; emailHash stays so the address is never mailed again
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  reason: {
+    type: String,
+    enum: ['hard_bounce', 'soft_bounce_limit', 'complaint', 'manual'],
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['smtp', 'dsn', 'ses', 'sendgrid', 'admin'],
+    required: true
+  },
+  diagnostic: {
+    type: String,
+    maxlength: 1000
+  },
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmailCampaign'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  suppressedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+suppressionSchema.index({ email: 1 });
+suppressionSchema.index({ reason: 1, suppressedAt: -1 });
+
+const Suppression = mongoose.model('Suppression', suppressionSchema);
+
+module.exports = Suppression;
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const threatResponseSchema = new mongoose.Schema({
+  threatId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  action: {
+    type: String,
+    enum: ['acknowledge', 'block', 'resolve', 'escalate'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['acknowledged', 'blocked', 'resolved', 'escalated'],
+    required: true
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  respondedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  threat: {
+    type: {
+      type: String
+    },
+    severity: String,
+    sourceIp: String,
+    detectedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+threatResponseSchema.index({ threatId: 1, createdAt: -1 });
+threatResponseSchema.index({ respondedBy: 1, createdAt: -1 });
+
+const ThreatResponse = mongoose.model('ThreatResponse', threatResponseSchema);
+
+module.exports = ThreatResponse;
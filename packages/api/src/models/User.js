@@ -76,22 +76,44 @@ const userSchema = new mongoose.Schema({
     dataProcessing: { type: Boolean, default: true },
     marketingEmails: { type: Boolean, default: false },
     analyticsTracking: { type: Boolean, default: true },
-    cookieConsent: { type: Boolean, default: true }
+    cookieConsent: { type: Boolean, default: true },
+    processingRestricted: { type: Boolean, default: false }
   },
   neurodiversityProfile: {
     adhd: { type: Boolean, default: false },
     dyslexia: { type: Boolean, default: false },
     autism: { type: Boolean, default: false },
-    other: { type: String, default: '' }
+    other: { type: String, default: '' },
+    emailVariant: { type: String, enum: ['standard', 'adhd', 'dyslexia', 'asd'], default: 'standard' }
   },
   twoFactorEnabled: {
     type: Boolean,
     default: false
   },
+  // TOTP secrets are stored encrypted; see TwoFactorService
   twoFactorSecret: {
     type: String,
     default: null
   },
+  twoFactorPendingSecret: {
+    type: String,
+    default: null
+  },
+  twoFactorEnabledAt: {
+    type: Date,
+    default: null
+  },
+  // Last TOTP time step accepted, so a code cannot be replayed
+  twoFactorLastStep: {
+    type: Number,
+    default: null
+  },
+  twoFactorRecoveryCodes: [{
+    _id: false,
+    hash: { type: String, required: true },
+    usedAt: { type: Date, default: null }
+  }],
+  // Reset and verification tokens are stored as hashes; see AccountEmailService
   resetPasswordToken: {
     type: String,
     default: null
@@ -100,6 +122,45 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  resetPasswordRequestedAt: {
+    type: Date,
+    default: null
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  emailVerificationToken: {
+    type: String,
+    default: null
+  },
+  emailVerificationExpires: {
+    type: Date,
+    default: null
+  },
+  emailVerificationSentAt: {
+    type: Date,
+    default: null
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  // Set for accounts that sign in through an SSO connection: the connection
+  // and the identity provider's stable ID for the person
+  ssoConnectionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SsoConnection',
+    default: null
+  },
+  ssoSubject: {
+    type: String,
+    default: null
+  },
+  lastSsoLoginAt: {
+    type: Date,
+    default: null
+  },
   loginAttempts: {
     type: Number,
     default: 0
@@ -115,6 +176,10 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ isActive: 1 });
+userSchema.index(
+  { ssoConnectionId: 1, ssoSubject: 1 },
+  { unique: true, partialFilterExpression: { ssoSubject: { $type: 'string' } } }
+);
 
 userSchema.virtual('isLocked').get(function() {
   return !!(this.lockUntil && this.lockUntil > Date.now());
@@ -166,8 +231,15 @@ userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
   delete user.twoFactorSecret;
+  delete user.twoFactorPendingSecret;
+  delete user.twoFactorLastStep;
+  delete user.twoFactorRecoveryCodes;
   delete user.resetPasswordToken;
   delete user.resetPasswordExpires;
+  delete user.resetPasswordRequestedAt;
+  delete user.emailVerificationToken;
+  delete user.emailVerificationExpires;
+  delete user.emailVerificationSentAt;
   delete user.loginAttempts;
   delete user.lockUntil;
   return user;
@@ -0,0 +1,109 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { createRateLimiter } = require('../middleware/auth');
+
+const accountEmailRateLimiter = createRateLimiter(60 * 60 * 1000, 5, 'Too many account email requests');
+const accountTokenRateLimiter = createRateLimiter(15 * 60 * 1000, 10, 'Too many attempts');
+
+// Same answer whether or not the address has an account
+const RESET_REQUESTED_MESSAGE = 'If an account exists for this address, we have emailed a link to reset its password';
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ error: fallbackMessage });
+};
+
+const passwordRule = (field) => body(field)
+  .isLength({ min: 8 })
+  .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/);
+
+/**
+ * Password reset and email verification
+ */
+function createAccountRoutes({ accountEmailService, auth }) {
+  const { authenticateToken } = auth;
+  const router = express.Router();
+
+  /**
+   * Email a password reset link
+   * POST /api/auth/forgot-password
+   */
+  router.post('/forgot-password', accountEmailRateLimiter, [
+    body('email').isEmail().normalizeEmail()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      await accountEmailService.requestPasswordReset(req.body.email);
+    } catch (error) {
+      // Logged but not reported, so failures do not reveal which addresses have accounts
+      console.error('Failed to send password reset link:', error);
+    }
+    res.json({ message: RESET_REQUESTED_MESSAGE });
+  });
+
+  /**
+   * Set a new password with the token from the reset link. Signs the
+   * account out everywhere.
+   * POST /api/auth/reset-password
+   */
+  router.post('/reset-password', accountTokenRateLimiter, [
+    body('token').isString().notEmpty(),
+    passwordRule('newPassword')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      await accountEmailService.resetPassword(req.body.token, req.body.newPassword);
+      res.json({ message: 'Password reset. Please log in with your new password.' });
+    } catch (error) {
+      sendError(res, error, 'Failed to reset password');
+    }
+  });
+
+  /**
+   * Verify the account's email address with the token from the verification link
+   * POST /api/auth/verify-email
+   */
+  router.post('/verify-email', accountTokenRateLimiter, [
+    body('token').isString().notEmpty()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      await accountEmailService.verifyEmail(req.body.token);
+      res.json({ message: 'Email address verified' });
+    } catch (error) {
+      sendError(res, error, 'Failed to verify email address');
+    }
+  });
+
+  /**
+   * Send a new verification link to the current user
+   * POST /api/auth/resend-verification
+   */
+  router.post('/resend-verification', accountEmailRateLimiter, authenticateToken, async (req, res) => {
+    try {
+      await accountEmailService.sendVerification(req.user);
+      res.json({ message: 'Verification email sent' });
+    } catch (error) {
+      sendError(res, error, 'Failed to send verification email');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAccountRoutes;
@@ -0,0 +1,109 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const { CHANNELS, ALERT_STATUSES } = require('../services/AlertNotificationService');
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ error: fallbackMessage });
+};
+
+/**
+ * Health alert routes
+ */
+function createAlertRoutes({ healthCheckService, auth }) {
+  const { authenticateToken, authorizeRoles } = auth;
+  const router = express.Router();
+
+  router.use(authenticateToken, authorizeRoles('admin', 'moderator'));
+
+  /**
+   * List health alerts, newest first
+   * GET /api/alerts
+   */
+  router.get('/', [
+    query('status').optional().isIn(Object.values(ALERT_STATUSES)),
+    query('source').optional().isString().trim()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { status, source } = req.query;
+      const alerts = healthCheckService.notifier.listAlerts({ status, source });
+      const channels = Object.fromEntries(CHANNELS.map(channel => [channel, healthCheckService.notifier.isConfigured(channel)]));
+
+      res.json({ data: alerts, channels });
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch alerts');
+    }
+  });
+
+  /**
+   * Acknowledge an alert, which stops reminders and escalation
+   * POST /api/alerts/:id/acknowledge
+   */
+  router.post('/:id/acknowledge', [
+    param('id').isUUID()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const alert = await healthCheckService.notifier.acknowledge(req.params.id, { by: req.user.email || String(req.user._id) });
+      res.json({ data: alert });
+    } catch (error) {
+      sendError(res, error, 'Failed to acknowledge alert');
+    }
+  });
+
+  /**
+   * Resolve an alert by hand
+   * POST /api/alerts/:id/resolve
+   */
+  router.post('/:id/resolve', [
+    param('id').isUUID()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const alert = await healthCheckService.notifier.resolve(req.params.id, { by: req.user.email || String(req.user._id) });
+      res.json({ data: alert });
+    } catch (error) {
+      sendError(res, error, 'Failed to resolve alert');
+    }
+  });
+
+  /**
+   * Send a test notification through one channel
+   * POST /api/alerts/test
+   */
+  router.post('/test', authorizeRoles('admin'), [
+    body('channel').isIn(CHANNELS)
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const delivery = await healthCheckService.notifier.sendTest(req.body.channel, { by: req.user.email || String(req.user._id) });
+      res.status(delivery.ok ? 200 : 502).json({ data: delivery });
+    } catch (error) {
+      sendError(res, error, 'Failed to send test alert');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAlertRoutes;
@@ -0,0 +1,106 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { requireVerifiedEmail } = require('../middleware/auth');
+const { API_KEY_SCOPES } = require('../models/ApiKey');
+
+const OWNER_TYPES = ['user', 'organization'];
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ error: fallbackMessage });
+};
+
+/**
+ * API key management. Keys are managed from a signed-in session, never with
+ * another API key.
+ */
+function createApiKeyRoutes({ apiKeyService, auth }) {
+  const { authenticateToken, requireTwoFactor } = auth;
+  const router = express.Router();
+
+  router.use(authenticateToken, requireVerifiedEmail, requireTwoFactor);
+
+  /**
+   * Scopes a key can carry
+   * GET /api/api-keys/scopes
+   */
+  router.get('/scopes', (req, res) => {
+    res.json({ data: API_KEY_SCOPES });
+  });
+
+  /**
+   * The user's own keys, or with ownerType=organization the organisation keys (admin)
+   * GET /api/api-keys
+   */
+  router.get('/', [
+    query('ownerType').optional().isIn(OWNER_TYPES)
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      res.json({ data: await apiKeyService.listKeys(req.user, { ownerType: req.query.ownerType }) });
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch API keys');
+    }
+  });
+
+  /**
+   * Create a key. The response holds the key, which is not shown again.
+   * POST /api/api-keys
+   */
+  router.post('/', [
+    body('name').isString().trim().isLength({ min: 1, max: 100 }),
+    body('scopes').isArray({ min: 1 }),
+    body('scopes.*').isIn(API_KEY_SCOPES),
+    body('expiresInDays').optional().isInt({ min: 1, max: 365 }).toInt(),
+    body('rateLimit.max').optional().isInt({ min: 1, max: 10000 }).toInt(),
+    body('rateLimit.windowMs').optional().isInt({ min: 1000, max: 60 * 60 * 1000 }).toInt(),
+    body('ownerType').optional().isIn(OWNER_TYPES),
+    body('userId').optional().isMongoId()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { key, apiKey } = await apiKeyService.createKey(req.user, req.body);
+      res.status(201).json({ key, data: apiKey });
+    } catch (error) {
+      sendError(res, error, 'Failed to create API key');
+    }
+  });
+
+  /**
+   * Revoke a key; it stops working immediately
+   * DELETE /api/api-keys/:id
+   */
+  router.delete('/:id', [
+    param('id').isMongoId()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const apiKey = await apiKeyService.revokeKey(req.params.id, req.user);
+      if (!apiKey) {
+        return res.status(404).json({ error: 'API key not found' });
+      }
+      res.json({ message: 'API key revoked', data: apiKey });
+    } catch (error) {
+      sendError(res, error, 'Failed to revoke API key');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createApiKeyRoutes;
@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const BounceService = require('../services/BounceService');
+const Suppression = require('../models/Suppression');
+
+const { SUPPRESSION_REASONS } = BounceService;
+
+// SNS posts its JSON as text/plain, and DSNs are raw messages
+const rawBody = express.text({ type: ['text/plain', 'message/rfc822', 'message/delivery-status', 'multipart/report'], limit: '1mb' });
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({ error: error.message });
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ error: fallbackMessage });
+};
+
+/**
+ * Providers and the mail server's DSN forwarder share BOUNCE_WEBHOOK_SECRET,
+ * sent as the X-Webhook-Token header or a ?token= query parameter
+ */
+const verifyWebhookToken = (req, res, next) => {
+  const secret = process.env.BOUNCE_WEBHOOK_SECRET;
+  if (!secret) {
+    console.error('BOUNCE_WEBHOOK_SECRET is not set; rejecting bounce webhook');
+    return res.status(503).json({ error: 'Bounce processing is not configured' });
+  }
+
+  const provided = String(req.get('x-webhook-token') || req.query.token || '');
+  const expected = crypto.createHash('sha256').update(secret).digest();
+  const actual = crypto.createHash('sha256').update(provided).digest();
+  if (!provided || !crypto.timingSafeEqual(expected, actual)) {
+    return res.status(401).json({ error: 'Invalid webhook token' });
+  }
+  next();
+};
+
+/**
+ * Bounce and complaint webhooks, and the suppression list
+ */
+function createBounceRoutes({ bounceService, auth }) {
+  const { authenticateToken, authorizeRoles } = auth;
+  const router = express.Router();
+
+  /**
+   * Bounce and complaint webhook from an email provider
+   * POST /api/bounces/webhooks/:provider
+   */
+  router.post('/webhooks/:provider', verifyWebhookToken, rawBody, [
+    param('provider').isIn(['ses', 'sendgrid'])
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      let payload = req.body;
+      if (typeof payload === 'string') {
+        try {
+          payload = JSON.parse(payload);
+        } catch (error) {
+          return res.status(400).json({ error: 'Webhook body is not valid JSON' });
+        }
+      }
+
+      // The subscription has to be confirmed once, by hand, from the logged URL
+      if (payload && payload.Type === 'SubscriptionConfirmation') {
+        console.warn(`SNS subscription confirmation for ${payload.TopicArn}: ${payload.SubscribeURL}`);
+        return res.json({ message: 'Subscription confirmation received' });
+      }
+
+      const reports = bounceService.parseWebhook(req.params.provider, payload);
+      const counts = await bounceService.processReports(reports);
+      res.json({ message: 'Webhook processed', ...counts });
+    } catch (error) {
+      sendError(res, error, 'Failed to process bounce webhook');
+    }
+  });
+
+  /**
+   * Delivery status notification forwarded from our own mail server
+   * POST /api/bounces/dsn
+   */
+  router.post('/dsn', verifyWebhookToken, rawBody, async (req, res) => {
+    try {
+      if (typeof req.body !== 'string' || !req.body.trim()) {
+        return res.status(400).json({ error: 'Send the DSN as the raw message body' });
+      }
+
+      const counts = await bounceService.processReports(bounceService.parseDsn(req.body));
+      res.json({ message: 'DSN processed', ...counts });
+    } catch (error) {
+      sendError(res, error, 'Failed to process DSN');
+    }
+  });
+
+  /**
+   * List the suppression list
+   * GET /api/bounces/suppressions
+   */
+  router.get('/suppressions', authenticateToken, authorizeRoles('admin'), [
+    query('reason').optional().isIn(SUPPRESSION_REASONS),
+    query('email').optional().isEmail().normalizeEmail(),
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { reason, email, page = 1, limit = 50 } = req.query;
+      const filter = {};
+      if (reason) {
+        filter.reason = reason;
+      }
+      if (email) {
+        filter.emailHash = bounceService.hashEmail(email);
+      }
+
+      const [suppressions, total] = await Promise.all([
+        Suppression.find(filter).sort({ suppressedAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+        Suppression.countDocuments(filter)
+      ]);
+
+      res.json({
+        data: suppressions,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch suppressions');
+    }
+  });
+
+  /**
+   * Suppress an address by hand
+   * POST /api/bounces/suppressions
+   */
+  router.post('/suppressions', authenticateToken, authorizeRoles('admin'), [
+    body('email').isEmail().normalizeEmail(),
+    body('note').optional().isString().trim().isLength({ max: 1000 })
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const suppression = await bounceService.suppress(req.body.email, {
+        reason: 'manual',
+        source: 'admin',
+        diagnostic: req.body.note,
+        createdBy: req.user._id
+      });
+      res.status(201).json({ data: suppression });
+    } catch (error) {
+      sendError(res, error, 'Failed to suppress address');
+    }
+  });
+
+  /**
+   * Lift a suppression. Subscriber statuses are left alone; the sender decides
+   * whether to resubscribe anyone.
+   * DELETE /api/bounces/suppressions/:email
+   */
+  router.delete('/suppressions/:email', authenticateToken, authorizeRoles('admin'), [
+    param('email').isEmail().normalizeEmail()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      await bounceService.removeSuppression(req.params.email);
+      res.json({ message: 'Suppression removed' });
+    } catch (error) {
+      sendError(res, error, 'Failed to remove suppression');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createBounceRoutes;
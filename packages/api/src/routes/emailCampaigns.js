@@ -1,436 +1,619 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const EmailCampaign = require('../models/EmailCampaign');
-const EmailTrackingService = require('../services/EmailTrackingService');
-const { authenticateToken } = require('../middleware/auth');
+const User = require('../models/User');
+const { EMAIL_VARIANTS } = require('../services/NewsletterRenderService');
+const AbTestService = require('../services/AbTestService');
+const { AB_TEST_METRICS, VARIANT_KEYS } = AbTestService;
+
+const SEGMENT_TYPES = ['manual', 'all', 'tag', 'custom', 'saved'];
+
+const abTestValidation = [
+  body('abTest').optional().isObject(),
+  body('abTest.enabled').optional().isBoolean(),
+  body('abTest.metric').optional().isIn(AB_TEST_METRICS),
+  body('abTest.testPercentage').optional().isInt({ min: 5, max: 50 }).toInt(),
+  body('abTest.waitHours').optional().isFloat({ min: 1, max: 72 }).toFloat(),
+  body('abTest.variants').optional().isArray({ min: 2, max: VARIANT_KEYS.length }),
+  body('abTest.variants.*.subject').optional().isString().trim().isLength({ min: 1, max: 300 }),
+  body('abTest.variants.*.content').optional().isString().isLength({ min: 1 })
+];
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({ error: error.message });
+  }
 
-const router = express.Router();
-const emailTrackingService = new EmailTrackingService();
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ error: fallbackMessage });
+};
 
 /**
- * Get all campaigns for the authenticated user
- * GET /api/email/campaigns
+ * Email campaign routes: campaigns, recipients, sending and A/B tests
  */
-router.get('/campaigns', authenticateToken, async (req, res) => {
-  try {
-    const { page = 1, limit = 10, status, search } = req.query;
-    const userId = req.user._id;
+function createEmailCampaignRoutes({ emailTrackingService, segmentService, campaignDeliveryService, abTestService, auth }) {
+  const { authenticate } = auth;
+  const router = express.Router();
+
+  /**
+   * Get all campaigns for the authenticated user
+   * GET /api/email/campaigns
+   */
+  router.get('/campaigns', authenticate('campaigns:read'), async (req, res) => {
+    try {
+      const { page = 1, limit = 10, status, search } = req.query;
+      const userId = req.user._id;
 
-    const query = { userId, isDeleted: false };
+      const query = { userId, isDeleted: false };
     
-    if (status) {
-      query.status = status;
-    }
+      if (status) {
+        query.status = status;
+      }
     
-    if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { subject: { $regex: search, $options: 'i' } }
-      ];
-    }
-
-    const campaigns = await EmailCampaign.find(query)
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .lean();
-
-    const total = await EmailCampaign.countDocuments(query);
-
-    res.json({
-      campaigns,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
-    });
-  } catch (error) {
-    console.error('Error fetching campaigns:', error);
-    res.status(500).json({ error: 'Failed to fetch campaigns' });
-  }
-});
+      if (search) {
+        query.$or = [
+          { name: { $regex: search, $options: 'i' } },
+          { subject: { $regex: search, $options: 'i' } }
+        ];
+      }
 
-/**
- * Get a specific campaign
- * GET /api/email/campaigns/:id
- */
-router.get('/campaigns/:id', authenticateToken, async (req, res) => {
-  try {
-    const campaign = await EmailCampaign.findOne({
-      _id: req.params.id,
-      userId: req.user._id,
-      isDeleted: false
-    }).lean();
-
-    if (!campaign) {
-      return res.status(404).json({ error: 'Campaign not found' });
+      const campaigns = await EmailCampaign.find(query)
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit)
+        .lean();
+
+      const total = await EmailCampaign.countDocuments(query);
+
+      res.json({
+        campaigns,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching campaigns:', error);
+      res.status(500).json({ error: 'Failed to fetch campaigns' });
     }
+  });
 
-    // Get additional analytics from tracking service
-    let analytics = null;
+  /**
+   * Get a specific campaign
+   * GET /api/email/campaigns/:id
+   */
+  router.get('/campaigns/:id', authenticate('campaigns:read'), async (req, res) => {
     try {
-      analytics = await emailTrackingService.getCampaignAnalytics(campaign._id.toString());
-    } catch (analyticsError) {
-      console.warn('Could not fetch campaign analytics:', analyticsError.message);
-    }
+      const campaign = await EmailCampaign.findOne({
+        _id: req.params.id,
+        userId: req.user._id,
+        isDeleted: false
+      }).lean();
+
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
 
-    res.json({
-      ...campaign,
-      analytics
-    });
-  } catch (error) {
-    console.error('Error fetching campaign:', error);
-    res.status(500).json({ error: 'Failed to fetch campaign' });
-  }
-});
+      // Get additional analytics from tracking service
+      let analytics = null;
+      try {
+        analytics = await emailTrackingService.getCampaignAnalytics(campaign._id.toString(), { sent: campaign.stats.sent });
+      } catch (analyticsError) {
+        console.warn('Could not fetch campaign analytics:', analyticsError.message);
+      }
 
-/**
- * Create a new campaign
- * POST /api/email/campaigns
- */
-router.post('/campaigns', authenticateToken, [
-  body('name').trim().isLength({ min: 1, max: 200 }).withMessage('Campaign name is required and must be less than 200 characters'),
-  body('subject').trim().isLength({ min: 1, max: 300 }).withMessage('Subject is required and must be less than 300 characters'),
-  body('content').trim().isLength({ min: 1 }).withMessage('Content is required'),
-  body('template').optional().isString(),
-  body('fromEmail').optional().isEmail().normalizeEmail(),
-  body('fromName').optional().isString().trim(),
-  body('replyTo').optional().isEmail().normalizeEmail(),
-  body('segment').optional().isObject(),
-  body('tags').optional().isArray()
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
+      // Queue progress and ETA, once the campaign has started sending
+      let delivery = null;
+      if (campaign.queuedAt) {
+        delivery = await campaignDeliveryService.getDeliveryStatus(campaign);
+      }
 
-    const {
-      name,
-      subject,
-      content,
-      template = 'default',
-      fromEmail = process.env.DEFAULT_FROM_EMAIL || 'noreply@pipernewsletter.com',
-      fromName = 'Piper Newsletter',
-      replyTo,
-      segment = { type: 'all', criteria: {} },
-      tags = [],
-      tracking = {
-        trackOpens: true,
-        trackClicks: true,
-        trackUnsubscribes: true
-      }
-    } = req.body;
-
-    const campaign = new EmailCampaign({
-      userId: req.user._id,
-      name,
-      subject,
-      content,
-      template,
-      segment,
-      tracking,
-      settings: {
-        fromEmail,
-        fromName,
-        replyTo: replyTo || fromEmail
-      },
-      tags,
-      status: 'draft'
-    });
-
-    await campaign.save();
-
-    res.status(201).json(campaign);
-  } catch (error) {
-    console.error('Error creating campaign:', error);
-    res.status(500).json({ error: 'Failed to create campaign' });
-  }
-});
+      // Per-variant results, once an A/B test has started
+      let abTestResults = null;
+      if (campaign.abTest && campaign.abTest.enabled && campaign.abTest.status !== 'pending') {
+        abTestResults = await abTestService.getResults(campaign);
+      }
 
-/**
- * Update a campaign
- * PUT /api/email/campaigns/:id
- */
-router.put('/campaigns/:id', authenticateToken, [
-  body('name').optional().trim().isLength({ min: 1, max: 200 }),
-  body('subject').optional().trim().isLength({ min: 1, max: 300 }),
-  body('content').optional().trim().isLength({ min: 1 }),
-  body('template').optional().isString(),
-  body('fromEmail').optional().isEmail().normalizeEmail(),
-  body('fromName').optional().isString().trim(),
-  body('replyTo').optional().isEmail().normalizeEmail(),
-  body('segment').optional().isObject(),
-  body('tags').optional().isArray(),
-  body('tracking').optional().isObject()
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
+      res.json({
+        ...campaign,
+        analytics,
+        delivery,
+        abTestResults
+      });
+    } catch (error) {
+      console.error('Error fetching campaign:', error);
+      res.status(500).json({ error: 'Failed to fetch campaign' });
     }
+  });
+
+  /**
+   * Create a new campaign
+   * POST /api/email/campaigns
+   */
+  router.post('/campaigns', authenticate('campaigns:write'), [
+    body('name').trim().isLength({ min: 1, max: 200 }).withMessage('Campaign name is required and must be less than 200 characters'),
+    body('subject').trim().isLength({ min: 1, max: 300 }).withMessage('Subject is required and must be less than 300 characters'),
+    body('content').if(body('newsletterId').not().exists()).trim().isLength({ min: 1 }).withMessage('Content is required'),
+    body('newsletterId').optional().isMongoId(),
+    body('template').optional().isString(),
+    body('fromEmail').optional().isEmail().normalizeEmail(),
+    body('fromName').optional().isString().trim(),
+    body('replyTo').optional().isEmail().normalizeEmail(),
+    body('segment').optional().isObject(),
+    body('segment.type').optional().isIn(SEGMENT_TYPES),
+    body('tags').optional().isArray(),
+    body('optimizeSendTime').optional().isBoolean().toBoolean(),
+    ...abTestValidation
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    const campaign = await EmailCampaign.findOne({
-      _id: req.params.id,
-      userId: req.user._id,
-      isDeleted: false
-    });
+      const {
+        name,
+        subject,
+        content,
+        newsletterId,
+        template = 'default',
+        fromEmail = process.env.DEFAULT_FROM_EMAIL || 'noreply@pipernewsletter.com',
+        fromName = 'Piper Newsletter',
+        replyTo,
+        segment = { type: 'manual', criteria: {} },
+        tags = [],
+        optimizeSendTime = false,
+        abTest,
+        tracking = {
+          trackOpens: true,
+          trackClicks: true,
+          trackUnsubscribes: true
+        }
+      } = req.body;
+
+      try {
+        await segmentService.campaignRules(req.user._id, segment);
+      } catch (segmentError) {
+        return res.status(segmentError.status || 400).json({ error: segmentError.message });
+      }
 
-    if (!campaign) {
-      return res.status(404).json({ error: 'Campaign not found' });
-    }
+      let abTestConfig;
+      try {
+        abTestConfig = abTestService.buildConfig(abTest, { newsletterId, optimizeSendTime });
+      } catch (abTestError) {
+        return sendError(res, abTestError, 'Failed to create campaign');
+      }
 
-    // Only allow updates to draft campaigns
-    if (campaign.status !== 'draft') {
-      return res.status(400).json({ error: 'Cannot update campaign that is not in draft status' });
+      const campaign = new EmailCampaign({
+        userId: req.user._id,
+        name,
+        subject,
+        content,
+        newsletterId,
+        template,
+        segment,
+        tracking,
+        optimizeSendTime,
+        abTest: abTestConfig,
+        settings: {
+          fromEmail,
+          fromName,
+          replyTo: replyTo || fromEmail
+        },
+        tags,
+        status: 'draft'
+      });
+
+      await campaign.save();
+
+      res.status(201).json(campaign);
+    } catch (error) {
+      console.error('Error creating campaign:', error);
+      res.status(500).json({ error: 'Failed to create campaign' });
     }
+  });
+
+  /**
+   * Update a campaign
+   * PUT /api/email/campaigns/:id
+   */
+  router.put('/campaigns/:id', authenticate('campaigns:write'), [
+    body('name').optional().trim().isLength({ min: 1, max: 200 }),
+    body('subject').optional().trim().isLength({ min: 1, max: 300 }),
+    body('content').optional().trim().isLength({ min: 1 }),
+    body('newsletterId').optional().isMongoId(),
+    body('template').optional().isString(),
+    body('fromEmail').optional().isEmail().normalizeEmail(),
+    body('fromName').optional().isString().trim(),
+    body('replyTo').optional().isEmail().normalizeEmail(),
+    body('segment').optional().isObject(),
+    body('segment.type').optional().isIn(SEGMENT_TYPES),
+    body('tags').optional().isArray(),
+    body('tracking').optional().isObject(),
+    body('optimizeSendTime').optional().isBoolean().toBoolean(),
+    ...abTestValidation
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    const updateFields = {};
-    const allowedFields = ['name', 'subject', 'content', 'template', 'segment', 'tags', 'tracking'];
-    const allowedSettings = ['fromEmail', 'fromName', 'replyTo'];
+      const campaign = await EmailCampaign.findOne({
+        _id: req.params.id,
+        userId: req.user._id,
+        isDeleted: false
+      });
 
-    // Update main fields
-    allowedFields.forEach(field => {
-      if (req.body[field] !== undefined) {
-        updateFields[field] = req.body[field];
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
       }
-    });
 
-    // Update settings
-    allowedSettings.forEach(field => {
-      if (req.body[field] !== undefined) {
-        updateFields[`settings.${field}`] = req.body[field];
+      // Only allow updates to draft campaigns
+      if (campaign.status !== 'draft') {
+        return res.status(400).json({ error: 'Cannot update campaign that is not in draft status' });
       }
-    });
 
-    Object.assign(campaign, updateFields);
-    await campaign.save();
+      if (req.body.segment) {
+        try {
+          await segmentService.campaignRules(req.user._id, req.body.segment);
+        } catch (segmentError) {
+          return res.status(segmentError.status || 400).json({ error: segmentError.message });
+        }
+      }
 
-    res.json(campaign);
-  } catch (error) {
-    console.error('Error updating campaign:', error);
-    res.status(500).json({ error: 'Failed to update campaign' });
-  }
-});
+      const abTestAffected = req.body.newsletterId || req.body.optimizeSendTime;
+      if (req.body.abTest !== undefined || (abTestAffected && campaign.abTest && campaign.abTest.enabled)) {
+        try {
+          req.body.abTest = abTestService.buildConfig(req.body.abTest || campaign.abTest, {
+            newsletterId: req.body.newsletterId || campaign.newsletterId,
+            optimizeSendTime: req.body.optimizeSendTime !== undefined ? req.body.optimizeSendTime : campaign.optimizeSendTime
+          });
+        } catch (abTestError) {
+          return sendError(res, abTestError, 'Failed to update campaign');
+        }
+      }
 
-/**
- * Delete a campaign (soft delete)
- * DELETE /api/email/campaigns/:id
- */
-router.delete('/campaigns/:id', authenticateToken, async (req, res) => {
-  try {
-    const campaign = await EmailCampaign.findOne({
-      _id: req.params.id,
-      userId: req.user._id
-    });
-
-    if (!campaign) {
-      return res.status(404).json({ error: 'Campaign not found' });
+      const updateFields = {};
+      const allowedFields = ['name', 'subject', 'content', 'newsletterId', 'template', 'segment', 'tags', 'tracking', 'optimizeSendTime', 'abTest'];
+      const allowedSettings = ['fromEmail', 'fromName', 'replyTo'];
+
+      // Update main fields
+      allowedFields.forEach(field => {
+        if (req.body[field] !== undefined) {
+          updateFields[field] = req.body[field];
+        }
+      });
+
+      // Update settings
+      allowedSettings.forEach(field => {
+        if (req.body[field] !== undefined) {
+          updateFields[`settings.${field}`] = req.body[field];
+        }
+      });
+
+      Object.assign(campaign, updateFields);
+      await campaign.save();
+
+      res.json(campaign);
+    } catch (error) {
+      console.error('Error updating campaign:', error);
+      res.status(500).json({ error: 'Failed to update campaign' });
     }
+  });
 
-    // Only allow deletion of draft campaigns
-    if (campaign.status !== 'draft') {
-      return res.status(400).json({ error: 'Cannot delete campaign that is not in draft status' });
-    }
+  /**
+   * Delete a campaign (soft delete)
+   * DELETE /api/email/campaigns/:id
+   */
+  router.delete('/campaigns/:id', authenticate('campaigns:write'), async (req, res) => {
+    try {
+      const campaign = await EmailCampaign.findOne({
+        _id: req.params.id,
+        userId: req.user._id
+      });
 
-    campaign.isDeleted = true;
-    await campaign.save();
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
 
-    res.json({ message: 'Campaign deleted successfully' });
-  } catch (error) {
-    console.error('Error deleting campaign:', error);
-    res.status(500).json({ error: 'Failed to delete campaign' });
-  }
-});
+      // Only allow deletion of draft campaigns
+      if (campaign.status !== 'draft') {
+        return res.status(400).json({ error: 'Cannot delete campaign that is not in draft status' });
+      }
 
-/**
- * Schedule a campaign
- * POST /api/email/campaigns/:id/schedule
- */
-router.post('/campaigns/:id/schedule', authenticateToken, [
-  body('scheduledDate').isISO8601().withMessage('Valid scheduled date is required')
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
+      campaign.isDeleted = true;
+      await campaign.save();
+
+      res.json({ message: 'Campaign deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting campaign:', error);
+      res.status(500).json({ error: 'Failed to delete campaign' });
     }
+  });
+
+  /**
+   * Schedule a campaign
+   * POST /api/email/campaigns/:id/schedule
+   */
+  router.post('/campaigns/:id/schedule', authenticate('campaigns:write'), [
+    body('scheduledDate').isISO8601().withMessage('Valid scheduled date is required')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    const campaign = await EmailCampaign.findOne({
-      _id: req.params.id,
-      userId: req.user._id,
-      isDeleted: false
-    });
+      const campaign = await EmailCampaign.findOne({
+        _id: req.params.id,
+        userId: req.user._id,
+        isDeleted: false
+      });
 
-    if (!campaign) {
-      return res.status(404).json({ error: 'Campaign not found' });
-    }
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
 
-    if (campaign.status !== 'draft') {
-      return res.status(400).json({ error: 'Only draft campaigns can be scheduled' });
-    }
+      if (campaign.status !== 'draft') {
+        return res.status(400).json({ error: 'Only draft campaigns can be scheduled' });
+      }
 
-    const { scheduledDate } = req.body;
-    const scheduleDate = new Date(scheduledDate);
+      const { scheduledDate } = req.body;
+      const scheduleDate = new Date(scheduledDate);
 
-    if (scheduleDate <= new Date()) {
-      return res.status(400).json({ error: 'Scheduled date must be in the future' });
+      if (scheduleDate <= new Date()) {
+        return res.status(400).json({ error: 'Scheduled date must be in the future' });
+      }
+
+      campaign.status = 'scheduled';
+      campaign.scheduledDate = scheduleDate;
+      await campaign.save();
+
+      res.json({
+        message: 'Campaign scheduled successfully',
+        campaign
+      });
+    } catch (error) {
+      console.error('Error scheduling campaign:', error);
+      res.status(500).json({ error: 'Failed to schedule campaign' });
     }
+  });
 
-    campaign.status = 'scheduled';
-    campaign.scheduledDate = scheduleDate;
-    await campaign.save();
-
-    res.json({
-      message: 'Campaign scheduled successfully',
-      campaign
-    });
-  } catch (error) {
-    console.error('Error scheduling campaign:', error);
-    res.status(500).json({ error: 'Failed to schedule campaign' });
-  }
-});
+  /**
+   * Cancel a scheduled or paused campaign. A sending campaign has to be paused first.
+   * POST /api/email/campaigns/:id/cancel
+   */
+  router.post('/campaigns/:id/cancel', authenticate('campaigns:write'), async (req, res) => {
+    try {
+      const campaign = await EmailCampaign.findOne({
+        _id: req.params.id,
+        userId: req.user._id,
+        isDeleted: false
+      });
+
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
 
-/**
- * Cancel a scheduled campaign
- * POST /api/email/campaigns/:id/cancel
- */
-router.post('/campaigns/:id/cancel', authenticateToken, async (req, res) => {
-  try {
-    const campaign = await EmailCampaign.findOne({
-      _id: req.params.id,
-      userId: req.user._id,
-      isDeleted: false
-    });
-
-    if (!campaign) {
-      return res.status(404).json({ error: 'Campaign not found' });
-    }
+      if (campaign.status === 'paused') {
+        const result = await campaignDeliveryService.cancelPaused(req.user._id, campaign._id);
+        return res.json({
+          message: 'Campaign cancelled successfully',
+          campaign: result.campaign,
+          unsent: result.cancelled
+        });
+      }
 
-    if (campaign.status !== 'scheduled') {
-      return res.status(400).json({ error: 'Only scheduled campaigns can be cancelled' });
-    }
+      if (campaign.status !== 'scheduled') {
+        return res.status(400).json({ error: 'Only scheduled or paused campaigns can be cancelled' });
+      }
 
-    campaign.status = 'cancelled';
-    campaign.scheduledDate = null;
-    await campaign.save();
-
-    res.json({
-      message: 'Campaign cancelled successfully',
-      campaign
-    });
-  } catch (error) {
-    console.error('Error cancelling campaign:', error);
-    res.status(500).json({ error: 'Failed to cancel campaign' });
-  }
-});
+      campaign.status = 'cancelled';
+      campaign.scheduledDate = null;
+      await campaign.save();
 
-/**
- * Add recipients to a campaign
- * POST /api/email/campaigns/:id/recipients
- */
-router.post('/campaigns/:id/recipients', authenticateToken, [
-  body('recipients').isArray().withMessage('Recipients must be an array'),
-  body('recipients.*.subscriberId').isString().notEmpty(),
-  body('recipients.*.email').isEmail().normalizeEmail(),
-  body('recipients.*.firstName').optional().isString().trim(),
-  body('recipients.*.lastName').optional().isString().trim()
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
+      res.json({
+        message: 'Campaign cancelled successfully',
+        campaign
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to cancel campaign');
     }
+  });
+
+  /**
+   * Pause a sending campaign. Takes effect on the queue's next batch, within seconds.
+   * POST /api/email/campaigns/:id/pause
+   */
+  router.post('/campaigns/:id/pause', authenticate('campaigns:write'), [
+    param('id').isMongoId()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    const campaign = await EmailCampaign.findOne({
-      _id: req.params.id,
-      userId: req.user._id,
-      isDeleted: false
-    });
+      const campaign = await campaignDeliveryService.pause(req.user._id, req.params.id);
+      res.json({
+        message: 'Campaign paused',
+        campaign,
+        delivery: await campaignDeliveryService.getDeliveryStatus(campaign)
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to pause campaign');
+    }
+  });
+
+  /**
+   * Resume a paused campaign
+   * POST /api/email/campaigns/:id/resume
+   */
+  router.post('/campaigns/:id/resume', authenticate('campaigns:write'), [
+    param('id').isMongoId()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    if (!campaign) {
-      return res.status(404).json({ error: 'Campaign not found' });
+      const campaign = await campaignDeliveryService.resume(req.user._id, req.params.id);
+      res.json({
+        message: 'Campaign resumed',
+        campaign,
+        delivery: await campaignDeliveryService.getDeliveryStatus(campaign)
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to resume campaign');
     }
+  });
+
+  /**
+   * Change how many emails per minute a campaign sends; null removes the cap
+   * PUT /api/email/campaigns/:id/rate
+   */
+  router.put('/campaigns/:id/rate', authenticate('campaigns:write'), [
+    param('id').isMongoId(),
+    body('sendRate')
+      .custom(value => value === null || (Number.isInteger(value) && value >= 1 && value <= 10000))
+      .withMessage('sendRate must be a whole number of emails per minute between 1 and 10000, or null')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    if (campaign.status !== 'draft') {
-      return res.status(400).json({ error: 'Cannot modify recipients for non-draft campaigns' });
+      const campaign = await campaignDeliveryService.setSendRate(req.user._id, req.params.id, req.body.sendRate);
+      res.json({
+        message: 'Send rate updated',
+        campaign,
+        delivery: campaign.queuedAt ? await campaignDeliveryService.getDeliveryStatus(campaign) : null
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to update send rate');
     }
+  });
+
+  /**
+   * Add recipients to a campaign
+   * POST /api/email/campaigns/:id/recipients
+   */
+  router.post('/campaigns/:id/recipients', authenticate('campaigns:write'), [
+    body('recipients').isArray().withMessage('Recipients must be an array'),
+    body('recipients.*.subscriberId').isString().notEmpty(),
+    body('recipients.*.email').isEmail().normalizeEmail(),
+    body('recipients.*.firstName').optional().isString().trim(),
+    body('recipients.*.lastName').optional().isString().trim(),
+    body('recipients.*.variant').optional().isIn(EMAIL_VARIANTS)
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const campaign = await EmailCampaign.findOne({
+        _id: req.params.id,
+        userId: req.user._id,
+        isDeleted: false
+      });
 
-    const { recipients } = req.body;
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+
+      if (campaign.status !== 'draft') {
+        return res.status(400).json({ error: 'Cannot modify recipients for non-draft campaigns' });
+      }
+
+      const { recipients } = req.body;
     
-    // Add new recipients (avoid duplicates based on subscriberId)
-    const existingSubscriberIds = new Set(campaign.recipients.map(r => r.subscriberId));
-    const newRecipients = recipients.filter(r => !existingSubscriberIds.has(r.subscriberId));
+      // Add new recipients (avoid duplicates based on subscriberId)
+      const existingSubscriberIds = new Set(campaign.recipients.map(r => r.subscriberId));
+      const newRecipients = recipients.filter(r => !existingSubscriberIds.has(r.subscriberId));
+
+      // Recipients without an explicit variant get the one chosen in their profile
+      const users = await User.find({
+        email: { $in: newRecipients.filter(r => !r.variant).map(r => r.email) }
+      }).select('email neurodiversityProfile.emailVariant').lean();
+      const chosenVariants = new Map(users.map(user => [user.email, user.neurodiversityProfile?.emailVariant]));
     
-    campaign.recipients.push(...newRecipients.map(recipient => ({
-      subscriberId: recipient.subscriberId,
-      email: recipient.email,
-      firstName: recipient.firstName || '',
-      lastName: recipient.lastName || '',
-      status: 'pending'
-    })));
-
-    await campaign.save();
-
-    res.json({
-      message: `${newRecipients.length} recipients added successfully`,
-      totalRecipients: campaign.recipients.length,
-      campaign
-    });
-  } catch (error) {
-    console.error('Error adding recipients:', error);
-    res.status(500).json({ error: 'Failed to add recipients' });
-  }
-});
-
-/**
- * Remove recipients from a campaign
- * DELETE /api/email/campaigns/:id/recipients
- */
-router.delete('/campaigns/:id/recipients', authenticateToken, [
-  body('subscriberIds').isArray().withMessage('subscriberIds must be an array'),
-  body('subscriberIds.*').isString().notEmpty()
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
+      campaign.recipients.push(...newRecipients.map(recipient => ({
+        subscriberId: recipient.subscriberId,
+        email: recipient.email,
+        firstName: recipient.firstName || '',
+        lastName: recipient.lastName || '',
+        variant: recipient.variant || chosenVariants.get(recipient.email) || 'standard',
+        status: 'pending'
+      })));
+
+      await campaign.save();
+
+      res.json({
+        message: `${newRecipients.length} recipients added successfully`,
+        totalRecipients: campaign.recipients.length,
+        campaign
+      });
+    } catch (error) {
+      console.error('Error adding recipients:', error);
+      res.status(500).json({ error: 'Failed to add recipients' });
     }
+  });
+
+  /**
+   * Remove recipients from a campaign
+   * DELETE /api/email/campaigns/:id/recipients
+   */
+  router.delete('/campaigns/:id/recipients', authenticate('campaigns:write'), [
+    body('subscriberIds').isArray().withMessage('subscriberIds must be an array'),
+    body('subscriberIds.*').isString().notEmpty()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    const campaign = await EmailCampaign.findOne({
-      _id: req.params.id,
-      userId: req.user._id,
-      isDeleted: false
-    });
+      const campaign = await EmailCampaign.findOne({
+        _id: req.params.id,
+        userId: req.user._id,
+        isDeleted: false
+      });
 
-    if (!campaign) {
-      return res.status(404).json({ error: 'Campaign not found' });
-    }
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
 
-    if (campaign.status !== 'draft') {
-      return res.status(400).json({ error: 'Cannot modify recipients for non-draft campaigns' });
-    }
+      if (campaign.status !== 'draft') {
+        return res.status(400).json({ error: 'Cannot modify recipients for non-draft campaigns' });
+      }
 
-    const { subscriberIds } = req.body;
+      const { subscriberIds } = req.body;
     
-    // Remove specified recipients
-    const initialCount = campaign.recipients.length;
-    campaign.recipients = campaign.recipients.filter(r => !subscriberIds.includes(r.subscriberId));
-    const removedCount = initialCount - campaign.recipients.length;
-
-    await campaign.save();
-
-    res.json({
-      message: `${removedCount} recipients removed successfully`,
-      totalRecipients: campaign.recipients.length,
-      campaign
-    });
-  } catch (error) {
-    console.error('Error removing recipients:', error);
-    res.status(500).json({ error: 'Failed to remove recipients' });
-  }
-});
+      // Remove specified recipients
+      const initialCount = campaign.recipients.length;
+      campaign.recipients = campaign.recipients.filter(r => !subscriberIds.includes(r.subscriberId));
+      const removedCount = initialCount - campaign.recipients.length;
+
+      await campaign.save();
+
+      res.json({
+        message: `${removedCount} recipients removed successfully`,
+        totalRecipients: campaign.recipients.length,
+        campaign
+      });
+    } catch (error) {
+      console.error('Error removing recipients:', error);
+      res.status(500).json({ error: 'Failed to remove recipients' });
+    }
+  });
+
+  return router;
+}
 
-module.exports = router;
\ No newline at end of file
+module.exports = createEmailCampaignRoutes;
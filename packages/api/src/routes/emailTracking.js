@@ -1,253 +1,262 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const EmailTrackingService = require('../services/EmailTrackingService');
-const { authenticateToken } = require('../middleware/auth');
+const EmailCampaign = require('../models/EmailCampaign');
 
-const router = express.Router();
-const emailTrackingService = new EmailTrackingService();
+// Tracking IDs are signed, so only a campaign's owner may have them issued
+const ownsCampaign = (req, campaignId) => EmailCampaign.exists({ _id: campaignId, userId: req.user._id, isDeleted: false });
 
 /**
- * Track email open
- * GET /api/email/track/open/:trackingId
+ * Open and click tracking, and engagement analytics
  */
-router.get('/track/open/:trackingId', async (req, res) => {
-  try {
-    const { trackingId } = req.params;
-    const ipAddress = req.ip || req.connection.remoteAddress;
-    const userAgent = req.get('User-Agent') || 'Unknown';
-
-    // Parse tracking ID
-    const trackingData = emailTrackingService.parseTrackingId(trackingId);
+function createEmailTrackingRoutes({ emailTrackingService, auth }) {
+  const { authenticate } = auth;
+  const router = express.Router();
+
+  /**
+   * Track email open
+   * GET /api/email-tracking/track/open/:trackingId
+   */
+  router.get('/track/open/:trackingId', async (req, res) => {
+    try {
+      const { trackingId } = req.params;
+      const ipAddress = req.ip || req.connection.remoteAddress;
+      const userAgent = req.get('User-Agent') || 'Unknown';
+
+      // Parse tracking ID
+      const trackingData = emailTrackingService.parseTrackingId(trackingId);
     
-    // Track the email open
-    await emailTrackingService.trackEmailOpen(
-      trackingData.emailId,
-      trackingData.subscriberId,
-      trackingData.campaignId,
-      ipAddress,
-      userAgent
-    );
-
-    // Return a 1x1 transparent pixel
-    const pixel = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
-    res.writeHead(200, {
-      'Content-Type': 'image/gif',
-      'Content-Length': pixel.length,
-      'Cache-Control': 'no-store, no-cache, must-revalidate, private'
-    });
-    res.end(pixel);
-  } catch (error) {
-    console.error('Error tracking email open:', error);
-    // Still return pixel even if tracking fails
-    const pixel = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
-    res.writeHead(200, {
-      'Content-Type': 'image/gif',
-      'Content-Length': pixel.length,
-      'Cache-Control': 'no-store, no-cache, must-revalidate, private'
-    });
-    res.end(pixel);
-  }
-});
+      // Track the email open
+      await emailTrackingService.trackEmailOpen(
+        trackingData.emailId,
+        trackingData.subscriberId,
+        trackingData.campaignId,
+        ipAddress,
+        userAgent
+      );
 
-/**
- * Track email click
- * GET /api/email/track/click/:trackingId
- */
-router.get('/track/click/:trackingId', async (req, res) => {
-  try {
-    const { trackingId } = req.params;
-    const { url } = req.query;
-    const ipAddress = req.ip || req.connection.remoteAddress;
-    const userAgent = req.get('User-Agent') || 'Unknown';
-
-    if (!url) {
-      return res.status(400).json({ error: 'URL parameter is required' });
+      // Return a 1x1 transparent pixel
+      const pixel = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+      res.writeHead(200, {
+        'Content-Type': 'image/gif',
+        'Content-Length': pixel.length,
+        'Cache-Control': 'no-store, no-cache, must-revalidate, private'
+      });
+      res.end(pixel);
+    } catch (error) {
+      console.error('Error tracking email open:', error);
+      // Still return pixel even if tracking fails
+      const pixel = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+      res.writeHead(200, {
+        'Content-Type': 'image/gif',
+        'Content-Length': pixel.length,
+        'Cache-Control': 'no-store, no-cache, must-revalidate, private'
+      });
+      res.end(pixel);
     }
+  });
 
-    // Decode the original URL
-    let originalUrl;
+  /**
+   * Track email click and redirect to the link registered for the campaign
+   * GET /api/email-tracking/track/click/:trackingId
+   */
+  router.get('/track/click/:trackingId', async (req, res) => {
+    let trackingData;
     try {
-      originalUrl = Buffer.from(url, 'base64').toString('utf-8');
-    } catch (decodeError) {
-      return res.status(400).json({ error: 'Invalid URL encoding' });
+      trackingData = emailTrackingService.parseTrackingId(req.params.trackingId);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid tracking link' });
     }
 
-    // Parse tracking ID
-    const trackingData = emailTrackingService.parseTrackingId(trackingId);
-    
-    // Track the email click
-    await emailTrackingService.trackEmailClick(
-      trackingData.emailId,
-      trackingData.subscriberId,
-      trackingData.campaignId,
-      originalUrl,
-      trackingData.linkId,
-      ipAddress,
-      userAgent
-    );
-
-    // Redirect to the original URL
-    res.redirect(302, originalUrl);
-  } catch (error) {
-    console.error('Error tracking email click:', error);
-    // If tracking fails, still redirect to the original URL if available
-    if (req.query.url) {
+    try {
+      // Only URLs registered when the campaign was rendered, so this is not an open redirect
+      const url = trackingData.linkId
+        ? await emailTrackingService.resolveLink(trackingData.campaignId, trackingData.linkId)
+        : null;
+      if (!url) {
+        return res.status(404).json({ error: 'Link not found' });
+      }
+
       try {
-        const originalUrl = Buffer.from(req.query.url, 'base64').toString('utf-8');
-        return res.redirect(302, originalUrl);
-      } catch (decodeError) {
-        return res.status(400).json({ error: 'Invalid tracking or URL parameters' });
+        await emailTrackingService.trackEmailClick(
+          trackingData.emailId,
+          trackingData.subscriberId,
+          trackingData.campaignId,
+          url,
+          trackingData.linkId,
+          req.ip || req.connection.remoteAddress,
+          req.get('User-Agent') || 'Unknown'
+        );
+      } catch (trackingError) {
+        // Still send the reader on if the click cannot be recorded
+        console.error('Error tracking email click:', trackingError);
       }
+
+      res.redirect(302, url);
+    } catch (error) {
+      console.error('Error resolving tracked link:', error);
+      res.status(500).json({ error: 'Failed to follow link' });
     }
-    res.status(400).json({ error: 'Invalid tracking parameters' });
-  }
-});
+  });
 
-/**
- * Track unsubscribe
- * POST /api/email/track/unsubscribe
- */
-router.post('/track/unsubscribe', [
-  body('emailId').isString().notEmpty(),
-  body('subscriberId').isString().notEmpty(),
-  body('campaignId').isString().notEmpty(),
-  body('reason').optional().isString()
-], async (req, res) => {
-  try {
+  /**
+   * Track unsubscribe, for the recipient named by a signed tracking ID
+   * POST /api/email-tracking/track/unsubscribe
+   */
+  router.post('/track/unsubscribe', [
+    body('trackingId').isString().notEmpty(),
+    body('reason').optional().isString()
+  ], async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { emailId, subscriberId, campaignId, reason } = req.body;
-    const ipAddress = req.ip || req.connection.remoteAddress;
-
-    const unsubscribe = await emailTrackingService.trackUnsubscribe(
-      emailId,
-      subscriberId,
-      campaignId,
-      ipAddress,
-      reason
-    );
-
-    res.json({
-      message: 'Unsubscribe request processed successfully',
-      unsubscribe
-    });
-  } catch (error) {
-    console.error('Error processing unsubscribe:', error);
-    res.status(500).json({ error: 'Failed to process unsubscribe request' });
-  }
-});
+    let trackingData;
+    try {
+      trackingData = emailTrackingService.parseTrackingId(req.body.trackingId);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid tracking ID' });
+    }
 
-/**
- * Track spam complaint
- * POST /api/email/track/spam
- */
-router.post('/track/spam', [
-  body('emailId').isString().notEmpty(),
-  body('subscriberId').isString().notEmpty(),
-  body('campaignId').isString().notEmpty(),
-  body('complaintType').optional().isIn(['spam', 'abuse', 'other']),
-  body('feedback').optional().isString()
-], async (req, res) => {
-  try {
+    try {
+      const unsubscribe = await emailTrackingService.trackUnsubscribe(
+        trackingData.emailId,
+        trackingData.subscriberId,
+        trackingData.campaignId,
+        req.ip || req.connection.remoteAddress,
+        req.body.reason
+      );
+
+      res.json({
+        message: 'Unsubscribe request processed successfully',
+        unsubscribe
+      });
+    } catch (error) {
+      console.error('Error processing unsubscribe:', error);
+      res.status(500).json({ error: 'Failed to process unsubscribe request' });
+    }
+  });
+
+  /**
+   * Track spam complaint, for the recipient named by a signed tracking ID
+   * POST /api/email-tracking/track/spam
+   */
+  router.post('/track/spam', [
+    body('trackingId').isString().notEmpty(),
+    body('complaintType').optional().isIn(['spam', 'abuse', 'other']),
+    body('feedback').optional().isString()
+  ], async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { emailId, subscriberId, campaignId, complaintType, feedback } = req.body;
-    const ipAddress = req.ip || req.connection.remoteAddress;
-
-    const spamComplaint = await emailTrackingService.trackSpamComplaint(
-      emailId,
-      subscriberId,
-      campaignId,
-      ipAddress,
-      complaintType,
-      feedback
-    );
-
-    res.json({
-      message: 'Spam complaint processed successfully',
-      spamComplaint
-    });
-  } catch (error) {
-    console.error('Error processing spam complaint:', error);
-    res.status(500).json({ error: 'Failed to process spam complaint' });
-  }
-});
+    let trackingData;
+    try {
+      trackingData = emailTrackingService.parseTrackingId(req.body.trackingId);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid tracking ID' });
+    }
 
-/**
- * Get campaign analytics (protected route)
- * GET /api/email/analytics/:campaignId
- */
-router.get('/analytics/:campaignId', authenticateToken, async (req, res) => {
-  try {
-    const { campaignId } = req.params;
+    try {
+      const spamComplaint = await emailTrackingService.trackSpamComplaint(
+        trackingData.emailId,
+        trackingData.subscriberId,
+        trackingData.campaignId,
+        req.ip || req.connection.remoteAddress,
+        req.body.complaintType,
+        req.body.feedback
+      );
 
-    const analytics = await emailTrackingService.getCampaignAnalytics(campaignId);
+      res.json({
+        message: 'Spam complaint processed successfully',
+        spamComplaint
+      });
+    } catch (error) {
+      console.error('Error processing spam complaint:', error);
+      res.status(500).json({ error: 'Failed to process spam complaint' });
+    }
+  });
 
-    res.json(analytics);
-  } catch (error) {
-    console.error('Error fetching campaign analytics:', error);
-    res.status(500).json({ error: 'Failed to fetch campaign analytics' });
-  }
-});
+  /**
+   * Get campaign analytics (protected route)
+   * GET /api/email-tracking/analytics/:campaignId
+   */
+  router.get('/analytics/:campaignId', authenticate('analytics:read'), async (req, res) => {
+    try {
+      const { campaignId } = req.params;
 
-/**
- * Generate tracking pixel URL
- * POST /api/email/generate-pixel
- */
-router.post('/generate-pixel', authenticateToken, [
-  body('emailId').isString().notEmpty(),
-  body('subscriberId').isString().notEmpty(),
-  body('campaignId').isString().notEmpty()
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
+      const analytics = await emailTrackingService.getCampaignAnalytics(campaignId);
+
+      res.json(analytics);
+    } catch (error) {
+      console.error('Error fetching campaign analytics:', error);
+      res.status(500).json({ error: 'Failed to fetch campaign analytics' });
     }
+  });
 
-    const { emailId, subscriberId, campaignId } = req.body;
+  /**
+   * Generate tracking pixel URL
+   * POST /api/email-tracking/generate-pixel
+   */
+  router.post('/generate-pixel', authenticate('campaigns:write'), [
+    body('emailId').isString().notEmpty(),
+    body('subscriberId').isString().notEmpty(),
+    body('campaignId').isMongoId()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    const pixelUrl = emailTrackingService.generateTrackingPixelUrl(emailId, subscriberId, campaignId);
+      const { emailId, subscriberId, campaignId } = req.body;
+      if (!await ownsCampaign(req, campaignId)) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
 
-    res.json({ pixelUrl });
-  } catch (error) {
-    console.error('Error generating tracking pixel URL:', error);
-    res.status(500).json({ error: 'Failed to generate tracking pixel URL' });
-  }
-});
+      const pixelUrl = emailTrackingService.generateTrackingPixelUrl(emailId, subscriberId, campaignId);
 
-/**
- * Generate tracking link
- * POST /api/email/generate-link
- */
-router.post('/generate-link', authenticateToken, [
-  body('originalUrl').isURL(),
-  body('emailId').isString().notEmpty(),
-  body('subscriberId').isString().notEmpty(),
-  body('campaignId').isString().notEmpty(),
-  body('linkId').isString().notEmpty()
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
+      res.json({ pixelUrl });
+    } catch (error) {
+      console.error('Error generating tracking pixel URL:', error);
+      res.status(500).json({ error: 'Failed to generate tracking pixel URL' });
     }
+  });
 
-    const { originalUrl, emailId, subscriberId, campaignId, linkId } = req.body;
+  /**
+   * Generate tracking link
+   * POST /api/email-tracking/generate-link
+   */
+  router.post('/generate-link', authenticate('campaigns:write'), [
+    body('originalUrl').isURL({ protocols: ['http', 'https'], require_protocol: true }),
+    body('emailId').isString().notEmpty(),
+    body('subscriberId').isString().notEmpty(),
+    body('campaignId').isMongoId()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { originalUrl, emailId, subscriberId, campaignId } = req.body;
+      if (!await ownsCampaign(req, campaignId)) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
 
-    const trackingLink = emailTrackingService.generateTrackingLink(originalUrl, emailId, subscriberId, campaignId, linkId);
+      const linkIds = await emailTrackingService.registerLinks(campaignId, [originalUrl]);
+      const linkId = linkIds.get(originalUrl);
+      const trackingLink = emailTrackingService.generateTrackingLink(emailId, subscriberId, campaignId, linkId);
+
+      res.json({ trackingLink, linkId });
+    } catch (error) {
+      console.error('Error generating tracking link:', error);
+      res.status(500).json({ error: 'Failed to generate tracking link' });
+    }
+  });
 
-    res.json({ trackingLink });
-  } catch (error) {
-    console.error('Error generating tracking link:', error);
-    res.status(500).json({ error: 'Failed to generate tracking link' });
-  }
-});
+  return router;
+}
 
-module.exports = router;
\ No newline at end of file
+module.exports = createEmailTrackingRoutes;
@@ -0,0 +1,220 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const { SECTION_MODULES } = require('../services/NewsletterService');
+
+// Mounted under both /api and /v1; the Newsletter reader component calls the /v1 paths
+
+const ISSUE_STATUSES = ['draft', 'scheduled', 'sent', 'archived'];
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({ error: error.message });
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ error: fallbackMessage });
+};
+
+const issueValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('title').isString().trim().isLength({ min: 1, max: 255 }).withMessage('Title is required and must be less than 255 characters'),
+    body('subtitle').optional().isString().trim().isLength({ max: 255 }),
+    body('slug').optional().isString().trim().isLength({ min: 1, max: 200 }),
+    body('content').optional().isString(),
+    body('excerpt').optional().isString(),
+    body('sections').optional().isArray({ max: Object.keys(SECTION_MODULES).length }),
+    body('sections.*.sectionKey').isIn(Object.keys(SECTION_MODULES)).withMessage('Unknown newsletter section'),
+    body('sections.*.content').isString().trim().isLength({ min: 1 }),
+    body('sections.*.title').optional().isString().trim().isLength({ max: 200 }),
+    body('sections.*.priority').optional().isIn(['high', 'medium', 'low']),
+    body('template').optional().isString().isLength({ max: 100 }),
+    body('subjectLine').optional().isString().trim().isLength({ max: 255 }),
+    body('previewText').optional().isString().trim().isLength({ max: 255 }),
+    body('fromName').optional().isString().trim(),
+    body('fromEmail').optional().isEmail().normalizeEmail(),
+    body('replyTo').optional().isEmail().normalizeEmail(),
+    body('tags').optional().isArray(),
+    body('tags.*').isString().trim(),
+    body('category').optional().isString().trim().isLength({ max: 100 }),
+    body('featuredImageUrl').optional().isURL().isLength({ max: 500 }),
+    body(['clickTrackingEnabled', 'openTrackingEnabled', 'unsubscribeFooterEnabled', 'analyticsEnabled'])
+      .optional().isBoolean().toBoolean(),
+    body('customCss').optional().isString(),
+    body('metadata').optional().isObject()
+  ];
+};
+
+/**
+ * Newsletter issue routes
+ */
+function createNewsletterRoutes({ newsletterService, auth }) {
+  const { authenticateToken, authorizeRoles } = auth;
+  const router = express.Router();
+
+  /**
+   * List newsletter issues
+   * GET /api/newsletters
+   */
+  router.get('/newsletters', authenticateToken, [
+    query('status').optional().isIn(ISSUE_STATUSES),
+    query('tag').optional().isString().trim(),
+    query('category').optional().isString().trim(),
+    query('search').optional().isString().trim().isLength({ max: 200 }),
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { issues, pagination } = await newsletterService.listIssues(req.user, req.query);
+      res.json({ data: issues, pagination });
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch newsletters');
+    }
+  });
+
+  /**
+   * Create a draft issue
+   * POST /api/newsletters
+   */
+  router.post('/newsletters', authenticateToken, authorizeRoles('admin', 'moderator'), issueValidators(false), async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const issue = await newsletterService.createIssue(req.user._id, req.body);
+      res.status(201).json({ data: issue });
+    } catch (error) {
+      sendError(res, error, 'Failed to create newsletter');
+    }
+  });
+
+  /**
+   * Read an issue by ID or slug, shaped for the Newsletter component
+   * GET /v1/newsletters/:id
+   */
+  router.get('/newsletters/:id', authenticateToken, [
+    param('id').isString().trim().isLength({ min: 1, max: 255 })
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      res.json(await newsletterService.readIssue(req.params.id, req.user));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch newsletter');
+    }
+  });
+
+  /**
+   * Update a draft or scheduled issue
+   * PUT /api/newsletters/:id
+   */
+  router.put('/newsletters/:id', authenticateToken, [
+    param('id').isMongoId(),
+    ...issueValidators(true)
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const issue = await newsletterService.updateIssue(req.params.id, req.user, req.body);
+      res.json({ data: issue });
+    } catch (error) {
+      sendError(res, error, 'Failed to update newsletter');
+    }
+  });
+
+  /**
+   * Send an issue now, or schedule it with scheduledFor
+   * POST /api/newsletters/:id/publish
+   */
+  router.post('/newsletters/:id/publish', authenticateToken, [
+    param('id').isMongoId(),
+    body('scheduledFor').optional().isISO8601()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const issue = await newsletterService.publishIssue(req.params.id, req.user, {
+        scheduledFor: req.body.scheduledFor
+      });
+      res.json({ data: issue });
+    } catch (error) {
+      sendError(res, error, 'Failed to publish newsletter');
+    }
+  });
+
+  /**
+   * Archive an issue
+   * POST /api/newsletters/:id/archive
+   */
+  router.post('/newsletters/:id/archive', authenticateToken, [
+    param('id').isMongoId()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const issue = await newsletterService.archiveIssue(req.params.id, req.user);
+      res.json({ data: issue });
+    } catch (error) {
+      sendError(res, error, 'Failed to archive newsletter');
+    }
+  });
+
+  /**
+   * Delete an unsent issue
+   * DELETE /api/newsletters/:id
+   */
+  router.delete('/newsletters/:id', authenticateToken, [
+    param('id').isMongoId()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      await newsletterService.deleteIssue(req.params.id, req.user);
+      res.json({ message: 'Newsletter deleted' });
+    } catch (error) {
+      sendError(res, error, 'Failed to delete newsletter');
+    }
+  });
+
+  /**
+   * Check that an issue payload was served by this API in the last five minutes
+   * GET /v1/verify/:contentHash
+   */
+  router.get('/verify/:contentHash', [
+    param('contentHash').isHexadecimal().isLength({ min: 64, max: 64 })
+  ], (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    res.json(newsletterService.verifyContent(req.params.contentHash));
+  });
+
+  return router;
+}
+
+module.exports = createNewsletterRoutes;
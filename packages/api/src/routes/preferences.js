@@ -0,0 +1,177 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+
+// Links in emails carry their own signed token; none of these routes use a session
+const tokenValidator = param('token').isLength({ min: 10, max: 2048 }).matches(/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/);
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({ error: error.message });
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ error: fallbackMessage });
+};
+
+/**
+ * Unsubscribe and preference center pages, reached from links in emails
+ */
+function createPreferenceRoutes({ preferenceService }) {
+  const router = express.Router();
+
+  const sendPageError = (res, error, fallbackMessage) => {
+    const status = error.status && error.status < 500 ? error.status : 500;
+    if (status === 500) {
+      console.error(`${fallbackMessage}:`, error);
+    }
+
+    res.status(status).type('html').send(preferenceService.renderPage('Something went wrong',
+      `<h1>Something went wrong</h1><p>${status === 500 ? fallbackMessage : error.message}.</p>`));
+  };
+
+  const invalidLink = (req) => {
+    const errors = validationResult(req);
+    return errors.isEmpty() ? null : Object.assign(new Error('This link is invalid or incomplete'), { status: 400 });
+  };
+
+  const preferencesFromForm = (form) => ({
+    frequency: form.frequency,
+    emailVariant: form.emailVariant,
+    // Unticking every topic sends no field at all
+    topics: form.topics === undefined ? [] : form.topics,
+    subscribed: form.subscribed === 'true' ? true : undefined
+  });
+
+  /**
+   * Unsubscribe confirmation page
+   * GET /unsubscribe/:token
+   */
+  router.get('/unsubscribe/:token', [tokenValidator], async (req, res) => {
+    try {
+      const linkError = invalidLink(req);
+      if (linkError) {
+        return sendPageError(res, linkError);
+      }
+
+      const { email } = preferenceService.verifyToken(req.params.token);
+      res.type('html').send(preferenceService.renderUnsubscribePage(req.params.token, { email }));
+    } catch (error) {
+      sendPageError(res, error, 'We could not load this page');
+    }
+  });
+
+  /**
+   * Unsubscribe. Mail clients POST "List-Unsubscribe=One-Click" here (RFC 8058);
+   * the hosted page posts the same form without it and gets a page back.
+   * POST /unsubscribe/:token
+   */
+  router.post('/unsubscribe/:token', [tokenValidator], async (req, res) => {
+    const oneClick = req.body && req.body['List-Unsubscribe'] === 'One-Click';
+
+    try {
+      const linkError = invalidLink(req);
+      if (linkError) {
+        return oneClick ? sendError(res, linkError) : sendPageError(res, linkError);
+      }
+
+      const subscriber = await preferenceService.unsubscribe(req.params.token, {
+        ipAddress: req.ip,
+        reason: oneClick ? 'one_click' : 'preference_center'
+      });
+
+      if (oneClick) {
+        return res.json({ message: 'Unsubscribed' });
+      }
+      res.type('html').send(preferenceService.renderUnsubscribePage(req.params.token, { done: true, email: subscriber.email }));
+    } catch (error) {
+      if (oneClick) {
+        return sendError(res, error, 'Failed to unsubscribe');
+      }
+      sendPageError(res, error, 'We could not unsubscribe you. Please try again');
+    }
+  });
+
+  /**
+   * Hosted preference center
+   * GET /preferences/:token
+   */
+  router.get('/preferences/:token', [tokenValidator], async (req, res) => {
+    try {
+      const linkError = invalidLink(req);
+      if (linkError) {
+        return sendPageError(res, linkError);
+      }
+
+      const preferences = await preferenceService.getPreferences(req.params.token);
+      res.type('html').send(preferenceService.renderPreferencePage(req.params.token, preferences));
+    } catch (error) {
+      sendPageError(res, error, 'We could not load your preferences');
+    }
+  });
+
+  /**
+   * Save the hosted preference center form
+   * POST /preferences/:token
+   */
+  router.post('/preferences/:token', [tokenValidator], async (req, res) => {
+    try {
+      const linkError = invalidLink(req);
+      if (linkError) {
+        return sendPageError(res, linkError);
+      }
+
+      const preferences = await preferenceService.updatePreferences(req.params.token, preferencesFromForm(req.body));
+      res.type('html').send(preferenceService.renderPreferencePage(req.params.token, preferences, 'Your preferences are saved.'));
+    } catch (error) {
+      sendPageError(res, error, 'We could not save your preferences');
+    }
+  });
+
+  /**
+   * Get preferences as JSON, for the web app
+   * GET /api/preferences/:token
+   */
+  router.get('/api/preferences/:token', [tokenValidator], async (req, res) => {
+    try {
+      const linkError = invalidLink(req);
+      if (linkError) {
+        return sendError(res, linkError);
+      }
+
+      res.json({ data: await preferenceService.getPreferences(req.params.token) });
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch preferences');
+    }
+  });
+
+  /**
+   * Update preferences as JSON
+   * PUT /api/preferences/:token
+   */
+  router.put('/api/preferences/:token', [
+    tokenValidator,
+    body('frequency').optional().isString(),
+    body('topics').optional().isArray({ max: 20 }),
+    body('emailVariant').optional().isString(),
+    body('subscribed').optional().isBoolean().toBoolean()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { frequency, topics, emailVariant, subscribed } = req.body;
+      const preferences = await preferenceService.updatePreferences(req.params.token, {
+        frequency, topics, emailVariant, subscribed
+      });
+      res.json({ data: preferences });
+    } catch (error) {
+      sendError(res, error, 'Failed to update preferences');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createPreferenceRoutes;
@@ -0,0 +1,467 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const User = require('../models/User');
+const { CONSENT_PURPOSES, REQUEST_TYPES } = require('../services/PrivacyComplianceService');
+
+const REQUEST_STATUSES = ['pending', 'verifying', 'processing', 'completed', 'rejected', 'cancelled'];
+
+const requestContext = (req, source) => ({
+  ipAddress: req.ip,
+  userAgent: req.get('User-Agent'),
+  source
+});
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({ error: error.message });
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ error: fallbackMessage });
+};
+
+/**
+ * Privacy settings, consent and data subject request routes
+ */
+function createPrivacyRoutes({ privacyService, dataExportService, auth }) {
+  const { authenticateToken, authorizeRoles } = auth;
+  const router = express.Router();
+
+  router.use(authenticateToken);
+
+  /**
+   * Get privacy settings
+   * GET /api/privacy/settings
+   */
+  router.get('/settings', async (req, res) => {
+    try {
+      const user = await User.findById(req.user._id).select('privacySettings');
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      res.json(user.privacySettings || {
+        dataProcessing: true,
+        marketingEmails: false,
+        analyticsTracking: true,
+        cookieConsent: true
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch privacy settings');
+    }
+  });
+
+  /**
+   * Update privacy settings. Each change is recorded in the consent ledger.
+   * PUT /api/privacy/settings
+   */
+  router.put('/settings', [
+    body('dataProcessing').optional().isBoolean().toBoolean(),
+    body('marketingEmails').optional().isBoolean().toBoolean(),
+    body('analyticsTracking').optional().isBoolean().toBoolean(),
+    body('cookieConsent').optional().isBoolean().toBoolean()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      await privacyService.recordSettingsChange(req.user._id, req.body, requestContext(req, 'privacy_settings'));
+
+      const user = await User.findById(req.user._id).select('privacySettings');
+      res.json(user.privacySettings);
+    } catch (error) {
+      sendError(res, error, 'Failed to update privacy settings');
+    }
+  });
+
+  /**
+   * Get current consent for every purpose
+   * GET /api/privacy/consent
+   */
+  router.get('/consent', async (req, res) => {
+    try {
+      const consent = await privacyService.getConsentStatus(req.user._id);
+      res.json(consent);
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch consent');
+    }
+  });
+
+  /**
+   * Grant or withdraw consent
+   * PUT /api/privacy/consent
+   */
+  router.put('/consent', [
+    body('consent').isObject().withMessage('Consent must be an object keyed by purpose'),
+    body('source').optional().isIn(['privacy_settings', 'consent_banner', 'signup', 'api'])
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const records = await privacyService.recordConsent(
+        req.user._id,
+        req.body.consent,
+        requestContext(req, req.body.source || 'privacy_settings')
+      );
+      const consent = await privacyService.getConsentStatus(req.user._id);
+
+      res.json({
+        message: records.length > 0 ? 'Consent updated' : 'Consent unchanged',
+        consent
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to update consent');
+    }
+  });
+
+  /**
+   * Get versioned consent history
+   * GET /api/privacy/consent/history
+   */
+  router.get('/consent/history', [
+    query('purpose').optional().isIn(Object.keys(CONSENT_PURPOSES))
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const history = await privacyService.getConsentHistory(req.user._id, req.query.purpose);
+      res.json({ data: history });
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch consent history');
+    }
+  });
+
+  /**
+   * List the current user's data subject requests
+   * GET /api/privacy/data-requests
+   */
+  router.get('/data-requests', async (req, res) => {
+    try {
+      const requests = await privacyService.listUserRequests(req.user._id);
+      res.json(requests.map(request => privacyService.serializeRequest(request)));
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch data requests');
+    }
+  });
+
+  /**
+   * Open a data subject request
+   * POST /api/privacy/data-requests
+   */
+  router.post('/data-requests', [
+    body('type').isIn(Object.keys(REQUEST_TYPES)).withMessage('Type must be export, rectify, erase or restrict'),
+    body('description').optional().isString().trim().isLength({ max: 1000 }),
+    body('changes').optional().isObject()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { type, description, changes } = req.body;
+      const request = await privacyService.createDataSubjectRequest(req.user._id, type, {
+        description,
+        details: changes ? { changes } : {}
+      });
+
+      // Access requests are fulfilled automatically by the export job
+      if (type === 'export') {
+        await dataExportService.requestExport(req.user._id);
+      }
+
+      res.status(201).json({
+        message: 'Data request received',
+        data: privacyService.serializeRequest(request)
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to create data request');
+    }
+  });
+
+  /**
+   * Get one of the current user's data subject requests
+   * GET /api/privacy/data-requests/:id
+   */
+  router.get('/data-requests/:id', [
+    param('id').isMongoId()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const request = await privacyService.getRequest(req.params.id, req.user._id);
+      res.json({ data: privacyService.serializeRequest(request) });
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch data request');
+    }
+  });
+
+  /**
+   * Cancel one of the current user's open requests
+   * POST /api/privacy/data-requests/:id/cancel
+   */
+  router.post('/data-requests/:id/cancel', [
+    param('id').isMongoId()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const request = await privacyService.transitionRequest(
+        req.params.id,
+        'cancelled',
+        { id: req.user._id, role: 'data_subject' },
+        { userId: req.user._id, note: 'Cancelled by data subject' }
+      );
+
+      res.json({
+        message: 'Data request cancelled',
+        data: privacyService.serializeRequest(request)
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to cancel data request');
+    }
+  });
+
+  /**
+   * Delete the current user's account and erase their personal data
+   * DELETE /api/privacy/account
+   */
+  router.delete('/account', [
+    body('password').isString().notEmpty().withMessage('Password is required'),
+    body('confirmation').equals('DELETE MY DATA').withMessage('Type "DELETE MY DATA" to confirm')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findById(req.user._id);
+      if (!user || !(await user.comparePassword(req.body.password))) {
+        return res.status(401).json({ error: 'Invalid password' });
+      }
+
+      const request = await privacyService.eraseOwnAccount(req.user._id);
+
+      res.json({
+        message: 'Your account and personal data have been erased',
+        certificate: request.result
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to delete account');
+    }
+  });
+
+  /**
+   * Request a downloadable export of all personal data
+   * POST /api/privacy/exports
+   */
+  router.post('/exports', async (req, res) => {
+    try {
+      const { dataExport, alreadyRunning } = await dataExportService.requestExport(req.user._id);
+
+      res.status(alreadyRunning ? 200 : 202).json({
+        message: alreadyRunning ? 'An export is already being prepared' : 'Export started',
+        data: dataExportService.serializeExport(dataExport)
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to start data export');
+    }
+  });
+
+  /**
+   * List the current user's exports
+   * GET /api/privacy/exports
+   */
+  router.get('/exports', async (req, res) => {
+    try {
+      const dataExports = await dataExportService.listExports(req.user._id);
+      res.json({ data: dataExports.map(dataExport => dataExportService.serializeExport(dataExport)) });
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch data exports');
+    }
+  });
+
+  /**
+   * Get an export's status
+   * GET /api/privacy/exports/:id
+   */
+  router.get('/exports/:id', [
+    param('id').isMongoId()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const dataExport = await dataExportService.getExport(req.params.id, req.user._id);
+      res.json({ data: dataExportService.serializeExport(dataExport) });
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch data export');
+    }
+  });
+
+  /**
+   * Download a completed export archive
+   * GET /api/privacy/exports/:id/download
+   */
+  router.get('/exports/:id/download', [
+    param('id').isMongoId()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const download = await dataExportService.getDownload(req.params.id, req.user._id);
+
+      res.set('Cache-Control', 'no-store');
+      res.set('X-Checksum-SHA256', download.sha256);
+      res.download(download.filePath, download.fileName);
+    } catch (error) {
+      sendError(res, error, 'Failed to download data export');
+    }
+  });
+
+  /**
+   * List data subject requests for the DPO
+   * GET /api/privacy/admin/data-requests
+   */
+  router.get('/admin/data-requests', authorizeRoles('admin'), [
+    query('status').optional().isIn(REQUEST_STATUSES),
+    query('type').optional().isIn(Object.keys(REQUEST_TYPES)),
+    query('overdue').optional().isBoolean().toBoolean(),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { requests, pagination } = await privacyService.listRequests(req.query);
+
+      res.json({
+        data: requests.map(request => ({
+          ...privacyService.serializeRequest(request),
+          userId: request.userId,
+          isOverdue: request.isOverdue,
+          auditTrail: request.auditTrail
+        })),
+        pagination
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch data requests');
+    }
+  });
+
+  /**
+   * Move a data subject request through the workflow
+   * PATCH /api/privacy/admin/data-requests/:id
+   */
+  router.patch('/admin/data-requests/:id', authorizeRoles('admin'), [
+    param('id').isMongoId(),
+    body('status').isIn(REQUEST_STATUSES),
+    body('note').optional().isString().trim().isLength({ max: 2000 }),
+    body('resolution').optional().isString().trim().isLength({ max: 2000 })
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { status, note, resolution } = req.body;
+      const request = await privacyService.transitionRequest(
+        req.params.id,
+        status,
+        { id: req.user._id, role: req.user.role },
+        { note, resolution }
+      );
+
+      res.json({
+        message: `Data request ${request.status}`,
+        data: privacyService.serializeRequest(request)
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to update data request');
+    }
+  });
+
+  /**
+   * Extend a request's response deadline
+   * POST /api/privacy/admin/data-requests/:id/extend
+   */
+  router.post('/admin/data-requests/:id/extend', authorizeRoles('admin'), [
+    param('id').isMongoId(),
+    body('days').isInt({ min: 1, max: 60 }).toInt(),
+    body('reason').isString().trim().isLength({ min: 1, max: 2000 }).withMessage('A reason is required')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const request = await privacyService.extendDeadline(
+        req.params.id,
+        req.body.days,
+        req.body.reason,
+        { id: req.user._id, role: req.user.role }
+      );
+
+      res.json({
+        message: 'Deadline extended',
+        data: privacyService.serializeRequest(request)
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to extend deadline');
+    }
+  });
+
+  /**
+   * Look up and verify an erasure certificate
+   * GET /api/privacy/admin/erasure-certificates/:certificateId
+   */
+  router.get('/admin/erasure-certificates/:certificateId', authorizeRoles('admin'), [
+    param('certificateId').isUUID()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const erasureService = privacyService.erasureService;
+      const certificate = await erasureService.getCertificate(req.params.certificateId);
+
+      res.json({
+        data: certificate,
+        valid: erasureService.verifyCertificate(certificate)
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch erasure certificate');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createPrivacyRoutes;
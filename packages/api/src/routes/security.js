@@ -0,0 +1,229 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const { THREAT_ACTIONS } = require('../services/SecurityDashboardService');
+
+const TIME_RANGES = ['1h', '24h', '7d', '30d', '90d'];
+const SEVERITIES = ['critical', 'high', 'medium', 'low', 'info'];
+
+const listValidators = [
+  query('timeRange').optional().isIn(TIME_RANGES),
+  query('severity').optional().isIn(SEVERITIES),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 200 })
+];
+
+/**
+ * Security dashboard routes
+ */
+function createSecurityRoutes({ securityDashboardService, auth }) {
+  const { authenticateToken, authorizeRoles } = auth;
+  const router = express.Router();
+
+  router.use(authenticateToken, authorizeRoles('admin', 'moderator'));
+
+  /**
+   * Get security events
+   * GET /api/security/events
+   */
+  router.get('/events', [
+    ...listValidators,
+    query('eventType').optional().isString().trim()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { timeRange, eventType, severity, page, limit } = req.query;
+      const events = securityDashboardService.listEvents({ timeRange, eventType, severity });
+
+      res.json(securityDashboardService.paginate(events, { page, limit }));
+    } catch (error) {
+      console.error('Error fetching security events:', error);
+      res.status(500).json({ error: 'Failed to fetch security events' });
+    }
+  });
+
+  /**
+   * Get detected threats
+   * GET /api/security/threats
+   */
+  router.get('/threats', [
+    ...listValidators,
+    query('status').optional().isIn(['detected', ...Object.values(THREAT_ACTIONS)])
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { timeRange, severity, status, page, limit } = req.query;
+      const threats = await securityDashboardService.listThreats({ timeRange, severity, status });
+
+      res.json(securityDashboardService.paginate(threats, { page, limit }));
+    } catch (error) {
+      console.error('Error fetching threats:', error);
+      res.status(500).json({ error: 'Failed to fetch threats' });
+    }
+  });
+
+  /**
+   * Respond to a threat
+   * POST /api/security/threats/:id/respond
+   */
+  router.post('/threats/:id/respond', [
+    param('id').isHexadecimal(),
+    body('action').isIn(Object.keys(THREAT_ACTIONS)).withMessage('Action must be acknowledge, block, resolve or escalate'),
+    body('notes').optional().isString().trim().isLength({ max: 2000 })
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const response = await securityDashboardService.respondToThreat(req.params.id, req.body.action, {
+        userId: req.user._id,
+        notes: req.body.notes
+      });
+
+      if (!response) {
+        return res.status(404).json({ error: 'Threat not found' });
+      }
+
+      res.json({
+        message: `Threat ${response.status}`,
+        data: response
+      });
+    } catch (error) {
+      console.error('Error responding to threat:', error);
+      res.status(500).json({ error: 'Failed to respond to threat' });
+    }
+  });
+
+  /**
+   * Get open security alerts
+   * GET /api/security/alerts
+   */
+  router.get('/alerts', listValidators, async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { timeRange, page, limit } = req.query;
+      const alerts = await securityDashboardService.listAlerts({ timeRange });
+
+      res.json(securityDashboardService.paginate(alerts, { page, limit }));
+    } catch (error) {
+      console.error('Error fetching security alerts:', error);
+      res.status(500).json({ error: 'Failed to fetch security alerts' });
+    }
+  });
+
+  /**
+   * Get security metrics
+   * GET /api/security/metrics
+   */
+  router.get('/metrics', [
+    query('timeRange').optional().isIn(TIME_RANGES)
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      res.json({ data: await securityDashboardService.getMetrics({ timeRange: req.query.timeRange }) });
+    } catch (error) {
+      console.error('Error fetching security metrics:', error);
+      res.status(500).json({ error: 'Failed to fetch security metrics' });
+    }
+  });
+
+  /**
+   * Get vulnerabilities from the latest completed scan
+   * GET /api/security/vulnerabilities
+   */
+  router.get('/vulnerabilities', listValidators, async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { timeRange, severity, page, limit } = req.query;
+      const vulnerabilities = securityDashboardService.listVulnerabilities({ timeRange, severity });
+
+      res.json(securityDashboardService.paginate(vulnerabilities, { page, limit }));
+    } catch (error) {
+      console.error('Error fetching vulnerabilities:', error);
+      res.status(500).json({ error: 'Failed to fetch vulnerabilities' });
+    }
+  });
+
+  /**
+   * Start a vulnerability scan
+   * POST /api/security/scan
+   */
+  router.post('/scan', authorizeRoles('admin'), [
+    body('includeDependencies').optional().isBoolean(),
+    body('maxFileSize').optional().matches(/^\d+(b|kb|mb)$/i)
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { job, alreadyRunning } = securityDashboardService.startScan(req.body, req.user._id);
+
+      res.status(alreadyRunning ? 200 : 202).json({
+        message: alreadyRunning ? 'A vulnerability scan is already running' : 'Vulnerability scan started',
+        job
+      });
+    } catch (error) {
+      console.error('Error starting vulnerability scan:', error);
+      res.status(500).json({ error: 'Failed to start vulnerability scan' });
+    }
+  });
+
+  /**
+   * List vulnerability scan jobs
+   * GET /api/security/scan
+   */
+  router.get('/scan', async (req, res) => {
+    try {
+      res.json({ data: securityDashboardService.listScanJobs() });
+    } catch (error) {
+      console.error('Error fetching scan jobs:', error);
+      res.status(500).json({ error: 'Failed to fetch scan jobs' });
+    }
+  });
+
+  /**
+   * Get a vulnerability scan job
+   * GET /api/security/scan/:jobId
+   */
+  router.get('/scan/:jobId', async (req, res) => {
+    try {
+      const job = securityDashboardService.getScanJob(req.params.jobId);
+
+      if (!job) {
+        return res.status(404).json({ error: 'Scan job not found' });
+      }
+
+      res.json({ data: job });
+    } catch (error) {
+      console.error('Error fetching scan job:', error);
+      res.status(500).json({ error: 'Failed to fetch scan job' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createSecurityRoutes;
@@ -0,0 +1,165 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { requireVerifiedEmail } = require('../middleware/auth');
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({ error: error.message });
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ error: fallbackMessage });
+};
+
+/**
+ * Saved segment routes
+ */
+function createSegmentRoutes({ segmentService, auth }) {
+  const { authenticateToken } = auth;
+  const router = express.Router();
+
+  router.use(authenticateToken, requireVerifiedEmail);
+
+  /**
+   * List saved segments
+   * GET /api/segments
+   */
+  router.get('/', async (req, res) => {
+    try {
+      res.json({ data: await segmentService.listSegments(req.user._id) });
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch segments');
+    }
+  });
+
+  /**
+   * Count and sample the subscribers a rule tree matches, without saving it
+   * POST /api/segments/preview
+   */
+  router.post('/preview', [
+    body('rules').isObject()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      res.json(await segmentService.previewRules(req.user._id, req.body.rules));
+    } catch (error) {
+      sendError(res, error, 'Failed to preview segment');
+    }
+  });
+
+  /**
+   * Save a segment
+   * POST /api/segments
+   */
+  router.post('/', [
+    body('name').isString().trim().isLength({ min: 1, max: 200 }),
+    body('description').optional().isString().trim().isLength({ max: 1000 }),
+    body('rules').isObject()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const segment = await segmentService.createSegment(req.user._id, req.body);
+      res.status(201).json({ data: segment });
+    } catch (error) {
+      sendError(res, error, 'Failed to create segment');
+    }
+  });
+
+  /**
+   * Get a saved segment
+   * GET /api/segments/:id
+   */
+  router.get('/:id', [
+    param('id').isMongoId()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      res.json({ data: await segmentService.getSegment(req.user._id, req.params.id) });
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch segment');
+    }
+  });
+
+  /**
+   * Resolve a saved segment into its current subscribers
+   * GET /api/segments/:id/subscribers
+   */
+  router.get('/:id/subscribers', [
+    param('id').isMongoId()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { segment, matches } = await segmentService.resolveSegment(req.user._id, req.params.id);
+      res.json({
+        segmentId: segment._id,
+        count: matches.length,
+        data: matches.map(({ profile, ...subscriber }) => subscriber)
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to resolve segment');
+    }
+  });
+
+  /**
+   * Update a saved segment
+   * PUT /api/segments/:id
+   */
+  router.put('/:id', [
+    param('id').isMongoId(),
+    body('name').optional().isString().trim().isLength({ min: 1, max: 200 }),
+    body('description').optional().isString().trim().isLength({ max: 1000 }),
+    body('rules').optional().isObject()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const segment = await segmentService.updateSegment(req.user._id, req.params.id, req.body);
+      res.json({ data: segment });
+    } catch (error) {
+      sendError(res, error, 'Failed to update segment');
+    }
+  });
+
+  /**
+   * Delete a saved segment
+   * DELETE /api/segments/:id
+   */
+  router.delete('/:id', [
+    param('id').isMongoId()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      await segmentService.deleteSegment(req.user._id, req.params.id);
+      res.json({ message: 'Segment deleted' });
+    } catch (error) {
+      sendError(res, error, 'Failed to delete segment');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createSegmentRoutes;
@@ -0,0 +1,112 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { refreshRateLimiter } = require('../middleware/auth');
+
+const requestContext = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ error: fallbackMessage });
+};
+
+/**
+ * Token refresh, logout and the signed-in device list
+ */
+function createSessionRoutes({ sessionService, auth }) {
+  const { authenticateToken } = auth;
+  const router = express.Router();
+
+  /**
+   * Exchange a refresh token for a new access token and refresh token.
+   * The old refresh token stops working; presenting it again revokes the session.
+   * POST /api/auth/refresh
+   */
+  router.post('/refresh', refreshRateLimiter, [
+    body('refreshToken').isString().notEmpty()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      res.json(await sessionService.refresh(req.body.refreshToken, requestContext(req)));
+    } catch (error) {
+      sendError(res, error, 'Failed to refresh session');
+    }
+  });
+
+  /**
+   * End the current session
+   * POST /api/auth/logout
+   */
+  router.post('/logout', authenticateToken, async (req, res) => {
+    try {
+      await sessionService.revokeSession(req.auth.sessionId, 'logout');
+      res.json({ message: 'Logged out' });
+    } catch (error) {
+      sendError(res, error, 'Failed to log out');
+    }
+  });
+
+  /**
+   * End every session of the current user, on all devices
+   * POST /api/auth/logout-all
+   */
+  router.post('/logout-all', authenticateToken, async (req, res) => {
+    try {
+      const revoked = await sessionService.revokeAllSessions(req.user._id);
+      res.json({ message: 'Logged out on all devices', data: { revoked } });
+    } catch (error) {
+      sendError(res, error, 'Failed to log out on all devices');
+    }
+  });
+
+  /**
+   * Active sessions of the current user
+   * GET /api/auth/sessions
+   */
+  router.get('/sessions', authenticateToken, async (req, res) => {
+    try {
+      const sessions = await sessionService.listSessions(req.user._id);
+      res.json({
+        data: sessions.map(session => ({ ...session, current: session.id === req.auth.sessionId }))
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch sessions');
+    }
+  });
+
+  /**
+   * Sign out one of the current user's devices
+   * DELETE /api/auth/sessions/:id
+   */
+  router.delete('/sessions/:id', authenticateToken, [
+    param('id').isMongoId()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const revoked = await sessionService.revokeSession(req.params.id, 'revoked', { userId: req.user._id });
+      if (!revoked) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+      res.json({ message: 'Session revoked' });
+    } catch (error) {
+      sendError(res, error, 'Failed to revoke session');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createSessionRoutes;
@@ -0,0 +1,373 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { createRateLimiter } = require('../middleware/auth');
+const { SSO_PROTOCOLS, SSO_ROLES } = require('../models/SsoConnection');
+
+const ssoRateLimiter = createRateLimiter(15 * 60 * 1000, 30, 'Too many sign-in attempts');
+
+const requestContext = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
+// Holds the state of a login in progress, so only the browser that started it can finish it
+const STATE_COOKIE = 'sso_state';
+const STATE_COOKIE_PATH = '/api/auth/sso';
+
+const readCookie = (req, name) => {
+  for (const pair of (req.headers.cookie || '').split(';')) {
+    const index = pair.indexOf('=');
+    if (index !== -1 && pair.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(pair.slice(index + 1).trim());
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+};
+
+// The OIDC callback is a top-level GET, which Lax cookies are sent with. The
+// SAML response is a cross-site POST, which needs SameSite=None, and so Secure.
+const stateCookieOptions = (protocol) => ({
+  httpOnly: true,
+  path: STATE_COOKIE_PATH,
+  sameSite: protocol === 'saml' ? 'none' : 'lax',
+  secure: protocol === 'saml' || process.env.NODE_ENV === 'production'
+});
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ error: fallbackMessage });
+};
+
+const connectionRules = [
+  body('name').optional().isString().trim().isLength({ min: 1, max: 100 }),
+  body('domains').optional().isArray({ min: 1 }),
+  body('domains.*').isString(),
+  body('enabled').optional().isBoolean().toBoolean(),
+  body('jitProvisioning').optional().isBoolean().toBoolean(),
+  body('defaultRole').optional().isIn(SSO_ROLES),
+  body('roleMapping').optional().isArray(),
+  body('roleMapping.*.group').isString().notEmpty(),
+  body('roleMapping.*.role').isIn(SSO_ROLES),
+  body('attributeMapping.*').optional().isString(),
+  body('oidc.clientId').optional().isString().notEmpty(),
+  body('oidc.clientSecret').optional().isString().notEmpty(),
+  body('oidc.tokenEndpointAuthMethod').optional().isIn(['client_secret_basic', 'client_secret_post']),
+  body('oidc.scopes').optional().isArray()
+];
+
+/**
+ * Enterprise single sign-on: signing in through a customer's identity
+ * provider, and the admin routes that set up connections
+ */
+function createSsoRoutes({ ssoService, auth }) {
+  const { authenticateToken, authorizeRoles, requireTwoFactor } = auth;
+  const router = express.Router();
+
+  // The browser returns to the frontend either way; failures are explained there
+  const redirectWithError = (res, error) => {
+    if (!error.status || error.status >= 500) {
+      console.error('SSO sign-in failed:', error);
+    }
+    res.redirect(303, ssoService.completionUrl({ error: error.code || 'SSO_LOGIN_FAILED' }));
+  };
+
+  /**
+   * The connection an email address signs in with, if any
+   * POST /api/auth/sso/discover
+   */
+  router.post('/discover', ssoRateLimiter, [
+    body('email').isEmail().normalizeEmail()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const connection = await ssoService.discover(req.body.email);
+      res.json({ sso: Boolean(connection), ...(connection && { data: connection }) });
+    } catch (error) {
+      sendError(res, error, 'Failed to look up SSO connection');
+    }
+  });
+
+  /**
+   * Metadata for registering this service provider with a SAML IdP
+   * GET /api/auth/sso/saml/metadata
+   */
+  router.get('/saml/metadata', (req, res) => {
+    res.type('application/samlmetadata+xml').send(ssoService.samlMetadata());
+  });
+
+  /**
+   * Where the OIDC provider sends the browser back
+   * GET /api/auth/sso/oidc/callback
+   */
+  router.get('/oidc/callback', ssoRateLimiter, async (req, res) => {
+    try {
+      res.clearCookie(STATE_COOKIE, stateCookieOptions('oidc'));
+      if (req.query.error || !req.query.code || !req.query.state) {
+        return res.redirect(303, ssoService.completionUrl({ error: 'SSO_LOGIN_FAILED' }));
+      }
+      const code = await ssoService.completeOidc({
+        code: String(req.query.code),
+        state: String(req.query.state),
+        browserState: readCookie(req, STATE_COOKIE)
+      });
+      res.redirect(303, ssoService.completionUrl({ code }));
+    } catch (error) {
+      redirectWithError(res, error);
+    }
+  });
+
+  /**
+   * SAML assertion consumer service (HTTP-POST binding)
+   * POST /api/auth/sso/saml/acs
+   */
+  router.post('/saml/acs', ssoRateLimiter, async (req, res) => {
+    try {
+      const { SAMLResponse, RelayState } = req.body;
+      res.clearCookie(STATE_COOKIE, stateCookieOptions('saml'));
+      if (typeof SAMLResponse !== 'string' || typeof RelayState !== 'string') {
+        return res.redirect(303, ssoService.completionUrl({ error: 'INVALID_SAML_RESPONSE' }));
+      }
+      const code = await ssoService.completeSaml({ SAMLResponse, RelayState, browserState: readCookie(req, STATE_COOKIE) });
+      res.redirect(303, ssoService.completionUrl({ code }));
+    } catch (error) {
+      redirectWithError(res, error);
+    }
+  });
+
+  /**
+   * Exchange the code from the SSO redirect for a session. Users with
+   * two-factor on get a challenge for /api/auth/2fa/verify instead.
+   * POST /api/auth/sso/complete
+   */
+  router.post('/complete', ssoRateLimiter, [
+    body('code').isString().notEmpty()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { user, twoFactorRequired, challengeToken, token, refreshToken, expiresIn } =
+        await ssoService.redeemHandoff(req.body.code, requestContext(req));
+      if (twoFactorRequired) {
+        return res.json({ message: 'Two-factor authentication required', twoFactorRequired, challengeToken });
+      }
+
+      res.json({
+        message: 'Login successful',
+        token,
+        refreshToken,
+        expiresIn,
+        user: { id: user._id, email: user.email, firstName: user.firstName, lastName: user.lastName, role: user.role, emailVerified: user.emailVerified }
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to complete SSO sign-in');
+    }
+  });
+
+  const admin = [authenticateToken, authorizeRoles('admin')];
+
+  /**
+   * All connections
+   * GET /api/auth/sso/connections
+   */
+  router.get('/connections', admin, [
+    query('ownerId').optional().isMongoId()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const filter = req.query.ownerId ? { ownerId: req.query.ownerId } : {};
+      res.json({ data: await ssoService.listConnections(filter) });
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch SSO connections');
+    }
+  });
+
+  /**
+   * Set up a connection for an enterprise account. OIDC settings come from
+   * the issuer's discovery document; SAML settings from metadata XML or a
+   * metadata URL.
+   * POST /api/auth/sso/connections
+   */
+  router.post('/connections', admin, [
+    body('name').isString().trim().isLength({ min: 1, max: 100 }),
+    body('protocol').isIn(SSO_PROTOCOLS),
+    body('ownerId').isMongoId(),
+    body('domains').isArray({ min: 1 }),
+    body('oidc.issuer').if(body('protocol').equals('oidc')).isURL({ protocols: ['https'], require_tld: false }),
+    body('saml.metadataUrl').optional().isURL({ protocols: ['https'], require_tld: false }),
+    body('metadataXml').optional().isString(),
+    ...connectionRules
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      res.status(201).json({ data: await ssoService.createConnection(req.body, req.user) });
+    } catch (error) {
+      sendError(res, error, 'Failed to create SSO connection');
+    }
+  });
+
+  /**
+   * Change a connection's domains, mappings, status or OIDC client
+   * PATCH /api/auth/sso/connections/:id
+   */
+  router.patch('/connections/:id', admin, [
+    param('id').isMongoId(),
+    ...connectionRules
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const connection = await ssoService.updateConnection(req.params.id, req.body);
+      if (!connection) {
+        return res.status(404).json({ error: 'SSO connection not found' });
+      }
+      res.json({ data: connection });
+    } catch (error) {
+      sendError(res, error, 'Failed to update SSO connection');
+    }
+  });
+
+  /**
+   * Read the provider's metadata again, e.g. after a key rotation
+   * POST /api/auth/sso/connections/:id/refresh-metadata
+   */
+  router.post('/connections/:id/refresh-metadata', admin, [
+    param('id').isMongoId(),
+    body('metadataXml').optional().isString()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const connection = await ssoService.refreshMetadata(req.params.id, req.body.metadataXml);
+      if (!connection) {
+        return res.status(404).json({ error: 'SSO connection not found' });
+      }
+      res.json({ data: connection });
+    } catch (error) {
+      sendError(res, error, 'Failed to refresh SSO metadata');
+    }
+  });
+
+  /**
+   * Check the TXT records of the connection's pending domains, and start
+   * using the domains that carry its verification value
+   * POST /api/auth/sso/connections/:id/verify-domains
+   */
+  router.post('/connections/:id/verify-domains', admin, [
+    param('id').isMongoId()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const connection = await ssoService.verifyDomains(req.params.id);
+      if (!connection) {
+        return res.status(404).json({ error: 'SSO connection not found' });
+      }
+      res.json({ data: connection });
+    } catch (error) {
+      sendError(res, error, 'Failed to verify SSO domains');
+    }
+  });
+
+  /**
+   * Remove a connection. Linked accounts stay, and can sign in with a password reset.
+   * DELETE /api/auth/sso/connections/:id
+   */
+  router.delete('/connections/:id', admin, [
+    param('id').isMongoId()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const connection = await ssoService.deleteConnection(req.params.id);
+      if (!connection) {
+        return res.status(404).json({ error: 'SSO connection not found' });
+      }
+      res.json({ message: 'SSO connection deleted' });
+    } catch (error) {
+      sendError(res, error, 'Failed to delete SSO connection');
+    }
+  });
+
+  /**
+   * Start signing in through a connection; redirects to the identity provider,
+   * keeping the login's state in a cookie for the callback to check
+   * GET /api/auth/sso/:connectionId/login
+   */
+  router.get('/:connectionId/login', ssoRateLimiter, [
+    param('connectionId').isMongoId()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { redirectUrl, state, protocol } = await ssoService.beginLogin(req.params.connectionId);
+      res.cookie(STATE_COOKIE, state, { ...stateCookieOptions(protocol), maxAge: ssoService.requestTtlMs });
+      res.redirect(302, redirectUrl);
+    } catch (error) {
+      sendError(res, error, 'Failed to start SSO sign-in');
+    }
+  });
+
+  /**
+   * Start a sign-in that links the signed-in account to its identity at a
+   * connection. Admin and moderator accounts are only linked this way.
+   * Answers with the URL to send the browser to.
+   * POST /api/auth/sso/:connectionId/link
+   */
+  router.post('/:connectionId/link', ssoRateLimiter, authenticateToken, requireTwoFactor, [
+    param('connectionId').isMongoId()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { redirectUrl, state, protocol } = await ssoService.beginLogin(req.params.connectionId, { linkUserId: req.user._id });
+      res.cookie(STATE_COOKIE, state, { ...stateCookieOptions(protocol), maxAge: ssoService.requestTtlMs });
+      res.json({ redirectUrl });
+    } catch (error) {
+      sendError(res, error, 'Failed to start linking single sign-on');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createSsoRoutes;
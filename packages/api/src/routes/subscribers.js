@@ -0,0 +1,300 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const Subscriber = require('../models/Subscriber');
+const User = require('../models/User');
+const { EMAIL_VARIANTS } = require('../services/NewsletterRenderService');
+
+const SUBSCRIBER_STATUSES = ['pending', 'subscribed', 'unsubscribed', 'bounced', 'complained'];
+const EDITABLE_FIELDS = ['firstName', 'lastName', 'tags', 'language', 'timezone', 'emailVariant', 'customFields'];
+const MAX_IMPORT = 1000;
+
+const subscriberValidators = (prefix = '') => [
+  body(`${prefix}firstName`).optional().isString().trim().isLength({ max: 100 }),
+  body(`${prefix}lastName`).optional().isString().trim().isLength({ max: 100 }),
+  body(`${prefix}tags`).optional().isArray({ max: 50 }),
+  body(`${prefix}tags.*`).isString().trim().toLowerCase().isLength({ min: 1, max: 50 }),
+  body(`${prefix}language`).optional().isString().trim().isLength({ min: 2, max: 10 }),
+  body(`${prefix}timezone`).optional().isString().trim().isLength({ max: 64 }),
+  body(`${prefix}emailVariant`).optional().isIn(EMAIL_VARIANTS),
+  body(`${prefix}customFields`).optional().isObject()
+];
+
+const pickFields = (data) => EDITABLE_FIELDS.reduce((fields, field) => {
+  if (data[field] !== undefined) {
+    fields[field] = data[field];
+  }
+  return fields;
+}, {});
+
+// Link subscribers to reader accounts so segments can use their plan and preferences
+const findLinkedUsers = async (emails) => {
+  const users = await User.find({ email: { $in: emails } }).select('_id email').lean();
+  return new Map(users.map(user => [user.email, user._id]));
+};
+
+/**
+ * Subscriber routes
+ */
+function createSubscriberRoutes({ auth }) {
+  const { authenticate } = auth;
+  const router = express.Router();
+
+  /**
+   * List subscribers
+   * GET /api/subscribers
+   */
+  router.get('/', authenticate('subscribers:read'), [
+    query('status').optional().isIn(SUBSCRIBER_STATUSES),
+    query('tag').optional().isString().trim().toLowerCase(),
+    query('search').optional().isString().trim().isLength({ max: 200 }),
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { status, tag, search, page = 1, limit = 50 } = req.query;
+      const filter = { userId: req.user._id };
+
+      if (status) {
+        filter.status = status;
+      }
+      if (tag) {
+        filter.tags = tag;
+      }
+      if (search) {
+        const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        filter.$or = [{ email: pattern }, { firstName: pattern }, { lastName: pattern }];
+      }
+
+      const [subscribers, total] = await Promise.all([
+        Subscriber.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+        Subscriber.countDocuments(filter)
+      ]);
+
+      res.json({
+        data: subscribers,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching subscribers:', error);
+      res.status(500).json({ error: 'Failed to fetch subscribers' });
+    }
+  });
+
+  /**
+   * Add a subscriber
+   * POST /api/subscribers
+   */
+  router.post('/', authenticate('subscribers:write'), [
+    body('email').isEmail().normalizeEmail(),
+    ...subscriberValidators()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (await Subscriber.exists({ userId: req.user._id, email: req.body.email })) {
+        return res.status(409).json({ error: 'Subscriber already exists' });
+      }
+
+      const linkedUsers = await findLinkedUsers([req.body.email]);
+      const subscriber = new Subscriber({
+        ...pickFields(req.body),
+        userId: req.user._id,
+        email: req.body.email,
+        linkedUserId: linkedUsers.get(req.body.email),
+        source: 'manual'
+      });
+      await subscriber.save();
+
+      res.status(201).json({ data: subscriber });
+    } catch (error) {
+      console.error('Error creating subscriber:', error);
+      res.status(500).json({ error: 'Failed to create subscriber' });
+    }
+  });
+
+  /**
+   * Import up to 1000 subscribers
+   * POST /api/subscribers/import
+   */
+  router.post('/import', authenticate('subscribers:import'), [
+    body('subscribers').isArray({ min: 1, max: MAX_IMPORT }).withMessage(`Provide between 1 and ${MAX_IMPORT} subscribers`),
+    body('subscribers.*.email').isEmail().normalizeEmail(),
+    ...subscriberValidators('subscribers.*.'),
+    body('updateExisting').optional().isBoolean().toBoolean()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { subscribers, updateExisting = false } = req.body;
+      const unique = [...new Map(subscribers.map(subscriber => [subscriber.email, subscriber])).values()];
+      const linkedUsers = await findLinkedUsers(unique.map(subscriber => subscriber.email));
+
+      const operations = unique.map(subscriber => {
+        const fields = pickFields(subscriber);
+        const linkedUserId = linkedUsers.get(subscriber.email);
+
+        return {
+          updateOne: {
+            filter: { userId: req.user._id, email: subscriber.email },
+            update: {
+              // Existing subscribers keep their status: an import never resubscribes anyone
+              $setOnInsert: {
+                userId: req.user._id,
+                email: subscriber.email,
+                status: 'subscribed',
+                source: 'import',
+                subscribedAt: new Date(),
+                ...(updateExisting ? {} : fields),
+                ...(linkedUserId ? { linkedUserId } : {})
+              },
+              ...(updateExisting && Object.keys(fields).length > 0 ? { $set: fields } : {})
+            },
+            upsert: true
+          }
+        };
+      });
+
+      const result = await Subscriber.bulkWrite(operations, { ordered: false });
+
+      res.json({
+        created: result.upsertedCount,
+        updated: result.modifiedCount,
+        skipped: subscribers.length - result.upsertedCount - result.modifiedCount
+      });
+    } catch (error) {
+      console.error('Error importing subscribers:', error);
+      res.status(500).json({ error: 'Failed to import subscribers' });
+    }
+  });
+
+  /**
+   * Get a subscriber
+   * GET /api/subscribers/:id
+   */
+  router.get('/:id', authenticate('subscribers:read'), [
+    param('id').isMongoId()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const subscriber = await Subscriber.findOne({ _id: req.params.id, userId: req.user._id }).lean();
+      if (!subscriber) {
+        return res.status(404).json({ error: 'Subscriber not found' });
+      }
+
+      res.json({ data: subscriber });
+    } catch (error) {
+      console.error('Error fetching subscriber:', error);
+      res.status(500).json({ error: 'Failed to fetch subscriber' });
+    }
+  });
+
+  /**
+   * Update a subscriber
+   * PUT /api/subscribers/:id
+   */
+  router.put('/:id', authenticate('subscribers:write'), [
+    param('id').isMongoId(),
+    ...subscriberValidators()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const subscriber = await Subscriber.findOneAndUpdate(
+        { _id: req.params.id, userId: req.user._id },
+        { $set: pickFields(req.body) },
+        { new: true, runValidators: true }
+      );
+
+      if (!subscriber) {
+        return res.status(404).json({ error: 'Subscriber not found' });
+      }
+
+      res.json({ data: subscriber });
+    } catch (error) {
+      console.error('Error updating subscriber:', error);
+      res.status(500).json({ error: 'Failed to update subscriber' });
+    }
+  });
+
+  /**
+   * Unsubscribe a subscriber
+   * POST /api/subscribers/:id/unsubscribe
+   */
+  router.post('/:id/unsubscribe', authenticate('subscribers:write'), [
+    param('id').isMongoId()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const subscriber = await Subscriber.findOneAndUpdate(
+        { _id: req.params.id, userId: req.user._id },
+        { $set: { status: 'unsubscribed', unsubscribedAt: new Date() } },
+        { new: true }
+      );
+
+      if (!subscriber) {
+        return res.status(404).json({ error: 'Subscriber not found' });
+      }
+
+      res.json({ data: subscriber });
+    } catch (error) {
+      console.error('Error unsubscribing subscriber:', error);
+      res.status(500).json({ error: 'Failed to unsubscribe subscriber' });
+    }
+  });
+
+  /**
+   * Delete a subscriber
+   * DELETE /api/subscribers/:id
+   */
+  router.delete('/:id', authenticate('subscribers:write'), [
+    param('id').isMongoId()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const result = await Subscriber.deleteOne({ _id: req.params.id, userId: req.user._id });
+      if (result.deletedCount === 0) {
+        return res.status(404).json({ error: 'Subscriber not found' });
+      }
+
+      res.json({ message: 'Subscriber deleted' });
+    } catch (error) {
+      console.error('Error deleting subscriber:', error);
+      res.status(500).json({ error: 'Failed to delete subscriber' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createSubscriberRoutes;
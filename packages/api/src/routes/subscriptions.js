@@ -0,0 +1,114 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { createRateLimiter } = require('../middleware/auth');
+
+const signupRateLimiter = createRateLimiter(15 * 60 * 1000, 10, 'Too many subscription requests');
+
+// Same answer whatever the address's state, so signups cannot be used to probe a list
+const PENDING_MESSAGE = 'Check your inbox and follow the link within 24 hours to confirm your subscription';
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({ error: error.message });
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ error: fallbackMessage });
+};
+
+const audienceValidator = body('audienceId')
+  .default(process.env.SIGNUP_AUDIENCE_ID)
+  .isMongoId()
+  .withMessage('A valid audienceId is required');
+
+/**
+ * Subscription signup and double opt-in confirmation routes
+ */
+function createSubscriptionRoutes({ doubleOptInService }) {
+  const router = express.Router();
+
+  /**
+   * Public signup. The subscriber stays pending until they confirm.
+   * POST /api/subscriptions/signup
+   */
+  router.post('/signup', signupRateLimiter, [
+    audienceValidator,
+    body('email').isEmail().normalizeEmail(),
+    body('firstName').optional().isString().trim().isLength({ max: 100 }),
+    body('lastName').optional().isString().trim().isLength({ max: 100 }),
+    body('preferences.topics').optional().isArray({ max: 20 }),
+    body('preferences.topics.*').isString().trim().toLowerCase().isLength({ min: 1, max: 50 }),
+    body('consents.gdpr').equals('true').withMessage('Consent to the privacy policy is required'),
+    body('formVersion').isString().trim().isLength({ min: 1, max: 50 })
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { audienceId, email, firstName, lastName, preferences = {}, formVersion } = req.body;
+
+      await doubleOptInService.signup(audienceId, {
+        email,
+        firstName,
+        lastName,
+        tags: preferences.topics,
+        formVersion
+      }, { ipAddress: req.ip });
+
+      res.status(202).json({ message: PENDING_MESSAGE });
+    } catch (error) {
+      sendError(res, error, 'Failed to start subscription');
+    }
+  });
+
+  /**
+   * Confirm a subscription with the emailed token
+   * POST /api/subscriptions/confirm
+   */
+  router.post('/confirm', [
+    body('token').isString().isLength({ min: 1, max: 2048 })
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { subscriber, alreadyConfirmed } = await doubleOptInService.confirm(req.body.token, { ipAddress: req.ip });
+
+      res.json({
+        message: alreadyConfirmed ? 'Your subscription is already confirmed' : 'Your subscription is confirmed',
+        email: subscriber.email
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to confirm subscription');
+    }
+  });
+
+  /**
+   * Send the confirmation email again
+   * POST /api/subscriptions/resend
+   */
+  router.post('/resend', signupRateLimiter, [
+    audienceValidator,
+    body('email').isEmail().normalizeEmail()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      await doubleOptInService.resend(req.body.audienceId, req.body.email);
+      res.status(202).json({ message: PENDING_MESSAGE });
+    } catch (error) {
+      sendError(res, error, 'Failed to resend confirmation');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createSubscriptionRoutes;
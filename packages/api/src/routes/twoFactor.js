@@ -0,0 +1,221 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { twoFactorRateLimiter } = require('../middleware/auth');
+
+const requestContext = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ error: fallbackMessage });
+};
+
+const codeRule = () => body('code').isString().trim().isLength({ min: 6, max: 20 });
+
+/**
+ * Two-factor enrolment, login verification and the two-factor policy
+ */
+function createTwoFactorRoutes({ twoFactorService, sessionService, auth }) {
+  const { authenticateToken, authorizeRoles } = auth;
+  const router = express.Router();
+
+  /**
+   * Two-factor state of the current user and session
+   * GET /api/auth/2fa
+   */
+  router.get('/', authenticateToken, async (req, res) => {
+    try {
+      res.json({ data: await twoFactorService.getStatus(req.user, req.auth) });
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch two-factor status');
+    }
+  });
+
+  /**
+   * Start enrolment: returns the secret and an otpauth:// URI for a QR code
+   * POST /api/auth/2fa/enroll
+   */
+  router.post('/enroll', authenticateToken, async (req, res) => {
+    try {
+      const enrollment = await twoFactorService.beginEnrollment(req.user);
+      res.status(201).json({ data: enrollment });
+    } catch (error) {
+      sendError(res, error, 'Failed to start two-factor enrolment');
+    }
+  });
+
+  /**
+   * Finish enrolment with a code from the authenticator app. Returns the
+   * recovery codes, which are not shown again, and a verified session token.
+   * POST /api/auth/2fa/enroll/confirm
+   */
+  router.post('/enroll/confirm', authenticateToken, [
+    codeRule()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { recoveryCodes } = await twoFactorService.confirmEnrollment(req.user, req.body.code);
+
+      // Only this session has proved the second factor; the user's other sessions verify again
+      const session = await sessionService.markTwoFactorVerified(req.auth.sessionId);
+      await sessionService.clearTwoFactorVerified(req.user._id, { except: session._id });
+
+      res.json({
+        message: 'Two-factor authentication enabled',
+        recoveryCodes,
+        token: sessionService.issueAccessToken(req.user, session)
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to enable two-factor authentication');
+    }
+  });
+
+  /**
+   * Second login step: exchange the challenge from /api/auth/login and a
+   * TOTP or recovery code for an access token
+   * POST /api/auth/2fa/verify
+   */
+  router.post('/verify', twoFactorRateLimiter, [
+    body('challengeToken').isString().notEmpty(),
+    codeRule()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await twoFactorService.resolveChallenge(req.body.challengeToken);
+      const { method, recoveryCodesRemaining } = await twoFactorService.verifyCode(user, req.body.code);
+
+      user.lastLogin = new Date();
+      await user.save();
+
+      const { token, refreshToken, expiresIn } = await sessionService.createSession(user, requestContext(req), { twoFactorVerified: true });
+
+      res.json({
+        message: 'Login successful',
+        token,
+        refreshToken,
+        expiresIn,
+        method,
+        recoveryCodesRemaining,
+        user: { id: user._id, email: user.email, firstName: user.firstName, lastName: user.lastName, role: user.role, emailVerified: user.emailVerified }
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to verify two-factor code');
+    }
+  });
+
+  /**
+   * Verify the current session, e.g. one started before two-factor was enabled
+   * POST /api/auth/2fa/step-up
+   */
+  router.post('/step-up', twoFactorRateLimiter, authenticateToken, [
+    codeRule()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { method, recoveryCodesRemaining } = await twoFactorService.verifyCode(req.user, req.body.code);
+      const session = await sessionService.markTwoFactorVerified(req.auth.sessionId);
+
+      res.json({
+        token: sessionService.issueAccessToken(req.user, session),
+        method,
+        recoveryCodesRemaining
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to verify two-factor code');
+    }
+  });
+
+  /**
+   * Replace the recovery codes
+   * POST /api/auth/2fa/recovery-codes
+   */
+  router.post('/recovery-codes', twoFactorRateLimiter, authenticateToken, [
+    codeRule()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { recoveryCodes } = await twoFactorService.regenerateRecoveryCodes(req.user, req.body.code);
+      res.json({ recoveryCodes });
+    } catch (error) {
+      sendError(res, error, 'Failed to regenerate recovery codes');
+    }
+  });
+
+  /**
+   * Turn two-factor off
+   * POST /api/auth/2fa/disable
+   */
+  router.post('/disable', twoFactorRateLimiter, authenticateToken, [
+    codeRule()
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      await twoFactorService.disable(req.user, req.body.code);
+      res.json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+      sendError(res, error, 'Failed to disable two-factor authentication');
+    }
+  });
+
+  /**
+   * Roles that must use two-factor
+   * GET /api/auth/2fa/policy
+   */
+  router.get('/policy', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+    try {
+      res.json({ data: { requiredRoles: await twoFactorService.getRequiredRoles() } });
+    } catch (error) {
+      sendError(res, error, 'Failed to fetch two-factor policy');
+    }
+  });
+
+  /**
+   * Require two-factor for the admin and/or moderator roles
+   * PUT /api/auth/2fa/policy
+   */
+  router.put('/policy', authenticateToken, authorizeRoles('admin'), [
+    body('requiredRoles').isArray(),
+    body('requiredRoles.*').isIn(['admin', 'moderator'])
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const requiredRoles = await twoFactorService.setRequiredRoles(req.body.requiredRoles, req.user);
+      res.json({ data: { requiredRoles } });
+    } catch (error) {
+      sendError(res, error, 'Failed to update two-factor policy');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createTwoFactorRoutes;
@@ -0,0 +1,288 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const winston = require('winston');
+const EmailCampaign = require('../models/EmailCampaign');
+const EmailJob = require('../models/EmailJob');
+const EmailTrackingService = require('./EmailTrackingService');
+
+const VARIANT_KEYS = ['A', 'B', 'C', 'D'];
+const AB_TEST_METRICS = ['open_rate', 'click_rate'];
+
+// Below this p-value the difference between variants is reported as significant
+const SIGNIFICANCE_LEVEL = 0.05;
+
+const createError = (name, message, status) => {
+  const error = new Error(message);
+  error.name = name;
+  error.status = status;
+  return error;
+};
+
+/**
+ * Complementary error function (Abramowitz and Stegun 7.1.26, error below 1.5e-7)
+ */
+const erfc = (x) => {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x));
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const result = poly * Math.exp(-x * x);
+  return x >= 0 ? result : 2 - result;
+};
+
+/**
+ * Upper tail of the chi-square distribution. A test has at most four
+ * variants, so only one to three degrees of freedom are needed, and those
+ * have closed forms.
+ */
+const chiSquarePValue = (statistic, degreesOfFreedom) => {
+  if (statistic <= 0) return 1;
+  const x = statistic / 2;
+  switch (degreesOfFreedom) {
+    case 1:
+      return erfc(Math.sqrt(x));
+    case 2:
+      return Math.exp(-x);
+    case 3:
+      return erfc(Math.sqrt(x)) + Math.sqrt(2 * statistic / Math.PI) * Math.exp(-x);
+    default:
+      throw new Error(`Unsupported degrees of freedom: ${degreesOfFreedom}`);
+  }
+};
+
+/**
+ * Chi-square test of independence over a variants x (converted, not converted)
+ * table: could the variants' rates differ only by chance?
+ * @param {Array<{sent: number, conversions: number}>} groups
+ * @returns {{pValue: number|null, confidence: number|null, significant: boolean}}
+ */
+const significance = (groups) => {
+  const sent = groups.reduce((sum, group) => sum + group.sent, 0);
+  const conversions = groups.reduce((sum, group) => sum + group.conversions, 0);
+
+  // Without any conversions, or without any non-conversions, there is nothing to compare
+  if (groups.length < 2 || groups.some(group => group.sent === 0) || conversions === 0 || conversions === sent) {
+    return { pValue: null, confidence: null, significant: false };
+  }
+
+  const statistic = groups.reduce((sum, group) => {
+    const expectedConversions = group.sent * conversions / sent;
+    const expectedMisses = group.sent - expectedConversions;
+    const misses = group.sent - group.conversions;
+    return sum
+      + (group.conversions - expectedConversions) ** 2 / expectedConversions
+      + (misses - expectedMisses) ** 2 / expectedMisses;
+  }, 0);
+
+  const pValue = Math.min(1, Math.max(0, chiSquarePValue(statistic, groups.length - 1)));
+  return {
+    pValue: Math.round(pValue * 10000) / 10000,
+    confidence: Math.round((1 - pValue) * 1000) / 10,
+    significant: pValue < SIGNIFICANCE_LEVEL
+  };
+};
+
+/**
+ * A/B tests of campaign subjects and content. A test slice of the campaign's
+ * audience is split evenly between the variants and the rest of the list is
+ * held back. Once the test window closes, the variant with the best open or
+ * click rate goes to everyone who was held back.
+ */
+class AbTestService {
+  constructor(options = {}) {
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+      ),
+      defaultMeta: { service: 'ab-test-service' },
+      transports: [
+        new winston.transports.File({ filename: 'logs/ab-test-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/ab-test.log' })
+      ]
+    });
+
+    this.trackingService = options.trackingService || new EmailTrackingService();
+  }
+
+  /**
+   * Validate an abTest definition from the API and give each variant its key
+   * @param {Object} abTest - The requested test
+   * @param {Object} campaign - The campaign's newsletterId and optimizeSendTime, after the update
+   * @returns {Object} The abTest to store
+   */
+  buildConfig(abTest, campaign = {}) {
+    if (!abTest || !abTest.enabled) {
+      return { enabled: false, variants: [] };
+    }
+
+    const variants = abTest.variants || [];
+    if (variants.length < 2 || variants.length > VARIANT_KEYS.length) {
+      throw createError('ValidationError', `An A/B test needs between 2 and ${VARIANT_KEYS.length} variants`, 400);
+    }
+    // Optimised sends are spread over a day, which a test window of a few hours cannot wait for
+    if (campaign.optimizeSendTime) {
+      throw createError('ValidationError', 'Send-time optimisation cannot be combined with an A/B test', 400);
+    }
+
+    return {
+      enabled: true,
+      metric: abTest.metric || 'open_rate',
+      testPercentage: abTest.testPercentage || 20,
+      waitHours: abTest.waitHours || 4,
+      status: 'pending',
+      variants: variants.map((variant, index) => {
+        if (!variant.subject && !variant.content) {
+          throw createError('ValidationError', `Variant ${VARIANT_KEYS[index]} needs a subject or content`, 400);
+        }
+        // Newsletter issues are rendered per reading variant, so only their subject can be tested
+        if (variant.content && campaign.newsletterId) {
+          throw createError('ValidationError', 'Content variants cannot be used with a newsletter issue', 400);
+        }
+        return { key: VARIANT_KEYS[index], subject: variant.subject, content: variant.content };
+      })
+    };
+  }
+
+  /**
+   * Split a campaign's recipients into the test slice and the holdout. The
+   * order is a hash of campaign and address, so queueing the same campaign
+   * again puts everyone in the same group.
+   * @returns {Map<string, string|null>} Variant key per normalised email; null for the holdout
+   */
+  assignVariants(campaign, recipients) {
+    const { variants, testPercentage } = campaign.abTest;
+    const rank = (email) => crypto.createHash('sha256').update(`${campaign._id}:${email}`).digest('hex');
+
+    const emails = recipients
+      .map(recipient => String(recipient.email || '').trim().toLowerCase())
+      .sort((a, b) => rank(a).localeCompare(rank(b)));
+    const testSize = Math.min(emails.length, Math.max(variants.length, Math.round(emails.length * testPercentage / 100)));
+
+    return new Map(emails.map((email, index) => [
+      email,
+      index < testSize ? variants[index % variants.length].key : null
+    ]));
+  }
+
+  /**
+   * Live per-variant stats for a campaign's test slice
+   * @param {Object} campaign - The campaign document
+   * @returns {Promise<Object>} Variants with rates, the leader and its significance
+   */
+  async getResults(campaign) {
+    const { abTest } = campaign;
+    const campaignId = String(campaign._id);
+
+    const sentByVariant = await EmailJob.aggregate([
+      { $match: { campaignId: new mongoose.Types.ObjectId(campaignId), abVariant: { $ne: null }, status: 'sent' } },
+      { $group: { _id: '$abVariant', count: { $sum: 1 } } }
+    ]);
+    const sent = Object.fromEntries(sentByVariant.map(({ _id, count }) => [_id, count]));
+
+    const variants = await Promise.all(abTest.variants.map(async (variant) => {
+      const analytics = await this.trackingService.getCampaignAnalytics(campaignId, {
+        emailId: `${campaignId}-${variant.key}`,
+        sent: sent[variant.key] || 0
+      });
+      return {
+        key: variant.key,
+        subject: variant.subject || campaign.subject,
+        sent: sent[variant.key] || 0,
+        opens: analytics.opens.unique,
+        clicks: analytics.clicks.unique,
+        openRate: analytics.openRate,
+        clickRate: analytics.clickRate
+      };
+    }));
+
+    const conversions = (variant) => (abTest.metric === 'click_rate' ? variant.clicks : variant.opens);
+    const rate = (variant) => (variant.sent > 0 ? conversions(variant) / variant.sent : 0);
+    // Ties go to the earlier variant, so A wins when nothing separates them
+    const leader = variants.reduce((best, variant) => (rate(variant) > rate(best) ? variant : best), variants[0]);
+
+    return {
+      metric: abTest.metric,
+      status: abTest.status,
+      testPercentage: abTest.testPercentage,
+      decideAt: abTest.decideAt || null,
+      winnerKey: abTest.winnerKey || null,
+      leaderKey: leader ? leader.key : null,
+      variants,
+      significance: significance(variants.map(variant => ({ sent: variant.sent, conversions: conversions(variant) })))
+    };
+  }
+
+  /**
+   * Pick winners for tests whose window has closed and send the winning
+   * variant to the held-back recipients. Paused campaigns wait until resumed.
+   */
+  async decideDueTests() {
+    const campaigns = await EmailCampaign.find({
+      status: 'sending',
+      'abTest.status': 'testing',
+      'abTest.decideAt': { $lte: new Date() }
+    }).lean();
+
+    for (const campaign of campaigns) {
+      try {
+        await this.decide(campaign);
+      } catch (error) {
+        this.logger.error(`Failed to decide A/B test for campaign ${campaign._id}:`, error);
+      }
+    }
+
+    await this.releaseHeldJobs();
+  }
+
+  async decide(campaign) {
+    const results = await this.getResults(campaign);
+
+    // Only one worker records the winner
+    const decided = await EmailCampaign.findOneAndUpdate(
+      { _id: campaign._id, 'abTest.status': 'testing' },
+      {
+        $set: {
+          'abTest.status': 'winner_selected',
+          'abTest.winnerKey': results.leaderKey,
+          'abTest.decidedAt': new Date(),
+          'abTest.results': results.variants,
+          'abTest.significance': results.significance
+        }
+      },
+      { new: true }
+    );
+    if (!decided) {
+      return null;
+    }
+
+    this.logger.info(`Campaign ${campaign._id} A/B test won by variant ${results.leaderKey} (p=${results.significance.pValue})`);
+    return decided;
+  }
+
+  /**
+   * Queue the held-back recipients of campaigns with a winner. Runs on every
+   * pass, so a worker stopping between the decision and the release loses nothing.
+   */
+  async releaseHeldJobs() {
+    const campaignIds = await EmailCampaign.distinct('_id', { status: 'sending', 'abTest.status': 'winner_selected' });
+    if (campaignIds.length === 0) {
+      return 0;
+    }
+
+    const result = await EmailJob.updateMany(
+      { campaignId: { $in: campaignIds }, status: 'held' },
+      { $set: { status: 'queued', nextAttemptAt: new Date() } }
+    );
+
+    if (result.modifiedCount > 0) {
+      this.logger.info(`Released ${result.modifiedCount} held recipients to their A/B test winners`);
+    }
+    return result.modifiedCount;
+  }
+}
+
+module.exports = AbTestService;
+module.exports.VARIANT_KEYS = VARIANT_KEYS;
+module.exports.AB_TEST_METRICS = AB_TEST_METRICS;
+module.exports.significance = significance;
@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const winston = require('winston');
+const User = require('../models/User');
+const SessionService = require('./SessionService');
+
+const createError = (name, message, status, code) => {
+  const error = new Error(message);
+  error.name = name;
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Emailed account links: password reset and email verification. Tokens are
+ * random, stored only as hashes, expire, and are cleared by the update that
+ * consumes them, so each works once.
+ */
+class AccountEmailService {
+  constructor(options = {}) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+    this.resetTokenTtlMs = options.resetTokenTtlMs || 60 * 60 * 1000;
+    this.verificationTokenTtlMs = options.verificationTokenTtlMs || 24 * 60 * 60 * 1000;
+    this.resendCooldownMs = options.resendCooldownMs || 60 * 1000;
+    this.resetUrl = options.resetUrl || `${frontendUrl}/reset-password`;
+    this.verificationUrl = options.verificationUrl || `${frontendUrl}/verify-email`;
+    this.emailService = options.emailService || null;
+    this.sessionService = options.sessionService || new SessionService();
+
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+      ),
+      defaultMeta: { service: 'account-email-service' },
+      transports: [
+        new winston.transports.File({ filename: 'logs/account-email-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/account-email.log' })
+      ]
+    });
+  }
+
+  // Created on first use, so loading this module does not open an SMTP connection
+  getEmailService() {
+    if (!this.emailService) {
+      const EmailService = require('./EmailService');
+      this.emailService = new EmailService();
+    }
+    return this.emailService;
+  }
+
+  createToken() {
+    return crypto.randomBytes(32).toString('base64url');
+  }
+
+  // Each address gets at most one email per cooldown, however often it is asked for
+  withinCooldown(sentAt, now) {
+    return sentAt && now.getTime() - sentAt.getTime() < this.resendCooldownMs;
+  }
+
+  /**
+   * Email a password reset link. Whether the address has an account is not
+   * reported back, so this cannot be used to find out who has one.
+   * @param {string} email
+   * @returns {Promise<void>}
+   */
+  async requestPasswordReset(email, now = new Date()) {
+    const user = await User.findOne({ email });
+    if (!user || user.isActive === false || user.is_suspended) {
+      this.logger.info('Password reset requested for an unknown or disabled account');
+      return;
+    }
+    if (this.withinCooldown(user.resetPasswordRequestedAt, now)) {
+      this.logger.info(`Password reset for user ${user._id} skipped: requested too recently`);
+      return;
+    }
+
+    // A new link replaces any earlier one
+    const token = this.createToken();
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          resetPasswordToken: sha256(token),
+          resetPasswordExpires: new Date(now.getTime() + this.resetTokenTtlMs),
+          resetPasswordRequestedAt: now
+        }
+      }
+    );
+
+    await this.getEmailService().sendPasswordResetEmail(user.email, {
+      userId: String(user._id),
+      resetUrl: `${this.resetUrl}?token=${encodeURIComponent(token)}`,
+      expiryHours: this.resetTokenTtlMs / (60 * 60 * 1000)
+    });
+    this.logger.info(`Password reset link sent to user ${user._id}`);
+  }
+
+  /**
+   * Set a new password with a reset token, and end every session of the
+   * account, since whoever held them may not be the owner.
+   * @param {string} token
+   * @param {string} password - The new password, hashed when saved
+   * @returns {Promise<Object>} The user
+   */
+  async resetPassword(token, password, now = new Date()) {
+    const user = await User.findOneAndUpdate(
+      { resetPasswordToken: sha256(String(token)), resetPasswordExpires: { $gt: now } },
+      { $set: { resetPasswordToken: null, resetPasswordExpires: null } },
+      { new: true }
+    );
+    if (!user) {
+      throw createError('ValidationError', 'Reset link is invalid or has expired', 400, 'INVALID_RESET_TOKEN');
+    }
+
+    user.password = password;
+    user.passwordChangedAt = now;
+    user.loginAttempts = 0;
+    user.lockUntil = null;
+    // The link reached the owner's inbox, which is what verification checks
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = now;
+    }
+    await user.save();
+
+    const revoked = await this.sessionService.revokeAllSessions(user._id, 'password_reset');
+    this.logger.info(`Password reset for user ${user._id}; ${revoked} sessions revoked`);
+    return user;
+  }
+
+  /**
+   * Email a verification link to a user whose address is not verified yet
+   * @param {Object} user - The user document
+   * @returns {Promise<boolean>} Whether an email was sent
+   */
+  async sendVerification(user, now = new Date()) {
+    if (user.emailVerified) {
+      throw createError('ValidationError', 'Email address is already verified', 409, 'EMAIL_ALREADY_VERIFIED');
+    }
+    if (this.withinCooldown(user.emailVerificationSentAt, now)) {
+      throw createError('RateLimitError', 'A verification email was sent recently. Please wait a minute before asking again.', 429, 'VERIFICATION_RECENTLY_SENT');
+    }
+
+    const token = this.createToken();
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          emailVerificationToken: sha256(token),
+          emailVerificationExpires: new Date(now.getTime() + this.verificationTokenTtlMs),
+          emailVerificationSentAt: now
+        }
+      }
+    );
+
+    await this.getEmailService().sendEmailVerificationEmail(user.email, {
+      userId: String(user._id),
+      firstName: user.firstName,
+      verificationUrl: `${this.verificationUrl}?token=${encodeURIComponent(token)}`,
+      expiryHours: this.verificationTokenTtlMs / (60 * 60 * 1000)
+    });
+    this.logger.info(`Verification link sent to user ${user._id}`);
+    return true;
+  }
+
+  /**
+   * Mark the address verified with a verification token
+   * @param {string} token
+   * @returns {Promise<Object>} The user
+   */
+  async verifyEmail(token, now = new Date()) {
+    const user = await User.findOneAndUpdate(
+      { emailVerificationToken: sha256(String(token)), emailVerificationExpires: { $gt: now } },
+      {
+        $set: {
+          emailVerified: true,
+          emailVerifiedAt: now,
+          emailVerificationToken: null,
+          emailVerificationExpires: null
+        }
+      },
+      { new: true }
+    );
+    if (!user) {
+      throw createError('ValidationError', 'Verification link is invalid or has expired', 400, 'INVALID_VERIFICATION_TOKEN');
+    }
+
+    this.logger.info(`Email address verified for user ${user._id}`);
+    return user;
+  }
+}
+
+module.exports = AccountEmailService;
@@ -0,0 +1,405 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const mongoose = require('mongoose');
+const winston = require('winston');
+const User = require('../models/User');
+const Subscription = require('../models/Subscription');
+const Appointment = require('../models/Appointment');
+const Content = require('../models/Content');
+const Analytics = require('../models/Analytics');
+const EmailCampaign = require('../models/EmailCampaign');
+const EmailJob = require('../models/EmailJob');
+const { EmailOpen, EmailClick, EmailUnsubscribe, SpamComplaint, EmailBounce } = require('../models/EmailTracking');
+const ConsentRecord = require('../models/ConsentRecord');
+const DataExport = require('../models/DataExport');
+const Subscriber = require('../models/Subscriber');
+const Segment = require('../models/Segment');
+const Suppression = require('../models/Suppression');
+const ErasureCertificate = require('../models/ErasureCertificate');
+const CacheService = require('./CacheService');
+
+// Records kept after erasure and the legal basis for keeping them
+const RETENTION_REASONS = {
+  subscriptions: 'Billing records kept for tax and accounting obligations',
+  consentRecords: 'Proof of consent (GDPR Art. 7(1))',
+  emailUnsubscribes: 'Proof of opt-out so the address is never mailed again',
+  spamComplaints: 'Proof of opt-out so the address is never mailed again',
+  suppressions: 'Hashed address kept so bounced or complaining addresses are never mailed again'
+};
+
+const createError = (name, message, status) => {
+  const error = new Error(message);
+  error.name = name;
+  error.status = status;
+  return error;
+};
+
+/**
+ * Cascading account erasure (GDPR Art. 17) with a signed certificate
+ */
+class AccountErasureService {
+  constructor(options = {}) {
+    this.signingSecret = options.signingSecret || process.env.ERASURE_CERTIFICATE_SECRET;
+    this.paymentService = options.paymentService || null;
+    this.cacheService = options.cacheService || null;
+
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+      ),
+      defaultMeta: { service: 'account-erasure-service' },
+      transports: [
+        new winston.transports.File({ filename: 'logs/account-erasure-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/account-erasure.log' })
+      ]
+    });
+  }
+
+  /**
+   * Erase an account and everything that references it
+   * @param {string} userId - The user ID
+   * @param {Object} options - requestId and the requesting actor's role
+   * @returns {Promise<Object>} The signed erasure certificate
+   */
+  async eraseAccount(userId, { requestId = null, requestedBy = 'data_subject' } = {}) {
+    if (!this.signingSecret) {
+      throw createError('ConfigurationError', 'ERASURE_CERTIFICATE_SECRET is not configured', 500);
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw createError('NotFoundError', 'User not found', 404);
+    }
+
+    const pseudonym = this.pseudonymFor(userId);
+    const steps = [];
+
+    // Stripe first: if it fails nothing local has been touched and the erasure can be retried
+    steps.push(await this.cancelBilling(userId));
+
+    // Collect subscriber IDs before recipients are anonymised
+    const subscriberIds = await this.findSubscriberIds(userId, user.email);
+
+    const localSteps = [
+      () => this.pseudonymiseSubscriptions(userId, pseudonym),
+      () => this.deleteAppointments(userId),
+      () => this.deleteContent(userId),
+      () => this.deleteAnalytics(userId),
+      () => this.deleteEmailJobs(userId, user.email),
+      () => this.anonymiseCampaignRecipients(userId, user.email, pseudonym),
+      () => this.eraseTrackingEvents(subscriberIds, pseudonym),
+      () => this.eraseBounces(subscriberIds, user.email),
+      () => this.pseudonymiseConsentRecords(userId, pseudonym),
+      () => this.deleteDataExports(userId),
+      () => this.deleteAudience(userId, user.email)
+    ];
+
+    const failures = [];
+    for (const step of localSteps) {
+      try {
+        steps.push(...[].concat(await step()));
+      } catch (error) {
+        this.logger.error(`Erasure step failed for ${pseudonym.hex}:`, error);
+        failures.push(error.message);
+      }
+    }
+
+    // Keep the account while anything is left so the (idempotent) erasure can be rerun
+    if (failures.length > 0) {
+      throw createError('ErasureError', `Erasure incomplete: ${failures.join('; ')}`, 500);
+    }
+
+    await User.deleteOne({ _id: userId });
+    steps.push({ collectionName: 'users', action: 'deleted', count: 1 });
+
+    try {
+      const count = await this.getCacheService().invalidateEntity(String(userId));
+      steps.push({ collectionName: 'cache', action: 'invalidated', count });
+    } catch (error) {
+      // Cached entries expire on their own TTL; not worth failing a completed erasure over
+      this.logger.warn(`Cache invalidation failed for ${pseudonym.hex}: ${error.message}`);
+    }
+
+    const certificate = await this.issueCertificate({
+      subjectPseudonym: pseudonym.hex,
+      requestId,
+      requestedBy,
+      steps
+    });
+
+    this.logger.info(`Account erased, certificate ${certificate.certificateId}`);
+    return certificate;
+  }
+
+  async cancelBilling(userId) {
+    const paymentService = this.getPaymentService();
+    const customers = await paymentService.findCustomersByUserId(String(userId));
+
+    for (const customer of customers) {
+      await paymentService.deleteCustomer(customer.id);
+    }
+
+    return { collectionName: 'stripeCustomers', action: 'cancelled', count: customers.length };
+  }
+
+  async findSubscriberIds(userId, email) {
+    const [campaigns, memberships] = await Promise.all([
+      EmailCampaign.find({ 'recipients.email': email }).select('recipients').lean(),
+      Subscriber.find({ $or: [{ email }, { linkedUserId: userId }] }).select('_id').lean()
+    ]);
+    const subscriberIds = new Set([String(userId), ...memberships.map(subscriber => String(subscriber._id))]);
+
+    campaigns.forEach(campaign => {
+      campaign.recipients
+        .filter(recipient => recipient.email === email)
+        .forEach(recipient => subscriberIds.add(recipient.subscriberId));
+    });
+
+    return [...subscriberIds];
+  }
+
+  async pseudonymiseSubscriptions(userId, pseudonym) {
+    const result = await Subscription.updateMany(
+      { userId },
+      {
+        $set: { userId: pseudonym.objectId, pseudonymisedAt: new Date() },
+        $unset: { cancellationReason: '' }
+      }
+    );
+
+    return this.retainedStep('subscriptions', result.modifiedCount);
+  }
+
+  async deleteAppointments(userId) {
+    const result = await Appointment.deleteMany({ userId });
+    await Appointment.updateMany({ createdBy: userId }, { $unset: { createdBy: '' } });
+    await Appointment.updateMany({ updatedBy: userId }, { $unset: { updatedBy: '' } });
+
+    return { collectionName: 'appointments', action: 'deleted', count: result.deletedCount };
+  }
+
+  async deleteContent(userId) {
+    const result = await Content.deleteMany({ userId });
+
+    // Content owned by others may still list the user as a collaborator
+    await Content.updateMany(
+      { 'collaboration.editors.userId': userId },
+      { $pull: { 'collaboration.editors': { userId } } }
+    );
+    await Content.updateMany(
+      { 'collaboration.lockedBy': userId },
+      {
+        $set: { 'collaboration.isLocked': false },
+        $unset: { 'collaboration.lockedBy': '', 'collaboration.lockedAt': '' }
+      }
+    );
+
+    return { collectionName: 'content', action: 'deleted', count: result.deletedCount };
+  }
+
+  async deleteAnalytics(userId) {
+    const result = await Analytics.deleteMany({ userId });
+    return { collectionName: 'analytics', action: 'deleted', count: result.deletedCount };
+  }
+
+  async deleteEmailJobs(userId, email) {
+    // Runs before the user's campaigns are deleted, while their IDs can still be found
+    const ownedCampaignIds = await EmailCampaign.distinct('_id', { userId });
+    const result = await EmailJob.deleteMany({
+      $or: [{ campaignId: { $in: ownedCampaignIds } }, { 'recipient.email': email }]
+    });
+    return { collectionName: 'emailJobs', action: 'deleted', count: result.deletedCount };
+  }
+
+  async anonymiseCampaignRecipients(userId, email, pseudonym) {
+    const owned = await EmailCampaign.deleteMany({ userId });
+    const recipients = await EmailCampaign.updateMany(
+      { 'recipients.email': email },
+      {
+        $set: {
+          'recipients.$[recipient].email': `erased-${pseudonym.hex.slice(0, 16)}@invalid.invalid`,
+          'recipients.$[recipient].subscriberId': pseudonym.hex
+        },
+        $unset: {
+          'recipients.$[recipient].firstName': '',
+          'recipients.$[recipient].lastName': ''
+        }
+      },
+      { arrayFilters: [{ 'recipient.email': email }] }
+    );
+
+    return [
+      { collectionName: 'emailCampaigns', action: 'deleted', count: owned.deletedCount },
+      { collectionName: 'emailCampaignRecipients', action: 'anonymised', count: recipients.modifiedCount }
+    ];
+  }
+
+  async eraseTrackingEvents(subscriberIds, pseudonym) {
+    const query = { subscriber_id: { $in: subscriberIds } };
+    const optOutUpdate = { $set: { subscriber_id: pseudonym.hex, ip_address: '0.0.0.0' } };
+
+    const [opens, clicks, unsubscribes, complaints] = await Promise.all([
+      EmailOpen.deleteMany(query),
+      EmailClick.deleteMany(query),
+      EmailUnsubscribe.updateMany(query, optOutUpdate),
+      SpamComplaint.updateMany(query, { $set: { ...optOutUpdate.$set, feedback: null } })
+    ]);
+
+    return [
+      { collectionName: 'emailOpens', action: 'deleted', count: opens.deletedCount },
+      { collectionName: 'emailClicks', action: 'deleted', count: clicks.deletedCount },
+      this.retainedStep('emailUnsubscribes', unsubscribes.modifiedCount),
+      this.retainedStep('spamComplaints', complaints.modifiedCount)
+    ];
+  }
+
+  async eraseBounces(subscriberIds, email) {
+    const [bounces, suppressions] = await Promise.all([
+      EmailBounce.deleteMany({ $or: [{ subscriber_id: { $in: subscriberIds } }, { email }] }),
+      // Matching on emailHash still works once the address itself is gone
+      Suppression.updateMany({ email }, { $unset: { email: '', diagnostic: '' } })
+    ]);
+
+    return [
+      { collectionName: 'emailBounces', action: 'deleted', count: bounces.deletedCount },
+      this.retainedStep('suppressions', suppressions.modifiedCount)
+    ];
+  }
+
+  async pseudonymiseConsentRecords(userId, pseudonym) {
+    const result = await ConsentRecord.updateMany(
+      { userId },
+      {
+        $set: { userId: pseudonym.objectId, ipHash: null, userAgent: null, pseudonymisedAt: new Date() }
+      }
+    );
+
+    return this.retainedStep('consentRecords', result.modifiedCount);
+  }
+
+  async deleteDataExports(userId) {
+    const dataExports = await DataExport.find({ userId }).select('filePath').lean();
+
+    await Promise.all(dataExports
+      .filter(dataExport => dataExport.filePath)
+      .map(dataExport => fs.promises.rm(dataExport.filePath, { force: true })));
+
+    const result = await DataExport.deleteMany({ userId });
+    return { collectionName: 'dataExports', action: 'deleted', count: result.deletedCount };
+  }
+
+  async deleteAudience(userId, email) {
+    // The user's own audience and segments, and their entries in other senders' audiences
+    const [owned, memberships, segments] = await Promise.all([
+      Subscriber.deleteMany({ userId }),
+      Subscriber.deleteMany({ $or: [{ email }, { linkedUserId: userId }] }),
+      Segment.deleteMany({ userId })
+    ]);
+
+    return [
+      { collectionName: 'subscribers', action: 'deleted', count: owned.deletedCount + memberships.deletedCount },
+      { collectionName: 'segments', action: 'deleted', count: segments.deletedCount }
+    ];
+  }
+
+  retainedStep(collectionName, count) {
+    return {
+      collectionName,
+      action: 'pseudonymised',
+      count,
+      retained: true,
+      reason: RETENTION_REASONS[collectionName]
+    };
+  }
+
+  /**
+   * Derive a stable pseudonym so retained records stay linkable to each other
+   * but not to the erased account
+   * @param {string} userId - The user ID
+   * @returns {Object} The pseudonym as hex and as an ObjectId
+   */
+  pseudonymFor(userId) {
+    const hex = crypto.createHmac('sha256', this.signingSecret).update(String(userId)).digest('hex');
+    return {
+      hex,
+      objectId: new mongoose.Types.ObjectId(hex.slice(0, 24))
+    };
+  }
+
+  async issueCertificate({ subjectPseudonym, requestId, requestedBy, steps }) {
+    const payload = {
+      certificateId: crypto.randomUUID(),
+      subjectPseudonym,
+      requestId: requestId ? String(requestId) : null,
+      requestedBy,
+      erasedAt: new Date().toISOString(),
+      steps
+    };
+
+    const certificate = new ErasureCertificate({
+      ...payload,
+      signature: this.sign(payload)
+    });
+    await certificate.save();
+
+    return certificate;
+  }
+
+  /**
+   * Check a certificate's signature
+   * @param {Object} certificate - The stored certificate
+   * @returns {boolean} Whether the signature matches the contents
+   */
+  verifyCertificate(certificate) {
+    const payload = {
+      certificateId: certificate.certificateId,
+      subjectPseudonym: certificate.subjectPseudonym,
+      requestId: certificate.requestId ? String(certificate.requestId) : null,
+      requestedBy: certificate.requestedBy,
+      erasedAt: new Date(certificate.erasedAt).toISOString(),
+      steps: certificate.steps.map(step => ({
+        collectionName: step.collectionName,
+        action: step.action,
+        count: step.count,
+        ...(step.retained ? { retained: true, reason: step.reason } : {})
+      }))
+    };
+
+    const expected = Buffer.from(this.sign(payload), 'hex');
+    const actual = Buffer.from(certificate.signature || '', 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  async getCertificate(certificateId) {
+    const certificate = await ErasureCertificate.findOne({ certificateId });
+    if (!certificate) {
+      throw createError('NotFoundError', 'Erasure certificate not found', 404);
+    }
+    return certificate;
+  }
+
+  sign(payload) {
+    return crypto.createHmac('sha256', this.signingSecret).update(JSON.stringify(payload)).digest('hex');
+  }
+
+  getPaymentService() {
+    if (!this.paymentService) {
+      // Required here: the Stripe client needs STRIPE_SECRET_KEY as soon as the module loads
+      const PaymentService = require('./PaymentService');
+      this.paymentService = new PaymentService();
+    }
+    return this.paymentService;
+  }
+
+  getCacheService() {
+    if (!this.cacheService) {
+      this.cacheService = new CacheService();
+    }
+    return this.cacheService;
+  }
+}
+
+module.exports = AccountErasureService;
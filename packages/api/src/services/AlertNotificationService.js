@@ -0,0 +1,525 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Channels an alert can be delivered through
+const CHANNELS = ['email', 'slack', 'webhook', 'sms'];
+
+const ALERT_STATUSES = {
+    OPEN: 'open',
+    ACKNOWLEDGED: 'acknowledged',
+    RESOLVED: 'resolved'
+};
+
+const NOTIFICATION_TYPES = {
+    TRIGGERED: 'triggered',
+    REMINDER: 'reminder',
+    ESCALATED: 'escalated',
+    ACKNOWLEDGED: 'acknowledged',
+    RESOLVED: 'resolved',
+    TEST: 'test'
+};
+
+// Repeats of an open alert within this window are folded into it
+const DEFAULT_DEDUP_WINDOW_MS = 5 * 60 * 1000;
+// Resolved alerts kept for the alert list
+const RESOLVED_HISTORY_LIMIT = 500;
+const REQUEST_TIMEOUT_MS = 10000;
+// SMS bodies are cut to fit a couple of segments
+const SMS_MAX_LENGTH = 300;
+
+const SIGNATURE_HEADER = 'X-Piper-Signature';
+
+const SLACK_COLORS = {
+    critical: '#d32f2f',
+    warning: '#f9a825',
+    info: '#1976d2',
+    resolved: '#2e7d32'
+};
+
+const createError = (name, message, status) => {
+    const error = new Error(message);
+    error.name = name;
+    error.status = status;
+    return error;
+};
+
+const parseList = (value) => (Array.isArray(value)
+    ? value
+    : String(value || '').split(',')).map(entry => String(entry).trim()).filter(Boolean);
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Signature for a webhook body, sent as `t=<unix seconds>,v1=<hex HMAC-SHA256
+ * of "<t>.<body>">` so receivers can reject replayed deliveries
+ */
+const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * SMS through Twilio, configured with TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN
+ * and TWILIO_PHONE_NUMBER
+ */
+const createTwilioProvider = (options = {}) => {
+    const accountSid = options.accountSid || process.env.TWILIO_ACCOUNT_SID;
+    const authToken = options.authToken || process.env.TWILIO_AUTH_TOKEN;
+    const from = options.from || process.env.TWILIO_PHONE_NUMBER;
+    let client = null;
+
+    return {
+        name: 'twilio',
+        isConfigured: () => Boolean(accountSid && authToken && from),
+        async send({ to, body }) {
+            client = client || require('twilio')(accountSid, authToken);
+            const message = await client.messages.create({ to, from, body });
+            return { id: message.sid };
+        }
+    };
+};
+
+/**
+ * Alert Notification Service - Delivers health alerts and tracks them until
+ * they are resolved. Repeats of an open alert are deduplicated, unacknowledged
+ * alerts escalate through their policy, and everyone notified hears when an
+ * alert is acknowledged or resolved.
+ *
+ * SMS providers implement `send({ to, body })` and optionally `isConfigured()`.
+ */
+class AlertNotificationService {
+    constructor(options = {}) {
+        this.logger = options.logger || require('./LoggingService').getLoggingService();
+        this.config = {
+            dedupWindowMs: options.dedupWindowMs || DEFAULT_DEDUP_WINDOW_MS,
+            email: {
+                to: parseList(options.emailTo || process.env.ALERT_EMAIL_TO)
+            },
+            slack: {
+                webhookUrl: options.slackWebhookUrl || process.env.ALERT_SLACK_WEBHOOK_URL || process.env.MONITORING_WEBHOOK_URL
+            },
+            webhook: {
+                url: options.webhookUrl || process.env.ALERT_WEBHOOK_URL,
+                secret: options.webhookSecret || process.env.ALERT_WEBHOOK_SECRET
+            },
+            sms: {
+                to: parseList(options.smsTo || process.env.ALERT_SMS_TO),
+                provider: options.smsProvider || process.env.ALERT_SMS_PROVIDER || 'twilio'
+            }
+        };
+
+        // Created on the first email alert, so SMTP is only set up when used
+        this.emailService = options.emailService || null;
+        this.smsProviders = new Map([['twilio', createTwilioProvider()]]);
+        Object.entries(options.smsProviders || {}).forEach(([name, provider]) => this.registerSmsProvider(name, provider));
+
+        this.alerts = options.alerts || new Map();
+
+        // Delivery per channel
+        this.channels = {
+            email: this.sendEmail.bind(this),
+            slack: this.sendSlack.bind(this),
+            webhook: this.sendWebhook.bind(this),
+            sms: this.sendSms.bind(this)
+        };
+    }
+
+    /**
+     * Add an SMS provider, selected with ALERT_SMS_PROVIDER
+     */
+    registerSmsProvider(name, provider) {
+        if (!provider || typeof provider.send !== 'function') {
+            throw createError('ValidationError', `SMS provider ${name} must implement send({ to, body })`, 400);
+        }
+        this.smsProviders.set(name, provider);
+    }
+
+    /**
+     * Whether a channel has somewhere to deliver to
+     */
+    isConfigured(channel) {
+        switch (channel) {
+            case 'email':
+                return this.config.email.to.length > 0;
+            case 'slack':
+                return Boolean(this.config.slack.webhookUrl);
+            case 'webhook':
+                return Boolean(this.config.webhook.url && this.config.webhook.secret);
+            case 'sms': {
+                const provider = this.smsProviders.get(this.config.sms.provider);
+                return this.config.sms.to.length > 0 && Boolean(provider)
+                    && (typeof provider.isConfigured !== 'function' || provider.isConfigured());
+            }
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Raise an alert, or fold a repeat into the open alert with the same key.
+     * A repeat after the dedup window reminds the channels of the current
+     * escalation level, unless the alert has been acknowledged.
+     * @param {Object} details - key, source, rule, severity, message, metadata,
+     *   channels, escalation ([{ after: ms, channels }]) and dedupWindowMs
+     * @returns {Promise<Object>} The alert
+     */
+    async raise(details, now = Date.now()) {
+        const existing = this.findOpen(details.key);
+
+        if (existing) {
+            existing.occurrences++;
+            existing.lastSeenAt = new Date(now);
+            existing.message = details.message;
+
+            const dedupWindowMs = details.dedupWindowMs || this.config.dedupWindowMs;
+            if (existing.status === ALERT_STATUSES.OPEN && now - existing.lastNotifiedAt.getTime() >= dedupWindowMs) {
+                await this.notify(existing, existing.escalation[existing.escalationLevel].channels, NOTIFICATION_TYPES.REMINDER, now);
+            }
+            return existing;
+        }
+
+        const alert = {
+            id: crypto.randomUUID(),
+            key: details.key,
+            source: details.source,
+            rule: details.rule,
+            severity: details.severity || 'warning',
+            message: details.message,
+            metadata: details.metadata || {},
+            status: ALERT_STATUSES.OPEN,
+            occurrences: 1,
+            firstSeenAt: new Date(now),
+            lastSeenAt: new Date(now),
+            lastNotifiedAt: null,
+            escalation: [{ after: 0, channels: details.channels || [] }, ...(details.escalation || [])],
+            escalationLevel: 0,
+            notifiedChannels: [],
+            deliveries: [],
+            acknowledgedAt: null,
+            acknowledgedBy: null,
+            resolvedAt: null,
+            resolvedBy: null
+        };
+        this.alerts.set(alert.id, alert);
+
+        await this.notify(alert, alert.escalation[0].channels, NOTIFICATION_TYPES.TRIGGERED, now);
+        return alert;
+    }
+
+    /**
+     * Move unacknowledged alerts to every escalation level they are due for
+     * @returns {Promise<number>} Alerts escalated
+     */
+    async escalateDue(now = Date.now()) {
+        let escalated = 0;
+
+        for (const alert of this.alerts.values()) {
+            if (alert.status !== ALERT_STATUSES.OPEN) {
+                continue;
+            }
+
+            const openFor = now - alert.firstSeenAt.getTime();
+            const channels = [];
+            while (alert.escalationLevel + 1 < alert.escalation.length
+                && openFor >= alert.escalation[alert.escalationLevel + 1].after) {
+                alert.escalationLevel++;
+                channels.push(...alert.escalation[alert.escalationLevel].channels);
+            }
+
+            if (channels.length > 0) {
+                escalated++;
+                await this.notify(alert, [...new Set(channels)], NOTIFICATION_TYPES.ESCALATED, now);
+            }
+        }
+
+        return escalated;
+    }
+
+    /**
+     * Acknowledge an alert, which stops reminders and escalation
+     * @param {string} alertId
+     * @param {Object} options - by: who acknowledged it
+     */
+    async acknowledge(alertId, { by = null } = {}, now = Date.now()) {
+        const alert = this.getAlert(alertId);
+        if (alert.status === ALERT_STATUSES.RESOLVED) {
+            throw createError('ConflictError', 'Alert is already resolved', 409);
+        }
+        if (alert.status === ALERT_STATUSES.ACKNOWLEDGED) {
+            return alert;
+        }
+
+        alert.status = ALERT_STATUSES.ACKNOWLEDGED;
+        alert.acknowledgedAt = new Date(now);
+        alert.acknowledgedBy = by;
+
+        await this.notify(alert, alert.notifiedChannels, NOTIFICATION_TYPES.ACKNOWLEDGED, now);
+        return alert;
+    }
+
+    /**
+     * Resolve an alert and tell every channel that heard about it
+     * @param {string} alertId
+     * @param {Object} options - by: who resolved it, or null when the check recovered
+     */
+    async resolve(alertId, { by = null } = {}, now = Date.now()) {
+        const alert = this.getAlert(alertId);
+        if (alert.status === ALERT_STATUSES.RESOLVED) {
+            return alert;
+        }
+
+        alert.status = ALERT_STATUSES.RESOLVED;
+        alert.resolvedAt = new Date(now);
+        alert.resolvedBy = by;
+
+        await this.notify(alert, alert.notifiedChannels, NOTIFICATION_TYPES.RESOLVED, now);
+        this.pruneResolved();
+        return alert;
+    }
+
+    /**
+     * Resolve every unresolved alert raised by a source
+     * @returns {Promise<Array<Object>>} The resolved alerts
+     */
+    async resolveSource(source, now = Date.now()) {
+        const alerts = this.listAlerts({ source }).filter(alert => alert.status !== ALERT_STATUSES.RESOLVED);
+        for (const alert of alerts) {
+            await this.resolve(alert.id, {}, now);
+        }
+        return alerts;
+    }
+
+    /**
+     * Send a test notification through one channel
+     * @returns {Promise<Object>} The delivery
+     */
+    async sendTest(channel, { by = null } = {}) {
+        if (!CHANNELS.includes(channel)) {
+            throw createError('ValidationError', `Unknown alert channel: ${channel}`, 400);
+        }
+        if (!this.isConfigured(channel)) {
+            throw createError('ValidationError', `Alert channel ${channel} is not configured`, 400);
+        }
+
+        const alert = {
+            id: `test-${crypto.randomUUID()}`,
+            key: 'test',
+            source: 'alerting',
+            rule: 'test',
+            severity: 'info',
+            message: `Test notification${by ? ` requested by ${by}` : ''}. If you can read this, ${channel} alerts are working.`,
+            metadata: {},
+            status: ALERT_STATUSES.OPEN,
+            occurrences: 1,
+            firstSeenAt: new Date()
+        };
+
+        return this.deliver(channel, alert, NOTIFICATION_TYPES.TEST);
+    }
+
+    /**
+     * @returns {Object} The alert
+     */
+    getAlert(alertId) {
+        const alert = this.alerts.get(alertId);
+        if (!alert) {
+            throw createError('NotFoundError', 'Alert not found', 404);
+        }
+        return alert;
+    }
+
+    /**
+     * The unresolved alert with a key, if any
+     */
+    findOpen(key) {
+        for (const alert of this.alerts.values()) {
+            if (alert.key === key && alert.status !== ALERT_STATUSES.RESOLVED) {
+                return alert;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Alerts, newest first
+     * @param {Object} filters - status and source
+     */
+    listAlerts({ status, source } = {}) {
+        return Array.from(this.alerts.values())
+            .filter(alert => (!status || alert.status === status) && (!source || alert.source === source))
+            .sort((a, b) => b.firstSeenAt - a.firstSeenAt);
+    }
+
+    /**
+     * Deliver a notification about an alert to each channel. Channels without
+     * configuration are skipped; a failing channel does not stop the others.
+     * @returns {Promise<Array<Object>>} Deliveries
+     */
+    async notify(alert, channels, type, now = Date.now()) {
+        const deliveries = [];
+
+        for (const channel of channels) {
+            if (!this.isConfigured(channel)) {
+                this.logger.logWarning('alerting', `Skipping ${channel} ${type} notification for ${alert.key}: channel not configured`);
+                continue;
+            }
+
+            const delivery = await this.deliver(channel, alert, type);
+            deliveries.push(delivery);
+            if (delivery.ok && !alert.notifiedChannels.includes(channel)) {
+                alert.notifiedChannels.push(channel);
+            }
+        }
+
+        alert.deliveries.push(...deliveries);
+        if (type !== NOTIFICATION_TYPES.ACKNOWLEDGED && type !== NOTIFICATION_TYPES.RESOLVED) {
+            alert.lastNotifiedAt = new Date(now);
+        }
+        return deliveries;
+    }
+
+    /**
+     * @returns {Promise<Object>} channel, type, ok, error and at
+     */
+    async deliver(channel, alert, type) {
+        const notification = this.formatNotification(alert, type);
+        try {
+            await this.channels[channel](notification);
+            this.logger.logInfo('alerting', `Sent ${channel} ${type} notification for ${alert.key}`);
+            return { channel, type, ok: true, error: null, at: new Date() };
+        } catch (error) {
+            this.logger.logError('alerting', `Failed to send ${channel} ${type} notification for ${alert.key}`, { error: error.message });
+            return { channel, type, ok: false, error: error.message, at: new Date() };
+        }
+    }
+
+    /**
+     * Channel-independent content of a notification
+     */
+    formatNotification(alert, type) {
+        const label = type === NOTIFICATION_TYPES.TRIGGERED ? alert.severity.toUpperCase() : type.toUpperCase();
+        const lines = [alert.message];
+        if (type === NOTIFICATION_TYPES.ACKNOWLEDGED && alert.acknowledgedBy) {
+            lines.push(`Acknowledged by ${alert.acknowledgedBy}.`);
+        }
+        if (type === NOTIFICATION_TYPES.RESOLVED) {
+            lines.push(alert.resolvedBy ? `Resolved by ${alert.resolvedBy}.` : `${alert.source} has recovered.`);
+        }
+        if (alert.occurrences > 1) {
+            lines.push(`Seen ${alert.occurrences} times since ${alert.firstSeenAt.toISOString()}.`);
+        }
+
+        return {
+            type,
+            title: `[${label}] ${alert.source}: ${alert.rule}`,
+            text: lines.join('\n'),
+            alert: {
+                id: alert.id,
+                key: alert.key,
+                source: alert.source,
+                rule: alert.rule,
+                severity: alert.severity,
+                status: alert.status,
+                message: alert.message,
+                metadata: alert.metadata,
+                occurrences: alert.occurrences,
+                firstSeenAt: alert.firstSeenAt,
+                acknowledgedBy: alert.acknowledgedBy || null,
+                resolvedAt: alert.resolvedAt || null
+            }
+        };
+    }
+
+    /**
+     * Email through the SMTP EmailService to ALERT_EMAIL_TO
+     */
+    async sendEmail(notification) {
+        if (!this.emailService) {
+            const EmailService = require('./EmailService');
+            this.emailService = new EmailService();
+        }
+
+        await this.emailService.sendEmail({
+            to: this.config.email.to.join(', '),
+            subject: notification.title,
+            text: notification.text,
+            html: `<h2>${escapeHtml(notification.title)}</h2><p>${escapeHtml(notification.text).replace(/\n/g, '<br>')}</p>`
+        });
+    }
+
+    /**
+     * Post to a Slack-compatible incoming webhook
+     */
+    async sendSlack(notification) {
+        const { alert } = notification;
+        const color = notification.type === NOTIFICATION_TYPES.RESOLVED ? SLACK_COLORS.resolved : SLACK_COLORS[alert.severity];
+
+        await axios.post(this.config.slack.webhookUrl, {
+            text: notification.title,
+            attachments: [{
+                color: color || SLACK_COLORS.info,
+                text: notification.text,
+                fields: [
+                    { title: 'Status', value: alert.status, short: true },
+                    { title: 'Severity', value: alert.severity, short: true }
+                ],
+                footer: `Alert ${alert.id}`,
+                ts: Math.floor(Date.now() / 1000)
+            }]
+        }, { timeout: REQUEST_TIMEOUT_MS });
+    }
+
+    /**
+     * POST a signed JSON event to ALERT_WEBHOOK_URL
+     */
+    async sendWebhook(notification) {
+        const deliveryId = crypto.randomUUID();
+        const body = JSON.stringify({
+            id: deliveryId,
+            event: `alert.${notification.type}`,
+            createdAt: new Date().toISOString(),
+            title: notification.title,
+            text: notification.text,
+            alert: notification.alert
+        });
+
+        await axios.post(this.config.webhook.url, body, {
+            timeout: REQUEST_TIMEOUT_MS,
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Piper-Event': `alert.${notification.type}`,
+                'X-Piper-Delivery': deliveryId,
+                [SIGNATURE_HEADER]: signPayload(this.config.webhook.secret, body)
+            }
+        });
+    }
+
+    /**
+     * Text ALERT_SMS_TO through the configured SMS provider
+     */
+    async sendSms(notification) {
+        const provider = this.smsProviders.get(this.config.sms.provider);
+        const body = `${notification.title}: ${notification.alert.message}`.slice(0, SMS_MAX_LENGTH);
+
+        await Promise.all(this.config.sms.to.map(to => provider.send({ to, body })));
+    }
+
+    /**
+     * Drop the oldest resolved alerts beyond the history limit
+     */
+    pruneResolved() {
+        const resolved = this.listAlerts({ status: ALERT_STATUSES.RESOLVED });
+        resolved.slice(RESOLVED_HISTORY_LIMIT).forEach(alert => this.alerts.delete(alert.id));
+    }
+}
+
+module.exports = AlertNotificationService;
+module.exports.CHANNELS = CHANNELS;
+module.exports.ALERT_STATUSES = ALERT_STATUSES;
+module.exports.SIGNATURE_HEADER = SIGNATURE_HEADER;
+module.exports.signPayload = signPayload;
+module.exports.createTwilioProvider = createTwilioProvider;
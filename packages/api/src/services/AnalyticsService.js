@@ -1,6 +1,6 @@
 const EventEmitter = require('events');
-const { v4: uuidv4 } = require('uuid');
-const loggingService = require('./LoggingService');
+const { randomUUID } = require('crypto');
+const { getLoggingService } = require('./LoggingService');
 const monitoringService = require('./MonitoringService');
 
 /**
@@ -20,12 +20,11 @@ class AnalyticsService extends EventEmitter {
         this.userSessions = new Map();
         this.performanceMetrics = new Map();
         this.businessMetrics = new Map();
-        
-        this.initialize();
     }
 
     /**
-     * Initialize analytics service
+     * Initialize analytics service and start its timers. Not called on
+     * require, so loading the module starts nothing.
      */
     async initialize() {
         try {
@@ -189,7 +188,7 @@ class AnalyticsService extends EventEmitter {
         }
 
         const enrichedEvent = {
-            id: uuidv4(),
+            id: randomUUID(),
             ...event,
             metadata: {
                 service: 'piper-newsletter',
@@ -556,7 +555,7 @@ class AnalyticsService extends EventEmitter {
         
         if (!this.userSessions.has(userId)) {
             this.userSessions.set(userId, {
-                sessionId: uuidv4(),
+                sessionId: randomUUID(),
                 startTime: now,
                 lastActivity: now,
                 actions: [],
@@ -657,7 +656,7 @@ class AnalyticsService extends EventEmitter {
         if (this.userSessions.has(userId)) {
             return this.userSessions.get(userId).sessionId;
         }
-        return uuidv4();
+        return randomUUID();
     }
 
     /**
@@ -1174,7 +1173,7 @@ class AnalyticsService extends EventEmitter {
 
     // Getters
     get logger() {
-        return loggingService;
+        return getLoggingService();
     }
 
     get monitoring() {
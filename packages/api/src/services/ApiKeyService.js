@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const winston = require('winston');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const SecurityService = require('./SecurityService');
+const { API_KEY_SCOPES } = require('../models/ApiKey');
+
+const KEY_PREFIX = 'pnk';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_EXPIRY_DAYS = 90;
+const MAX_EXPIRY_DAYS = 365;
+
+// lastUsedAt is written at most this often per key
+const USAGE_INTERVAL_MS = 60 * 1000;
+
+const createError = (name, message, status, code) => {
+  const error = new Error(message);
+  error.name = name;
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Database-backed API keys. A key looks like `pnk_<keyId>_<secret>`: the
+ * key id finds the record and only a hash of the whole key is stored.
+ */
+class ApiKeyService {
+  constructor(options = {}) {
+    this.securityService = options.securityService || new SecurityService();
+    this.hashSalt = options.hashSalt || process.env.PRIVACY_HASH_SALT || '';
+
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+      ),
+      defaultMeta: { service: 'api-key-service' },
+      transports: [
+        new winston.transports.File({ filename: 'logs/api-key-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/api-key.log' })
+      ]
+    });
+  }
+
+  /**
+   * Create a key. The returned `key` is not stored and cannot be shown again.
+   * @param {Object} creator - The user creating the key
+   * @param {Object} params - name, scopes, expiresInDays, rateLimit, and for
+   *   organisation keys ownerType 'organization' and optionally userId
+   * @returns {Promise<Object>} key and the apiKey record
+   */
+  async createKey(creator, { name, scopes, expiresInDays = DEFAULT_EXPIRY_DAYS, rateLimit, ownerType = 'user', userId } = {}, now = new Date()) {
+    const unknown = (scopes || []).filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (!scopes || !scopes.length || unknown.length) {
+      throw createError('ValidationError', `Scopes must be some of: ${API_KEY_SCOPES.join(', ')}`, 400);
+    }
+    if (!(expiresInDays >= 1 && expiresInDays <= MAX_EXPIRY_DAYS)) {
+      throw createError('ValidationError', `Keys must expire within ${MAX_EXPIRY_DAYS} days`, 400);
+    }
+
+    let owner = creator._id;
+    if (ownerType === 'organization') {
+      if (creator.role !== 'admin') {
+        throw createError('AuthorizationError', 'Only admins can create organisation keys', 403);
+      }
+      if (userId) {
+        const account = await User.findById(userId).select('_id isActive');
+        if (!account || account.isActive === false) {
+          throw createError('ValidationError', 'The account for this key does not exist or is inactive', 400);
+        }
+        owner = account._id;
+      }
+    } else if (userId && String(userId) !== String(creator._id)) {
+      throw createError('AuthorizationError', 'User keys can only act as the user creating them', 403);
+    }
+
+    const keyId = crypto.randomBytes(6).toString('hex');
+    const key = `${KEY_PREFIX}_${keyId}_${crypto.randomBytes(32).toString('base64url')}`;
+
+    const apiKey = await ApiKey.create({
+      name,
+      keyId,
+      keyHash: sha256(key),
+      ownerType,
+      userId: owner,
+      createdBy: creator._id,
+      scopes: [...new Set(scopes)],
+      rateLimit,
+      expiresAt: new Date(now.getTime() + expiresInDays * DAY_MS)
+    });
+
+    this.logger.info(`API key ${keyId} (${ownerType}) created by user ${creator._id} with scopes ${apiKey.scopes.join(', ')}`);
+    return { key, apiKey };
+  }
+
+  /**
+   * Find the key and the user it acts as
+   * @param {string} key - The x-api-key header
+   * @param {Object} context - ipAddress
+   * @returns {Promise<Object>} apiKey and user
+   */
+  async authenticate(key, context = {}, now = new Date()) {
+    const invalid = () => createError('AuthenticationError', 'Invalid API key', 401, 'INVALID_API_KEY');
+    const match = /^pnk_([0-9a-f]{12})_[A-Za-z0-9_-]{43}$/.exec(String(key || ''));
+    if (!match) {
+      throw invalid();
+    }
+
+    const apiKey = await ApiKey.findOne({ keyId: match[1] });
+    if (!apiKey || !crypto.timingSafeEqual(Buffer.from(sha256(key)), Buffer.from(apiKey.keyHash))) {
+      throw invalid();
+    }
+    if (apiKey.revokedAt) {
+      throw createError('AuthenticationError', 'API key has been revoked', 401, 'API_KEY_REVOKED');
+    }
+    if (apiKey.expiresAt <= now) {
+      throw createError('AuthenticationError', 'API key has expired', 401, 'API_KEY_EXPIRED');
+    }
+
+    const user = await User.findById(apiKey.userId).select('-password');
+    if (!user || user.is_suspended || user.isActive === false) {
+      throw createError('AuthenticationError', 'The account for this API key is disabled', 401, 'API_KEY_ACCOUNT_DISABLED');
+    }
+
+    this.recordUse(apiKey, context, now);
+    return { apiKey, user };
+  }
+
+  /**
+   * Whether a key carries every one of the scopes
+   */
+  hasScopes(apiKey, scopes) {
+    return scopes.every(scope => apiKey.scopes.includes(scope));
+  }
+
+  /**
+   * Per-key rate limiter, counted by key rather than by IP address
+   * @returns {Function} Express middleware
+   */
+  rateLimiter(apiKey) {
+    const { max, windowMs } = apiKey.rateLimit;
+    // Limiters are cached by name, so a changed limit gets a fresh one. Each
+    // is built on the key's first request, which express-rate-limit would
+    // otherwise warn about, and then reused.
+    return this.securityService.createAdvancedRateLimiter(`api_key_${apiKey.keyId}_${max}_${windowMs}`, {
+      max,
+      windowMs,
+      message: 'API key rate limit exceeded',
+      keyGenerator: () => apiKey.keyId,
+      validate: { creationStack: false }
+    });
+  }
+
+  /**
+   * Record when and from where a key was last used, at most once a minute
+   */
+  recordUse(apiKey, context = {}, now = new Date()) {
+    const usage = { lastUsedAt: now };
+    if (context.ipAddress) {
+      usage.lastUsedIpHash = sha256(`${this.hashSalt}${context.ipAddress}`);
+    }
+
+    return ApiKey.updateOne(
+      {
+        _id: apiKey._id,
+        $or: [{ lastUsedAt: null }, { lastUsedAt: { $lt: new Date(now.getTime() - USAGE_INTERVAL_MS) } }]
+      },
+      { $set: usage }
+    ).catch(error => this.logger.error(`Failed to record use of API key ${apiKey.keyId}:`, error));
+  }
+
+  /**
+   * Keys a user can see: their own, and for admins the organisation keys
+   * @param {Object} user
+   * @param {Object} options - ownerType to list
+   * @returns {Promise<Array<Object>>}
+   */
+  async listKeys(user, { ownerType = 'user' } = {}) {
+    if (ownerType === 'organization' && user.role !== 'admin') {
+      throw createError('AuthorizationError', 'Only admins can manage organisation keys', 403);
+    }
+
+    const filter = ownerType === 'organization'
+      ? { ownerType, revokedAt: null }
+      : { ownerType, createdBy: user._id, revokedAt: null };
+
+    return ApiKey.find(filter).select('-keyHash').sort({ createdAt: -1 }).lean();
+  }
+
+  /**
+   * Revoke a key. Users revoke their own keys; admins also revoke
+   * organisation keys.
+   * @returns {Promise<Object|null>} The revoked key, or null if not found
+   */
+  async revokeKey(id, user) {
+    const filter = { _id: id, revokedAt: null };
+    if (user.role === 'admin') {
+      filter.$or = [{ ownerType: 'organization' }, { createdBy: user._id }];
+    } else {
+      filter.ownerType = 'user';
+      filter.createdBy = user._id;
+    }
+
+    const apiKey = await ApiKey.findOneAndUpdate(
+      filter,
+      { $set: { revokedAt: new Date(), revokedBy: user._id } },
+      { new: true }
+    );
+    if (apiKey) {
+      this.logger.info(`API key ${apiKey.keyId} revoked by user ${user._id}`);
+    }
+    return apiKey;
+  }
+}
+
+module.exports = ApiKeyService;
+module.exports.ApiKeyService = ApiKeyService;
+module.exports.API_KEY_SCOPES = API_KEY_SCOPES;
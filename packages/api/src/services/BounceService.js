@@ -0,0 +1,449 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const winston = require('winston');
+const EmailCampaign = require('../models/EmailCampaign');
+const Subscriber = require('../models/Subscriber');
+const Suppression = require('../models/Suppression');
+const { EmailBounce } = require('../models/EmailTracking');
+
+const BOUNCE_TYPES = ['hard', 'soft', 'block'];
+const SUPPRESSION_REASONS = ['hard_bounce', 'soft_bounce_limit', 'complaint', 'manual'];
+
+// Header set on every campaign email so DSNs can be traced back to their campaign
+const CAMPAIGN_HEADER = 'X-Piper-Campaign-Id';
+
+// Enhanced status codes (RFC 3463) that mean the address itself is bad
+const HARD_STATUS_CODES = [/^5\.1\.\d+$/, /^5\.2\.1$/, /^5\.4\.4$/];
+// Mailbox full is permanent in the code but usually clears up
+const SOFT_STATUS_CODES = [/^5\.2\.2$/, /^4\./];
+// Policy rejections are about the sender, not the recipient
+const BLOCK_STATUS_CODES = [/^[45]\.7\.\d+$/];
+
+const HARD_PATTERNS = [/user unknown/, /no such (user|mailbox|recipient)/, /does not exist/, /unknown (user|recipient)/,
+  /mailbox (unavailable|not found|disabled)/, /address rejected/, /invalid recipient/];
+const SOFT_PATTERNS = [/mailbox (is )?full/, /quota/, /try again later/, /temporar/, /deferred/];
+const BLOCK_PATTERNS = [/block(ed|list)/, /blacklist/, /spamhaus/, /\bspam\b/, /reputation/, /policy/, /dmarc/];
+
+const createError = (name, message, status) => {
+  const error = new Error(message);
+  error.name = name;
+  error.status = status;
+  return error;
+};
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const matchesAny = (patterns, value) => patterns.some(pattern => pattern.test(value));
+
+const toObjectId = (id) => (id && mongoose.Types.ObjectId.isValid(id) ? id : undefined);
+
+/**
+ * Bounce and complaint processing. Reports arrive as SMTP rejections at send
+ * time, delivery status notifications, or provider webhooks; each is classified
+ * as hard, soft or block. Hard bounces and complaints go straight onto the
+ * platform-wide suppression list, soft bounces only once they repeat.
+ */
+class BounceService {
+  constructor(options = {}) {
+    this.hashSalt = options.hashSalt || process.env.PRIVACY_HASH_SALT || '';
+    this.softBounceLimit = options.softBounceLimit || parseInt(process.env.BOUNCE_SOFT_LIMIT) || 3;
+    this.softBounceWindowDays = options.softBounceWindowDays || 30;
+    // Passed in rather than created, so bounce metrics land on the sender's registry
+    this.monitoringService = options.monitoringService || null;
+
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+      ),
+      defaultMeta: { service: 'bounce-service' },
+      transports: [
+        new winston.transports.File({ filename: 'logs/bounce-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/bounce.log' })
+      ]
+    });
+  }
+
+  hashEmail(email) {
+    return crypto.createHash('sha256').update(`${this.hashSalt}${normalizeEmail(email)}`).digest('hex');
+  }
+
+  /**
+   * Classify a bounce from its enhanced status code, SMTP reply code and
+   * diagnostic text, in that order of trust
+   * @param {Object} report - statusCode ("5.1.1"), smtpCode (550) and diagnostic
+   * @returns {{ type: string, statusCode: string|null }}
+   */
+  classify({ statusCode, smtpCode, diagnostic } = {}) {
+    const text = String(diagnostic || '').toLowerCase();
+    const enhanced = statusCode || (text.match(/\b([245]\.\d{1,3}\.\d{1,3})\b/) || [])[1] || null;
+    const reply = parseInt(smtpCode) || parseInt((text.match(/\b([245]\d\d)\b/) || [])[1]) || null;
+
+    let type;
+    if (enhanced && matchesAny(BLOCK_STATUS_CODES, enhanced)) {
+      type = 'block';
+    } else if (enhanced && matchesAny(HARD_STATUS_CODES, enhanced)) {
+      type = 'hard';
+    } else if (enhanced && matchesAny(SOFT_STATUS_CODES, enhanced)) {
+      type = 'soft';
+    } else if (matchesAny(BLOCK_PATTERNS, text)) {
+      type = 'block';
+    } else if (matchesAny(HARD_PATTERNS, text)) {
+      type = 'hard';
+    } else if (matchesAny(SOFT_PATTERNS, text)) {
+      type = 'soft';
+    } else if (enhanced) {
+      type = enhanced.startsWith('5.') ? 'hard' : 'soft';
+    } else {
+      // Without a code we cannot tell, and wrongly suppressing a reader is worse
+      type = reply >= 500 && reply < 600 ? 'hard' : 'soft';
+    }
+
+    return { type, statusCode: enhanced };
+  }
+
+  /**
+   * Parse a delivery status notification (RFC 3464). Only recipients the
+   * remote server gave up on are returned; "delayed" notices are still retrying.
+   * @param {string} raw - The DSN message, headers and all
+   * @returns {Array<Object>} Bounce reports
+   */
+  parseDsn(raw) {
+    const message = String(raw || '').replace(/\r?\n[ \t]+/g, ' ');
+    const campaignMatch = message.match(new RegExp(`^${CAMPAIGN_HEADER}:\\s*([a-f0-9]{24})`, 'mi'));
+    const campaignId = campaignMatch ? campaignMatch[1] : null;
+
+    return message.split(/^Final-Recipient:/mi).slice(1).reduce((reports, block) => {
+      const field = (name) => {
+        const match = block.match(new RegExp(`^${name}:\\s*(.+)$`, 'mi'));
+        return match ? match[1].trim() : null;
+      };
+      const recipient = block.match(/^\s*(?:rfc822;)?\s*<?([^\s<>;]+@[^\s<>;]+)>?/i);
+      const action = (field('Action') || '').toLowerCase();
+
+      if (!recipient || action !== 'failed') {
+        return reports;
+      }
+
+      const diagnostic = (field('Diagnostic-Code') || '').replace(/^smtp;\s*/i, '') || null;
+      const { type, statusCode } = this.classify({ statusCode: field('Status'), diagnostic });
+      reports.push({ email: normalizeEmail(recipient[1]), type, statusCode, diagnostic, campaignId, source: 'dsn' });
+      return reports;
+    }, []);
+  }
+
+  /**
+   * Parse a provider webhook into bounce and complaint reports
+   * @param {string} provider - 'ses' (via SNS) or 'sendgrid'
+   * @param {Object|Array} payload - The request body
+   * @returns {Array<Object>} Reports, each with kind 'bounce' or 'complaint'
+   */
+  parseWebhook(provider, payload) {
+    if (provider === 'ses') {
+      return this.parseSesNotification(payload);
+    }
+    if (provider === 'sendgrid') {
+      return this.parseSendGridEvents(payload);
+    }
+    throw createError('ValidationError', `Unsupported bounce provider: ${provider}`, 400);
+  }
+
+  parseSesNotification(payload) {
+    let notification = payload || {};
+    if (typeof notification.Message === 'string') {
+      try {
+        notification = JSON.parse(notification.Message);
+      } catch (error) {
+        throw createError('ValidationError', 'SNS message is not valid JSON', 400);
+      }
+    }
+
+    const headers = (notification.mail && notification.mail.headers) || [];
+    const campaignHeader = headers.find(header => String(header.name).toLowerCase() === CAMPAIGN_HEADER.toLowerCase());
+    const campaignId = campaignHeader ? campaignHeader.value : null;
+
+    if (notification.notificationType === 'Bounce' && notification.bounce) {
+      const { bounceType, bounceSubType, bouncedRecipients = [] } = notification.bounce;
+      return bouncedRecipients.map(recipient => {
+        const classified = this.classify({ statusCode: recipient.status, diagnostic: recipient.diagnosticCode });
+        let type = classified.type;
+        if (bounceType === 'Permanent') {
+          type = 'hard';
+        } else if (bounceSubType === 'ContentRejected') {
+          type = 'block';
+        } else if (type === 'hard') {
+          // SES has already decided this one is worth retrying
+          type = 'soft';
+        }
+        return {
+          kind: 'bounce',
+          email: normalizeEmail(recipient.emailAddress),
+          type,
+          statusCode: classified.statusCode,
+          diagnostic: recipient.diagnosticCode || bounceSubType || null,
+          campaignId,
+          source: 'ses'
+        };
+      });
+    }
+
+    if (notification.notificationType === 'Complaint' && notification.complaint) {
+      const { complainedRecipients = [], complaintFeedbackType } = notification.complaint;
+      return complainedRecipients.map(recipient => ({
+        kind: 'complaint',
+        email: normalizeEmail(recipient.emailAddress),
+        feedbackType: complaintFeedbackType || null,
+        campaignId,
+        source: 'ses'
+      }));
+    }
+
+    return [];
+  }
+
+  parseSendGridEvents(payload) {
+    const events = Array.isArray(payload) ? payload : [payload];
+
+    return events.reduce((reports, event) => {
+      if (!event || !event.email) {
+        return reports;
+      }
+
+      const campaignId = event.campaign_id || null;
+      if (event.event === 'spamreport') {
+        reports.push({ kind: 'complaint', email: normalizeEmail(event.email), feedbackType: 'abuse', campaignId, source: 'sendgrid' });
+      } else if (event.event === 'bounce') {
+        const classified = this.classify({ statusCode: event.status, diagnostic: event.reason });
+        reports.push({
+          kind: 'bounce',
+          email: normalizeEmail(event.email),
+          type: event.type === 'blocked' ? 'block' : classified.type,
+          statusCode: classified.statusCode,
+          diagnostic: event.reason || null,
+          campaignId,
+          source: 'sendgrid'
+        });
+      }
+      // "deferred" is still being retried and "dropped" was never sent
+      return reports;
+    }, []);
+  }
+
+  /**
+   * Record a bounce, mark the campaign recipient and suppress the address if
+   * it is hard or has soft bounced too often
+   * @param {Object} report - email, type, statusCode, diagnostic, campaignId, subscriberId, source
+   * @returns {Promise<Object>} type, escalated and suppressed
+   */
+  async recordBounce(report) {
+    const email = normalizeEmail(report.email);
+    if (!email || !BOUNCE_TYPES.includes(report.type)) {
+      throw createError('ValidationError', 'A bounce needs an email and a type of hard, soft or block', 400);
+    }
+
+    const campaignId = toObjectId(report.campaignId);
+    const bounce = await new EmailBounce({
+      email_id: campaignId || null,
+      subscriber_id: report.subscriberId ? String(report.subscriberId) : null,
+      campaign_id: campaignId || null,
+      email,
+      bounce_type: report.type,
+      status_code: report.statusCode || null,
+      diagnostic: report.diagnostic ? String(report.diagnostic).slice(0, 1000) : null,
+      source: report.source
+    }).save();
+
+    if (this.monitoringService) {
+      this.monitoringService.trackEmailBounce(report.type);
+    }
+
+    if (campaignId) {
+      await this.markRecipientBounced(campaignId, email, report.diagnostic || report.type);
+    }
+
+    let reason = null;
+    if (report.type === 'hard') {
+      reason = 'hard_bounce';
+    } else if (report.type === 'soft') {
+      const since = new Date(Date.now() - this.softBounceWindowDays * 24 * 60 * 60 * 1000);
+      const softBounces = await EmailBounce.countDocuments({ email, bounce_type: 'soft', bounced_at: { $gte: since } });
+      if (softBounces >= this.softBounceLimit) {
+        reason = 'soft_bounce_limit';
+        bounce.escalated = true;
+        await bounce.save();
+      }
+    } else {
+      this.logger.warn(`Delivery to ${email} blocked by the receiving server: ${report.diagnostic || 'no diagnostic'}`);
+      if (this.monitoringService) {
+        this.monitoringService.trackSecurityEvent('email_blocked', 'warning');
+      }
+    }
+
+    if (reason) {
+      await this.suppress(email, {
+        reason,
+        source: report.source,
+        diagnostic: report.diagnostic,
+        campaignId
+      });
+      // Unsubscribed readers keep that status; it records their own choice
+      await Subscriber.updateMany(
+        { email, status: { $in: ['pending', 'subscribed'] } },
+        { $set: { status: 'bounced' } }
+      );
+    }
+
+    this.logger.info(`Recorded ${report.type} bounce for ${email}${reason ? ` (suppressed: ${reason})` : ''}`);
+    return { type: report.type, escalated: reason === 'soft_bounce_limit', suppressed: Boolean(reason) };
+  }
+
+  /**
+   * Record a spam complaint from a provider feedback loop. Complaints are
+   * always suppressed, whatever the reader's subscription status.
+   * @param {Object} report - email, campaignId, feedbackType, source
+   * @returns {Promise<void>}
+   */
+  async recordComplaint(report) {
+    const email = normalizeEmail(report.email);
+    if (!email) {
+      throw createError('ValidationError', 'A complaint needs an email', 400);
+    }
+
+    const campaignId = toObjectId(report.campaignId);
+    await this.suppress(email, { reason: 'complaint', source: report.source, diagnostic: report.feedbackType, campaignId });
+    await Subscriber.updateMany({ email, status: { $ne: 'complained' } }, { $set: { status: 'complained' } });
+
+    if (campaignId) {
+      await EmailCampaign.updateOne({ _id: campaignId }, { $inc: { 'stats.spamComplaints': 1 } });
+    }
+    if (this.monitoringService) {
+      this.monitoringService.trackSecurityEvent('email_spam_complaint', 'warning');
+    }
+
+    this.logger.info(`Recorded spam complaint for ${email}`);
+  }
+
+  /**
+   * Process every report from a DSN or webhook. One bad report does not stop the rest.
+   * @param {Array<Object>} reports - From parseDsn or parseWebhook
+   * @returns {Promise<Object>} Counts of processed bounces, complaints and failures
+   */
+  async processReports(reports) {
+    const counts = { bounces: 0, complaints: 0, failed: 0 };
+
+    for (const report of reports) {
+      try {
+        if (report.kind === 'complaint') {
+          await this.recordComplaint(report);
+          counts.complaints++;
+        } else {
+          await this.recordBounce(report);
+          counts.bounces++;
+        }
+      } catch (error) {
+        counts.failed++;
+        this.logger.error(`Failed to process ${report.kind || 'bounce'} report for ${report.email}:`, error);
+      }
+    }
+
+    return counts;
+  }
+
+  async markRecipientBounced(campaignId, email, bounceReason) {
+    // Only the first report for a recipient counts towards the campaign stats
+    await EmailCampaign.updateOne(
+      { _id: campaignId, recipients: { $elemMatch: { email, status: { $ne: 'bounced' } } } },
+      {
+        $set: { 'recipients.$.status': 'bounced', 'recipients.$.bounceReason': String(bounceReason).slice(0, 500) },
+        $inc: { 'stats.bounced': 1 }
+      }
+    );
+  }
+
+  /**
+   * Put an address on the suppression list. The first reason sticks.
+   * @param {string} email
+   * @param {Object} details - reason, source, diagnostic, campaignId, createdBy
+   * @returns {Promise<Object>} The suppression entry
+   */
+  async suppress(email, details) {
+    if (!SUPPRESSION_REASONS.includes(details.reason)) {
+      throw createError('ValidationError', `Suppression reason must be one of ${SUPPRESSION_REASONS.join(', ')}`, 400);
+    }
+
+    const normalized = normalizeEmail(email);
+    return Suppression.findOneAndUpdate(
+      { emailHash: this.hashEmail(normalized) },
+      {
+        $setOnInsert: {
+          emailHash: this.hashEmail(normalized),
+          email: normalized,
+          reason: details.reason,
+          source: details.source,
+          diagnostic: details.diagnostic ? String(details.diagnostic).slice(0, 1000) : undefined,
+          campaignId: toObjectId(details.campaignId),
+          createdBy: details.createdBy,
+          suppressedAt: new Date()
+        }
+      },
+      { upsert: true, new: true }
+    );
+  }
+
+  /**
+   * Take an address off the suppression list
+   * @param {string} email
+   * @returns {Promise<void>}
+   */
+  async removeSuppression(email) {
+    const result = await Suppression.deleteOne({ emailHash: this.hashEmail(email) });
+    if (!result.deletedCount) {
+      throw createError('NotFoundError', 'Address is not suppressed', 404);
+    }
+    this.logger.info(`Removed ${normalizeEmail(email)} from the suppression list`);
+  }
+
+  /**
+   * Which of these addresses are suppressed
+   * @param {Array<string>} emails
+   * @returns {Promise<Set<string>>} Suppressed addresses, normalised
+   */
+  async suppressedEmails(emails) {
+    const byHash = new Map(emails.map(email => [this.hashEmail(email), normalizeEmail(email)]));
+    if (byHash.size === 0) {
+      return new Set();
+    }
+
+    const entries = await Suppression.find({ emailHash: { $in: [...byHash.keys()] } }).select('emailHash').lean();
+    return new Set(entries.map(entry => byHash.get(entry.emailHash)));
+  }
+
+  /**
+   * Share of emails sent in the last 24 hours that bounced, reported to monitoring
+   * @returns {Promise<number>} Bounce rate between 0 and 1
+   */
+  async reportBounceRate() {
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const [bounced, sentTotals] = await Promise.all([
+      EmailBounce.countDocuments({ bounced_at: { $gte: since } }),
+      EmailCampaign.aggregate([
+        { $match: { 'stats.sentAt': { $gte: since } } },
+        { $group: { _id: null, sent: { $sum: '$stats.sent' } } }
+      ])
+    ]);
+
+    const sent = sentTotals.length ? sentTotals[0].sent : 0;
+    const rate = sent > 0 ? Math.min(bounced / sent, 1) : 0;
+    if (this.monitoringService) {
+      this.monitoringService.updateBounceRate(rate);
+    }
+    return rate;
+  }
+}
+
+module.exports = BounceService;
+module.exports.BOUNCE_TYPES = BOUNCE_TYPES;
+module.exports.SUPPRESSION_REASONS = SUPPRESSION_REASONS;
+module.exports.CAMPAIGN_HEADER = CAMPAIGN_HEADER;
@@ -17,6 +17,9 @@ const logger = winston.createLogger({
   ]
 });
 
+// Keys SCAN is asked to look at per call
+const SCAN_BATCH_SIZE = 500;
+
 class CacheService {
   constructor(options = {}) {
     this.options = {
@@ -52,7 +55,8 @@ class CacheService {
       TEMPLATE: 'template',
       API_RESPONSE: 'api_response',
       CALENDAR: 'calendar',
-      PAYMENT: 'payment'
+      PAYMENT: 'payment',
+      TOKEN_DENYLIST: 'token_denylist'
     };
 
     this.init();
@@ -60,14 +64,21 @@ class CacheService {
 
   async init() {
     try {
-      this.client = redis.createClient(this.options);
+      // node-redis 4 takes the address under socket, and legacyMode keeps the
+      // callback API the promisified methods below rely on
+      this.client = redis.createClient({
+        socket: { host: this.options.host, port: Number(this.options.port) },
+        password: this.options.password || undefined,
+        database: Number(this.options.db),
+        legacyMode: true
+      });
       
       // Promisify Redis methods
       this.getAsync = promisify(this.client.get).bind(this.client);
       this.setAsync = promisify(this.client.set).bind(this.client);
       this.delAsync = promisify(this.client.del).bind(this.client);
       this.existsAsync = promisify(this.client.exists).bind(this.client);
-      this.keysAsync = promisify(this.client.keys).bind(this.client);
+      this.scanAsync = promisify(this.client.scan).bind(this.client);
       this.flushdbAsync = promisify(this.client.flushdb).bind(this.client);
       this.infoAsync = promisify(this.client.info).bind(this.client);
       this.ttlAsync = promisify(this.client.ttl).bind(this.client);
@@ -369,6 +380,23 @@ class CacheService {
     }
   }
 
+  // Token denylist: revoked sessions whose access tokens have not expired yet
+  async denylist(id, ttl) {
+    return this.set(id, true, ttl, this.namespaces.TOKEN_DENYLIST);
+  }
+
+  // null when Redis cannot answer, so callers can check elsewhere instead of allowing the token
+  async isDenylisted(id) {
+    try {
+      const result = await this.existsAsync(this.generateKey(this.namespaces.TOKEN_DENYLIST, id));
+      return result === 1;
+    } catch (error) {
+      this.stats.errors++;
+      logger.error(`Cache denylist check error for key ${id}`, error);
+      return null;
+    }
+  }
+
   // Hash operations
   async hashSet(key, field, value, namespace = 'default') {
     try {
@@ -463,11 +491,25 @@ class CacheService {
     }
   }
 
+  // Keys matching a pattern, read with SCAN in batches so Redis is never
+  // blocked walking the whole keyspace the way KEYS does
+  async scanKeys(pattern) {
+    const keys = new Set();
+    let cursor = '0';
+    do {
+      const [next, batch] = await this.scanAsync(cursor, 'MATCH', pattern, 'COUNT', SCAN_BATCH_SIZE);
+      // SCAN can return a key more than once
+      batch.forEach(key => keys.add(key));
+      cursor = String(next);
+    } while (cursor !== '0');
+    return [...keys];
+  }
+
   // Cache management operations
   async flushNamespace(namespace) {
     try {
       const pattern = `${namespace}:*`;
-      const keys = await this.keysAsync(pattern);
+      const keys = await this.scanKeys(pattern);
       
       if (keys.length > 0) {
         await Promise.all(keys.map(key => this.delAsync(key)));
@@ -482,6 +524,28 @@ class CacheService {
     }
   }
 
+  // Remove every cached entry whose key references an entity, e.g. a user ID
+  async invalidateEntity(entityId, namespaces = Object.values(this.namespaces)) {
+    try {
+      const keyGroups = await Promise.all(
+        namespaces.map(namespace => this.scanKeys(`${namespace}:*${entityId}*`))
+      );
+      const keys = keyGroups.flat();
+
+      if (keys.length > 0) {
+        await Promise.all(keys.map(key => this.delAsync(key)));
+        this.stats.deletes += keys.length;
+      }
+
+      logger.info(`Invalidated cache entries for ${entityId}`, { keyCount: keys.length });
+      return keys.length;
+    } catch (error) {
+      this.stats.errors++;
+      logger.error(`Cache invalidate error for ${entityId}`, error);
+      throw error;
+    }
+  }
+
   async flushAll() {
     try {
       await this.flushdbAsync();
@@ -496,7 +560,7 @@ class CacheService {
 
   async getKeys(pattern = '*') {
     try {
-      const keys = await this.keysAsync(pattern);
+      const keys = await this.scanKeys(pattern);
       return keys;
     } catch (error) {
       this.stats.errors++;
@@ -0,0 +1,181 @@
+const mongoose = require('mongoose');
+const winston = require('winston');
+const EmailCampaign = require('../models/EmailCampaign');
+const EmailJob = require('../models/EmailJob');
+
+// Sends over this many recent minutes give the observed rate behind the ETA
+const RATE_WINDOW_MINUTES = 5;
+
+const createError = (name, message, status) => {
+  const error = new Error(message);
+  error.name = name;
+  error.status = status;
+  return error;
+};
+
+/**
+ * Controls for campaigns that are already sending. The queue worker reads a
+ * campaign's status and sendRate before every batch (see
+ * EmailQueueService.claimJobs), so these take effect within seconds.
+ */
+class CampaignDeliveryService {
+  constructor() {
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+      ),
+      defaultMeta: { service: 'campaign-delivery-service' },
+      transports: [
+        new winston.transports.File({ filename: 'logs/campaign-delivery-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/campaign-delivery.log' })
+      ]
+    });
+  }
+
+  /**
+   * Move a campaign between states, or explain why it cannot
+   * @returns {Promise<Object>} The updated campaign
+   */
+  async transition(userId, campaignId, fromStatuses, update, message) {
+    const filter = { _id: campaignId, userId, isDeleted: false };
+    const campaign = await EmailCampaign.findOneAndUpdate(
+      { ...filter, status: { $in: fromStatuses } },
+      update,
+      { new: true }
+    );
+
+    if (!campaign) {
+      const exists = await EmailCampaign.exists(filter);
+      throw exists
+        ? createError('ValidationError', message, 400)
+        : createError('NotFoundError', 'Campaign not found', 404);
+    }
+    return campaign;
+  }
+
+  /**
+   * Stop handing a campaign's jobs to workers. Emails already with the SMTP
+   * server still go out; everything else waits.
+   * @returns {Promise<Object>} The paused campaign
+   */
+  async pause(userId, campaignId) {
+    const campaign = await this.transition(userId, campaignId, ['sending'],
+      { status: 'paused', pausedAt: new Date() },
+      'Only sending campaigns can be paused');
+
+    this.logger.info(`Campaign ${campaignId} paused`);
+    return campaign;
+  }
+
+  /**
+   * @returns {Promise<Object>} The campaign, sending again
+   */
+  async resume(userId, campaignId) {
+    const campaign = await this.transition(userId, campaignId, ['paused'],
+      { status: 'sending', $unset: { pausedAt: '' } },
+      'Only paused campaigns can be resumed');
+
+    this.logger.info(`Campaign ${campaignId} resumed`);
+    return campaign;
+  }
+
+  /**
+   * Cap a campaign at sendRate emails per minute, or lift the cap with null
+   * @returns {Promise<Object>} The updated campaign
+   */
+  async setSendRate(userId, campaignId, sendRate) {
+    const campaign = await this.transition(userId, campaignId, ['draft', 'scheduled', 'sending', 'paused'],
+      sendRate ? { sendRate } : { $unset: { sendRate: '' } },
+      'The send rate of a finished campaign cannot be changed');
+
+    this.logger.info(`Campaign ${campaignId} send rate set to ${sendRate || 'unlimited'}`);
+    return campaign;
+  }
+
+  /**
+   * Cancel a paused campaign. Jobs that have not been sent, including any
+   * held for an A/B test winner, are cancelled.
+   * @returns {Promise<Object>} The cancelled campaign and how many jobs were dropped
+   */
+  async cancelPaused(userId, campaignId) {
+    const campaign = await this.transition(userId, campaignId, ['paused'],
+      { status: 'cancelled', completedDate: new Date() },
+      'Only paused campaigns can be cancelled mid-send');
+
+    const result = await EmailJob.updateMany(
+      { campaignId: campaign._id, status: { $in: ['queued', 'held'] } },
+      { $set: { status: 'cancelled', completedAt: new Date() } }
+    );
+
+    this.logger.info(`Campaign ${campaignId} cancelled with ${result.modifiedCount} emails unsent`);
+    return { campaign, cancelled: result.modifiedCount };
+  }
+
+  /**
+   * Progress of a campaign's jobs and when it should finish. The ETA uses the
+   * rate of the last few minutes, capped by the campaign's sendRate, and is
+   * never earlier than the last scheduled retry or the end of an A/B test window.
+   * @param {Object} campaign - The campaign document
+   * @returns {Promise<Object>} Job counts, rate and estimatedCompletionAt
+   */
+  async getDeliveryStatus(campaign) {
+    const now = Date.now();
+    const campaignId = new mongoose.Types.ObjectId(String(campaign._id));
+
+    const [byStatus, recentlySent, lastQueued] = await Promise.all([
+      EmailJob.aggregate([
+        { $match: { campaignId } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      EmailJob.countDocuments({
+        campaignId,
+        status: 'sent',
+        sentAt: { $gte: new Date(now - RATE_WINDOW_MINUTES * 60 * 1000) }
+      }),
+      EmailJob.findOne({ campaignId, status: 'queued' }).sort({ nextAttemptAt: -1 }).select('nextAttemptAt').lean()
+    ]);
+
+    const counts = { queued: 0, held: 0, sending: 0, sent: 0, failed: 0, suppressed: 0, cancelled: 0 };
+    byStatus.forEach(({ _id, count }) => {
+      counts[_id] = count;
+    });
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    const remaining = counts.queued + counts.held + counts.sending;
+
+    const observedRate = recentlySent / RATE_WINDOW_MINUTES;
+    const ratePerMinute = campaign.sendRate && (!observedRate || observedRate > campaign.sendRate)
+      ? campaign.sendRate
+      : observedRate;
+
+    let estimatedCompletionAt = null;
+    if (remaining === 0 && total > 0) {
+      estimatedCompletionAt = campaign.completedDate || null;
+    } else if (campaign.status === 'sending' && ratePerMinute > 0) {
+      estimatedCompletionAt = new Date(now + (remaining / ratePerMinute) * 60 * 1000);
+      if (lastQueued && lastQueued.nextAttemptAt > estimatedCompletionAt) {
+        estimatedCompletionAt = lastQueued.nextAttemptAt;
+      }
+      // Recipients held for an A/B test winner go out once the test window closes
+      const decideAt = campaign.abTest && campaign.abTest.status === 'testing' && campaign.abTest.decideAt;
+      if (counts.held > 0 && decideAt) {
+        const afterTest = new Date(new Date(decideAt).getTime() + (counts.held / ratePerMinute) * 60 * 1000);
+        estimatedCompletionAt = afterTest > estimatedCompletionAt ? afterTest : estimatedCompletionAt;
+      }
+    }
+
+    return {
+      ...counts,
+      total,
+      remaining,
+      progress: total > 0 ? Math.round(((total - remaining) / total) * 100) : 0,
+      sendRate: campaign.sendRate || null,
+      ratePerMinute: Math.round(ratePerMinute * 10) / 10,
+      estimatedCompletionAt
+    };
+  }
+}
+
+module.exports = CampaignDeliveryService;
@@ -0,0 +1,505 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const cron = require('node-cron');
+const winston = require('winston');
+const User = require('../models/User');
+const Subscription = require('../models/Subscription');
+const Appointment = require('../models/Appointment');
+const Content = require('../models/Content');
+const Analytics = require('../models/Analytics');
+const EmailCampaign = require('../models/EmailCampaign');
+const EmailJob = require('../models/EmailJob');
+const { EmailOpen, EmailClick, EmailUnsubscribe, SpamComplaint, EmailBounce } = require('../models/EmailTracking');
+const ConsentRecord = require('../models/ConsentRecord');
+const DataSubjectRequest = require('../models/DataSubjectRequest');
+const DataExport = require('../models/DataExport');
+const Subscriber = require('../models/Subscriber');
+const Suppression = require('../models/Suppression');
+const PrivacyComplianceService = require('./PrivacyComplianceService');
+
+const FORMAT_VERSION = 1;
+const SYSTEM_ACTOR = { role: 'system' };
+
+const createError = (name, message, status) => {
+  const error = new Error(message);
+  error.name = name;
+  error.status = status;
+  return error;
+};
+
+/**
+ * Flatten a document into dotted keys so it fits in a CSV row
+ * @param {Object} value - The value to flatten
+ * @param {string} prefix - Key prefix for nested values
+ * @param {Object} row - Accumulator
+ * @returns {Object} The flattened row
+ */
+const flatten = (value, prefix = '', row = {}) => {
+  if (value === null || value === undefined) {
+    row[prefix] = '';
+  } else if (value instanceof Date) {
+    row[prefix] = value.toISOString();
+  } else if (Array.isArray(value)) {
+    row[prefix] = JSON.stringify(value);
+  } else if (typeof value === 'object' && value.constructor === Object) {
+    Object.entries(value).forEach(([key, nested]) => {
+      flatten(nested, prefix ? `${prefix}.${key}` : key, row);
+    });
+  } else {
+    row[prefix] = String(value);
+  }
+  return row;
+};
+
+const escapeCsv = (value) => {
+  const text = value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (records) => {
+  const rows = records.map(record => flatten(record));
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+
+  if (columns.length === 0) {
+    return '';
+  }
+
+  return [
+    columns.map(escapeCsv).join(','),
+    ...rows.map(row => columns.map(column => escapeCsv(row[column])).join(','))
+  ].join('\r\n') + '\r\n';
+};
+
+const writeOctal = (header, value, offset, length) => {
+  header.write(`${value.toString(8).padStart(length - 1, '0')}\0`, offset, length, 'ascii');
+};
+
+/**
+ * Build a gzipped ustar archive from in-memory files
+ * @param {Array} entries - { name, content } pairs
+ * @param {Date} mtime - Modification time recorded for every entry
+ * @returns {Buffer} The .tar.gz archive
+ */
+const createTarball = (entries, mtime = new Date()) => {
+  const blocks = [];
+
+  entries.forEach(({ name, content }) => {
+    const header = Buffer.alloc(512);
+    header.write(name, 0, 100, 'utf8');
+    writeOctal(header, 0o644, 100, 8);
+    writeOctal(header, 0, 108, 8);
+    writeOctal(header, 0, 116, 8);
+    writeOctal(header, content.length, 124, 12);
+    writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+    header.fill(' ', 148, 156);
+    header.write('0', 156, 1, 'ascii');
+    header.write('ustar\0', 257, 6, 'ascii');
+    header.write('00', 263, 2, 'ascii');
+
+    let checksum = 0;
+    for (let i = 0; i < header.length; i++) {
+      checksum += header[i];
+    }
+    header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8, 'ascii');
+
+    blocks.push(header, content, Buffer.alloc((512 - (content.length % 512)) % 512));
+  });
+
+  blocks.push(Buffer.alloc(1024));
+  return zlib.gzipSync(Buffer.concat(blocks));
+};
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * Server-side "download my data" exports (GDPR Art. 15 and 20)
+ */
+class DataExportService {
+  constructor(options = {}) {
+    this.storagePath = options.storagePath || process.env.DATA_EXPORT_PATH || path.join(process.cwd(), 'exports');
+    this.retentionDays = options.retentionDays || parseInt(process.env.DATA_EXPORT_RETENTION_DAYS) || 7;
+    this.privacyService = options.privacyService || new PrivacyComplianceService();
+    this.jobs = new Map();
+
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+      ),
+      defaultMeta: { service: 'data-export-service' },
+      transports: [
+        new winston.transports.File({ filename: 'logs/data-export-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/data-export.log' })
+      ]
+    });
+
+    this.scheduledTasks = [];
+  }
+
+  /**
+   * Remove expired archives every hour. Started by the server.
+   */
+  startScheduledTasks() {
+    this.scheduledTasks.push(cron.schedule('15 * * * *', () => {
+      this.purgeExpiredExports();
+    }));
+  }
+
+  stopScheduledTasks() {
+    this.scheduledTasks.forEach(task => task.stop());
+    this.scheduledTasks = [];
+  }
+
+  /**
+   * Queue an export for a user. Attaches to the user's open export request
+   * or opens one, and reuses an export that is already in progress.
+   * @param {string} userId - The user ID
+   * @returns {Promise<Object>} The export and whether one was already running
+   */
+  async requestExport(userId) {
+    const activeExport = await DataExport.findOne({ userId, status: { $in: ['queued', 'running'] } });
+    if (activeExport) {
+      return { dataExport: activeExport, alreadyRunning: true };
+    }
+
+    let request = await DataSubjectRequest.findOne({
+      userId,
+      type: 'export',
+      status: { $in: ['pending', 'verifying', 'processing'] }
+    });
+
+    if (!request) {
+      request = await this.privacyService.createDataSubjectRequest(userId, 'export');
+    }
+
+    const dataExport = new DataExport({ userId, requestId: request._id });
+    await dataExport.save();
+
+    const job = this.runExport(dataExport);
+    this.jobs.set(String(dataExport._id), job);
+    job.finally(() => this.jobs.delete(String(dataExport._id)));
+
+    this.logger.info(`Data export ${dataExport._id} queued for user ${userId}`);
+    return { dataExport, alreadyRunning: false };
+  }
+
+  /**
+   * Collect, package and store the archive, then complete the request
+   * @param {Object} dataExport - The export document
+   * @returns {Promise<Object>} The updated export document
+   */
+  async runExport(dataExport) {
+    try {
+      dataExport.status = 'running';
+      dataExport.startedAt = new Date();
+      await dataExport.save();
+
+      const collections = await this.collectUserData(dataExport.userId);
+      const { archive, files } = this.buildArchive(dataExport, collections);
+
+      await fs.promises.mkdir(this.storagePath, { recursive: true, mode: 0o700 });
+      const fileName = `piper-data-export-${dataExport._id}.tar.gz`;
+      const filePath = path.join(this.storagePath, fileName);
+      await fs.promises.writeFile(filePath, archive, { mode: 0o600 });
+
+      dataExport.status = 'completed';
+      dataExport.fileName = fileName;
+      dataExport.filePath = filePath;
+      dataExport.size = archive.length;
+      dataExport.sha256 = sha256(archive);
+      dataExport.files = files;
+      dataExport.completedAt = new Date();
+      dataExport.expiresAt = new Date(Date.now() + this.retentionDays * 24 * 60 * 60 * 1000);
+      await dataExport.save();
+
+      await this.completeRequest(dataExport);
+
+      this.logger.info(`Data export ${dataExport._id} completed (${archive.length} bytes)`);
+    } catch (error) {
+      this.logger.error(`Data export ${dataExport._id} failed:`, error);
+      dataExport.status = 'failed';
+      dataExport.error = error.message;
+      await dataExport.save();
+    }
+
+    return dataExport;
+  }
+
+  /**
+   * Gather every record we hold about a user
+   * @param {string} userId - The user ID
+   * @returns {Promise<Object>} Plain records keyed by collection name
+   */
+  async collectUserData(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw createError('NotFoundError', 'User not found', 404);
+    }
+
+    const profile = user.toJSON();
+    const [subscriptions, appointments, content, analytics, campaigns, audienceMemberships, consentRecords, dataSubjectRequests] = await Promise.all([
+      Subscription.find({ userId }).lean(),
+      Appointment.find({ userId }).lean(),
+      Content.find({ userId }).lean(),
+      Analytics.find({ userId }).lean(),
+      EmailCampaign.find({ 'recipients.email': profile.email })
+        .select('name subject sentAt recipients')
+        .lean(),
+      Subscriber.find({ $or: [{ email: profile.email }, { linkedUserId: userId }] }).lean(),
+      ConsentRecord.find({ userId }).sort({ recordedAt: 1 }).lean(),
+      DataSubjectRequest.find({ userId }).sort({ receivedAt: 1 }).lean()
+    ]);
+
+    // Campaign recipients carry the subscriber IDs used by the tracking events
+    const campaignRecipients = [];
+    campaigns.forEach(campaign => {
+      campaign.recipients
+        .filter(recipient => recipient.email === profile.email)
+        .forEach(recipient => {
+          campaignRecipients.push({
+            campaignId: campaign._id,
+            campaignName: campaign.name,
+            subject: campaign.subject,
+            ...recipient
+          });
+        });
+    });
+
+    const subscriberIds = [...new Set([
+      String(userId),
+      ...campaignRecipients.map(r => r.subscriberId),
+      ...audienceMemberships.map(subscriber => String(subscriber._id))
+    ])];
+    const trackingQuery = { subscriber_id: { $in: subscriberIds } };
+
+    const [emailDeliveries, emailOpens, emailClicks, emailUnsubscribes, spamComplaints, emailBounces, suppressions] = await Promise.all([
+      EmailJob.find({ 'recipient.email': profile.email })
+        .select('campaignId status attempts sentAt completedAt createdAt')
+        .lean(),
+      EmailOpen.find(trackingQuery).lean(),
+      EmailClick.find(trackingQuery).lean(),
+      EmailUnsubscribe.find(trackingQuery).lean(),
+      SpamComplaint.find(trackingQuery).lean(),
+      EmailBounce.find({ $or: [trackingQuery, { email: profile.email }] }).lean(),
+      Suppression.find({ email: profile.email }).select('-emailHash').lean()
+    ]);
+
+    return {
+      profile: [profile],
+      subscriptions,
+      appointments,
+      content,
+      analytics,
+      campaignRecipients,
+      audienceMemberships,
+      emailDeliveries,
+      emailOpens,
+      emailClicks,
+      emailUnsubscribes,
+      spamComplaints,
+      emailBounces,
+      suppressions,
+      consentRecords,
+      dataSubjectRequests
+    };
+  }
+
+  /**
+   * Package collections as JSON and CSV with a manifest and checksums
+   * @param {Object} dataExport - The export document
+   * @param {Object} collections - Records keyed by collection name
+   * @returns {Object} The archive buffer and per-file metadata
+   */
+  buildArchive(dataExport, collections) {
+    const root = `piper-data-export-${dataExport._id}`;
+    const entries = [];
+    const files = [];
+
+    Object.entries(collections).forEach(([collectionName, records]) => {
+      const normalized = JSON.parse(JSON.stringify(records));
+      const outputs = {
+        json: Buffer.from(JSON.stringify(normalized, null, 2)),
+        csv: Buffer.from(toCsv(normalized))
+      };
+
+      Object.entries(outputs).forEach(([format, content]) => {
+        const filePath = `${format}/${collectionName}.${format}`;
+        entries.push({ name: `${root}/${filePath}`, content });
+        files.push({
+          path: filePath,
+          collectionName,
+          format,
+          records: normalized.length,
+          bytes: content.length,
+          sha256: sha256(content)
+        });
+      });
+    });
+
+    const manifest = {
+      formatVersion: FORMAT_VERSION,
+      exportId: String(dataExport._id),
+      userId: String(dataExport.userId),
+      requestId: dataExport.requestId ? String(dataExport.requestId) : null,
+      generatedAt: new Date().toISOString(),
+      files
+    };
+    const manifestContent = Buffer.from(JSON.stringify(manifest, null, 2));
+
+    // sha256sum -c compatible
+    const checksums = [
+      ...files.map(file => `${file.sha256}  ${file.path}`),
+      `${sha256(manifestContent)}  manifest.json`
+    ].join('\n') + '\n';
+
+    entries.unshift(
+      { name: `${root}/manifest.json`, content: manifestContent },
+      { name: `${root}/SHA256SUMS`, content: Buffer.from(checksums) }
+    );
+
+    return { archive: createTarball(entries), files };
+  }
+
+  /**
+   * Mark the linked data subject request as completed
+   * @param {Object} dataExport - The completed export
+   */
+  async completeRequest(dataExport) {
+    if (!dataExport.requestId) return;
+
+    try {
+      const request = await this.privacyService.getRequest(dataExport.requestId);
+      if (!['pending', 'verifying', 'processing'].includes(request.status)) return;
+
+      if (request.status !== 'processing') {
+        await this.privacyService.transitionRequest(request._id, 'processing', SYSTEM_ACTOR, {
+          note: `Export ${dataExport._id} generated`
+        });
+      }
+
+      await this.privacyService.transitionRequest(request._id, 'completed', SYSTEM_ACTOR, {
+        result: {
+          exportId: dataExport._id,
+          sha256: dataExport.sha256,
+          expiresAt: dataExport.expiresAt
+        }
+      });
+    } catch (error) {
+      // The archive is still downloadable; the DPO can close the request by hand
+      this.logger.warn(`Could not complete data request ${dataExport.requestId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * List a user's exports, newest first
+   * @param {string} userId - The user ID
+   * @returns {Promise<Array>} The exports
+   */
+  async listExports(userId) {
+    return DataExport.find({ userId }).sort({ createdAt: -1 }).limit(20);
+  }
+
+  /**
+   * Get one of a user's exports
+   * @param {string} exportId - The export ID
+   * @param {string} userId - The owning user ID
+   * @returns {Promise<Object>} The export
+   */
+  async getExport(exportId, userId) {
+    const dataExport = await DataExport.findOne({ _id: exportId, userId });
+    if (!dataExport) {
+      throw createError('NotFoundError', 'Export not found', 404);
+    }
+    return dataExport;
+  }
+
+  /**
+   * Resolve a completed export to its archive on disk and record the download
+   * @param {string} exportId - The export ID
+   * @param {string} userId - The owning user ID
+   * @returns {Promise<Object>} filePath, fileName and sha256
+   */
+  async getDownload(exportId, userId) {
+    const dataExport = await this.getExport(exportId, userId);
+
+    if (dataExport.status !== 'completed') {
+      throw createError('ConflictError', `Export is ${dataExport.status}`, 409);
+    }
+
+    if (dataExport.expiresAt < new Date()) {
+      throw createError('GoneError', 'Export has expired, please request a new one', 410);
+    }
+
+    try {
+      await fs.promises.access(dataExport.filePath, fs.constants.R_OK);
+    } catch (error) {
+      throw createError('GoneError', 'Export archive is no longer available', 410);
+    }
+
+    dataExport.downloadCount += 1;
+    dataExport.lastDownloadedAt = new Date();
+    await dataExport.save();
+
+    return {
+      filePath: dataExport.filePath,
+      fileName: dataExport.fileName,
+      sha256: dataExport.sha256
+    };
+  }
+
+  /**
+   * Delete archives past their retention window
+   * @returns {Promise<number>} The number of exports expired
+   */
+  async purgeExpiredExports() {
+    try {
+      const expired = await DataExport.find({ status: 'completed', expiresAt: { $lt: new Date() } });
+
+      for (const dataExport of expired) {
+        await fs.promises.rm(dataExport.filePath, { force: true });
+        dataExport.status = 'expired';
+        dataExport.filePath = null;
+        await dataExport.save();
+      }
+
+      if (expired.length > 0) {
+        this.logger.info(`Purged ${expired.length} expired data export(s)`);
+      }
+
+      return expired.length;
+    } catch (error) {
+      this.logger.error('Failed to purge expired data exports:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Shape an export for API responses
+   * @param {Object} dataExport - The export document
+   * @returns {Object} The serialized export
+   */
+  serializeExport(dataExport) {
+    return {
+      id: dataExport._id,
+      requestId: dataExport.requestId || null,
+      status: dataExport.status,
+      fileName: dataExport.fileName || null,
+      size: dataExport.size || null,
+      sha256: dataExport.sha256 || null,
+      files: dataExport.files,
+      error: dataExport.error || null,
+      requestedAt: dataExport.createdAt,
+      completedAt: dataExport.completedAt || null,
+      expiresAt: dataExport.expiresAt || null
+    };
+  }
+}
+
+module.exports = DataExportService;
+module.exports.DataExportService = DataExportService;
+module.exports.createTarball = createTarball;
+module.exports.toCsv = toCsv;
@@ -0,0 +1,273 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const cron = require('node-cron');
+const jwt = require('jsonwebtoken');
+const mustache = require('mustache');
+const winston = require('winston');
+const { createTransport } = require('nodemailer');
+const Subscriber = require('../models/Subscriber');
+const User = require('../models/User');
+
+const TOKEN_PURPOSE = 'subscription_confirm';
+
+const createError = (name, message, status) => {
+  const error = new Error(message);
+  error.name = name;
+  error.status = status;
+  return error;
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Double opt-in for public signups. New subscribers stay pending until they
+ * follow a signed, single-use confirmation link; unconfirmed signups expire.
+ */
+class DoubleOptInService {
+  constructor(options = {}) {
+    this.tokenSecret = options.tokenSecret || process.env.SUBSCRIPTION_TOKEN_SECRET ||
+      process.env.JWT_SECRET || 'test-jwt-secret-key';
+    this.hashSalt = options.hashSalt || process.env.PRIVACY_HASH_SALT || '';
+    this.tokenTtlHours = options.tokenTtlHours || 24;
+    this.resendCooldownMs = options.resendCooldownMs || 60 * 1000;
+    this.maxSends = options.maxSends || 5;
+    this.confirmUrl = options.confirmUrl || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/subscribe/confirm`;
+    this.templatePath = options.templatePath ||
+      path.join(__dirname, '../../../../templates/emails/subscription-confirmation.html');
+    this.transporter = options.transporter || createTransport({
+      host: process.env.SMTP_HOST || 'smtp.gmail.com',
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      }
+    });
+
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+      ),
+      defaultMeta: { service: 'double-opt-in-service' },
+      transports: [
+        new winston.transports.File({ filename: 'logs/double-opt-in-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/double-opt-in.log' })
+      ]
+    });
+
+    this.scheduledTasks = [];
+  }
+
+  /**
+   * Expire unconfirmed signups every hour. Started by the server.
+   */
+  startScheduledTasks() {
+    this.scheduledTasks.push(cron.schedule('0 * * * *', () => {
+      this.expireUnconfirmed().catch(error => this.logger.error('Failed to expire unconfirmed signups:', error));
+    }));
+  }
+
+  stopScheduledTasks() {
+    this.scheduledTasks.forEach(task => task.stop());
+    this.scheduledTasks = [];
+  }
+
+  hashIdentifier(value) {
+    if (!value) return null;
+    return sha256(`${this.hashSalt}${value}`);
+  }
+
+  /**
+   * Start a signup. The outcome is deliberately not reported back, so the
+   * endpoint cannot be used to find out who is on a list.
+   * @param {string} audienceId - The audience owner's user ID
+   * @param {Object} data - email, firstName, lastName, tags and formVersion
+   * @param {Object} context - ipAddress
+   * @returns {Promise<void>}
+   */
+  async signup(audienceId, data, context = {}) {
+    if (!await User.exists({ _id: audienceId })) {
+      throw createError('NotFoundError', 'Audience not found', 404);
+    }
+
+    const now = new Date();
+    const consent = {
+      formVersion: data.formVersion,
+      requestedAt: now,
+      requestIpHash: this.hashIdentifier(context.ipAddress)
+    };
+
+    let subscriber = await Subscriber.findOne({ userId: audienceId, email: data.email });
+
+    if (!subscriber) {
+      const linkedUser = await User.findOne({ email: data.email }).select('_id').lean();
+      subscriber = new Subscriber({
+        userId: audienceId,
+        linkedUserId: linkedUser ? linkedUser._id : undefined,
+        email: data.email,
+        firstName: data.firstName,
+        lastName: data.lastName,
+        tags: data.tags || [],
+        status: 'pending',
+        source: 'signup',
+        subscribedAt: null,
+        consent
+      });
+    } else if (subscriber.status === 'subscribed' || subscriber.status === 'bounced' || subscriber.status === 'complained') {
+      // Already on the list, or an address we must not mail
+      this.logger.info(`Signup for ${subscriber._id} ignored: subscriber is ${subscriber.status}`);
+      return;
+    } else {
+      // Pending or unsubscribed: a fresh signup needs a fresh confirmation
+      subscriber.consent = consent;
+    }
+
+    await this.sendConfirmation(subscriber);
+  }
+
+  /**
+   * Send the confirmation link again, within the cooldown and send limits
+   * @param {string} audienceId - The audience owner's user ID
+   * @param {string} email - The subscriber's email
+   * @returns {Promise<void>}
+   */
+  async resend(audienceId, email) {
+    const subscriber = await Subscriber.findOne({
+      userId: audienceId,
+      email,
+      'confirmation.tokenHash': { $exists: true }
+    });
+
+    if (!subscriber) {
+      return;
+    }
+
+    const { lastSentAt, sendCount } = subscriber.confirmation;
+    if (sendCount >= this.maxSends || (lastSentAt && Date.now() - lastSentAt.getTime() < this.resendCooldownMs)) {
+      this.logger.warn(`Confirmation resend for ${subscriber._id} throttled after ${sendCount} sends`);
+      return;
+    }
+
+    await this.sendConfirmation(subscriber);
+  }
+
+  /**
+   * Issue a new token, replacing any earlier one, and email the link
+   * @param {Object} subscriber - The subscriber document
+   * @returns {Promise<string>} The token
+   */
+  async sendConfirmation(subscriber) {
+    const token = this.issueToken(subscriber);
+    const now = new Date();
+
+    subscriber.confirmation = {
+      tokenHash: sha256(token),
+      expiresAt: new Date(now.getTime() + this.tokenTtlHours * 60 * 60 * 1000),
+      lastSentAt: now,
+      sendCount: ((subscriber.confirmation && subscriber.confirmation.sendCount) || 0) + 1
+    };
+    await subscriber.save();
+
+    const confirmationUrl = `${this.confirmUrl}?token=${encodeURIComponent(token)}`;
+    const template = await fs.readFile(this.templatePath, 'utf8');
+
+    await this.transporter.sendMail({
+      from: {
+        name: 'Piper Newsletter',
+        address: process.env.FROM_EMAIL || 'newsletter@piper.com'
+      },
+      to: subscriber.email,
+      subject: 'Confirm Your Subscription',
+      html: mustache.render(template, { email: subscriber.email, confirmationUrl, newsletterName: 'Piper Newsletter' }),
+      text: `Please confirm your subscription by clicking: ${confirmationUrl}`
+    });
+
+    this.logger.info(`Confirmation ${subscriber.confirmation.sendCount} sent for subscriber ${subscriber._id}`);
+    return token;
+  }
+
+  issueToken(subscriber) {
+    return jwt.sign(
+      { sub: String(subscriber._id), purpose: TOKEN_PURPOSE, nonce: crypto.randomBytes(16).toString('hex') },
+      this.tokenSecret,
+      { expiresIn: `${this.tokenTtlHours}h` }
+    );
+  }
+
+  /**
+   * Confirm a subscription from the emailed token
+   * @param {string} token - The confirmation token
+   * @param {Object} context - ipAddress
+   * @returns {Promise<Object>} The subscriber and whether it was already confirmed
+   */
+  async confirm(token, context = {}) {
+    let payload;
+    try {
+      payload = jwt.verify(token, this.tokenSecret);
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw createError('GoneError', 'This confirmation link has expired. Please sign up again.', 410);
+      }
+      throw createError('ValidationError', 'Invalid confirmation link', 400);
+    }
+
+    if (payload.purpose !== TOKEN_PURPOSE) {
+      throw createError('ValidationError', 'Invalid confirmation link', 400);
+    }
+
+    const subscriber = await Subscriber.findById(payload.sub);
+    if (!subscriber) {
+      throw createError('GoneError', 'This confirmation link has expired. Please sign up again.', 410);
+    }
+
+    const pendingHash = subscriber.confirmation && subscriber.confirmation.tokenHash;
+    if (pendingHash !== sha256(token)) {
+      // Following the same link twice is fine; an older, replaced link is not
+      if (subscriber.status === 'subscribed' && subscriber.consent && subscriber.consent.confirmedAt) {
+        return { subscriber, alreadyConfirmed: true };
+      }
+      throw createError('ValidationError', 'This confirmation link has been replaced by a newer one', 400);
+    }
+
+    const now = new Date();
+    subscriber.status = 'subscribed';
+    subscriber.subscribedAt = now;
+    subscriber.unsubscribedAt = undefined;
+    subscriber.confirmation = undefined;
+    subscriber.consent = {
+      ...(subscriber.consent && subscriber.consent.toObject ? subscriber.consent.toObject() : subscriber.consent),
+      confirmedAt: now,
+      confirmIpHash: this.hashIdentifier(context.ipAddress)
+    };
+    await subscriber.save();
+
+    this.logger.info(`Subscriber ${subscriber._id} confirmed`);
+    return { subscriber, alreadyConfirmed: false };
+  }
+
+  /**
+   * Remove signups that were never confirmed. Former subscribers who signed up
+   * again keep their record and just lose the outstanding confirmation.
+   * @returns {Promise<Object>} Counts of deleted and reset subscribers
+   */
+  async expireUnconfirmed(now = new Date()) {
+    const expired = { 'confirmation.expiresAt': { $lt: now } };
+
+    const [deleted, reset] = await Promise.all([
+      Subscriber.deleteMany({ ...expired, status: 'pending' }),
+      Subscriber.updateMany({ ...expired, status: { $ne: 'pending' } }, { $unset: { confirmation: 1 } })
+    ]);
+
+    if (deleted.deletedCount > 0 || reset.modifiedCount > 0) {
+      this.logger.info(`Expired ${deleted.deletedCount} unconfirmed signups and ${reset.modifiedCount} re-signups`);
+    }
+
+    return { deleted: deleted.deletedCount, reset: reset.modifiedCount };
+  }
+}
+
+module.exports = DoubleOptInService;
@@ -1,15 +1,93 @@
+const crypto = require('crypto');
+const os = require('os');
 const cron = require('node-cron');
+const mongoose = require('mongoose');
 const winston = require('winston');
 const EmailCampaign = require('../models/EmailCampaign');
+const EmailJob = require('../models/EmailJob');
+const Newsletter = require('../models/Newsletter');
+const NewsletterRenderService = require('./NewsletterRenderService');
+const SegmentService = require('./SegmentService');
 const EmailTrackingService = require('./EmailTrackingService');
+const PreferenceCenterService = require('./PreferenceCenterService');
+const BounceService = require('./BounceService');
+const AbTestService = require('./AbTestService');
+const SendTimeService = require('./SendTimeService');
+const { CAMPAIGN_HEADER } = BounceService;
 const MonitoringService = require('./MonitoringService');
 const { createTransport } = require('nodemailer');
 
+// Recipients are throttled per mailbox provider; any other domain is its own group
+const PROVIDER_DOMAINS = {
+  gmail: ['gmail.com', 'googlemail.com'],
+  outlook: ['outlook.com', 'hotmail.com', 'live.com', 'msn.com'],
+  yahoo: ['yahoo.com', 'ymail.com', 'aol.com']
+};
+
+// Sends per minute, per worker
+const DOMAIN_RATE_LIMITS = {
+  gmail: 600,
+  outlook: 300,
+  yahoo: 300,
+  default: 120
+};
+
+// Nodemailer error codes for a server refusing the recipient or message
+const REJECTION_CODES = ['EENVELOPE', 'EMESSAGE'];
+
+const ENQUEUE_CHUNK_SIZE = 1000;
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const throttleGroupFor = (email) => {
+  const domain = normalizeEmail(email).split('@').pop();
+  const provider = Object.keys(PROVIDER_DOMAINS).find(name => PROVIDER_DOMAINS[name].includes(domain));
+  return provider || domain;
+};
+
+/**
+ * Fixed one-minute windows of sends per key: a provider group, or a campaign
+ * with a send rate. Keys without a limit of their own use limits.default.
+ */
+class SendThrottle {
+  constructor(limits = DOMAIN_RATE_LIMITS) {
+    this.limits = limits;
+    this.windows = new Map();
+  }
+
+  limitFor(group) {
+    return this.limits[group] || this.limits.default || Infinity;
+  }
+
+  windowFor(group, now) {
+    const windowStart = Math.floor(now.getTime() / 60000) * 60000;
+    let window = this.windows.get(group);
+    if (!window || window.start !== windowStart) {
+      window = { start: windowStart, count: 0 };
+      this.windows.set(group, window);
+    }
+    return window;
+  }
+
+  hasCapacity(group, now = new Date()) {
+    return this.windowFor(group, now).count < this.limitFor(group);
+  }
+
+  take(group, now = new Date()) {
+    this.windowFor(group, now).count++;
+  }
+
+  exhaustedGroups(now = new Date()) {
+    return [...this.windows.keys()].filter(group => !this.hasCapacity(group, now));
+  }
+}
+
 /**
- * Service for processing email campaigns and managing email queues
+ * Service for processing email campaigns and managing email queues. Nothing
+ * runs until start(); the server starts it and stops it on shutdown.
  */
 class EmailQueueService {
-  constructor() {
+  constructor(options = {}) {
     this.logger = winston.createLogger({
       level: 'info',
       format: winston.format.combine(
@@ -23,13 +101,34 @@ class EmailQueueService {
       ]
     });
 
-    this.monitoringService = new MonitoringService();
+    this.monitoringService = options.monitoringService || new MonitoringService();
+    this.renderService = options.renderService || new NewsletterRenderService();
+    this.segmentService = options.segmentService || new SegmentService();
+    this.trackingService = options.trackingService || new EmailTrackingService();
+    this.preferenceService = options.preferenceService || new PreferenceCenterService();
+    this.bounceService = options.bounceService || new BounceService({ monitoringService: this.monitoringService });
+    this.abTestService = options.abTestService || new AbTestService({ trackingService: this.trackingService });
+    this.sendTimeService = options.sendTimeService || new SendTimeService();
+    // Rendered issue variants per campaign, kept while the campaign is sending
+    this.renderedIssues = new Map();
     this.transporter = null;
     this.isProcessing = false;
+    this.isSendingJobs = false;
     this.currentJob = null;
+
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.throttle = new SendThrottle();
+    // Limits are the campaigns' sendRate, refreshed before every batch
+    this.campaignThrottle = new SendThrottle({});
+    this.jobBatchSize = 50;
+    this.maxAttempts = parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 5;
+    this.retryBaseMs = 60 * 1000;
+    this.retryMaxMs = 6 * 60 * 60 * 1000;
+    // A job locked longer than this belongs to a worker that stopped
+    this.lockMs = 5 * 60 * 1000;
+    this.scheduledTasks = [];
     
     this.initializeTransporter();
-    this.setupScheduledTasks();
   }
 
   /**
@@ -59,29 +158,54 @@ class EmailQueueService {
   }
 
   /**
-   * Setup scheduled tasks for email processing
+   * Start the worker: schedule the email tasks, and pick up campaigns and
+   * jobs that a previous run left unfinished without waiting for the schedule
    */
-  setupScheduledTasks() {
-    // Process email queue every 5 minutes
-    cron.schedule('*/5 * * * *', () => {
-      this.processEmailQueue();
-    });
-
-    // Update campaign statistics every hour
-    cron.schedule('0 * * * *', () => {
-      this.updateCampaignStatistics();
-    });
+  start() {
+    if (this.scheduledTasks.length > 0) {
+      return;
+    }
 
-    // Clean up old campaigns daily at 2 AM
-    cron.schedule('0 2 * * *', () => {
-      this.cleanupOldCampaigns();
-    });
+    this.scheduledTasks = [
+      // Queue scheduled campaigns every 5 minutes
+      cron.schedule('*/5 * * * *', () => {
+        this.processEmailQueue();
+      }),
+
+      // Send due jobs every 10 seconds
+      cron.schedule('*/10 * * * * *', () => {
+        this.processJobs();
+      }),
+
+      // Send A/B test winners once their test window closes
+      cron.schedule('* * * * *', () => {
+        this.abTestService.decideDueTests().catch(error => this.logger.error('Failed to decide A/B tests:', error));
+      }),
+
+      // Update campaign statistics every hour
+      cron.schedule('0 * * * *', () => {
+        this.updateCampaignStatistics();
+      }),
+
+      // Report the rolling 24 hour bounce rate every 15 minutes
+      cron.schedule('*/15 * * * *', () => {
+        this.bounceService.reportBounceRate().catch(error => this.logger.error('Failed to report bounce rate:', error));
+      }),
+
+      // Clean up old campaigns daily at 2 AM
+      cron.schedule('0 2 * * *', () => {
+        this.cleanupOldCampaigns();
+      })
+    ];
 
     this.logger.info('Scheduled email tasks configured');
+
+    return Promise.all([this.processEmailQueue(), this.processJobs()]);
   }
 
   /**
-   * Process email queue - send scheduled campaigns
+   * Process email queue - queue scheduled campaigns, and re-queue any whose
+   * queueing was cut short by a restart
    */
   async processEmailQueue() {
     if (this.isProcessing) {
@@ -94,32 +218,24 @@ class EmailQueueService {
     const startTime = Date.now();
 
     try {
-      // Find campaigns ready to be sent
+      // Recipients are resolved from the segment when each campaign is queued
       const campaigns = await EmailCampaign.find({
-        status: 'scheduled',
-        scheduledDate: { $lte: new Date() },
-        'stats.recipients': { $gt: 0 }
-      }).populate('userId', 'email firstName lastName');
+        $or: [
+          { status: 'scheduled', scheduledDate: { $lte: new Date() } },
+          { status: 'sending', queuedAt: null, sentDate: { $lt: new Date(Date.now() - this.lockMs) } }
+        ]
+      });
 
-      this.logger.info(`Found ${campaigns.length} campaigns ready to send`);
-      
-      // Update email queue size metric
-      this.monitoringService.updateEmailQueueSize(campaigns.length);
+      this.logger.info(`Found ${campaigns.length} campaigns ready to queue`);
 
       for (const campaign of campaigns) {
         try {
           await this.sendCampaign(campaign);
         } catch (error) {
-          this.logger.error(`Failed to send campaign ${campaign._id}:`, error);
+          this.logger.error(`Failed to queue campaign ${campaign._id}:`, error);
           
           // Track error in monitoring
           this.monitoringService.trackSecurityEvent('email_campaign_failed', 'error');
-          
-          // Update campaign status to failed
-          await EmailCampaign.findByIdAndUpdate(campaign._id, {
-            status: 'failed',
-            'stats.error': error.message
-          });
         }
       }
 
@@ -137,77 +253,56 @@ class EmailQueueService {
   }
 
   /**
-   * Send individual campaign
+   * Queue a campaign: one job per recipient. Nothing is sent here; processJobs
+   * works through the jobs, so a crash mid-campaign loses nothing.
    */
   async sendCampaign(campaign) {
-    this.logger.info(`Sending campaign: ${campaign.name} (${campaign._id})`);
-    
     const startTime = Date.now();
-    let sentCount = 0;
-    let failedCount = 0;
+
+    // Only one worker gets to queue a campaign; sentDate changes with every claim
+    const claimed = await EmailCampaign.findOneAndUpdate(
+      { _id: campaign._id, status: campaign.status, sentDate: campaign.sentDate || null, queuedAt: null },
+      { status: 'sending', sentDate: new Date(), 'stats.sentAt': new Date() },
+      { new: true }
+    );
+    if (!claimed) {
+      this.logger.info(`Campaign ${campaign._id} is already being queued, skipping`);
+      return;
+    }
+
+    this.logger.info(`Queueing campaign: ${claimed.name} (${claimed._id})`);
 
     try {
-      // Update campaign status to sending
-      await EmailCampaign.findByIdAndUpdate(campaign._id, {
-        status: 'sending',
-        'stats.sentAt': new Date()
+      const recipients = await this.segmentService.resolveCampaignRecipients(claimed);
+      await EmailCampaign.findByIdAndUpdate(claimed._id, {
+        recipients,
+        'stats.totalRecipients': recipients.length
       });
 
-      // Process recipients in batches
-      const batchSize = 50;
-      const recipients = campaign.recipients;
-      
-      for (let i = 0; i < recipients.length; i += batchSize) {
-        const batch = recipients.slice(i, i + batchSize);
-        
-        // Send batch of emails
-        const batchResults = await this.sendBatchEmails(campaign, batch);
-        sentCount += batchResults.sent;
-        failedCount += batchResults.failed;
-        
-        // Update progress
-        const progress = Math.round(((i + batch.length) / recipients.length) * 100);
-        await EmailCampaign.findByIdAndUpdate(campaign._id, {
-          'stats.progress': progress
+      const queued = await this.enqueueRecipients(claimed, recipients);
+      const queuedAt = new Date();
+      const update = { queuedAt };
+      if (this.isAbTest(claimed)) {
+        Object.assign(update, {
+          'abTest.status': 'testing',
+          'abTest.testStartedAt': queuedAt,
+          'abTest.decideAt': new Date(queuedAt.getTime() + claimed.abTest.waitHours * 60 * 60 * 1000)
         });
-        
-        this.logger.info(`Campaign ${campaign._id} progress: ${progress}%`);
-        
-        // Small delay between batches to avoid rate limiting
-        await this.delay(1000);
       }
+      await EmailCampaign.findByIdAndUpdate(claimed._id, update);
 
       const duration = Date.now() - startTime;
-      
-      // Update campaign status and statistics
-      await EmailCampaign.findByIdAndUpdate(campaign._id, {
-        status: 'sent',
-        'stats.sent': sentCount,
-        'stats.failed': failedCount,
-        'stats.duration': duration,
-        'stats.progress': 100
-      });
-
-      this.logger.info(`Campaign ${campaign._id} completed: ${sentCount} sent, ${failedCount} failed in ${duration}ms`);
-      
-      // Track newsletter metrics
-      this.monitoringService.incrementNewsletterSent(campaign.template || 'default', 'sent');
-      this.monitoringService.trackApiPerformance(`/email/campaign/${campaign._id}/send`, 'POST', duration);
-      
-      // Track error rate if there are failures
-      if (failedCount > 0) {
-        const errorRate = (failedCount / (sentCount + failedCount)) * 100;
-        this.monitoringService.updateErrorRate('email_send', errorRate);
-      }
+      this.logger.info(`Campaign ${claimed._id} queued: ${queued} new jobs for ${recipients.length} recipients in ${duration}ms`);
+      this.monitoringService.trackApiPerformance(`/email/campaign/${claimed._id}/send`, 'POST', duration);
     } catch (error) {
-      this.logger.error(`Error sending campaign ${campaign._id}:`, error);
+      this.logger.error(`Error queueing campaign ${claimed._id}:`, error);
       
       // Track error in monitoring
       this.monitoringService.trackSecurityEvent('email_campaign_send_failed', 'error');
       this.monitoringService.updateErrorRate('email_campaign', 100);
       
       // Update campaign status to failed
-      await EmailCampaign.findByIdAndUpdate(campaign._id, {
+      await EmailCampaign.findByIdAndUpdate(claimed._id, {
         status: 'failed',
         'stats.error': error.message
       });
@@ -216,48 +311,373 @@ class EmailQueueService {
     }
   }
 
+  isAbTest(campaign) {
+    return Boolean(campaign.abTest && campaign.abTest.enabled && campaign.abTest.status === 'pending');
+  }
+
+  /**
+   * Create a queued job per recipient. Jobs are keyed by campaign and address,
+   * so queueing the same campaign again only adds recipients that are missing.
+   * In an A/B test, recipients outside the test slice are held for the winner.
+   * With send-time optimisation, each job is due at the recipient's best hour.
+   * @returns {Promise<number>} Number of jobs created
+   */
+  async enqueueRecipients(campaign, recipients) {
+    const now = new Date();
+    const abVariants = this.isAbTest(campaign) ? this.abTestService.assignVariants(campaign, recipients) : null;
+    const sendTimes = campaign.optimizeSendTime ? await this.sendTimeService.scheduleRecipients(recipients, now) : null;
+    const operations = recipients.map(recipient => {
+      const email = normalizeEmail(recipient.email);
+      const idempotencyKey = `${campaign._id}:${email}`;
+      const abVariant = abVariants ? abVariants.get(email) : null;
+      return {
+        updateOne: {
+          filter: { idempotencyKey },
+          update: {
+            $setOnInsert: {
+              campaignId: campaign._id,
+              idempotencyKey,
+              recipient: {
+                email,
+                subscriberId: recipient.subscriberId,
+                firstName: recipient.firstName,
+                lastName: recipient.lastName,
+                variant: recipient.variant || 'standard'
+              },
+              ...(abVariant && { abVariant }),
+              throttleGroup: throttleGroupFor(email),
+              status: abVariants && !abVariant ? 'held' : 'queued',
+              attempts: 0,
+              maxAttempts: this.maxAttempts,
+              nextAttemptAt: (sendTimes && sendTimes.get(email)) || now
+            }
+          },
+          upsert: true
+        }
+      };
+    });
+
+    let created = 0;
+    for (let i = 0; i < operations.length; i += ENQUEUE_CHUNK_SIZE) {
+      const result = await EmailJob.bulkWrite(operations.slice(i, i + ENQUEUE_CHUNK_SIZE), { ordered: false });
+      created += result.upsertedCount;
+    }
+    return created;
+  }
+
+  /**
+   * Work through due jobs until the queue is empty or every due job's
+   * provider is throttled, then close out finished campaigns
+   */
+  async processJobs() {
+    if (this.isSendingJobs) {
+      return;
+    }
+
+    this.isSendingJobs = true;
+    const startTime = Date.now();
+    let processed = 0;
+
+    try {
+      await this.recoverStaleJobs();
+
+      let jobs;
+      do {
+        jobs = await this.claimJobs();
+        if (jobs.length > 0) {
+          await this.sendJobs(jobs);
+          processed += jobs.length;
+        }
+      } while (jobs.length === this.jobBatchSize);
+
+      await this.completeCampaigns();
+      this.monitoringService.updateEmailQueueSize(await EmailJob.countDocuments({ status: 'queued' }));
+
+      if (processed > 0) {
+        this.monitoringService.trackApiPerformance('/email/jobs/process', 'POST', Date.now() - startTime);
+      }
+    } catch (error) {
+      this.logger.error('Error processing email jobs:', error);
+      this.monitoringService.trackSecurityEvent('email_queue_error', 'error');
+    } finally {
+      this.isSendingJobs = false;
+    }
+  }
+
+  /**
+   * Lock a batch of due jobs for this worker, respecting per-provider limits
+   * @returns {Promise<Array>} Claimed jobs
+   */
+  async claimJobs() {
+    const now = new Date();
+    // Read every batch, so pausing or changing a campaign's rate applies within seconds
+    const campaigns = await EmailCampaign.find({ status: 'sending' }).select('_id sendRate').lean();
+    this.campaignThrottle.limits = campaigns.reduce((limits, campaign) => {
+      if (campaign.sendRate) {
+        limits[String(campaign._id)] = campaign.sendRate;
+      }
+      return limits;
+    }, {});
+
+    const campaignIds = campaigns
+      .map(campaign => String(campaign._id))
+      .filter(campaignId => this.campaignThrottle.hasCapacity(campaignId, now));
+    if (campaignIds.length === 0) {
+      return [];
+    }
+
+    const candidates = await EmailJob.find({
+      campaignId: { $in: campaignIds },
+      status: 'queued',
+      nextAttemptAt: { $lte: now },
+      throttleGroup: { $nin: this.throttle.exhaustedGroups(now) }
+    })
+      .sort({ nextAttemptAt: 1 })
+      .limit(this.jobBatchSize)
+      .select('_id campaignId throttleGroup')
+      .lean();
+
+    const claimed = [];
+    for (const candidate of candidates) {
+      const campaignId = String(candidate.campaignId);
+      if (!this.throttle.hasCapacity(candidate.throttleGroup, now) || !this.campaignThrottle.hasCapacity(campaignId, now)) {
+        continue;
+      }
+
+      const job = await EmailJob.findOneAndUpdate(
+        { _id: candidate._id, status: 'queued' },
+        {
+          $set: { status: 'sending', lockedBy: this.workerId, lockedUntil: new Date(now.getTime() + this.lockMs) },
+          $inc: { attempts: 1 }
+        },
+        { new: true }
+      );
+
+      // Another worker may have taken it first
+      if (job) {
+        this.throttle.take(candidate.throttleGroup, now);
+        this.campaignThrottle.take(campaignId, now);
+        claimed.push(job);
+      }
+    }
+
+    return claimed;
+  }
+
   /**
-   * Send batch of emails
+   * Send claimed jobs, skipping anyone on the suppression list
    */
-  async sendBatchEmails(campaign, recipients) {
-    let sent = 0;
-    let failed = 0;
-
-    const emailPromises = recipients.map(async (recipient) => {
-      try {
-        await this.sendIndividualEmail(campaign, recipient);
-        sent++;
-        return { success: true };
-      } catch (error) {
-        failed++;
-        this.logger.error(`Failed to send email to ${recipient.email}:`, error);
-        return { success: false, error: error.message };
+  async sendJobs(jobs) {
+    const campaigns = new Map();
+    for (const campaignId of new Set(jobs.map(job => String(job.campaignId)))) {
+      campaigns.set(campaignId, await EmailCampaign.findById(campaignId).lean());
+    }
+
+    const suppressed = await this.bounceService.suppressedEmails(jobs.map(job => job.recipient.email));
+    if (suppressed.size > 0) {
+      await this.markSuppressed(jobs.filter(job => suppressed.has(job.recipient.email)));
+    }
+
+    await Promise.allSettled(jobs
+      .filter(job => !suppressed.has(job.recipient.email))
+      .map(job => this.sendJob(campaigns.get(String(job.campaignId)), job)));
+  }
+
+  async markSuppressed(jobs) {
+    await EmailJob.updateMany(
+      { _id: { $in: jobs.map(job => job._id) } },
+      { $set: { status: 'suppressed', completedAt: new Date() }, $unset: { lockedBy: '', lockedUntil: '' } }
+    );
+
+    for (const campaignId of new Set(jobs.map(job => String(job.campaignId)))) {
+      const emails = jobs.filter(job => String(job.campaignId) === campaignId).map(job => job.recipient.email);
+      await EmailCampaign.updateOne(
+        { _id: campaignId },
+        { $set: { 'recipients.$[recipient].status': 'suppressed' } },
+        { arrayFilters: [{ 'recipient.email': { $in: emails } }] }
+      );
+    }
+    this.logger.info(`Skipped ${jobs.length} suppressed recipients`);
+  }
+
+  async sendJob(campaign, job) {
+    if (!campaign) {
+      await this.finishJob(job, 'cancelled', { lastError: { message: 'Campaign no longer exists' } });
+      return;
+    }
+
+    try {
+      const info = await this.sendIndividualEmail(campaign, job.recipient, job);
+      await this.finishJob(job, 'sent', { sentAt: new Date(), messageId: info && info.messageId });
+    } catch (error) {
+      await this.failJob(campaign, job, error);
+    }
+  }
+
+  async finishJob(job, status, fields = {}) {
+    await EmailJob.updateOne(
+      { _id: job._id },
+      { $set: { status, completedAt: new Date(), ...fields }, $unset: { lockedBy: '', lockedUntil: '' } }
+    );
+  }
+
+  /**
+   * Retry with exponential backoff, unless the server refused the recipient
+   * outright or the job is out of attempts
+   */
+  async failJob(campaign, job, error) {
+    const lastError = { code: error.code, responseCode: error.responseCode, message: String(error.message).slice(0, 1000) };
+    const isRejection = REJECTION_CODES.includes(error.code) && error.responseCode >= 400;
+    const permanent = isRejection && error.responseCode >= 500;
+
+    if (!permanent && job.attempts < job.maxAttempts) {
+      const nextAttemptAt = new Date(Date.now() + this.retryDelay(job.attempts));
+      await EmailJob.updateOne(
+        { _id: job._id },
+        { $set: { status: 'queued', nextAttemptAt, lastError }, $unset: { lockedBy: '', lockedUntil: '' } }
+      );
+      this.logger.warn(`Send to ${job.recipient.email} failed (attempt ${job.attempts} of ${job.maxAttempts}), retrying at ${nextAttemptAt.toISOString()}`);
+      return;
+    }
+
+    await this.finishJob(job, 'failed', { lastError });
+    if (isRejection) {
+      await this.recordRejection(campaign, job.recipient, error);
+    }
+  }
+
+  /**
+   * Delay before the next attempt: doubles each time, with jitter so retries
+   * from one outage do not all land together
+   */
+  retryDelay(attempts) {
+    const delay = Math.min(this.retryBaseMs * 2 ** (attempts - 1), this.retryMaxMs);
+    return Math.round(delay * (0.9 + Math.random() * 0.2));
+  }
+
+  /**
+   * Put jobs locked by a worker that died back in the queue
+   */
+  async recoverStaleJobs() {
+    const result = await EmailJob.updateMany(
+      { status: 'sending', lockedUntil: { $lt: new Date() } },
+      { $set: { status: 'queued', nextAttemptAt: new Date() }, $unset: { lockedBy: '', lockedUntil: '' } }
+    );
+
+    if (result.modifiedCount > 0) {
+      this.logger.warn(`Recovered ${result.modifiedCount} email jobs from a stopped worker`);
+    }
+  }
+
+  /**
+   * Mark fully queued campaigns with no jobs left as sent
+   */
+  async completeCampaigns() {
+    const campaigns = await EmailCampaign.find({ status: 'sending', queuedAt: { $ne: null } }).select('_id template').lean();
+
+    for (const campaign of campaigns) {
+      const stats = await this.refreshCampaignStats(campaign._id);
+      if (stats.queued + stats.held + stats.sending > 0) {
+        continue;
       }
+
+      await EmailCampaign.updateOne({ _id: campaign._id, status: 'sending' }, { status: 'sent', completedDate: new Date() });
+      this.renderedIssues.delete(String(campaign._id));
+      this.logger.info(`Campaign ${campaign._id} completed: ${stats.sent} sent, ${stats.failed} failed, ${stats.suppressed} suppressed`);
+
+      // Track newsletter metrics
+      this.monitoringService.incrementNewsletterSent(campaign.template || 'default', 'sent');
+      
+      // Track error rate if there are failures
+      if (stats.failed > 0) {
+        const errorRate = (stats.failed / (stats.sent + stats.failed)) * 100;
+        this.monitoringService.updateErrorRate('email_send', errorRate);
+      }
+    }
+  }
+
+  /**
+   * Derive a campaign's send stats from its job states
+   * @returns {Promise<Object>} Job counts by status
+   */
+  async refreshCampaignStats(campaignId) {
+    const byStatus = await EmailJob.aggregate([
+      { $match: { campaignId: new mongoose.Types.ObjectId(String(campaignId)) } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    const counts = { queued: 0, held: 0, sending: 0, sent: 0, failed: 0, suppressed: 0, cancelled: 0 };
+    byStatus.forEach(({ _id, count }) => {
+      counts[_id] = count;
+    });
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    const remaining = counts.queued + counts.held + counts.sending;
+
+    await EmailCampaign.findByIdAndUpdate(campaignId, {
+      'stats.totalRecipients': total,
+      'stats.sent': counts.sent,
+      'stats.failed': counts.failed,
+      'stats.suppressed': counts.suppressed,
+      'stats.progress': total > 0 ? Math.round(((total - remaining) / total) * 100) : 100
     });
 
-    await Promise.allSettled(emailPromises);
-    
-    return { sent, failed };
+    return counts;
+  }
+
+  /**
+   * Record a recipient the SMTP server refused outright as a bounce.
+   * Connection and authentication failures are not about the recipient.
+   */
+  async recordRejection(campaign, recipient, error) {
+    try {
+      const { type, statusCode } = this.bounceService.classify({ smtpCode: error.responseCode, diagnostic: error.response });
+      await this.bounceService.recordBounce({
+        email: recipient.email,
+        subscriberId: recipient.subscriberId,
+        campaignId: campaign._id,
+        type,
+        statusCode,
+        diagnostic: error.response,
+        source: 'smtp'
+      });
+    } catch (bounceError) {
+      this.logger.error(`Failed to record bounce for ${recipient.email}:`, bounceError);
+    }
   }
 
   /**
    * Send individual email
    */
-  async sendIndividualEmail(campaign, recipient) {
+  async sendIndividualEmail(campaign, recipient, job = null) {
     const startTime = Date.now();
     
     try {
-      // Generate tracking URLs
-      const trackingPixelUrl = EmailTrackingService.generateTrackingPixelUrl(campaign._id, recipient.email);
-      const unsubscribeUrl = EmailTrackingService.generateUnsubscribeUrl(campaign._id, recipient.email);
-      
-      // Replace placeholders in email content
-      let emailContent = campaign.content;
+      // Generate tracking URLs and the recipient's signed unsubscribe and preference links.
+      // Test slice emails are tracked per variant, so the variants can be compared.
+      const campaignId = String(campaign._id);
+      const abVariant = this.abVariantFor(campaign, job);
+      const emailId = job && job.abVariant ? `${campaignId}-${job.abVariant}` : campaignId;
+      const subscriberId = recipient.subscriberId || recipient.email;
+      const trackingPixelUrl = this.trackingService.generateTrackingPixelUrl(emailId, subscriberId, campaignId);
+      const preferenceToken = this.preferenceService.createToken(campaign, recipient.email);
+      const unsubscribeUrl = this.preferenceService.unsubscribeUrl(preferenceToken);
+      const preferencesUrl = this.preferenceService.preferencesUrl(preferenceToken);
       
-      // Personalization
-      emailContent = emailContent.replace(/\{\{firstName\}\}/g, recipient.firstName || '');
-      emailContent = emailContent.replace(/\{\{lastName\}\}/g, recipient.lastName || '');
-      emailContent = emailContent.replace(/\{\{email\}\}/g, recipient.email || '');
+      // Render the variant the recipient chose, then personalise it
+      const rendered = await this.renderForRecipient(campaign, recipient, abVariant);
+      const html = campaign.tracking && campaign.tracking.trackClicks === false
+        ? rendered.html
+        : await this.trackLinks(rendered.html, emailId, subscriberId, campaignId);
+      const personalize = (content) => content
+        .replace(/\{\{firstName\}\}/g, recipient.firstName || '')
+        .replace(/\{\{lastName\}\}/g, recipient.lastName || '')
+        .replace(/\{\{email\}\}/g, recipient.email || '')
+        .replace(/\{\{preferencesUrl\}\}/g, preferencesUrl);
+
+      let emailContent = personalize(html);
+      const textContent = rendered.text
+        ? personalize(rendered.text).replace(/\{\{unsubscribeUrl\}\}/g, unsubscribeUrl)
+        : undefined;
       
       // Add tracking pixel
       const trackingPixel = `<img src="${trackingPixelUrl}" width="1" height="1" border="0" style="display:block;width:1px;height:1px;border:0;" alt="" />`;
@@ -277,20 +697,29 @@ class EmailQueueService {
           address: campaign.fromEmail || process.env.FROM_EMAIL || 'newsletter@piper.com'
         },
         to: recipient.email,
-        subject: campaign.subject,
+        subject: (abVariant && abVariant.subject) || campaign.subject,
+        // The same job always sends the same Message-ID, so a retry after a crash can be deduplicated
+        messageId: job ? this.messageIdFor(job, campaign) : undefined,
         html: emailContent,
-        replyTo: campaign.replyTo || process.env.REPLY_TO_EMAIL
+        text: textContent,
+        replyTo: campaign.replyTo || process.env.REPLY_TO_EMAIL,
+        // Required by Gmail and Yahoo for bulk senders
+        headers: {
+          ...this.preferenceService.listUnsubscribeHeaders(preferenceToken),
+          // Returned in bounce notifications so they can be matched to the campaign
+          [CAMPAIGN_HEADER]: campaignId
+        }
       };
 
       // Send email
-      await this.transporter.sendMail(mailOptions);
+      const info = await this.transporter.sendMail(mailOptions);
       
       const duration = Date.now() - startTime;
       this.logger.info(`Email sent to ${recipient.email} for campaign ${campaign._id}`);
       
       // Track successful email send
       this.monitoringService.trackApiPerformance('/email/individual/send', 'POST', duration);
-      
+      return info;
     } catch (error) {
       const duration = Date.now() - startTime;
       this.logger.error(`Failed to send email to ${recipient.email} for campaign ${campaign._id}:`, error);
@@ -303,6 +732,66 @@ class EmailQueueService {
     }
   }
 
+  messageIdFor(job, campaign) {
+    const fromAddress = campaign.fromEmail || process.env.FROM_EMAIL || 'newsletter@piper.com';
+    const hash = crypto.createHash('sha256').update(job.idempotencyKey).digest('hex').slice(0, 32);
+    return `<${hash}@${fromAddress.split('@').pop()}>`;
+  }
+
+  /**
+   * The A/B test variant a job sends: its own in the test slice, the winner
+   * for recipients who were held back
+   */
+  abVariantFor(campaign, job) {
+    const abTest = campaign.abTest;
+    if (!abTest || !abTest.enabled || !job) {
+      return null;
+    }
+    const key = job.abVariant || (abTest.status === 'winner_selected' ? abTest.winnerKey : null);
+    return (abTest.variants || []).find(variant => variant.key === key) || null;
+  }
+
+  /**
+   * Point the body's links at the click tracker. Each target is registered
+   * for the campaign, and click redirects only go to registered targets.
+   * Links with personalisation placeholders differ per recipient and are left alone.
+   */
+  async trackLinks(html, emailId, subscriberId, campaignId) {
+    const linkPattern = /href="(https?:\/\/(?:(?!\{\{)[^"])+)"/gi;
+    const target = (url) => url.replace(/&amp;/g, '&');
+    const urls = [...new Set([...html.matchAll(linkPattern)].map(([, url]) => target(url)))];
+    if (urls.length === 0) {
+      return html;
+    }
+
+    const linkIds = await this.trackingService.registerLinks(campaignId, urls);
+    return html.replace(linkPattern, (match, url) =>
+      `href="${this.trackingService.generateTrackingLink(emailId, subscriberId, campaignId, linkIds.get(target(url)))}"`);
+  }
+
+  /**
+   * Render the campaign body for a recipient. Campaigns for a newsletter issue
+   * are rendered once per variant and shared by every recipient of that variant.
+   */
+  async renderForRecipient(campaign, recipient, abVariant = null) {
+    if (!campaign.newsletterId) {
+      return { html: (abVariant && abVariant.content) || campaign.content, text: null };
+    }
+
+    const campaignId = String(campaign._id);
+    if (!this.renderedIssues.has(campaignId)) {
+      this.renderedIssues.set(campaignId, Newsletter.findById(campaign.newsletterId).lean().then(issue => {
+        if (!issue) {
+          throw new Error(`Newsletter ${campaign.newsletterId} not found`);
+        }
+        return this.renderService.renderAll(issue);
+      }));
+    }
+
+    const variants = await this.renderedIssues.get(campaignId);
+    return variants[this.renderService.resolveVariant(recipient.variant)];
+  }
+
   /**
    * Update campaign statistics
    */
@@ -410,6 +899,8 @@ class EmailQueueService {
   getQueueStatus() {
     return {
       isProcessing: this.isProcessing,
+      isSendingJobs: this.isSendingJobs,
+      workerId: this.workerId,
       currentJob: this.currentJob,
       timestamp: new Date()
     };
@@ -427,6 +918,9 @@ class EmailQueueService {
    */
   async stop() {
     this.logger.info('Stopping EmailQueueService...');
+
+    this.scheduledTasks.forEach(task => task.stop());
+    this.scheduledTasks = [];
     
     if (this.transporter) {
       await this.transporter.close();
@@ -436,4 +930,6 @@ class EmailQueueService {
   }
 }
 
-module.exports = new EmailQueueService();
\ No newline at end of file
+module.exports = EmailQueueService;
+module.exports.SendThrottle = SendThrottle;
+module.exports.throttleGroupFor = throttleGroupFor;
\ No newline at end of file
@@ -17,7 +17,7 @@ class EmailService {
                 pass: options.pass || process.env.SMTP_PASS
             },
             from: options.from || process.env.SMTP_FROM || 'noreply@pipernewsletter.com',
-            templatesDir: options.templatesDir || path.join(__dirname, '../templates/emails'),
+            templatesDir: options.templatesDir || path.join(__dirname, '../../../../templates/emails'),
             batchSize: options.batchSize || 100,
             retryAttempts: options.retryAttempts || 3,
             retryDelay: options.retryDelay || 5000,
@@ -213,6 +213,33 @@ class EmailService {
         }
     }
 
+    /**
+     * Send account email verification email
+     */
+    async sendEmailVerificationEmail(email, verificationData) {
+        try {
+            const template = await this.loadTemplate('email-verification');
+            const html = this.renderTemplate(template, {
+                email,
+                firstName: verificationData.firstName || 'there',
+                verificationUrl: verificationData.verificationUrl,
+                expiryHours: verificationData.expiryHours || 24,
+                ...verificationData
+            });
+
+            return await this.sendEmail({
+                to: email,
+                subject: 'Verify Your Email Address',
+                html,
+                text: `Verify your email address by clicking: ${verificationData.verificationUrl}`,
+                subscriberId: verificationData.userId
+            });
+        } catch (error) {
+            console.error(`Failed to send email verification email to ${email}:`, error);
+            throw error;
+        }
+    }
+
     /**
      * Send subscription confirmation email
      */
@@ -1,9 +1,52 @@
-const { EmailOpen, EmailClick, EmailUnsubscribe, SpamComplaint } = require('../models/EmailTracking');
+const { EmailOpen, EmailClick, EmailUnsubscribe, SpamComplaint, TrackedLink } = require('../models/EmailTracking');
 const crypto = require('crypto');
 const winston = require('winston');
+const MachineEventClassifier = require('./MachineEventClassifier');
+
+// Tracking IDs are "<version>.<key id>.<payload>.<signature>"
+const TOKEN_VERSION = 'v1';
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+// Registered links remembered per worker before the cache starts over
+const LINK_CACHE_SIZE = 10000;
+
+const createError = (name, message, status) => {
+  const error = new Error(message);
+  error.name = name;
+  error.status = status;
+  return error;
+};
+
+/**
+ * Signing keys from TRACKING_TOKEN_KEYS, "id:secret,id:secret". The first key
+ * signs new tracking IDs; the rest are only accepted, so a key can be retired
+ * once the emails it signed are old enough not to matter.
+ * @returns {Array<{id: string, secret: string}>|null}
+ */
+const parseKeys = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  return value.split(',').map(entry => {
+    const separator = entry.indexOf(':');
+    const id = entry.slice(0, separator).trim();
+    const secret = entry.slice(separator + 1).trim();
+    if (separator < 1 || !KEY_ID_PATTERN.test(id) || !secret) {
+      throw new Error('TRACKING_TOKEN_KEYS must be a comma-separated list of id:secret pairs');
+    }
+    return { id, secret };
+  });
+};
 
 class EmailTrackingService {
-  constructor() {
+  constructor(options = {}) {
+    this.keys = options.keys || parseKeys(process.env.TRACKING_TOKEN_KEYS) ||
+      [{ id: 'default', secret: process.env.JWT_SECRET || 'test-jwt-secret-key' }];
+    this.baseUrl = options.baseUrl || process.env.API_URL || 'http://localhost:5000';
+    // campaignId:linkId pairs already stored by this worker
+    this.registeredLinks = new Set();
+    this.classifier = options.classifier || new MachineEventClassifier();
+
     this.logger = winston.createLogger({
       level: 'info',
       format: winston.format.combine(
@@ -23,7 +66,8 @@ class EmailTrackingService {
   }
 
   /**
-   * Track email open event
+   * Track email open event. Machine opens are stored but flagged; a person's
+   * open is still recorded after a machine one.
    * @param {string} emailId - The email ID
    * @param {string} subscriberId - The subscriber ID
    * @param {string} campaignId - The campaign ID
@@ -33,10 +77,15 @@ class EmailTrackingService {
    */
   async trackEmailOpen(emailId, subscriberId, campaignId, ipAddress, userAgent) {
     try {
+      const { isMachine, reasons } = await this.classifier.classify({
+        type: 'open', emailId, subscriberId, campaignId, ipAddress, userAgent
+      });
+
       // Check if this open was already tracked (prevent duplicates)
       const existingOpen = await EmailOpen.findOne({
         email_id: emailId,
-        subscriber_id: subscriberId
+        subscriber_id: subscriberId,
+        is_machine: isMachine ? true : { $ne: true }
       });
 
       if (existingOpen) {
@@ -52,12 +101,14 @@ class EmailTrackingService {
         campaign_id: campaignId,
         ip_address: ipAddress,
         user_agent: userAgent,
-        device_type: deviceType
+        device_type: deviceType,
+        is_machine: isMachine,
+        machine_reasons: isMachine ? reasons : undefined
       });
 
       await emailOpen.save();
 
-      this.logger.info(`Email open tracked: email ${emailId}, subscriber ${subscriberId}, campaign ${campaignId}`);
+      this.logger.info(`Email ${isMachine ? `machine open (${reasons.join(', ')})` : 'open'} tracked: email ${emailId}, subscriber ${subscriberId}, campaign ${campaignId}`);
       return emailOpen;
     } catch (error) {
       this.logger.error('Error tracking email open:', error);
@@ -79,6 +130,10 @@ class EmailTrackingService {
    */
   async trackEmailClick(emailId, subscriberId, campaignId, linkUrl, linkId, ipAddress, userAgent, utmParams = {}) {
     try {
+      const clickedAt = new Date();
+      const { isMachine, reasons } = await this.classifier.classify({
+        type: 'click', emailId, subscriberId, campaignId, linkId, ipAddress, userAgent, occurredAt: clickedAt
+      });
       const deviceType = this.detectDeviceType(userAgent);
 
       const emailClick = new EmailClick({
@@ -92,12 +147,20 @@ class EmailTrackingService {
         device_type: deviceType,
         utm_source: utmParams.source || null,
         utm_medium: utmParams.medium || null,
-        utm_campaign: utmParams.campaign || null
+        utm_campaign: utmParams.campaign || null,
+        is_machine: isMachine,
+        machine_reasons: isMachine ? reasons : undefined,
+        clicked_at: clickedAt
       });
 
       await emailClick.save();
 
-      this.logger.info(`Email click tracked: email ${emailId}, subscriber ${subscriberId}, link ${linkUrl}`);
+      // A scanner following every link: the earlier clicks were not a person either
+      if (reasons.includes(MachineEventClassifier.REASONS.CLICK_BURST)) {
+        await this.classifier.flagClickBurst({ emailId, subscriberId }, clickedAt);
+      }
+
+      this.logger.info(`Email ${isMachine ? `machine click (${reasons.join(', ')})` : 'click'} tracked: email ${emailId}, subscriber ${subscriberId}, link ${linkUrl}`);
       return emailClick;
     } catch (error) {
       this.logger.error('Error tracking email click:', error);
@@ -173,72 +236,128 @@ class EmailTrackingService {
    * @returns {string} The tracking pixel URL
    */
   generateTrackingPixelUrl(emailId, subscriberId, campaignId) {
-    const baseUrl = process.env.API_URL || 'http://localhost:5000';
     const trackingId = this.generateTrackingId(emailId, subscriberId, campaignId);
-    return `${baseUrl}/api/email/track/open/${trackingId}`;
+    return `${this.baseUrl}/api/email-tracking/track/open/${trackingId}`;
   }
 
   /**
-   * Generate tracking link
-   * @param {string} originalUrl - The original URL
+   * Generate tracking link. The link must be registered for the campaign
+   * first (see registerLinks); the redirect target is looked up, not carried.
    * @param {string} emailId - The email ID
    * @param {string} subscriberId - The subscriber ID
    * @param {string} campaignId - The campaign ID
-   * @param {string} linkId - The link ID
+   * @param {string} linkId - The registered link ID
    * @returns {string} The tracking link URL
    */
-  generateTrackingLink(originalUrl, emailId, subscriberId, campaignId, linkId) {
-    const baseUrl = process.env.API_URL || 'http://localhost:5000';
+  generateTrackingLink(emailId, subscriberId, campaignId, linkId) {
     const trackingId = this.generateTrackingId(emailId, subscriberId, campaignId, linkId);
-    const encodedUrl = Buffer.from(originalUrl).toString('base64');
-    return `${baseUrl}/api/email/track/click/${trackingId}?url=${encodedUrl}`;
+    return `${this.baseUrl}/api/email-tracking/track/click/${trackingId}`;
+  }
+
+  /**
+   * Record the links a campaign's emails point to, so clicks can redirect to them
+   * @param {string} campaignId - The campaign ID
+   * @param {Array<string>} urls - Absolute http(s) URLs
+   * @returns {Promise<Map<string, string>>} Link ID per URL
+   */
+  async registerLinks(campaignId, urls) {
+    const linkIds = new Map(urls.map(url => [url, this.linkIdFor(url)]));
+    const missing = [...linkIds].filter(([, linkId]) => !this.registeredLinks.has(`${campaignId}:${linkId}`));
+
+    if (missing.length > 0) {
+      await TrackedLink.bulkWrite(missing.map(([url, linkId]) => ({
+        updateOne: {
+          filter: { campaign_id: String(campaignId), link_id: linkId },
+          update: { $setOnInsert: { campaign_id: String(campaignId), link_id: linkId, url } },
+          upsert: true
+        }
+      })), { ordered: false });
+
+      if (this.registeredLinks.size > LINK_CACHE_SIZE) {
+        this.registeredLinks.clear();
+      }
+      missing.forEach(([, linkId]) => this.registeredLinks.add(`${campaignId}:${linkId}`));
+    }
+
+    return linkIds;
+  }
+
+  linkIdFor(url) {
+    return crypto.createHash('sha256').update(url).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * @returns {Promise<string|null>} Where a campaign's link redirects, or null if it was never registered
+   */
+  async resolveLink(campaignId, linkId) {
+    const link = await TrackedLink.findOne({ campaign_id: String(campaignId), link_id: linkId }).lean();
+    return link ? link.url : null;
+  }
+
+  sign(secret, data) {
+    return crypto.createHmac('sha256', secret).update(data).digest('base64url');
   }
 
   /**
-   * Parse tracking ID to extract tracking data
+   * Check a tracking ID's signature and decode it
    * @param {string} trackingId - The tracking ID
    * @returns {Object} The parsed tracking data
    */
   parseTrackingId(trackingId) {
-    try {
-      const decoded = Buffer.from(trackingId, 'base64').toString('utf-8');
-      const parts = decoded.split('|');
-      
-      if (parts.length < 3) {
-        throw new Error('Invalid tracking ID format');
-      }
+    const invalid = createError('ValidationError', 'Invalid tracking ID', 400);
+    const [version, keyId, payload, signature] = String(trackingId || '').split('.');
+    const key = this.keys.find(candidate => candidate.id === keyId);
 
-      return {
-        emailId: parts[0],
-        subscriberId: parts[1],
-        campaignId: parts[2],
-        linkId: parts[3] || null
-      };
+    if (version !== TOKEN_VERSION || !key || !payload || !signature) {
+      throw invalid;
+    }
+
+    const expected = Buffer.from(this.sign(key.secret, `${version}.${keyId}.${payload}`));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      this.logger.warn(`Rejected tracking ID with a bad signature (key ${keyId})`);
+      throw invalid;
+    }
+
+    try {
+      const { e, s, c, l } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      return { emailId: e, subscriberId: s, campaignId: c, linkId: l || null };
     } catch (error) {
-      this.logger.error('Error parsing tracking ID:', error);
-      throw new Error('Invalid tracking ID');
+      throw invalid;
     }
   }
 
   /**
-   * Get campaign analytics
+   * Get campaign analytics. Opens, clicks and their rates count people only;
+   * machine opens and clicks are reported under machine.
    * @param {string} campaignId - The campaign ID
+   * @param {Object} options - emailId to count one A/B test variant only, and
+   *   sent, the number of emails the open and click rates are based on
    * @returns {Promise<Object>} Campaign analytics data
    */
-  async getCampaignAnalytics(campaignId) {
+  async getCampaignAnalytics(campaignId, { emailId, sent = 0 } = {}) {
     try {
-      const [opens, clicks, unsubscribes, spamComplaints] = await Promise.all([
-        EmailOpen.countDocuments({ campaign_id: campaignId }),
-        EmailClick.countDocuments({ campaign_id: campaignId }),
-        EmailUnsubscribe.countDocuments({ campaign_id: campaignId }),
-        SpamComplaint.countDocuments({ campaign_id: campaignId })
+      const filter = emailId ? { campaign_id: campaignId, email_id: emailId } : { campaign_id: campaignId };
+      // Events recorded before classification count as human
+      const human = { ...filter, is_machine: { $ne: true } };
+      const machine = { ...filter, is_machine: true };
+      const [opens, clicks, unsubscribes, spamComplaints, machineOpens, machineClicks] = await Promise.all([
+        EmailOpen.countDocuments(human),
+        EmailClick.countDocuments(human),
+        EmailUnsubscribe.countDocuments(filter),
+        SpamComplaint.countDocuments(filter),
+        EmailOpen.countDocuments(machine),
+        EmailClick.countDocuments(machine)
       ]);
 
-      const uniqueOpens = await EmailOpen.distinct('subscriber_id', { campaign_id: campaignId });
-      const uniqueClicks = await EmailClick.distinct('subscriber_id', { campaign_id: campaignId });
+      const uniqueOpens = await EmailOpen.distinct('subscriber_id', human);
+      const uniqueClicks = await EmailClick.distinct('subscriber_id', human);
+      const uniqueMachineOpens = await EmailOpen.distinct('subscriber_id', machine);
+      const uniqueMachineClicks = await EmailClick.distinct('subscriber_id', machine);
 
       const clickThroughRate = uniqueOpens.length > 0 ? (uniqueClicks.length / uniqueOpens.length * 100).toFixed(2) : 0;
-      const openRate = 0; // This should be calculated based on total emails sent
+      const openRate = sent > 0 ? (uniqueOpens.length / sent * 100).toFixed(2) : 0;
+      const clickRate = sent > 0 ? (uniqueClicks.length / sent * 100).toFixed(2) : 0;
 
       return {
         campaignId,
@@ -250,10 +369,21 @@ class EmailTrackingService {
           total: clicks,
           unique: uniqueClicks.length
         },
+        machine: {
+          opens: {
+            total: machineOpens,
+            unique: uniqueMachineOpens.length
+          },
+          clicks: {
+            total: machineClicks,
+            unique: uniqueMachineClicks.length
+          }
+        },
         unsubscribes,
         spamComplaints,
         clickThroughRate: parseFloat(clickThroughRate),
-        openRate: parseFloat(openRate)
+        openRate: parseFloat(openRate),
+        clickRate: parseFloat(clickRate)
       };
     } catch (error) {
       this.logger.error('Error getting campaign analytics:', error);
@@ -267,9 +397,11 @@ class EmailTrackingService {
    * @returns {string} The device type
    */
   detectDeviceType(userAgent) {
-    const ua = userAgent.toLowerCase();
+    const ua = String(userAgent || '').toLowerCase();
     
-    if (/mobile|android|iphone|ipad|phone/i.test(ua)) {
+    if (this.classifier.isMachineUserAgent(userAgent)) {
+      return 'bot';
+    } else if (/mobile|android|iphone|ipad|phone/i.test(ua)) {
       return 'mobile';
     } else if (/tablet|ipad/i.test(ua)) {
       return 'tablet';
@@ -281,7 +413,7 @@ class EmailTrackingService {
   }
 
   /**
-   * Generate tracking ID
+   * Generate a signed tracking ID with the current key
    * @param {string} emailId - The email ID
    * @param {string} subscriberId - The subscriber ID
    * @param {string} campaignId - The campaign ID
@@ -289,9 +421,18 @@ class EmailTrackingService {
    * @returns {string} The tracking ID
    */
   generateTrackingId(emailId, subscriberId, campaignId, linkId = '') {
-    const data = `${emailId}|${subscriberId}|${campaignId}|${linkId}`;
-    return Buffer.from(data).toString('base64');
+    const [key] = this.keys;
+    const payload = Buffer.from(JSON.stringify({
+      e: String(emailId),
+      s: String(subscriberId),
+      c: String(campaignId),
+      ...(linkId && { l: String(linkId) })
+    })).toString('base64url');
+
+    const data = `${TOKEN_VERSION}.${key.id}.${payload}`;
+    return `${data}.${this.sign(key.secret, data)}`;
   }
 }
 
-module.exports = EmailTrackingService;
\ No newline at end of file
+module.exports = EmailTrackingService;
+module.exports.parseKeys = parseKeys;
\ No newline at end of file
@@ -1,8 +1,8 @@
 const EventEmitter = require('events');
-const { v4: uuidv4 } = require('uuid');
-const loggingService = require('./LoggingService');
+const { randomUUID } = require('crypto');
+const { getLoggingService } = require('./LoggingService');
 const monitoringService = require('./MonitoringService');
-const analyticsService = require('./AnalyticsService');
+const AlertNotificationService = require('./AlertNotificationService');
 
 /**
  * Health Check Service - Comprehensive health monitoring and alerting
@@ -10,8 +10,9 @@ const analyticsService = require('./AnalyticsService');
  * and automated alerting for system issues
  */
 class HealthCheckService extends EventEmitter {
-    constructor() {
+    constructor(options = {}) {
         super();
+        this.analyticsService = options.analyticsService || null;
         this.isInitialized = false;
         this.healthChecks = new Map();
         this.dependencies = new Map();
@@ -32,11 +33,16 @@ class HealthCheckService extends EventEmitter {
             checkInterval: 30000 // 30 seconds
         };
 
-        this.initialize();
+        // Alerts can be listed and acknowledged before checks start
+        this.notifier = new AlertNotificationService({
+            logger: this.logger,
+            alerts: this.alerts
+        });
     }
 
     /**
-     * Initialize health check service
+     * Initialize health check service and start the checks. Called when the
+     * server starts; cleanup() stops them.
      */
     async initialize() {
         try {
@@ -198,55 +204,80 @@ class HealthCheckService extends EventEmitter {
      * Setup alerting
      */
     setupAlerting() {
+        // Delivers alerts and tracks them until they are resolved
+        this.notifier = this.notifier || new AlertNotificationService({
+            logger: this.logger,
+            alerts: this.alerts
+        });
+
         // Alert channels
-        this.alertChannels = {
-            email: this.sendEmailAlert.bind(this),
-            slack: this.sendSlackAlert.bind(this),
-            webhook: this.sendWebhookAlert.bind(this),
-            sms: this.sendSMSAlert.bind(this)
-        };
+        this.alertChannels = this.notifier.channels;
 
-        // Alert rules
+        // Alert rules. Channels are notified when an alert opens; escalation
+        // steps follow if nobody has acknowledged it after `after` ms.
         this.alertRules = [
             {
                 name: 'critical_system_failure',
                 condition: (health) => health.status === 'critical',
-                channels: ['email', 'slack', 'sms'],
+                channels: ['email', 'slack', 'webhook'],
+                escalation: [
+                    { after: 900000, channels: ['sms'] } // 15 minutes
+                ],
                 cooldown: 300000 // 5 minutes
             },
             {
                 name: 'high_error_rate',
                 condition: (health) => health.errorRate > 5,
-                channels: ['email', 'slack'],
+                channels: ['email', 'slack', 'webhook'],
+                escalation: [
+                    { after: 1800000, channels: ['sms'] } // 30 minutes
+                ],
                 cooldown: 600000 // 10 minutes
             },
             {
                 name: 'performance_degradation',
                 condition: (health) => health.avgResponseTime > 2000,
-                channels: ['slack'],
+                channels: ['slack', 'webhook'],
+                escalation: [
+                    { after: 3600000, channels: ['email'] } // 1 hour
+                ],
                 cooldown: 900000 // 15 minutes
             }
         ];
+
+        if (!this.checkIntervals.has('alert_escalation')) {
+            const interval = setInterval(() => {
+                this.notifier.escalateDue().catch(error => {
+                    this.logger.logError('health_check', 'Failed to escalate alerts', { error });
+                });
+            }, 60000); // Every minute
+            this.checkIntervals.set('alert_escalation', interval);
+        }
     }
 
     /**
      * Setup monitoring
      */
     setupMonitoring() {
+        // Metrics are forwarded to an analytics service, when one is given
+        if (!this.analytics) {
+            return;
+        }
+
         // Monitor system metrics
-        setInterval(() => {
+        this.checkIntervals.set('system_metrics', setInterval(() => {
             this.collectSystemMetrics();
-        }, 30000); // Every 30 seconds
+        }, 30000)); // Every 30 seconds
 
         // Monitor application metrics
-        setInterval(() => {
+        this.checkIntervals.set('application_metrics', setInterval(() => {
             this.collectApplicationMetrics();
-        }, 60000); // Every minute
+        }, 60000)); // Every minute
 
         // Monitor business metrics
-        setInterval(() => {
+        this.checkIntervals.set('business_metrics', setInterval(() => {
             this.collectBusinessMetrics();
-        }, 300000); // Every 5 minutes
+        }, 300000)); // Every 5 minutes
     }
 
     /**
@@ -263,7 +294,7 @@ class HealthCheckService extends EventEmitter {
             consecutiveFailures: 0,
             consecutiveSuccesses: 0,
             history: [],
-            checkId: uuidv4()
+            checkId: randomUUID()
         };
 
         this.healthChecks.set(name, healthCheck);
@@ -399,9 +430,11 @@ class HealthCheckService extends EventEmitter {
             healthCheck.history.shift();
         }
 
-        // Check if we should alert
+        // Check if we should alert, or tell everyone alerted that it recovered
         if (healthCheck.consecutiveFailures >= healthCheck.config.alertThreshold) {
             await this.triggerAlert(name, result);
+        } else if (result.status === 'healthy') {
+            await this.resolveAlerts(name);
         }
 
         // Emit event
@@ -893,22 +926,14 @@ class HealthCheckService extends EventEmitter {
     }
 
     /**
-     * Trigger alert
+     * Trigger alert. Repeats of an open alert are deduplicated by the
+     * notifier within the rule's cooldown.
      */
     async triggerAlert(healthCheckName, result) {
         if (!this.alertingEnabled) {
             return;
         }
 
-        const alertKey = `${healthCheckName}:${result.status}`;
-        const now = Date.now();
-
-        // Check cooldown
-        const lastAlert = this.alerts.get(alertKey);
-        if (lastAlert && (now - lastAlert) < 300000) { // 5 minute cooldown
-            return;
-        }
-
         // Find matching alert rules
         const matchingRules = this.alertRules.filter(rule => rule.condition({
             status: result.status,
@@ -917,65 +942,60 @@ class HealthCheckService extends EventEmitter {
             avgResponseTime: this.calculateAvgResponseTime()
         }));
 
-        // Send alerts
         for (const rule of matchingRules) {
-            for (const channel of rule.channels) {
-                try {
-                    await this.alertChannels[channel](healthCheckName, result, rule);
-                } catch (error) {
-                    this.logger.logError('health_check', `Failed to send ${channel} alert:`, error);
+            try {
+                const alert = await this.notifier.raise({
+                    key: `${healthCheckName}:${rule.name}`,
+                    source: healthCheckName,
+                    rule: rule.name,
+                    severity: result.status === 'critical' ? 'critical' : 'warning',
+                    message: result.message,
+                    metadata: result.metadata,
+                    channels: rule.channels,
+                    escalation: rule.escalation,
+                    dedupWindowMs: rule.cooldown
+                });
+
+                if (alert.occurrences > 1) {
+                    continue;
                 }
+
+                // Record alert
+                this.incidentHistory.push({
+                    timestamp: new Date(),
+                    alertId: alert.id,
+                    healthCheckName,
+                    status: result.status,
+                    message: result.message,
+                    severity: result.status === 'critical' ? 'high' : 'medium'
+                });
+
+                this.logger.logWarning('health_check', `Alert triggered for ${healthCheckName}: ${result.message}`);
+                this.emit('alert_triggered', alert);
+            } catch (error) {
+                this.logger.logError('health_check', `Failed to raise ${rule.name} alert for ${healthCheckName}:`, error);
             }
         }
 
-        // Record alert
-        this.alerts.set(alertKey, now);
-        this.incidentHistory.push({
-            timestamp: new Date(),
-            healthCheckName,
-            status: result.status,
-            message: result.message,
-            severity: result.status === 'critical' ? 'high' : 'medium'
-        });
-
         // Keep only recent incidents
         if (this.incidentHistory.length > 1000) {
             this.incidentHistory = this.incidentHistory.slice(-1000);
         }
-
-        this.logger.logWarning('health_check', `Alert triggered for ${healthCheckName}: ${result.message}`);
-    }
-
-    /**
-     * Send email alert
-     */
-    async sendEmailAlert(healthCheckName, result, rule) {
-        // Implementation would integrate with email service
-        this.logger.logInfo('health_check', `Email alert sent for ${healthCheckName}: ${result.message}`);
     }
 
     /**
-     * Send Slack alert
+     * Resolve the alerts of a health check that has recovered
      */
-    async sendSlackAlert(healthCheckName, result, rule) {
-        // Implementation would integrate with Slack webhook
-        this.logger.logInfo('health_check', `Slack alert sent for ${healthCheckName}: ${result.message}`);
-    }
-
-    /**
-     * Send webhook alert
-     */
-    async sendWebhookAlert(healthCheckName, result, rule) {
-        // Implementation would send HTTP webhook
-        this.logger.logInfo('health_check', `Webhook alert sent for ${healthCheckName}: ${result.message}`);
-    }
-
-    /**
-     * Send SMS alert
-     */
-    async sendSMSAlert(healthCheckName, result, rule) {
-        // Implementation would integrate with SMS service
-        this.logger.logInfo('health_check', `SMS alert sent for ${healthCheckName}: ${result.message}`);
+    async resolveAlerts(healthCheckName) {
+        try {
+            const resolved = await this.notifier.resolveSource(healthCheckName);
+            resolved.forEach(alert => {
+                this.logger.logInfo('health_check', `Alert resolved for ${healthCheckName}: ${alert.rule}`);
+                this.emit('alert_resolved', alert);
+            });
+        } catch (error) {
+            this.logger.logError('health_check', `Failed to resolve alerts for ${healthCheckName}:`, error);
+        }
     }
 
     /**
@@ -1314,9 +1334,9 @@ class HealthCheckService extends EventEmitter {
             loadAverage: require('os').loadavg()
         };
 
-        analyticsService.trackPerformance('system_memory', metrics.memory.heapUsed, 'bytes');
-        analyticsService.trackPerformance('system_cpu', metrics.cpu.user + metrics.cpu.system, 'microseconds');
-        analyticsService.trackPerformance('system_uptime', metrics.uptime, 'seconds');
+        this.analytics.trackPerformance('system_memory', metrics.memory.heapUsed, 'bytes');
+        this.analytics.trackPerformance('system_cpu', metrics.cpu.user + metrics.cpu.system, 'microseconds');
+        this.analytics.trackPerformance('system_uptime', metrics.uptime, 'seconds');
     }
 
     /**
@@ -1331,10 +1351,10 @@ class HealthCheckService extends EventEmitter {
             avgResponseTime: this.calculateAvgResponseTime()
         };
 
-        analyticsService.trackPerformance('app_connections', metrics.activeConnections, 'count');
-        analyticsService.trackPerformance('app_request_rate', metrics.requestRate, 'requests_per_minute');
-        analyticsService.trackPerformance('app_error_rate', parseFloat(metrics.errorRate), 'percentage');
-        analyticsService.trackPerformance('app_response_time', parseFloat(metrics.avgResponseTime), 'milliseconds');
+        this.analytics.trackPerformance('app_connections', metrics.activeConnections, 'count');
+        this.analytics.trackPerformance('app_request_rate', metrics.requestRate, 'requests_per_minute');
+        this.analytics.trackPerformance('app_error_rate', parseFloat(metrics.errorRate), 'percentage');
+        this.analytics.trackPerformance('app_response_time', parseFloat(metrics.avgResponseTime), 'milliseconds');
     }
 
     /**
@@ -1343,14 +1363,14 @@ class HealthCheckService extends EventEmitter {
     async collectBusinessMetrics() {
         const metrics = {
             timestamp: new Date(),
-            activeUsers: analyticsService.userSessions.size,
+            activeUsers: this.analytics.userSessions.size,
             totalRequests: this.getTotalRequestCount(),
             conversionRate: this.getConversionRate()
         };
 
-        analyticsService.trackBusinessMetric('active_users', metrics.activeUsers);
-        analyticsService.trackBusinessMetric('total_requests', metrics.totalRequests);
-        analyticsService.trackBusinessMetric('conversion_rate', metrics.conversionRate, { unit: 'percentage' });
+        this.analytics.trackBusinessMetric('active_users', metrics.activeUsers);
+        this.analytics.trackBusinessMetric('total_requests', metrics.totalRequests);
+        this.analytics.trackBusinessMetric('conversion_rate', metrics.conversionRate, { unit: 'percentage' });
     }
 
     /**
@@ -1433,7 +1453,7 @@ class HealthCheckService extends EventEmitter {
 
     // Getters
     get logger() {
-        return loggingService;
+        return getLoggingService();
     }
 
     get monitoring() {
@@ -1441,8 +1461,8 @@ class HealthCheckService extends EventEmitter {
     }
 
     get analytics() {
-        return analyticsService;
+        return this.analyticsService;
     }
 }
 
-module.exports = new HealthCheckService();
\ No newline at end of file
+module.exports = HealthCheckService;
\ No newline at end of file
@@ -1,7 +1,6 @@
 const winston = require('winston');
 const path = require('path');
 const DailyRotateFile = require('winston-daily-rotate-file');
-const { ElasticsearchTransport } = require('winston-elasticsearch');
 const Sentry = require('@sentry/node');
 
 class LoggingService {
@@ -125,6 +124,8 @@ class LoggingService {
 
     // Elasticsearch transport
     if (elasticsearch && process.env.ELASTICSEARCH_URL) {
+      // Optional dependency, only needed where logs are shipped to Elasticsearch
+      const { ElasticsearchTransport } = require('winston-elasticsearch');
       transports.push(
         new ElasticsearchTransport({
           level,
@@ -201,6 +202,10 @@ class LoggingService {
     logger.warn(message, meta);
   }
 
+  logWarning(loggerName, message, meta = {}) {
+    this.logWarn(loggerName, message, meta);
+  }
+
   logDebug(loggerName, message, meta = {}) {
     const logger = this.getLogger(loggerName);
     logger.debug(message, meta);
@@ -236,11 +241,11 @@ class LoggingService {
           logger.info('Request completed', logData);
         }
 
-        originalSend.call(this, data);
+        originalSend.call(res, data);
       }.bind(this);
 
       next();
-    }.bind(this);
+    };
   }
 
   // Error logging middleware
@@ -431,4 +436,15 @@ class LoggingService {
   }
 }
 
-module.exports = LoggingService;
\ No newline at end of file
+let sharedInstance = null;
+
+// The instance shared by services that log through LoggingService rather than their own logger
+function getLoggingService() {
+  if (!sharedInstance) {
+    sharedInstance = new LoggingService();
+  }
+  return sharedInstance;
+}
+
+module.exports = LoggingService;
+module.exports.getLoggingService = getLoggingService;
\ No newline at end of file
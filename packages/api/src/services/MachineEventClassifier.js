@@ -0,0 +1,197 @@
+const mongoose = require('mongoose');
+const winston = require('winston');
+const EmailJob = require('../models/EmailJob');
+const { EmailClick } = require('../models/EmailTracking');
+
+// Mail clients, security gateways and HTTP libraries that fetch pixels and
+// follow links without a person reading the email
+const MACHINE_USER_AGENT_PATTERN = new RegExp([
+  'bot\\b', 'crawler', 'spider', 'scanner', 'headless', 'phantomjs', 'preview',
+  'curl\\/', 'wget\\/', 'python-requests', 'python-urllib', 'go-http-client', 'java\\/', 'okhttp', 'axios\\/', 'node-fetch',
+  'barracuda', 'mimecast', 'proofpoint', 'symantec', 'forcepoint', 'trendmicro', 'sophos', 'fortinet', 'cisco',
+  'microsoft office protocol discovery', 'ms-office', 'safelinks'
+].join('|'), 'i');
+
+// Apple Mail Privacy Protection fetches every image on delivery through Apple's
+// proxies, with a bare user agent
+const APPLE_PROXY_USER_AGENT = 'Mozilla/5.0';
+
+// Addresses known to fetch email content automatically; more can be added
+// with MACHINE_IP_RANGES ("name:cidr,name:cidr")
+const DEFAULT_IP_RANGES = [
+  { name: 'apple', cidr: '17.0.0.0/8' }
+];
+
+// A person cannot open an email and click in it this soon after delivery
+const DELIVERY_WINDOW_SECONDS = 10;
+// Clicks on different links this close together are a scanner following every link
+const CLICK_BURST_SECONDS = 2;
+
+const REASONS = {
+  USER_AGENT: 'user_agent',
+  APPLE_PROXY: 'apple_proxy',
+  IP_RANGE: 'ip_range',
+  AFTER_DELIVERY: 'after_delivery',
+  CLICK_BURST: 'click_burst'
+};
+
+const ipv4ToInt = (ip) => {
+  const match = /^(?:::ffff:)?(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/i.exec(String(ip || '').trim());
+  if (!match) return null;
+  const octets = match.slice(1).map(Number);
+  if (octets.some(octet => octet > 255)) return null;
+  return octets.reduce((value, octet) => value * 256 + octet, 0);
+};
+
+/**
+ * @returns {{name: string, start: number, end: number}} The range, as integers
+ */
+const parseRange = ({ name, cidr }) => {
+  const [base, bits] = cidr.split('/');
+  const start = ipv4ToInt(base);
+  const prefix = bits === undefined ? 32 : Number(bits);
+  if (start === null || !Number.isInteger(prefix) || prefix < 0 || prefix > 32) {
+    throw new Error(`Invalid IPv4 range for ${name}: ${cidr}`);
+  }
+  const size = 2 ** (32 - prefix);
+  const first = Math.floor(start / size) * size;
+  return { name, start: first, end: first + size - 1 };
+};
+
+const parseRangeList = (value) => (value
+  ? value.split(',').map(entry => {
+    const [name, cidr] = entry.trim().split(':');
+    return { name, cidr };
+  })
+  : []);
+
+/**
+ * Tells machine opens and clicks from people. Each signal adds a reason; any
+ * reason makes the event a machine event. Machine events are still stored,
+ * so they can be reported separately.
+ */
+class MachineEventClassifier {
+  constructor(options = {}) {
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+      ),
+      defaultMeta: { service: 'machine-event-classifier' },
+      transports: [
+        new winston.transports.File({ filename: 'logs/machine-events-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/machine-events.log' })
+      ]
+    });
+
+    this.ipRanges = [...DEFAULT_IP_RANGES, ...(options.ipRanges || parseRangeList(process.env.MACHINE_IP_RANGES))]
+      .map(parseRange);
+  }
+
+  /**
+   * @returns {boolean} Whether the user agent belongs to a bot, scanner or HTTP library
+   */
+  isMachineUserAgent(userAgent) {
+    const ua = String(userAgent || '').trim();
+    return !ua || ua === 'Unknown' || MACHINE_USER_AGENT_PATTERN.test(ua);
+  }
+
+  /**
+   * @returns {string|null} Name of the machine range the address is in
+   */
+  ipRangeFor(ipAddress) {
+    const ip = ipv4ToInt(ipAddress);
+    if (ip === null) return null;
+    const range = this.ipRanges.find(candidate => ip >= candidate.start && ip <= candidate.end);
+    return range ? range.name : null;
+  }
+
+  /**
+   * When the email behind a tracking event was accepted by the mail server.
+   * Recipients without a subscriber ID are tracked by address.
+   * @returns {Promise<Date|null>}
+   */
+  async deliveredAt(campaignId, subscriberId) {
+    if (!mongoose.isValidObjectId(campaignId) || !subscriberId) {
+      return null;
+    }
+
+    const filter = String(subscriberId).includes('@')
+      ? { idempotencyKey: `${campaignId}:${String(subscriberId).toLowerCase()}` }
+      : { campaignId, 'recipient.subscriberId': String(subscriberId) };
+    const job = await EmailJob.findOne(filter).select('sentAt').lean();
+    return (job && job.sentAt) || null;
+  }
+
+  /**
+   * Classify an open or click
+   * @param {Object} event - type ('open' or 'click'), emailId, subscriberId,
+   *   campaignId, linkId, ipAddress, userAgent and occurredAt
+   * @returns {Promise<{isMachine: boolean, reasons: Array<string>}>}
+   */
+  async classify(event) {
+    const occurredAt = event.occurredAt || new Date();
+    const reasons = [];
+
+    if (String(event.userAgent || '').trim() === APPLE_PROXY_USER_AGENT) {
+      reasons.push(REASONS.APPLE_PROXY);
+    } else if (this.isMachineUserAgent(event.userAgent)) {
+      reasons.push(REASONS.USER_AGENT);
+    }
+
+    const range = this.ipRangeFor(event.ipAddress);
+    if (range) {
+      reasons.push(`${REASONS.IP_RANGE}:${range}`);
+    }
+
+    try {
+      const deliveredAt = await this.deliveredAt(event.campaignId, event.subscriberId);
+      if (deliveredAt && occurredAt - deliveredAt < DELIVERY_WINDOW_SECONDS * 1000) {
+        reasons.push(REASONS.AFTER_DELIVERY);
+      }
+
+      if (event.type === 'click' && await this.isClickBurst(event, occurredAt)) {
+        reasons.push(REASONS.CLICK_BURST);
+      }
+    } catch (error) {
+      // The request-level signals above still stand
+      this.logger.error('Failed to check engagement timing:', error);
+    }
+
+    return { isMachine: reasons.length > 0, reasons };
+  }
+
+  /**
+   * Another link in the same email clicked by the same subscriber moments ago
+   */
+  async isClickBurst(event, occurredAt) {
+    const recent = await EmailClick.exists({
+      email_id: event.emailId,
+      subscriber_id: event.subscriberId,
+      link_id: { $ne: event.linkId },
+      clicked_at: { $gte: new Date(occurredAt.getTime() - CLICK_BURST_SECONDS * 1000) }
+    });
+    return Boolean(recent);
+  }
+
+  /**
+   * Flag the other clicks in a burst, which looked human when they arrived
+   * @returns {Promise<number>} Clicks reclassified
+   */
+  async flagClickBurst(event, occurredAt = new Date()) {
+    const result = await EmailClick.updateMany(
+      {
+        email_id: event.emailId,
+        subscriber_id: event.subscriberId,
+        clicked_at: { $gte: new Date(occurredAt.getTime() - CLICK_BURST_SECONDS * 1000) }
+      },
+      { $set: { is_machine: true }, $addToSet: { machine_reasons: REASONS.CLICK_BURST } }
+    );
+    return result.modifiedCount;
+  }
+}
+
+module.exports = MachineEventClassifier;
+module.exports.REASONS = REASONS;
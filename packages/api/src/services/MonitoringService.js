@@ -44,112 +44,123 @@ class MonitoringService {
       name: 'piper_newsletter_http_request_duration_seconds',
       help: 'Duration of HTTP requests in seconds',
       labelNames: ['method', 'route', 'status_code'],
-      buckets: [0.1, 0.3, 0.5, 0.7, 1, 3, 5, 7, 10]
+      buckets: [0.1, 0.3, 0.5, 0.7, 1, 3, 5, 7, 10],
+      registers: [this.register]
     });
 
     this.httpRequestTotal = new prometheus.Counter({
       name: 'piper_newsletter_http_requests_total',
       help: 'Total number of HTTP requests',
-      labelNames: ['method', 'route', 'status_code']
+      labelNames: ['method', 'route', 'status_code'],
+      registers: [this.register]
     });
 
     this.activeUsers = new prometheus.Gauge({
       name: 'piper_newsletter_active_users',
-      help: 'Number of active users in the last 5 minutes'
+      help: 'Number of active users in the last 5 minutes',
+      registers: [this.register]
     });
 
     this.userRegistrations = new prometheus.Counter({
       name: 'piper_newsletter_user_registrations_total',
-      help: 'Total number of user registrations'
+      help: 'Total number of user registrations',
+      registers: [this.register]
     });
 
     this.newsletterSent = new prometheus.Counter({
       name: 'piper_newsletter_sent_total',
       help: 'Total number of newsletters sent',
-      labelNames: ['campaign_type', 'status']
+      labelNames: ['campaign_type', 'status'],
+      registers: [this.register]
     });
 
     this.emailQueueSize = new prometheus.Gauge({
       name: 'piper_newsletter_email_queue_size',
-      help: 'Number of emails in the queue'
+      help: 'Number of emails in the queue',
+      registers: [this.register]
+    });
+
+    this.emailBounces = new prometheus.Counter({
+      name: 'piper_newsletter_email_bounces_total',
+      help: 'Total number of bounced emails',
+      labelNames: ['bounce_type'],
+      registers: [this.register]
+    });
+
+    this.emailBounceRate = new prometheus.Gauge({
+      name: 'piper_newsletter_email_bounce_rate',
+      help: 'Share of emails sent in the last 24 hours that bounced (0-1)',
+      registers: [this.register]
     });
 
     this.subscriptionRevenue = new prometheus.Gauge({
       name: 'piper_newsletter_subscription_revenue',
       help: 'Total subscription revenue',
-      labelNames: ['plan_type']
+      labelNames: ['plan_type'],
+      registers: [this.register]
     });
 
     this.databaseConnections = new prometheus.Gauge({
       name: 'piper_newsletter_database_connections',
       help: 'Number of database connections',
-      labelNames: ['state']
+      labelNames: ['state'],
+      registers: [this.register]
     });
 
     this.cacheHitRate = new prometheus.Gauge({
       name: 'piper_newsletter_cache_hit_rate',
-      help: 'Cache hit rate percentage'
+      help: 'Cache hit rate percentage',
+      registers: [this.register]
     });
 
     this.errorRate = new prometheus.Gauge({
       name: 'piper_newsletter_error_rate',
       help: 'Error rate percentage',
-      labelNames: ['error_type']
+      labelNames: ['error_type'],
+      registers: [this.register]
     });
 
     this.memoryUsage = new prometheus.Gauge({
       name: 'piper_newsletter_memory_usage_bytes',
       help: 'Memory usage in bytes',
-      labelNames: ['type']
+      labelNames: ['type'],
+      registers: [this.register]
     });
 
     this.cpuUsage = new prometheus.Gauge({
       name: 'piper_newsletter_cpu_usage_percent',
-      help: 'CPU usage percentage'
+      help: 'CPU usage percentage',
+      registers: [this.register]
     });
 
     this.diskUsage = new prometheus.Gauge({
       name: 'piper_newsletter_disk_usage_bytes',
       help: 'Disk usage in bytes',
-      labelNames: ['type']
+      labelNames: ['type'],
+      registers: [this.register]
     });
 
     this.apiResponseTime = new prometheus.Histogram({
       name: 'piper_newsletter_api_response_time_seconds',
       help: 'API response time in seconds',
       labelNames: ['endpoint', 'method'],
-      buckets: [0.01, 0.05, 0.1, 0.3, 0.5, 1, 2, 5]
+      buckets: [0.01, 0.05, 0.1, 0.3, 0.5, 1, 2, 5],
+      registers: [this.register]
     });
 
     this.thirdPartyApiCalls = new prometheus.Counter({
       name: 'piper_newsletter_third_party_api_calls_total',
       help: 'Total third-party API calls',
-      labelNames: ['service', 'endpoint', 'status']
+      labelNames: ['service', 'endpoint', 'status'],
+      registers: [this.register]
     });
 
     this.securityEvents = new prometheus.Counter({
       name: 'piper_newsletter_security_events_total',
       help: 'Total security events',
-      labelNames: ['event_type', 'severity']
+      labelNames: ['event_type', 'severity'],
+      registers: [this.register]
     });
-
-    // Register all metrics
-    this.register.registerMetric(this.httpRequestDuration);
-    this.register.registerMetric(this.httpRequestTotal);
-    this.register.registerMetric(this.activeUsers);
-    this.register.registerMetric(this.userRegistrations);
-    this.register.registerMetric(this.newsletterSent);
-    this.register.registerMetric(this.emailQueueSize);
-    this.register.registerMetric(this.subscriptionRevenue);
-    this.register.registerMetric(this.databaseConnections);
-    this.register.registerMetric(this.cacheHitRate);
-    this.register.registerMetric(this.errorRate);
-    this.register.registerMetric(this.memoryUsage);
-    this.register.registerMetric(this.cpuUsage);
-    this.register.registerMetric(this.diskUsage);
-    this.register.registerMetric(this.apiResponseTime);
-    this.register.registerMetric(this.thirdPartyApiCalls);
-    this.register.registerMetric(this.securityEvents);
   }
 
   // Middleware for HTTP request metrics
@@ -203,6 +214,15 @@ class MonitoringService {
     this.emailQueueSize.set(size);
   }
 
+  trackEmailBounce(bounceType) {
+    this.emailBounces.labels(bounceType).inc();
+  }
+
+  updateBounceRate(rate) {
+    this.emailBounceRate.set(rate);
+    this.triggerAlert('high_bounce_rate', { bounceRate: rate });
+  }
+
   updateSubscriptionRevenue(planType, amount) {
     this.subscriptionRevenue.labels(planType).set(amount);
   }
@@ -359,6 +379,17 @@ class MonitoringService {
     });
   }
 
+  setupEmailServiceHealthCheck(emailService) {
+    this.addHealthCheck('email_service', async () => {
+      try {
+        await emailService.verifyConnection();
+        return { status: 'healthy', message: 'Email service OK' };
+      } catch (error) {
+        return { status: 'unhealthy', message: `Email service error: ${error.message}` };
+      }
+    });
+  }
+
   setupPaymentServiceHealthCheck(paymentService) {
     this.addHealthCheck('payment_service', async () => {
       try {
@@ -449,6 +480,15 @@ class MonitoringService {
       { severity: 'medium', cooldown: 600000 }
     );
 
+    // Mailbox providers start throttling senders well before 5% bounces
+    this.addAlert('high_bounce_rate',
+      async (data) => data.bounceRate > 0.02,
+      async (data) => {
+        logger.error('High email bounce rate detected', { bounceRate: data.bounceRate });
+      },
+      { severity: 'high', cooldown: 3600000 }
+    );
+
     // Database connection pool exhaustion
     this.addAlert('db_connection_pool_exhaustion',
       async (data) => {
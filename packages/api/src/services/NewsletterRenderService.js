@@ -0,0 +1,363 @@
+// Email renderings of a newsletter issue. The neurodiversity variants follow the style
+// rules of the editor templates in packages/special-kit/src/templates/templates;
+// every style is inlined because most mail clients drop <style> blocks.
+const EMAIL_VARIANTS = ['standard', 'adhd', 'dyslexia', 'asd'];
+
+const VARIANT_STYLES = {
+  standard: {
+    fontFamily: 'Arial, Helvetica, sans-serif',
+    fontSize: 16,
+    lineHeight: 1.6,
+    letterSpacing: 'normal',
+    textColor: '#333333',
+    headingColor: '#1a1a1a',
+    pageBackground: '#f4f4f7',
+    background: '#ffffff',
+    accent: '#667eea',
+    mutedColor: '#6c757d',
+    sectionSpacing: 32,
+    showIcons: true
+  },
+  // ADHDFriendlyTemplate: minimal cognitive load, one key message, short chunks
+  adhd: {
+    fontFamily: "Inter, -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif",
+    fontSize: 16,
+    lineHeight: 1.6,
+    letterSpacing: 'normal',
+    textColor: '#2c3e50',
+    headingColor: '#2c3e50',
+    pageBackground: '#ffffff',
+    background: '#ffffff',
+    accent: '#007bff',
+    mutedColor: '#6c757d',
+    highlightBackground: '#fff3cd',
+    highlightBorder: '#ffc107',
+    sectionSpacing: 28,
+    sentencesPerParagraph: 2,
+    showIcons: true,
+    keyMessage: true,
+    numberedSections: true,
+    readingTime: true
+  },
+  // DyslexiaOptimizedTemplate: OpenDyslexic, large type, wide spacing, no justification
+  dyslexia: {
+    fontFamily: "OpenDyslexic, 'Comic Sans MS', Verdana, sans-serif",
+    fontSize: 18,
+    lineHeight: 1.8,
+    letterSpacing: '1.2px',
+    wordSpacing: '0.16em',
+    textColor: '#333333',
+    headingColor: '#000000',
+    pageBackground: '#fdfaf3',
+    background: '#ffffff',
+    accent: '#1565c0',
+    mutedColor: '#495057',
+    sectionSpacing: 36,
+    sentencesPerParagraph: 2,
+    showIcons: true,
+    readingTime: true
+  },
+  // ASDStructuredTemplate: predictable layout, minimal sensory load, explicit structure
+  asd: {
+    fontFamily: "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif",
+    fontSize: 16,
+    lineHeight: 1.6,
+    letterSpacing: 'normal',
+    textColor: '#333333',
+    headingColor: '#333333',
+    pageBackground: '#ffffff',
+    background: '#ffffff',
+    accent: '#007bff',
+    mutedColor: '#495057',
+    sectionBorder: '2px solid #e1e5e9',
+    sectionSpacing: 24,
+    showIcons: false,
+    contents: true,
+    sectionCounter: true,
+    readingTime: true
+  }
+};
+
+const WORDS_PER_MINUTE = 200;
+
+const escapeHtml = (value) => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const inlineStyle = (rules) => Object.entries(rules)
+  .filter(([, value]) => value !== undefined && value !== null)
+  .map(([property, value]) => `${property.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}:${value}`)
+  .join(';');
+
+const wordCount = (text) => String(text).split(/\s+/).filter(Boolean).length;
+
+const readingMinutes = (text) => Math.max(1, Math.round(wordCount(text) / WORDS_PER_MINUTE));
+
+const splitSentences = (text) => text.split(/(?<=[.!?])\s+(?=["'“‘(]?[A-Z0-9])/);
+
+/**
+ * Split section content into paragraph and list blocks. Content is plain text with
+ * blank lines between paragraphs, "- " or "1. " list items, **bold** and [links](https://...).
+ */
+const parseBlocks = (content) => String(content || '')
+  .replace(/\r\n/g, '\n')
+  .split(/\n\s*\n/)
+  .map(chunk => chunk.trim())
+  .filter(Boolean)
+  .map(chunk => {
+    const lines = chunk.split('\n').map(line => line.trim());
+
+    if (lines.every(line => /^[-*•]\s+/.test(line))) {
+      return { type: 'list', ordered: false, items: lines.map(line => line.replace(/^[-*•]\s+/, '')) };
+    }
+    if (lines.every(line => /^\d+[.)]\s+/.test(line))) {
+      return { type: 'list', ordered: true, items: lines.map(line => line.replace(/^\d+[.)]\s+/, '')) };
+    }
+    return { type: 'paragraph', text: lines.join(' ') };
+  });
+
+const inlineHtml = (text, linkStyle) => escapeHtml(text)
+  .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+  .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, (match, label, url) => `<a href="${url}" style="${linkStyle}">${label}</a>`);
+
+const inlineText = (text) => String(text)
+  .replace(/\*\*(.+?)\*\*/g, '$1')
+  .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, '$1 ($2)');
+
+/**
+ * Renders newsletter issues as email-safe HTML and plain text
+ */
+class NewsletterRenderService {
+  constructor(options = {}) {
+    this.webUrl = options.webUrl || process.env.FRONTEND_URL || 'http://localhost:3000';
+  }
+
+  /**
+   * Render every variant of an issue
+   * @param {Object} issue - The newsletter issue
+   * @returns {Object} { standard: { html, text }, adhd: ..., dyslexia: ..., asd: ... }
+   */
+  renderAll(issue) {
+    return EMAIL_VARIANTS.reduce((rendered, variant) => {
+      rendered[variant] = this.render(issue, variant);
+      return rendered;
+    }, {});
+  }
+
+  /**
+   * Render one variant of an issue. Personalisation placeholders ({{firstName}},
+   * {{unsubscribeUrl}}, {{preferencesUrl}}) are left for the sender to fill in per recipient.
+   * @param {Object} issue - The newsletter issue
+   * @param {string} variant - standard, adhd, dyslexia or asd
+   * @returns {Object} html and text parts
+   */
+  render(issue, variant = 'standard') {
+    const name = this.resolveVariant(variant);
+    const styles = VARIANT_STYLES[name];
+    const sections = (issue.sections || []).map((section, index) => ({
+      ...section,
+      number: index + 1,
+      blocks: this.chunkBlocks(parseBlocks(section.content), styles.sentencesPerParagraph)
+    }));
+
+    return {
+      variant: name,
+      html: this.renderHtml(issue, sections, styles),
+      text: this.renderText(issue, sections, styles)
+    };
+  }
+
+  resolveVariant(variant) {
+    return EMAIL_VARIANTS.includes(variant) ? variant : 'standard';
+  }
+
+  // Break long paragraphs into chunks of a few sentences
+  chunkBlocks(blocks, sentencesPerParagraph) {
+    if (!sentencesPerParagraph) {
+      return blocks;
+    }
+
+    return blocks.flatMap(block => {
+      if (block.type !== 'paragraph') {
+        return [block];
+      }
+
+      const sentences = splitSentences(block.text);
+      const chunks = [];
+      for (let i = 0; i < sentences.length; i += sentencesPerParagraph) {
+        chunks.push({ type: 'paragraph', text: sentences.slice(i, i + sentencesPerParagraph).join(' ') });
+      }
+      return chunks;
+    });
+  }
+
+  keyMessage(issue) {
+    const highlighted = (issue.sections || []).find(section => section.priority === 'high');
+    const source = issue.excerpt ||
+      (highlighted && splitSentences(parseBlocks(highlighted.content).map(block => block.text || '').join(' '))[0]) ||
+      issue.subtitle;
+    return source ? inlineText(source).trim() : null;
+  }
+
+  issueUrl(issue) {
+    return `${this.webUrl.replace(/\/$/, '')}/newsletters/${encodeURIComponent(issue.slug || issue._id)}`;
+  }
+
+  renderHtml(issue, sections, styles) {
+    const text = {
+      fontFamily: styles.fontFamily,
+      fontSize: `${styles.fontSize}px`,
+      lineHeight: styles.lineHeight,
+      letterSpacing: styles.letterSpacing,
+      wordSpacing: styles.wordSpacing,
+      color: styles.textColor,
+      textAlign: 'left'
+    };
+    const paragraphStyle = inlineStyle({ ...text, margin: '0 0 16px 0' });
+    const linkStyle = inlineStyle({ color: styles.accent, textDecoration: 'underline' });
+    const mutedStyle = inlineStyle({ ...text, fontSize: `${Math.max(13, styles.fontSize - 3)}px`, color: styles.mutedColor, margin: '0 0 8px 0' });
+    const headingStyle = inlineStyle({ ...text, fontSize: `${styles.fontSize + 6}px`, fontWeight: 700, color: styles.headingColor, margin: '0 0 12px 0' });
+
+    const rows = [];
+
+    rows.push(`<tr><td style="${inlineStyle({ padding: '32px 32px 8px 32px' })}">` +
+      `<h1 style="${inlineStyle({ ...text, fontSize: `${styles.fontSize + 12}px`, lineHeight: 1.3, fontWeight: 700, color: styles.headingColor, margin: '0 0 8px 0' })}">${escapeHtml(issue.title)}</h1>` +
+      (issue.subtitle ? `<p style="${mutedStyle}">${escapeHtml(issue.subtitle)}</p>` : '') +
+      (issue.edition ? `<p style="${mutedStyle}">Issue #${escapeHtml(issue.edition)}</p>` : '') +
+      '</td></tr>');
+
+    if (styles.keyMessage && this.keyMessage(issue)) {
+      rows.push(`<tr><td style="${inlineStyle({ padding: '16px 32px' })}">` +
+        `<div style="${inlineStyle({ background: styles.highlightBackground, border: `2px solid ${styles.highlightBorder}`, borderRadius: '8px', padding: '16px' })}">` +
+        `<p style="${inlineStyle({ ...text, fontWeight: 700, margin: '0 0 4px 0' })}">Key message</p>` +
+        `<p style="${inlineStyle({ ...text, margin: 0 })}">${escapeHtml(this.keyMessage(issue))}</p>` +
+        '</div></td></tr>');
+    }
+
+    if (styles.contents || styles.numberedSections) {
+      const totalMinutes = sections.reduce((total, section) => total + readingMinutes(section.content), 0);
+      const items = sections.map(section => `<li style="${inlineStyle({ ...text, margin: '0 0 4px 0' })}">${escapeHtml(section.title)}` +
+        (styles.readingTime ? ` <span style="${inlineStyle({ color: styles.mutedColor })}">(${readingMinutes(section.content)} min)</span>` : '') +
+        '</li>').join('');
+
+      rows.push(`<tr><td style="${inlineStyle({ padding: '16px 32px' })}">` +
+        `<p style="${inlineStyle({ ...text, fontWeight: 700, margin: '0 0 8px 0' })}">` +
+        (styles.contents ? `What to expect: ${sections.length} sections, about ${totalMinutes} min to read` : 'In this issue') +
+        '</p>' +
+        `<ol style="${inlineStyle({ margin: 0, paddingLeft: '24px' })}">${items}</ol>` +
+        '</td></tr>');
+    }
+
+    sections.forEach(section => {
+      const label = [];
+      if (styles.sectionCounter) {
+        label.push(`Section ${section.number} of ${sections.length}`);
+      }
+      if (styles.readingTime) {
+        label.push(`${readingMinutes(section.content)} min read`);
+      }
+
+      const number = styles.numberedSections
+        ? `<span style="${inlineStyle({ display: 'inline-block', width: '28px', height: '28px', lineHeight: '28px', borderRadius: '14px', background: styles.accent, color: '#ffffff', textAlign: 'center', fontWeight: 600, marginRight: '8px' })}">${section.number}</span>`
+        : '';
+      const icon = styles.showIcons && section.icon ? `${escapeHtml(section.icon)} ` : '';
+
+      const body = section.blocks.map(block => {
+        if (block.type === 'list') {
+          const tag = block.ordered ? 'ol' : 'ul';
+          const items = block.items.map(item => `<li style="${inlineStyle({ ...text, margin: '0 0 8px 0' })}">${inlineHtml(item, linkStyle)}</li>`).join('');
+          return `<${tag} style="${inlineStyle({ margin: '0 0 16px 0', paddingLeft: '24px' })}">${items}</${tag}>`;
+        }
+        return `<p style="${paragraphStyle}">${inlineHtml(block.text, linkStyle)}</p>`;
+      }).join('');
+
+      const container = styles.sectionBorder
+        ? { border: styles.sectionBorder, borderRadius: '8px', padding: '20px' }
+        : { borderTop: `3px solid ${styles.accent}`, paddingTop: '16px' };
+
+      rows.push(`<tr><td style="${inlineStyle({ padding: `0 32px ${styles.sectionSpacing}px 32px` })}">` +
+        `<div id="${escapeHtml(section.sectionKey)}" style="${inlineStyle(container)}">` +
+        (label.length ? `<p style="${mutedStyle}">${escapeHtml(label.join(' · '))}</p>` : '') +
+        `<h2 style="${headingStyle}">${number}${icon}${escapeHtml(section.title)}</h2>` +
+        body +
+        '</div></td></tr>');
+    });
+
+    const footer = [`<a href="${escapeHtml(this.issueUrl(issue))}" style="${linkStyle}">View in your browser</a>`];
+    if (issue.unsubscribeFooterEnabled !== false) {
+      footer.push(`<a href="{{preferencesUrl}}" style="${linkStyle}">Email preferences</a>`);
+      footer.push(`<a href="{{unsubscribeUrl}}" style="${linkStyle}">Unsubscribe</a>`);
+    }
+    rows.push(`<tr><td style="${inlineStyle({ padding: '24px 32px 32px 32px', borderTop: '1px solid #e1e5e9' })}">` +
+      `<p style="${mutedStyle}">${footer.join(' · ')}</p></td></tr>`);
+
+    const preheader = issue.previewText
+      ? `<div style="${inlineStyle({ display: 'none', maxHeight: 0, overflow: 'hidden', msoHide: 'all' })}">${escapeHtml(issue.previewText)}</div>`
+      : '';
+
+    return '<!DOCTYPE html>' +
+      '<html lang="en"><head><meta charset="utf-8">' +
+      '<meta name="viewport" content="width=device-width, initial-scale=1">' +
+      '<meta name="x-apple-disable-message-reformatting">' +
+      `<title>${escapeHtml(issue.subjectLine || issue.title)}</title></head>` +
+      `<body style="${inlineStyle({ margin: 0, padding: 0, background: styles.pageBackground })}">` +
+      preheader +
+      `<table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="${inlineStyle({ background: styles.pageBackground })}"><tr><td align="center" style="${inlineStyle({ padding: '24px 8px' })}">` +
+      `<table role="presentation" width="600" cellpadding="0" cellspacing="0" border="0" style="${inlineStyle({ width: '100%', maxWidth: '600px', background: styles.background, borderRadius: '8px' })}">` +
+      rows.join('') +
+      '</table></td></tr></table></body></html>';
+  }
+
+  renderText(issue, sections, styles) {
+    const lines = [issue.title.toUpperCase()];
+
+    if (issue.subtitle) {
+      lines.push(issue.subtitle);
+    }
+    if (issue.edition) {
+      lines.push(`Issue #${issue.edition}`);
+    }
+    lines.push('');
+
+    if (styles.keyMessage && this.keyMessage(issue)) {
+      lines.push(`KEY MESSAGE: ${this.keyMessage(issue)}`, '');
+    }
+
+    if (styles.contents || styles.numberedSections) {
+      const totalMinutes = sections.reduce((total, section) => total + readingMinutes(section.content), 0);
+      lines.push(styles.contents ? `What to expect: ${sections.length} sections, about ${totalMinutes} min to read` : 'In this issue:');
+      sections.forEach(section => lines.push(`  ${section.number}. ${section.title}`));
+      lines.push('');
+    }
+
+    sections.forEach(section => {
+      const heading = styles.sectionCounter
+        ? `SECTION ${section.number} OF ${sections.length}: ${section.title}`
+        : `${styles.numberedSections ? `${section.number}. ` : ''}${section.title}`;
+      lines.push(heading, '-'.repeat(Math.min(heading.length, 60)));
+
+      section.blocks.forEach(block => {
+        if (block.type === 'list') {
+          block.items.forEach((item, index) => lines.push(`${block.ordered ? `${index + 1}.` : '-'} ${inlineText(item)}`));
+        } else {
+          lines.push(inlineText(block.text));
+        }
+        lines.push('');
+      });
+    });
+
+    lines.push('--', `View in your browser: ${this.issueUrl(issue)}`);
+    if (issue.unsubscribeFooterEnabled !== false) {
+      lines.push('Email preferences: {{preferencesUrl}}', 'Unsubscribe: {{unsubscribeUrl}}');
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+module.exports = NewsletterRenderService;
+module.exports.EMAIL_VARIANTS = EMAIL_VARIANTS;
+module.exports.VARIANT_STYLES = VARIANT_STYLES;
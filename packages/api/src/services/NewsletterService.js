@@ -0,0 +1,477 @@
+const crypto = require('crypto');
+const cron = require('node-cron');
+const winston = require('winston');
+const Newsletter = require('../models/Newsletter');
+const User = require('../models/User');
+
+// Section modules in packages/core/src/backend/sections, in reading order
+const SECTION_MODULES = {
+  'the-signal': { module: 'TheSignal', title: 'The Signal', icon: '📡' },
+  'the-vanguard': { module: 'TheVanguard', title: 'The Vanguard', icon: '🚀' },
+  'on-the-edge': { module: 'OnTheEdge', title: 'On the Edge', icon: '⚡' },
+  'capital-flows': { module: 'CapitalFlowsAndPied', title: 'Capital Flows & Pied', icon: '💰' },
+  'eastern-meridian': { module: 'EasternMeridian', title: 'Eastern Meridian', icon: '🌅' },
+  'oats-section': { module: 'OatsSection', title: 'Oats Section', icon: '🌾' },
+  'threat-intelligence': { module: 'ThreatIntelligence', title: 'Threat Intelligence', icon: '🛡️' }
+};
+
+// Fields an editor may set directly; status, edition and dates go through publish/archive
+const EDITABLE_FIELDS = [
+  'title', 'subtitle', 'slug', 'content', 'excerpt', 'sections', 'template', 'subjectLine',
+  'previewText', 'fromName', 'fromEmail', 'replyTo', 'tags', 'category', 'featuredImageUrl',
+  'clickTrackingEnabled', 'openTrackingEnabled', 'unsubscribeFooterEnabled', 'analyticsEnabled',
+  'customCss', 'metadata'
+];
+
+// How long a served payload hash can be verified by the reader component
+const CONTENT_HASH_TTL = 5 * 60 * 1000;
+
+const createError = (name, message, status) => {
+  const error = new Error(message);
+  error.name = name;
+  error.status = status;
+  return error;
+};
+
+const slugify = (value) => String(value)
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 200);
+
+/**
+ * Newsletter issues assembled from the section modules
+ */
+class NewsletterService {
+  constructor() {
+    this.servedHashes = new Map();
+
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+      ),
+      defaultMeta: { service: 'newsletter-service' },
+      transports: [
+        new winston.transports.File({ filename: 'logs/newsletter-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/newsletter.log' })
+      ]
+    });
+
+    this.scheduledTasks = [];
+  }
+
+  /**
+   * Send scheduled issues once they are due. Started by the server.
+   */
+  startScheduledTasks() {
+    this.scheduledTasks.push(cron.schedule('* * * * *', () => {
+      this.publishDueIssues();
+    }));
+  }
+
+  stopScheduledTasks() {
+    this.scheduledTasks.forEach(task => task.stop());
+    this.scheduledTasks = [];
+  }
+
+  /**
+   * Create a draft issue
+   * @param {string} userId - The editor's user ID
+   * @param {Object} data - Issue fields
+   * @returns {Promise<Object>} The new issue
+   */
+  async createIssue(userId, data) {
+    const fields = this.pickEditable(data);
+    fields.sections = this.buildSections(fields.sections || []);
+    fields.slug = await this.uniqueSlug(fields.slug || fields.title);
+    fields.content = fields.content || this.composeContent(fields.sections);
+
+    if (!fields.content) {
+      throw createError('ValidationError', 'An issue needs content or at least one section', 400);
+    }
+
+    const issue = new Newsletter({ ...fields, userId, status: 'draft' });
+    await issue.save();
+
+    this.logger.info(`Newsletter draft created: ${issue._id}`);
+    return issue;
+  }
+
+  /**
+   * List issues visible to a user: everything sent plus their own drafts.
+   * Admins see every issue.
+   * @param {Object} user - The requesting user
+   * @param {Object} filters - status, tag, category, search, page, limit
+   * @returns {Promise<Object>} Issues and pagination
+   */
+  async listIssues(user, { status, tag, category, search, page = 1, limit = 10 } = {}) {
+    const query = { deletedAt: null };
+
+    if (user.role !== 'admin') {
+      query.$or = [{ status: 'sent' }, { userId: user._id }];
+    }
+    if (status) {
+      query.status = status;
+    }
+    if (tag) {
+      query.tags = tag;
+    }
+    if (category) {
+      query.category = category;
+    }
+    if (search) {
+      query.$text = { $search: search };
+    }
+
+    const [issues, total] = await Promise.all([
+      Newsletter.find(query)
+        .sort({ sentAt: -1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Newsletter.countDocuments(query)
+    ]);
+
+    return {
+      issues,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Find an issue by ID or slug. Drafts are only visible to their editor and admins.
+   * @param {string} idOrSlug - The issue ID or slug
+   * @param {Object} user - The requesting user
+   * @returns {Promise<Object>} The issue
+   */
+  async getIssue(idOrSlug, user) {
+    const lookup = /^[a-f0-9]{24}$/i.test(idOrSlug) ? { _id: idOrSlug } : { slug: String(idOrSlug).toLowerCase() };
+    const issue = await Newsletter.findOne({ ...lookup, deletedAt: null });
+
+    if (!issue || (issue.status !== 'sent' && !this.canEdit(issue, user))) {
+      throw createError('NotFoundError', 'Newsletter not found', 404);
+    }
+
+    return issue;
+  }
+
+  /**
+   * Read a published issue as a subscriber, counting the view
+   * @param {string} idOrSlug - The issue ID or slug
+   * @param {Object} user - The requesting user
+   * @returns {Promise<Object>} The issue in the shape the Newsletter component renders
+   */
+  async readIssue(idOrSlug, user) {
+    const issue = await this.getIssue(idOrSlug, user);
+
+    if (issue.status === 'sent' && !this.canEdit(issue, user)) {
+      await Newsletter.updateOne({ _id: issue._id }, { $inc: { 'metrics.views': 1 } });
+      issue.metrics.views += 1;
+    }
+
+    const author = await User.findById(issue.userId).select('firstName lastName avatar bio').lean();
+    const payload = this.serializeIssue(issue, author);
+    this.rememberServedContent(payload);
+
+    return payload;
+  }
+
+  /**
+   * Update a draft or scheduled issue
+   * @param {string} id - The issue ID
+   * @param {Object} user - The requesting user
+   * @param {Object} changes - Fields to update
+   * @returns {Promise<Object>} The updated issue
+   */
+  async updateIssue(id, user, changes) {
+    const issue = await this.getEditableIssue(id, user);
+
+    if (!['draft', 'scheduled'].includes(issue.status)) {
+      throw createError('ConflictError', `Cannot edit an issue that is ${issue.status}`, 409);
+    }
+
+    const fields = this.pickEditable(changes);
+    if (fields.sections) {
+      fields.sections = this.buildSections(fields.sections);
+    }
+    if (fields.slug && slugify(fields.slug) !== issue.slug) {
+      fields.slug = await this.uniqueSlug(fields.slug, issue._id);
+    }
+
+    // The body follows the sections unless the editor supplied one
+    if (fields.sections && fields.content === undefined) {
+      fields.content = this.composeContent(fields.sections);
+    }
+
+    Object.assign(issue, fields);
+
+    await issue.save();
+    return issue;
+  }
+
+  /**
+   * Send an issue now, or schedule it for later
+   * @param {string} id - The issue ID
+   * @param {Object} user - The requesting user
+   * @param {Object} options - Optional scheduledFor date
+   * @returns {Promise<Object>} The published or scheduled issue
+   */
+  async publishIssue(id, user, { scheduledFor } = {}) {
+    const issue = await this.getEditableIssue(id, user);
+
+    if (!['draft', 'scheduled'].includes(issue.status)) {
+      throw createError('ConflictError', `Cannot publish an issue that is ${issue.status}`, 409);
+    }
+    if (issue.sections.length === 0) {
+      throw createError('ValidationError', 'An issue needs at least one section before it can be published', 400);
+    }
+
+    if (scheduledFor) {
+      const sendAt = new Date(scheduledFor);
+      if (sendAt <= new Date()) {
+        throw createError('ValidationError', 'scheduledFor must be in the future', 400);
+      }
+
+      issue.status = 'scheduled';
+      issue.scheduledFor = sendAt;
+      await issue.save();
+
+      this.logger.info(`Newsletter ${issue._id} scheduled for ${sendAt.toISOString()}`);
+      return issue;
+    }
+
+    return this.markSent(issue);
+  }
+
+  /**
+   * Move an issue out of circulation. Archived issues stay readable by editors.
+   * @param {string} id - The issue ID
+   * @param {Object} user - The requesting user
+   * @returns {Promise<Object>} The archived issue
+   */
+  async archiveIssue(id, user) {
+    const issue = await this.getEditableIssue(id, user);
+
+    if (issue.status === 'archived') {
+      throw createError('ConflictError', 'Issue is already archived', 409);
+    }
+
+    issue.status = 'archived';
+    issue.archivedAt = new Date();
+    issue.scheduledFor = undefined;
+    await issue.save();
+
+    return issue;
+  }
+
+  /**
+   * Soft-delete an issue. Sent issues must be archived instead so links keep resolving.
+   * @param {string} id - The issue ID
+   * @param {Object} user - The requesting user
+   */
+  async deleteIssue(id, user) {
+    const issue = await this.getEditableIssue(id, user);
+
+    if (issue.sentAt) {
+      throw createError('ConflictError', 'Sent issues cannot be deleted; archive them instead', 409);
+    }
+
+    issue.deletedAt = new Date();
+    await issue.save();
+  }
+
+  async publishDueIssues() {
+    try {
+      const due = await Newsletter.find({
+        status: 'scheduled',
+        scheduledFor: { $lte: new Date() },
+        deletedAt: null
+      });
+
+      for (const issue of due) {
+        await this.markSent(issue);
+      }
+    } catch (error) {
+      this.logger.error('Failed to publish scheduled newsletters:', error);
+    }
+  }
+
+  async markSent(issue) {
+    const latest = await Newsletter.findOne({ edition: { $ne: null } }).sort({ edition: -1 }).select('edition').lean();
+
+    issue.status = 'sent';
+    issue.sentAt = new Date();
+    issue.scheduledFor = undefined;
+    issue.edition = issue.edition || ((latest && latest.edition) || 0) + 1;
+    await issue.save();
+
+    this.logger.info(`Newsletter ${issue._id} sent as edition ${issue.edition}`);
+    return issue;
+  }
+
+  async getEditableIssue(id, user) {
+    const issue = await Newsletter.findOne({ _id: id, deletedAt: null });
+
+    if (!issue || !this.canEdit(issue, user)) {
+      throw createError('NotFoundError', 'Newsletter not found', 404);
+    }
+
+    return issue;
+  }
+
+  canEdit(issue, user) {
+    return Boolean(user) && (user.role === 'admin' || String(issue.userId) === String(user._id));
+  }
+
+  pickEditable(data = {}) {
+    return EDITABLE_FIELDS.reduce((fields, field) => {
+      if (data[field] !== undefined) {
+        fields[field] = data[field];
+      }
+      return fields;
+    }, {});
+  }
+
+  /**
+   * Validate sections against the section modules and fill in their titles and icons
+   * @param {Array} sections - [{ sectionKey, content, title?, priority? }]
+   * @returns {Array} Sections in reading order
+   */
+  buildSections(sections) {
+    const seen = new Set();
+
+    return sections.map(section => {
+      const definition = SECTION_MODULES[section.sectionKey];
+      if (!definition) {
+        throw createError('ValidationError', `Unknown newsletter section: ${section.sectionKey}`, 400);
+      }
+      if (seen.has(section.sectionKey)) {
+        throw createError('ValidationError', `Section appears more than once: ${section.sectionKey}`, 400);
+      }
+      if (!section.content || !String(section.content).trim()) {
+        throw createError('ValidationError', `Section ${section.sectionKey} has no content`, 400);
+      }
+      seen.add(section.sectionKey);
+
+      return {
+        sectionKey: section.sectionKey,
+        title: section.title || definition.title,
+        icon: definition.icon,
+        priority: section.priority || 'medium',
+        content: String(section.content)
+      };
+    }).sort((a, b) => this.sectionOrder(a.sectionKey) - this.sectionOrder(b.sectionKey));
+  }
+
+  sectionOrder(sectionKey) {
+    return Object.keys(SECTION_MODULES).indexOf(sectionKey);
+  }
+
+  composeContent(sections) {
+    return sections.map(section => `## ${section.title}\n\n${section.content}`).join('\n\n');
+  }
+
+  async uniqueSlug(value, excludeId = null) {
+    const base = slugify(value);
+    if (!base) {
+      throw createError('ValidationError', 'A title or slug is required', 400);
+    }
+
+    let slug = base;
+    for (let suffix = 2; ; suffix++) {
+      const query = { slug };
+      if (excludeId) {
+        query._id = { $ne: excludeId };
+      }
+      if (!(await Newsletter.exists(query))) {
+        return slug;
+      }
+      slug = `${base}-${suffix}`;
+    }
+  }
+
+  /**
+   * Shape an issue for the Newsletter reader component
+   * @param {Object} issue - The issue
+   * @param {Object} author - The editor's public profile
+   * @returns {Object} JSON-safe payload
+   */
+  serializeIssue(issue, author) {
+    const { views = 0, shares = 0 } = issue.metrics || {};
+
+    return {
+      id: String(issue._id),
+      slug: issue.slug,
+      title: issue.title,
+      subtitle: issue.subtitle || issue.excerpt || '',
+      edition: issue.edition ? `Issue #${issue.edition}` : 'Draft',
+      status: issue.status,
+      date: new Date(issue.sentAt || issue.scheduledFor || issue.updatedAt || Date.now()).toISOString(),
+      author: {
+        name: author ? [author.firstName, author.lastName].filter(Boolean).join(' ') : 'Piper Dispatch',
+        avatar: (author && author.avatar) || null,
+        bio: (author && author.bio) || ''
+      },
+      sections: issue.sections.map(section => ({
+        id: section.sectionKey,
+        title: section.title,
+        icon: section.icon,
+        priority: section.priority,
+        content: section.content
+      })),
+      metrics: {
+        views,
+        shares,
+        engagement: views > 0 ? Math.round((shares / views) * 1000) / 10 : 0
+      },
+      tags: issue.tags || []
+    };
+  }
+
+  /**
+   * Record the hash of a payload as the client will compute it (SHA-256 of its JSON)
+   * @param {Object} payload - The serialized issue
+   * @returns {string} The content hash
+   */
+  rememberServedContent(payload) {
+    const now = Date.now();
+    const hash = crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+
+    for (const [servedHash, servedAt] of this.servedHashes) {
+      if (now - servedAt > CONTENT_HASH_TTL) {
+        this.servedHashes.delete(servedHash);
+      }
+    }
+    this.servedHashes.set(hash, now);
+
+    return hash;
+  }
+
+  /**
+   * Confirm that a payload hash was served by this API recently
+   * @param {string} contentHash - SHA-256 hex of the payload
+   * @returns {Object} isAuthentic and the time it was served
+   */
+  verifyContent(contentHash) {
+    const servedAt = this.servedHashes.get(String(contentHash).toLowerCase());
+
+    if (!servedAt || Date.now() - servedAt > CONTENT_HASH_TTL) {
+      return { isAuthentic: false, timestamp: null };
+    }
+
+    return { isAuthentic: true, timestamp: servedAt };
+  }
+}
+
+module.exports = NewsletterService;
+module.exports.SECTION_MODULES = SECTION_MODULES;
@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Asymmetric algorithms only; HS256 would make the client secret a signing key
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// An unknown key ID refetches the JWKS, but not more often than this
+const JWKS_MIN_REFRESH_MS = 60 * 1000;
+
+const createError = (name, message, status, code) => {
+  const error = new Error(message);
+  error.name = name;
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+const invalidIdToken = (message) => createError('SsoError', `Invalid ID token: ${message}`, 401, 'INVALID_ID_TOKEN');
+
+/**
+ * PKCE code verifier and its S256 challenge
+ * @returns {{codeVerifier: string, codeChallenge: string}}
+ */
+function createPkcePair() {
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  return {
+    codeVerifier,
+    codeChallenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url')
+  };
+}
+
+/**
+ * OpenID Connect relying party for the authorization code flow with PKCE.
+ * Provider settings come from discovery; ID tokens are checked against the
+ * provider's published keys.
+ */
+class OidcClient {
+  constructor(options = {}) {
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    // Seconds of clock difference tolerated on exp, iat and nbf
+    this.clockToleranceSeconds = options.clockToleranceSeconds ?? 60;
+    this.jwksCacheMs = options.jwksCacheMs ?? 60 * 60 * 1000;
+    this.jwksCache = new Map();
+  }
+
+  async getJson(url, init) {
+    const response = await this.fetch(url, { ...init, headers: { Accept: 'application/json', ...(init && init.headers) } });
+    const body = await response.json().catch(() => null);
+    if (!response.ok || !body) {
+      throw createError('SsoError', `Identity provider request failed (${response.status}): ${url}`, 502, 'SSO_PROVIDER_ERROR');
+    }
+    return body;
+  }
+
+  /**
+   * Read a provider's configuration from its discovery document
+   * @param {string} issuer
+   * @returns {Promise<Object>} Endpoints for a connection's `oidc.metadata`
+   */
+  async discover(issuer) {
+    const base = issuer.replace(/\/+$/, '');
+    const configuration = await this.getJson(`${base}/.well-known/openid-configuration`);
+
+    if (configuration.issuer !== issuer) {
+      throw createError('ValidationError', `Discovery document is for issuer ${configuration.issuer}, not ${issuer}`, 400, 'INVALID_SSO_METADATA');
+    }
+    if (!configuration.authorization_endpoint || !configuration.token_endpoint || !configuration.jwks_uri) {
+      throw createError('ValidationError', 'Discovery document is missing an endpoint', 400, 'INVALID_SSO_METADATA');
+    }
+    const methods = configuration.code_challenge_methods_supported;
+    if (methods && !methods.includes('S256')) {
+      throw createError('ValidationError', 'Provider does not support PKCE with S256', 400, 'INVALID_SSO_METADATA');
+    }
+
+    return {
+      authorizationEndpoint: configuration.authorization_endpoint,
+      tokenEndpoint: configuration.token_endpoint,
+      jwksUri: configuration.jwks_uri,
+      tokenEndpointAuthMethods: configuration.token_endpoint_auth_methods_supported || ['client_secret_basic']
+    };
+  }
+
+  /**
+   * URL that sends the browser to the provider to sign in
+   * @param {Object} oidc - The connection's OIDC settings
+   * @param {Object} request - state, nonce, codeChallenge and redirectUri
+   * @returns {string}
+   */
+  authorizationUrl(oidc, { state, nonce, codeChallenge, redirectUri }) {
+    const url = new URL(oidc.metadata.authorizationEndpoint);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', oidc.clientId);
+    url.searchParams.set('redirect_uri', redirectUri);
+    url.searchParams.set('scope', (oidc.scopes && oidc.scopes.length ? oidc.scopes : ['openid', 'email', 'profile']).join(' '));
+    url.searchParams.set('state', state);
+    url.searchParams.set('nonce', nonce);
+    url.searchParams.set('code_challenge', codeChallenge);
+    url.searchParams.set('code_challenge_method', 'S256');
+    return url.toString();
+  }
+
+  /**
+   * Exchange an authorization code for tokens at the token endpoint
+   * @param {Object} oidc - The connection's OIDC settings
+   * @param {Object} exchange - code, codeVerifier, redirectUri and the decrypted clientSecret
+   * @returns {Promise<Object>} The token response
+   */
+  async exchangeCode(oidc, { code, codeVerifier, redirectUri, clientSecret }) {
+    const form = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      code_verifier: codeVerifier
+    });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+    if (oidc.tokenEndpointAuthMethod === 'client_secret_post') {
+      form.set('client_id', oidc.clientId);
+      form.set('client_secret', clientSecret);
+    } else {
+      const encode = (value) => encodeURIComponent(value).replace(/%20/g, '+');
+      headers.Authorization = `Basic ${Buffer.from(`${encode(oidc.clientId)}:${encode(clientSecret)}`).toString('base64')}`;
+    }
+
+    const tokens = await this.getJson(oidc.metadata.tokenEndpoint, { method: 'POST', headers, body: form.toString() });
+    if (!tokens.id_token) {
+      throw createError('SsoError', 'Token response has no ID token', 502, 'SSO_PROVIDER_ERROR');
+    }
+    return tokens;
+  }
+
+  async getSigningKey(jwksUri, kid, now = Date.now()) {
+    const cached = this.jwksCache.get(jwksUri);
+    const find = (keys) => keys.find(key => key.kid === kid && (!key.use || key.use === 'sig'));
+
+    let key = cached && now - cached.fetchedAt < this.jwksCacheMs && find(cached.keys);
+    if (!key && !(cached && now - cached.fetchedAt < JWKS_MIN_REFRESH_MS)) {
+      const { keys } = await this.getJson(jwksUri);
+      this.jwksCache.set(jwksUri, { keys: keys || [], fetchedAt: now });
+      key = find(keys || []);
+    }
+    if (!key) {
+      throw invalidIdToken('signed with an unknown key');
+    }
+    return crypto.createPublicKey({ key, format: 'jwk' });
+  }
+
+  /**
+   * Verify an ID token's signature and claims
+   * @param {Object} oidc - The connection's OIDC settings
+   * @param {string} idToken
+   * @param {string} nonce - The nonce sent with the authorization request
+   * @returns {Promise<Object>} The token's claims
+   */
+  async verifyIdToken(oidc, idToken, nonce, now = new Date()) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !decoded.header.kid || !ID_TOKEN_ALGORITHMS.includes(decoded.header.alg)) {
+      throw invalidIdToken('unsupported or malformed token');
+    }
+
+    const key = await this.getSigningKey(oidc.metadata.jwksUri, decoded.header.kid, now.getTime());
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: ID_TOKEN_ALGORITHMS,
+        issuer: oidc.issuer,
+        audience: oidc.clientId,
+        clockTolerance: this.clockToleranceSeconds,
+        clockTimestamp: Math.floor(now.getTime() / 1000)
+      });
+    } catch (error) {
+      throw invalidIdToken(error.message);
+    }
+
+    if (!claims.sub || !claims.iat) {
+      throw invalidIdToken('missing sub or iat');
+    }
+    if (typeof claims.nonce !== 'string' || claims.nonce.length !== nonce.length ||
+      !crypto.timingSafeEqual(Buffer.from(claims.nonce), Buffer.from(nonce))) {
+      throw invalidIdToken('nonce does not match');
+    }
+    // A token for several audiences must name us as the party it was issued to
+    if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== oidc.clientId) {
+      throw invalidIdToken('issued to another party');
+    }
+    return claims;
+  }
+}
+
+module.exports = OidcClient;
+module.exports.createPkcePair = createPkcePair;
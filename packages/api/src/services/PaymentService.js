@@ -66,6 +66,39 @@ class PaymentService {
     }
   }
 
+  async findCustomersByUserId(userId) {
+    try {
+      const result = await this.stripe.customers.search({
+        query: `metadata['userId']:'${userId}'`
+      });
+
+      return result.data.map(customer => ({
+        id: customer.id,
+        email: customer.email,
+        name: customer.name
+      }));
+    } catch (error) {
+      logger.error('Stripe customer search error:', error);
+      throw new Error('Failed to search Stripe customers');
+    }
+  }
+
+  // Deleting a customer cancels its subscriptions immediately; Stripe keeps issued invoices
+  async deleteCustomer(customerId) {
+    try {
+      const deleted = await this.stripe.customers.del(customerId);
+
+      logger.info(`Stripe customer deleted: ${customerId}`);
+      return {
+        id: deleted.id,
+        deleted: deleted.deleted
+      };
+    } catch (error) {
+      logger.error('Stripe customer deletion error:', error);
+      throw new Error('Failed to delete Stripe customer');
+    }
+  }
+
   async createSubscription(customerId, planData) {
     try {
       const subscription = await this.stripe.subscriptions.create({
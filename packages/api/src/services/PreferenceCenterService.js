@@ -0,0 +1,331 @@
+const crypto = require('crypto');
+const winston = require('winston');
+const Subscriber = require('../models/Subscriber');
+const { EmailUnsubscribe } = require('../models/EmailTracking');
+const { EMAIL_VARIANTS } = require('./NewsletterRenderService');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// Topic ids offered on the signup form; stored as subscriber tags
+const SUBSCRIPTION_TOPICS = {
+  technology: 'Technology & Innovation',
+  business: 'Business & Finance',
+  security: 'Cybersecurity',
+  ai: 'Artificial Intelligence',
+  crypto: 'Cryptocurrency',
+  startups: 'Startups & Ventures',
+  policy: 'Policy & Regulation',
+  research: 'Research & Analysis'
+};
+
+const VARIANT_LABELS = {
+  standard: 'Standard',
+  adhd: 'ADHD-friendly: key message first, short sections',
+  dyslexia: 'Dyslexia-friendly: larger, well-spaced type',
+  asd: 'Structured: predictable layout, fewer visual extras'
+};
+
+// Suppressed addresses cannot be changed from a link in an email
+const LOCKED_STATUSES = ['bounced', 'complained'];
+
+const createError = (name, message, status) => {
+  const error = new Error(message);
+  error.name = name;
+  error.status = status;
+  return error;
+};
+
+const escapeHtml = (value) => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Per-recipient unsubscribe and preference links. Tokens are HMAC-signed and
+ * never expire, so links in old emails keep working (RFC 8058 one-click
+ * unsubscribe and the hosted preference center both use them).
+ */
+class PreferenceCenterService {
+  constructor(options = {}) {
+    this.tokenSecret = options.tokenSecret || process.env.UNSUBSCRIBE_TOKEN_SECRET ||
+      process.env.JWT_SECRET || 'test-jwt-secret-key';
+    this.baseUrl = options.baseUrl || process.env.API_URL || 'http://localhost:5000';
+
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+      ),
+      defaultMeta: { service: 'preference-center-service' },
+      transports: [
+        new winston.transports.File({ filename: 'logs/preference-center-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/preference-center.log' })
+      ]
+    });
+  }
+
+  sign(payload) {
+    return crypto.createHmac('sha256', this.tokenSecret).update(payload).digest('base64url');
+  }
+
+  /**
+   * Create the token for one recipient of one campaign
+   * @param {Object} campaign - The campaign (its owner is the audience)
+   * @param {string} email - The recipient's email
+   * @returns {string} The signed token
+   */
+  createToken(campaign, email) {
+    const payload = Buffer.from(JSON.stringify({
+      u: String(campaign.userId),
+      c: String(campaign._id),
+      e: email.toLowerCase()
+    })).toString('base64url');
+
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  /**
+   * Check a token's signature and decode it
+   * @param {string} token - The token from the link
+   * @returns {Object} userId, campaignId and email
+   */
+  verifyToken(token) {
+    const [payload, signature] = String(token || '').split('.');
+    const expected = payload ? this.sign(payload) : '';
+
+    if (!signature || signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      throw createError('ValidationError', 'This link is invalid or incomplete', 400);
+    }
+
+    try {
+      const { u, c, e } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      return { userId: u, campaignId: c, email: e };
+    } catch (error) {
+      throw createError('ValidationError', 'This link is invalid or incomplete', 400);
+    }
+  }
+
+  unsubscribeUrl(token) {
+    return `${this.baseUrl}/unsubscribe/${token}`;
+  }
+
+  preferencesUrl(token) {
+    return `${this.baseUrl}/preferences/${token}`;
+  }
+
+  /**
+   * Mail headers for Gmail and Yahoo one-click unsubscribe (RFC 2369 and RFC 8058)
+   * @param {string} token - The recipient's token
+   * @returns {Object} List-Unsubscribe and List-Unsubscribe-Post headers
+   */
+  listUnsubscribeHeaders(token) {
+    return {
+      'List-Unsubscribe': `<${this.unsubscribeUrl(token)}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    };
+  }
+
+  /**
+   * Unsubscribe the recipient a token was issued for. Repeating it is harmless.
+   * Recipients who were added to a campaign by hand get an audience record so
+   * later campaigns skip them too.
+   * @param {string} token - The recipient's token
+   * @param {Object} context - ipAddress, reason
+   * @returns {Promise<Object>} The subscriber
+   */
+  async unsubscribe(token, context = {}) {
+    const { userId, campaignId, email } = this.verifyToken(token);
+    let subscriber = await Subscriber.findOne({ userId, email });
+
+    if (subscriber && (subscriber.status === 'unsubscribed' || LOCKED_STATUSES.includes(subscriber.status))) {
+      return subscriber;
+    }
+
+    if (!subscriber) {
+      subscriber = new Subscriber({ userId, email, source: 'manual' });
+    }
+    subscriber.status = 'unsubscribed';
+    subscriber.unsubscribedAt = new Date();
+    subscriber.confirmation = undefined;
+    await subscriber.save();
+
+    await new EmailUnsubscribe({
+      email_id: campaignId,
+      subscriber_id: String(subscriber._id),
+      campaign_id: campaignId,
+      ip_address: context.ipAddress || 'unknown',
+      reason: context.reason || null
+    }).save();
+
+    this.logger.info(`Subscriber ${subscriber._id} unsubscribed from campaign ${campaignId} link`);
+    return subscriber;
+  }
+
+  /**
+   * Current preferences for the preference center
+   * @param {string} token - The recipient's token
+   * @returns {Promise<Object>} email, status, frequency, topics and emailVariant
+   */
+  async getPreferences(token) {
+    const { userId, email } = this.verifyToken(token);
+    const subscriber = await Subscriber.findOne({ userId, email }).lean();
+
+    return this.serializePreferences(email, subscriber);
+  }
+
+  /**
+   * Change preferences, optionally resubscribing
+   * @param {string} token - The recipient's token
+   * @param {Object} changes - frequency, topics, emailVariant, subscribed
+   * @returns {Promise<Object>} The updated preferences
+   */
+  async updatePreferences(token, changes) {
+    const { userId, email } = this.verifyToken(token);
+
+    if (changes.frequency !== undefined && !FREQUENCIES.includes(changes.frequency)) {
+      throw createError('ValidationError', `frequency must be one of ${FREQUENCIES.join(', ')}`, 400);
+    }
+    if (changes.emailVariant !== undefined && !EMAIL_VARIANTS.includes(changes.emailVariant)) {
+      throw createError('ValidationError', `emailVariant must be one of ${EMAIL_VARIANTS.join(', ')}`, 400);
+    }
+    const topics = changes.topics === undefined ? undefined : [].concat(changes.topics);
+    if (topics && topics.some(topic => !SUBSCRIPTION_TOPICS[topic])) {
+      throw createError('ValidationError', `topics must be drawn from ${Object.keys(SUBSCRIPTION_TOPICS).join(', ')}`, 400);
+    }
+
+    let subscriber = await Subscriber.findOne({ userId, email });
+    if (subscriber && LOCKED_STATUSES.includes(subscriber.status)) {
+      throw createError('ConflictError', 'This address can no longer receive email from us', 409);
+    }
+    if (!subscriber) {
+      subscriber = new Subscriber({ userId, email, source: 'manual' });
+    }
+
+    if (changes.frequency !== undefined) {
+      subscriber.frequency = changes.frequency;
+    }
+    if (changes.emailVariant !== undefined) {
+      subscriber.emailVariant = changes.emailVariant;
+    }
+    if (topics) {
+      // Topic tags are replaced; tags the sender added are kept
+      subscriber.tags = [
+        ...(subscriber.tags || []).filter(tag => !SUBSCRIPTION_TOPICS[tag]),
+        ...new Set(topics)
+      ];
+    }
+    if (changes.subscribed === true && subscriber.status !== 'subscribed') {
+      subscriber.status = 'subscribed';
+      subscriber.subscribedAt = new Date();
+      subscriber.unsubscribedAt = undefined;
+    } else if (changes.subscribed === false && subscriber.status !== 'unsubscribed') {
+      subscriber.status = 'unsubscribed';
+      subscriber.unsubscribedAt = new Date();
+    }
+
+    await subscriber.save();
+    this.logger.info(`Preferences updated for subscriber ${subscriber._id}`);
+
+    return this.serializePreferences(email, subscriber);
+  }
+
+  serializePreferences(email, subscriber) {
+    const tags = (subscriber && subscriber.tags) || [];
+
+    return {
+      email,
+      // A recipient with no audience record was hand-added to a campaign and is still receiving it
+      status: subscriber ? subscriber.status : 'subscribed',
+      frequency: (subscriber && subscriber.frequency) || 'weekly',
+      topics: tags.filter(tag => SUBSCRIPTION_TOPICS[tag]),
+      emailVariant: (subscriber && subscriber.emailVariant) || 'standard',
+      options: {
+        frequencies: FREQUENCIES,
+        topics: SUBSCRIPTION_TOPICS,
+        emailVariants: VARIANT_LABELS
+      }
+    };
+  }
+
+  /**
+   * Hosted preference center page. Works without JavaScript: the form posts back
+   * to the same URL.
+   */
+  renderPreferencePage(token, preferences, notice) {
+    const locked = LOCKED_STATUSES.includes(preferences.status);
+    const option = (name, value, label, checked, type = 'radio') =>
+      `<label class="option"><input type="${type}" name="${name}" value="${escapeHtml(value)}"${checked ? ' checked' : ''}> ${escapeHtml(label)}</label>`;
+
+    const form = locked
+      ? '<p>This address can no longer receive email from us.</p>'
+      : `<form method="post" action="/preferences/${escapeHtml(token)}">
+  <fieldset><legend>How often</legend>
+    ${FREQUENCIES.map(value => option('frequency', value, value[0].toUpperCase() + value.slice(1), preferences.frequency === value)).join('\n    ')}
+  </fieldset>
+  <fieldset><legend>Topics</legend>
+    ${Object.entries(SUBSCRIPTION_TOPICS).map(([value, label]) => option('topics', value, label, preferences.topics.includes(value), 'checkbox')).join('\n    ')}
+  </fieldset>
+  <fieldset><legend>Reading format</legend>
+    ${Object.entries(VARIANT_LABELS).map(([value, label]) => option('emailVariant', value, label, preferences.emailVariant === value)).join('\n    ')}
+  </fieldset>
+  ${preferences.status === 'subscribed' ? '' : '<input type="hidden" name="subscribed" value="true">'}
+  <button type="submit">${preferences.status === 'subscribed' ? 'Save preferences' : 'Resubscribe with these preferences'}</button>
+</form>
+${preferences.status === 'subscribed'
+    ? `<form method="post" action="/unsubscribe/${escapeHtml(token)}"><button type="submit" class="secondary">Unsubscribe from everything</button></form>`
+    : ''}`;
+
+    return this.renderPage('Email preferences', `
+<h1>Email preferences</h1>
+<p class="muted">${escapeHtml(preferences.email)}${preferences.status === 'subscribed' ? '' : ' · currently unsubscribed'}</p>
+${notice ? `<p class="notice" role="status">${escapeHtml(notice)}</p>` : ''}
+${form}`);
+  }
+
+  renderUnsubscribePage(token, { done = false, email } = {}) {
+    const body = done
+      ? `<h1>You're unsubscribed</h1>
+<p>${escapeHtml(email)} won't receive these emails any more.</p>
+<p><a href="/preferences/${escapeHtml(token)}">Changed your mind, or want fewer emails instead?</a></p>`
+      : `<h1>Unsubscribe</h1>
+<p>Stop sending emails to ${escapeHtml(email)}?</p>
+<form method="post" action="/unsubscribe/${escapeHtml(token)}"><button type="submit">Unsubscribe</button></form>
+<p><a href="/preferences/${escapeHtml(token)}">Or choose fewer emails, other topics or another reading format</a></p>`;
+
+    return this.renderPage(done ? 'Unsubscribed' : 'Unsubscribe', body);
+  }
+
+  renderPage(title, body) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)} · Piper Newsletter</title>
+<style>
+body { font-family: Arial, Helvetica, sans-serif; font-size: 17px; line-height: 1.6; color: #333; background: #f4f4f7; margin: 0; padding: 24px; }
+main { max-width: 560px; margin: 0 auto; background: #fff; padding: 32px; border-radius: 8px; }
+fieldset { border: 1px solid #e1e5e9; border-radius: 6px; margin: 0 0 20px; padding: 12px 16px; }
+legend { font-weight: 700; padding: 0 4px; }
+.option { display: block; padding: 4px 0; }
+button { font-size: 17px; padding: 10px 20px; border: 0; border-radius: 6px; background: #667eea; color: #fff; cursor: pointer; }
+button.secondary { background: none; color: #555; text-decoration: underline; padding: 10px 0; margin-top: 12px; }
+.muted { color: #6c757d; }
+.notice { background: #e8f5e9; border-left: 4px solid #28a745; padding: 8px 12px; }
+a { color: #667eea; }
+</style>
+</head>
+<body><main>${body}</main></body>
+</html>`;
+  }
+}
+
+module.exports = PreferenceCenterService;
+module.exports.FREQUENCIES = FREQUENCIES;
+module.exports.SUBSCRIPTION_TOPICS = SUBSCRIPTION_TOPICS;
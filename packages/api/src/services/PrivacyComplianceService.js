@@ -0,0 +1,566 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const winston = require('winston');
+const User = require('../models/User');
+const ConsentRecord = require('../models/ConsentRecord');
+const DataSubjectRequest = require('../models/DataSubjectRequest');
+const AccountErasureService = require('./AccountErasureService');
+
+const CONSENT_PURPOSES = {
+  essential: {
+    required: true,
+    description: 'Required for basic functionality',
+    setting: 'dataProcessing'
+  },
+  analytics: {
+    required: false,
+    description: 'Help us improve our service',
+    setting: 'analyticsTracking'
+  },
+  marketing: {
+    required: false,
+    description: 'Newsletters, promotions and personalized offers',
+    setting: 'marketingEmails'
+  },
+  cookies: {
+    required: false,
+    description: 'Non-essential cookies',
+    setting: 'cookieConsent'
+  },
+  personalization: {
+    required: false,
+    description: 'Customize your experience'
+  },
+  social: {
+    required: false,
+    description: 'Social media integration'
+  },
+  thirdParty: {
+    required: false,
+    description: 'Third-party services'
+  }
+};
+
+const REQUEST_TYPES = {
+  export: 'Access request: export a copy of my personal data',
+  rectify: 'Rectification request: correct my personal data',
+  erase: 'Erasure request: delete my personal data',
+  restrict: 'Restriction request: limit processing of my personal data'
+};
+
+const STATUS_TRANSITIONS = {
+  pending: ['verifying', 'processing', 'rejected', 'cancelled'],
+  verifying: ['processing', 'rejected', 'cancelled'],
+  processing: ['completed', 'rejected'],
+  completed: [],
+  rejected: [],
+  cancelled: []
+};
+
+const OPEN_STATUSES = ['pending', 'verifying', 'processing'];
+
+// Fields a rectification request may change on the user record
+const RECTIFIABLE_FIELDS = ['firstName', 'lastName', 'location', 'website', 'bio', 'preferences.language', 'preferences.timezone'];
+
+const RESPONSE_WINDOW_DAYS = 30;
+const MAX_EXTENSION_DAYS = 60;
+
+const createError = (name, message, status) => {
+  const error = new Error(message);
+  error.name = name;
+  error.status = status;
+  return error;
+};
+
+/**
+ * Consent ledger and GDPR data subject request workflow
+ */
+class PrivacyComplianceService {
+  constructor(options = {}) {
+    this.policyVersion = options.policyVersion || process.env.PRIVACY_POLICY_VERSION || '1.0';
+    this.hashSalt = options.hashSalt || process.env.PRIVACY_HASH_SALT || '';
+    this.erasureService = options.erasureService || new AccountErasureService();
+
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+      ),
+      defaultMeta: { service: 'privacy-compliance-service' },
+      transports: [
+        new winston.transports.File({ filename: 'logs/privacy-compliance-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/privacy-compliance.log' })
+      ]
+    });
+  }
+
+  /**
+   * Hash an identifier such as an IP address so it can be stored as evidence
+   * @param {string} value - The value to hash
+   * @returns {string|null} The salted SHA-256 hash
+   */
+  hashIdentifier(value) {
+    if (!value) return null;
+    return crypto.createHash('sha256').update(`${this.hashSalt}${value}`).digest('hex');
+  }
+
+  /**
+   * Get the current consent state for every purpose
+   * @param {string} userId - The user ID
+   * @returns {Promise<Object>} Consent state keyed by purpose
+   */
+  async getConsentStatus(userId) {
+    const [user, latestRecords] = await Promise.all([
+      User.findById(userId).select('privacySettings'),
+      ConsentRecord.aggregate([
+        { $match: { userId: this.toObjectId(userId) } },
+        { $sort: { version: -1 } },
+        { $group: { _id: '$purpose', record: { $first: '$$ROOT' } } }
+      ])
+    ]);
+
+    if (!user) {
+      throw createError('NotFoundError', 'User not found', 404);
+    }
+
+    const latestByPurpose = new Map(latestRecords.map(entry => [entry._id, entry.record]));
+    const settings = user.privacySettings || {};
+    const status = {};
+
+    Object.entries(CONSENT_PURPOSES).forEach(([purpose, config]) => {
+      const record = latestByPurpose.get(purpose);
+      let granted = config.required;
+
+      if (record) {
+        granted = record.granted;
+      } else if (config.setting && settings[config.setting] !== undefined) {
+        granted = settings[config.setting];
+      }
+
+      status[purpose] = {
+        granted,
+        required: config.required,
+        description: config.description,
+        version: record ? record.version : 0,
+        policyVersion: record ? record.policyVersion : null,
+        updatedAt: record ? record.recordedAt : null
+      };
+    });
+
+    return status;
+  }
+
+  /**
+   * Record consent changes as new ledger versions and sync User.privacySettings
+   * @param {string} userId - The user ID
+   * @param {Object} changes - Granted flags keyed by purpose
+   * @param {Object} context - ipAddress, userAgent, source and policyVersion
+   * @returns {Promise<Array>} The created consent records
+   */
+  async recordConsent(userId, changes, context = {}) {
+    const purposes = Object.keys(changes || {});
+    if (purposes.length === 0) {
+      throw createError('ValidationError', 'No consent changes provided', 400);
+    }
+
+    purposes.forEach(purpose => {
+      const config = CONSENT_PURPOSES[purpose];
+      if (!config) {
+        throw createError('ValidationError', `Unknown consent purpose: ${purpose}`, 400);
+      }
+      if (typeof changes[purpose] !== 'boolean') {
+        throw createError('ValidationError', `Consent for ${purpose} must be true or false`, 400);
+      }
+      if (config.required && !changes[purpose] && context.source !== 'data_subject_request') {
+        throw createError('ValidationError', `Consent for ${purpose} is required and cannot be withdrawn`, 400);
+      }
+    });
+
+    const currentStatus = await this.getConsentStatus(userId);
+    const ipHash = this.hashIdentifier(context.ipAddress);
+    const records = [];
+    const settingUpdates = {};
+
+    for (const purpose of purposes) {
+      const current = currentStatus[purpose];
+
+      // Only changes are written so the ledger stays a true history
+      if (current.version > 0 && current.granted === changes[purpose]) {
+        continue;
+      }
+
+      const record = new ConsentRecord({
+        userId,
+        purpose,
+        granted: changes[purpose],
+        version: current.version + 1,
+        policyVersion: context.policyVersion || this.policyVersion,
+        source: context.source || 'privacy_settings',
+        ipHash,
+        userAgent: context.userAgent || null
+      });
+
+      await record.save();
+      records.push(record);
+
+      const setting = CONSENT_PURPOSES[purpose].setting;
+      if (setting) {
+        settingUpdates[`privacySettings.${setting}`] = changes[purpose];
+      }
+    }
+
+    if (Object.keys(settingUpdates).length > 0) {
+      await User.findByIdAndUpdate(userId, { $set: settingUpdates });
+    }
+
+    this.logger.info(`Recorded ${records.length} consent change(s) for user ${userId}`);
+    return records;
+  }
+
+  /**
+   * Record consent for changes made through the flat privacy settings object
+   * @param {string} userId - The user ID
+   * @param {Object} settings - User.privacySettings fields
+   * @param {Object} context - Request context
+   * @returns {Promise<Array>} The created consent records
+   */
+  async recordSettingsChange(userId, settings, context = {}) {
+    const changes = {};
+
+    Object.entries(CONSENT_PURPOSES).forEach(([purpose, config]) => {
+      if (config.setting && typeof settings[config.setting] === 'boolean') {
+        changes[purpose] = settings[config.setting];
+      }
+    });
+
+    if (Object.keys(changes).length === 0) {
+      return [];
+    }
+
+    return this.recordConsent(userId, changes, context);
+  }
+
+  /**
+   * Get the versioned consent history for a user
+   * @param {string} userId - The user ID
+   * @param {string} purpose - Optional purpose filter
+   * @returns {Promise<Array>} Consent records, newest first
+   */
+  async getConsentHistory(userId, purpose = null) {
+    const query = { userId };
+    if (purpose) {
+      query.purpose = purpose;
+    }
+
+    return ConsentRecord.find(query).sort({ recordedAt: -1, version: -1 }).lean();
+  }
+
+  /**
+   * Open a data subject request
+   * @param {string} userId - The requesting user ID
+   * @param {string} type - export, rectify, erase or restrict
+   * @param {Object} options - description and details (e.g. rectification changes)
+   * @returns {Promise<Object>} The created request
+   */
+  async createDataSubjectRequest(userId, type, { description, details = {} } = {}) {
+    if (!REQUEST_TYPES[type]) {
+      throw createError('ValidationError', `Unknown request type: ${type}`, 400);
+    }
+
+    if (type === 'rectify') {
+      this.validateRectification(details.changes);
+    }
+
+    const openRequest = await DataSubjectRequest.findOne({
+      userId,
+      type,
+      status: { $in: OPEN_STATUSES }
+    });
+
+    if (openRequest) {
+      throw createError('ConflictError', `An open ${type} request already exists`, 409);
+    }
+
+    const receivedAt = new Date();
+    const request = new DataSubjectRequest({
+      userId,
+      type,
+      description: description || REQUEST_TYPES[type],
+      details,
+      receivedAt,
+      dueDate: new Date(receivedAt.getTime() + RESPONSE_WINDOW_DAYS * 24 * 60 * 60 * 1000),
+      auditTrail: [{
+        action: 'created',
+        toStatus: 'pending',
+        actorId: userId,
+        actorRole: 'data_subject'
+      }]
+    });
+
+    await request.save();
+
+    this.logger.info(`Data subject request ${request._id} (${type}) opened by user ${userId}`);
+    return request;
+  }
+
+  /**
+   * List a user's own data subject requests
+   * @param {string} userId - The user ID
+   * @returns {Promise<Array>} The requests, newest first
+   */
+  async listUserRequests(userId) {
+    return DataSubjectRequest.find({ userId }).sort({ receivedAt: -1 });
+  }
+
+  /**
+   * List requests for the DPO queue
+   * @param {Object} filters - status, type and overdue filters with pagination
+   * @returns {Promise<Object>} The requests and pagination metadata
+   */
+  async listRequests({ status, type, overdue, page = 1, limit = 20 } = {}) {
+    const query = {};
+
+    if (status) query.status = status;
+    if (type) query.type = type;
+    if (overdue) {
+      query.status = { $in: OPEN_STATUSES };
+      query.dueDate = { $lt: new Date() };
+    }
+
+    const [requests, total] = await Promise.all([
+      DataSubjectRequest.find(query)
+        .sort({ dueDate: 1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      DataSubjectRequest.countDocuments(query)
+    ]);
+
+    return {
+      requests,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get a single request
+   * @param {string} requestId - The request ID
+   * @param {string} userId - Restrict to this user's requests (optional)
+   * @returns {Promise<Object>} The request
+   */
+  async getRequest(requestId, userId = null) {
+    const query = { _id: requestId };
+    if (userId) {
+      query.userId = userId;
+    }
+
+    const request = await DataSubjectRequest.findOne(query);
+    if (!request) {
+      throw createError('NotFoundError', 'Data request not found', 404);
+    }
+
+    return request;
+  }
+
+  /**
+   * Move a request to a new status, recording the change in the audit trail
+   * @param {string} requestId - The request ID
+   * @param {string} toStatus - The target status
+   * @param {Object} actor - The acting user (id and role)
+   * @param {Object} options - note, resolution and result
+   * @returns {Promise<Object>} The updated request
+   */
+  async transitionRequest(requestId, toStatus, actor, { note, resolution, result, userId } = {}) {
+    const request = await this.getRequest(requestId, userId);
+    const fromStatus = request.status;
+
+    if (!STATUS_TRANSITIONS[fromStatus] || !STATUS_TRANSITIONS[fromStatus].includes(toStatus)) {
+      throw createError('ValidationError', `Cannot move request from ${fromStatus} to ${toStatus}`, 400);
+    }
+
+    if (toStatus === 'completed') {
+      const fulfilment = await this.fulfilRequest(request, actor);
+      request.result = result || fulfilment;
+      request.completedAt = new Date();
+    }
+
+    if (['rejected', 'cancelled'].includes(toStatus)) {
+      request.completedAt = new Date();
+    }
+
+    if (resolution) {
+      request.resolution = resolution;
+    }
+
+    request.status = toStatus;
+    request.auditTrail.push({
+      action: 'status_changed',
+      fromStatus,
+      toStatus,
+      actorId: actor.id,
+      actorRole: actor.role,
+      note
+    });
+
+    await request.save();
+
+    this.logger.info(`Data subject request ${request._id} moved from ${fromStatus} to ${toStatus} by ${actor.id}`);
+    return request;
+  }
+
+  /**
+   * Erase the user's account straight away once they have re-authenticated,
+   * recording it as a completed erasure request
+   * @param {string} userId - The user ID
+   * @returns {Promise<Object>} The completed request (result holds the certificate)
+   */
+  async eraseOwnAccount(userId) {
+    const actor = { id: userId, role: 'data_subject' };
+
+    let request = await DataSubjectRequest.findOne({
+      userId,
+      type: 'erase',
+      status: { $in: OPEN_STATUSES }
+    });
+
+    if (!request) {
+      request = await this.createDataSubjectRequest(userId, 'erase', {
+        description: 'Account deletion requested from privacy settings'
+      });
+    }
+
+    if (request.status !== 'processing') {
+      await this.transitionRequest(request._id, 'processing', actor, { note: 'Identity confirmed by password' });
+    }
+
+    return this.transitionRequest(request._id, 'completed', actor);
+  }
+
+  /**
+   * Extend the response deadline (GDPR Art. 12(3) allows up to two further months)
+   * @param {string} requestId - The request ID
+   * @param {number} days - Days to extend by
+   * @param {string} reason - Why the extension is needed
+   * @param {Object} actor - The acting user
+   * @returns {Promise<Object>} The updated request
+   */
+  async extendDeadline(requestId, days, reason, actor) {
+    const request = await this.getRequest(requestId);
+
+    if (!OPEN_STATUSES.includes(request.status)) {
+      throw createError('ValidationError', 'Only open requests can be extended', 400);
+    }
+
+    if (request.extension && request.extension.days) {
+      throw createError('ConflictError', 'Request deadline has already been extended', 409);
+    }
+
+    if (!Number.isInteger(days) || days < 1 || days > MAX_EXTENSION_DAYS) {
+      throw createError('ValidationError', `Extension must be between 1 and ${MAX_EXTENSION_DAYS} days`, 400);
+    }
+
+    request.dueDate = new Date(request.dueDate.getTime() + days * 24 * 60 * 60 * 1000);
+    request.extension = { days, reason, extendedAt: new Date() };
+    request.auditTrail.push({
+      action: 'deadline_extended',
+      actorId: actor.id,
+      actorRole: actor.role,
+      note: reason
+    });
+
+    await request.save();
+    return request;
+  }
+
+  /**
+   * Apply the effect of a completed request. Exports are produced by
+   * DataExportService; everything else is applied here.
+   * @param {Object} request - The request being completed
+   * @param {Object} actor - The acting user
+   * @returns {Promise<Object|null>} A summary of what was applied
+   */
+  async fulfilRequest(request, actor) {
+    switch (request.type) {
+      case 'rectify': {
+        const changes = this.validateRectification(request.details && request.details.changes);
+        const updates = {};
+        Object.entries(changes).forEach(([field, value]) => {
+          updates[field] = value;
+        });
+
+        await User.findByIdAndUpdate(request.userId, { $set: updates }, { runValidators: true });
+        return { rectifiedFields: Object.keys(updates) };
+      }
+      case 'restrict': {
+        await this.recordConsent(request.userId, {
+          analytics: false,
+          marketing: false,
+          personalization: false,
+          social: false,
+          thirdParty: false
+        }, { source: 'data_subject_request' });
+
+        await User.findByIdAndUpdate(request.userId, {
+          $set: { 'privacySettings.processingRestricted': true }
+        });
+        return { processingRestricted: true, restrictedBy: actor.id };
+      }
+      case 'erase': {
+        const certificate = await this.erasureService.eraseAccount(request.userId, {
+          requestId: request._id,
+          requestedBy: actor.role === 'data_subject' ? 'data_subject' : 'admin'
+        });
+        return { certificateId: certificate.certificateId, signature: certificate.signature };
+      }
+      default:
+        return null;
+    }
+  }
+
+  validateRectification(changes) {
+    if (!changes || typeof changes !== 'object' || Object.keys(changes).length === 0) {
+      throw createError('ValidationError', 'Rectification requests must list the fields to change', 400);
+    }
+
+    const invalidFields = Object.keys(changes).filter(field => !RECTIFIABLE_FIELDS.includes(field));
+    if (invalidFields.length > 0) {
+      throw createError('ValidationError', `Fields cannot be rectified: ${invalidFields.join(', ')}`, 400);
+    }
+
+    return changes;
+  }
+
+  /**
+   * Shape a request for the PrivacySettings component
+   * @param {Object} request - The request document
+   * @returns {Object} The serialized request
+   */
+  serializeRequest(request) {
+    return {
+      id: request._id,
+      type: request.type,
+      status: request.status,
+      description: request.description,
+      requestDate: request.receivedAt,
+      dueDate: request.dueDate,
+      completedDate: request.completedAt || null,
+      resolution: request.resolution || null,
+      result: request.result || null
+    };
+  }
+
+  toObjectId(id) {
+    return typeof id === 'string' ? new mongoose.Types.ObjectId(id) : id;
+  }
+}
+
+module.exports = PrivacyComplianceService;
+module.exports.CONSENT_PURPOSES = CONSENT_PURPOSES;
+module.exports.REQUEST_TYPES = REQUEST_TYPES;
+module.exports.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
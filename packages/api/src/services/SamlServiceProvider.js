@@ -0,0 +1,346 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { DOMParser } = require('@xmldom/xmldom');
+const { SignedXml } = require('xml-crypto');
+
+const PROTOCOL_NS = 'urn:oasis:names:tc:SAML:2.0:protocol';
+const ASSERTION_NS = 'urn:oasis:names:tc:SAML:2.0:assertion';
+const METADATA_NS = 'urn:oasis:names:tc:SAML:2.0:metadata';
+const HTTP_REDIRECT = 'urn:oasis:names:tc:SAML:2.0:bindings:HTTP-Redirect';
+const HTTP_POST = 'urn:oasis:names:tc:SAML:2.0:bindings:HTTP-POST';
+const STATUS_SUCCESS = 'urn:oasis:names:tc:SAML:2.0:status:Success';
+const BEARER = 'urn:oasis:names:tc:SAML:2.0:cm:bearer';
+const NAMEID_UNSPECIFIED = 'urn:oasis:names:tc:SAML:1.1:nameid-format:unspecified';
+const DSIG_NS = 'http://www.w3.org/2000/09/xmldsig#';
+const ELEMENT_NODE = 1;
+
+// The only algorithms a signature may use; xml-crypto would also take SHA-1
+const SIGNATURE_ALGORITHMS = [
+  'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256',
+  'http://www.w3.org/2001/04/xmldsig-more#rsa-sha512'
+];
+const DIGEST_ALGORITHMS = [
+  'http://www.w3.org/2001/04/xmlenc#sha256',
+  'http://www.w3.org/2001/04/xmlenc#sha512'
+];
+
+// Larger responses are refused before parsing
+const MAX_RESPONSE_BYTES = 256 * 1024;
+
+const createError = (name, message, status, code) => {
+  const error = new Error(message);
+  error.name = name;
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+const invalidResponse = (message) => createError('SsoError', `Invalid SAML response: ${message}`, 401, 'INVALID_SAML_RESPONSE');
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const failParse = (message) => {
+  throw new Error(message);
+};
+
+// SAML messages and metadata never need a DTD, so one is refused outright
+const parseXml = (xml) => {
+  if (/<!DOCTYPE/i.test(xml)) {
+    throw new Error('DOCTYPE is not allowed');
+  }
+  const document = new DOMParser({ errorHandler: { warning: failParse, error: failParse, fatalError: failParse } })
+    .parseFromString(xml, 'text/xml');
+  if (!document || !document.documentElement) {
+    throw new Error('no root element');
+  }
+  return document.documentElement;
+};
+
+const childElements = (element, namespaceURI, localName) => Array.from(element.childNodes)
+  .filter(node => node.nodeType === ELEMENT_NODE && node.namespaceURI === namespaceURI && node.localName === localName);
+
+const findElements = (element, namespaceURI, localName) => Array.from(element.getElementsByTagNameNS(namespaceURI, localName));
+
+const getAttribute = (element, name) => (element.hasAttribute(name) ? element.getAttribute(name) : null);
+
+const textContent = (node) => node.textContent || '';
+
+const pick = (algorithms, names) => Object.fromEntries(names.map(name => [name, algorithms[name]]));
+
+// Metadata holds base64 DER certificates; connections may also be configured with PEM
+const publicKey = (certificate) => new crypto.X509Certificate(
+  certificate.includes('-----BEGIN') ? certificate : Buffer.from(certificate, 'base64')
+).publicKey;
+
+/**
+ * Verify the enveloped signature on a Response or Assertion with one of the
+ * IdP's certificates. The signature must reference that element by its ID;
+ * xml-crypto refuses documents where the ID is not unique.
+ * @returns {Element|null} The element as it was signed, or null
+ */
+const verifiedElement = (xml, element, certificates) => {
+  const signatures = childElements(element, DSIG_NS, 'Signature');
+  const id = getAttribute(element, 'ID');
+  if (signatures.length !== 1 || !id) {
+    return null;
+  }
+
+  for (const certificate of certificates) {
+    try {
+      const signedXml = new SignedXml({ publicCert: publicKey(certificate), getCertFromKeyInfo: () => null });
+      signedXml.SignatureAlgorithms = pick(signedXml.SignatureAlgorithms, SIGNATURE_ALGORITHMS);
+      signedXml.HashAlgorithms = pick(signedXml.HashAlgorithms, DIGEST_ALGORITHMS);
+      signedXml.loadSignature(signatures[0]);
+      const references = signedXml.getReferences();
+      if (references.length !== 1 || references[0].uri !== `#${id}`) {
+        return null;
+      }
+      if (signedXml.checkSignature(xml)) {
+        // Read what was signed, not the posted document around it
+        const signed = parseXml(signedXml.getSignedReferences()[0]);
+        return signed.namespaceURI === element.namespaceURI && signed.localName === element.localName ? signed : null;
+      }
+    } catch (error) {
+      // Unusable certificate, unsupported algorithm or bad digest: try the next certificate
+    }
+  }
+  return null;
+};
+
+const onlyChild = (element, namespaceURI, localName) => {
+  const children = childElements(element, namespaceURI, localName);
+  return children.length === 1 ? children[0] : null;
+};
+
+/**
+ * SAML 2.0 service provider for SP-initiated login: AuthnRequests go out
+ * with the HTTP-Redirect binding and Responses come back to the assertion
+ * consumer service with HTTP-POST. One SP (one entity ID and ACS URL)
+ * serves every connection; each connection trusts its own IdP.
+ */
+class SamlServiceProvider {
+  constructor(options = {}) {
+    this.entityId = options.entityId;
+    this.acsUrl = options.acsUrl;
+    // Allowed difference between our clock and the IdP's
+    this.clockSkewMs = options.clockSkewMs ?? 3 * 60 * 1000;
+  }
+
+  /**
+   * Read the parts of IdP metadata a connection needs
+   * @param {string} xml - EntityDescriptor XML
+   * @returns {{entityId: string, ssoUrl: string, certificates: string[]}}
+   */
+  parseMetadata(xml) {
+    let root;
+    try {
+      root = parseXml(xml);
+    } catch (error) {
+      throw createError('ValidationError', `Unreadable SAML metadata: ${error.message}`, 400, 'INVALID_SSO_METADATA');
+    }
+
+    const entities = root.namespaceURI === METADATA_NS && root.localName === 'EntitiesDescriptor'
+      ? findElements(root, METADATA_NS, 'EntityDescriptor')
+      : [root];
+    const idps = entities.filter(entity => entity.namespaceURI === METADATA_NS &&
+      entity.localName === 'EntityDescriptor' &&
+      childElements(entity, METADATA_NS, 'IDPSSODescriptor').length);
+    if (idps.length !== 1) {
+      throw createError('ValidationError', 'SAML metadata must describe exactly one identity provider', 400, 'INVALID_SSO_METADATA');
+    }
+
+    const [entity] = idps;
+    const [descriptor] = childElements(entity, METADATA_NS, 'IDPSSODescriptor');
+    const redirect = childElements(descriptor, METADATA_NS, 'SingleSignOnService')
+      .find(service => getAttribute(service, 'Binding') === HTTP_REDIRECT);
+    const certificates = childElements(descriptor, METADATA_NS, 'KeyDescriptor')
+      .filter(key => (getAttribute(key, 'use') || 'signing') === 'signing')
+      .flatMap(key => findElements(key, DSIG_NS, 'X509Certificate'))
+      .map(certificate => textContent(certificate).replace(/\s+/g, ''))
+      .filter(Boolean);
+
+    if (!getAttribute(entity, 'entityID') || !redirect || !getAttribute(redirect, 'Location') || !certificates.length) {
+      throw createError('ValidationError', 'SAML metadata needs an entityID, an HTTP-Redirect sign-on service and a signing certificate', 400, 'INVALID_SSO_METADATA');
+    }
+
+    return {
+      entityId: getAttribute(entity, 'entityID'),
+      ssoUrl: getAttribute(redirect, 'Location'),
+      certificates
+    };
+  }
+
+  /**
+   * Metadata describing this service provider, for the IdP administrator
+   * @returns {string} EntityDescriptor XML
+   */
+  metadata() {
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<md:EntityDescriptor xmlns:md="${METADATA_NS}" entityID="${escapeXml(this.entityId)}">`,
+      `  <md:SPSSODescriptor AuthnRequestsSigned="false" WantAssertionsSigned="true" protocolSupportEnumeration="${PROTOCOL_NS}">`,
+      `    <md:NameIDFormat>${NAMEID_UNSPECIFIED}</md:NameIDFormat>`,
+      `    <md:AssertionConsumerService Binding="${HTTP_POST}" Location="${escapeXml(this.acsUrl)}" index="0" isDefault="true"/>`,
+      '  </md:SPSSODescriptor>',
+      '</md:EntityDescriptor>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * URL that sends the browser to the IdP with an AuthnRequest
+   * @param {Object} idp - The connection's SAML settings
+   * @param {Object} request
+   * @param {string} request.requestId - ID the Response must answer with InResponseTo
+   * @param {string} request.relayState - Returned unchanged with the Response
+   * @returns {string}
+   */
+  authorizationUrl(idp, { requestId, relayState, now = new Date() }) {
+    const authnRequest = [
+      `<samlp:AuthnRequest xmlns:samlp="${PROTOCOL_NS}" xmlns:saml="${ASSERTION_NS}"`,
+      ` ID="${escapeXml(requestId)}" Version="2.0" IssueInstant="${now.toISOString()}"`,
+      ` Destination="${escapeXml(idp.ssoUrl)}" AssertionConsumerServiceURL="${escapeXml(this.acsUrl)}" ProtocolBinding="${HTTP_POST}">`,
+      `<saml:Issuer>${escapeXml(this.entityId)}</saml:Issuer>`,
+      `<samlp:NameIDPolicy Format="${NAMEID_UNSPECIFIED}" AllowCreate="true"/>`,
+      '</samlp:AuthnRequest>'
+    ].join('');
+
+    const url = new URL(idp.ssoUrl);
+    url.searchParams.set('SAMLRequest', zlib.deflateRawSync(Buffer.from(authnRequest)).toString('base64'));
+    url.searchParams.set('RelayState', relayState);
+    return url.toString();
+  }
+
+  withinWindow(notBefore, notOnOrAfter, now) {
+    const time = now.getTime();
+    if (notBefore && !(Date.parse(notBefore) - this.clockSkewMs <= time)) {
+      return false;
+    }
+    return !notOnOrAfter || time < Date.parse(notOnOrAfter) + this.clockSkewMs;
+  }
+
+  /**
+   * Check a Response posted to the ACS and read its assertion. Only
+   * answers to our own requests are accepted, with exactly one assertion,
+   * signed (directly or through the Response) by one of the IdP's
+   * certificates. Signatures are checked with xml-crypto, and the assertion
+   * is read from the XML it verified. Encrypted assertions are not
+   * supported.
+   * @param {string} encodedResponse - The SAMLResponse form field
+   * @param {Object} idp - The connection's SAML settings: entityId and certificates
+   * @param {string} requestId - ID of the AuthnRequest this answers
+   * @returns {{nameId: string, sessionIndex: string|null, attributes: Object<string, string[]>}}
+   */
+  validateResponse(encodedResponse, idp, requestId, now = new Date()) {
+    const xml = Buffer.from(String(encodedResponse), 'base64');
+    if (!xml.length || xml.length > MAX_RESPONSE_BYTES) {
+      throw invalidResponse('missing or too large');
+    }
+
+    const xmlString = xml.toString('utf8');
+    let response;
+    try {
+      response = parseXml(xmlString);
+    } catch (error) {
+      throw invalidResponse(error.message);
+    }
+    if (response.namespaceURI !== PROTOCOL_NS || response.localName !== 'Response' || getAttribute(response, 'Version') !== '2.0') {
+      throw invalidResponse('not a SAML 2.0 Response');
+    }
+    if (getAttribute(response, 'InResponseTo') !== requestId) {
+      throw invalidResponse('it does not answer this login request');
+    }
+    const destination = getAttribute(response, 'Destination');
+    if (destination && destination !== this.acsUrl) {
+      throw invalidResponse('wrong destination');
+    }
+    const responseIssuer = onlyChild(response, ASSERTION_NS, 'Issuer');
+    if (responseIssuer && textContent(responseIssuer).trim() !== idp.entityId) {
+      throw invalidResponse('wrong issuer');
+    }
+
+    const status = onlyChild(response, PROTOCOL_NS, 'Status');
+    const statusCode = status && onlyChild(status, PROTOCOL_NS, 'StatusCode');
+    if (!statusCode || getAttribute(statusCode, 'Value') !== STATUS_SUCCESS) {
+      throw createError('SsoError', 'The identity provider did not sign the user in', 401, 'SSO_LOGIN_FAILED');
+    }
+
+    if (childElements(response, ASSERTION_NS, 'EncryptedAssertion').length) {
+      throw invalidResponse('encrypted assertions are not supported');
+    }
+    const assertions = childElements(response, ASSERTION_NS, 'Assertion');
+    if (assertions.length !== 1) {
+      throw invalidResponse('expected exactly one assertion');
+    }
+    let [assertion] = assertions;
+
+    // Every signature present must verify, and at least one must cover the assertion
+    const signed = [response, assertion]
+      .filter(element => childElements(element, DSIG_NS, 'Signature').length)
+      .map(element => verifiedElement(xmlString, element, idp.certificates));
+    if (!signed.length || signed.includes(null)) {
+      throw createError('SsoError', 'Invalid SAML response: signature does not verify', 401, 'INVALID_SAML_SIGNATURE');
+    }
+    const [signedRoot] = signed.slice(-1);
+    assertion = signedRoot.localName === 'Assertion' ? signedRoot : onlyChild(signedRoot, ASSERTION_NS, 'Assertion');
+    if (!assertion) {
+      throw invalidResponse('expected exactly one assertion');
+    }
+
+    const issuer = onlyChild(assertion, ASSERTION_NS, 'Issuer');
+    if (!issuer || textContent(issuer).trim() !== idp.entityId) {
+      throw invalidResponse('wrong assertion issuer');
+    }
+
+    const conditions = onlyChild(assertion, ASSERTION_NS, 'Conditions');
+    if (!conditions || !this.withinWindow(getAttribute(conditions, 'NotBefore'), getAttribute(conditions, 'NotOnOrAfter'), now)) {
+      throw invalidResponse('assertion is not valid at this time');
+    }
+    const restrictions = childElements(conditions, ASSERTION_NS, 'AudienceRestriction');
+    const forUs = restrictions.length > 0 && restrictions.every(restriction =>
+      childElements(restriction, ASSERTION_NS, 'Audience').some(audience => textContent(audience).trim() === this.entityId));
+    if (!forUs) {
+      throw invalidResponse('assertion is for another audience');
+    }
+
+    const subject = onlyChild(assertion, ASSERTION_NS, 'Subject');
+    const nameId = subject && onlyChild(subject, ASSERTION_NS, 'NameID');
+    const confirmed = subject && childElements(subject, ASSERTION_NS, 'SubjectConfirmation').some(confirmation => {
+      const data = onlyChild(confirmation, ASSERTION_NS, 'SubjectConfirmationData');
+      return getAttribute(confirmation, 'Method') === BEARER && data &&
+        getAttribute(data, 'Recipient') === this.acsUrl &&
+        getAttribute(data, 'InResponseTo') === requestId &&
+        getAttribute(data, 'NotOnOrAfter') &&
+        this.withinWindow(getAttribute(data, 'NotBefore'), getAttribute(data, 'NotOnOrAfter'), now);
+    });
+    if (!nameId || !textContent(nameId).trim() || !confirmed) {
+      throw invalidResponse('subject is missing or unconfirmed');
+    }
+
+    // Attribute names come from the IdP, so names like __proto__ must stay plain keys
+    const attributes = Object.create(null);
+    for (const statement of childElements(assertion, ASSERTION_NS, 'AttributeStatement')) {
+      for (const attribute of childElements(statement, ASSERTION_NS, 'Attribute')) {
+        const values = childElements(attribute, ASSERTION_NS, 'AttributeValue').map(value => textContent(value).trim());
+        [getAttribute(attribute, 'Name'), getAttribute(attribute, 'FriendlyName')]
+          .filter(Boolean)
+          .forEach(name => {
+            attributes[name] = (attributes[name] || []).concat(values);
+          });
+      }
+    }
+
+    const [authnStatement] = childElements(assertion, ASSERTION_NS, 'AuthnStatement');
+    return {
+      nameId: textContent(nameId).trim(),
+      sessionIndex: authnStatement ? getAttribute(authnStatement, 'SessionIndex') : null,
+      attributes
+    };
+  }
+}
+
+module.exports = SamlServiceProvider;
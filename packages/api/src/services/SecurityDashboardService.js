@@ -0,0 +1,434 @@
+const crypto = require('crypto');
+const path = require('path');
+const winston = require('winston');
+const SecurityHardeningService = require('./SecurityHardeningService');
+const VulnerabilityScannerService = require('./VulnerabilityScannerService');
+const ThreatResponse = require('../models/ThreatResponse');
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'security-dashboard' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/security-dashboard-error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'logs/security-dashboard-combined.log' })
+  ]
+});
+
+const TIME_RANGES = {
+  '1h': 60 * 60 * 1000,
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  '30d': 30 * 24 * 60 * 60 * 1000,
+  '90d': 90 * 24 * 60 * 60 * 1000
+};
+
+const THREAT_ACTIONS = {
+  acknowledge: 'acknowledged',
+  block: 'blocked',
+  resolve: 'resolved',
+  escalate: 'escalated'
+};
+
+const THREAT_SEVERITIES = ['critical', 'high'];
+const OPEN_THREAT_STATUSES = ['detected', 'escalated'];
+
+// Maps hardening-service vulnerability types onto the dashboard's metric names
+const THREAT_METRICS = {
+  sqlInjection: 'sqlInjectionThreats',
+  xss: 'xssThreats',
+  commandInjection: 'commandInjectionThreats',
+  pathTraversal: 'pathTraversalThreats',
+  ssrf: 'ssrfThreats',
+  xmlInjection: 'xxeThreats'
+};
+
+/**
+ * Aggregates security events, threat responses and vulnerability scans
+ * for the SecurityDashboard component
+ */
+class SecurityDashboardService {
+  constructor(options = {}) {
+    this.hardeningService = options.hardeningService || new SecurityHardeningService();
+    this.scannerService = options.scannerService || new VulnerabilityScannerService();
+    this.codebasePath = options.codebasePath || process.env.SECURITY_SCAN_PATH || path.resolve(__dirname, '..');
+    this.maxScanJobs = options.maxScanJobs || 20;
+    this.scanJobs = new Map();
+  }
+
+  /**
+   * Resolve a dashboard time range (e.g. "24h", "7d") into a date window
+   * @param {string} timeRange - The time range key
+   * @returns {Object} The start and end dates of the window
+   */
+  resolveTimeRange(timeRange = '24h') {
+    const duration = TIME_RANGES[timeRange] || TIME_RANGES['24h'];
+    const endDate = new Date();
+    const startDate = new Date(endDate.getTime() - duration);
+    return { startDate, endDate };
+  }
+
+  /**
+   * Slice a list into a page
+   * @param {Array} items - The full result list
+   * @param {Object} options - Page number and page size
+   * @returns {Object} The page data and pagination metadata
+   */
+  paginate(items, { page = 1, limit = 50 } = {}) {
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+    const start = (pageNumber - 1) * pageSize;
+
+    return {
+      data: items.slice(start, start + pageSize),
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total: items.length,
+        pages: Math.ceil(items.length / pageSize)
+      }
+    };
+  }
+
+  /**
+   * Get security events recorded within a time range, newest first
+   * @param {Object} filters - timeRange, eventType and severity filters
+   * @returns {Array} The matching security events
+   */
+  listEvents({ timeRange, eventType, severity } = {}) {
+    const { startDate, endDate } = this.resolveTimeRange(timeRange);
+
+    return this.hardeningService
+      .getSecurityEvents({ eventType, severity, startDate, endDate })
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  }
+
+  /**
+   * Get high and critical severity events as threats with their response status
+   * @param {Object} filters - timeRange, severity and status filters
+   * @returns {Promise<Array>} The threats
+   */
+  async listThreats({ timeRange, severity, status } = {}) {
+    const events = this.listEvents({ timeRange }).filter(event => THREAT_SEVERITIES.includes(event.severity));
+    const statuses = await this.getThreatStatuses(events.map(event => event.id));
+    let threats = events.map(event => this.toThreat(event, statuses.get(event.id)));
+
+    if (severity) {
+      threats = threats.filter(threat => threat.severity === severity);
+    }
+
+    if (status) {
+      threats = threats.filter(threat => threat.status === status);
+    }
+
+    return threats;
+  }
+
+  /**
+   * Get threats that still need a response, shaped as dashboard alerts
+   * @param {Object} filters - timeRange filter
+   * @returns {Promise<Array>} The open alerts
+   */
+  async listAlerts({ timeRange } = {}) {
+    return (await this.listThreats({ timeRange }))
+      .filter(threat => OPEN_THREAT_STATUSES.includes(threat.status))
+      .map(threat => ({
+        id: threat.id,
+        title: `${threat.severity.toUpperCase()}: ${threat.type.replace(/_/g, ' ')}`,
+        description: threat.vulnerabilities.length > 0
+          ? `Detected ${threat.vulnerabilities.join(', ')} from ${threat.sourceIp || 'unknown source'}`
+          : `Security event from ${threat.sourceIp || 'unknown source'}`,
+        severity: threat.severity,
+        status: threat.status,
+        timestamp: threat.timestamp
+      }));
+  }
+
+  /**
+   * Get vulnerabilities found by the latest completed scan within a time range
+   * @param {Object} filters - timeRange and severity filters
+   * @returns {Array} The vulnerabilities
+   */
+  listVulnerabilities({ timeRange, severity } = {}) {
+    const { startDate } = this.resolveTimeRange(timeRange);
+    const latestJob = this.getLatestCompletedScan();
+
+    if (!latestJob || new Date(latestJob.completedAt) < startDate) {
+      return [];
+    }
+
+    const results = this.scannerService.getScanResults(latestJob.scanId);
+    if (!results) {
+      return [];
+    }
+
+    let vulnerabilities = results.vulnerabilities.map((vulnerability, index) => ({
+      id: `${latestJob.scanId}-${index}`,
+      ...vulnerability,
+      file: path.relative(this.codebasePath, vulnerability.file),
+      discoveredAt: latestJob.completedAt
+    }));
+
+    if (severity) {
+      vulnerabilities = vulnerabilities.filter(vulnerability => vulnerability.severity === severity);
+    }
+
+    return vulnerabilities;
+  }
+
+  /**
+   * Compute the dashboard's summary metrics for a time range
+   * @param {Object} filters - timeRange filter
+   * @returns {Promise<Object>} The security metrics
+   */
+  async getMetrics({ timeRange } = {}) {
+    const events = this.listEvents({ timeRange });
+    const threats = await this.listThreats({ timeRange });
+    const latestJob = this.getLatestCompletedScan();
+
+    const metrics = {
+      totalEvents: events.length,
+      activeThreats: threats.filter(threat => OPEN_THREAT_STATUSES.includes(threat.status)).length,
+      blockedAttacks: threats.filter(threat => threat.status === 'blocked').length,
+      resolvedThreats: threats.filter(threat => threat.status === 'resolved').length,
+      totalVulnerabilities: latestJob ? latestJob.summary.totalVulnerabilities : 0,
+      riskScore: latestJob ? latestJob.riskScore : 0,
+      lastScanAt: latestJob ? latestJob.completedAt : null
+    };
+
+    Object.values(THREAT_METRICS).forEach(metric => {
+      metrics[metric] = 0;
+    });
+
+    threats.forEach(threat => {
+      threat.vulnerabilities.forEach(type => {
+        if (THREAT_METRICS[type]) {
+          metrics[THREAT_METRICS[type]]++;
+        }
+      });
+    });
+
+    metrics.securityScore = Math.max(0, Math.round(100 - metrics.riskScore - metrics.activeThreats * 2));
+
+    return metrics;
+  }
+
+  /**
+   * Record a response to a threat
+   * @param {string} threatId - The threat (security event) ID
+   * @param {string} action - acknowledge, block, resolve or escalate
+   * @param {Object} responder - The responding user ID and optional notes
+   * @returns {Promise<Object>} The stored threat response
+   */
+  async respondToThreat(threatId, action, { userId, notes } = {}) {
+    const status = THREAT_ACTIONS[action];
+    if (!status) {
+      throw new Error(`Unsupported threat action: ${action}`);
+    }
+
+    const event = this.hardeningService.getSecurityEvents().find(e => e.id === threatId);
+    if (!event) {
+      return null;
+    }
+
+    const threat = this.toThreat(event);
+    const response = new ThreatResponse({
+      threatId,
+      action,
+      status,
+      notes,
+      respondedBy: userId,
+      threat: {
+        type: threat.type,
+        severity: threat.severity,
+        sourceIp: threat.sourceIp,
+        detectedAt: threat.timestamp
+      }
+    });
+
+    await response.save();
+
+    this.hardeningService.logSecurityEvent('threat_response', {
+      threatId,
+      action,
+      userId: userId ? userId.toString() : null,
+      severity: 'low'
+    });
+
+    logger.info(`Threat ${threatId} ${status} by user ${userId}`);
+    return response;
+  }
+
+  /**
+   * Start a vulnerability scan in the background
+   * @param {Object} options - Scan options passed through to the scanner
+   * @param {string} requestedBy - The requesting user ID
+   * @returns {Object} The queued scan job
+   */
+  startScan(options = {}, requestedBy = null) {
+    const runningJob = Array.from(this.scanJobs.values()).find(job => job.status === 'running');
+    if (runningJob) {
+      return { job: this.serializeJob(runningJob), alreadyRunning: true };
+    }
+
+    const job = {
+      id: crypto.randomBytes(12).toString('hex'),
+      status: 'running',
+      requestedBy: requestedBy ? requestedBy.toString() : null,
+      options: {
+        includeDependencies: options.includeDependencies !== false,
+        maxFileSize: options.maxFileSize || '1mb'
+      },
+      startedAt: new Date().toISOString(),
+      completedAt: null,
+      scanId: null,
+      summary: null,
+      riskScore: null,
+      error: null
+    };
+
+    this.scanJobs.set(job.id, job);
+    this.pruneScanJobs();
+
+    job.promise = this.scannerService.scanCodebase(this.codebasePath, {
+      ...job.options,
+      generateReport: false
+    })
+      .then(results => {
+        job.status = 'completed';
+        job.scanId = results.scanId;
+        job.summary = results.summary;
+        job.riskScore = results.riskScore;
+        job.completedAt = new Date().toISOString();
+
+        this.hardeningService.logSecurityEvent('vulnerability_scan_completed', {
+          scanJobId: job.id,
+          totalVulnerabilities: results.summary.totalVulnerabilities,
+          severity: results.summary.critical > 0 ? 'high' : 'low'
+        });
+        logger.info(`Vulnerability scan job ${job.id} completed`);
+      })
+      .catch(error => {
+        job.status = 'failed';
+        job.error = error.message;
+        job.completedAt = new Date().toISOString();
+        logger.error(`Vulnerability scan job ${job.id} failed:`, error);
+      });
+
+    return { job: this.serializeJob(job), alreadyRunning: false };
+  }
+
+  /**
+   * Get a scan job by ID
+   * @param {string} jobId - The job ID
+   * @returns {Object|null} The scan job
+   */
+  getScanJob(jobId) {
+    const job = this.scanJobs.get(jobId);
+    return job ? this.serializeJob(job) : null;
+  }
+
+  /**
+   * List scan jobs, newest first
+   * @returns {Array} The scan jobs
+   */
+  listScanJobs() {
+    return Array.from(this.scanJobs.values())
+      .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt))
+      .map(job => this.serializeJob(job));
+  }
+
+  getLatestCompletedScan() {
+    return Array.from(this.scanJobs.values())
+      .filter(job => job.status === 'completed')
+      .sort((a, b) => new Date(b.completedAt) - new Date(a.completedAt))[0] || null;
+  }
+
+  /**
+   * Express middleware that records suspicious requests as security events.
+   * Only high and critical findings are recorded; requests are never blocked here.
+   * @returns {Function} The middleware
+   */
+  monitorRequests() {
+    return (req, res, next) => {
+      try {
+        const payload = JSON.stringify(req.query || {}) + JSON.stringify(req.body || {});
+        const check = this.hardeningService.checkForVulnerabilities(payload);
+        const userAgent = req.get('User-Agent') || '';
+        const maliciousAgent = this.hardeningService.vulnerabilityPatterns.maliciousUserAgents
+          .some(pattern => pattern.test(userAgent));
+
+        if ((check.found && THREAT_SEVERITIES.includes(check.severity)) || maliciousAgent) {
+          this.hardeningService.logSecurityEvent('threat_detected', {
+            vulnerabilities: maliciousAgent ? [...check.types, 'maliciousUserAgent'] : check.types,
+            path: req.originalUrl,
+            method: req.method,
+            ipAddress: req.ip,
+            userAgent,
+            userId: req.user ? req.user._id.toString() : null,
+            severity: maliciousAgent ? 'high' : check.severity
+          });
+        }
+      } catch (error) {
+        logger.error('Request threat inspection failed:', error);
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * Each threat's status is the one its latest response set
+   * @param {Array<string>} threatIds
+   * @returns {Promise<Map>} Status by threat ID, for threats with a response
+   */
+  async getThreatStatuses(threatIds) {
+    if (threatIds.length === 0) {
+      return new Map();
+    }
+
+    const latest = await ThreatResponse.aggregate([
+      { $match: { threatId: { $in: threatIds } } },
+      { $sort: { createdAt: -1 } },
+      { $group: { _id: '$threatId', status: { $first: '$status' } } }
+    ]);
+    return new Map(latest.map(({ _id, status }) => [_id, status]));
+  }
+
+  toThreat(event, status = 'detected') {
+    return {
+      id: event.id,
+      type: event.eventType,
+      severity: event.severity,
+      sourceIp: event.ipAddress,
+      userAgent: event.userAgent,
+      path: event.details.path || null,
+      vulnerabilities: event.details.vulnerabilities || [],
+      status,
+      timestamp: event.timestamp
+    };
+  }
+
+  serializeJob(job) {
+    const { promise, ...serialized } = job;
+    return serialized;
+  }
+
+  pruneScanJobs() {
+    const finished = Array.from(this.scanJobs.values())
+      .filter(job => job.status !== 'running')
+      .sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt));
+
+    while (this.scanJobs.size > this.maxScanJobs && finished.length > 0) {
+      this.scanJobs.delete(finished.shift().id);
+    }
+  }
+}
+
+module.exports = SecurityDashboardService;
+module.exports.SecurityDashboardService = SecurityDashboardService;
+module.exports.THREAT_ACTIONS = THREAT_ACTIONS;
@@ -491,6 +491,7 @@ class SecurityHardeningService {
   // Security Event Logging and Monitoring
   logSecurityEvent(eventType, details) {
     const securityEvent = {
+      id: crypto.randomBytes(8).toString('hex'),
       timestamp: new Date().toISOString(),
       eventType: eventType,
       severity: details.severity || 'medium',
@@ -107,6 +107,8 @@ class SecurityService {
       message = 'Too many requests from this IP',
       standardHeaders = true,
       legacyHeaders = false,
+      keyGenerator,
+      validate,
       handler = (req, res) => {
         res.status(429).json({
           error: 'Too many requests',
@@ -122,6 +124,8 @@ class SecurityService {
       message,
       standardHeaders,
       legacyHeaders,
+      ...(keyGenerator ? { keyGenerator } : {}),
+      ...(validate ? { validate } : {}),
       handler: (req, res) => {
         this.logSuspiciousActivity(req.ip, 'rate_limit_exceeded', {
           url: req.url,
@@ -0,0 +1,456 @@
+const winston = require('winston');
+const Subscriber = require('../models/Subscriber');
+const Segment = require('../models/Segment');
+const User = require('../models/User');
+const Subscription = require('../models/Subscription');
+const { EmailOpen, EmailClick } = require('../models/EmailTracking');
+const { EMAIL_VARIANTS } = require('./NewsletterRenderService');
+
+const VALUE_OPERATORS = ['eq', 'ne', 'in', 'notIn'];
+
+// Fields a segment rule can test, and the operators each accepts
+const SEGMENT_FIELDS = {
+  tags: { operators: ['includes', 'excludes', 'includesAny', 'includesAll'] },
+  plan: { operators: VALUE_OPERATORS, values: ['basic', 'premium', 'enterprise', 'none'] },
+  language: { operators: VALUE_OPERATORS },
+  timezone: { operators: [...VALUE_OPERATORS, 'startsWith'] },
+  neurodiversityMode: { operators: VALUE_OPERATORS, values: EMAIL_VARIANTS },
+  frequency: { operators: VALUE_OPERATORS, values: ['daily', 'weekly', 'monthly', 'none'] },
+  opened: { operators: ['withinDays', 'notWithinDays'], engagement: EmailOpen, dateField: 'opened_at' },
+  clicked: { operators: ['withinDays', 'notWithinDays'], engagement: EmailClick, dateField: 'clicked_at' }
+};
+
+const MAX_DEPTH = 5;
+const MAX_CONDITIONS = 50;
+
+const createError = (name, message, status) => {
+  const error = new Error(message);
+  error.name = name;
+  error.status = status;
+  return error;
+};
+
+const ruleError = (path, message) => createError('ValidationError', `Invalid segment rule at ${path}: ${message}`, 400);
+
+/**
+ * Audience segmentation. A rule is either a group ({ all: [...] }, { any: [...] },
+ * { not: rule }) or a condition ({ field, op, value }), e.g.
+ *
+ *   { all: [
+ *     { field: 'tags', op: 'includes', value: 'investor' },
+ *     { field: 'plan', op: 'in', value: ['premium', 'enterprise'] },
+ *     { field: 'opened', op: 'withinDays', value: 30 }
+ *   ] }
+ */
+class SegmentService {
+  constructor() {
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+      ),
+      defaultMeta: { service: 'segment-service' },
+      transports: [
+        new winston.transports.File({ filename: 'logs/segment-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/segment.log' })
+      ]
+    });
+  }
+
+  /**
+   * Check a rule tree, throwing a 400 ValidationError describing the first problem
+   * @param {Object} rules - The rule tree
+   * @returns {Object} The same rules
+   */
+  validateRules(rules) {
+    let conditions = 0;
+
+    const visit = (rule, path, depth) => {
+      if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        throw ruleError(path, 'expected an object');
+      }
+      if (depth > MAX_DEPTH) {
+        throw ruleError(path, `groups can be nested at most ${MAX_DEPTH} deep`);
+      }
+
+      const group = ['all', 'any'].find(key => key in rule);
+      if (group) {
+        if (!Array.isArray(rule[group]) || rule[group].length === 0) {
+          throw ruleError(path, `"${group}" must be a non-empty array`);
+        }
+        rule[group].forEach((child, index) => visit(child, `${path}.${group}[${index}]`, depth + 1));
+        return;
+      }
+      if ('not' in rule) {
+        visit(rule.not, `${path}.not`, depth + 1);
+        return;
+      }
+
+      conditions += 1;
+      if (conditions > MAX_CONDITIONS) {
+        throw ruleError(path, `a segment can have at most ${MAX_CONDITIONS} conditions`);
+      }
+
+      const field = SEGMENT_FIELDS[rule.field];
+      if (!field) {
+        throw ruleError(path, `unknown field "${rule.field}"`);
+      }
+      if (!field.operators.includes(rule.op)) {
+        throw ruleError(path, `"${rule.field}" does not support "${rule.op}"`);
+      }
+
+      const values = [].concat(rule.value);
+      if (field.engagement) {
+        if (!Number.isInteger(rule.value) || rule.value < 1 || rule.value > 365) {
+          throw ruleError(path, 'value must be a number of days between 1 and 365');
+        }
+      } else if (values.length === 0 || values.some(value => typeof value !== 'string' || !value)) {
+        throw ruleError(path, 'value must be a string or an array of strings');
+      } else if (['eq', 'ne', 'includes', 'excludes', 'startsWith'].includes(rule.op) && Array.isArray(rule.value)) {
+        throw ruleError(path, `"${rule.op}" takes a single value`);
+      } else if (field.values && values.some(value => !field.values.includes(value))) {
+        throw ruleError(path, `"${rule.field}" must be one of ${field.values.join(', ')}`);
+      }
+    };
+
+    visit(rules, 'rules', 0);
+    return rules;
+  }
+
+  /**
+   * Find the subscribed audience members that match a rule tree
+   * @param {string} userId - The audience owner
+   * @param {Object|null} rules - The rule tree; null matches every subscriber
+   * @returns {Promise<Array>} Matching subscribers with their resolved profile
+   */
+  async resolveSubscribers(userId, rules) {
+    if (rules) {
+      this.validateRules(rules);
+    }
+
+    const subscribers = await Subscriber.find({ userId, status: 'subscribed' }).lean();
+    const profiles = await this.buildProfiles(subscribers, rules);
+
+    return subscribers
+      .map((subscriber, index) => ({ ...subscriber, profile: profiles[index] }))
+      .filter(subscriber => !rules || this.evaluate(rules, subscriber.profile));
+  }
+
+  /**
+   * Count and sample a rule tree without saving it
+   * @param {string} userId - The audience owner
+   * @param {Object} rules - The rule tree
+   * @returns {Promise<Object>} count and the first matching subscribers
+   */
+  async previewRules(userId, rules, sampleSize = 10) {
+    const matches = await this.resolveSubscribers(userId, rules);
+
+    return {
+      count: matches.length,
+      sample: matches.slice(0, sampleSize).map(({ _id, email, firstName, lastName, profile }) => ({
+        id: _id, email, firstName, lastName, profile
+      }))
+    };
+  }
+
+  /**
+   * Work out who a campaign goes to. Called at send time so segments pick up
+   * subscribers who joined after the campaign was created. Hand-added recipients
+   * are kept and take precedence, unless they have since left the audience.
+   * @param {Object} campaign - The email campaign
+   * @returns {Promise<Array>} Campaign recipients
+   */
+  async resolveCampaignRecipients(campaign) {
+    const rules = await this.campaignRules(campaign.userId, campaign.segment);
+    const manual = await this.filterManualRecipients(campaign);
+
+    if (rules === undefined) {
+      return manual;
+    }
+
+    const subscribers = await this.resolveSubscribers(campaign.userId, rules);
+    const seen = new Set(manual.map(recipient => recipient.email));
+    const resolved = subscribers
+      .filter(subscriber => !seen.has(subscriber.email))
+      .map(subscriber => ({
+        subscriberId: String(subscriber._id),
+        email: subscriber.email,
+        firstName: subscriber.firstName || '',
+        lastName: subscriber.lastName || '',
+        variant: subscriber.profile.neurodiversityMode,
+        timezone: subscriber.profile.timezone,
+        status: 'pending'
+      }));
+
+    this.logger.info(`Campaign ${campaign._id} segment resolved to ${resolved.length} subscribers`);
+    return [...manual, ...resolved];
+  }
+
+  /**
+   * Drop hand-added recipients who unsubscribed or are suppressed, and apply the
+   * reading format they chose in the preference center
+   */
+  async filterManualRecipients(campaign) {
+    const recipients = (campaign.recipients || []).map(recipient =>
+      (typeof recipient.toObject === 'function' ? recipient.toObject() : recipient));
+
+    if (recipients.length === 0) {
+      return recipients;
+    }
+
+    const members = await Subscriber.find({
+      userId: campaign.userId,
+      email: { $in: recipients.map(recipient => recipient.email) }
+    }).select('email status emailVariant timezone').lean();
+    const byEmail = new Map(members.map(member => [member.email, member]));
+
+    return recipients
+      .filter(recipient => {
+        const member = byEmail.get(recipient.email);
+        return !member || member.status === 'subscribed';
+      })
+      .map(recipient => {
+        const member = byEmail.get(recipient.email);
+        return member
+          ? { ...recipient, subscriberId: String(member._id), variant: member.emailVariant || recipient.variant, timezone: member.timezone }
+          : recipient;
+      });
+  }
+
+  /**
+   * Turn a campaign's segment setting into a rule tree
+   * @returns {Promise<Object|null|undefined>} rules, null for everyone, undefined for hand-picked recipients only
+   */
+  async campaignRules(userId, segment = {}) {
+    const criteria = segment.criteria || {};
+
+    switch (segment.type) {
+      case 'all':
+        return null;
+      case 'tag': {
+        const tags = [].concat(criteria.tags || []);
+        if (tags.length === 0) {
+          throw createError('ValidationError', 'Tag segments need at least one tag', 400);
+        }
+        return { field: 'tags', op: 'includesAny', value: tags };
+      }
+      case 'custom':
+        return this.validateRules(criteria.rules);
+      case 'saved': {
+        if (!/^[a-f0-9]{24}$/i.test(String(criteria.segmentId))) {
+          throw createError('ValidationError', 'Saved segments need a valid segmentId', 400);
+        }
+        const saved = await Segment.findOne({ _id: criteria.segmentId, userId });
+        if (!saved) {
+          throw createError('NotFoundError', 'Segment not found', 404);
+        }
+        return saved.rules;
+      }
+      default:
+        return undefined;
+    }
+  }
+
+  async buildProfiles(subscribers, rules) {
+    const fields = rules ? this.collectFields(rules) : new Set();
+    const linkedIds = subscribers.filter(subscriber => subscriber.linkedUserId).map(subscriber => subscriber.linkedUserId);
+
+    // Linked accounts are always loaded: their email variant decides what each recipient receives
+    const [users, subscriptions] = linkedIds.length > 0
+      ? await Promise.all([
+        User.find({ _id: { $in: linkedIds } }).select('preferences neurodiversityProfile').lean(),
+        fields.has('plan')
+          ? Subscription.find({ userId: { $in: linkedIds }, status: 'active' }).select('userId plan').lean()
+          : []
+      ])
+      : [[], []];
+
+    const usersById = new Map(users.map(user => [String(user._id), user]));
+    const plansByUser = new Map(subscriptions.map(subscription => [String(subscription.userId), subscription.plan]));
+    const engagement = await this.loadEngagement(subscribers, rules);
+
+    return subscribers.map(subscriber => {
+      const accountId = subscriber.linkedUserId ? String(subscriber.linkedUserId) : null;
+      const user = accountId ? usersById.get(accountId) : null;
+      const preferences = (user && user.preferences) || {};
+
+      return {
+        tags: subscriber.tags || [],
+        plan: (accountId && plansByUser.get(accountId)) || 'none',
+        language: preferences.language || subscriber.language || null,
+        timezone: preferences.timezone || subscriber.timezone || null,
+        neurodiversityMode: subscriber.emailVariant ||
+          (user && user.neurodiversityProfile && user.neurodiversityProfile.emailVariant) || 'standard',
+        frequency: subscriber.frequency || 'none',
+        engagement: engagement.get(String(subscriber._id)) || new Set()
+      };
+    });
+  }
+
+  // One query per distinct engagement window used by the rules
+  async loadEngagement(subscribers, rules) {
+    const windows = new Map();
+    const collect = (rule) => {
+      if (rule.all || rule.any) {
+        (rule.all || rule.any).forEach(collect);
+      } else if (rule.not) {
+        collect(rule.not);
+      } else if (SEGMENT_FIELDS[rule.field].engagement) {
+        windows.set(`${rule.field}:${rule.value}`, rule);
+      }
+    };
+    if (rules) {
+      collect(rules);
+    }
+
+    const bySubscriber = new Map();
+    const subscriberIds = subscribers.map(subscriber => String(subscriber._id));
+
+    for (const [key, rule] of windows) {
+      const { engagement: Model, dateField } = SEGMENT_FIELDS[rule.field];
+      const since = new Date(Date.now() - rule.value * 24 * 60 * 60 * 1000);
+      // Opens and clicks by mail privacy proxies and link scanners are not engagement
+      const engaged = await Model.distinct('subscriber_id', {
+        subscriber_id: { $in: subscriberIds },
+        [dateField]: { $gte: since },
+        is_machine: { $ne: true }
+      });
+
+      engaged.forEach(subscriberId => {
+        if (!bySubscriber.has(subscriberId)) {
+          bySubscriber.set(subscriberId, new Set());
+        }
+        bySubscriber.get(subscriberId).add(key);
+      });
+    }
+
+    return bySubscriber;
+  }
+
+  collectFields(rule, fields = new Set()) {
+    if (rule.all || rule.any) {
+      (rule.all || rule.any).forEach(child => this.collectFields(child, fields));
+    } else if (rule.not) {
+      this.collectFields(rule.not, fields);
+    } else {
+      fields.add(rule.field);
+    }
+    return fields;
+  }
+
+  /**
+   * Evaluate a validated rule tree against a subscriber profile
+   * @param {Object} rule - The rule tree
+   * @param {Object} profile - From buildProfiles
+   * @returns {boolean} Whether the subscriber matches
+   */
+  evaluate(rule, profile) {
+    if (rule.all) {
+      return rule.all.every(child => this.evaluate(child, profile));
+    }
+    if (rule.any) {
+      return rule.any.some(child => this.evaluate(child, profile));
+    }
+    if (rule.not) {
+      return !this.evaluate(rule.not, profile);
+    }
+
+    const values = [].concat(rule.value);
+
+    switch (rule.op) {
+      case 'includes':
+        return profile.tags.includes(rule.value);
+      case 'excludes':
+        return !profile.tags.includes(rule.value);
+      case 'includesAny':
+        return values.some(value => profile.tags.includes(value));
+      case 'includesAll':
+        return values.every(value => profile.tags.includes(value));
+      case 'eq':
+        return profile[rule.field] === rule.value;
+      case 'ne':
+        return profile[rule.field] !== rule.value;
+      case 'in':
+        return values.includes(profile[rule.field]);
+      case 'notIn':
+        return !values.includes(profile[rule.field]);
+      case 'startsWith':
+        return typeof profile[rule.field] === 'string' && profile[rule.field].startsWith(rule.value);
+      case 'withinDays':
+        return profile.engagement.has(`${rule.field}:${rule.value}`);
+      case 'notWithinDays':
+        return !profile.engagement.has(`${rule.field}:${rule.value}`);
+      default:
+        return false;
+    }
+  }
+
+  async listSegments(userId) {
+    return Segment.find({ userId }).sort({ name: 1 }).lean();
+  }
+
+  async getSegment(userId, segmentId) {
+    const segment = await Segment.findOne({ _id: segmentId, userId });
+    if (!segment) {
+      throw createError('NotFoundError', 'Segment not found', 404);
+    }
+    return segment;
+  }
+
+  async createSegment(userId, { name, description, rules }) {
+    this.validateRules(rules);
+
+    if (await Segment.exists({ userId, name })) {
+      throw createError('ConflictError', 'A segment with that name already exists', 409);
+    }
+
+    const segment = new Segment({ userId, name, description, rules });
+    await segment.save();
+    return segment;
+  }
+
+  async updateSegment(userId, segmentId, changes) {
+    const segment = await this.getSegment(userId, segmentId);
+
+    if (changes.rules !== undefined) {
+      segment.rules = this.validateRules(changes.rules);
+      segment.markModified('rules');
+    }
+    if (changes.name !== undefined && changes.name !== segment.name) {
+      if (await Segment.exists({ userId, name: changes.name, _id: { $ne: segment._id } })) {
+        throw createError('ConflictError', 'A segment with that name already exists', 409);
+      }
+      segment.name = changes.name;
+    }
+    if (changes.description !== undefined) {
+      segment.description = changes.description;
+    }
+
+    await segment.save();
+    return segment;
+  }
+
+  async deleteSegment(userId, segmentId) {
+    const segment = await this.getSegment(userId, segmentId);
+    await segment.deleteOne();
+  }
+
+  /**
+   * Resolve a saved segment and remember its size
+   */
+  async resolveSegment(userId, segmentId) {
+    const segment = await this.getSegment(userId, segmentId);
+    const matches = await this.resolveSubscribers(userId, segment.rules);
+
+    segment.lastResolvedAt = new Date();
+    segment.lastResolvedCount = matches.length;
+    await segment.save();
+
+    return { segment, matches };
+  }
+}
+
+module.exports = SegmentService;
+module.exports.SEGMENT_FIELDS = SEGMENT_FIELDS;
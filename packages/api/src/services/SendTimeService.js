@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const winston = require('winston');
+const { EmailOpen } = require('../models/EmailTracking');
+
+// Opens older than this no longer say much about when someone reads their email
+const HISTORY_DAYS = 180;
+// Fewer opens than this and the subscriber's timezone is a better guess
+const MIN_OPENS = 3;
+// Local hour used when a subscriber has no usable open history
+const FALLBACK_LOCAL_HOUR = 9;
+const WINDOW_MS = 24 * 60 * 60 * 1000;
+const LOOKUP_CHUNK_SIZE = 1000;
+
+const DAY_MINUTES = 24 * 60;
+
+/**
+ * Minutes a timezone is ahead of UTC at the given moment, or null if the
+ * timezone is not one Intl knows
+ */
+const utcOffsetMinutes = (timezone, at) => {
+  try {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    }).formatToParts(at).reduce((values, part) => ({ ...values, [part.type]: Number(part.value) }), {});
+    const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+    return Math.round((local - Math.floor(at.getTime() / 60000) * 60000) / 60000);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Send-time optimisation: each recipient of an optimised campaign gets their
+ * email at the hour they usually open, at most 24 hours after the campaign
+ * is queued. Subscribers without enough opens get it in their local morning.
+ */
+class SendTimeService {
+  constructor() {
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+      ),
+      defaultMeta: { service: 'send-time-service' },
+      transports: [
+        new winston.transports.File({ filename: 'logs/send-time-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/send-time.log' })
+      ]
+    });
+  }
+
+  /**
+   * The UTC hour each subscriber opens most often. Open pixels are recorded
+   * under the subscriber ID, or the address for recipients without one.
+   * Machine opens happen on delivery, so they say nothing about the reader.
+   * @param {Array<string>} subscriberIds
+   * @returns {Promise<Map<string, number>>} Hour (0-23) per subscriber with enough opens
+   */
+  async learnOpenHours(subscriberIds) {
+    const since = new Date(Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1000);
+    const hours = new Map();
+
+    for (let i = 0; i < subscriberIds.length; i += LOOKUP_CHUNK_SIZE) {
+      const rows = await EmailOpen.aggregate([
+        {
+          $match: {
+            subscriber_id: { $in: subscriberIds.slice(i, i + LOOKUP_CHUNK_SIZE) },
+            opened_at: { $gte: since },
+            is_machine: { $ne: true }
+          }
+        },
+        { $group: { _id: { subscriberId: '$subscriber_id', hour: { $hour: '$opened_at' } }, count: { $sum: 1 } } }
+      ]);
+
+      const bySubscriber = new Map();
+      rows.forEach(({ _id, count }) => {
+        const counts = bySubscriber.get(_id.subscriberId) || new Array(24).fill(0);
+        counts[_id.hour] = count;
+        bySubscriber.set(_id.subscriberId, counts);
+      });
+
+      for (const [subscriberId, counts] of bySubscriber) {
+        if (counts.reduce((sum, count) => sum + count, 0) >= MIN_OPENS) {
+          // Ties go to the earlier hour
+          hours.set(subscriberId, counts.indexOf(Math.max(...counts)));
+        }
+      }
+    }
+
+    return hours;
+  }
+
+  /**
+   * When each recipient's email should go out
+   * @param {Array<Object>} recipients - With email, subscriberId and timezone
+   * @param {Date} now - Start of the 24 hour window
+   * @returns {Promise<Map<string, Date>>} Send time per normalised email
+   */
+  async scheduleRecipients(recipients, now = new Date()) {
+    const trackingId = (recipient) => recipient.subscriberId || String(recipient.email || '').trim().toLowerCase();
+    const openHours = await this.learnOpenHours([...new Set(recipients.map(trackingId))]);
+
+    let learned = 0;
+    const schedule = new Map(recipients.map(recipient => {
+      const email = String(recipient.email || '').trim().toLowerCase();
+      const openHour = openHours.get(trackingId(recipient));
+      if (openHour !== undefined) {
+        learned++;
+      }
+      const minuteOfDay = openHour !== undefined
+        ? openHour * 60
+        : this.localMorningUtc(recipient.timezone, now);
+      return [email, this.nextSendTime(minuteOfDay, email, now)];
+    }));
+
+    this.logger.info(`Scheduled ${schedule.size} recipients: ${learned} from open history, ${schedule.size - learned} by timezone`);
+    return schedule;
+  }
+
+  /**
+   * Minute of the UTC day that is FALLBACK_LOCAL_HOUR in the timezone.
+   * Unknown or missing timezones are treated as UTC.
+   */
+  localMorningUtc(timezone, now = new Date()) {
+    const offset = (timezone && utcOffsetMinutes(timezone, now)) || 0;
+    return (((FALLBACK_LOCAL_HOUR * 60 - offset) % DAY_MINUTES) + DAY_MINUTES) % DAY_MINUTES;
+  }
+
+  /**
+   * The next time after now that falls in the hour starting at minuteOfDay
+   * (UTC). Each address gets its own minute in that hour, so a popular hour
+   * does not turn into a single burst.
+   */
+  nextSendTime(minuteOfDay, email, now = new Date()) {
+    const spread = parseInt(crypto.createHash('sha256').update(email).digest('hex').slice(0, 8), 16) % 60;
+    const dayStart = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+
+    let sendAt = dayStart + (minuteOfDay + spread) * 60 * 1000;
+    while (sendAt < now.getTime()) {
+      sendAt += WINDOW_MS;
+    }
+    while (sendAt >= now.getTime() + WINDOW_MS) {
+      sendAt -= WINDOW_MS;
+    }
+    return new Date(sendAt);
+  }
+}
+
+module.exports = SendTimeService;
+module.exports.FALLBACK_LOCAL_HOUR = FALLBACK_LOCAL_HOUR;
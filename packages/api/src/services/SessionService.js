@@ -0,0 +1,389 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const winston = require('winston');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const CacheService = require('./CacheService');
+
+// Rotated refresh token hashes kept per session for reuse detection
+const MAX_ROTATED_HASHES = 50;
+
+// lastSeenAt is written at most this often per session
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Failed denylist writes are retried at most this often
+const DENYLIST_RETRY_MS = 5 * 1000;
+
+const DURATION_UNITS = { s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+
+const createError = (name, message, status, code) => {
+  const error = new Error(message);
+  error.name = name;
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Seconds in a duration such as "15m", "7d" or 900
+ */
+function parseDuration(value) {
+  const match = /^(\d+)\s*([smhd]?)$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid duration: ${value}`);
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2] || 's'];
+}
+
+/**
+ * Short device label from a user agent, e.g. "Firefox on Windows"
+ */
+function describeDevice(userAgent = '') {
+  const browsers = [['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//], ['Firefox', /Firefox\//], ['Safari', /Safari\//]];
+  const systems = [['iOS', /iPhone|iPad/], ['Android', /Android/], ['Windows', /Windows/], ['macOS', /Mac OS X/], ['Linux', /Linux/]];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) {
+    return userAgent ? 'Unknown device' : 'Unknown';
+  }
+  return [browser && browser[0], system && system[0]].filter(Boolean).join(' on ');
+}
+
+/**
+ * Server-side session registry. Logins get a short-lived access token and a
+ * refresh token that rotates on every use; revoked sessions go on a
+ * denylist in the cache so their access tokens stop working at once.
+ */
+class SessionService {
+  constructor(options = {}) {
+    this.tokenSecret = options.tokenSecret || process.env.JWT_SECRET || 'test-jwt-secret-key';
+    this.accessTokenTtl = parseDuration(options.accessTokenTtl || process.env.JWT_EXPIRES_IN || '15m');
+    this.refreshTokenTtl = parseDuration(options.refreshTokenTtl || process.env.JWT_REFRESH_EXPIRES_IN || '7d');
+    this.sessionMaxAge = parseDuration(options.sessionMaxAge || process.env.SESSION_MAX_AGE || '30d');
+    this.hashSalt = options.hashSalt || process.env.PRIVACY_HASH_SALT || '';
+    this.cacheService = options.cacheService || null;
+
+    // Revoked sessions whose denylist write failed, mapped to when their last
+    // access token expires. isRevoked asks the session record about these.
+    this.pendingDenylist = new Map();
+    this.denylistRetryAt = 0;
+
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+      ),
+      defaultMeta: { service: 'session-service' },
+      transports: [
+        new winston.transports.File({ filename: 'logs/session-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/session.log' })
+      ]
+    });
+  }
+
+  hashIdentifier(value) {
+    if (!value) return null;
+    return sha256(`${this.hashSalt}${value}`);
+  }
+
+  // Created on first use, so loading this module does not connect to Redis
+  getCacheService() {
+    if (!this.cacheService) {
+      this.cacheService = new CacheService();
+    }
+    return this.cacheService;
+  }
+
+  createRefreshToken(sessionId) {
+    return `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+  }
+
+  /**
+   * Access token for a session
+   * @param {Object} user - The user document
+   * @param {Object} session - The session, with _id and twoFactorVerified
+   * @returns {string}
+   */
+  issueAccessToken(user, session) {
+    return jwt.sign(
+      {
+        userId: user._id,
+        email: user.email,
+        role: user.role,
+        sid: String(session._id),
+        twoFactorVerified: !!session.twoFactorVerified
+      },
+      this.tokenSecret,
+      { expiresIn: this.accessTokenTtl }
+    );
+  }
+
+  tokens(user, session, refreshToken) {
+    return {
+      token: this.issueAccessToken(user, session),
+      refreshToken,
+      expiresIn: this.accessTokenTtl
+    };
+  }
+
+  /**
+   * Start a session after a successful login
+   * @param {Object} user - The user document
+   * @param {Object} context - userAgent and ipAddress
+   * @param {Object} options - twoFactorVerified, when the login passed a second factor
+   * @returns {Promise<Object>} token, refreshToken, expiresIn and the session
+   */
+  async createSession(user, context = {}, { twoFactorVerified = false } = {}) {
+    const now = new Date();
+    const _id = new mongoose.Types.ObjectId();
+    const refreshToken = this.createRefreshToken(_id);
+
+    const session = await Session.create({
+      _id,
+      userId: user._id,
+      refreshTokenHash: sha256(refreshToken),
+      device: {
+        name: describeDevice(context.userAgent),
+        userAgent: context.userAgent ? String(context.userAgent).slice(0, 512) : undefined
+      },
+      ipHash: this.hashIdentifier(context.ipAddress),
+      twoFactorVerified,
+      lastSeenAt: now,
+      lastRefreshedAt: now,
+      expiresAt: new Date(now.getTime() + this.sessionMaxAge * 1000)
+    });
+
+    this.logger.info(`Session ${_id} started for user ${user._id}`);
+    return { ...this.tokens(user, session, refreshToken), session };
+  }
+
+  /**
+   * Swap a refresh token for a new access token and refresh token. A token
+   * that was already rotated out means two parties hold the session, so the
+   * whole session is revoked.
+   * @param {string} refreshToken
+   * @param {Object} context - userAgent and ipAddress
+   * @returns {Promise<Object>} token, refreshToken and expiresIn
+   */
+  async refresh(refreshToken, context = {}, now = new Date()) {
+    const invalid = () => createError('AuthenticationError', 'Invalid refresh token', 401, 'INVALID_REFRESH_TOKEN');
+    const [sessionId] = String(refreshToken || '').split('.');
+    if (!/^[0-9a-f]{24}$/.test(sessionId)) {
+      throw invalid();
+    }
+
+    const session = await Session.findById(sessionId);
+    if (!session) {
+      throw invalid();
+    }
+
+    const hash = sha256(refreshToken);
+    if (hash !== session.refreshTokenHash) {
+      if (!session.rotatedTokenHashes.includes(hash)) {
+        throw invalid();
+      }
+      if (!session.revokedAt) {
+        await this.revokeSession(session._id, 'refresh_token_reuse');
+        this.logger.warn(`Refresh token reuse on session ${session._id} for user ${session.userId}; session revoked`);
+      }
+      throw createError('AuthenticationError', 'Refresh token already used. Please log in again.', 401, 'REFRESH_TOKEN_REUSED');
+    }
+
+    if (session.revokedAt) {
+      throw createError('AuthenticationError', 'Session has been revoked', 401, 'SESSION_REVOKED');
+    }
+    const idleLimit = session.lastRefreshedAt.getTime() + this.refreshTokenTtl * 1000;
+    if (session.expiresAt <= now || idleLimit <= now.getTime()) {
+      throw createError('AuthenticationError', 'Session expired. Please log in again.', 401, 'SESSION_EXPIRED');
+    }
+
+    const user = await User.findById(session.userId).select('-password');
+    if (!user || user.is_suspended || user.isActive === false) {
+      await this.revokeSession(session._id, 'account_disabled');
+      throw invalid();
+    }
+
+    const nextToken = this.createRefreshToken(session._id);
+    // Conditional on the old hash, so two refreshes racing with one token cannot both win
+    const { modifiedCount } = await Session.updateOne(
+      { _id: session._id, refreshTokenHash: hash, revokedAt: null },
+      {
+        $set: {
+          refreshTokenHash: sha256(nextToken),
+          lastRefreshedAt: now,
+          lastSeenAt: now,
+          ipHash: this.hashIdentifier(context.ipAddress) || session.ipHash
+        },
+        $push: { rotatedTokenHashes: { $each: [hash], $slice: -MAX_ROTATED_HASHES } }
+      }
+    );
+    if (!modifiedCount) {
+      await this.revokeSession(session._id, 'refresh_token_reuse');
+      this.logger.warn(`Concurrent refresh on session ${session._id} for user ${session.userId}; session revoked`);
+      throw createError('AuthenticationError', 'Refresh token already used. Please log in again.', 401, 'REFRESH_TOKEN_REUSED');
+    }
+
+    return this.tokens(user, session, nextToken);
+  }
+
+  /**
+   * Whether a session can no longer be used. The cache denylist answers
+   * without a database read; when Redis is down, a lookup fails or the
+   * session's denylist write has not gone through yet, the session record does.
+   * @param {string} sessionId
+   * @returns {Promise<boolean>}
+   */
+  async isRevoked(sessionId, now = Date.now()) {
+    await this.retryDenylist(now);
+
+    const cache = this.getCacheService();
+    if (cache.isConnected && !this.pendingDenylist.has(String(sessionId))) {
+      const denylisted = await cache.isDenylisted(String(sessionId));
+      if (denylisted !== null) {
+        return denylisted;
+      }
+    }
+
+    const session = await Session.findById(sessionId).select('revokedAt').lean();
+    return !session || !!session.revokedAt;
+  }
+
+  /**
+   * Revoke a session, ending its refresh token and access tokens
+   * @param {string} sessionId
+   * @param {string} reason - A Session revokedReason
+   * @param {Object} options - userId, to only revoke a session the user owns
+   * @returns {Promise<boolean>} Whether an active session was revoked
+   */
+  async revokeSession(sessionId, reason, { userId } = {}) {
+    const filter = { _id: sessionId, revokedAt: null };
+    if (userId) {
+      filter.userId = userId;
+    }
+
+    const { modifiedCount } = await Session.updateOne(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+    if (modifiedCount) {
+      await this.denylist([sessionId]);
+      this.logger.info(`Session ${sessionId} revoked: ${reason}`);
+    }
+    return modifiedCount > 0;
+  }
+
+  /**
+   * Log a user out everywhere
+   * @param {string} userId
+   * @param {string} reason - A Session revokedReason
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeAllSessions(userId, reason = 'logout_all') {
+    const active = await Session.find({ userId, revokedAt: null }).select('_id').lean();
+    const ids = active.map(session => session._id);
+    if (!ids.length) {
+      return 0;
+    }
+
+    await Session.updateMany({ _id: { $in: ids }, revokedAt: null }, { $set: { revokedAt: new Date(), revokedReason: reason } });
+    await this.denylist(ids);
+
+    this.logger.info(`Revoked ${ids.length} sessions for user ${userId}: ${reason}`);
+    return ids.length;
+  }
+
+  // A revoked session only needs denylisting until its last access token
+  // expires; failed writes stay pending until a retry gets them in
+  async denylist(sessionIds, now = Date.now()) {
+    const cache = this.getCacheService();
+    const results = await Promise.all(sessionIds.map(async (sessionId) => {
+      const id = String(sessionId);
+      const expiresAt = this.pendingDenylist.get(id) || now + this.accessTokenTtl * 1000;
+      const ttl = Math.ceil((expiresAt - now) / 1000);
+      if (ttl <= 0 || await cache.denylist(id, ttl)) {
+        this.pendingDenylist.delete(id);
+        return true;
+      }
+      this.pendingDenylist.set(id, expiresAt);
+      return false;
+    }));
+
+    const failed = results.filter(ok => !ok).length;
+    if (failed) {
+      this.logger.warn(`Could not denylist ${failed} revoked sessions; checking their session records until a retry succeeds`);
+    }
+  }
+
+  retryDenylist(now = Date.now()) {
+    if (!this.pendingDenylist.size || now < this.denylistRetryAt) {
+      return Promise.resolve();
+    }
+    this.denylistRetryAt = now + DENYLIST_RETRY_MS;
+    return this.denylist([...this.pendingDenylist.keys()], now);
+  }
+
+  /**
+   * Active sessions of a user, most recently used first
+   * @returns {Promise<Array<Object>>}
+   */
+  async listSessions(userId, now = new Date()) {
+    const sessions = await Session.find({ userId, revokedAt: null, expiresAt: { $gt: now } })
+      .sort({ lastSeenAt: -1 })
+      .lean();
+
+    return sessions.map(session => ({
+      id: String(session._id),
+      device: session.device,
+      twoFactorVerified: session.twoFactorVerified,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      expiresAt: session.expiresAt
+    }));
+  }
+
+  /**
+   * Record activity on a session, at most once a minute
+   */
+  touch(sessionId, now = new Date()) {
+    return Session.updateOne(
+      { _id: sessionId, lastSeenAt: { $lt: new Date(now.getTime() - TOUCH_INTERVAL_MS) } },
+      { $set: { lastSeenAt: now } }
+    ).catch(error => this.logger.error(`Failed to update last seen for session ${sessionId}:`, error));
+  }
+
+  /**
+   * Record that a session passed a two-factor check
+   * @returns {Promise<Object>} The session
+   */
+  async markTwoFactorVerified(sessionId) {
+    const session = await Session.findOneAndUpdate(
+      { _id: sessionId, revokedAt: null },
+      { $set: { twoFactorVerified: true } },
+      { new: true }
+    );
+    if (!session) {
+      throw createError('AuthenticationError', 'Session has been revoked', 401, 'SESSION_REVOKED');
+    }
+    return session;
+  }
+
+  /**
+   * Make a user's other sessions verify again, e.g. after two-factor is
+   * turned on
+   */
+  async clearTwoFactorVerified(userId, { except } = {}) {
+    await Session.updateMany(
+      { userId, _id: { $ne: except }, twoFactorVerified: true },
+      { $set: { twoFactorVerified: false } }
+    );
+  }
+}
+
+module.exports = SessionService;
+module.exports.SessionService = SessionService;
+module.exports.parseDuration = parseDuration;
+module.exports.describeDevice = describeDevice;
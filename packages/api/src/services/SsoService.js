@@ -0,0 +1,594 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const winston = require('winston');
+const SsoConnection = require('../models/SsoConnection');
+const SsoRequest = require('../models/SsoRequest');
+const Subscription = require('../models/Subscription');
+const User = require('../models/User');
+const OidcClient = require('./OidcClient');
+const SamlServiceProvider = require('./SamlServiceProvider');
+const SessionService = require('./SessionService');
+const TwoFactorService = require('./TwoFactorService');
+
+const { createPkcePair } = OidcClient;
+const { SSO_ROLES } = SsoConnection;
+
+const SECRET_FORMAT_VERSION = 'v1';
+
+const DEFAULT_ATTRIBUTE_MAPPING = {
+  oidc: { email: 'email', firstName: 'given_name', lastName: 'family_name', groups: 'groups' },
+  saml: { email: 'email', firstName: 'firstName', lastName: 'lastName', groups: 'groups' }
+};
+
+const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+const DOMAIN_VERIFICATION_PREFIX = 'piper-sso-verification=';
+
+// Existing accounts in these roles are only linked when their holder starts the link
+const LINK_CONFIRMATION_ROLES = ['admin', 'moderator'];
+
+const createError = (name, message, status, code) => {
+  const error = new Error(message);
+  error.name = name;
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+const domainOf = (email) => String(email).split('@').pop().toLowerCase();
+
+/**
+ * Enterprise single sign-on with OpenID Connect (authorization code with
+ * PKCE) and SAML 2.0 (SP-initiated). Connections are configured from the
+ * provider's metadata; people signing in are linked to an account by the
+ * provider's subject, or provisioned at first sign-in, with a role from
+ * their groups.
+ *
+ * The browser comes back from the provider to the API, which hands the
+ * frontend a single-use code to exchange for a session, so tokens never
+ * appear in a URL.
+ */
+class SsoService {
+  constructor(options = {}) {
+    const apiUrl = (options.apiUrl || process.env.API_URL || 'http://localhost:5000').replace(/\/+$/, '');
+
+    this.frontendUrl = options.frontendUrl || process.env.FRONTEND_URL || 'http://localhost:3000';
+    this.oidcRedirectUri = `${apiUrl}/api/auth/sso/oidc/callback`;
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this.resolveTxt = options.resolveTxt || ((hostname) => dns.promises.resolveTxt(hostname));
+    this.oidcClient = options.oidcClient || new OidcClient({ fetch: this.fetch });
+    this.samlProvider = options.samlProvider || new SamlServiceProvider({
+      entityId: `${apiUrl}/api/auth/sso/saml/metadata`,
+      acsUrl: `${apiUrl}/api/auth/sso/saml/acs`
+    });
+    this.sessionService = options.sessionService || new SessionService();
+    this.twoFactorService = options.twoFactorService || new TwoFactorService();
+    this.encryptionKey = crypto.createHash('sha256')
+      .update(options.encryptionKey || process.env.SSO_ENCRYPTION_KEY || process.env.JWT_SECRET || 'test-jwt-secret-key')
+      .digest();
+    // Time allowed at the identity provider, and for the frontend to redeem its code
+    this.requestTtlMs = options.requestTtlMs || 10 * 60 * 1000;
+    this.handoffTtlMs = options.handoffTtlMs || 60 * 1000;
+
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+      ),
+      defaultMeta: { service: 'sso-service' },
+      transports: [
+        new winston.transports.File({ filename: 'logs/sso-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/sso.log' })
+      ]
+    });
+  }
+
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey, iv);
+    const data = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [SECRET_FORMAT_VERSION, iv, cipher.getAuthTag(), data]
+      .map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+      .join('.');
+  }
+
+  decryptSecret(stored) {
+    const [version, iv, tag, data] = String(stored).split('.');
+    if (version !== SECRET_FORMAT_VERSION || !data) {
+      throw createError('SsoError', 'Unreadable SSO client secret', 500);
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKey, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+  }
+
+  async hasEnterprisePlan(userId) {
+    return Boolean(await Subscription.findOne({ userId, plan: 'enterprise', status: 'active' }));
+  }
+
+  normalizeDomains(domains) {
+    const normalized = [...new Set((domains || []).map(domain => String(domain).trim().toLowerCase()))];
+    if (!normalized.length || !normalized.every(domain => DOMAIN_PATTERN.test(domain))) {
+      throw createError('ValidationError', 'Connections need at least one valid email domain', 400, 'INVALID_SSO_DOMAIN');
+    }
+    return normalized;
+  }
+
+  /**
+   * Fill in the provider settings from its metadata: the OIDC discovery
+   * document, or SAML metadata given as XML or fetched from its URL
+   * @param {Object} connection - The connection document
+   * @param {string} metadataXml - SAML metadata, instead of fetching saml.metadataUrl
+   */
+  async ingestMetadata(connection, metadataXml, now = new Date()) {
+    if (connection.protocol === 'oidc') {
+      connection.oidc.metadata = await this.oidcClient.discover(connection.oidc.issuer);
+    } else {
+      let xml = metadataXml;
+      if (!xml) {
+        if (!connection.saml.metadataUrl) {
+          throw createError('ValidationError', 'SAML connections need metadata XML or a metadata URL', 400, 'INVALID_SSO_METADATA');
+        }
+        const response = await this.fetch(connection.saml.metadataUrl, { headers: { Accept: 'application/samlmetadata+xml, application/xml' } });
+        if (!response.ok) {
+          throw createError('SsoError', `Could not fetch SAML metadata (${response.status})`, 502, 'SSO_PROVIDER_ERROR');
+        }
+        xml = await response.text();
+      }
+      Object.assign(connection.saml, this.samlProvider.parseMetadata(xml));
+    }
+    connection.metadataRefreshedAt = now;
+  }
+
+  /**
+   * The TXT record a connection's domains need before it can claim them
+   */
+  domainVerificationRecord(connection) {
+    return `${DOMAIN_VERIFICATION_PREFIX}${connection.domainVerificationToken}`;
+  }
+
+  async hasTxtRecord(domain, expected) {
+    try {
+      const records = await this.resolveTxt(domain);
+      // Long TXT records arrive split into strings of up to 255 characters
+      return records.some(chunks => chunks.join('') === expected);
+    } catch (error) {
+      if (error.code === 'ENOTFOUND' || error.code === 'ENODATA') {
+        return false;
+      }
+      throw createError('SsoError', `Could not look up the TXT records of ${domain}`, 502, 'SSO_DNS_ERROR');
+    }
+  }
+
+  async saveConnection(connection) {
+    try {
+      return await connection.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw createError('ConflictError', 'A domain is already used by another SSO connection', 409, 'SSO_DOMAIN_TAKEN');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Set up a connection for an enterprise-plan account
+   * @param {Object} data - name, protocol, ownerId, domains, oidc or saml settings,
+   *   metadataXml (SAML), attributeMapping, roleMapping, defaultRole and jitProvisioning
+   * @param {Object} admin - The admin creating it
+   * @returns {Promise<Object>} The connection
+   */
+  async createConnection(data, admin, now = new Date()) {
+    if (!(await this.hasEnterprisePlan(data.ownerId))) {
+      throw createError('ForbiddenError', 'SSO is available on the enterprise plan', 403, 'SSO_PLAN_REQUIRED');
+    }
+
+    const connection = new SsoConnection({
+      name: data.name,
+      protocol: data.protocol,
+      ownerId: data.ownerId,
+      domains: [],
+      pendingDomains: this.normalizeDomains(data.domains),
+      attributeMapping: data.attributeMapping,
+      roleMapping: data.roleMapping,
+      defaultRole: data.defaultRole,
+      jitProvisioning: data.jitProvisioning,
+      createdBy: admin._id
+    });
+
+    if (data.protocol === 'oidc') {
+      const { issuer, clientId, clientSecret, tokenEndpointAuthMethod, scopes } = data.oidc || {};
+      if (!issuer || !clientId || !clientSecret) {
+        throw createError('ValidationError', 'OIDC connections need an issuer, client ID and client secret', 400, 'INVALID_SSO_CONNECTION');
+      }
+      connection.oidc = { issuer, clientId, clientSecret: this.encryptSecret(clientSecret), tokenEndpointAuthMethod, scopes };
+    } else {
+      connection.saml = { metadataUrl: data.saml && data.saml.metadataUrl };
+    }
+
+    await this.ingestMetadata(connection, data.metadataXml, now);
+    await this.saveConnection(connection);
+
+    this.logger.info(`SSO connection ${connection._id} (${connection.protocol}) created by ${admin._id} for ${connection.pendingDomains.join(', ')}`);
+    return connection;
+  }
+
+  async listConnections(filter = {}) {
+    return SsoConnection.find(filter).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Change a connection's domains, mappings or status, or its OIDC client
+   * @param {string} id
+   * @param {Object} changes
+   * @returns {Promise<Object|null>} The connection, or null if there is none
+   */
+  async updateConnection(id, changes) {
+    const connection = await SsoConnection.findById(id);
+    if (!connection) {
+      return null;
+    }
+
+    ['name', 'enabled', 'attributeMapping', 'roleMapping', 'defaultRole', 'jitProvisioning']
+      .filter(field => changes[field] !== undefined)
+      .forEach(field => { connection[field] = changes[field]; });
+    if (changes.domains) {
+      // Domains already verified stay verified; new ones wait for their TXT record
+      const requested = this.normalizeDomains(changes.domains);
+      connection.domains = connection.domains.filter(domain => requested.includes(domain));
+      connection.pendingDomains = requested.filter(domain => !connection.domains.includes(domain));
+    }
+    if (connection.protocol === 'oidc' && changes.oidc) {
+      ['clientId', 'tokenEndpointAuthMethod', 'scopes']
+        .filter(field => changes.oidc[field] !== undefined)
+        .forEach(field => { connection.oidc[field] = changes.oidc[field]; });
+      if (changes.oidc.clientSecret) {
+        connection.oidc.clientSecret = this.encryptSecret(changes.oidc.clientSecret);
+      }
+    }
+
+    await this.saveConnection(connection);
+    this.logger.info(`SSO connection ${id} updated`);
+    return connection;
+  }
+
+  /**
+   * Read the provider's metadata again, e.g. after it rotates keys
+   * @returns {Promise<Object|null>} The connection, or null if there is none
+   */
+  async refreshMetadata(id, metadataXml, now = new Date()) {
+    const connection = await SsoConnection.findById(id);
+    if (!connection) {
+      return null;
+    }
+    await this.ingestMetadata(connection, metadataXml, now);
+    await connection.save();
+    this.logger.info(`SSO connection ${id} metadata refreshed`);
+    return connection;
+  }
+
+  /**
+   * Claim the pending domains whose TXT records carry the connection's
+   * verification value
+   * @param {string} id
+   * @returns {Promise<Object|null>} The connection, or null if there is none
+   */
+  async verifyDomains(id) {
+    const connection = await SsoConnection.findById(id);
+    if (!connection) {
+      return null;
+    }
+
+    const expected = this.domainVerificationRecord(connection);
+    const verified = [];
+    for (const domain of connection.pendingDomains) {
+      if (await this.hasTxtRecord(domain, expected)) {
+        verified.push(domain);
+      }
+    }
+
+    if (verified.length) {
+      connection.domains = [...connection.domains, ...verified];
+      connection.pendingDomains = connection.pendingDomains.filter(domain => !verified.includes(domain));
+      await this.saveConnection(connection);
+      this.logger.info(`SSO connection ${id} verified ${verified.join(', ')}`);
+    }
+    return connection;
+  }
+
+  async deleteConnection(id) {
+    const connection = await SsoConnection.findByIdAndDelete(id);
+    if (connection) {
+      this.logger.info(`SSO connection ${id} deleted`);
+    }
+    return connection;
+  }
+
+  /**
+   * The connection an address signs in with, if its domain has one
+   * @param {string} email
+   * @returns {Promise<{connectionId: string, protocol: string, name: string}|null>}
+   */
+  async discover(email) {
+    const connection = await SsoConnection.findOne({ domains: domainOf(email), enabled: true });
+    return connection ? { connectionId: String(connection._id), protocol: connection.protocol, name: connection.name } : null;
+  }
+
+  async getUsableConnection(id) {
+    const connection = await SsoConnection.findById(id);
+    if (!connection || !connection.enabled) {
+      throw createError('NotFoundError', 'SSO connection not found', 404, 'SSO_CONNECTION_NOT_FOUND');
+    }
+    if (!(await this.hasEnterprisePlan(connection.ownerId))) {
+      throw createError('ForbiddenError', 'SSO is available on the enterprise plan', 403, 'SSO_PLAN_REQUIRED');
+    }
+    return connection;
+  }
+
+  /**
+   * Start signing in through a connection. The state must be kept in the
+   * browser and handed back with the provider's answer.
+   * @param {string} connectionId
+   * @param {Object} options - linkUserId, when a signed-in user is linking their account
+   * @returns {Promise<Object>} redirectUrl to send the browser to, the state and the protocol
+   */
+  async beginLogin(connectionId, { linkUserId = null } = {}, now = new Date()) {
+    const connection = await this.getUsableConnection(connectionId);
+    const state = randomToken();
+    const request = {
+      connectionId: connection._id,
+      protocol: connection.protocol,
+      linkUserId,
+      stateHash: sha256(state),
+      expiresAt: new Date(now.getTime() + this.requestTtlMs)
+    };
+
+    let redirectUrl;
+    if (connection.protocol === 'oidc') {
+      const { codeVerifier, codeChallenge } = createPkcePair();
+      request.nonce = randomToken();
+      request.codeVerifier = codeVerifier;
+      redirectUrl = this.oidcClient.authorizationUrl(connection.oidc, {
+        state,
+        nonce: request.nonce,
+        codeChallenge,
+        redirectUri: this.oidcRedirectUri
+      });
+    } else {
+      // SAML IDs must not start with a digit
+      request.samlRequestId = `_${crypto.randomBytes(20).toString('hex')}`;
+      redirectUrl = this.samlProvider.authorizationUrl(connection.saml, { requestId: request.samlRequestId, relayState: state, now });
+    }
+
+    await SsoRequest.create(request);
+    return { redirectUrl, state, protocol: connection.protocol };
+  }
+
+  // Claim or attribute names for each profile field, the protocol's usual ones unless configured
+  attributeMapping(connection) {
+    const configured = connection.attributeMapping || {};
+    return Object.fromEntries(Object.entries(DEFAULT_ATTRIBUTE_MAPPING[connection.protocol])
+      .map(([field, name]) => [field, configured[field] || name]));
+  }
+
+  // The login the provider is answering, which can be answered only once, in
+  // the browser that started it. Otherwise an attacker could start a login
+  // and have someone else's browser finish it, signing them in as the attacker.
+  async consumeRequest(state, browserState, protocol, now) {
+    const sameBrowser = typeof browserState === 'string' &&
+      crypto.timingSafeEqual(Buffer.from(sha256(String(state))), Buffer.from(sha256(browserState)));
+    if (!sameBrowser) {
+      throw createError('SsoError', 'Sign-in was started in another browser', 400, 'SSO_STATE_MISMATCH');
+    }
+
+    const request = await SsoRequest.findOneAndUpdate(
+      { stateHash: sha256(String(state)), protocol, completedAt: null, expiresAt: { $gt: now } },
+      { $set: { completedAt: now } },
+      { new: true }
+    );
+    if (!request) {
+      throw createError('SsoError', 'Sign-in request is invalid or has expired', 400, 'INVALID_SSO_STATE');
+    }
+    return request;
+  }
+
+  async issueHandoff(request, user, now) {
+    const code = randomToken();
+    await SsoRequest.updateOne(
+      { _id: request._id },
+      { $set: { userId: user._id, handoffHash: sha256(code), expiresAt: new Date(now.getTime() + this.handoffTtlMs) } }
+    );
+    return code;
+  }
+
+  /**
+   * Handle the OIDC redirect back from the provider
+   * @param {Object} params - code and state from the query string, and the
+   *   browserState kept by the browser
+   * @returns {Promise<string>} Code for the frontend to redeem
+   */
+  async completeOidc({ code, state, browserState }, now = new Date()) {
+    const request = await this.consumeRequest(state, browserState, 'oidc', now);
+    const connection = await this.getUsableConnection(request.connectionId);
+    const { oidc } = connection;
+
+    const tokens = await this.oidcClient.exchangeCode(oidc, {
+      code,
+      codeVerifier: request.codeVerifier,
+      redirectUri: this.oidcRedirectUri,
+      clientSecret: this.decryptSecret(oidc.clientSecret)
+    });
+    const claims = await this.oidcClient.verifyIdToken(oidc, tokens.id_token, request.nonce, now);
+    const mapping = this.attributeMapping(connection);
+
+    if (claims.email_verified === false) {
+      throw createError('SsoError', 'The identity provider has not verified this email address', 403, 'SSO_EMAIL_NOT_VERIFIED');
+    }
+    const groups = claims[mapping.groups];
+    const user = await this.provisionUser(connection, {
+      subject: claims.sub,
+      email: claims[mapping.email],
+      firstName: claims[mapping.firstName],
+      lastName: claims[mapping.lastName],
+      groups: Array.isArray(groups) ? groups : [groups].filter(Boolean)
+    }, { linkUserId: request.linkUserId }, now);
+
+    return this.issueHandoff(request, user, now);
+  }
+
+  /**
+   * Handle a SAML Response posted to the assertion consumer service
+   * @param {Object} params - SAMLResponse and RelayState from the form, and
+   *   the browserState kept by the browser
+   * @returns {Promise<string>} Code for the frontend to redeem
+   */
+  async completeSaml({ SAMLResponse, RelayState, browserState }, now = new Date()) {
+    const request = await this.consumeRequest(RelayState, browserState, 'saml', now);
+    const connection = await this.getUsableConnection(request.connectionId);
+
+    const assertion = this.samlProvider.validateResponse(SAMLResponse, connection.saml, request.samlRequestId, now);
+    const mapping = this.attributeMapping(connection);
+    const first = (name) => (assertion.attributes[name] || [])[0];
+
+    const user = await this.provisionUser(connection, {
+      subject: assertion.nameId,
+      // IdPs that send no email attribute usually use the address as the NameID
+      email: first(mapping.email) || assertion.nameId,
+      firstName: first(mapping.firstName),
+      lastName: first(mapping.lastName),
+      groups: assertion.attributes[mapping.groups] || []
+    }, { linkUserId: request.linkUserId }, now);
+
+    return this.issueHandoff(request, user, now);
+  }
+
+  /**
+   * The role a person's groups grant through a connection
+   * @param {Object} connection
+   * @param {string[]} groups
+   * @returns {string}
+   */
+  mapRole(connection, groups) {
+    const granted = (connection.roleMapping || [])
+      .filter(mapping => groups.includes(mapping.group))
+      .map(mapping => mapping.role);
+    return [connection.defaultRole || 'user', ...granted]
+      .reduce((highest, role) => (SSO_ROLES.indexOf(role) > SSO_ROLES.indexOf(highest) ? role : highest));
+  }
+
+  /**
+   * Find the account for an SSO sign-in, linking or creating one as needed.
+   * The address must be on one of the connection's verified domains, and an
+   * account already linked to another connection cannot be taken over.
+   * Admin and moderator accounts are only linked in a sign-in their holder
+   * started from their account. Roles follow the provider's groups at every
+   * sign-in, except for admins, who keep theirs.
+   * @param {Object} connection
+   * @param {Object} profile - subject, email, firstName, lastName and groups
+   * @param {Object} options - linkUserId, the account a link sign-in is for
+   * @returns {Promise<Object>} The user
+   */
+  async provisionUser(connection, profile, { linkUserId = null } = {}, now = new Date()) {
+    const email = String(profile.email || '').trim().toLowerCase();
+    if (!email.includes('@') || !connection.domains.includes(domainOf(email))) {
+      throw createError('ForbiddenError', 'This email address cannot sign in with this connection', 403, 'SSO_DOMAIN_NOT_ALLOWED');
+    }
+
+    let user = await User.findOne({ ssoConnectionId: connection._id, ssoSubject: String(profile.subject) });
+    if (!user) {
+      user = await User.findOne({ email });
+      if (user && user.ssoConnectionId && user.ssoSubject) {
+        throw createError('ConflictError', 'This account is linked to another single sign-on identity', 409, 'SSO_ACCOUNT_LINKED');
+      }
+      // Whoever runs the identity provider could otherwise take over a privileged account by its address
+      if (user && LINK_CONFIRMATION_ROLES.includes(user.role) && String(user._id) !== String(linkUserId)) {
+        throw createError('ForbiddenError', 'Sign in with your password and link single sign-on from your account first', 403, 'SSO_LINK_CONFIRMATION_REQUIRED');
+      }
+    }
+    if (linkUserId && (!user || String(user._id) !== String(linkUserId))) {
+      throw createError('ForbiddenError', 'This identity belongs to a different account', 403, 'SSO_LINK_MISMATCH');
+    }
+
+    if (!user) {
+      if (!connection.jitProvisioning) {
+        throw createError('ForbiddenError', 'No account exists for this address', 403, 'SSO_ACCOUNT_NOT_FOUND');
+      }
+      const fallbackName = email.split('@')[0];
+      user = new User({
+        email,
+        // Never told to anyone; the person signs in through the connection
+        password: randomToken(),
+        firstName: profile.firstName || fallbackName,
+        lastName: profile.lastName || fallbackName,
+        emailVerified: true,
+        emailVerifiedAt: now
+      });
+      this.logger.info(`Provisioning ${email} through SSO connection ${connection._id}`);
+    } else if (user.isActive === false || user.is_suspended) {
+      throw createError('ForbiddenError', 'Account is disabled', 403, 'ACCOUNT_DISABLED');
+    }
+
+    user.ssoConnectionId = connection._id;
+    user.ssoSubject = String(profile.subject);
+    user.lastSsoLoginAt = now;
+    user.lastLogin = now;
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = now;
+    }
+    if (user.role !== 'admin') {
+      user.role = this.mapRole(connection, profile.groups || []);
+    }
+
+    await user.save();
+    return user;
+  }
+
+  /**
+   * Exchange the frontend's single-use code for a session, or for a
+   * two-factor challenge if the user has two-factor on
+   * @param {string} code
+   * @param {Object} context - ipAddress and userAgent
+   * @returns {Promise<Object>} The user and either session tokens or challengeToken
+   */
+  async redeemHandoff(code, context, now = new Date()) {
+    const request = await SsoRequest.findOneAndDelete({ handoffHash: sha256(String(code)), expiresAt: { $gt: now } });
+    const user = request && await User.findById(request.userId);
+    if (!user || user.isActive === false) {
+      throw createError('SsoError', 'Sign-in code is invalid or has expired', 400, 'INVALID_SSO_CODE');
+    }
+
+    if (user.twoFactorEnabled) {
+      return { user, twoFactorRequired: true, challengeToken: this.twoFactorService.createChallenge(user) };
+    }
+
+    this.logger.info(`User ${user._id} signed in through SSO`);
+    return { user, ...(await this.sessionService.createSession(user, context)) };
+  }
+
+  /**
+   * Frontend page the browser lands on after the provider, with a code or an error
+   */
+  completionUrl(params) {
+    const url = new URL('/sso/complete', this.frontendUrl);
+    Object.entries(params).forEach(([name, value]) => url.searchParams.set(name, value));
+    return url.toString();
+  }
+
+  /**
+   * SAML metadata for this service provider
+   */
+  samlMetadata() {
+    return this.samlProvider.metadata();
+  }
+}
+
+module.exports = SsoService;
@@ -0,0 +1,483 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const winston = require('winston');
+const User = require('../models/User');
+const SecurityPolicy = require('../models/SecurityPolicy');
+
+const CHALLENGE_PURPOSE = '2fa_challenge';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const SECRET_FORMAT_VERSION = 'v1';
+const POLICY_ROLES = ['admin', 'moderator'];
+
+// Reasons a session may not use two-factor protected routes
+const SESSION_REQUIREMENTS = {
+  VERIFY: '2FA_REQUIRED',
+  ENROLL: '2FA_ENROLLMENT_REQUIRED'
+};
+
+const createError = (name, message, status) => {
+  const error = new Error(message);
+  error.name = name;
+  error.status = status;
+  return error;
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw createError('ValidationError', 'Invalid base32 secret', 400);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * HOTP value for a counter (RFC 4226)
+ * @param {Buffer} secret
+ * @param {number} counter
+ * @param {number} digits
+ * @returns {string}
+ */
+function hotp(secret, counter, digits = 6) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const digest = crypto.createHmac('sha1', secret).update(message).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+/**
+ * TOTP time step for a moment (RFC 6238)
+ */
+function timeStep(time = Date.now(), stepSeconds = 30) {
+  return Math.floor(time / 1000 / stepSeconds);
+}
+
+/**
+ * TOTP enrolment, verification and recovery codes, the login step-up
+ * challenge, and the policy requiring two-factor for privileged roles.
+ */
+class TwoFactorService {
+  constructor(options = {}) {
+    this.issuer = options.issuer || process.env.TWO_FACTOR_ISSUER || 'Piper Newsletter';
+    this.tokenSecret = options.tokenSecret || process.env.JWT_SECRET || 'test-jwt-secret-key';
+    this.encryptionKey = crypto.createHash('sha256')
+      .update(options.encryptionKey || process.env.TWO_FACTOR_ENCRYPTION_KEY || this.tokenSecret)
+      .digest();
+    this.digits = options.digits || 6;
+    this.stepSeconds = options.stepSeconds || 30;
+    // Steps either side of now that are still accepted, for clock drift
+    this.window = options.window ?? 1;
+    this.recoveryCodeCount = options.recoveryCodeCount || 10;
+    this.challengeTtlMinutes = options.challengeTtlMinutes || 5;
+    this.policyCacheMs = options.policyCacheMs ?? 60 * 1000;
+    this.policyCache = null;
+
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+      ),
+      defaultMeta: { service: 'two-factor-service' },
+      transports: [
+        new winston.transports.File({ filename: 'logs/two-factor-error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'logs/two-factor.log' })
+      ]
+    });
+  }
+
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey, iv);
+    const data = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [SECRET_FORMAT_VERSION, iv, cipher.getAuthTag(), data]
+      .map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+      .join('.');
+  }
+
+  decryptSecret(stored) {
+    const [version, iv, tag, data] = String(stored).split('.');
+    if (version !== SECRET_FORMAT_VERSION || !data) {
+      throw createError('TwoFactorError', 'Unreadable two-factor secret', 500);
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKey, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+  }
+
+  generateCode(secret, time = Date.now()) {
+    return hotp(base32Decode(secret), timeStep(time, this.stepSeconds), this.digits);
+  }
+
+  /**
+   * Time step a code matches within the drift window, or null
+   * @param {string} secret - Base32 secret
+   * @param {string} code
+   * @returns {number|null}
+   */
+  matchStep(secret, code, time = Date.now()) {
+    const key = base32Decode(secret);
+    const current = timeStep(time, this.stepSeconds);
+    const expected = Buffer.from(String(code));
+
+    for (let step = current - this.window; step <= current + this.window; step++) {
+      const candidate = Buffer.from(hotp(key, step, this.digits));
+      if (candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected)) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  otpauthUrl(secret, accountName) {
+    const label = `${encodeURIComponent(this.issuer)}:${encodeURIComponent(accountName)}`;
+    const params = new URLSearchParams({
+      secret,
+      issuer: this.issuer,
+      algorithm: 'SHA1',
+      digits: String(this.digits),
+      period: String(this.stepSeconds)
+    });
+    return `otpauth://totp/${label}?${params}`;
+  }
+
+  /**
+   * Start enrolment with a new secret. Two-factor stays off until a code
+   * from the authenticator app is confirmed.
+   * @param {Object} user - The user document
+   * @returns {Promise<Object>} secret and otpauthUrl for the authenticator app
+   */
+  async beginEnrollment(user) {
+    if (user.twoFactorEnabled) {
+      throw createError('ConflictError', 'Two-factor authentication is already enabled', 409);
+    }
+
+    const secret = base32Encode(crypto.randomBytes(20));
+    await User.updateOne({ _id: user._id }, { $set: { twoFactorPendingSecret: this.encryptSecret(secret) } });
+
+    this.logger.info(`Two-factor enrolment started for user ${user._id}`);
+    return { secret, otpauthUrl: this.otpauthUrl(secret, user.email) };
+  }
+
+  /**
+   * Finish enrolment with a code from the authenticator app
+   * @param {Object} user - The user document
+   * @param {string} code - Current TOTP code
+   * @returns {Promise<Object>} recoveryCodes, shown to the user once
+   */
+  async confirmEnrollment(user, code, now = Date.now()) {
+    if (user.twoFactorEnabled) {
+      throw createError('ConflictError', 'Two-factor authentication is already enabled', 409);
+    }
+    if (!user.twoFactorPendingSecret) {
+      throw createError('ValidationError', 'Start two-factor enrolment first', 400);
+    }
+
+    const step = this.matchStep(this.decryptSecret(user.twoFactorPendingSecret), code, now);
+    if (step === null) {
+      throw createError('ValidationError', 'Invalid two-factor code', 400);
+    }
+
+    const { codes, hashes } = this.createRecoveryCodes();
+    await User.updateOne({ _id: user._id }, {
+      $set: {
+        twoFactorEnabled: true,
+        twoFactorSecret: user.twoFactorPendingSecret,
+        twoFactorPendingSecret: null,
+        twoFactorEnabledAt: new Date(now),
+        twoFactorLastStep: step,
+        twoFactorRecoveryCodes: hashes
+      }
+    });
+
+    this.logger.info(`Two-factor enabled for user ${user._id}`);
+    return { recoveryCodes: codes };
+  }
+
+  createRecoveryCodes() {
+    const codes = Array.from({ length: this.recoveryCodeCount }, () => {
+      const code = crypto.randomBytes(5).toString('hex');
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+
+    return {
+      codes,
+      hashes: codes.map(code => ({ hash: this.hashRecoveryCode(code), usedAt: null }))
+    };
+  }
+
+  hashRecoveryCode(code) {
+    return sha256(String(code).replace(/[\s-]/g, '').toLowerCase());
+  }
+
+  recoveryCodesRemaining(user) {
+    return (user.twoFactorRecoveryCodes || []).filter(entry => !entry.usedAt).length;
+  }
+
+  /**
+   * Check a TOTP code or an unused recovery code. Each is accepted once:
+   * TOTP codes at or before the last accepted step, and used recovery
+   * codes, are refused. Failures count towards the account lockout.
+   * @param {Object} user - The user document, with its two-factor fields
+   * @param {string} code
+   * @returns {Promise<Object>} method ('totp' or 'recovery_code') and recoveryCodesRemaining
+   */
+  async verifyCode(user, code, now = Date.now()) {
+    if (!user.twoFactorEnabled || !user.twoFactorSecret) {
+      throw createError('ValidationError', 'Two-factor authentication is not enabled', 400);
+    }
+    if (user.lockUntil && user.lockUntil > now) {
+      throw createError('LockedError', 'Account temporarily locked after too many failed attempts', 423);
+    }
+
+    const normalized = String(code || '').replace(/[\s-]/g, '');
+    const result = new RegExp(`^\\d{${this.digits}}$`).test(normalized)
+      ? await this.acceptTotp(user, normalized, now)
+      : await this.acceptRecoveryCode(user, normalized, now);
+
+    if (!result) {
+      if (typeof user.incLoginAttempts === 'function') {
+        await user.incLoginAttempts();
+      }
+      this.logger.warn(`Failed two-factor attempt for user ${user._id}`);
+      throw createError('AuthenticationError', 'Invalid two-factor code', 401);
+    }
+
+    if (user.loginAttempts && typeof user.resetLoginAttempts === 'function') {
+      await user.resetLoginAttempts();
+    }
+    return result;
+  }
+
+  async acceptTotp(user, code, now) {
+    const step = this.matchStep(this.decryptSecret(user.twoFactorSecret), code, now);
+    if (step === null) {
+      return null;
+    }
+
+    // Conditional update, so two requests racing with one code cannot both pass
+    const { modifiedCount } = await User.updateOne(
+      { _id: user._id, $or: [{ twoFactorLastStep: null }, { twoFactorLastStep: { $lt: step } }] },
+      { $set: { twoFactorLastStep: step } }
+    );
+    if (!modifiedCount) {
+      return null;
+    }
+
+    user.twoFactorLastStep = step;
+    return { method: 'totp', recoveryCodesRemaining: this.recoveryCodesRemaining(user) };
+  }
+
+  async acceptRecoveryCode(user, code, now) {
+    const hash = this.hashRecoveryCode(code);
+    const { modifiedCount } = await User.updateOne(
+      { _id: user._id, twoFactorRecoveryCodes: { $elemMatch: { hash, usedAt: null } } },
+      { $set: { 'twoFactorRecoveryCodes.$.usedAt': new Date(now) } }
+    );
+    if (!modifiedCount) {
+      return null;
+    }
+
+    const entry = (user.twoFactorRecoveryCodes || []).find(candidate => candidate.hash === hash);
+    if (entry) {
+      entry.usedAt = new Date(now);
+    }
+
+    const recoveryCodesRemaining = this.recoveryCodesRemaining(user);
+    this.logger.warn(`Recovery code used for user ${user._id}; ${recoveryCodesRemaining} left`);
+    return { method: 'recovery_code', recoveryCodesRemaining };
+  }
+
+  /**
+   * Replace all recovery codes, after checking a current code
+   * @returns {Promise<Object>} recoveryCodes, shown to the user once
+   */
+  async regenerateRecoveryCodes(user, code, now = Date.now()) {
+    await this.verifyCode(user, code, now);
+
+    const { codes, hashes } = this.createRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { $set: { twoFactorRecoveryCodes: hashes } });
+
+    this.logger.info(`Recovery codes regenerated for user ${user._id}`);
+    return { recoveryCodes: codes };
+  }
+
+  /**
+   * Turn two-factor off, after checking a current code. Not allowed for
+   * roles the policy requires it for.
+   */
+  async disable(user, code, now = Date.now()) {
+    if ((await this.getRequiredRoles()).includes(user.role)) {
+      throw createError('ForbiddenError', `Two-factor authentication is required for the ${user.role} role`, 403);
+    }
+
+    await this.verifyCode(user, code, now);
+    await User.updateOne({ _id: user._id }, {
+      $set: {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorPendingSecret: null,
+        twoFactorEnabledAt: null,
+        twoFactorLastStep: null,
+        twoFactorRecoveryCodes: []
+      }
+    });
+
+    this.logger.info(`Two-factor disabled for user ${user._id}`);
+  }
+
+  /**
+   * Short-lived token standing in for a password-verified login until the
+   * second factor is checked. It grants no access on its own.
+   */
+  createChallenge(user) {
+    return jwt.sign(
+      { sub: String(user._id), purpose: CHALLENGE_PURPOSE },
+      this.tokenSecret,
+      { expiresIn: `${this.challengeTtlMinutes}m` }
+    );
+  }
+
+  /**
+   * Load the user a login challenge was issued for
+   * @param {string} token - The challenge token
+   * @returns {Promise<Object>} The user document
+   */
+  async resolveChallenge(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, this.tokenSecret);
+    } catch (error) {
+      throw createError('AuthenticationError', 'Two-factor challenge expired. Please log in again.', 401);
+    }
+
+    if (payload.purpose !== CHALLENGE_PURPOSE) {
+      throw createError('AuthenticationError', 'Invalid two-factor challenge', 401);
+    }
+
+    const user = await User.findById(payload.sub);
+    if (!user || !user.twoFactorEnabled) {
+      throw createError('AuthenticationError', 'Invalid two-factor challenge', 401);
+    }
+    return user;
+  }
+
+  /**
+   * Roles that must use two-factor, cached briefly since every privileged
+   * request asks
+   * @returns {Promise<Array<string>>}
+   */
+  async getRequiredRoles(now = Date.now()) {
+    if (this.policyCache && now - this.policyCache.loadedAt < this.policyCacheMs) {
+      return this.policyCache.roles;
+    }
+
+    const policy = await SecurityPolicy.findOne({ key: 'default' }).lean();
+    const roles = (policy && policy.twoFactorRequiredRoles) || [];
+    this.policyCache = { roles, loadedAt: now };
+    return roles;
+  }
+
+  /**
+   * Set the roles that must use two-factor
+   * @param {Array<string>} roles - Any of admin and moderator
+   * @param {Object} admin - The admin making the change, who must use two-factor themselves
+   * @returns {Promise<Array<string>>} The roles now required
+   */
+  async setRequiredRoles(roles, admin) {
+    const unknown = roles.filter(role => !POLICY_ROLES.includes(role));
+    if (unknown.length) {
+      throw createError('ValidationError', `Two-factor cannot be required for: ${unknown.join(', ')}`, 400);
+    }
+    if (roles.length && !admin.twoFactorEnabled) {
+      throw createError('ValidationError', 'Enable two-factor authentication on your own account first', 400);
+    }
+
+    const required = [...new Set(roles)];
+    await SecurityPolicy.findOneAndUpdate(
+      { key: 'default' },
+      { $set: { twoFactorRequiredRoles: required, updatedBy: admin._id } },
+      { upsert: true, new: true }
+    );
+
+    this.policyCache = { roles: required, loadedAt: Date.now() };
+    this.logger.info(`Two-factor required for roles [${required.join(', ')}] by admin ${admin._id}`);
+    return required;
+  }
+
+  /**
+   * What a session still needs before it may use two-factor protected routes
+   * @param {Object} user - The user document
+   * @param {Object} auth - The session's state, with twoFactorVerified
+   * @returns {Promise<string|null>} A SESSION_REQUIREMENTS value, or null
+   */
+  async sessionRequirement(user, auth = {}) {
+    if (user.twoFactorEnabled) {
+      return auth.twoFactorVerified ? null : SESSION_REQUIREMENTS.VERIFY;
+    }
+    if ((await this.getRequiredRoles()).includes(user.role)) {
+      return SESSION_REQUIREMENTS.ENROLL;
+    }
+    return null;
+  }
+
+  async getStatus(user, auth = {}) {
+    return {
+      enabled: !!user.twoFactorEnabled,
+      enabledAt: user.twoFactorEnabledAt || null,
+      enrollmentPending: !user.twoFactorEnabled && !!user.twoFactorPendingSecret,
+      recoveryCodesRemaining: user.twoFactorEnabled ? this.recoveryCodesRemaining(user) : 0,
+      required: (await this.getRequiredRoles()).includes(user.role),
+      sessionVerified: !!(user.twoFactorEnabled && auth.twoFactorVerified)
+    };
+  }
+}
+
+module.exports = TwoFactorService;
+module.exports.TwoFactorService = TwoFactorService;
+module.exports.SESSION_REQUIREMENTS = SESSION_REQUIREMENTS;
+module.exports.base32Encode = base32Encode;
+module.exports.base32Decode = base32Decode;
+module.exports.hotp = hotp;
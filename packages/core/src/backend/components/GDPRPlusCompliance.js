@@ -104,21 +104,35 @@ export const GDPRProvider = ({ children }) => {
   };
 
   const exportUserData = async () => {
-    // Implementation for data export
-    const userData = {
-      consents: consentData,
-      complianceStatus,
-      userRights,
-      exportDate: new Date().toISOString()
+    // The archive is generated server-side from everything we hold about the user
+    const baseUrl = process.env.REACT_APP_PRIVACY_API_URL || '/api/privacy';
+    const headers = {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${localStorage.getItem('authToken')}`
     };
 
-    const dataStr = JSON.stringify(userData, null, 2);
-    const dataBlob = new Blob([dataStr], { type: 'application/json' });
-    const url = URL.createObjectURL(dataBlob);
+    const response = await fetch(`${baseUrl}/exports`, { method: 'POST', headers });
+    if (!response.ok) {
+      throw new Error(`Failed to start data export: ${response.status}`);
+    }
+
+    let { data: dataExport } = await response.json();
+    while (dataExport.status === 'queued' || dataExport.status === 'running') {
+      await new Promise(resolve => setTimeout(resolve, 2000));
+      const statusResponse = await fetch(`${baseUrl}/exports/${dataExport.id}`, { headers });
+      ({ data: dataExport } = await statusResponse.json());
+    }
+
+    if (dataExport.status !== 'completed') {
+      throw new Error(dataExport.error || 'Data export failed');
+    }
+
+    const download = await fetch(`${baseUrl}/exports/${dataExport.id}/download`, { headers });
+    const url = URL.createObjectURL(await download.blob());
     
     const link = document.createElement('a');
     link.href = url;
-    link.download = `user-data-export-${Date.now()}.json`;
+    link.download = dataExport.fileName;
     document.body.appendChild(link);
     link.click();
     document.body.removeChild(link);
@@ -27,6 +27,7 @@ const PrivacySettings = ({
   const [showDeleteModal, setShowDeleteModal] = useState(false);
   const [exportProgress, setExportProgress] = useState(0);
   const [deleteConfirmation, setDeleteConfirmation] = useState('');
+  const [deletePassword, setDeletePassword] = useState('');
 
   // Privacy API configuration
   const PRIVACY_API_CONFIG = {
@@ -223,7 +224,7 @@ const PrivacySettings = ({
     }, ...prev]);
   };
 
-  const handleConsentChange = (consentType, granted) => {
+  const handleConsentChange = async (consentType, granted) => {
     if (consentStatus[consentType]?.required && !granted) {
       setNotifications(prev => [{
         id: Date.now(),
@@ -233,13 +234,32 @@ const PrivacySettings = ({
       return;
     }
 
-    setConsentStatus(prev => ({
-      ...prev,
-      [consentType]: {
-        ...prev[consentType],
-        granted
+    try {
+      const response = await fetch(`${PRIVACY_API_CONFIG.baseUrl}/consent`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${getAuthToken()}`,
+          'X-Privacy-Mode': 'strict'
+        },
+        body: JSON.stringify({ consent: { [consentType]: granted } })
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
       }
-    }));
+
+      const result = await response.json();
+      setConsentStatus(result.consent);
+    } catch (error) {
+      console.error('Failed to update consent:', error);
+      setNotifications(prev => [{
+        id: Date.now(),
+        type: 'error',
+        message: `Could not update consent for ${consentType}. Please try again.`
+      }, ...prev]);
+      return;
+    }
 
     // Update related settings
     if (consentManager) {
@@ -283,26 +303,85 @@ const PrivacySettings = ({
     }, ...prev]);
   };
 
+  const EXPORT_PROGRESS = {
+    queued: 10,
+    running: 50,
+    completed: 100
+  };
+
+  const downloadExport = async (dataExport) => {
+    const response = await fetch(`${PRIVACY_API_CONFIG.baseUrl}/exports/${dataExport.id}/download`, {
+      headers: {
+        'Authorization': `Bearer ${getAuthToken()}`,
+        'X-Privacy-Mode': 'strict'
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = dataExport.fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+
   const handleDataExport = async () => {
     setShowExportModal(true);
     setExportProgress(0);
-    
-    // Simulate export progress
-    const interval = setInterval(() => {
-      setExportProgress(prev => {
-        if (prev >= 100) {
-          clearInterval(interval);
-          setNotifications(prev => [{
-            id: Date.now(),
-            type: 'success',
-            message: 'Data export completed! Download link sent to your email.'
-          }, ...prev]);
-          setTimeout(() => setShowExportModal(false), 2000);
-          return 100;
-        }
-        return prev + 10;
-      });
-    }, 300);
+
+    const headers = {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${getAuthToken()}`,
+      'X-Privacy-Mode': 'strict'
+    };
+
+    try {
+      const response = await fetch(`${PRIVACY_API_CONFIG.baseUrl}/exports`, { method: 'POST', headers });
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      let { data: dataExport } = await response.json();
+      setExportProgress(EXPORT_PROGRESS[dataExport.status] || 0);
+
+      // Exports are generated in the background; poll until the archive is ready
+      while (dataExport.status === 'queued' || dataExport.status === 'running') {
+        await new Promise(resolve => setTimeout(resolve, 2000));
+        const statusResponse = await fetch(`${PRIVACY_API_CONFIG.baseUrl}/exports/${dataExport.id}`, { headers });
+        if (!statusResponse.ok) {
+          throw new Error(`HTTP error! status: ${statusResponse.status}`);
+        }
+        ({ data: dataExport } = await statusResponse.json());
+        setExportProgress(EXPORT_PROGRESS[dataExport.status] || 0);
+      }
+
+      if (dataExport.status !== 'completed') {
+        throw new Error(dataExport.error || 'Data export failed');
+      }
+
+      await downloadExport(dataExport);
+
+      setNotifications(prev => [{
+        id: Date.now(),
+        type: 'success',
+        message: 'Data export completed! Your download has started.'
+      }, ...prev]);
+      setTimeout(() => setShowExportModal(false), 2000);
+    } catch (error) {
+      console.error('Failed to export data:', error);
+      setShowExportModal(false);
+      setNotifications(prev => [{
+        id: Date.now(),
+        type: 'error',
+        message: 'Data export failed. Please try again later.'
+      }, ...prev]);
+    }
   };
 
   const handleDataDeletion = async () => {
@@ -316,18 +395,49 @@ const PrivacySettings = ({
     }
 
     setIsLoading(true);
-    // Simulate deletion process
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    
-    setShowDeleteModal(false);
-    setDeleteConfirmation('');
-    setIsLoading(false);
-    
-    setNotifications(prev => [{
-      id: Date.now(),
-      type: 'success',
-      message: 'Data deletion request submitted. You will receive confirmation via email.'
-    }, ...prev]);
+
+    try {
+      const response = await fetch(`${PRIVACY_API_CONFIG.baseUrl}/account`, {
+        method: 'DELETE',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${getAuthToken()}`,
+          'X-Privacy-Mode': 'strict'
+        },
+        body: JSON.stringify({
+          password: deletePassword,
+          confirmation: deleteConfirmation
+        })
+      });
+
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || `HTTP error! status: ${response.status}`);
+      }
+
+      setShowDeleteModal(false);
+      setDeleteConfirmation('');
+      setDeletePassword('');
+
+      setNotifications(prev => [{
+        id: Date.now(),
+        type: 'success',
+        message: `Your account has been deleted. Erasure certificate: ${result.certificate.certificateId}`
+      }, ...prev]);
+
+      // The session belongs to an account that no longer exists
+      localStorage.removeItem('authToken');
+      setTimeout(() => window.location.assign('/'), 5000);
+    } catch (error) {
+      console.error('Failed to delete account:', error);
+      setNotifications(prev => [{
+        id: Date.now(),
+        type: 'error',
+        message: error.message
+      }, ...prev]);
+    } finally {
+      setIsLoading(false);
+    }
   };
 
   const formatDate = (dateString) => {
@@ -344,8 +454,11 @@ const PrivacySettings = ({
     const colors = {
       completed: '#48bb78',
       processing: '#ed8936',
+      verifying: '#ed8936',
       pending: '#667eea',
-      failed: '#e53e3e'
+      failed: '#e53e3e',
+      rejected: '#e53e3e',
+      cancelled: '#a0aec0'
     };
     return colors[status] || '#718096';
   };
@@ -403,8 +516,9 @@ const PrivacySettings = ({
                 style={{ backgroundColor: getStatusColor(request.status) }}
               >
                 {request.type === 'export' && '📤'}
-                {request.type === 'deletion' && '🗑️'}
-                {request.type === 'correction' && '✏️'}
+                {request.type === 'erase' && '🗑️'}
+                {request.type === 'rectify' && '✏️'}
+                {request.type === 'restrict' && '⏸️'}
               </div>
               <div className="activity-content">
                 <div className="activity-title">{request.description}</div>
@@ -671,8 +785,9 @@ const PrivacySettings = ({
             <div key={request.id} className="request-item">
               <div className="request-icon">
                 {request.type === 'export' && '📤'}
-                {request.type === 'deletion' && '🗑️'}
-                {request.type === 'correction' && '✏️'}
+                {request.type === 'erase' && '🗑️'}
+                {request.type === 'rectify' && '✏️'}
+                {request.type === 'restrict' && '⏸️'}
               </div>
               
               <div className="request-info">
@@ -810,7 +925,7 @@ const PrivacySettings = ({
                 
                 <p>We're preparing your data export. This may take a few minutes.</p>
                 {exportProgress === 100 && (
-                  <p className="export-complete">✅ Export complete! Check your email for the download link.</p>
+                  <p className="export-complete">✅ Export complete! Your download has started.</p>
                 )}
               </div>
             </motion.div>
@@ -860,6 +975,17 @@ const PrivacySettings = ({
                     placeholder="DELETE MY DATA"
                   />
                 </div>
+
+                <div className="form-group">
+                  <label>Enter your password:</label>
+                  <input
+                    type="password"
+                    value={deletePassword}
+                    onChange={(e) => setDeletePassword(e.target.value)}
+                    className="form-input"
+                    autoComplete="current-password"
+                  />
+                </div>
               </div>
               
               <div className="modal-actions">
@@ -872,7 +998,7 @@ const PrivacySettings = ({
                 <button 
                   className="delete-btn"
                   onClick={handleDataDeletion}
-                  disabled={deleteConfirmation !== 'DELETE MY DATA'}
+                  disabled={deleteConfirmation !== 'DELETE MY DATA' || !deletePassword}
                 >
                   Delete My Data
                 </button>
@@ -48,15 +48,31 @@ const SecurityDashboard = () => {
     }
   }, [timeRange, refreshInterval, isAutoRefresh]);
 
+  const getAuthHeaders = () => ({
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+  });
+
+  const waitForScanJob = async (jobId) => {
+    for (;;) {
+      await new Promise(resolve => setTimeout(resolve, 2000));
+      const response = await fetch(`/api/security/scan/${jobId}`, { headers: getAuthHeaders() });
+      if (!response.ok) return;
+
+      const { data } = await response.json();
+      if (data.status !== 'running') return;
+    }
+  };
+
   const fetchSecurityData = async () => {
     try {
       const [threatsResponse, vulnerabilitiesResponse, eventsResponse, metricsResponse, alertsResponse] = 
         await Promise.all([
-          fetch(`/api/security/threats?timeRange=${timeRange}`),
-          fetch(`/api/security/vulnerabilities?timeRange=${timeRange}`),
-          fetch(`/api/security/events?timeRange=${timeRange}`),
-          fetch(`/api/security/metrics?timeRange=${timeRange}`),
-          fetch(`/api/security/alerts?timeRange=${timeRange}`)
+          fetch(`/api/security/threats?timeRange=${timeRange}`, { headers: getAuthHeaders() }),
+          fetch(`/api/security/vulnerabilities?timeRange=${timeRange}`, { headers: getAuthHeaders() }),
+          fetch(`/api/security/events?timeRange=${timeRange}`, { headers: getAuthHeaders() }),
+          fetch(`/api/security/metrics?timeRange=${timeRange}`, { headers: getAuthHeaders() }),
+          fetch(`/api/security/alerts?timeRange=${timeRange}`, { headers: getAuthHeaders() })
         ]);
 
       const [threats, vulnerabilities, events, metrics, alerts] = await Promise.all([
@@ -84,15 +100,13 @@ const SecurityDashboard = () => {
     try {
       const response = await fetch('/api/security/scan', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' }
+        headers: getAuthHeaders()
       });
       
       if (response.ok) {
-        const results = await response.json();
-        setSecurityData(prev => ({
-          ...prev,
-          vulnerabilities: results.vulnerabilities || []
-        }));
+        const { job } = await response.json();
+        await waitForScanJob(job.id);
+        await fetchSecurityData();
       }
     } catch (error) {
       console.error('Error running vulnerability scan:', error);
@@ -105,7 +119,7 @@ const SecurityDashboard = () => {
     try {
       await fetch(`/api/security/threats/${threatId}/respond`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: getAuthHeaders(),
         body: JSON.stringify({ action })
       });
       
@@ -2,6 +2,9 @@ import React, { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { usePrivacy } from '../utils/privacy-utils';
 
+// Sent with each signup as consent evidence; bump whenever the form's wording changes
+export const FORM_VERSION = '2024-01';
+
 const SubscriptionForm = ({ 
   onSubscribe,
   onUnsubscribe,
@@ -172,7 +175,8 @@ const SubscriptionForm = ({
           consents: {
             gdpr: formData.gdprConsent,
             marketing: formData.marketingConsent
-          }
+          },
+          formVersion: FORM_VERSION
         });
       }
 
@@ -310,8 +314,8 @@ const SubscriptionForm = ({
             >
               🎉
             </motion.div>
-            <h3>Welcome aboard!</h3>
-            <p>Thank you for subscribing to Piper Dispatch. Check your email for confirmation.</p>
+            <h3>Almost there!</h3>
+            <p>We've sent a confirmation link to {formData.email}. Follow it within 24 hours to start receiving Piper Dispatch.</p>
           </motion.div>
         ) : (
           <motion.form
@@ -418,39 +418,76 @@ class PhoneAuthProvider {
 
 /**
  * Single Sign-On Authentication Provider
+ *
+ * Enterprise SSO (OIDC and SAML) runs on the API, which verifies the
+ * identity provider's signatures and provisions the account. Signing in
+ * takes two steps: begin() sends the browser to the identity provider,
+ * which returns it to /sso/complete with a single-use code, and
+ * authenticate() exchanges that code for an API session.
  */
 class SSOAuthProvider {
+    constructor(apiUrl = process.env.REACT_APP_SSO_API_URL || '/api/auth/sso') {
+        this.apiUrl = apiUrl;
+    }
+
+    /**
+     * The SSO connection for an email address, or null if it signs in another way
+     */
+    async discover(email) {
+        const result = await this.post('/discover', { email });
+        return result.sso ? result.data : null;
+    }
+
+    /**
+     * Send the browser to the identity provider of a connection
+     */
+    begin(connectionId) {
+        window.location.assign(`${this.apiUrl}/${encodeURIComponent(connectionId)}/login`);
+    }
+
     async authenticate(credentials) {
-        // Implementation for SAML/OIDC SSO
-        const { samlResponse, oidcToken } = credentials;
-        
-        if (samlResponse) {
-            return await this.processSAML(samlResponse);
-        } else if (oidcToken) {
-            return await this.processOIDC(oidcToken);
+        // The query string of the /sso/complete page
+        const { code, error } = credentials;
+
+        if (error || !code) {
+            throw new Error(error ? `SSO sign-in failed: ${error}` : 'Invalid SSO credentials');
         }
-        
-        throw new Error('Invalid SSO credentials');
-    }
-    
-    async processSAML(samlResponse) {
-        // SAML processing implementation
+
+        const result = await this.post('/complete', { code });
+        if (result.twoFactorRequired) {
+            const challenge = new Error('Two-factor authentication required');
+            challenge.twoFactorRequired = true;
+            challenge.challengeToken = result.challengeToken;
+            throw challenge;
+        }
+
         return {
-            id: 'saml_user_id',
-            email: 'user@company.com',
-            name: 'SSO User',
-            providerData: { saml: true }
+            id: result.user.id,
+            email: result.user.email,
+            name: `${result.user.firstName} ${result.user.lastName}`.trim(),
+            providerData: {
+                sso: true,
+                apiSession: {
+                    token: result.token,
+                    refreshToken: result.refreshToken,
+                    expiresIn: result.expiresIn
+                }
+            }
         };
     }
-    
-    async processOIDC(oidcToken) {
-        // OIDC processing implementation
-        return {
-            id: 'oidc_user_id',
-            email: 'user@company.com',
-            name: 'OIDC User',
-            providerData: { oidc: true }
-        };
+
+    async post(path, body) {
+        const response = await fetch(`${this.apiUrl}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            throw new Error(result.error || `SSO request failed (${response.status})`);
+        }
+        return result;
     }
 }
 
@@ -97,11 +97,11 @@ const authenticateToken = (req, res, next) => {
 };
 
 // Use mocked models in test environment
-const User = require('./models/User');
-const Subscription = require('./models/Subscription');
-const Appointment = require('./models/Appointment');
-const Content = require('./models/Content');
-const Analytics = require('./models/Analytics');
+const User = require('./packages/api/src/models/User');
+const Subscription = require('./packages/api/src/models/Subscription');
+const Appointment = require('./packages/api/src/models/Appointment');
+const Content = require('./packages/api/src/models/Content');
+const Analytics = require('./packages/api/src/models/Analytics');
 
 app.get('/api/health', (req, res) => {
   res.json({ 
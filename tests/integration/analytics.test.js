@@ -1,8 +1,8 @@
 const request = require('supertest');
 const app = require('../../app');
-const AnalyticsService = require('../../services/AnalyticsService');
-const loggingService = require('../../services/LoggingService');
-const monitoringService = require('../../services/MonitoringService');
+const AnalyticsService = require('../../packages/api/src/services/AnalyticsService');
+const loggingService = require('../../packages/api/src/services/LoggingService');
+const monitoringService = require('../../packages/api/src/services/MonitoringService');
 
 describe('Analytics Integration Tests', () => {
     let analyticsService;
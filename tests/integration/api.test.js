@@ -2,9 +2,9 @@ const request = require('supertest');
 const { expect } = require('chai');
 const sinon = require('sinon');
 const app = require('../../server');
-const SecurityService = require('../../services/SecurityService');
-const EmailService = require('../../services/EmailService');
-const PaymentService = require('../../services/PaymentService');
+const SecurityService = require('../../packages/api/src/services/SecurityService');
+const EmailService = require('../../packages/api/src/services/EmailService');
+const PaymentService = require('../../packages/api/src/services/PaymentService');
 
 describe('API Integration Tests', () => {
     let sandbox;
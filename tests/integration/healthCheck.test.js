@@ -1,9 +1,9 @@
 const request = require('supertest');
 const app = require('../../app');
-const HealthCheckService = require('../../services/HealthCheckService');
-const loggingService = require('../../services/LoggingService');
-const monitoringService = require('../../services/MonitoringService');
-const analyticsService = require('../../services/AnalyticsService');
+const HealthCheckService = require('../../packages/api/src/services/HealthCheckService');
+const loggingService = require('../../packages/api/src/services/LoggingService');
+const monitoringService = require('../../packages/api/src/services/MonitoringService');
+const analyticsService = require('../../packages/api/src/services/AnalyticsService');
 
 describe('Health Check Integration Tests', () => {
     let healthCheckService;
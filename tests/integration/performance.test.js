@@ -2,9 +2,9 @@ const request = require('supertest');
 const app = require('../../app');
 const redis = require('../../config/redis');
 const { PerformanceObserver } = require('perf_hooks');
-const monitoringService = require('../../services/MonitoringService');
-const loggingService = require('../../services/LoggingService');
-const analyticsService = require('../../services/AnalyticsService');
+const monitoringService = require('../../packages/api/src/services/MonitoringService');
+const loggingService = require('../../packages/api/src/services/LoggingService');
+const analyticsService = require('../../packages/api/src/services/AnalyticsService');
 
 describe('Performance Integration Tests', () => {
     let performanceMetrics;
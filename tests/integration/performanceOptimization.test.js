@@ -5,10 +5,10 @@
 
 const request = require('supertest');
 const app = require('../../src/app');
-const CacheService = require('../../services/CacheService');
-const DatabaseOptimizationService = require('../../services/DatabaseOptimizationService');
-const MonitoringService = require('../../services/MonitoringService');
-const LoggingService = require('../../services/LoggingService');
+const CacheService = require('../../packages/api/src/services/CacheService');
+const DatabaseOptimizationService = require('../../packages/api/src/services/DatabaseOptimizationService');
+const MonitoringService = require('../../packages/api/src/services/MonitoringService');
+const LoggingService = require('../../packages/api/src/services/LoggingService');
 
 describe('Performance Optimization Integration Tests', () => {
     let cacheService;
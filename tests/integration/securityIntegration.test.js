@@ -1,8 +1,8 @@
 const request = require('supertest');
 const express = require('express');
-const SecurityHardeningService = require('../../services/SecurityHardeningService');
-const VulnerabilityScannerService = require('../../services/VulnerabilityScannerService');
-const SecurityService = require('../../services/SecurityService');
+const SecurityHardeningService = require('../../packages/api/src/services/SecurityHardeningService');
+const VulnerabilityScannerService = require('../../packages/api/src/services/VulnerabilityScannerService');
+const SecurityService = require('../../packages/api/src/services/SecurityService');
 
 describe('Security Integration Tests', () => {
   let app;
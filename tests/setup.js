@@ -106,6 +106,8 @@ function mockModel(modelName) {
     }) || null;
   };
   
+  Model.mockedBySetup = true;
+
   Model.prototype.save = async function() {
     const storage = modelStorage[modelName];
     const existingIndex = storage.findIndex(item => item._id.toString() === this._id.toString());
@@ -123,7 +125,7 @@ function mockModel(modelName) {
 }
 
 // Mock all models before they're imported
-jest.mock('../models/User', () => {
+jest.mock('../packages/api/src/models/User', () => {
   const User = function(data) {
     Object.assign(this, data);
   };
@@ -217,17 +219,24 @@ jest.mock('../models/User', () => {
   
   // Store reference for test setup
   User._users = users;
+  User.mockedBySetup = true;
   
   return User;
 });
 
-jest.mock('../models/Subscription', () => mockModel('Subscription'));
-jest.mock('../models/Appointment', () => mockModel('Appointment'));
-jest.mock('../models/Content', () => mockModel('Content'));
-jest.mock('../models/Analytics', () => mockModel('Analytics'));
+jest.mock('../packages/api/src/models/Subscription', () => mockModel('Subscription'));
+jest.mock('../packages/api/src/models/Appointment', () => mockModel('Appointment'));
+jest.mock('../packages/api/src/models/Content', () => mockModel('Content'));
+jest.mock('../packages/api/src/models/Analytics', () => mockModel('Analytics'));
 
 // Mock database setup for testing without MongoDB connection
 
+// Suites may mock these models themselves; only the mocks above are seeded and cleared
+const seededModel = (name) => {
+  const Model = require(`../packages/api/src/models/${name}`);
+  return Model.mockedBySetup ? Model : null;
+};
+
 // Global test setup
 beforeAll(async () => {
   // Set test environment variables
@@ -235,7 +244,12 @@ beforeAll(async () => {
   process.env.MONGODB_URI = 'mongodb://localhost:27017/test_db';
   
   // Create test user
-  const User = require('../models/User');
+  const User = seededModel('User');
+  const Content = seededModel('Content');
+  const Analytics = seededModel('Analytics');
+  if (!User || !Content || !Analytics) {
+    return;
+  }
   const testUserId = new mongoose.Types.ObjectId();
   const hashedPassword = await bcrypt.hash('testpassword123', 10);
   const testUser = new User({
@@ -252,9 +266,6 @@ beforeAll(async () => {
   console.log('Test user created with ID:', testUserId.toString());
   
   // Create test data for analytics and content endpoints
-  const Content = require('../models/Content');
-  const Analytics = require('../models/Analytics');
-  
   // Create test content
   const testContent = new Content({
     title: 'Test Newsletter',
@@ -289,17 +300,16 @@ beforeAll(async () => {
 
 // Clear database between tests
 beforeEach(async () => {
-  const User = require('../models/User');
-  const Subscription = require('../models/Subscription');
-  const Appointment = require('../models/Appointment');
-  const Content = require('../models/Content');
-  const Analytics = require('../models/Analytics');
-  
-  await User.deleteMany({ email: { $ne: 'test@example.com' } });
-  await Subscription.deleteMany({});
-  await Appointment.deleteMany({});
-  await Content.deleteMany({});
-  await Analytics.deleteMany({});
+  const User = seededModel('User');
+  if (User) {
+    await User.deleteMany({ email: { $ne: 'test@example.com' } });
+  }
+  for (const name of ['Subscription', 'Appointment', 'Content', 'Analytics']) {
+    const Model = seededModel(name);
+    if (Model) {
+      await Model.deleteMany({});
+    }
+  }
   
   // Clear model storage
   modelStorage.Content = [];
@@ -338,6 +348,10 @@ global.console = {
 // Mock external services
 jest.mock('@sentry/node', () => ({
   init: jest.fn(),
+  Integrations: {
+    Http: jest.fn(),
+    Express: jest.fn(),
+  },
   captureException: jest.fn(),
   captureMessage: jest.fn(),
   withScope: jest.fn((callback) => callback({
@@ -436,10 +450,11 @@ global.testUtils = {
 };
 
 // Store mocked models globally for test server to use
-global.mockedModels = {
-  User: require('../models/User'),
-  Subscription: require('../models/Subscription'),
-  Appointment: require('../models/Appointment'),
-  Content: require('../models/Content'),
-  Analytics: require('../models/Analytics')
-};
\ No newline at end of file
+// Loaded on first use, so suites can still mock the models themselves
+global.mockedModels = {};
+['User', 'Subscription', 'Appointment', 'Content', 'Analytics'].forEach(name => {
+  Object.defineProperty(global.mockedModels, name, {
+    enumerable: true,
+    get: () => require(`../packages/api/src/models/${name}`)
+  });
+});
\ No newline at end of file
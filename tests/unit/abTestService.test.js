@@ -0,0 +1,156 @@
+jest.mock('../../packages/api/src/models/EmailCampaign', () => ({
+  find: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  distinct: jest.fn()
+}));
+
+jest.mock('../../packages/api/src/models/EmailJob', () => ({
+  aggregate: jest.fn(),
+  updateMany: jest.fn()
+}));
+
+jest.mock('../../packages/api/src/services/EmailTrackingService', () => jest.fn());
+
+const EmailCampaign = require('../../packages/api/src/models/EmailCampaign');
+const EmailJob = require('../../packages/api/src/models/EmailJob');
+const AbTestService = require('../../packages/api/src/services/AbTestService');
+const { significance } = AbTestService;
+
+const CAMPAIGN_ID = '64b7f0c2a1b2c3d4e5f60730';
+
+const campaign = (abTest = {}) => ({
+  _id: CAMPAIGN_ID,
+  subject: 'Original subject',
+  abTest: {
+    enabled: true,
+    metric: 'open_rate',
+    testPercentage: 20,
+    waitHours: 4,
+    status: 'testing',
+    variants: [{ key: 'A', subject: 'Subject A' }, { key: 'B', subject: 'Subject B' }],
+    ...abTest
+  }
+});
+
+describe('AbTestService', () => {
+  let service;
+  let trackingService;
+
+  // Unique opens and clicks per variant, keyed by the variant's tracking email_id
+  const tracked = (byVariant) => {
+    trackingService.getCampaignAnalytics.mockImplementation(async (campaignId, { emailId }) => {
+      const { opens = 0, clicks = 0 } = byVariant[emailId.split('-').pop()] || {};
+      return { opens: { unique: opens }, clicks: { unique: clicks }, openRate: 0, clickRate: 0 };
+    });
+  };
+
+  const sent = (byVariant) => EmailJob.aggregate.mockResolvedValue(
+    Object.entries(byVariant).map(([key, count]) => ({ _id: key, count }))
+  );
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    trackingService = { getCampaignAnalytics: jest.fn() };
+    service = new AbTestService({ trackingService });
+  });
+
+  describe('buildConfig', () => {
+    test('should key variants and fill in defaults', () => {
+      const config = service.buildConfig({
+        enabled: true,
+        variants: [{ subject: 'One' }, { content: '<p>Two</p>' }, { subject: 'Three' }]
+      });
+
+      expect(config).toMatchObject({ enabled: true, metric: 'open_rate', testPercentage: 20, waitHours: 4, status: 'pending' });
+      expect(config.variants.map(variant => variant.key)).toEqual(['A', 'B', 'C']);
+    });
+
+    test('should reject content variants for newsletter issues and empty variants', () => {
+      expect(() => service.buildConfig(
+        { enabled: true, variants: [{ subject: 'One' }, { content: '<p>Two</p>' }] },
+        { newsletterId: '64b7f0c2a1b2c3d4e5f60740' }
+      )).toThrow('Content variants cannot be used with a newsletter issue');
+
+      expect(() => service.buildConfig({ enabled: true, variants: [{ subject: 'One' }, {}] }))
+        .toThrow('Variant B needs a subject or content');
+      expect(() => service.buildConfig({ enabled: true, variants: [{ subject: 'One' }] }))
+        .toThrow(expect.objectContaining({ status: 400 }));
+    });
+  });
+
+  test('should split a test slice evenly and hold back the rest, the same way every time', () => {
+    const recipients = Array.from({ length: 100 }, (_, i) => ({ email: `Reader${i}@Example.com` }));
+
+    const first = service.assignVariants(campaign(), recipients);
+    const again = service.assignVariants(campaign(), [...recipients].reverse());
+
+    const keys = [...first.values()];
+    expect(keys.filter(key => key === 'A')).toHaveLength(10);
+    expect(keys.filter(key => key === 'B')).toHaveLength(10);
+    expect(keys.filter(key => key === null)).toHaveLength(80);
+    expect(first.has('reader0@example.com')).toBe(true);
+    expect([...again.entries()].sort()).toEqual([...first.entries()].sort());
+  });
+
+  test('should give every variant at least one recipient on small lists', () => {
+    const assigned = service.assignVariants(campaign(), [{ email: 'a@example.com' }, { email: 'b@example.com' }, { email: 'c@example.com' }]);
+    expect([...assigned.values()].sort()).toEqual(['A', 'B', null]);
+  });
+
+  test('should report per-variant rates, the leader and significance', async () => {
+    sent({ A: 1000, B: 1000 });
+    tracked({ A: { opens: 200, clicks: 30 }, B: { opens: 260, clicks: 25 } });
+
+    const results = await service.getResults(campaign());
+
+    expect(trackingService.getCampaignAnalytics).toHaveBeenCalledWith(CAMPAIGN_ID, { emailId: `${CAMPAIGN_ID}-A`, sent: 1000 });
+    expect(results.leaderKey).toBe('B');
+    expect(results.variants[1]).toMatchObject({ key: 'B', subject: 'Subject B', sent: 1000, opens: 260 });
+    expect(results.significance.significant).toBe(true);
+    expect(results.significance.pValue).toBeCloseTo(0.0014, 3);
+
+    const byClicks = await service.getResults(campaign({ metric: 'click_rate' }));
+    expect(byClicks.leaderKey).toBe('A');
+    expect(byClicks.significance.significant).toBe(false);
+  });
+
+  test('should pick the winner and release the held recipients', async () => {
+    EmailCampaign.find.mockReturnValue({ lean: jest.fn().mockResolvedValue([campaign()]) });
+    EmailCampaign.findOneAndUpdate.mockResolvedValue({ _id: CAMPAIGN_ID });
+    EmailCampaign.distinct.mockResolvedValue([CAMPAIGN_ID]);
+    EmailJob.updateMany.mockResolvedValue({ modifiedCount: 800 });
+    sent({ A: 100, B: 100 });
+    tracked({ A: { opens: 40 }, B: { opens: 25 } });
+
+    await service.decideDueTests();
+
+    expect(EmailCampaign.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: CAMPAIGN_ID, 'abTest.status': 'testing' },
+      { $set: expect.objectContaining({ 'abTest.status': 'winner_selected', 'abTest.winnerKey': 'A' }) },
+      { new: true }
+    );
+    expect(EmailJob.updateMany).toHaveBeenCalledWith(
+      { campaignId: { $in: [CAMPAIGN_ID] }, status: 'held' },
+      { $set: { status: 'queued', nextAttemptAt: expect.any(Date) } }
+    );
+  });
+
+  describe('significance', () => {
+    test('should match known chi-square p-values', () => {
+      // 2x2: chi-square 4.43 on one degree of freedom
+      expect(significance([{ sent: 100, conversions: 40 }, { sent: 100, conversions: 26 }]).pValue).toBeCloseTo(0.0353, 3);
+      // Three variants: chi-square 8.0 on two degrees of freedom
+      const three = significance([
+        { sent: 100, conversions: 20 }, { sent: 100, conversions: 20 }, { sent: 100, conversions: 35 }
+      ]);
+      expect(three.pValue).toBeCloseTo(0.0183, 3);
+      expect(three.confidence).toBe(98.2);
+    });
+
+    test('should not report a figure without data to compare', () => {
+      expect(significance([{ sent: 100, conversions: 0 }, { sent: 100, conversions: 0 }]))
+        .toEqual({ pValue: null, confidence: null, significant: false });
+      expect(significance([{ sent: 0, conversions: 0 }, { sent: 100, conversions: 10 }]).pValue).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+
+jest.mock('../../packages/api/src/models/User', () => ({
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn()
+}));
+
+const User = require('../../packages/api/src/models/User');
+const AccountEmailService = require('../../packages/api/src/services/AccountEmailService');
+
+const NOW = new Date(Date.UTC(2024, 0, 15, 12, 0, 0));
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// The token is only in the emailed link
+const tokenFrom = (url) => decodeURIComponent(new URL(url).searchParams.get('token'));
+
+describe('AccountEmailService', () => {
+  let service;
+  let emailService;
+  let sessionService;
+  let user;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    emailService = {
+      sendPasswordResetEmail: jest.fn().mockResolvedValue({}),
+      sendEmailVerificationEmail: jest.fn().mockResolvedValue({})
+    };
+    sessionService = { revokeAllSessions: jest.fn().mockResolvedValue(3) };
+    service = new AccountEmailService({
+      emailService,
+      sessionService,
+      resetUrl: 'https://app.example.com/reset-password',
+      verificationUrl: 'https://app.example.com/verify-email'
+    });
+    user = {
+      _id: 'u1',
+      email: 'ada@example.com',
+      firstName: 'Ada',
+      isActive: true,
+      emailVerified: false,
+      save: jest.fn().mockResolvedValue()
+    };
+    User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  test('should email a reset link and store only a hash of its token', async () => {
+    User.findOne.mockResolvedValue(user);
+
+    await service.requestPasswordReset('ada@example.com', NOW);
+
+    const { resetUrl, expiryHours } = emailService.sendPasswordResetEmail.mock.calls[0][1];
+    const token = tokenFrom(resetUrl);
+    expect(resetUrl.startsWith('https://app.example.com/reset-password?token=')).toBe(true);
+    expect(expiryHours).toBe(1);
+    expect(User.updateOne).toHaveBeenCalledWith({ _id: 'u1' }, {
+      $set: {
+        resetPasswordToken: sha256(token),
+        resetPasswordExpires: new Date(NOW.getTime() + 60 * 60 * 1000),
+        resetPasswordRequestedAt: NOW
+      }
+    });
+  });
+
+  test('should not email unknown accounts or the same account twice a minute', async () => {
+    User.findOne.mockResolvedValueOnce(null);
+    await expect(service.requestPasswordReset('nobody@example.com', NOW)).resolves.toBeUndefined();
+
+    User.findOne.mockResolvedValueOnce({ ...user, resetPasswordRequestedAt: new Date(NOW.getTime() - 30 * 1000) });
+    await expect(service.requestPasswordReset('ada@example.com', NOW)).resolves.toBeUndefined();
+
+    expect(User.updateOne).not.toHaveBeenCalled();
+    expect(emailService.sendPasswordResetEmail).not.toHaveBeenCalled();
+  });
+
+  test('should reset the password once and revoke every session', async () => {
+    User.findOneAndUpdate.mockResolvedValueOnce(user);
+
+    await service.resetPassword('reset-token', 'NewSecret1!', NOW);
+
+    expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+      { resetPasswordToken: sha256('reset-token'), resetPasswordExpires: { $gt: NOW } },
+      { $set: { resetPasswordToken: null, resetPasswordExpires: null } },
+      { new: true }
+    );
+    expect(user).toMatchObject({ password: 'NewSecret1!', passwordChangedAt: NOW, lockUntil: null, emailVerified: true });
+    expect(user.save).toHaveBeenCalled();
+    expect(sessionService.revokeAllSessions).toHaveBeenCalledWith('u1', 'password_reset');
+
+    // The token was cleared by the update that used it
+    User.findOneAndUpdate.mockResolvedValueOnce(null);
+    await expect(service.resetPassword('reset-token', 'Other1!aa', NOW))
+      .rejects.toMatchObject({ status: 400, code: 'INVALID_RESET_TOKEN' });
+    expect(sessionService.revokeAllSessions).toHaveBeenCalledTimes(1);
+  });
+
+  test('should send a verification link and verify with it', async () => {
+    await service.sendVerification(user, NOW);
+
+    const { verificationUrl, firstName } = emailService.sendEmailVerificationEmail.mock.calls[0][1];
+    const token = tokenFrom(verificationUrl);
+    expect(firstName).toBe('Ada');
+    expect(User.updateOne.mock.calls[0][1].$set).toEqual({
+      emailVerificationToken: sha256(token),
+      emailVerificationExpires: new Date(NOW.getTime() + 24 * 60 * 60 * 1000),
+      emailVerificationSentAt: NOW
+    });
+
+    User.findOneAndUpdate.mockResolvedValueOnce({ ...user, emailVerified: true });
+    await service.verifyEmail(token, NOW);
+    expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+      { emailVerificationToken: sha256(token), emailVerificationExpires: { $gt: NOW } },
+      { $set: { emailVerified: true, emailVerifiedAt: NOW, emailVerificationToken: null, emailVerificationExpires: null } },
+      { new: true }
+    );
+
+    User.findOneAndUpdate.mockResolvedValueOnce(null);
+    await expect(service.verifyEmail(token, NOW)).rejects.toMatchObject({ status: 400, code: 'INVALID_VERIFICATION_TOKEN' });
+  });
+
+  test('should refuse to resend to verified addresses or within the cooldown', async () => {
+    await expect(service.sendVerification({ ...user, emailVerified: true }, NOW))
+      .rejects.toMatchObject({ status: 409 });
+    await expect(service.sendVerification({ ...user, emailVerificationSentAt: new Date(NOW.getTime() - 10 * 1000) }, NOW))
+      .rejects.toMatchObject({ status: 429 });
+    expect(emailService.sendEmailVerificationEmail).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,174 @@
+jest.mock('../../packages/api/src/services/PaymentService', () => jest.fn());
+jest.mock('../../packages/api/src/services/CacheService', () => jest.fn());
+
+const mockQuery = (result) => {
+  const query = {
+    select: jest.fn(() => query),
+    lean: jest.fn().mockResolvedValue(result)
+  };
+  return query;
+};
+
+const mockModel = () => ({
+  find: jest.fn(() => mockQuery([])),
+  findById: jest.fn(),
+  findOne: jest.fn(),
+  distinct: jest.fn().mockResolvedValue([]),
+  deleteOne: jest.fn().mockResolvedValue({ deletedCount: 1 }),
+  deleteMany: jest.fn().mockResolvedValue({ deletedCount: 0 }),
+  updateMany: jest.fn().mockResolvedValue({ modifiedCount: 0 })
+});
+
+jest.mock('../../packages/api/src/models/User', () => mockModel());
+jest.mock('../../packages/api/src/models/Subscription', () => mockModel());
+jest.mock('../../packages/api/src/models/Appointment', () => mockModel());
+jest.mock('../../packages/api/src/models/Content', () => mockModel());
+jest.mock('../../packages/api/src/models/Analytics', () => mockModel());
+jest.mock('../../packages/api/src/models/EmailCampaign', () => mockModel());
+jest.mock('../../packages/api/src/models/EmailJob', () => mockModel());
+jest.mock('../../packages/api/src/models/ConsentRecord', () => mockModel());
+jest.mock('../../packages/api/src/models/Subscriber', () => mockModel());
+jest.mock('../../packages/api/src/models/Segment', () => mockModel());
+jest.mock('../../packages/api/src/models/Suppression', () => mockModel());
+jest.mock('../../packages/api/src/models/DataExport', () => mockModel());
+jest.mock('../../packages/api/src/models/EmailTracking', () => ({
+  EmailOpen: mockModel(),
+  EmailClick: mockModel(),
+  EmailUnsubscribe: mockModel(),
+  SpamComplaint: mockModel(),
+  EmailBounce: mockModel()
+}));
+jest.mock('../../packages/api/src/models/ErasureCertificate', () => {
+  const ErasureCertificate = jest.fn().mockImplementation(function(data) {
+    Object.assign(this, data);
+    this.save = jest.fn().mockResolvedValue(this);
+  });
+  ErasureCertificate.findOne = jest.fn();
+  return ErasureCertificate;
+});
+
+const User = require('../../packages/api/src/models/User');
+const Subscription = require('../../packages/api/src/models/Subscription');
+const Content = require('../../packages/api/src/models/Content');
+const EmailCampaign = require('../../packages/api/src/models/EmailCampaign');
+const ConsentRecord = require('../../packages/api/src/models/ConsentRecord');
+const { EmailOpen, EmailUnsubscribe } = require('../../packages/api/src/models/EmailTracking');
+const AccountErasureService = require('../../packages/api/src/services/AccountErasureService');
+
+const USER_ID = '64b7f0c2a1b2c3d4e5f60718';
+const EMAIL = 'ada@example.com';
+
+describe('AccountErasureService', () => {
+  let paymentService;
+  let cacheService;
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    paymentService = {
+      findCustomersByUserId: jest.fn().mockResolvedValue([{ id: 'cus_123' }]),
+      deleteCustomer: jest.fn().mockResolvedValue({ id: 'cus_123', deleted: true })
+    };
+    cacheService = { invalidateEntity: jest.fn().mockResolvedValue(3) };
+    service = new AccountErasureService({ signingSecret: 'test-secret', paymentService, cacheService });
+
+    User.findById.mockResolvedValue({ _id: USER_ID, email: EMAIL });
+    EmailCampaign.find.mockReturnValue(mockQuery([{
+      recipients: [
+        { subscriberId: 'sub-42', email: EMAIL },
+        { subscriberId: 'sub-7', email: 'grace@example.com' }
+      ]
+    }]));
+    Subscription.updateMany.mockResolvedValue({ modifiedCount: 2 });
+  });
+
+  test('should refuse to run without a signing secret', async () => {
+    delete process.env.ERASURE_CERTIFICATE_SECRET;
+    const unsigned = new AccountErasureService({ paymentService, cacheService });
+
+    await expect(unsigned.eraseAccount(USER_ID)).rejects.toMatchObject({ name: 'ConfigurationError' });
+    expect(User.deleteOne).not.toHaveBeenCalled();
+  });
+
+  test('should cancel billing, cascade and issue a verifiable certificate', async () => {
+    const certificate = await service.eraseAccount(USER_ID, { requestId: '64b7f0c2a1b2c3d4e5f60799' });
+
+    expect(paymentService.deleteCustomer).toHaveBeenCalledWith('cus_123');
+    expect(EmailOpen.deleteMany).toHaveBeenCalledWith({ subscriber_id: { $in: [USER_ID, 'sub-42'] } });
+    expect(Content.updateMany).toHaveBeenCalledWith(
+      { 'collaboration.editors.userId': USER_ID },
+      { $pull: { 'collaboration.editors': { userId: USER_ID } } }
+    );
+    expect(User.deleteOne).toHaveBeenCalledWith({ _id: USER_ID });
+    expect(cacheService.invalidateEntity).toHaveBeenCalledWith(USER_ID);
+
+    expect(certificate.subjectPseudonym).toBe(service.pseudonymFor(USER_ID).hex);
+    expect(certificate.subjectPseudonym).not.toContain(USER_ID);
+    expect(certificate.steps).toEqual(expect.arrayContaining([
+      { collectionName: 'stripeCustomers', action: 'cancelled', count: 1 },
+      expect.objectContaining({ collectionName: 'subscriptions', action: 'pseudonymised', count: 2, retained: true }),
+      { collectionName: 'users', action: 'deleted', count: 1 },
+      { collectionName: 'cache', action: 'invalidated', count: 3 }
+    ]));
+    expect(service.verifyCertificate(certificate)).toBe(true);
+  });
+
+  test('should pseudonymise retained records rather than delete them', async () => {
+    await service.eraseAccount(USER_ID);
+    const { objectId, hex } = service.pseudonymFor(USER_ID);
+
+    expect(Subscription.deleteMany).not.toHaveBeenCalled();
+    expect(Subscription.updateMany).toHaveBeenCalledWith({ userId: USER_ID }, expect.objectContaining({
+      $set: expect.objectContaining({ userId: objectId })
+    }));
+    expect(ConsentRecord.updateMany).toHaveBeenCalledWith({ userId: USER_ID }, {
+      $set: expect.objectContaining({ userId: objectId, ipHash: null, userAgent: null })
+    });
+    expect(EmailUnsubscribe.updateMany).toHaveBeenCalledWith(expect.any(Object), {
+      $set: { subscriber_id: hex, ip_address: '0.0.0.0' }
+    });
+    expect(EmailCampaign.updateMany).toHaveBeenCalledWith(
+      { 'recipients.email': EMAIL },
+      expect.objectContaining({
+        $set: expect.objectContaining({ 'recipients.$[recipient].subscriberId': hex })
+      }),
+      { arrayFilters: [{ 'recipient.email': EMAIL }] }
+    );
+  });
+
+  test('should leave everything in place when Stripe fails', async () => {
+    paymentService.deleteCustomer.mockRejectedValue(new Error('Failed to delete Stripe customer'));
+
+    await expect(service.eraseAccount(USER_ID)).rejects.toThrow('Failed to delete Stripe customer');
+    expect(Subscription.updateMany).not.toHaveBeenCalled();
+    expect(User.deleteOne).not.toHaveBeenCalled();
+  });
+
+  test('should keep the account when a local step fails', async () => {
+    Content.deleteMany.mockRejectedValueOnce(new Error('connection reset'));
+
+    await expect(service.eraseAccount(USER_ID)).rejects.toMatchObject({
+      name: 'ErasureError',
+      message: 'Erasure incomplete: connection reset'
+    });
+    expect(ConsentRecord.updateMany).toHaveBeenCalled();
+    expect(User.deleteOne).not.toHaveBeenCalled();
+  });
+
+  test('should still issue a certificate when the cache is unavailable', async () => {
+    cacheService.invalidateEntity.mockRejectedValue(new Error('Redis client not connected'));
+
+    const certificate = await service.eraseAccount(USER_ID);
+
+    expect(certificate.save).toHaveBeenCalled();
+    expect(certificate.steps.find(step => step.collectionName === 'cache')).toBeUndefined();
+  });
+
+  test('should detect a tampered certificate', async () => {
+    const certificate = await service.eraseAccount(USER_ID);
+    certificate.steps[0].count = 0;
+
+    expect(service.verifyCertificate(certificate)).toBe(false);
+  });
+});
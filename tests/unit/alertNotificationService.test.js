@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const http = require('http');
+const AlertNotificationService = require('../../packages/api/src/services/AlertNotificationService');
+const { signPayload, SIGNATURE_HEADER } = AlertNotificationService;
+
+const MINUTE = 60 * 1000;
+
+describe('AlertNotificationService', () => {
+    let stub;
+    let baseUrl;
+    let requests;
+    let responseStatus;
+    let notifier;
+    let emailService;
+    let smsProvider;
+    let logger;
+
+    beforeAll(async () => {
+        // Local stand-in for Slack and webhook receivers
+        stub = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                requests.push({ path: req.url, headers: req.headers, body });
+                res.writeHead(responseStatus);
+                res.end('ok');
+            });
+        });
+        await new Promise(resolve => stub.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${stub.address().port}`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => stub.close(resolve));
+    });
+
+    beforeEach(() => {
+        requests = [];
+        responseStatus = 200;
+        emailService = { sendEmail: jest.fn().mockResolvedValue({ messageId: 'm1' }) };
+        smsProvider = { send: jest.fn().mockResolvedValue({ id: 'sms-1' }) };
+        logger = { logInfo: jest.fn(), logWarning: jest.fn(), logError: jest.fn() };
+
+        notifier = new AlertNotificationService({
+            logger,
+            emailService,
+            emailTo: 'ops@example.com, oncall@example.com',
+            slackWebhookUrl: `${baseUrl}/slack`,
+            webhookUrl: `${baseUrl}/hook`,
+            webhookSecret: 'hook-secret',
+            smsTo: '+15550100',
+            smsProvider: 'stub',
+            smsProviders: { stub: smsProvider }
+        });
+    });
+
+    const raise = (overrides = {}, now = Date.now()) => notifier.raise({
+        key: 'database_connections:critical_system_failure',
+        source: 'database_connections',
+        rule: 'critical_system_failure',
+        severity: 'critical',
+        message: 'Primary database unreachable',
+        channels: ['email', 'slack', 'webhook'],
+        escalation: [{ after: 15 * MINUTE, channels: ['sms'] }],
+        ...overrides
+    }, now);
+
+    test('should deliver a new alert by email, Slack and signed webhook', async () => {
+        const alert = await raise();
+
+        expect(emailService.sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+            to: 'ops@example.com, oncall@example.com',
+            subject: '[CRITICAL] database_connections: critical_system_failure'
+        }));
+
+        const slack = requests.find(request => request.path === '/slack');
+        expect(JSON.parse(slack.body)).toMatchObject({
+            text: '[CRITICAL] database_connections: critical_system_failure',
+            attachments: [{ color: '#d32f2f', text: 'Primary database unreachable' }]
+        });
+
+        const hook = requests.find(request => request.path === '/hook');
+        const [timestamp] = hook.headers[SIGNATURE_HEADER.toLowerCase()].match(/\d+/);
+        expect(hook.headers[SIGNATURE_HEADER.toLowerCase()]).toBe(signPayload('hook-secret', hook.body, Number(timestamp)));
+        expect(JSON.parse(hook.body)).toMatchObject({ event: 'alert.triggered', alert: { id: alert.id, status: 'open' } });
+
+        expect(alert.notifiedChannels).toEqual(['email', 'slack', 'webhook']);
+        expect(smsProvider.send).not.toHaveBeenCalled();
+    });
+
+    test('should fold repeats into the open alert until the dedup window passes', async () => {
+        const start = Date.now();
+        const alert = await raise({ dedupWindowMs: 5 * MINUTE }, start);
+        await raise({ dedupWindowMs: 5 * MINUTE }, start + MINUTE);
+
+        expect(alert.occurrences).toBe(2);
+        expect(requests.filter(request => request.path === '/slack')).toHaveLength(1);
+
+        await raise({ dedupWindowMs: 5 * MINUTE }, start + 6 * MINUTE);
+
+        const hooks = requests.filter(request => request.path === '/hook').map(request => JSON.parse(request.body).event);
+        expect(hooks).toEqual(['alert.triggered', 'alert.reminder']);
+        expect(notifier.listAlerts()).toHaveLength(1);
+    });
+
+    test('should escalate unacknowledged alerts and stop once acknowledged', async () => {
+        const start = Date.now();
+        const alert = await raise({}, start);
+
+        await expect(notifier.escalateDue(start + 10 * MINUTE)).resolves.toBe(0);
+        await expect(notifier.escalateDue(start + 16 * MINUTE)).resolves.toBe(1);
+        expect(smsProvider.send).toHaveBeenCalledWith({
+            to: '+15550100',
+            body: '[ESCALATED] database_connections: critical_system_failure: Primary database unreachable'
+        });
+
+        const other = await raise({ key: 'cache_health:critical_system_failure', source: 'cache_health' }, start);
+        await notifier.acknowledge(other.id, { by: 'ada@example.com' }, start + MINUTE);
+        await notifier.escalateDue(start + 20 * MINUTE);
+
+        expect(smsProvider.send).toHaveBeenCalledTimes(1);
+        expect(alert.escalationLevel).toBe(1);
+        const acknowledged = requests.filter(request => request.path === '/hook').map(request => JSON.parse(request.body))
+            .find(event => event.event === 'alert.acknowledged');
+        expect(acknowledged.alert).toMatchObject({ id: other.id, acknowledgedBy: 'ada@example.com' });
+    });
+
+    test('should tell every notified channel when a check recovers', async () => {
+        const alert = await raise();
+        requests = [];
+
+        const resolved = await notifier.resolveSource('database_connections');
+
+        expect(resolved.map(entry => entry.id)).toEqual([alert.id]);
+        expect(alert.status).toBe('resolved');
+        expect(emailService.sendEmail).toHaveBeenLastCalledWith(expect.objectContaining({
+            subject: '[RESOLVED] database_connections: critical_system_failure',
+            text: expect.stringContaining('database_connections has recovered.')
+        }));
+        expect(JSON.parse(requests.find(request => request.path === '/slack').body).attachments[0].color).toBe('#2e7d32');
+
+        // The next failure opens a new alert
+        const next = await raise();
+        expect(next.id).not.toBe(alert.id);
+        await expect(notifier.acknowledge(alert.id)).rejects.toMatchObject({ status: 409 });
+    });
+
+    test('should keep delivering when one channel fails', async () => {
+        responseStatus = 500;
+
+        const alert = await raise();
+
+        expect(alert.deliveries.map(({ channel, ok }) => ({ channel, ok }))).toEqual([
+            { channel: 'email', ok: true },
+            { channel: 'slack', ok: false },
+            { channel: 'webhook', ok: false }
+        ]);
+        expect(alert.notifiedChannels).toEqual(['email']);
+        expect(logger.logError).toHaveBeenCalledTimes(2);
+    });
+
+    test('should send test notifications only through configured channels', async () => {
+        await expect(notifier.sendTest('slack', { by: 'ada@example.com' })).resolves.toMatchObject({ channel: 'slack', type: 'test', ok: true });
+        expect(JSON.parse(requests[0].body).text).toBe('[TEST] alerting: test');
+        expect(notifier.listAlerts()).toHaveLength(0);
+
+        const unconfigured = new AlertNotificationService({ logger, smsProviders: { stub: smsProvider } });
+        await expect(unconfigured.sendTest('webhook')).rejects.toMatchObject({ status: 400, message: 'Alert channel webhook is not configured' });
+        await expect(unconfigured.sendTest('pager')).rejects.toMatchObject({ status: 400 });
+        expect(() => unconfigured.registerSmsProvider('broken', {})).toThrow('must implement send');
+    });
+
+    test('should sign webhook bodies with a timestamped HMAC', () => {
+        const body = JSON.stringify({ event: 'alert.test' });
+        const expected = crypto.createHmac('sha256', 'hook-secret').update(`1700000000.${body}`).digest('hex');
+
+        expect(signPayload('hook-secret', body, 1700000000)).toBe(`t=1700000000,v1=${expected}`);
+    });
+});
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+
+jest.mock('../../packages/api/src/models/ApiKey', () => ({
+  create: jest.fn(),
+  findOne: jest.fn(),
+  find: jest.fn(),
+  updateOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  API_KEY_SCOPES: ['campaigns:read', 'campaigns:write', 'subscribers:read', 'subscribers:write', 'subscribers:import', 'analytics:read']
+}));
+
+jest.mock('../../packages/api/src/models/User', () => ({
+  findById: jest.fn()
+}));
+
+const ApiKey = require('../../packages/api/src/models/ApiKey');
+const User = require('../../packages/api/src/models/User');
+const { ApiKeyService } = require('../../packages/api/src/services/ApiKeyService');
+
+const NOW = new Date(Date.UTC(2024, 0, 15, 12, 0, 0));
+const DAY_MS = 24 * 60 * 60 * 1000;
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+describe('ApiKeyService', () => {
+  let service;
+  let securityService;
+  let user;
+  let admin;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    securityService = { createAdvancedRateLimiter: jest.fn().mockReturnValue('limiter') };
+    service = new ApiKeyService({ securityService, hashSalt: 'salt' });
+    user = { _id: 'u1', role: 'user', isActive: true };
+    admin = { _id: 'a1', role: 'admin', isActive: true };
+
+    ApiKey.create.mockImplementation(async (doc) => ({
+      _id: 'k1',
+      revokedAt: null,
+      ...doc,
+      rateLimit: { max: 1000, windowMs: 900000, ...doc.rateLimit }
+    }));
+    ApiKey.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    User.findById.mockReturnValue({ select: () => Promise.resolve(user) });
+  });
+
+  // Create a key and have ApiKey.findOne return it as stored
+  const issueKey = async (params = {}) => {
+    const result = await service.createKey(user, { name: 'Sync', scopes: ['subscribers:import'], ...params }, NOW);
+    ApiKey.findOne.mockResolvedValue(result.apiKey);
+    return result;
+  };
+
+  test('should store only a hash of the key and show the key once', async () => {
+    const { key, apiKey } = await issueKey({ scopes: ['subscribers:import', 'subscribers:import', 'analytics:read'] });
+
+    expect(key).toMatch(new RegExp(`^pnk_${apiKey.keyId}_[A-Za-z0-9_-]{43}$`));
+    expect(apiKey.keyHash).toBe(sha256(key));
+    expect(JSON.stringify(ApiKey.create.mock.calls[0][0])).not.toContain(key);
+    expect(apiKey).toMatchObject({
+      ownerType: 'user',
+      userId: 'u1',
+      createdBy: 'u1',
+      scopes: ['subscribers:import', 'analytics:read'],
+      expiresAt: new Date(NOW.getTime() + 90 * DAY_MS)
+    });
+  });
+
+  test('should refuse unknown scopes, long expiries and organisation keys from non-admins', async () => {
+    await expect(service.createKey(user, { name: 'x', scopes: [] })).rejects.toMatchObject({ status: 400 });
+    await expect(service.createKey(user, { name: 'x', scopes: ['users:delete'] })).rejects.toMatchObject({ status: 400 });
+    await expect(service.createKey(user, { name: 'x', scopes: ['analytics:read'], expiresInDays: 366 })).rejects.toMatchObject({ status: 400 });
+    await expect(service.createKey(user, { name: 'x', scopes: ['analytics:read'], ownerType: 'organization' })).rejects.toMatchObject({ status: 403 });
+    await expect(service.createKey(user, { name: 'x', scopes: ['analytics:read'], userId: 'u2' })).rejects.toMatchObject({ status: 403 });
+    expect(ApiKey.create).not.toHaveBeenCalled();
+  });
+
+  test('should let admins create organisation keys acting as another account', async () => {
+    User.findById.mockReturnValue({ select: () => Promise.resolve({ _id: 'svc1', isActive: true }) });
+
+    const { apiKey } = await service.createKey(admin, { name: 'Mobile app', scopes: ['campaigns:read'], ownerType: 'organization', userId: 'svc1' }, NOW);
+
+    expect(apiKey).toMatchObject({ ownerType: 'organization', userId: 'svc1', createdBy: 'a1' });
+  });
+
+  test('should authenticate a valid key and record its use', async () => {
+    const { key, apiKey } = await issueKey();
+
+    const result = await service.authenticate(key, { ipAddress: '203.0.113.7' }, NOW);
+
+    expect(result).toEqual({ apiKey, user });
+    expect(ApiKey.findOne).toHaveBeenCalledWith({ keyId: apiKey.keyId });
+    expect(User.findById).toHaveBeenCalledWith('u1');
+    expect(ApiKey.updateOne).toHaveBeenCalledWith(
+      { _id: 'k1', $or: [{ lastUsedAt: null }, { lastUsedAt: { $lt: new Date(NOW.getTime() - 60 * 1000) } }] },
+      { $set: { lastUsedAt: NOW, lastUsedIpHash: sha256('salt203.0.113.7') } }
+    );
+  });
+
+  test('should refuse malformed, wrong, revoked and expired keys and disabled accounts', async () => {
+    const { key, apiKey } = await issueKey();
+    const forged = key.slice(0, -4) + (key.endsWith('AAAA') ? 'BBBB' : 'AAAA');
+
+    await expect(service.authenticate('not-a-key', {}, NOW)).rejects.toMatchObject({ code: 'INVALID_API_KEY' });
+    await expect(service.authenticate(forged, {}, NOW)).rejects.toMatchObject({ code: 'INVALID_API_KEY' });
+
+    await expect(service.authenticate(key, {}, new Date(apiKey.expiresAt.getTime())))
+      .rejects.toMatchObject({ status: 401, code: 'API_KEY_EXPIRED' });
+
+    user.is_suspended = true;
+    await expect(service.authenticate(key, {}, NOW)).rejects.toMatchObject({ code: 'API_KEY_ACCOUNT_DISABLED' });
+
+    apiKey.revokedAt = NOW;
+    await expect(service.authenticate(key, {}, NOW)).rejects.toMatchObject({ code: 'API_KEY_REVOKED' });
+    expect(ApiKey.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('should check scopes and rate limit per key', async () => {
+    const { apiKey } = await issueKey({ scopes: ['subscribers:read', 'subscribers:import'] });
+
+    expect(service.hasScopes(apiKey, ['subscribers:import'])).toBe(true);
+    expect(service.hasScopes(apiKey, ['subscribers:import', 'subscribers:write'])).toBe(false);
+
+    expect(service.rateLimiter(apiKey)).toBe('limiter');
+    const [name, options] = securityService.createAdvancedRateLimiter.mock.calls[0];
+    expect(name).toBe(`api_key_${apiKey.keyId}_1000_900000`);
+    expect(options).toMatchObject({ max: 1000, windowMs: 900000 });
+    expect(options.keyGenerator({ ip: '203.0.113.7' })).toBe(apiKey.keyId);
+  });
+
+  test('should only let users revoke their own keys and admins organisation keys', async () => {
+    ApiKey.findOneAndUpdate.mockResolvedValue(null);
+
+    await expect(service.revokeKey('k1', user)).resolves.toBeNull();
+    expect(ApiKey.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: 'k1', revokedAt: null, ownerType: 'user', createdBy: 'u1' });
+
+    await service.revokeKey('k1', admin);
+    expect(ApiKey.findOneAndUpdate.mock.calls[1][0]).toEqual({
+      _id: 'k1',
+      revokedAt: null,
+      $or: [{ ownerType: 'organization' }, { createdBy: 'a1' }]
+    });
+
+    await expect(service.listKeys(user, { ownerType: 'organization' })).rejects.toMatchObject({ status: 403 });
+  });
+});
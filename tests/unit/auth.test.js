@@ -11,7 +11,7 @@ describe('Authentication Middleware', () => {
 
   beforeEach(() => {
     sandbox = sinon.createSandbox();
-    authMiddleware = require('../../middleware/auth');
+    authMiddleware = require('../../packages/api/src/middleware/auth');
     
     req = {
       headers: {},
@@ -0,0 +1,108 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const BackupCatalogue = require('../../backup/backup-catalogue');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('BackupCatalogue', () => {
+    let dir;
+    let catalogue;
+
+    const backup = (id, type, createdAt) => ({
+        id,
+        type,
+        fileName: `${id}.tar.gz`,
+        createdAt,
+        sizeBytes: 1024,
+        checksum: { algorithm: 'sha256', value: 'abc123' },
+        encrypted: true,
+        encryptionKeyId: '0123456789abcdef',
+        location: { s3Key: `backups/${id}.tar.gz`, localPath: null },
+        counts: { users: 3 }
+    });
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'backup-catalogue-'));
+        catalogue = new BackupCatalogue({ filePath: path.join(dir, 'catalogue.json'), retentionDays: 30 });
+    });
+
+    afterEach(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    test('should save entries and load them back', async () => {
+        const entry = catalogue.add(backup('mongodb-1', 'mongodb', '2024-01-01T02:00:00.000Z'));
+
+        expect(entry).toMatchObject({
+            expiresAt: '2024-01-31T02:00:00.000Z',
+            deletedAt: null,
+            verification: { status: 'unverified' }
+        });
+
+        await catalogue.save();
+        const loaded = await new BackupCatalogue({ filePath: path.join(dir, 'catalogue.json'), retentionDays: 30 }).load();
+        expect(loaded.get('mongodb-1')).toMatchObject({ checksum: { value: 'abc123' }, encryptionKeyId: '0123456789abcdef' });
+    });
+
+    test('should fall back to the remote copy when the local file is missing', async () => {
+        const stored = [];
+        const remote = {
+            read: jest.fn(async () => stored[stored.length - 1] || null),
+            write: jest.fn(async content => stored.push(content))
+        };
+        const primary = new BackupCatalogue({ filePath: path.join(dir, 'catalogue.json'), retentionDays: 30, remote });
+        primary.add(backup('redis-1', 'redis', '2024-01-01T03:00:00.000Z'));
+        await primary.save();
+
+        const replacement = await new BackupCatalogue({ filePath: path.join(dir, 'other', 'catalogue.json'), retentionDays: 30, remote }).load();
+
+        expect(remote.write).toHaveBeenCalledTimes(1);
+        expect(replacement.get('redis-1')).not.toBeNull();
+    });
+
+    test('should report retention status and skip deleted backups', () => {
+        const now = new Date('2024-02-01T00:00:00.000Z');
+        catalogue.add(backup('postgres-old', 'postgres', new Date(now - 40 * DAY)));
+        catalogue.add(backup('postgres-expiring', 'postgres', new Date(now - 28 * DAY)));
+        catalogue.add(backup('postgres-new', 'postgres', new Date(now - DAY)));
+
+        const statuses = Object.fromEntries(catalogue.list({}, now).map(entry => [entry.id, entry.retentionStatus]));
+        expect(statuses).toEqual({ 'postgres-old': 'expired', 'postgres-expiring': 'expiring', 'postgres-new': 'retained' });
+
+        const deleted = catalogue.markDeletedBefore(new Date(now - 30 * DAY), now);
+        expect(deleted.map(entry => entry.id)).toEqual(['postgres-old']);
+        expect(catalogue.list({ retentionStatus: 'deleted' }, now).map(entry => entry.id)).toEqual(['postgres-old']);
+        expect(catalogue.latest('postgres').id).toBe('postgres-new');
+    });
+
+    test('should record drill results', () => {
+        catalogue.add(backup('uploads-1', 'uploads', '2024-01-01T01:00:00.000Z'));
+        const differences = [{ name: 'files', expected: 10, actual: 9 }];
+
+        catalogue.recordVerification('uploads-1', { passed: false, differences }, new Date('2024-01-02T09:00:00.000Z'));
+
+        expect(catalogue.get('uploads-1').verification).toEqual({
+            status: 'failed',
+            verifiedAt: '2024-01-02T09:00:00.000Z',
+            differences,
+            error: null
+        });
+        expect(() => catalogue.recordVerification('missing', { passed: true })).toThrow('Backup not in catalogue');
+    });
+
+    test('should drill the newest backup of each type plus a sample of the rest', () => {
+        const now = new Date('2024-01-20T00:00:00.000Z');
+        for (let day = 1; day <= 10; day++) {
+            catalogue.add(backup(`mongodb-${day}`, 'mongodb', new Date(now - day * DAY)));
+        }
+        catalogue.add(backup('redis-1', 'redis', new Date(now - DAY)));
+
+        const newestOnly = catalogue.selectForDrill(0, Math.random, now).map(entry => entry.id);
+        expect(newestOnly).toEqual(['mongodb-1', 'redis-1']);
+
+        const sampled = catalogue.selectForDrill(20, () => 0.5, now);
+        expect(sampled).toHaveLength(4);
+        expect(sampled.slice(0, 2).map(entry => entry.id)).toEqual(['mongodb-1', 'redis-1']);
+    });
+});
@@ -0,0 +1,88 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const {
+    countBsonDocuments,
+    countMongoDump,
+    createPostgresRowCounter,
+    countRedisKeys,
+    countArchiveFiles,
+    countDirectoryFiles,
+    compareCounts
+} = require('../../backup/backup-counts');
+
+// { a: 1 } and an empty document, as BSON
+const DOCUMENT = Buffer.from([0x0c, 0, 0, 0, 0x10, 0x61, 0, 1, 0, 0, 0, 0]);
+const EMPTY_DOCUMENT = Buffer.from([5, 0, 0, 0, 0]);
+
+describe('backup counts', () => {
+    let dir;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'backup-counts-'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    test('should count documents per collection in a mongodump directory', async () => {
+        await fs.mkdir(path.join(dir, 'piper_newsletter'));
+        await fs.writeFile(path.join(dir, 'piper_newsletter', 'users.bson'), Buffer.concat([DOCUMENT, EMPTY_DOCUMENT, DOCUMENT]));
+        await fs.writeFile(path.join(dir, 'piper_newsletter', 'campaigns.bson'), Buffer.alloc(0));
+        await fs.writeFile(path.join(dir, 'piper_newsletter', 'users.metadata.json'), '{}');
+
+        await expect(countMongoDump(dir, 'piper_newsletter')).resolves.toEqual({ campaigns: 0, users: 3 });
+    });
+
+    test('should reject truncated BSON files', async () => {
+        const filePath = path.join(dir, 'broken.bson');
+        await fs.writeFile(filePath, Buffer.concat([DOCUMENT, DOCUMENT.subarray(0, 6)]));
+
+        await expect(countBsonDocuments(filePath)).rejects.toThrow('Truncated BSON file');
+    });
+
+    test('should count rows in the COPY blocks of a pg_dump', () => {
+        const rows = createPostgresRowCounter();
+
+        [
+            'CREATE TABLE public.events (id integer, name text);',
+            'COPY public.events (id, name) FROM stdin;',
+            '1\topen',
+            '2\tclick',
+            '\\.',
+            'COPY public.empty (id) FROM stdin;',
+            '\\.',
+            ''
+        ].forEach(line => rows.line(line));
+
+        expect(rows.counts).toEqual({ 'public.events': 2, 'public.empty': 0 });
+    });
+
+    test('should count Redis keys, archive entries and extracted files', async () => {
+        expect(countRedisKeys('# Keyspace\r\ndb0:keys=120,expires=4,avg_ttl=0\r\ndb2:keys=3,expires=0,avg_ttl=0\r\n')).toBe(123);
+        expect(countRedisKeys('# Keyspace\r\n')).toBe(0);
+        expect(countArchiveFiles('./\n./a.txt\n./images/\n./images/b.png\n')).toBe(2);
+
+        await fs.mkdir(path.join(dir, 'images'));
+        await fs.writeFile(path.join(dir, 'a.txt'), 'a');
+        await fs.writeFile(path.join(dir, 'images', 'b.png'), 'b');
+        await expect(countDirectoryFiles(dir)).resolves.toBe(2);
+    });
+
+    test('should report differing and missing counts', () => {
+        expect(compareCounts({ users: 3, campaigns: 2 }, { users: 3, campaigns: 2 })).toEqual({ matches: true, differences: [] });
+
+        expect(compareCounts({ users: 3, campaigns: 2 }, { users: 2, lists: 1 })).toEqual({
+            matches: false,
+            differences: [
+                { name: 'campaigns', expected: 2, actual: null },
+                { name: 'lists', expected: null, actual: 1 },
+                { name: 'users', expected: 3, actual: 2 }
+            ]
+        });
+
+        expect(compareCounts({ keys: 1000 }, { keys: 1008 }, { tolerance: 0.01 }).matches).toBe(true);
+        expect(compareCounts({ keys: 1000 }, { keys: 1011 }, { tolerance: 0.01 }).matches).toBe(false);
+    });
+});
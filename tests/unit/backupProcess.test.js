@@ -0,0 +1,95 @@
+const fs = require('fs').promises;
+const { createReadStream, createWriteStream } = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { runCommand, lineTap, progressMeter } = require('../../backup/backup-process');
+
+describe('backup process helpers', () => {
+    let dir;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'backup-process-'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    test('should pass config values as arguments, never through a shell', async () => {
+        const marker = path.join(dir, 'pwned');
+        const hostile = `db; touch ${marker} $(touch ${marker})`;
+
+        const { stdout } = await runCommand('printf', ['%s', hostile]);
+
+        expect(stdout).toBe(hostile);
+        await expect(fs.access(marker)).rejects.toMatchObject({ code: 'ENOENT' });
+    });
+
+    test('should stream output through compression to a file', async () => {
+        const outputPath = path.join(dir, 'out.gz');
+        const lines = [];
+        let reported = 0;
+
+        await runCommand('seq', ['1', '5000'], {
+            stdout: [
+                lineTap(line => lines.push(line)),
+                zlib.createGzip(),
+                progressMeter(bytes => { reported = bytes; }),
+                createWriteStream(outputPath)
+            ]
+        });
+
+        expect(lines).toHaveLength(5000);
+        expect(lines[4999]).toBe('5000');
+        expect(reported).toBe((await fs.stat(outputPath)).size);
+        expect(zlib.gunzipSync(await fs.readFile(outputPath)).toString().split('\n')[1]).toBe('2');
+    });
+
+    test('should stream input from a pipeline of stages', async () => {
+        const inputPath = path.join(dir, 'in.gz');
+        await fs.writeFile(inputPath, zlib.gzipSync('alpha\nbeta\n'));
+        const lines = [];
+
+        await runCommand('cat', [], {
+            stdin: [createReadStream(inputPath), zlib.createGunzip()],
+            onLine: line => lines.push(line)
+        });
+
+        expect(lines).toEqual(['alpha', 'beta']);
+    });
+
+    test('should report exit codes with the end of stderr', async () => {
+        await expect(runCommand('ls', [path.join(dir, 'missing')])).rejects.toThrow(/^ls exited with code 2: .*missing/);
+        await expect(runCommand('no-such-command-for-backups', [])).rejects.toMatchObject({ code: 'ENOENT' });
+    });
+
+    test('should kill commands that run past their timeout', async () => {
+        const started = Date.now();
+
+        await expect(runCommand('sleep', ['10'], { timeoutMs: 200 })).rejects.toThrow('sleep timed out after 0 seconds');
+        expect(Date.now() - started).toBeLessThan(5000);
+    });
+
+    test('should stop the command when the output stream fails', async () => {
+        await expect(runCommand('seq', ['1', '100000'], {
+            stdout: [createWriteStream(path.join(dir, 'missing', 'out'))]
+        })).rejects.toMatchObject({ code: 'ENOENT' });
+    });
+
+    test('should split lines across chunk boundaries', async () => {
+        const lines = [];
+        const tap = lineTap(line => lines.push(line));
+
+        await new Promise((resolve, reject) => {
+            Readable.from([Buffer.from('first\nsec'), Buffer.from('ond\nthi'), Buffer.from('rd')])
+                .pipe(tap)
+                .on('data', () => {})
+                .on('end', resolve)
+                .on('error', reject);
+        });
+
+        expect(lines).toEqual(['first', 'second', 'third']);
+    });
+});
@@ -0,0 +1,214 @@
+jest.mock('../../packages/api/src/models/EmailTracking', () => {
+  const EmailBounce = jest.fn().mockImplementation(function(data) {
+    Object.assign(this, { escalated: false }, data);
+    this.save = jest.fn().mockResolvedValue(this);
+  });
+  EmailBounce.countDocuments = jest.fn();
+  return { EmailBounce };
+});
+
+jest.mock('../../packages/api/src/models/Suppression', () => ({
+  find: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  deleteOne: jest.fn()
+}));
+
+jest.mock('../../packages/api/src/models/Subscriber', () => ({
+  updateMany: jest.fn()
+}));
+
+jest.mock('../../packages/api/src/models/EmailCampaign', () => ({
+  updateOne: jest.fn()
+}));
+
+const { EmailBounce } = require('../../packages/api/src/models/EmailTracking');
+const Suppression = require('../../packages/api/src/models/Suppression');
+const Subscriber = require('../../packages/api/src/models/Subscriber');
+const EmailCampaign = require('../../packages/api/src/models/EmailCampaign');
+const BounceService = require('../../packages/api/src/services/BounceService');
+
+const CAMPAIGN_ID = '64b7f0c2a1b2c3d4e5f60730';
+
+const DSN = [
+  'From: MAILER-DAEMON@mx.example.net',
+  'Subject: Undelivered Mail Returned to Sender',
+  'Content-Type: multipart/report; report-type=delivery-status; boundary="b1"',
+  '',
+  '--b1',
+  'Content-Type: message/delivery-status',
+  '',
+  'Reporting-MTA: dns; mx.example.net',
+  '',
+  'Final-Recipient: rfc822; Ada@Example.com',
+  'Action: failed',
+  'Status: 5.1.1',
+  'Diagnostic-Code: smtp; 550 5.1.1 <ada@example.com>: Recipient address',
+  '    rejected: User unknown',
+  '',
+  'Final-Recipient: rfc822; grace@example.com',
+  'Action: delayed',
+  'Status: 4.2.2',
+  '',
+  '--b1',
+  'Content-Type: message/rfc822',
+  '',
+  `X-Piper-Campaign-Id: ${CAMPAIGN_ID}`,
+  'Subject: This week in AI',
+  '--b1--'
+].join('\r\n');
+
+describe('BounceService', () => {
+  let service;
+  let monitoringService;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    monitoringService = { trackEmailBounce: jest.fn(), trackSecurityEvent: jest.fn(), updateBounceRate: jest.fn() };
+    service = new BounceService({ hashSalt: 'test-salt', softBounceLimit: 3, monitoringService });
+    Suppression.findOneAndUpdate.mockImplementation(async (filter, update) => update.$setOnInsert);
+    Subscriber.updateMany.mockResolvedValue({ modifiedCount: 1 });
+    EmailCampaign.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  test('should classify bounces from status codes before diagnostic text', () => {
+    const typeOf = (report) => service.classify(report).type;
+
+    expect(typeOf({ statusCode: '5.1.1', diagnostic: 'blocked' })).toBe('hard');
+    expect(typeOf({ statusCode: '5.2.2', diagnostic: 'Mailbox full' })).toBe('soft');
+    expect(typeOf({ statusCode: '4.4.1' })).toBe('soft');
+    expect(typeOf({ diagnostic: '550 5.7.1 Message rejected due to local policy' })).toBe('block');
+    expect(typeOf({ diagnostic: '550 Blocked using zen.spamhaus.org' })).toBe('block');
+    expect(typeOf({ smtpCode: 550, diagnostic: '550 No such user here' })).toBe('hard');
+    expect(typeOf({ smtpCode: 452, diagnostic: 'Over quota' })).toBe('soft');
+    expect(typeOf({})).toBe('soft');
+    expect(service.classify({ diagnostic: '550 5.1.10 RESOLVER.ADR.RecipientNotFound' }).statusCode).toBe('5.1.10');
+  });
+
+  test('should parse failed recipients from a DSN and skip delayed ones', () => {
+    expect(service.parseDsn(DSN)).toEqual([{
+      email: 'ada@example.com',
+      type: 'hard',
+      statusCode: '5.1.1',
+      diagnostic: '550 5.1.1 <ada@example.com>: Recipient address rejected: User unknown',
+      campaignId: CAMPAIGN_ID,
+      source: 'dsn'
+    }]);
+  });
+
+  test('should parse SES notifications delivered through SNS and SendGrid events', () => {
+    const sesBounce = {
+      Type: 'Notification',
+      Message: JSON.stringify({
+        notificationType: 'Bounce',
+        bounce: {
+          bounceType: 'Transient',
+          bounceSubType: 'MailboxFull',
+          bouncedRecipients: [{ emailAddress: 'ada@example.com', status: '5.2.2', diagnosticCode: 'smtp; 552 mailbox full' }]
+        },
+        mail: { headers: [{ name: 'X-Piper-Campaign-Id', value: CAMPAIGN_ID }] }
+      })
+    };
+    const sesComplaint = {
+      notificationType: 'Complaint',
+      complaint: { complainedRecipients: [{ emailAddress: 'Grace@Example.com' }], complaintFeedbackType: 'abuse' },
+      mail: { headers: [] }
+    };
+
+    expect(service.parseWebhook('ses', sesBounce)).toEqual([
+      expect.objectContaining({ kind: 'bounce', email: 'ada@example.com', type: 'soft', campaignId: CAMPAIGN_ID, source: 'ses' })
+    ]);
+    expect(service.parseWebhook('ses', sesComplaint)).toEqual([
+      { kind: 'complaint', email: 'grace@example.com', feedbackType: 'abuse', campaignId: null, source: 'ses' }
+    ]);
+    expect(service.parseWebhook('sendgrid', [
+      { email: 'ada@example.com', event: 'bounce', type: 'bounce', status: '5.1.1', reason: '550 user unknown' },
+      { email: 'alan@example.com', event: 'bounce', type: 'blocked', status: '5.0.0', reason: 'IP listed' },
+      { email: 'grace@example.com', event: 'spamreport' },
+      { email: 'ada@example.com', event: 'deferred' }
+    ]).map(report => [report.kind, report.email, report.type])).toEqual([
+      ['bounce', 'ada@example.com', 'hard'],
+      ['bounce', 'alan@example.com', 'block'],
+      ['complaint', 'grace@example.com', undefined]
+    ]);
+    expect(() => service.parseWebhook('mailgun', {})).toThrow('Unsupported bounce provider: mailgun');
+  });
+
+  test('should suppress hard bounces and mark the campaign recipient once', async () => {
+    const result = await service.recordBounce({
+      email: 'Ada@Example.com',
+      type: 'hard',
+      statusCode: '5.1.1',
+      diagnostic: 'User unknown',
+      campaignId: CAMPAIGN_ID,
+      source: 'dsn'
+    });
+
+    expect(result).toEqual({ type: 'hard', escalated: false, suppressed: true });
+    expect(EmailBounce).toHaveBeenCalledWith(expect.objectContaining({ email: 'ada@example.com', bounce_type: 'hard', campaign_id: CAMPAIGN_ID }));
+    expect(EmailCampaign.updateOne).toHaveBeenCalledWith(
+      { _id: CAMPAIGN_ID, recipients: { $elemMatch: { email: 'ada@example.com', status: { $ne: 'bounced' } } } },
+      expect.objectContaining({ $inc: { 'stats.bounced': 1 } })
+    );
+    expect(Suppression.findOneAndUpdate).toHaveBeenCalledWith(
+      { emailHash: service.hashEmail('ada@example.com') },
+      { $setOnInsert: expect.objectContaining({ email: 'ada@example.com', reason: 'hard_bounce', source: 'dsn' }) },
+      { upsert: true, new: true }
+    );
+    expect(Subscriber.updateMany).toHaveBeenCalledWith(
+      { email: 'ada@example.com', status: { $in: ['pending', 'subscribed'] } },
+      { $set: { status: 'bounced' } }
+    );
+    expect(monitoringService.trackEmailBounce).toHaveBeenCalledWith('hard');
+  });
+
+  test('should escalate soft bounces to a suppression after the limit', async () => {
+    EmailBounce.countDocuments.mockResolvedValueOnce(2);
+    expect(await service.recordBounce({ email: 'ada@example.com', type: 'soft', source: 'smtp' }))
+      .toEqual({ type: 'soft', escalated: false, suppressed: false });
+    expect(Suppression.findOneAndUpdate).not.toHaveBeenCalled();
+
+    EmailBounce.countDocuments.mockResolvedValueOnce(3);
+    expect(await service.recordBounce({ email: 'ada@example.com', type: 'soft', source: 'smtp' }))
+      .toEqual({ type: 'soft', escalated: true, suppressed: true });
+    expect(EmailBounce.countDocuments).toHaveBeenCalledWith({
+      email: 'ada@example.com',
+      bounce_type: 'soft',
+      bounced_at: { $gte: expect.any(Date) }
+    });
+    expect(Suppression.findOneAndUpdate.mock.calls[0][1].$setOnInsert.reason).toBe('soft_bounce_limit');
+  });
+
+  test('should not suppress readers when the receiving server blocks the sender', async () => {
+    const result = await service.recordBounce({ email: 'ada@example.com', type: 'block', diagnostic: '5.7.1 blocked', source: 'smtp' });
+
+    expect(result.suppressed).toBe(false);
+    expect(Suppression.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(Subscriber.updateMany).not.toHaveBeenCalled();
+    expect(monitoringService.trackSecurityEvent).toHaveBeenCalledWith('email_blocked', 'warning');
+  });
+
+  test('should suppress complaints and count them against the campaign', async () => {
+    await service.processReports([{ kind: 'complaint', email: 'grace@example.com', campaignId: CAMPAIGN_ID, source: 'ses' }]);
+
+    expect(Suppression.findOneAndUpdate.mock.calls[0][1].$setOnInsert).toMatchObject({ reason: 'complaint', email: 'grace@example.com' });
+    expect(Subscriber.updateMany).toHaveBeenCalledWith(
+      { email: 'grace@example.com', status: { $ne: 'complained' } },
+      { $set: { status: 'complained' } }
+    );
+    expect(EmailCampaign.updateOne).toHaveBeenCalledWith({ _id: CAMPAIGN_ID }, { $inc: { 'stats.spamComplaints': 1 } });
+  });
+
+  test('should look up suppressed addresses by salted hash', async () => {
+    Suppression.find.mockReturnValue({
+      select: jest.fn().mockReturnValue({
+        lean: jest.fn().mockResolvedValue([{ emailHash: service.hashEmail('ada@example.com') }])
+      })
+    });
+
+    const suppressed = await service.suppressedEmails(['Ada@Example.com', 'grace@example.com']);
+
+    expect([...suppressed]).toEqual(['ada@example.com']);
+    expect(service.hashEmail('ada@example.com')).not.toBe(new BounceService({ hashSalt: 'other' }).hashEmail('ada@example.com'));
+    expect(Suppression.find.mock.calls[0][0].emailHash.$in).toHaveLength(2);
+  });
+});
@@ -0,0 +1,31 @@
+const CacheService = require('../../packages/api/src/services/CacheService');
+
+describe('CacheService invalidation', () => {
+  let cacheService;
+
+  beforeEach(() => {
+    jest.spyOn(CacheService.prototype, 'init').mockResolvedValue();
+    cacheService = new CacheService();
+    cacheService.delAsync = jest.fn().mockResolvedValue(1);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should find an entity\'s keys with SCAN and delete each once', async () => {
+    const pages = {
+      '0': ['17', ['user:u1:profile', 'user:u1:prefs']],
+      '17': ['42', ['user:u1:prefs']],
+      '42': ['0', ['user:u1:sessions']]
+    };
+    cacheService.scanAsync = jest.fn(async (cursor) => pages[cursor]);
+
+    const count = await cacheService.invalidateEntity('u1', ['user']);
+
+    expect(count).toBe(3);
+    expect(cacheService.scanAsync).toHaveBeenCalledTimes(3);
+    expect(cacheService.scanAsync).toHaveBeenCalledWith('0', 'MATCH', 'user:*u1*', 'COUNT', expect.any(Number));
+    expect(cacheService.delAsync.mock.calls.map(([key]) => key)).toEqual(['user:u1:profile', 'user:u1:prefs', 'user:u1:sessions']);
+  });
+});
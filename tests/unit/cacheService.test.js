@@ -64,7 +64,7 @@ describe('CacheService', () => {
     sandbox.stub(redis, 'createClient').returns(redisClientStub);
     
     // Initialize service
-    const CacheService = require('../../services/CacheService');
+    const CacheService = require('../../packages/api/src/services/CacheService');
     cacheService = new CacheService();
   });
 
@@ -86,7 +86,7 @@ describe('CacheService', () => {
         retryDelay: 2000
       };
       
-      const customService = new (require('../../services/CacheService'))(customOptions);
+      const customService = new (require('../../packages/api/src/services/CacheService'))(customOptions);
       
       expect(customService.config.defaultTTL).to.equal(7200);
       expect(customService.config.maxRetries).to.equal(5);
@@ -98,7 +98,7 @@ describe('CacheService', () => {
       process.env.REDIS_PORT = '6380';
       process.env.REDIS_PASSWORD = 'custom_password';
       
-      const envService = new (require('../../services/CacheService'))();
+      const envService = new (require('../../packages/api/src/services/CacheService'))();
       
       expect(redis.createClient.calledWith(sinon.match({
         socket: {
@@ -992,7 +992,7 @@ describe('CacheService', () => {
       redis.createClient.throws(new Error('Invalid configuration'));
       
       expect(() => {
-        new (require('../../services/CacheService'))();
+        new (require('../../packages/api/src/services/CacheService'))();
       }).to.throw('Failed to initialize Redis client');
     });
 
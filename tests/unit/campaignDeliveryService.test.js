@@ -0,0 +1,108 @@
+jest.mock('../../packages/api/src/models/EmailCampaign', () => ({
+  findOneAndUpdate: jest.fn(),
+  exists: jest.fn()
+}));
+
+jest.mock('../../packages/api/src/models/EmailJob', () => ({
+  aggregate: jest.fn(),
+  countDocuments: jest.fn(),
+  findOne: jest.fn(),
+  updateMany: jest.fn()
+}));
+
+const EmailCampaign = require('../../packages/api/src/models/EmailCampaign');
+const EmailJob = require('../../packages/api/src/models/EmailJob');
+const CampaignDeliveryService = require('../../packages/api/src/services/CampaignDeliveryService');
+
+const USER_ID = '64b7f0c2a1b2c3d4e5f60718';
+const CAMPAIGN_ID = '64b7f0c2a1b2c3d4e5f60730';
+
+const jobCounts = (counts) => EmailJob.aggregate.mockResolvedValue(
+  Object.entries(counts).map(([status, count]) => ({ _id: status, count }))
+);
+
+const lastQueued = (nextAttemptAt) => EmailJob.findOne.mockReturnValue({
+  sort: jest.fn().mockReturnValue({
+    select: jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue(nextAttemptAt ? { nextAttemptAt } : null) })
+  })
+});
+
+describe('CampaignDeliveryService', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new CampaignDeliveryService();
+    lastQueued(null);
+  });
+
+  test('should pause only sending campaigns', async () => {
+    EmailCampaign.findOneAndUpdate.mockResolvedValueOnce({ _id: CAMPAIGN_ID, status: 'paused' });
+    await service.pause(USER_ID, CAMPAIGN_ID);
+
+    expect(EmailCampaign.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: CAMPAIGN_ID, userId: USER_ID, isDeleted: false, status: { $in: ['sending'] } },
+      { status: 'paused', pausedAt: expect.any(Date) },
+      { new: true }
+    );
+
+    EmailCampaign.findOneAndUpdate.mockResolvedValue(null);
+    EmailCampaign.exists.mockResolvedValueOnce({ _id: CAMPAIGN_ID });
+    await expect(service.pause(USER_ID, CAMPAIGN_ID))
+      .rejects.toMatchObject({ status: 400, message: 'Only sending campaigns can be paused' });
+
+    EmailCampaign.exists.mockResolvedValueOnce(null);
+    await expect(service.resume(USER_ID, CAMPAIGN_ID)).rejects.toMatchObject({ name: 'NotFoundError', status: 404 });
+  });
+
+  test('should set and lift a campaign send rate', async () => {
+    EmailCampaign.findOneAndUpdate.mockResolvedValue({ _id: CAMPAIGN_ID });
+
+    await service.setSendRate(USER_ID, CAMPAIGN_ID, 120);
+    expect(EmailCampaign.findOneAndUpdate.mock.calls[0][1]).toEqual({ sendRate: 120 });
+
+    await service.setSendRate(USER_ID, CAMPAIGN_ID, null);
+    expect(EmailCampaign.findOneAndUpdate.mock.calls[1][1]).toEqual({ $unset: { sendRate: '' } });
+    expect(EmailCampaign.findOneAndUpdate.mock.calls[1][0].status).toEqual({ $in: ['draft', 'scheduled', 'sending', 'paused'] });
+  });
+
+  test('should drop unsent jobs when a paused campaign is cancelled', async () => {
+    EmailCampaign.findOneAndUpdate.mockResolvedValue({ _id: CAMPAIGN_ID, status: 'cancelled' });
+    EmailJob.updateMany.mockResolvedValue({ modifiedCount: 42 });
+
+    const result = await service.cancelPaused(USER_ID, CAMPAIGN_ID);
+
+    expect(result.cancelled).toBe(42);
+    expect(EmailJob.updateMany).toHaveBeenCalledWith(
+      { campaignId: CAMPAIGN_ID, status: { $in: ['queued', 'held'] } },
+      { $set: { status: 'cancelled', completedAt: expect.any(Date) } }
+    );
+  });
+
+  test('should estimate completion from the recent send rate', async () => {
+    jobCounts({ sent: 400, queued: 550, sending: 50 });
+    EmailJob.countDocuments.mockResolvedValue(500);
+
+    const before = Date.now();
+    const delivery = await service.getDeliveryStatus({ _id: CAMPAIGN_ID, status: 'sending' });
+
+    expect(delivery).toMatchObject({ total: 1000, remaining: 600, progress: 40, ratePerMinute: 100, sendRate: null });
+    const minutes = (delivery.estimatedCompletionAt.getTime() - before) / 60000;
+    expect(minutes).toBeGreaterThanOrEqual(5.99);
+    expect(minutes).toBeLessThan(6.01);
+  });
+
+  test('should cap the estimate at the campaign rate and wait for pending retries', async () => {
+    jobCounts({ sent: 10, queued: 20 });
+    EmailJob.countDocuments.mockResolvedValue(0);
+    const retryAt = new Date(Date.now() + 3 * 60 * 60 * 1000);
+    lastQueued(retryAt);
+
+    const delivery = await service.getDeliveryStatus({ _id: CAMPAIGN_ID, status: 'sending', sendRate: 10 });
+    expect(delivery.ratePerMinute).toBe(10);
+    expect(delivery.estimatedCompletionAt).toEqual(retryAt);
+
+    const paused = await service.getDeliveryStatus({ _id: CAMPAIGN_ID, status: 'paused', sendRate: 10 });
+    expect(paused.estimatedCompletionAt).toBeNull();
+  });
+});
@@ -0,0 +1,206 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+
+jest.mock('node-cron', () => ({ schedule: jest.fn() }));
+
+const mockQuery = (result) => {
+  const query = {
+    sort: jest.fn(() => query),
+    select: jest.fn(() => query),
+    limit: jest.fn(() => query),
+    lean: jest.fn().mockResolvedValue(result)
+  };
+  return query;
+};
+
+const mockModel = () => ({ find: jest.fn(() => mockQuery([])), findById: jest.fn(), findOne: jest.fn() });
+
+jest.mock('../../packages/api/src/models/User', () => mockModel());
+jest.mock('../../packages/api/src/models/Subscription', () => mockModel());
+jest.mock('../../packages/api/src/models/Appointment', () => mockModel());
+jest.mock('../../packages/api/src/models/Content', () => mockModel());
+jest.mock('../../packages/api/src/models/Analytics', () => mockModel());
+jest.mock('../../packages/api/src/models/EmailCampaign', () => mockModel());
+jest.mock('../../packages/api/src/models/EmailJob', () => mockModel());
+jest.mock('../../packages/api/src/models/ConsentRecord', () => mockModel());
+jest.mock('../../packages/api/src/models/DataSubjectRequest', () => mockModel());
+jest.mock('../../packages/api/src/models/EmailTracking', () => ({
+  EmailOpen: mockModel(),
+  EmailClick: mockModel(),
+  EmailUnsubscribe: mockModel(),
+  SpamComplaint: mockModel(),
+  EmailBounce: mockModel()
+}));
+jest.mock('../../packages/api/src/models/Subscriber', () => mockModel());
+jest.mock('../../packages/api/src/models/Suppression', () => mockModel());
+jest.mock('../../packages/api/src/models/DataExport', () => {
+  const DataExport = jest.fn().mockImplementation(function(data) {
+    Object.assign(this, { _id: 'a1b2c3d4e5f6a1b2c3d4e5f6', status: 'queued', downloadCount: 0, createdAt: new Date() }, data);
+    this.save = jest.fn().mockResolvedValue(this);
+  });
+  DataExport.find = jest.fn();
+  DataExport.findOne = jest.fn();
+  return DataExport;
+});
+
+const User = require('../../packages/api/src/models/User');
+const EmailCampaign = require('../../packages/api/src/models/EmailCampaign');
+const { EmailOpen } = require('../../packages/api/src/models/EmailTracking');
+const DataSubjectRequest = require('../../packages/api/src/models/DataSubjectRequest');
+const DataExport = require('../../packages/api/src/models/DataExport');
+const { DataExportService, toCsv } = require('../../packages/api/src/services/DataExportService');
+
+const USER_ID = '64b7f0c2a1b2c3d4e5f60718';
+
+// Minimal ustar reader for checking archive contents
+const readTarball = (archive) => {
+  const tar = zlib.gunzipSync(archive);
+  const files = {};
+  let offset = 0;
+
+  while (offset < tar.length && tar[offset] !== 0) {
+    const name = tar.toString('utf8', offset, offset + 100).replace(/\0.*$/, '');
+    const size = parseInt(tar.toString('ascii', offset + 124, offset + 135), 8);
+    files[name] = tar.slice(offset + 512, offset + 512 + size);
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+
+  return files;
+};
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+describe('DataExportService', () => {
+  let storagePath;
+  let privacyService;
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'data-export-'));
+    privacyService = {
+      createDataSubjectRequest: jest.fn().mockResolvedValue({ _id: 'request-1' }),
+      getRequest: jest.fn().mockResolvedValue({ _id: 'request-1', status: 'pending' }),
+      transitionRequest: jest.fn().mockResolvedValue({})
+    };
+    service = new DataExportService({ storagePath, privacyService, retentionDays: 7 });
+
+    User.findById.mockResolvedValue({
+      toJSON: () => ({ _id: USER_ID, email: 'ada@example.com', firstName: 'Ada', preferences: { language: 'en' } })
+    });
+    EmailCampaign.find.mockReturnValue(mockQuery([{
+      _id: 'campaign-1',
+      name: 'October issue',
+      subject: 'Hello',
+      recipients: [
+        { subscriberId: 'sub-42', email: 'ada@example.com', status: 'opened' },
+        { subscriberId: 'sub-7', email: 'grace@example.com', status: 'sent' }
+      ]
+    }]));
+    EmailOpen.find.mockReturnValue(mockQuery([{ subscriber_id: 'sub-42', campaign_id: 'campaign-1' }]));
+  });
+
+  afterEach(() => {
+    fs.rmSync(storagePath, { recursive: true, force: true });
+  });
+
+  test('should convert nested records to CSV', () => {
+    const csv = toCsv([
+      { name: 'Ada, Countess', preferences: { language: 'en' }, tags: ['a'] },
+      { name: 'Say "hi"', extra: 1 }
+    ]);
+
+    expect(csv.split('\r\n')).toEqual([
+      'name,preferences.language,tags,extra',
+      '"Ada, Countess",en,"[""a""]",',
+      '"Say ""hi""",,,1',
+      ''
+    ]);
+  });
+
+  test('should only collect the user\'s own campaign recipients and tracking events', async () => {
+    const data = await service.collectUserData(USER_ID);
+
+    expect(data.profile[0].email).toBe('ada@example.com');
+    expect(data.campaignRecipients).toEqual([
+      expect.objectContaining({ campaignName: 'October issue', subscriberId: 'sub-42' })
+    ]);
+    expect(EmailOpen.find).toHaveBeenCalledWith({ subscriber_id: { $in: [USER_ID, 'sub-42'] } });
+    expect(data.emailOpens).toHaveLength(1);
+  });
+
+  test('should build an archive with a manifest and matching checksums', async () => {
+    const dataExport = new DataExport({ userId: USER_ID, requestId: 'request-1' });
+    const collections = await service.collectUserData(USER_ID);
+
+    const { archive, files } = service.buildArchive(dataExport, collections);
+    const entries = readTarball(archive);
+    const root = `piper-data-export-${dataExport._id}`;
+    const manifest = JSON.parse(entries[`${root}/manifest.json`]);
+
+    expect(manifest).toMatchObject({ formatVersion: 1, userId: USER_ID, requestId: 'request-1' });
+    expect(manifest.files).toEqual(files);
+    expect(entries[`${root}/csv/profile.csv`].toString()).toContain('ada@example.com');
+
+    const sums = entries[`${root}/SHA256SUMS`].toString().trim().split('\n');
+    sums.forEach(line => {
+      const [checksum, file] = line.split('  ');
+      expect(sha256(entries[`${root}/${file}`])).toBe(checksum);
+    });
+    expect(sums).toHaveLength(files.length + 1);
+  });
+
+  test('should store the archive and complete the linked request', async () => {
+    DataExport.findOne.mockResolvedValue(null);
+    DataSubjectRequest.findOne.mockResolvedValue(null);
+
+    const { dataExport, alreadyRunning } = await service.requestExport(USER_ID);
+    await service.jobs.get(String(dataExport._id));
+
+    expect(alreadyRunning).toBe(false);
+    expect(privacyService.createDataSubjectRequest).toHaveBeenCalledWith(USER_ID, 'export');
+    expect(dataExport.status).toBe('completed');
+    expect(dataExport.sha256).toBe(sha256(fs.readFileSync(dataExport.filePath)));
+    expect(dataExport.expiresAt - dataExport.completedAt).toBeGreaterThanOrEqual(7 * 24 * 60 * 60 * 1000 - 1000);
+    expect(privacyService.transitionRequest).toHaveBeenCalledWith('request-1', 'processing', { role: 'system' }, expect.any(Object));
+    expect(privacyService.transitionRequest).toHaveBeenCalledWith('request-1', 'completed', { role: 'system' }, {
+      result: expect.objectContaining({ exportId: dataExport._id, sha256: dataExport.sha256 })
+    });
+  });
+
+  test('should reuse an export that is already running', async () => {
+    const running = new DataExport({ userId: USER_ID, status: 'running' });
+    DataExport.findOne.mockResolvedValue(running);
+
+    const result = await service.requestExport(USER_ID);
+
+    expect(result).toEqual({ dataExport: running, alreadyRunning: true });
+    expect(privacyService.createDataSubjectRequest).not.toHaveBeenCalled();
+  });
+
+  test('should mark the export failed when collection fails', async () => {
+    User.findById.mockResolvedValue(null);
+    const dataExport = new DataExport({ userId: USER_ID });
+
+    await service.runExport(dataExport);
+
+    expect(dataExport.status).toBe('failed');
+    expect(dataExport.error).toBe('User not found');
+    expect(privacyService.transitionRequest).not.toHaveBeenCalled();
+  });
+
+  test('should refuse to download expired exports', async () => {
+    DataExport.findOne.mockResolvedValue(new DataExport({
+      userId: USER_ID,
+      status: 'completed',
+      filePath: path.join(storagePath, 'missing.tar.gz'),
+      expiresAt: new Date(Date.now() - 1000)
+    }));
+
+    await expect(service.getDownload('a1b2c3d4e5f6a1b2c3d4e5f6', USER_ID))
+      .rejects.toMatchObject({ name: 'GoneError', status: 410 });
+  });
+});
@@ -3,17 +3,17 @@
  * Tests query optimization, indexing, caching, and performance monitoring
  */
 
-const DatabaseOptimizationService = require('../../services/DatabaseOptimizationService');
+const DatabaseOptimizationService = require('../../packages/api/src/services/DatabaseOptimizationService');
 const { Pool } = require('pg');
-const LoggingService = require('../../services/LoggingService');
-const MonitoringService = require('../../services/MonitoringService');
-const CacheService = require('../../services/CacheService');
+const LoggingService = require('../../packages/api/src/services/LoggingService');
+const MonitoringService = require('../../packages/api/src/services/MonitoringService');
+const CacheService = require('../../packages/api/src/services/CacheService');
 
 // Mock dependencies
 jest.mock('pg');
-jest.mock('../../services/LoggingService');
-jest.mock('../../services/MonitoringService');
-jest.mock('../../services/CacheService');
+jest.mock('../../packages/api/src/services/LoggingService');
+jest.mock('../../packages/api/src/services/MonitoringService');
+jest.mock('../../packages/api/src/services/CacheService');
 
 describe('DatabaseOptimizationService', () => {
     let service;
@@ -0,0 +1,153 @@
+const jwt = require('jsonwebtoken');
+
+jest.mock('node-cron', () => ({ schedule: jest.fn() }));
+
+jest.mock('../../packages/api/src/models/User', () => ({
+  exists: jest.fn(),
+  findOne: jest.fn()
+}));
+
+jest.mock('../../packages/api/src/models/Subscriber', () => {
+  const Subscriber = jest.fn().mockImplementation(function(data) {
+    Object.assign(this, { _id: '64b7f0c2a1b2c3d4e5f60720' }, data);
+    this.save = jest.fn().mockResolvedValue(this);
+  });
+  Subscriber.findOne = jest.fn();
+  Subscriber.findById = jest.fn();
+  Subscriber.deleteMany = jest.fn();
+  Subscriber.updateMany = jest.fn();
+  return Subscriber;
+});
+
+const User = require('../../packages/api/src/models/User');
+const Subscriber = require('../../packages/api/src/models/Subscriber');
+const DoubleOptInService = require('../../packages/api/src/services/DoubleOptInService');
+
+const AUDIENCE_ID = '64b7f0c2a1b2c3d4e5f60718';
+const SECRET = 'test-subscription-secret';
+
+const existingSubscriber = (overrides = {}) => {
+  const subscriber = new Subscriber({ userId: AUDIENCE_ID, email: 'ada@example.com', ...overrides });
+  Subscriber.findOne.mockResolvedValue(subscriber);
+  Subscriber.findById.mockResolvedValue(subscriber);
+  return subscriber;
+};
+
+describe('DoubleOptInService', () => {
+  let service;
+  let transporter;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    transporter = { sendMail: jest.fn().mockResolvedValue({}) };
+    service = new DoubleOptInService({ tokenSecret: SECRET, hashSalt: 'salt', transporter });
+    User.exists.mockResolvedValue(true);
+    User.findOne.mockReturnValue({ select: () => ({ lean: () => Promise.resolve(null) }) });
+    Subscriber.findOne.mockResolvedValue(null);
+  });
+
+  test('should keep new signups pending with consent evidence and email a signed link', async () => {
+    await service.signup(AUDIENCE_ID, {
+      email: 'ada@example.com',
+      tags: ['ai'],
+      formVersion: '2024-01'
+    }, { ipAddress: '203.0.113.7' });
+
+    const subscriber = Subscriber.mock.instances[0];
+    expect(subscriber.status).toBe('pending');
+    expect(subscriber.source).toBe('signup');
+    expect(subscriber.consent).toEqual({
+      formVersion: '2024-01',
+      requestedAt: expect.any(Date),
+      requestIpHash: service.hashIdentifier('203.0.113.7')
+    });
+    expect(subscriber.consent.requestIpHash).not.toContain('203.0.113.7');
+    expect(subscriber.confirmation.sendCount).toBe(1);
+    expect(subscriber.confirmation.expiresAt.getTime() - Date.now()).toBeGreaterThan(23 * 60 * 60 * 1000);
+
+    const mail = transporter.sendMail.mock.calls[0][0];
+    const token = decodeURIComponent(mail.text.match(/token=(\S+)/)[1]);
+    expect(mail.to).toBe('ada@example.com');
+    expect(mail.html).toContain(token);
+    expect(jwt.verify(token, SECRET)).toMatchObject({ sub: subscriber._id, purpose: 'subscription_confirm' });
+  });
+
+  test('should not email addresses that are already subscribed or suppressed', async () => {
+    for (const status of ['subscribed', 'bounced', 'complained']) {
+      existingSubscriber({ status });
+      await service.signup(AUDIENCE_ID, { email: 'ada@example.com', formVersion: '2024-01' });
+    }
+
+    expect(transporter.sendMail).not.toHaveBeenCalled();
+  });
+
+  test('should reject signups for an unknown audience', async () => {
+    User.exists.mockResolvedValue(false);
+
+    await expect(service.signup(AUDIENCE_ID, { email: 'ada@example.com', formVersion: '2024-01' }))
+      .rejects.toMatchObject({ name: 'NotFoundError', status: 404 });
+  });
+
+  test('should confirm with the latest token only', async () => {
+    const subscriber = existingSubscriber({ status: 'pending', consent: { formVersion: '2024-01' } });
+    const first = await service.sendConfirmation(subscriber);
+    const second = await service.sendConfirmation(subscriber);
+    expect(subscriber.confirmation.sendCount).toBe(2);
+
+    await expect(service.confirm(first)).rejects.toMatchObject({ status: 400 });
+
+    const result = await service.confirm(second, { ipAddress: '198.51.100.2' });
+    expect(result.alreadyConfirmed).toBe(false);
+    expect(subscriber.status).toBe('subscribed');
+    expect(subscriber.confirmation).toBeUndefined();
+    expect(subscriber.consent).toMatchObject({
+      formVersion: '2024-01',
+      confirmedAt: expect.any(Date),
+      confirmIpHash: service.hashIdentifier('198.51.100.2')
+    });
+
+    await expect(service.confirm(second)).resolves.toMatchObject({ alreadyConfirmed: true });
+  });
+
+  test('should reject expired and forged tokens', async () => {
+    existingSubscriber({ status: 'pending' });
+    const expired = jwt.sign({ sub: 'x', purpose: 'subscription_confirm', exp: Math.floor(Date.now() / 1000) - 60 }, SECRET);
+    const forged = jwt.sign({ sub: 'x', purpose: 'subscription_confirm' }, 'another-secret');
+    const wrongPurpose = jwt.sign({ sub: 'x', purpose: 'password_reset' }, SECRET);
+
+    await expect(service.confirm(expired)).rejects.toMatchObject({ name: 'GoneError', status: 410 });
+    await expect(service.confirm(forged)).rejects.toMatchObject({ status: 400 });
+    await expect(service.confirm(wrongPurpose)).rejects.toMatchObject({ status: 400 });
+  });
+
+  test('should throttle resends', async () => {
+    existingSubscriber({ status: 'pending', confirmation: { tokenHash: 'h', lastSentAt: new Date(), sendCount: 1 } });
+    await service.resend(AUDIENCE_ID, 'ada@example.com');
+    expect(transporter.sendMail).not.toHaveBeenCalled();
+
+    existingSubscriber({
+      status: 'pending',
+      confirmation: { tokenHash: 'h', lastSentAt: new Date(Date.now() - 5 * 60 * 1000), sendCount: 1 }
+    });
+    await service.resend(AUDIENCE_ID, 'ada@example.com');
+    expect(transporter.sendMail).toHaveBeenCalledTimes(1);
+    expect(Subscriber.findOne).toHaveBeenLastCalledWith({
+      userId: AUDIENCE_ID,
+      email: 'ada@example.com',
+      'confirmation.tokenHash': { $exists: true }
+    });
+  });
+
+  test('should delete expired pending signups and reset expired re-signups', async () => {
+    Subscriber.deleteMany.mockResolvedValue({ deletedCount: 3 });
+    Subscriber.updateMany.mockResolvedValue({ modifiedCount: 1 });
+    const now = new Date();
+
+    await expect(service.expireUnconfirmed(now)).resolves.toEqual({ deleted: 3, reset: 1 });
+    expect(Subscriber.deleteMany).toHaveBeenCalledWith({ 'confirmation.expiresAt': { $lt: now }, status: 'pending' });
+    expect(Subscriber.updateMany).toHaveBeenCalledWith(
+      { 'confirmation.expiresAt': { $lt: now }, status: { $ne: 'pending' } },
+      { $unset: { confirmation: 1 } }
+    );
+  });
+});
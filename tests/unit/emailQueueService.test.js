@@ -0,0 +1,381 @@
+jest.mock('node-cron', () => ({ schedule: jest.fn() }));
+
+jest.mock('nodemailer', () => ({
+  createTransport: jest.fn(() => ({ sendMail: jest.fn(), close: jest.fn() }))
+}));
+
+jest.mock('../../packages/api/src/services/MonitoringService', () => jest.fn().mockImplementation(() => ({
+  updateEmailQueueSize: jest.fn(),
+  trackApiPerformance: jest.fn(),
+  trackSecurityEvent: jest.fn(),
+  updateErrorRate: jest.fn(),
+  incrementNewsletterSent: jest.fn()
+})));
+
+jest.mock('../../packages/api/src/services/BounceService', () => {
+  const BounceService = jest.fn().mockImplementation(() => ({
+    suppressedEmails: jest.fn().mockResolvedValue(new Set()),
+    classify: jest.fn().mockReturnValue({ type: 'hard', statusCode: '5.1.1' }),
+    recordBounce: jest.fn().mockResolvedValue({}),
+    reportBounceRate: jest.fn()
+  }));
+  BounceService.CAMPAIGN_HEADER = 'X-Piper-Campaign-Id';
+  return BounceService;
+});
+
+jest.mock('../../packages/api/src/services/SegmentService', () => jest.fn().mockImplementation(() => ({
+  resolveCampaignRecipients: jest.fn()
+})));
+
+jest.mock('../../packages/api/src/services/EmailTrackingService', () => jest.fn().mockImplementation(() => ({
+  generateTrackingPixelUrl: jest.fn().mockReturnValue('https://api.piper.test/pixel.gif'),
+  registerLinks: jest.fn(async (campaignId, urls) => new Map(urls.map((url, index) => [url, `link-${index + 1}`]))),
+  generateTrackingLink: jest.fn((emailId, subscriberId, campaignId, linkId) => `https://api.piper.test/click/${emailId}/${linkId}`)
+})));
+
+jest.mock('../../packages/api/src/services/PreferenceCenterService', () => jest.fn().mockImplementation(() => ({
+  createToken: jest.fn().mockReturnValue('token'),
+  unsubscribeUrl: jest.fn().mockReturnValue('https://api.piper.test/unsubscribe/token'),
+  preferencesUrl: jest.fn().mockReturnValue('https://api.piper.test/preferences/token'),
+  listUnsubscribeHeaders: jest.fn().mockReturnValue({})
+})));
+
+jest.mock('../../packages/api/src/services/NewsletterRenderService', () => jest.fn().mockImplementation(() => ({})));
+jest.mock('../../packages/api/src/models/Newsletter', () => ({ findById: jest.fn() }));
+
+jest.mock('../../packages/api/src/models/EmailCampaign', () => ({
+  find: jest.fn(),
+  findById: jest.fn(),
+  findByIdAndUpdate: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn()
+}));
+
+jest.mock('../../packages/api/src/models/EmailJob', () => ({
+  find: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+  updateMany: jest.fn(),
+  bulkWrite: jest.fn(),
+  aggregate: jest.fn(),
+  countDocuments: jest.fn()
+}));
+
+const cron = require('node-cron');
+const EmailCampaign = require('../../packages/api/src/models/EmailCampaign');
+const EmailJob = require('../../packages/api/src/models/EmailJob');
+const EmailQueueService = require('../../packages/api/src/services/EmailQueueService');
+const { SendThrottle, throttleGroupFor } = EmailQueueService;
+
+const emailQueueService = new EmailQueueService();
+
+const CAMPAIGN_ID = '64b7f0c2a1b2c3d4e5f60730';
+const CAMPAIGN = {
+  _id: CAMPAIGN_ID,
+  userId: '64b7f0c2a1b2c3d4e5f60718',
+  subject: 'This week in AI',
+  content: '<html><body>Hello {{firstName}}</body></html>',
+  fromEmail: 'news@piper.test'
+};
+
+const job = (email, overrides = {}) => ({
+  _id: `job-${email}`,
+  campaignId: CAMPAIGN_ID,
+  idempotencyKey: `${CAMPAIGN_ID}:${email}`,
+  recipient: { email, variant: 'standard' },
+  throttleGroup: throttleGroupFor(email),
+  attempts: 1,
+  maxAttempts: 5,
+  ...overrides
+});
+
+const chain = (value) => {
+  const query = {
+    sort: jest.fn(() => query),
+    limit: jest.fn(() => query),
+    select: jest.fn(() => query),
+    lean: jest.fn().mockResolvedValue(value)
+  };
+  return query;
+};
+
+describe('EmailQueueService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    emailQueueService.throttle = new SendThrottle();
+    emailQueueService.campaignThrottle = new SendThrottle({});
+    emailQueueService.bounceService.suppressedEmails.mockResolvedValue(new Set());
+    EmailJob.updateOne.mockResolvedValue({});
+    EmailJob.updateMany.mockResolvedValue({ modifiedCount: 0 });
+    EmailCampaign.findByIdAndUpdate.mockResolvedValue({});
+    EmailCampaign.updateOne.mockResolvedValue({});
+  });
+
+  test('should queue one idempotent job per recipient grouped by provider', async () => {
+    EmailJob.bulkWrite.mockResolvedValue({ upsertedCount: 2 });
+
+    const created = await emailQueueService.enqueueRecipients(CAMPAIGN, [
+      { email: 'Ada@GoogleMail.com', subscriberId: 'sub-1', firstName: 'Ada', variant: 'adhd' },
+      { email: 'grace@example.org' }
+    ]);
+
+    expect(created).toBe(2);
+    const [operations, options] = EmailJob.bulkWrite.mock.calls[0];
+    expect(options).toEqual({ ordered: false });
+    expect(operations[0].updateOne).toEqual({
+      filter: { idempotencyKey: `${CAMPAIGN_ID}:ada@googlemail.com` },
+      update: {
+        $setOnInsert: expect.objectContaining({
+          recipient: { email: 'ada@googlemail.com', subscriberId: 'sub-1', firstName: 'Ada', lastName: undefined, variant: 'adhd' },
+          throttleGroup: 'gmail',
+          status: 'queued',
+          attempts: 0
+        })
+      },
+      upsert: true
+    });
+    expect(operations[1].updateOne.update.$setOnInsert.throttleGroup).toBe('example.org');
+  });
+
+  test('should make optimised jobs due at each recipient\'s send time', async () => {
+    const sendAt = new Date(Date.now() + 5 * 60 * 60 * 1000);
+    jest.spyOn(emailQueueService.sendTimeService, 'scheduleRecipients').mockResolvedValue(new Map([['ada@example.com', sendAt]]));
+    EmailJob.bulkWrite.mockResolvedValue({ upsertedCount: 2 });
+
+    await emailQueueService.enqueueRecipients({ ...CAMPAIGN, optimizeSendTime: true }, [
+      { email: 'ada@example.com' },
+      { email: 'grace@example.org' }
+    ]);
+
+    const [ada, grace] = EmailJob.bulkWrite.mock.calls[0][0].map(operation => operation.updateOne.update.$setOnInsert);
+    expect(ada.nextAttemptAt).toBe(sendAt);
+    expect(grace.nextAttemptAt.getTime()).toBeLessThanOrEqual(Date.now());
+    emailQueueService.sendTimeService.scheduleRecipients.mockRestore();
+  });
+
+  test('should only claim jobs of sending campaigns within each provider limit', async () => {
+    emailQueueService.throttle = new SendThrottle({ gmail: 1, default: 10 });
+    EmailCampaign.find.mockReturnValue(chain([{ _id: CAMPAIGN_ID }]));
+    EmailJob.find.mockReturnValue(chain([
+      { _id: 'job-1', campaignId: CAMPAIGN_ID, throttleGroup: 'gmail' },
+      { _id: 'job-2', campaignId: CAMPAIGN_ID, throttleGroup: 'gmail' },
+      { _id: 'job-3', campaignId: CAMPAIGN_ID, throttleGroup: 'example.org' }
+    ]));
+    EmailJob.findOneAndUpdate.mockImplementation(async (filter) => ({ _id: filter._id }));
+
+    const claimed = await emailQueueService.claimJobs();
+
+    expect(claimed.map(claimedJob => claimedJob._id)).toEqual(['job-1', 'job-3']);
+    expect(EmailCampaign.find).toHaveBeenCalledWith({ status: 'sending' });
+    expect(EmailJob.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'job-1', status: 'queued' },
+      {
+        $set: { status: 'sending', lockedBy: emailQueueService.workerId, lockedUntil: expect.any(Date) },
+        $inc: { attempts: 1 }
+      },
+      { new: true }
+    );
+
+    await emailQueueService.claimJobs();
+    expect(EmailJob.find.mock.calls[1][0].throttleGroup).toEqual({ $nin: ['gmail'] });
+  });
+
+  test('should hold a campaign to its own send rate, read before every batch', async () => {
+    EmailCampaign.find.mockReturnValue(chain([{ _id: CAMPAIGN_ID, sendRate: 2 }]));
+    EmailJob.find.mockReturnValue(chain(['a', 'b', 'c'].map(name => ({
+      _id: `job-${name}`, campaignId: CAMPAIGN_ID, throttleGroup: `${name}.example.org`
+    }))));
+    EmailJob.findOneAndUpdate.mockImplementation(async (filter) => ({ _id: filter._id }));
+
+    expect(await emailQueueService.claimJobs()).toHaveLength(2);
+
+    // Rate limited campaigns are left out of the next query altogether
+    EmailJob.find.mockClear();
+    expect(await emailQueueService.claimJobs()).toEqual([]);
+    expect(EmailJob.find).not.toHaveBeenCalled();
+
+    // Raising the rate applies on the next batch
+    EmailCampaign.find.mockReturnValue(chain([{ _id: CAMPAIGN_ID, sendRate: 10 }]));
+    expect(await emailQueueService.claimJobs()).toHaveLength(3);
+  });
+
+  test('should send with a stable Message-ID and skip suppressed recipients', async () => {
+    EmailCampaign.findById.mockReturnValue({ lean: jest.fn().mockResolvedValue(CAMPAIGN) });
+    emailQueueService.bounceService.suppressedEmails.mockResolvedValue(new Set(['gone@example.com']));
+    emailQueueService.transporter.sendMail.mockResolvedValue({ messageId: '<sent@piper.test>' });
+
+    await emailQueueService.sendJobs([job('ada@example.com'), job('gone@example.com')]);
+
+    expect(emailQueueService.transporter.sendMail).toHaveBeenCalledTimes(1);
+    const mailOptions = emailQueueService.transporter.sendMail.mock.calls[0][0];
+    expect(mailOptions.to).toBe('ada@example.com');
+    expect(mailOptions.messageId).toBe(emailQueueService.messageIdFor(job('ada@example.com'), CAMPAIGN));
+    expect(mailOptions.messageId).toMatch(/^<[a-f0-9]{32}@piper\.test>$/);
+    expect(EmailJob.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: ['job-gone@example.com'] } },
+      expect.objectContaining({ $set: { status: 'suppressed', completedAt: expect.any(Date) } })
+    );
+    expect(EmailJob.updateOne).toHaveBeenCalledWith(
+      { _id: 'job-ada@example.com' },
+      expect.objectContaining({ $set: expect.objectContaining({ status: 'sent', messageId: '<sent@piper.test>' }) })
+    );
+  });
+
+  test('should send A/B variants to the test slice and hold everyone else for the winner', async () => {
+    const abCampaign = {
+      ...CAMPAIGN,
+      content: '<html><body><a href="https://piper.test/read?a=1&amp;b=2">Read</a></body></html>',
+      abTest: {
+        enabled: true,
+        status: 'pending',
+        testPercentage: 20,
+        variants: [{ key: 'A', subject: 'Subject A' }, { key: 'B', content: '<html><body>Variant B</body></html>' }]
+      }
+    };
+    EmailJob.bulkWrite.mockResolvedValue({ upsertedCount: 10 });
+
+    await emailQueueService.enqueueRecipients(abCampaign, Array.from({ length: 10 }, (_, i) => ({ email: `reader${i}@example.com` })));
+
+    const inserts = EmailJob.bulkWrite.mock.calls[0][0].map(operation => operation.updateOne.update.$setOnInsert);
+    expect(inserts.filter(insert => insert.status === 'queued').map(insert => insert.abVariant).sort()).toEqual(['A', 'B']);
+    expect(inserts.filter(insert => insert.status === 'held').every(insert => !insert.abVariant)).toBe(true);
+
+    emailQueueService.transporter.sendMail.mockResolvedValue({ messageId: '<sent@piper.test>' });
+    await emailQueueService.sendIndividualEmail(abCampaign, { email: 'ada@example.com' }, job('ada@example.com', { abVariant: 'A' }));
+    const sentA = emailQueueService.transporter.sendMail.mock.calls[0][0];
+    expect(sentA.subject).toBe('Subject A');
+    expect(sentA.html).toContain(`https://api.piper.test/click/${CAMPAIGN_ID}-A/link-1`);
+    expect(emailQueueService.trackingService.registerLinks).toHaveBeenCalledWith(CAMPAIGN_ID, ['https://piper.test/read?a=1&b=2']);
+
+    // Held recipients get the winner, tracked with the campaign as a whole
+    const decided = { ...abCampaign, abTest: { ...abCampaign.abTest, status: 'winner_selected', winnerKey: 'B' } };
+    await emailQueueService.sendIndividualEmail(decided, { email: 'grace@example.com' }, job('grace@example.com'));
+    const sentWinner = emailQueueService.transporter.sendMail.mock.calls[1][0];
+    expect(sentWinner.subject).toBe(CAMPAIGN.subject);
+    expect(sentWinner.html).toContain('Variant B');
+    expect(emailQueueService.trackingService.generateTrackingPixelUrl).toHaveBeenLastCalledWith(CAMPAIGN_ID, 'grace@example.com', CAMPAIGN_ID);
+  });
+
+  test('should retry transient failures with exponential backoff', async () => {
+    const error = Object.assign(new Error('Connection timeout'), { code: 'ETIMEDOUT' });
+
+    const before = Date.now();
+    await emailQueueService.failJob(CAMPAIGN, job('ada@example.com', { attempts: 3 }), error);
+
+    const update = EmailJob.updateOne.mock.calls[0][1];
+    expect(update.$set).toMatchObject({ status: 'queued', lastError: { code: 'ETIMEDOUT', message: 'Connection timeout' } });
+    const delay = update.$set.nextAttemptAt.getTime() - before;
+    expect(delay).toBeGreaterThanOrEqual(4 * 60 * 1000 * 0.9);
+    expect(delay).toBeLessThanOrEqual(4 * 60 * 1000 * 1.1 + 1000);
+    expect(emailQueueService.retryDelay(20)).toBeLessThanOrEqual(6 * 60 * 60 * 1000 * 1.1);
+    expect(emailQueueService.bounceService.recordBounce).not.toHaveBeenCalled();
+  });
+
+  test('should fail rejected recipients at once and record the bounce', async () => {
+    const rejection = Object.assign(new Error('Recipient command failed'), {
+      code: 'EENVELOPE',
+      responseCode: 550,
+      response: '550 5.1.1 User unknown'
+    });
+
+    await emailQueueService.failJob(CAMPAIGN, job('ada@example.com', { attempts: 1 }), rejection);
+
+    expect(EmailJob.updateOne.mock.calls[0][1].$set.status).toBe('failed');
+    expect(emailQueueService.bounceService.recordBounce).toHaveBeenCalledWith(expect.objectContaining({
+      email: 'ada@example.com',
+      campaignId: CAMPAIGN_ID,
+      type: 'hard',
+      source: 'smtp'
+    }));
+
+    EmailJob.updateOne.mockClear();
+    const deferred = Object.assign(new Error('Try later'), { code: 'EENVELOPE', responseCode: 451 });
+    await emailQueueService.failJob(CAMPAIGN, job('grace@example.com', { attempts: 5 }), deferred);
+    expect(EmailJob.updateOne.mock.calls[0][1].$set.status).toBe('failed');
+  });
+
+  test('should put jobs from a stopped worker back in the queue', async () => {
+    EmailJob.updateMany.mockResolvedValue({ modifiedCount: 4 });
+
+    await emailQueueService.recoverStaleJobs();
+
+    expect(EmailJob.updateMany).toHaveBeenCalledWith(
+      { status: 'sending', lockedUntil: { $lt: expect.any(Date) } },
+      { $set: { status: 'queued', nextAttemptAt: expect.any(Date) }, $unset: { lockedBy: '', lockedUntil: '' } }
+    );
+  });
+
+  test('should derive campaign stats from job states and complete drained campaigns', async () => {
+    EmailCampaign.find.mockReturnValue(chain([{ _id: CAMPAIGN_ID }]));
+    EmailJob.aggregate.mockResolvedValue([
+      { _id: 'sent', count: 7 },
+      { _id: 'failed', count: 2 },
+      { _id: 'suppressed', count: 1 }
+    ]);
+
+    await emailQueueService.completeCampaigns();
+
+    expect(EmailCampaign.findByIdAndUpdate).toHaveBeenCalledWith(CAMPAIGN_ID, {
+      'stats.totalRecipients': 10,
+      'stats.sent': 7,
+      'stats.failed': 2,
+      'stats.suppressed': 1,
+      'stats.progress': 100
+    });
+    expect(EmailCampaign.updateOne).toHaveBeenCalledWith(
+      { _id: CAMPAIGN_ID, status: 'sending' },
+      { status: 'sent', completedDate: expect.any(Date) }
+    );
+
+    EmailCampaign.updateOne.mockClear();
+    EmailJob.aggregate.mockResolvedValue([{ _id: 'sent', count: 3 }, { _id: 'queued', count: 1 }]);
+    await emailQueueService.completeCampaigns();
+    expect(EmailCampaign.findByIdAndUpdate).toHaveBeenLastCalledWith(CAMPAIGN_ID, expect.objectContaining({ 'stats.progress': 75 }));
+    expect(EmailCampaign.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('should only run once started, resume unfinished work at start, and stop', async () => {
+    const service = new EmailQueueService();
+    expect(cron.schedule).not.toHaveBeenCalled();
+
+    const task = { stop: jest.fn() };
+    cron.schedule.mockReturnValue(task);
+    jest.spyOn(service, 'processEmailQueue').mockResolvedValue();
+    jest.spyOn(service, 'processJobs').mockResolvedValue();
+
+    await service.start();
+    service.start();
+
+    expect(cron.schedule).toHaveBeenCalledTimes(6);
+    expect(service.processEmailQueue).toHaveBeenCalledTimes(1);
+    expect(service.processJobs).toHaveBeenCalledTimes(1);
+
+    await service.stop();
+    expect(task.stop).toHaveBeenCalledTimes(6);
+    expect(service.transporter.close).toHaveBeenCalled();
+  });
+
+  test('should be built by the container with the services the routes use', () => {
+    const createContainer = require('../../packages/api/src/container');
+    const services = createContainer();
+
+    expect(services.emailQueueService).toBeInstanceOf(EmailQueueService);
+    expect(services.emailQueueService.trackingService).toBe(services.emailTrackingService);
+    expect(services.emailQueueService.abTestService).toBe(services.abTestService);
+    expect(services.emailQueueService.bounceService).toBe(services.bounceService);
+    expect(services.emailQueueService.preferenceService).toBe(services.preferenceService);
+  });
+
+  test('should start a fresh throttle window every minute', () => {
+    const throttle = new SendThrottle({ gmail: 2, default: 5 });
+    const now = new Date('2024-01-01T10:00:30Z');
+
+    throttle.take('gmail', now);
+    throttle.take('gmail', now);
+    expect(throttle.hasCapacity('gmail', now)).toBe(false);
+    expect(throttle.hasCapacity('example.org', now)).toBe(true);
+    expect(throttle.exhaustedGroups(now)).toEqual(['gmail']);
+    expect(throttle.hasCapacity('gmail', new Date('2024-01-01T10:01:00Z'))).toBe(true);
+    expect(throttleGroupFor('someone@Hotmail.com')).toBe('outlook');
+  });
+});
@@ -7,7 +7,7 @@ const nodemailer = require('nodemailer');
 const fs = require('fs').promises;
 const path = require('path');
 const Mustache = require('mustache');
-const EmailService = require('../../services/EmailService');
+const EmailService = require('../../packages/api/src/services/EmailService');
 
 // Mock fs
 jest.mock('fs', () => ({
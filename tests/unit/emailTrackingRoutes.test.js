@@ -0,0 +1,153 @@
+jest.mock('../../packages/api/src/models/EmailTracking', () => {
+  const model = () => jest.fn(function record(fields) {
+    Object.assign(this, fields);
+    this.save = jest.fn().mockResolvedValue(this);
+  });
+  return {
+    EmailOpen: Object.assign(model(), { findOne: jest.fn().mockResolvedValue(null) }),
+    EmailClick: model(),
+    EmailUnsubscribe: model(),
+    SpamComplaint: model(),
+    TrackedLink: { bulkWrite: jest.fn().mockResolvedValue({}), findOne: jest.fn() }
+  };
+});
+
+jest.mock('../../packages/api/src/models/EmailCampaign', () => ({ findById: jest.fn() }));
+jest.mock('../../packages/api/src/models/EmailJob', () => ({ updateOne: jest.fn().mockResolvedValue({}) }));
+
+const request = require('supertest');
+const EmailCampaign = require('../../packages/api/src/models/EmailCampaign');
+const EmailJob = require('../../packages/api/src/models/EmailJob');
+const { TrackedLink, EmailOpen, EmailClick, EmailUnsubscribe, SpamComplaint } = require('../../packages/api/src/models/EmailTracking');
+const createApp = require('../../packages/api/src/app');
+const createContainer = require('../../packages/api/src/container');
+const EmailTrackingService = require('../../packages/api/src/services/EmailTrackingService');
+
+const BASE_URL = 'https://api.piper.test';
+const CAMPAIGN_ID = '64b7f0c2a1b2c3d4e5f60730';
+const TARGET = 'https://piper.test/read?a=1&b=2';
+
+describe('Email tracking routes', () => {
+  let app;
+  let services;
+  let emailTrackingService;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    emailTrackingService = new EmailTrackingService({
+      keys: [{ id: 'k1', secret: 'tracking-secret' }],
+      baseUrl: BASE_URL,
+      classifier: {
+        classify: jest.fn().mockResolvedValue({ isMachine: false, reasons: [] }),
+        isMachineUserAgent: jest.fn(() => false)
+      }
+    });
+    services = createContainer({
+      emailTrackingService,
+      bounceService: { suppressedEmails: jest.fn().mockResolvedValue(new Set()) }
+    });
+    app = createApp({ services });
+  });
+
+  test('should redirect a generated tracking link to the registered URL', async () => {
+    const linkIds = await emailTrackingService.registerLinks(CAMPAIGN_ID, [TARGET]);
+    const trackingLink = emailTrackingService.generateTrackingLink(CAMPAIGN_ID, 'sub-1', CAMPAIGN_ID, linkIds.get(TARGET));
+    TrackedLink.findOne.mockReturnValue({ lean: jest.fn().mockResolvedValue({ url: TARGET }) });
+
+    expect(trackingLink.startsWith(`${BASE_URL}/`)).toBe(true);
+    const response = await request(app).get(trackingLink.slice(BASE_URL.length));
+
+    expect(response.status).toBe(302);
+    expect(response.headers.location).toBe(TARGET);
+    expect(TrackedLink.findOne).toHaveBeenCalledWith({ campaign_id: CAMPAIGN_ID, link_id: linkIds.get(TARGET) });
+  });
+
+  test('should redirect the links the email queue sends to their targets', async () => {
+    const { emailQueueService } = services;
+    emailQueueService.transporter = { sendMail: jest.fn().mockResolvedValue({ messageId: '<m1@piper.test>' }) };
+    EmailCampaign.findById.mockReturnValue({
+      lean: jest.fn().mockResolvedValue({
+        _id: CAMPAIGN_ID,
+        subject: 'This week in AI',
+        content: `<html><body><a href="${TARGET.replace('&', '&amp;')}">Read</a></body></html>`,
+        fromEmail: 'news@piper.test'
+      })
+    });
+    const job = { _id: 'job-1', campaignId: CAMPAIGN_ID, idempotencyKey: `${CAMPAIGN_ID}:ada@example.org`, recipient: { email: 'ada@example.org' } };
+
+    await emailQueueService.sendJobs([job]);
+
+    expect(EmailJob.updateOne).toHaveBeenCalledWith({ _id: 'job-1' }, expect.objectContaining({ $set: expect.objectContaining({ status: 'sent' }) }));
+    const { html } = emailQueueService.transporter.sendMail.mock.calls[0][0];
+    const [, trackingLink] = html.match(/href="([^"]+\/track\/click\/[^"]+)"/);
+    const [[operation]] = TrackedLink.bulkWrite.mock.calls[0];
+    const registered = operation.updateOne.update.$setOnInsert;
+    expect(registered.url).toBe(TARGET);
+    TrackedLink.findOne.mockReturnValue({ lean: jest.fn().mockResolvedValue({ url: registered.url }) });
+
+    const response = await request(app).get(trackingLink.slice(BASE_URL.length));
+
+    expect(response.status).toBe(302);
+    expect(response.headers.location).toBe(TARGET);
+    expect(TrackedLink.findOne).toHaveBeenCalledWith({ campaign_id: CAMPAIGN_ID, link_id: registered.link_id });
+    expect(EmailClick).toHaveBeenCalledWith(expect.objectContaining({
+      subscriber_id: 'ada@example.org', campaign_id: CAMPAIGN_ID, link_url: TARGET
+    }));
+  });
+
+  test('should serve the open pixel at the generated URL', async () => {
+    const pixelUrl = emailTrackingService.generateTrackingPixelUrl(CAMPAIGN_ID, 'sub-1', CAMPAIGN_ID);
+
+    const response = await request(app).get(pixelUrl.slice(BASE_URL.length));
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('image/gif');
+    expect(EmailOpen).toHaveBeenCalledWith(expect.objectContaining({ subscriber_id: 'sub-1', campaign_id: CAMPAIGN_ID }));
+  });
+
+  test('should record an unsubscribe for the recipient in a signed tracking ID', async () => {
+    const trackingId = emailTrackingService.generateTrackingId('email-1', 'sub-1', CAMPAIGN_ID);
+
+    const response = await request(app)
+      .post('/api/email-tracking/track/unsubscribe')
+      .send({ trackingId, reason: 'Too many emails' });
+
+    expect(response.status).toBe(200);
+    expect(EmailUnsubscribe).toHaveBeenCalledWith(expect.objectContaining({
+      email_id: 'email-1', subscriber_id: 'sub-1', campaign_id: CAMPAIGN_ID, reason: 'Too many emails'
+    }));
+  });
+
+  test('should reject unsubscribes and spam complaints without a valid tracking ID', async () => {
+    // Another subscriber's payload under this recipient's signature
+    const [version, keyId, , signature] = emailTrackingService.generateTrackingId('email-1', 'sub-1', CAMPAIGN_ID).split('.');
+    const otherPayload = emailTrackingService.generateTrackingId('email-1', 'sub-2', CAMPAIGN_ID).split('.')[2];
+    const forged = [version, keyId, otherPayload, signature].join('.');
+    const requests = [
+      { path: '/api/email-tracking/track/unsubscribe', body: { emailId: 'email-1', subscriberId: 'sub-1', campaignId: CAMPAIGN_ID } },
+      { path: '/api/email-tracking/track/unsubscribe', body: { trackingId: forged } },
+      { path: '/api/email-tracking/track/spam', body: { emailId: 'email-1', subscriberId: 'sub-1', campaignId: CAMPAIGN_ID } },
+      { path: '/api/email-tracking/track/spam', body: { trackingId: 'not-a-tracking-id', complaintType: 'spam' } }
+    ];
+
+    for (const { path, body } of requests) {
+      const response = await request(app).post(path).send(body);
+      expect(response.status).toBe(400);
+    }
+    expect(EmailUnsubscribe).not.toHaveBeenCalled();
+    expect(SpamComplaint).not.toHaveBeenCalled();
+  });
+
+  test('should record a spam complaint for the recipient in a signed tracking ID', async () => {
+    const trackingId = emailTrackingService.generateTrackingId('email-1', 'sub-1', CAMPAIGN_ID);
+
+    const response = await request(app)
+      .post('/api/email-tracking/track/spam')
+      .send({ trackingId, complaintType: 'abuse' });
+
+    expect(response.status).toBe(200);
+    expect(SpamComplaint).toHaveBeenCalledWith(expect.objectContaining({
+      email_id: 'email-1', subscriber_id: 'sub-1', campaign_id: CAMPAIGN_ID, complaint_type: 'abuse'
+    }));
+  });
+});
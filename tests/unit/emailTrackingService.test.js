@@ -0,0 +1,146 @@
+jest.mock('../../packages/api/src/models/EmailTracking', () => {
+  const EmailOpen = jest.fn(function EmailOpen(fields) {
+    Object.assign(this, fields);
+    this.save = jest.fn().mockResolvedValue(this);
+  });
+  Object.assign(EmailOpen, { findOne: jest.fn(), countDocuments: jest.fn(), distinct: jest.fn() });
+  return {
+    EmailOpen,
+    EmailClick: { countDocuments: jest.fn(), distinct: jest.fn() },
+    EmailUnsubscribe: { countDocuments: jest.fn() },
+    SpamComplaint: { countDocuments: jest.fn() },
+    TrackedLink: { bulkWrite: jest.fn(), findOne: jest.fn() }
+  };
+});
+
+const { EmailOpen, EmailClick, EmailUnsubscribe, SpamComplaint, TrackedLink } = require('../../packages/api/src/models/EmailTracking');
+const EmailTrackingService = require('../../packages/api/src/services/EmailTrackingService');
+const { parseKeys } = EmailTrackingService;
+
+const CAMPAIGN_ID = '64b7f0c2a1b2c3d4e5f60730';
+
+describe('EmailTrackingService', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    TrackedLink.bulkWrite.mockResolvedValue({});
+    service = new EmailTrackingService({
+      keys: [{ id: 'k2', secret: 'current-secret' }],
+      baseUrl: 'https://api.piper.test',
+      classifier: { classify: jest.fn().mockResolvedValue({ isMachine: false, reasons: [] }), isMachineUserAgent: jest.fn(() => false) }
+    });
+  });
+
+  describe('tracking IDs', () => {
+    test('should round-trip signed, versioned tracking IDs', () => {
+      const trackingId = service.generateTrackingId(`${CAMPAIGN_ID}-B`, 'sub-1', CAMPAIGN_ID, 'abc123');
+
+      expect(trackingId).toMatch(/^v1\.k2\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/);
+      expect(service.parseTrackingId(trackingId)).toEqual({
+        emailId: `${CAMPAIGN_ID}-B`, subscriberId: 'sub-1', campaignId: CAMPAIGN_ID, linkId: 'abc123'
+      });
+      expect(service.parseTrackingId(service.generateTrackingId(CAMPAIGN_ID, 'sub-1', CAMPAIGN_ID)).linkId).toBeNull();
+    });
+
+    test('should reject tampered, unsigned and legacy tracking IDs', () => {
+      const [version, keyId, , signature] = service.generateTrackingId(CAMPAIGN_ID, 'sub-1', CAMPAIGN_ID).split('.');
+      const forgedPayload = Buffer.from(JSON.stringify({ e: CAMPAIGN_ID, s: 'sub-2', c: CAMPAIGN_ID })).toString('base64url');
+
+      expect(() => service.parseTrackingId(`${version}.${keyId}.${forgedPayload}.${signature}`))
+        .toThrow(expect.objectContaining({ status: 400, message: 'Invalid tracking ID' }));
+      expect(() => service.parseTrackingId(`${version}.${keyId}.${forgedPayload}`)).toThrow('Invalid tracking ID');
+      expect(() => service.parseTrackingId(Buffer.from(`${CAMPAIGN_ID}|sub-1|${CAMPAIGN_ID}|`).toString('base64')))
+        .toThrow('Invalid tracking ID');
+    });
+
+    test('should accept IDs signed with a retired key until it is removed', () => {
+      const old = new EmailTrackingService({ keys: [{ id: 'k1', secret: 'old-secret' }] });
+      const trackingId = old.generateTrackingId(CAMPAIGN_ID, 'sub-1', CAMPAIGN_ID);
+
+      const rotated = new EmailTrackingService({ keys: [{ id: 'k2', secret: 'current-secret' }, { id: 'k1', secret: 'old-secret' }] });
+      expect(rotated.parseTrackingId(trackingId).subscriberId).toBe('sub-1');
+      expect(rotated.generateTrackingId(CAMPAIGN_ID, 'sub-1', CAMPAIGN_ID)).toMatch(/^v1\.k2\./);
+
+      expect(() => service.parseTrackingId(trackingId)).toThrow('Invalid tracking ID');
+    });
+
+    test('should read rotation keys from configuration', () => {
+      expect(parseKeys('2024b:new:secret, 2024a:old')).toEqual([
+        { id: '2024b', secret: 'new:secret' },
+        { id: '2024a', secret: 'old' }
+      ]);
+      expect(parseKeys('')).toBeNull();
+      expect(() => parseKeys('no-secret')).toThrow('TRACKING_TOKEN_KEYS');
+      expect(() => parseKeys('bad.id:secret')).toThrow('TRACKING_TOKEN_KEYS');
+    });
+  });
+
+  describe('links', () => {
+    test('should register each campaign link once and carry only its ID', async () => {
+      const urls = ['https://piper.test/read', 'https://piper.test/shop?a=1&b=2'];
+
+      const linkIds = await service.registerLinks(CAMPAIGN_ID, urls);
+      await service.registerLinks(CAMPAIGN_ID, urls);
+
+      expect(TrackedLink.bulkWrite).toHaveBeenCalledTimes(1);
+      const [operations] = TrackedLink.bulkWrite.mock.calls[0];
+      expect(operations[1].updateOne).toEqual({
+        filter: { campaign_id: CAMPAIGN_ID, link_id: linkIds.get(urls[1]) },
+        update: { $setOnInsert: { campaign_id: CAMPAIGN_ID, link_id: linkIds.get(urls[1]), url: urls[1] } },
+        upsert: true
+      });
+
+      const link = service.generateTrackingLink(CAMPAIGN_ID, 'sub-1', CAMPAIGN_ID, linkIds.get(urls[0]));
+      expect(link).toMatch(/^https:\/\/api\.piper\.test\/api\/email-tracking\/track\/click\/v1\.k2\.[^?]+$/);
+      expect(link).not.toContain('piper.test/read');
+    });
+
+    test('should only resolve links registered for the campaign', async () => {
+      TrackedLink.findOne.mockReturnValueOnce({ lean: jest.fn().mockResolvedValue({ url: 'https://piper.test/read' }) });
+      await expect(service.resolveLink(CAMPAIGN_ID, 'abc')).resolves.toBe('https://piper.test/read');
+      expect(TrackedLink.findOne).toHaveBeenCalledWith({ campaign_id: CAMPAIGN_ID, link_id: 'abc' });
+
+      TrackedLink.findOne.mockReturnValueOnce({ lean: jest.fn().mockResolvedValue(null) });
+      await expect(service.resolveLink(CAMPAIGN_ID, 'unknown')).resolves.toBeNull();
+    });
+  });
+
+  describe('machine events', () => {
+    test('should still record a person opening after a privacy proxy did', async () => {
+      service.classifier.classify.mockResolvedValueOnce({ isMachine: true, reasons: ['apple_proxy'] });
+      EmailOpen.findOne.mockResolvedValueOnce(null);
+      const machineOpen = await service.trackEmailOpen(CAMPAIGN_ID, 'sub-1', CAMPAIGN_ID, '17.58.101.4', 'Mozilla/5.0');
+
+      expect(machineOpen).toMatchObject({ is_machine: true, machine_reasons: ['apple_proxy'] });
+      expect(EmailOpen.findOne).toHaveBeenLastCalledWith({ email_id: CAMPAIGN_ID, subscriber_id: 'sub-1', is_machine: true });
+
+      EmailOpen.findOne.mockResolvedValueOnce(null);
+      const humanOpen = await service.trackEmailOpen(CAMPAIGN_ID, 'sub-1', CAMPAIGN_ID, '203.0.113.7', 'Mozilla/5.0 (Macintosh)');
+
+      expect(humanOpen).toMatchObject({ is_machine: false, device_type: 'desktop' });
+      expect(EmailOpen.findOne).toHaveBeenLastCalledWith({ email_id: CAMPAIGN_ID, subscriber_id: 'sub-1', is_machine: { $ne: true } });
+    });
+
+    test('should report human and machine engagement separately', async () => {
+      const byMachine = (human, machine) => (...args) => Promise.resolve(args.pop().is_machine === true ? machine : human);
+      EmailOpen.countDocuments.mockImplementation(byMachine(30, 70));
+      EmailOpen.distinct.mockImplementation(byMachine(['s1', 's2', 's3'], ['s1', 's4', 's5', 's6']));
+      EmailClick.countDocuments.mockImplementation(byMachine(2, 9));
+      EmailClick.distinct.mockImplementation(byMachine(['s1'], ['s4', 's5']));
+      EmailUnsubscribe.countDocuments.mockResolvedValue(0);
+      SpamComplaint.countDocuments.mockResolvedValue(0);
+
+      const analytics = await service.getCampaignAnalytics(CAMPAIGN_ID, { sent: 10 });
+
+      expect(analytics).toMatchObject({
+        opens: { total: 30, unique: 3 },
+        clicks: { total: 2, unique: 1 },
+        machine: { opens: { total: 70, unique: 4 }, clicks: { total: 9, unique: 2 } },
+        openRate: 30,
+        clickRate: 10
+      });
+      expect(EmailOpen.distinct).toHaveBeenCalledWith('subscriber_id', { campaign_id: CAMPAIGN_ID, is_machine: { $ne: true } });
+    });
+  });
+});
@@ -1,8 +1,8 @@
 const { expect } = require('chai');
 const sinon = require('sinon');
-const ErrorHandler = require('../../services/ErrorHandler');
-const loggingService = require('../../services/LoggingService');
-const monitoringService = require('../../services/MonitoringService');
+const ErrorHandler = require('../../packages/api/src/services/ErrorHandler');
+const loggingService = require('../../packages/api/src/services/LoggingService');
+const monitoringService = require('../../packages/api/src/services/MonitoringService');
 
 describe('ErrorHandler', () => {
     let errorHandler;
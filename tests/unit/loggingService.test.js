@@ -1,7 +1,7 @@
 const { expect } = require('chai');
 const sinon = require('sinon');
 const winston = require('winston');
-const LoggingService = require('../../services/LoggingService');
+const LoggingService = require('../../packages/api/src/services/LoggingService');
 
 describe('LoggingService', () => {
     let loggingService;
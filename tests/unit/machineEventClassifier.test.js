@@ -0,0 +1,84 @@
+jest.mock('../../packages/api/src/models/EmailJob', () => ({ findOne: jest.fn() }));
+jest.mock('../../packages/api/src/models/EmailTracking', () => ({
+  EmailClick: { exists: jest.fn(), updateMany: jest.fn() }
+}));
+
+const EmailJob = require('../../packages/api/src/models/EmailJob');
+const { EmailClick } = require('../../packages/api/src/models/EmailTracking');
+const MachineEventClassifier = require('../../packages/api/src/services/MachineEventClassifier');
+
+const CAMPAIGN_ID = '64b7f0c2a1b2c3d4e5f60730';
+const IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Mobile/15E148';
+
+const delivered = (sentAt) => EmailJob.findOne.mockReturnValue({
+  select: jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue(sentAt ? { sentAt } : null) })
+});
+
+describe('MachineEventClassifier', () => {
+  let classifier;
+
+  const event = (overrides = {}) => ({
+    type: 'open',
+    emailId: CAMPAIGN_ID,
+    subscriberId: 'sub-1',
+    campaignId: CAMPAIGN_ID,
+    ipAddress: '203.0.113.7',
+    userAgent: IPHONE,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    classifier = new MachineEventClassifier({ ipRanges: [{ name: 'scanner', cidr: '198.51.100.0/24' }] });
+    delivered(new Date(Date.now() - 60 * 60 * 1000));
+    EmailClick.exists.mockResolvedValue(null);
+  });
+
+  test('should treat a person reading on their phone as human', async () => {
+    await expect(classifier.classify(event())).resolves.toEqual({ isMachine: false, reasons: [] });
+  });
+
+  test('should flag privacy proxies, scanners and bot user agents', async () => {
+    expect((await classifier.classify(event({ userAgent: 'Mozilla/5.0', ipAddress: '17.58.101.4' }))).reasons)
+      .toEqual(['apple_proxy', 'ip_range:apple']);
+    expect((await classifier.classify(event({ userAgent: 'python-requests/2.31' }))).reasons).toEqual(['user_agent']);
+    expect((await classifier.classify(event({ userAgent: 'Unknown' }))).isMachine).toBe(true);
+    expect((await classifier.classify(event({ ipAddress: '::ffff:198.51.100.200' }))).reasons).toEqual(['ip_range:scanner']);
+    expect((await classifier.classify(event({ ipAddress: '198.51.101.1' }))).isMachine).toBe(false);
+  });
+
+  test('should flag events within seconds of delivery', async () => {
+    delivered(new Date(Date.now() - 3000));
+    const result = await classifier.classify(event({ type: 'click', linkId: 'a1' }));
+
+    expect(result.reasons).toEqual(['after_delivery']);
+    expect(EmailJob.findOne).toHaveBeenCalledWith({ campaignId: CAMPAIGN_ID, 'recipient.subscriberId': 'sub-1' });
+
+    await classifier.classify(event({ subscriberId: 'Ada@Example.com' }));
+    expect(EmailJob.findOne).toHaveBeenLastCalledWith({ idempotencyKey: `${CAMPAIGN_ID}:ada@example.com` });
+  });
+
+  test('should flag a click on another link moments after the last', async () => {
+    EmailClick.exists.mockResolvedValue({ _id: 'click-1' });
+
+    const result = await classifier.classify(event({ type: 'click', linkId: 'b2' }));
+
+    expect(result.reasons).toEqual(['click_burst']);
+    expect(EmailClick.exists).toHaveBeenCalledWith(expect.objectContaining({
+      email_id: CAMPAIGN_ID, subscriber_id: 'sub-1', link_id: { $ne: 'b2' }
+    }));
+    // Opens are never part of a burst
+    await classifier.classify(event());
+    expect(EmailClick.exists).toHaveBeenCalledTimes(1);
+  });
+
+  test('should fall back to request signals when delivery times cannot be read', async () => {
+    EmailJob.findOne.mockImplementation(() => { throw new Error('connection lost'); });
+
+    await expect(classifier.classify(event({ userAgent: 'curl/8.0' }))).resolves.toEqual({ isMachine: true, reasons: ['user_agent'] });
+  });
+
+  test('should reject malformed configured ranges', () => {
+    expect(() => new MachineEventClassifier({ ipRanges: [{ name: 'bad', cidr: '300.1.1.1/8' }] })).toThrow('Invalid IPv4 range for bad');
+  });
+});
@@ -0,0 +1,29 @@
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const User = require('../../packages/api/src/models/User');
+const TwoFactorService = require('../../packages/api/src/services/TwoFactorService');
+const createApp = require('../../packages/api/src/app');
+const createContainer = require('../../packages/api/src/container');
+
+describe('Monitoring routes', () => {
+  test('should let only admins and moderators acknowledge alerts on the older path', async () => {
+    const sessionService = { isRevoked: jest.fn().mockResolvedValue(false), touch: jest.fn() };
+    const twoFactorService = new TwoFactorService();
+    jest.spyOn(twoFactorService, 'getRequiredRoles').mockResolvedValue([]);
+    const services = createContainer({ sessionService, twoFactorService });
+    const acknowledge = jest.spyOn(services.healthCheckService.notifier, 'acknowledge').mockResolvedValue({});
+    const acknowledgeAs = async (role) => {
+      const user = await new User({ email: `${role}@piper.test`, role }).save();
+      const token = jwt.sign({ userId: user._id, sid: 's1' }, process.env.JWT_SECRET);
+      return request(createApp({ services }))
+        .post('/api/monitoring/alerts/alert-1/acknowledge')
+        .set('Authorization', `Bearer ${token}`);
+    };
+
+    expect((await acknowledgeAs('user')).status).toBe(403);
+    expect(acknowledge).not.toHaveBeenCalled();
+
+    expect((await acknowledgeAs('moderator')).status).toBe(200);
+    expect(acknowledge).toHaveBeenCalledWith('alert-1', { by: 'moderator@piper.test' });
+  });
+});
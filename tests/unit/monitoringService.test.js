@@ -93,7 +93,7 @@ describe('MonitoringService', () => {
     });
     
     // Initialize service
-    const MonitoringService = require('../../services/MonitoringService');
+    const MonitoringService = require('../../packages/api/src/services/MonitoringService');
     monitoringService = new MonitoringService();
   });
 
@@ -116,7 +116,7 @@ describe('MonitoringService', () => {
         defaultLabels: { service: 'test-service' }
       };
       
-      const customService = new (require('../../services/MonitoringService'))(customOptions);
+      const customService = new (require('../../packages/api/src/services/MonitoringService'))(customOptions);
       
       expect(customService.config.collectDefaultMetrics).to.be.false;
       expect(customService.config.defaultLabels).to.deep.equal({ service: 'test-service' });
@@ -126,7 +126,7 @@ describe('MonitoringService', () => {
       process.env.MONITORING_PORT = '9090';
       process.env.METRICS_PATH = '/custom-metrics';
       
-      const envService = new (require('../../services/MonitoringService'))();
+      const envService = new (require('../../packages/api/src/services/MonitoringService'))();
       
       expect(envService.config.port).to.equal(9090);
       expect(envService.config.metricsPath).to.equal('/custom-metrics');
@@ -665,7 +665,7 @@ describe('MonitoringService', () => {
       prometheus.Counter.throws(new Error('Counter creation failed'));
       
       expect(() => {
-        new (require('../../services/MonitoringService'))();
+        new (require('../../packages/api/src/services/MonitoringService'))();
       }).to.throw('Counter creation failed');
     });
 
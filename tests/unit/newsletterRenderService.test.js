@@ -0,0 +1,75 @@
+const NewsletterRenderService = require('../../packages/api/src/services/NewsletterRenderService');
+const { EMAIL_VARIANTS } = require('../../packages/api/src/services/NewsletterRenderService');
+
+const issue = {
+  title: 'The Week in Signals',
+  subtitle: 'Rates, chips and <script>',
+  slug: 'the-week-in-signals',
+  edition: 42,
+  previewText: 'Three things worth your attention',
+  sections: [
+    {
+      sectionKey: 'the-signal',
+      title: 'The Signal',
+      icon: '📡',
+      priority: 'high',
+      content: 'Yields rose sharply. Equities shrugged. Credit spreads held. See the [chart](https://example.com/chart?a=1&b=2).\n\n- Watch the Fed\n- Watch **oil**'
+    },
+    { sectionKey: 'threat-intelligence', title: 'Threat Intelligence', icon: '🛡️', priority: 'medium', content: 'Patch your VPN.' }
+  ]
+};
+
+describe('NewsletterRenderService', () => {
+  const service = new NewsletterRenderService({ webUrl: 'https://piper.example' });
+
+  test('should render every variant with an HTML and a plain-text part', () => {
+    const rendered = service.renderAll(issue);
+
+    expect(Object.keys(rendered)).toEqual(EMAIL_VARIANTS);
+    EMAIL_VARIANTS.forEach(variant => {
+      expect(rendered[variant].html).toMatch(/^<!DOCTYPE html>/);
+      expect(rendered[variant].html).toContain('{{unsubscribeUrl}}');
+      expect(rendered[variant].html).not.toContain('<style');
+      expect(rendered[variant].text).toContain('View in your browser: https://piper.example/newsletters/the-week-in-signals');
+    });
+  });
+
+  test('should escape content and keep only http links', () => {
+    const { html } = service.render(issue);
+
+    expect(html).toContain('Rates, chips and &lt;script&gt;');
+    expect(html).toContain('href="https://example.com/chart?a=1&amp;b=2"');
+    expect(html).toContain('<strong>oil</strong>');
+    expect(html).toContain('<ul style=');
+  });
+
+  test('should inline the dyslexia typography rules', () => {
+    const { html } = service.render(issue, 'dyslexia');
+
+    expect(html).toContain("font-family:OpenDyslexic, 'Comic Sans MS', Verdana, sans-serif;font-size:18px;line-height:1.8;letter-spacing:1.2px");
+    expect(html).toContain('text-align:left');
+    expect(html).not.toContain('justify');
+  });
+
+  test('should lead with a key message and short numbered chunks for ADHD readers', () => {
+    const { html, text } = service.render(issue, 'adhd');
+
+    expect(text).toContain('KEY MESSAGE: Yields rose sharply.');
+    expect(text).toContain('1. The Signal');
+    expect(text).toContain('Yields rose sharply. Equities shrugged.\n\nCredit spreads held.');
+    expect(html).toContain('background:#fff3cd;border:2px solid #ffc107');
+  });
+
+  test('should give ASD readers a predictable structure without icons', () => {
+    const { html, text } = service.render(issue, 'asd');
+
+    expect(text).toContain('What to expect: 2 sections, about 2 min to read');
+    expect(text).toContain('SECTION 2 OF 2: Threat Intelligence');
+    expect(html).toContain('border:2px solid #e1e5e9');
+    expect(html).not.toContain('📡');
+  });
+
+  test('should fall back to the standard variant', () => {
+    expect(service.render(issue, 'unknown').variant).toBe('standard');
+  });
+});
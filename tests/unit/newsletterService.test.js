@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+
+jest.mock('node-cron', () => ({ schedule: jest.fn() }));
+
+jest.mock('../../packages/api/src/models/User', () => ({
+  findById: jest.fn()
+}));
+
+jest.mock('../../packages/api/src/models/Newsletter', () => {
+  const Newsletter = jest.fn().mockImplementation(function(data) {
+    Object.assign(this, { _id: '6560f0c2a1b2c3d4e5f60718', metrics: { views: 0, shares: 0 } }, data);
+    this.save = jest.fn().mockResolvedValue(this);
+  });
+  Newsletter.find = jest.fn();
+  Newsletter.findOne = jest.fn();
+  Newsletter.exists = jest.fn();
+  Newsletter.updateOne = jest.fn();
+  return Newsletter;
+});
+
+const User = require('../../packages/api/src/models/User');
+const Newsletter = require('../../packages/api/src/models/Newsletter');
+const NewsletterService = require('../../packages/api/src/services/NewsletterService');
+
+const EDITOR = { _id: '64b7f0c2a1b2c3d4e5f60718', role: 'moderator' };
+const READER = { _id: '64b7f0c2a1b2c3d4e5f60719', role: 'user' };
+
+const mockIssue = (overrides = {}) => {
+  const issue = new Newsletter({
+    userId: EDITOR._id,
+    title: 'The Week in Signals',
+    slug: 'the-week-in-signals',
+    status: 'draft',
+    sections: [{ sectionKey: 'the-signal', title: 'The Signal', icon: '📡', priority: 'high', content: 'Yields rose.' }],
+    tags: ['markets'],
+    ...overrides
+  });
+  Newsletter.findOne.mockResolvedValue(issue);
+  return issue;
+};
+
+describe('NewsletterService', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new NewsletterService();
+    Newsletter.exists.mockResolvedValue(null);
+  });
+
+  test('should build sections from the section modules in reading order', async () => {
+    const issue = await service.createIssue(EDITOR._id, {
+      title: 'Édition Spéciale: AI & Markets',
+      sections: [
+        { sectionKey: 'threat-intelligence', content: 'Patch now.' },
+        { sectionKey: 'the-signal', content: 'Yields rose.', priority: 'high' }
+      ],
+      status: 'sent'
+    });
+
+    expect(issue.status).toBe('draft');
+    expect(issue.slug).toBe('edition-speciale-ai-markets');
+    expect(issue.sections.map(section => section.sectionKey)).toEqual(['the-signal', 'threat-intelligence']);
+    expect(issue.sections[1]).toMatchObject({ title: 'Threat Intelligence', icon: '🛡️', priority: 'medium' });
+    expect(issue.content).toBe('## The Signal\n\nYields rose.\n\n## Threat Intelligence\n\nPatch now.');
+  });
+
+  test('should reject unknown and duplicate sections', async () => {
+    await expect(service.createIssue(EDITOR._id, { title: 'x', sections: [{ sectionKey: 'sports', content: 'a' }] }))
+      .rejects.toThrow('Unknown newsletter section: sports');
+    await expect(service.createIssue(EDITOR._id, {
+      title: 'x',
+      sections: [{ sectionKey: 'the-signal', content: 'a' }, { sectionKey: 'the-signal', content: 'b' }]
+    })).rejects.toMatchObject({ name: 'ValidationError', status: 400 });
+  });
+
+  test('should suffix slugs that are taken', async () => {
+    Newsletter.exists.mockResolvedValueOnce({ _id: 'other' }).mockResolvedValueOnce(null);
+
+    expect(await service.uniqueSlug('Weekly Digest')).toBe('weekly-digest-2');
+  });
+
+  test('should hide drafts from other readers', async () => {
+    mockIssue();
+
+    await expect(service.getIssue('the-week-in-signals', READER)).rejects.toMatchObject({ status: 404 });
+    await expect(service.getIssue('the-week-in-signals', EDITOR)).resolves.toBeDefined();
+  });
+
+  test('should send with the next edition number', async () => {
+    const issue = mockIssue();
+    Newsletter.findOne
+      .mockResolvedValueOnce(issue)
+      .mockReturnValueOnce({
+        sort: jest.fn().mockReturnThis(),
+        select: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue({ edition: 41 })
+      });
+
+    await service.publishIssue(issue._id, EDITOR);
+
+    expect(issue.status).toBe('sent');
+    expect(issue.edition).toBe(42);
+    expect(issue.sentAt).toBeInstanceOf(Date);
+  });
+
+  test('should schedule future issues and refuse past dates', async () => {
+    const issue = mockIssue();
+    const sendAt = new Date(Date.now() + 60 * 60 * 1000);
+
+    await service.publishIssue(issue._id, EDITOR, { scheduledFor: sendAt.toISOString() });
+    expect(issue).toMatchObject({ status: 'scheduled', scheduledFor: sendAt });
+
+    await expect(service.publishIssue(issue._id, EDITOR, { scheduledFor: '2020-01-01T00:00:00Z' }))
+      .rejects.toThrow('scheduledFor must be in the future');
+  });
+
+  test('should not let readers publish or edit sent issues', async () => {
+    mockIssue();
+    await expect(service.publishIssue('6560f0c2a1b2c3d4e5f60718', READER)).rejects.toMatchObject({ status: 404 });
+
+    mockIssue({ status: 'sent' });
+    await expect(service.updateIssue('6560f0c2a1b2c3d4e5f60718', EDITOR, { title: 'New' }))
+      .rejects.toMatchObject({ name: 'ConflictError', status: 409 });
+  });
+
+  test('should refuse to delete sent issues', async () => {
+    mockIssue({ status: 'archived', sentAt: new Date() });
+
+    await expect(service.deleteIssue('6560f0c2a1b2c3d4e5f60718', EDITOR))
+      .rejects.toThrow('Sent issues cannot be deleted; archive them instead');
+  });
+
+  test('should serve the reader shape, count the view and verify its hash', async () => {
+    mockIssue({ status: 'sent', edition: 42, sentAt: new Date('2023-12-15T10:00:00Z'), metrics: { views: 9, shares: 1 } });
+    User.findById.mockReturnValue({
+      select: jest.fn().mockReturnThis(),
+      lean: jest.fn().mockResolvedValue({ firstName: 'Ada', lastName: 'Piper', bio: 'Editor' })
+    });
+
+    const payload = await service.readIssue('the-week-in-signals', READER);
+
+    expect(Newsletter.updateOne).toHaveBeenCalledWith(
+      { _id: '6560f0c2a1b2c3d4e5f60718' },
+      { $inc: { 'metrics.views': 1 } }
+    );
+    expect(payload).toMatchObject({
+      edition: 'Issue #42',
+      date: '2023-12-15T10:00:00.000Z',
+      author: { name: 'Ada Piper', avatar: null, bio: 'Editor' },
+      sections: [{ id: 'the-signal', title: 'The Signal', icon: '📡', priority: 'high', content: 'Yields rose.' }],
+      metrics: { views: 10, shares: 1, engagement: 10 }
+    });
+
+    // The client hashes the JSON it received
+    const clientHash = crypto.createHash('sha256').update(JSON.stringify(JSON.parse(JSON.stringify(payload)))).digest('hex');
+    expect(service.verifyContent(clientHash)).toEqual({ isAuthentic: true, timestamp: expect.any(Number) });
+    expect(service.verifyContent('0'.repeat(64)).isAuthentic).toBe(false);
+  });
+});
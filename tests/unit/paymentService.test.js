@@ -60,7 +60,7 @@ describe('PaymentService', () => {
     sandbox.stub(stripe, 'default').returns(stripeStub);
     
     // Initialize service
-    const PaymentService = require('../../services/PaymentService');
+    const PaymentService = require('../../packages/api/src/services/PaymentService');
     paymentService = new PaymentService();
   });
 
@@ -71,14 +71,14 @@ describe('PaymentService', () => {
   describe('Constructor', () => {
     it('should initialize with provided API key', () => {
       const customKey = 'sk_test_custom_key';
-      const customService = new (require('../../services/PaymentService'))(customKey);
+      const customService = new (require('../../packages/api/src/services/PaymentService'))(customKey);
       
       expect(stripe.default.calledWith(customKey)).to.be.true;
     });
 
     it('should initialize with environment variable', () => {
       process.env.STRIPE_SECRET_KEY = 'sk_test_env_key';
-      const envService = new (require('../../services/PaymentService'))();
+      const envService = new (require('../../packages/api/src/services/PaymentService'))();
       
       expect(stripe.default.calledWith('sk_test_env_key')).to.be.true;
     });
@@ -530,7 +530,7 @@ describe('PaymentService', () => {
       stripe.default.throws(new Error('Invalid API key'));
       
       expect(() => {
-        new (require('../../services/PaymentService'))('invalid_key');
+        new (require('../../packages/api/src/services/PaymentService'))('invalid_key');
       }).to.throw('Failed to initialize Stripe');
     });
 
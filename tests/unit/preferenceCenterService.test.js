@@ -0,0 +1,135 @@
+jest.mock('../../packages/api/src/models/Subscriber', () => {
+  const Subscriber = jest.fn().mockImplementation(function(data) {
+    Object.assign(this, { _id: '64b7f0c2a1b2c3d4e5f60720', status: 'subscribed', tags: [] }, data);
+    this.save = jest.fn().mockResolvedValue(this);
+  });
+  Subscriber.findOne = jest.fn();
+  return Subscriber;
+});
+
+jest.mock('../../packages/api/src/models/EmailTracking', () => {
+  const EmailUnsubscribe = jest.fn().mockImplementation(function(data) {
+    Object.assign(this, data);
+    this.save = jest.fn().mockResolvedValue(this);
+  });
+  return { EmailUnsubscribe };
+});
+
+const Subscriber = require('../../packages/api/src/models/Subscriber');
+const { EmailUnsubscribe } = require('../../packages/api/src/models/EmailTracking');
+const PreferenceCenterService = require('../../packages/api/src/services/PreferenceCenterService');
+
+const CAMPAIGN = { _id: '64b7f0c2a1b2c3d4e5f60730', userId: '64b7f0c2a1b2c3d4e5f60718' };
+
+const existingSubscriber = (overrides = {}) => {
+  const subscriber = new Subscriber({ userId: CAMPAIGN.userId, email: 'ada@example.com', ...overrides });
+  Subscriber.findOne.mockResolvedValue(subscriber);
+  return subscriber;
+};
+
+describe('PreferenceCenterService', () => {
+  let service;
+  let token;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new PreferenceCenterService({ tokenSecret: 'test-unsubscribe-secret', baseUrl: 'https://api.piper.test' });
+    token = service.createToken(CAMPAIGN, 'Ada@Example.com');
+  });
+
+  test('should issue signed per-recipient links and one-click headers', () => {
+    expect(service.verifyToken(token)).toEqual({
+      userId: CAMPAIGN.userId,
+      campaignId: CAMPAIGN._id,
+      email: 'ada@example.com'
+    });
+    expect(service.createToken(CAMPAIGN, 'grace@example.com')).not.toBe(token);
+    expect(service.listUnsubscribeHeaders(token)).toEqual({
+      'List-Unsubscribe': `<https://api.piper.test/unsubscribe/${token}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    });
+  });
+
+  test('should reject tampered and foreign tokens', () => {
+    const [, signature] = token.split('.');
+    const forgedPayload = Buffer.from(JSON.stringify({ u: CAMPAIGN.userId, c: CAMPAIGN._id, e: 'grace@example.com' }))
+      .toString('base64url');
+    const otherSecret = new PreferenceCenterService({ tokenSecret: 'another-secret' }).createToken(CAMPAIGN, 'ada@example.com');
+
+    expect(() => service.verifyToken(`${forgedPayload}.${signature}`)).toThrow('This link is invalid or incomplete');
+    expect(() => service.verifyToken(otherSecret)).toThrow('This link is invalid or incomplete');
+    expect(() => service.verifyToken('garbage')).toThrow('This link is invalid or incomplete');
+  });
+
+  test('should unsubscribe once and record the event', async () => {
+    const subscriber = existingSubscriber();
+
+    await service.unsubscribe(token, { ipAddress: '203.0.113.7', reason: 'one_click' });
+    expect(subscriber.status).toBe('unsubscribed');
+    expect(subscriber.unsubscribedAt).toEqual(expect.any(Date));
+    expect(EmailUnsubscribe).toHaveBeenCalledWith({
+      email_id: CAMPAIGN._id,
+      subscriber_id: subscriber._id,
+      campaign_id: CAMPAIGN._id,
+      ip_address: '203.0.113.7',
+      reason: 'one_click'
+    });
+
+    await service.unsubscribe(token);
+    expect(EmailUnsubscribe).toHaveBeenCalledTimes(1);
+  });
+
+  test('should create an unsubscribed audience record for hand-added recipients', async () => {
+    Subscriber.findOne.mockResolvedValue(null);
+
+    const subscriber = await service.unsubscribe(token);
+
+    expect(Subscriber).toHaveBeenCalledWith({ userId: CAMPAIGN.userId, email: 'ada@example.com', source: 'manual' });
+    expect(subscriber.status).toBe('unsubscribed');
+    expect(subscriber.save).toHaveBeenCalled();
+  });
+
+  test('should update frequency, topics and reading format without touching sender tags', async () => {
+    const subscriber = existingSubscriber({ tags: ['vip', 'ai', 'crypto'] });
+
+    const preferences = await service.updatePreferences(token, {
+      frequency: 'monthly',
+      topics: ['security', 'ai'],
+      emailVariant: 'dyslexia'
+    });
+
+    expect(subscriber.tags).toEqual(['vip', 'security', 'ai']);
+    expect(preferences).toMatchObject({
+      email: 'ada@example.com',
+      status: 'subscribed',
+      frequency: 'monthly',
+      topics: ['security', 'ai'],
+      emailVariant: 'dyslexia'
+    });
+  });
+
+  test('should resubscribe from the preference center but never unlock suppressed addresses', async () => {
+    const subscriber = existingSubscriber({ status: 'unsubscribed' });
+    await service.updatePreferences(token, { subscribed: true });
+    expect(subscriber.status).toBe('subscribed');
+
+    existingSubscriber({ status: 'complained' });
+    await expect(service.updatePreferences(token, { subscribed: true }))
+      .rejects.toMatchObject({ name: 'ConflictError', status: 409 });
+    await expect(service.updatePreferences(token, { frequency: 'hourly' }))
+      .rejects.toMatchObject({ status: 400 });
+  });
+
+  test('should render a preference page that posts back to its own link', async () => {
+    Subscriber.findOne.mockReturnValue({
+      lean: jest.fn().mockResolvedValue({ email: 'ada@example.com', status: 'subscribed', tags: ['ai'], frequency: 'daily' })
+    });
+    const html = service.renderPreferencePage(token, await service.getPreferences(token), 'Saved.');
+
+    expect(html).toContain(`action="/preferences/${token}"`);
+    expect(html).toContain(`action="/unsubscribe/${token}"`);
+    expect(html).toContain('name="topics" value="ai" checked');
+    expect(html).toContain('name="frequency" value="daily" checked');
+    expect(html).toContain('Saved.');
+  });
+});
@@ -0,0 +1,268 @@
+jest.mock('../../packages/api/src/models/User', () => ({
+  findById: jest.fn(),
+  findByIdAndUpdate: jest.fn()
+}));
+
+jest.mock('../../packages/api/src/models/ConsentRecord', () => {
+  const ConsentRecord = jest.fn().mockImplementation(function(data) {
+    Object.assign(this, data);
+    this.save = jest.fn().mockResolvedValue(this);
+  });
+  ConsentRecord.aggregate = jest.fn();
+  ConsentRecord.find = jest.fn();
+  return ConsentRecord;
+});
+
+jest.mock('../../packages/api/src/models/DataSubjectRequest', () => {
+  const DataSubjectRequest = jest.fn().mockImplementation(function(data) {
+    Object.assign(this, { _id: 'request-1', status: 'pending' }, data);
+    this.save = jest.fn().mockResolvedValue(this);
+  });
+  DataSubjectRequest.findOne = jest.fn();
+  return DataSubjectRequest;
+});
+
+jest.mock('../../packages/api/src/services/AccountErasureService', () => jest.fn());
+
+const User = require('../../packages/api/src/models/User');
+const ConsentRecord = require('../../packages/api/src/models/ConsentRecord');
+const DataSubjectRequest = require('../../packages/api/src/models/DataSubjectRequest');
+const PrivacyComplianceService = require('../../packages/api/src/services/PrivacyComplianceService');
+
+const USER_ID = '64b7f0c2a1b2c3d4e5f60718';
+const ADMIN = { id: '64b7f0c2a1b2c3d4e5f60719', role: 'admin' };
+const erasureService = { eraseAccount: jest.fn() };
+
+const mockUser = (privacySettings = {}) => {
+  User.findById.mockReturnValue({
+    select: jest.fn().mockResolvedValue({ privacySettings })
+  });
+};
+
+const mockRequest = (overrides = {}) => {
+  const request = {
+    _id: 'request-1',
+    userId: USER_ID,
+    type: 'export',
+    status: 'pending',
+    dueDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+    details: {},
+    auditTrail: [],
+    save: jest.fn(),
+    ...overrides
+  };
+  request.save.mockResolvedValue(request);
+  DataSubjectRequest.findOne.mockResolvedValue(request);
+  return request;
+};
+
+describe('PrivacyComplianceService', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new PrivacyComplianceService({ policyVersion: '2.1', hashSalt: 'pepper', erasureService });
+  });
+
+  describe('consent ledger', () => {
+    test('should fall back to privacy settings when the ledger is empty', async () => {
+      mockUser({ marketingEmails: true, analyticsTracking: false });
+      ConsentRecord.aggregate.mockResolvedValue([]);
+
+      const status = await service.getConsentStatus(USER_ID);
+
+      expect(status.essential).toMatchObject({ granted: true, required: true, version: 0 });
+      expect(status.marketing.granted).toBe(true);
+      expect(status.analytics.granted).toBe(false);
+      expect(status.social.granted).toBe(false);
+    });
+
+    test('should prefer the latest ledger version', async () => {
+      mockUser({ marketingEmails: true });
+      ConsentRecord.aggregate.mockResolvedValue([
+        { _id: 'marketing', record: { granted: false, version: 3, policyVersion: '2.0', recordedAt: new Date() } }
+      ]);
+
+      const status = await service.getConsentStatus(USER_ID);
+
+      expect(status.marketing).toMatchObject({ granted: false, version: 3, policyVersion: '2.0' });
+    });
+
+    test('should append a new version and sync privacy settings', async () => {
+      mockUser({ marketingEmails: false });
+      ConsentRecord.aggregate.mockResolvedValue([
+        { _id: 'marketing', record: { granted: false, version: 1 } }
+      ]);
+
+      const records = await service.recordConsent(USER_ID, { marketing: true }, {
+        ipAddress: '203.0.113.9',
+        userAgent: 'Mozilla/5.0',
+        source: 'consent_banner'
+      });
+
+      expect(records).toHaveLength(1);
+      expect(ConsentRecord).toHaveBeenCalledWith(expect.objectContaining({
+        purpose: 'marketing',
+        granted: true,
+        version: 2,
+        policyVersion: '2.1',
+        source: 'consent_banner',
+        ipHash: service.hashIdentifier('203.0.113.9')
+      }));
+      expect(records[0].ipHash).not.toContain('203.0.113.9');
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(USER_ID, {
+        $set: { 'privacySettings.marketingEmails': true }
+      });
+    });
+
+    test('should not write a version when consent is unchanged', async () => {
+      mockUser();
+      ConsentRecord.aggregate.mockResolvedValue([
+        { _id: 'analytics', record: { granted: true, version: 4 } }
+      ]);
+
+      const records = await service.recordConsent(USER_ID, { analytics: true });
+
+      expect(records).toHaveLength(0);
+      expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should refuse to withdraw essential consent', async () => {
+      await expect(service.recordConsent(USER_ID, { essential: false }))
+        .rejects.toMatchObject({ name: 'ValidationError', status: 400 });
+      expect(ConsentRecord).not.toHaveBeenCalled();
+    });
+
+    test('should reject unknown purposes', async () => {
+      await expect(service.recordConsent(USER_ID, { telemetry: true }))
+        .rejects.toThrow('Unknown consent purpose: telemetry');
+    });
+
+    test('should map flat privacy settings to purposes', async () => {
+      const spy = jest.spyOn(service, 'recordConsent').mockResolvedValue([]);
+
+      await service.recordSettingsChange(USER_ID, { marketingEmails: false, cookieConsent: true, other: true });
+
+      expect(spy).toHaveBeenCalledWith(USER_ID, { marketing: false, cookies: true }, {});
+    });
+  });
+
+  describe('data subject requests', () => {
+    test('should open a request due in 30 days', async () => {
+      DataSubjectRequest.findOne.mockResolvedValue(null);
+
+      const request = await service.createDataSubjectRequest(USER_ID, 'export');
+
+      expect(request.save).toHaveBeenCalled();
+      expect(request.dueDate - request.receivedAt).toBe(30 * 24 * 60 * 60 * 1000);
+      expect(request.auditTrail[0]).toMatchObject({ action: 'created', actorRole: 'data_subject' });
+    });
+
+    test('should reject a duplicate open request', async () => {
+      mockRequest();
+
+      await expect(service.createDataSubjectRequest(USER_ID, 'export'))
+        .rejects.toMatchObject({ name: 'ConflictError', status: 409 });
+    });
+
+    test('should require changes for rectification', async () => {
+      await expect(service.createDataSubjectRequest(USER_ID, 'rectify', { details: { changes: { role: 'admin' } } }))
+        .rejects.toThrow('Fields cannot be rectified: role');
+    });
+
+    test('should record status changes in the audit trail', async () => {
+      const request = mockRequest();
+
+      await service.transitionRequest('request-1', 'verifying', ADMIN, { note: 'Checking identity' });
+
+      expect(request.status).toBe('verifying');
+      expect(request.auditTrail[0]).toMatchObject({
+        action: 'status_changed',
+        fromStatus: 'pending',
+        toStatus: 'verifying',
+        actorId: ADMIN.id,
+        note: 'Checking identity'
+      });
+    });
+
+    test('should reject invalid transitions', async () => {
+      mockRequest({ status: 'completed' });
+
+      await expect(service.transitionRequest('request-1', 'processing', ADMIN))
+        .rejects.toThrow('Cannot move request from completed to processing');
+    });
+
+    test('should apply rectification changes on completion', async () => {
+      const request = mockRequest({
+        type: 'rectify',
+        status: 'processing',
+        details: { changes: { lastName: 'Piper-Smith' } }
+      });
+
+      await service.transitionRequest('request-1', 'completed', ADMIN);
+
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
+        USER_ID,
+        { $set: { lastName: 'Piper-Smith' } },
+        { runValidators: true }
+      );
+      expect(request.completedAt).toBeInstanceOf(Date);
+      expect(request.result).toEqual({ rectifiedFields: ['lastName'] });
+    });
+
+    test('should restrict processing on completion', async () => {
+      mockRequest({ type: 'restrict', status: 'processing' });
+      const spy = jest.spyOn(service, 'recordConsent').mockResolvedValue([]);
+
+      await service.transitionRequest('request-1', 'completed', ADMIN);
+
+      expect(spy).toHaveBeenCalledWith(USER_ID, expect.objectContaining({ marketing: false, analytics: false }), {
+        source: 'data_subject_request'
+      });
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(USER_ID, {
+        $set: { 'privacySettings.processingRestricted': true }
+      });
+    });
+
+    test('should erase the account and keep the certificate on completion', async () => {
+      const request = mockRequest({ type: 'erase', status: 'processing' });
+      erasureService.eraseAccount.mockResolvedValue({ certificateId: 'cert-1', signature: 'abc' });
+
+      await service.transitionRequest('request-1', 'completed', ADMIN);
+
+      expect(erasureService.eraseAccount).toHaveBeenCalledWith(USER_ID, { requestId: 'request-1', requestedBy: 'admin' });
+      expect(request.result).toEqual({ certificateId: 'cert-1', signature: 'abc' });
+    });
+
+    test('should run self-service erasure through the request workflow', async () => {
+      const request = mockRequest({ type: 'erase' });
+      erasureService.eraseAccount.mockResolvedValue({ certificateId: 'cert-2', signature: 'def' });
+
+      const completed = await service.eraseOwnAccount(USER_ID);
+
+      expect(completed.status).toBe('completed');
+      expect(request.auditTrail.map(entry => entry.toStatus)).toEqual(['processing', 'completed']);
+      expect(erasureService.eraseAccount).toHaveBeenCalledWith(USER_ID, expect.objectContaining({ requestedBy: 'data_subject' }));
+    });
+
+    test('should extend the deadline once', async () => {
+      const dueDate = new Date('2026-01-31T00:00:00Z');
+      const request = mockRequest({ dueDate });
+
+      await service.extendDeadline('request-1', 30, 'Large volume of records', ADMIN);
+
+      expect(request.dueDate).toEqual(new Date('2026-03-02T00:00:00Z'));
+      expect(request.extension.days).toBe(30);
+
+      await expect(service.extendDeadline('request-1', 10, 'Again', ADMIN))
+        .rejects.toMatchObject({ status: 409 });
+    });
+
+    test('should cap extensions at 60 days', async () => {
+      mockRequest();
+
+      await expect(service.extendDeadline('request-1', 90, 'Too long', ADMIN))
+        .rejects.toThrow('Extension must be between 1 and 60 days');
+    });
+  });
+});
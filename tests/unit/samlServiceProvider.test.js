@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const SamlServiceProvider = require('../../packages/api/src/services/SamlServiceProvider');
+const { SignedXml } = require('xml-crypto');
+
+// Test-only key pair for the mock identity provider
+const IDP_KEY = fs.readFileSync(path.join(__dirname, 'fixtures/saml/idp.key'), 'utf8');
+const IDP_CERT = fs.readFileSync(path.join(__dirname, 'fixtures/saml/idp.crt'), 'utf8');
+
+const SP_ENTITY_ID = 'https://api.example.com/api/auth/sso/saml/metadata';
+const ACS_URL = 'https://api.example.com/api/auth/sso/saml/acs';
+const IDP_ENTITY_ID = 'https://idp.example.com/metadata';
+const NOW = new Date('2024-01-15T12:01:00Z');
+
+const DSIG = 'http://www.w3.org/2000/09/xmldsig#';
+const base64 = (xml) => Buffer.from(xml).toString('base64');
+
+/**
+ * Mock IdP: an assertion for the request, signed the way IdPs sign them
+ */
+const GROUPS_ATTRIBUTE = '<saml:Attribute Name="groups"><saml:AttributeValue>Editors</saml:AttributeValue></saml:Attribute>';
+
+function signedResponse({ requestId = '_req1', audience = SP_ENTITY_ID, notOnOrAfter = '2024-01-15T12:05:00Z', key = IDP_KEY, nameId = 'ada@acme.example', attributes = GROUPS_ATTRIBUTE, signatureAlgorithm = 'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256' } = {}) {
+  const assertion = `<saml:Assertion xmlns:saml="urn:oasis:names:tc:SAML:2.0:assertion" ID="_a1" Version="2.0" IssueInstant="2024-01-15T12:00:00Z"><saml:Issuer>${IDP_ENTITY_ID}</saml:Issuer><saml:Subject><saml:NameID>${nameId}</saml:NameID><saml:SubjectConfirmation Method="urn:oasis:names:tc:SAML:2.0:cm:bearer"><saml:SubjectConfirmationData InResponseTo="${requestId}" NotOnOrAfter="${notOnOrAfter}" Recipient="${ACS_URL}"/></saml:SubjectConfirmation></saml:Subject><saml:Conditions NotBefore="2024-01-15T11:59:00Z" NotOnOrAfter="${notOnOrAfter}"><saml:AudienceRestriction><saml:Audience>${audience}</saml:Audience></saml:AudienceRestriction></saml:Conditions><saml:AttributeStatement>${attributes}</saml:AttributeStatement></saml:Assertion>`;
+
+  const signer = new SignedXml({
+    privateKey: key,
+    canonicalizationAlgorithm: 'http://www.w3.org/2001/10/xml-exc-c14n#',
+    signatureAlgorithm
+  });
+  signer.addReference({
+    xpath: "/*[local-name(.)='Assertion']",
+    transforms: ['http://www.w3.org/2000/09/xmldsig#enveloped-signature', 'http://www.w3.org/2001/10/xml-exc-c14n#'],
+    digestAlgorithm: 'http://www.w3.org/2001/04/xmlenc#sha256'
+  });
+  signer.computeSignature(assertion, { prefix: 'ds', location: { reference: "/*/*[local-name(.)='Issuer']", action: 'after' } });
+  const signedAssertion = signer.getSignedXml();
+
+  return `<samlp:Response xmlns:samlp="urn:oasis:names:tc:SAML:2.0:protocol" ID="_r1" Version="2.0" IssueInstant="2024-01-15T12:00:00Z" Destination="${ACS_URL}" InResponseTo="${requestId}"><samlp:Status><samlp:StatusCode Value="urn:oasis:names:tc:SAML:2.0:status:Success"/></samlp:Status>${signedAssertion}</samlp:Response>`;
+}
+
+describe('SamlServiceProvider', () => {
+  const idp = { entityId: IDP_ENTITY_ID, certificates: [IDP_CERT] };
+  let provider;
+
+  beforeEach(() => {
+    provider = new SamlServiceProvider({ entityId: SP_ENTITY_ID, acsUrl: ACS_URL });
+  });
+
+  test('should read the entity ID, redirect endpoint and signing certificate from IdP metadata', () => {
+    const certificate = IDP_CERT.replace(/-----[A-Z ]+-----|\s/g, '');
+    const metadata = `<?xml version="1.0"?>
+      <md:EntityDescriptor xmlns:md="urn:oasis:names:tc:SAML:2.0:metadata" xmlns:ds="${DSIG}" entityID="${IDP_ENTITY_ID}">
+        <md:IDPSSODescriptor protocolSupportEnumeration="urn:oasis:names:tc:SAML:2.0:protocol">
+          <md:KeyDescriptor use="encryption"><ds:KeyInfo><ds:X509Data><ds:X509Certificate>ENCRYPTIONONLY</ds:X509Certificate></ds:X509Data></ds:KeyInfo></md:KeyDescriptor>
+          <md:KeyDescriptor use="signing"><ds:KeyInfo><ds:X509Data><ds:X509Certificate>
+            ${certificate}
+          </ds:X509Certificate></ds:X509Data></ds:KeyInfo></md:KeyDescriptor>
+          <md:SingleSignOnService Binding="urn:oasis:names:tc:SAML:2.0:bindings:HTTP-POST" Location="https://idp.example.com/sso/post"/>
+          <md:SingleSignOnService Binding="urn:oasis:names:tc:SAML:2.0:bindings:HTTP-Redirect" Location="https://idp.example.com/sso/redirect"/>
+        </md:IDPSSODescriptor>
+      </md:EntityDescriptor>`;
+
+    expect(provider.parseMetadata(metadata)).toEqual({
+      entityId: IDP_ENTITY_ID,
+      ssoUrl: 'https://idp.example.com/sso/redirect',
+      certificates: [certificate]
+    });
+    expect(() => provider.parseMetadata('<!DOCTYPE x [<!ENTITY e SYSTEM "file:///etc/passwd">]><x>&e;</x>'))
+      .toThrow(expect.objectContaining({ code: 'INVALID_SSO_METADATA' }));
+  });
+
+  test('should send a deflated AuthnRequest with the request ID and ACS URL', () => {
+    const url = new URL(provider.authorizationUrl({ ssoUrl: 'https://idp.example.com/sso?tenant=acme' }, { requestId: '_req1', relayState: 'state-1', now: NOW }));
+    const request = zlib.inflateRawSync(Buffer.from(url.searchParams.get('SAMLRequest'), 'base64')).toString();
+
+    expect(url.searchParams.get('tenant')).toBe('acme');
+    expect(url.searchParams.get('RelayState')).toBe('state-1');
+    expect(request).toContain('ID="_req1"');
+    expect(request).toContain(`AssertionConsumerServiceURL="${ACS_URL}"`);
+    expect(request).toContain(`<saml:Issuer>${SP_ENTITY_ID}</saml:Issuer>`);
+  });
+
+  test('should accept a signed response to our request and read its attributes', () => {
+    expect(provider.validateResponse(base64(signedResponse()), idp, '_req1', NOW)).toEqual({
+      nameId: 'ada@acme.example',
+      sessionIndex: null,
+      attributes: { groups: ['Editors'] }
+    });
+  });
+
+  test('should keep attribute names that clash with object properties as plain keys', () => {
+    const attributes = ['__proto__', 'constructor', 'toString']
+      .map(name => `<saml:Attribute Name="${name}"><saml:AttributeValue>${name}-value</saml:AttributeValue></saml:Attribute>`)
+      .join('');
+
+    const result = provider.validateResponse(base64(signedResponse({ attributes })), idp, '_req1', NOW);
+
+    expect(Object.getPrototypeOf(result.attributes)).toBeNull();
+    expect(Object.keys(result.attributes)).toEqual(['__proto__', 'constructor', 'toString']);
+    expect(result.attributes.constructor).toEqual(['constructor-value']);
+    expect(result.attributes.groups).toBeUndefined();
+  });
+
+  test('should accept a response signed with an InclusiveNamespaces prefix list', () => {
+    const response = fs.readFileSync(path.join(__dirname, 'fixtures/saml/xml-crypto-response.xml'), 'utf8');
+
+    expect(provider.validateResponse(base64(response), idp, '_req1', NOW)).toMatchObject({
+      nameId: 'ada@acme.example',
+      sessionIndex: '_s1',
+      attributes: { email: ['ada@acme.example'], firstName: ['Ada & Co'], groups: ['Engineering', 'Editors'] }
+    });
+  });
+
+  test('should reject tampered, foreign, replayed, expired and misdirected responses', () => {
+    const validate = (xml, requestId = '_req1', now = NOW) => () => provider.validateResponse(base64(xml), idp, requestId, now);
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+    expect(validate(signedResponse().replace('ada@acme.example', 'eve@acme.example')))
+      .toThrow(expect.objectContaining({ code: 'INVALID_SAML_SIGNATURE' }));
+    expect(validate(signedResponse({ key: privateKey })))
+      .toThrow(expect.objectContaining({ code: 'INVALID_SAML_SIGNATURE' }));
+    expect(validate(signedResponse({ signatureAlgorithm: 'http://www.w3.org/2000/09/xmldsig#rsa-sha1' })))
+      .toThrow(expect.objectContaining({ code: 'INVALID_SAML_SIGNATURE' }));
+    expect(validate(signedResponse().replace(/<ds:Signature[\s\S]*<\/ds:Signature>/, '')))
+      .toThrow(expect.objectContaining({ code: 'INVALID_SAML_SIGNATURE' }));
+    expect(validate(signedResponse(), '_another_request')).toThrow(/does not answer this login request/);
+    expect(validate(signedResponse(), '_req1', new Date('2024-01-15T12:30:00Z'))).toThrow(/not valid at this time/);
+    expect(validate(signedResponse({ audience: 'https://other.example.com' }))).toThrow(/another audience/);
+
+    // A second, unsigned assertion next to the signed one
+    const wrapped = signedResponse().replace('</samlp:Response>', '<saml:Assertion xmlns:saml="urn:oasis:names:tc:SAML:2.0:assertion" ID="_evil"/></samlp:Response>');
+    expect(validate(wrapped)).toThrow(/exactly one assertion/);
+  });
+});
@@ -0,0 +1,189 @@
+jest.mock('../../packages/api/src/models/ThreatResponse', () => {
+  return Object.assign(jest.fn().mockImplementation(function(data) {
+    Object.assign(this, data);
+    this.save = jest.fn().mockResolvedValue(this);
+  }), { aggregate: jest.fn() });
+});
+
+const ThreatResponse = require('../../packages/api/src/models/ThreatResponse');
+const SecurityHardeningService = require('../../packages/api/src/services/SecurityHardeningService');
+const { SecurityDashboardService } = require('../../packages/api/src/services/SecurityDashboardService');
+
+describe('SecurityDashboardService', () => {
+  let hardeningService;
+  let scannerService;
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ThreatResponse.aggregate.mockResolvedValue([]);
+
+    hardeningService = new SecurityHardeningService();
+    scannerService = {
+      scanCodebase: jest.fn(),
+      getScanResults: jest.fn()
+    };
+    service = new SecurityDashboardService({
+      hardeningService,
+      scannerService,
+      codebasePath: '/srv/app'
+    });
+  });
+
+  describe('time ranges and pagination', () => {
+    test('should default to a 24 hour window', () => {
+      const { startDate, endDate } = service.resolveTimeRange('unknown');
+      expect(endDate - startDate).toBe(24 * 60 * 60 * 1000);
+    });
+
+    test('should paginate results with metadata', () => {
+      const items = Array.from({ length: 25 }, (_, i) => i);
+      const result = service.paginate(items, { page: '3', limit: '10' });
+
+      expect(result.data).toEqual([20, 21, 22, 23, 24]);
+      expect(result.pagination).toEqual({ page: 3, limit: 10, total: 25, pages: 3 });
+    });
+  });
+
+  describe('threats and alerts', () => {
+    beforeEach(() => {
+      hardeningService.logSecurityEvent('threat_detected', {
+        vulnerabilities: ['sqlInjection'],
+        ipAddress: '203.0.113.5',
+        severity: 'critical'
+      });
+      hardeningService.logSecurityEvent('validation_failed', { severity: 'medium' });
+    });
+
+    test('should only report high and critical events as threats', async () => {
+      const threats = await service.listThreats({ timeRange: '24h' });
+
+      expect(threats).toHaveLength(1);
+      expect(threats[0]).toMatchObject({
+        type: 'threat_detected',
+        severity: 'critical',
+        sourceIp: '203.0.113.5',
+        status: 'detected'
+      });
+    });
+
+    test('should exclude events outside the time range', async () => {
+      hardeningService.securityEvents[0].timestamp = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+
+      await expect(service.listThreats({ timeRange: '1h' })).resolves.toHaveLength(0);
+      await expect(service.listThreats({ timeRange: '24h' })).resolves.toHaveLength(1);
+    });
+
+    test('should record a threat response and close the alert', async () => {
+      const [threat] = await service.listThreats();
+      await expect(service.listAlerts()).resolves.toHaveLength(1);
+
+      const response = await service.respondToThreat(threat.id, 'block', { userId: 'admin-1', notes: 'Blocked at WAF' });
+
+      expect(ThreatResponse).toHaveBeenCalledWith(expect.objectContaining({
+        threatId: threat.id,
+        action: 'block',
+        status: 'blocked',
+        respondedBy: 'admin-1'
+      }));
+      expect(response.save).toHaveBeenCalled();
+
+      // Statuses come from the stored responses, so every instance sees them
+      ThreatResponse.aggregate.mockResolvedValue([{ _id: threat.id, status: 'blocked' }]);
+      const otherInstance = new SecurityDashboardService({ hardeningService, scannerService });
+      expect((await otherInstance.listThreats())[0].status).toBe('blocked');
+      await expect(otherInstance.listAlerts()).resolves.toHaveLength(0);
+      expect((await otherInstance.getMetrics()).blockedAttacks).toBe(1);
+      expect(ThreatResponse.aggregate).toHaveBeenCalledWith([
+        { $match: { threatId: { $in: [threat.id] } } },
+        { $sort: { createdAt: -1 } },
+        { $group: { _id: '$threatId', status: { $first: '$status' } } }
+      ]);
+    });
+
+    test('should return null for unknown threats', async () => {
+      await expect(service.respondToThreat('deadbeef', 'resolve', { userId: 'admin-1' })).resolves.toBeNull();
+      expect(ThreatResponse).not.toHaveBeenCalled();
+    });
+
+    test('should reject unsupported actions', async () => {
+      const [threat] = await service.listThreats();
+      await expect(service.respondToThreat(threat.id, 'delete')).rejects.toThrow('Unsupported threat action');
+    });
+
+    test('should count threats by vulnerability type in metrics', async () => {
+      const metrics = await service.getMetrics({ timeRange: '24h' });
+
+      expect(metrics.sqlInjectionThreats).toBe(1);
+      expect(metrics.xssThreats).toBe(0);
+      expect(metrics.activeThreats).toBe(1);
+      expect(metrics.totalEvents).toBe(2);
+    });
+  });
+
+  describe('vulnerability scans', () => {
+    test('should run a scan as a tracked job', async () => {
+      scannerService.scanCodebase.mockResolvedValue({
+        scanId: 'scan-1',
+        summary: { totalVulnerabilities: 1, critical: 1 },
+        riskScore: 100
+      });
+      scannerService.getScanResults.mockReturnValue({
+        vulnerabilities: [{ category: 'injection', severity: 'critical', file: '/srv/app/routes/users.js', line: 4 }]
+      });
+
+      const { job, alreadyRunning } = service.startScan({}, 'admin-1');
+      expect(alreadyRunning).toBe(false);
+      expect(job.status).toBe('running');
+      expect(service.startScan().alreadyRunning).toBe(true);
+
+      await service.scanJobs.get(job.id).promise;
+
+      expect(service.getScanJob(job.id)).toMatchObject({ status: 'completed', scanId: 'scan-1' });
+      const vulnerabilities = service.listVulnerabilities({ timeRange: '24h' });
+      expect(vulnerabilities).toHaveLength(1);
+      expect(vulnerabilities[0].file).toBe('routes/users.js');
+      expect(vulnerabilities[0].discoveredAt).toBeDefined();
+      expect((await service.getMetrics()).totalVulnerabilities).toBe(1);
+    });
+
+    test('should mark failed scans', async () => {
+      scannerService.scanCodebase.mockRejectedValue(new Error('EACCES'));
+
+      const { job } = service.startScan();
+      await service.scanJobs.get(job.id).promise;
+
+      expect(service.getScanJob(job.id)).toMatchObject({ status: 'failed', error: 'EACCES' });
+      expect(service.listVulnerabilities()).toEqual([]);
+    });
+  });
+
+  describe('monitorRequests', () => {
+    test('should record suspicious requests without blocking them', async () => {
+      const middleware = service.monitorRequests();
+      const next = jest.fn();
+
+      middleware({
+        query: { id: "1' OR 1=1; DROP TABLE users" },
+        body: {},
+        originalUrl: '/api/users',
+        method: 'GET',
+        ip: '198.51.100.7',
+        get: () => 'Mozilla/5.0'
+      }, {}, next);
+
+      expect(next).toHaveBeenCalled();
+      const [threat] = await service.listThreats();
+      expect(threat.sourceIp).toBe('198.51.100.7');
+      expect(threat.vulnerabilities).toContain('sqlInjection');
+    });
+
+    test('should ignore ordinary requests', () => {
+      const next = jest.fn();
+      service.monitorRequests()({ query: {}, body: {}, get: () => 'Mozilla/5.0' }, {}, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(service.listEvents()).toHaveLength(0);
+    });
+  });
+});
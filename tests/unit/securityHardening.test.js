@@ -1,5 +1,5 @@
-const SecurityHardeningService = require('../../services/SecurityHardeningService');
-const VulnerabilityScannerService = require('../../services/VulnerabilityScannerService');
+const SecurityHardeningService = require('../../packages/api/src/services/SecurityHardeningService');
+const VulnerabilityScannerService = require('../../packages/api/src/services/VulnerabilityScannerService');
 const winston = require('winston');
 
 describe('SecurityHardeningService', () => {
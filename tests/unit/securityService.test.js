@@ -13,7 +13,7 @@ describe('SecurityService', () => {
     sandbox = sinon.createSandbox();
     
     // Initialize service
-    const SecurityService = require('../../services/SecurityService');
+    const SecurityService = require('../../packages/api/src/services/SecurityService');
     securityService = new SecurityService();
   });
 
@@ -36,7 +36,7 @@ describe('SecurityService', () => {
         maxRateLimitAttempts: 5
       };
       
-      const customService = new (require('../../services/SecurityService'))(customOptions);
+      const customService = new (require('../../packages/api/src/services/SecurityService'))(customOptions);
       
       expect(customService.config.jwtSecret).to.equal('custom-secret');
       expect(customService.config.bcryptRounds).to.equal(12);
@@ -49,7 +49,7 @@ describe('SecurityService', () => {
       process.env.BCRYPT_ROUNDS = '15';
       process.env.RATE_LIMIT_WINDOW_MS = '30000';
       
-      const envService = new (require('../../services/SecurityService'))();
+      const envService = new (require('../../packages/api/src/services/SecurityService'))();
       
       expect(envService.config.jwtSecret).to.equal('env-secret');
       expect(envService.config.bcryptRounds).to.equal(15);
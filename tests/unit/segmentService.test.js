@@ -0,0 +1,177 @@
+jest.mock('../../packages/api/src/models/Subscriber', () => ({
+  find: jest.fn()
+}));
+
+jest.mock('../../packages/api/src/models/Segment', () => ({
+  findOne: jest.fn(),
+  exists: jest.fn()
+}));
+
+jest.mock('../../packages/api/src/models/User', () => ({
+  find: jest.fn()
+}));
+
+jest.mock('../../packages/api/src/models/Subscription', () => ({
+  find: jest.fn()
+}));
+
+jest.mock('../../packages/api/src/models/EmailTracking', () => ({
+  EmailOpen: { distinct: jest.fn() },
+  EmailClick: { distinct: jest.fn() }
+}));
+
+const Subscriber = require('../../packages/api/src/models/Subscriber');
+const Segment = require('../../packages/api/src/models/Segment');
+const User = require('../../packages/api/src/models/User');
+const Subscription = require('../../packages/api/src/models/Subscription');
+const { EmailOpen } = require('../../packages/api/src/models/EmailTracking');
+const SegmentService = require('../../packages/api/src/services/SegmentService');
+
+const OWNER_ID = '64b7f0c2a1b2c3d4e5f60718';
+const READER_ID = '64b7f0c2a1b2c3d4e5f60719';
+
+const lean = (value) => ({
+  lean: jest.fn().mockResolvedValue(value),
+  select: jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue(value) })
+});
+
+const SUBSCRIBERS = [
+  { _id: 'sub-1', email: 'ada@example.com', firstName: 'Ada', tags: ['investor', 'weekly'], linkedUserId: READER_ID },
+  { _id: 'sub-2', email: 'grace@example.com', firstName: 'Grace', tags: ['weekly'], timezone: 'America/New_York' },
+  { _id: 'sub-3', email: 'alan@example.com', tags: [], language: 'de', emailVariant: 'dyslexia' }
+];
+
+describe('SegmentService', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new SegmentService();
+    Subscriber.find.mockReturnValue(lean(SUBSCRIBERS));
+    User.find.mockReturnValue(lean([{
+      _id: READER_ID,
+      preferences: { language: 'en', timezone: 'Europe/London' },
+      neurodiversityProfile: { emailVariant: 'adhd' }
+    }]));
+    Subscription.find.mockReturnValue(lean([{ userId: READER_ID, plan: 'premium' }]));
+    EmailOpen.distinct.mockResolvedValue([]);
+  });
+
+  test('should reject malformed rules with the path of the problem', () => {
+    expect(() => service.validateRules({ all: [] }))
+      .toThrow('Invalid segment rule at rules: "all" must be a non-empty array');
+    expect(() => service.validateRules({ any: [{ field: 'plan', op: 'eq', value: 'gold' }] }))
+      .toThrow('Invalid segment rule at rules.any[0]: "plan" must be one of basic, premium, enterprise, none');
+    expect(() => service.validateRules({ field: 'tags', op: 'startsWith', value: 'x' }))
+      .toThrow('"tags" does not support "startsWith"');
+    expect(() => service.validateRules({ field: 'opened', op: 'withinDays', value: 0 }))
+      .toThrow('value must be a number of days between 1 and 365');
+
+    let deep = { field: 'tags', op: 'includes', value: 'a' };
+    for (let i = 0; i < 6; i++) {
+      deep = { not: deep };
+    }
+    expect(() => service.validateRules(deep)).toThrow('nested at most 5 deep');
+  });
+
+  test('should match tags, plan, timezone and reading mode from the linked account', async () => {
+    const byRules = async (rules) => (await service.resolveSubscribers(OWNER_ID, rules)).map(match => match.email);
+
+    expect(await byRules({ field: 'tags', op: 'includesAll', value: ['investor', 'weekly'] })).toEqual(['ada@example.com']);
+    expect(await byRules({ field: 'plan', op: 'eq', value: 'none' })).toEqual(['grace@example.com', 'alan@example.com']);
+    expect(await byRules({ field: 'timezone', op: 'startsWith', value: 'Europe/' })).toEqual(['ada@example.com']);
+    expect(await byRules({ field: 'neurodiversityMode', op: 'in', value: ['adhd', 'dyslexia'] }))
+      .toEqual(['ada@example.com', 'alan@example.com']);
+    expect(await byRules({
+      any: [
+        { field: 'language', op: 'eq', value: 'de' },
+        { not: { field: 'tags', op: 'includes', value: 'weekly' } }
+      ]
+    })).toEqual(['alan@example.com']);
+
+    expect(Subscriber.find).toHaveBeenCalledWith({ userId: OWNER_ID, status: 'subscribed' });
+  });
+
+  test('should only load subscriptions when the rules test the plan', async () => {
+    await service.resolveSubscribers(OWNER_ID, { field: 'tags', op: 'includes', value: 'weekly' });
+    expect(Subscription.find).not.toHaveBeenCalled();
+
+    await service.resolveSubscribers(OWNER_ID, { field: 'plan', op: 'in', value: ['premium'] });
+    expect(Subscription.find).toHaveBeenCalledWith({ userId: { $in: [READER_ID] }, status: 'active' });
+  });
+
+  test('should match engagement windows with one query per window', async () => {
+    EmailOpen.distinct.mockResolvedValue(['sub-2']);
+
+    const matches = await service.resolveSubscribers(OWNER_ID, {
+      all: [
+        { field: 'opened', op: 'withinDays', value: 30 },
+        { not: { field: 'opened', op: 'notWithinDays', value: 30 } }
+      ]
+    });
+
+    expect(matches.map(match => match.email)).toEqual(['grace@example.com']);
+    expect(EmailOpen.distinct).toHaveBeenCalledTimes(1);
+    expect(EmailOpen.distinct).toHaveBeenCalledWith('subscriber_id', expect.objectContaining({
+      subscriber_id: { $in: ['sub-1', 'sub-2', 'sub-3'] },
+      opened_at: { $gte: expect.any(Date) }
+    }));
+  });
+
+  test('should keep hand-picked recipients for manual campaigns unless they left the audience', async () => {
+    Subscriber.find.mockReturnValueOnce(lean([
+      { _id: 'sub-1', email: 'ada@example.com', status: 'subscribed', emailVariant: 'adhd' },
+      { _id: 'sub-9', email: 'gone@example.com', status: 'unsubscribed' }
+    ]));
+
+    const recipients = await service.resolveCampaignRecipients({
+      _id: 'campaign-1',
+      userId: OWNER_ID,
+      segment: { type: 'manual', criteria: {} },
+      recipients: [
+        { email: 'ada@example.com', variant: 'standard', status: 'pending' },
+        { email: 'gone@example.com', status: 'pending' },
+        { email: 'new@example.com', status: 'pending' }
+      ]
+    });
+
+    expect(recipients).toEqual([
+      { email: 'ada@example.com', subscriberId: 'sub-1', variant: 'adhd', status: 'pending' },
+      { email: 'new@example.com', status: 'pending' }
+    ]);
+    expect(Subscriber.find).toHaveBeenCalledTimes(1);
+    expect(Subscriber.find).toHaveBeenCalledWith({
+      userId: OWNER_ID,
+      email: { $in: ['ada@example.com', 'gone@example.com', 'new@example.com'] }
+    });
+  });
+
+  test('should add segment members at send time without duplicating manual recipients', async () => {
+    Segment.findOne.mockResolvedValue({ rules: { field: 'tags', op: 'includes', value: 'weekly' } });
+    Subscriber.find.mockReturnValueOnce(lean([]));
+
+    const recipients = await service.resolveCampaignRecipients({
+      _id: 'campaign-1',
+      userId: OWNER_ID,
+      segment: { type: 'saved', criteria: { segmentId: '64b7f0c2a1b2c3d4e5f6071a' } },
+      recipients: [{ email: 'ada@example.com', variant: 'standard', status: 'pending' }]
+    });
+
+    expect(Segment.findOne).toHaveBeenCalledWith({ _id: '64b7f0c2a1b2c3d4e5f6071a', userId: OWNER_ID });
+    expect(recipients).toEqual([
+      { email: 'ada@example.com', variant: 'standard', status: 'pending' },
+      { subscriberId: 'sub-2', email: 'grace@example.com', firstName: 'Grace', lastName: '', variant: 'standard', timezone: 'America/New_York', status: 'pending' }
+    ]);
+  });
+
+  test('should reject tag and saved segments without criteria', async () => {
+    await expect(service.campaignRules(OWNER_ID, { type: 'tag', criteria: {} }))
+      .rejects.toMatchObject({ status: 400 });
+    await expect(service.campaignRules(OWNER_ID, { type: 'saved', criteria: { segmentId: 'nope' } }))
+      .rejects.toMatchObject({ status: 400 });
+
+    Segment.findOne.mockResolvedValue(null);
+    await expect(service.campaignRules(OWNER_ID, { type: 'saved', criteria: { segmentId: '64b7f0c2a1b2c3d4e5f6071a' } }))
+      .rejects.toMatchObject({ name: 'NotFoundError', status: 404 });
+  });
+});
@@ -0,0 +1,93 @@
+jest.mock('../../packages/api/src/models/EmailTracking', () => ({
+  EmailOpen: { aggregate: jest.fn() }
+}));
+
+const { EmailOpen } = require('../../packages/api/src/models/EmailTracking');
+const SendTimeService = require('../../packages/api/src/services/SendTimeService');
+
+const HOUR = 60 * 60 * 1000;
+
+// Opens per subscriber and UTC hour, as the aggregation returns them
+const opens = (bySubscriber) => EmailOpen.aggregate.mockResolvedValue(
+  Object.entries(bySubscriber).flatMap(([subscriberId, hours]) =>
+    Object.entries(hours).map(([hour, count]) => ({ _id: { subscriberId, hour: Number(hour) }, count })))
+);
+
+describe('SendTimeService', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new SendTimeService();
+  });
+
+  test('should learn the hour each subscriber opens most', async () => {
+    opens({
+      'sub-1': { 7: 5, 18: 2 },
+      'sub-2': { 13: 1, 21: 1 },
+      'ada@example.com': { 20: 2, 6: 2 }
+    });
+
+    const hours = await service.learnOpenHours(['sub-1', 'sub-2', 'ada@example.com']);
+
+    expect(hours.get('sub-1')).toBe(7);
+    // Two opens are not enough to go on
+    expect(hours.has('sub-2')).toBe(false);
+    // Ties go to the earlier hour
+    expect(hours.get('ada@example.com')).toBe(6);
+    expect(EmailOpen.aggregate.mock.calls[0][0][0].$match).toEqual({
+      subscriber_id: { $in: ['sub-1', 'sub-2', 'ada@example.com'] },
+      opened_at: { $gte: expect.any(Date) },
+      is_machine: { $ne: true }
+    });
+  });
+
+  test('should fall back to the local morning of the subscriber timezone', () => {
+    const winter = new Date('2024-01-15T12:00:00Z');
+    const summer = new Date('2024-07-15T12:00:00Z');
+
+    expect(service.localMorningUtc('America/New_York', winter)).toBe(14 * 60);
+    expect(service.localMorningUtc('America/New_York', summer)).toBe(13 * 60);
+    expect(service.localMorningUtc('Asia/Kolkata', winter)).toBe(3 * 60 + 30);
+    expect(service.localMorningUtc('Pacific/Auckland', winter)).toBe(20 * 60);
+    expect(service.localMorningUtc('Not/AZone', winter)).toBe(9 * 60);
+    expect(service.localMorningUtc(undefined, winter)).toBe(9 * 60);
+  });
+
+  test('should schedule everyone within 24 hours, spread across their hour', async () => {
+    const now = new Date('2024-01-15T12:00:00Z');
+    opens({ 'sub-1': { 7: 4 }, 'sub-2': { 15: 3 } });
+
+    const schedule = await service.scheduleRecipients([
+      { email: 'early@example.com', subscriberId: 'sub-1' },
+      { email: 'Later@Example.com', subscriberId: 'sub-2' },
+      { email: 'tokyo@example.com', timezone: 'Asia/Tokyo' }
+    ], now);
+
+    // 07:xx has passed today, so tomorrow
+    const early = schedule.get('early@example.com');
+    expect(early.getUTCHours()).toBe(7);
+    expect(early.getTime() - now.getTime()).toBeGreaterThan(18 * HOUR);
+
+    const later = schedule.get('later@example.com');
+    expect(later.getUTCHours()).toBe(15);
+    expect(later.getTime() - now.getTime()).toBeLessThan(4 * HOUR);
+
+    // 09:00 in Tokyo is 00:00 UTC
+    expect(schedule.get('tokyo@example.com').getUTCHours()).toBe(0);
+
+    for (const sendAt of schedule.values()) {
+      expect(sendAt.getTime()).toBeGreaterThanOrEqual(now.getTime());
+      expect(sendAt.getTime()).toBeLessThan(now.getTime() + 24 * HOUR);
+    }
+  });
+
+  test('should give each address a stable minute within the hour', () => {
+    const now = new Date('2024-01-15T12:00:00Z');
+    const minutes = ['a', 'b', 'c', 'd', 'e', 'f'].map(name => service.nextSendTime(18 * 60, `${name}@example.com`, now));
+
+    expect(new Set(minutes.map(sendAt => sendAt.getUTCMinutes())).size).toBeGreaterThan(1);
+    minutes.forEach(sendAt => expect(sendAt.getUTCHours()).toBe(18));
+    expect(service.nextSendTime(18 * 60, 'a@example.com', now)).toEqual(minutes[0]);
+  });
+});
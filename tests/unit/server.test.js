@@ -0,0 +1,20 @@
+const request = require('supertest');
+
+describe('Server launcher', () => {
+  test('should load the root launcher and export the API app', async () => {
+    const app = require('../../server');
+
+    const response = await request(app).get('/api/health');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toHaveProperty('status', 'healthy');
+  });
+
+  test('should build an app from the package entry point', async () => {
+    const { createApp } = require('../../packages/api');
+
+    const response = await request(createApp()).get('/api/health');
+
+    expect(response.status).toBe(200);
+  });
+});
@@ -0,0 +1,63 @@
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const User = require('../../packages/api/src/models/User');
+const createApp = require('../../packages/api/src/app');
+const createContainer = require('../../packages/api/src/container');
+
+const badCode = Object.assign(new Error('Invalid two-factor code'), { status: 401 });
+
+describe('Session routes', () => {
+  let services;
+  let sessionService;
+  let twoFactorService;
+
+  beforeEach(() => {
+    sessionService = {
+      refresh: jest.fn(async (refreshToken) => ({ token: 'access', refreshToken: `${refreshToken.split('.')[0]}.next`, expiresIn: 900 })),
+      isRevoked: jest.fn().mockResolvedValue(false),
+      touch: jest.fn(),
+      listSessions: jest.fn().mockResolvedValue([])
+    };
+    twoFactorService = { resolveChallenge: jest.fn().mockRejectedValue(badCode) };
+    services = createContainer({ sessionService, twoFactorService });
+  });
+
+  // A new app per request, so only the route limiters count, not the app-wide one
+  const app = () => createApp({ services });
+  const refresh = (refreshToken) => request(app()).post('/api/auth/refresh').send({ refreshToken });
+
+  test('should give each session its own refresh budget and keep two-factor sign-in open', async () => {
+    // Several sessions behind one address, each refreshing routinely
+    for (let session = 1; session <= 10; session++) {
+      for (let attempt = 0; attempt < 3; attempt++) {
+        expect((await refresh(`session${session}.token${attempt}`)).status).toBe(200);
+      }
+    }
+
+    const verify = await request(app())
+      .post('/api/auth/2fa/verify')
+      .send({ challengeToken: 'challenge', code: '123456' });
+    expect(verify.status).toBe(401);
+
+    // A session refreshing far more often than its tokens expire
+    for (let attempt = 3; attempt < 30; attempt++) {
+      await refresh(`session1.token${attempt}`);
+    }
+    expect((await refresh('session1.token30')).status).toBe(429);
+    expect((await refresh('session2.token3')).status).toBe(200);
+  });
+
+  test('should authenticate with the session service the container was given', async () => {
+    const user = await new User({ email: 'ada@piper.test', role: 'user' }).save();
+    const token = jwt.sign({ userId: user._id, sid: 's1' }, process.env.JWT_SECRET);
+    const listSessions = () => request(app()).get('/api/auth/sessions').set('Authorization', `Bearer ${token}`);
+
+    expect((await listSessions()).status).toBe(200);
+
+    sessionService.isRevoked.mockResolvedValue(true);
+    const revoked = await listSessions();
+    expect(revoked.status).toBe(401);
+    expect(revoked.body.code).toBe('SESSION_REVOKED');
+    expect(sessionService.isRevoked).toHaveBeenCalledWith('s1');
+  });
+});
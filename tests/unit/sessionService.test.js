@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../../packages/api/src/models/Session', () => ({
+  create: jest.fn(),
+  findById: jest.fn(),
+  find: jest.fn(),
+  updateOne: jest.fn(),
+  updateMany: jest.fn()
+}));
+
+jest.mock('../../packages/api/src/models/User', () => ({
+  findById: jest.fn()
+}));
+
+// A Redis client whose commands all fail, as when the server goes away
+jest.mock('redis', () => ({
+  createClient: jest.fn(() => new Proxy({ on: jest.fn(), connect: jest.fn().mockResolvedValue() }, {
+    get: (client, name) => client[name] || ((...args) => args.pop()(new Error('Connection is closed.')))
+  }))
+}));
+
+const Session = require('../../packages/api/src/models/Session');
+const User = require('../../packages/api/src/models/User');
+const CacheService = require('../../packages/api/src/services/CacheService');
+const { SessionService, parseDuration, describeDevice } = require('../../packages/api/src/services/SessionService');
+
+const SECRET = 'test-session-secret';
+const NOW = new Date(Date.UTC(2024, 0, 15, 12, 0, 0));
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const createCache = (connected = true) => ({
+  isConnected: connected,
+  denylist: jest.fn().mockResolvedValue(true),
+  isDenylisted: jest.fn().mockResolvedValue(false)
+});
+
+describe('SessionService', () => {
+  let service;
+  let cache;
+  let user;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cache = createCache();
+    service = new SessionService({ tokenSecret: SECRET, hashSalt: 'salt', cacheService: cache });
+    user = { _id: 'u1', email: 'ada@example.com', role: 'user', isActive: true };
+
+    Session.create.mockImplementation(async (doc) => ({ ...doc, rotatedTokenHashes: [], revokedAt: null }));
+    Session.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    Session.updateMany.mockResolvedValue({ modifiedCount: 1 });
+    User.findById.mockReturnValue({ select: () => Promise.resolve(user) });
+  });
+
+  // Start a session and have Session.findById return it as stored
+  const startSession = async () => {
+    const result = await service.createSession(user, { userAgent: 'Mozilla/5.0 (Windows NT 10.0) Firefox/121.0', ipAddress: '203.0.113.7' });
+    const stored = { ...Session.create.mock.calls[0][0], rotatedTokenHashes: [], revokedAt: null };
+    Session.findById.mockResolvedValue(stored);
+    return { ...result, stored };
+  };
+
+  test('should parse durations and name devices', () => {
+    expect(parseDuration('15m')).toBe(900);
+    expect(parseDuration('7d')).toBe(604800);
+    expect(parseDuration(60)).toBe(60);
+    expect(() => parseDuration('soon')).toThrow('Invalid duration');
+
+    expect(describeDevice('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Safari/604.1')).toBe('Safari on iOS');
+    expect(describeDevice('')).toBe('Unknown');
+  });
+
+  test('should start a session with a short-lived access token and a hashed refresh token', async () => {
+    const { token, refreshToken, expiresIn, stored } = await startSession();
+    const decoded = jwt.verify(token, SECRET);
+
+    expect(expiresIn).toBe(900);
+    expect(decoded).toMatchObject({ userId: 'u1', sid: String(stored._id), twoFactorVerified: false });
+    expect(decoded.exp - decoded.iat).toBe(900);
+
+    expect(refreshToken.startsWith(`${stored._id}.`)).toBe(true);
+    expect(stored.refreshTokenHash).toBe(sha256(refreshToken));
+    expect(JSON.stringify(stored)).not.toContain(refreshToken);
+    expect(stored.ipHash).toBe(sha256('salt203.0.113.7'));
+    expect(stored.device.name).toBe('Firefox on Windows');
+  });
+
+  test('should rotate the refresh token on use', async () => {
+    const { refreshToken, stored } = await startSession();
+
+    const result = await service.refresh(refreshToken, {}, NOW);
+
+    expect(result.refreshToken).not.toBe(refreshToken);
+    expect(jwt.verify(result.token, SECRET).sid).toBe(String(stored._id));
+    expect(Session.updateOne).toHaveBeenCalledWith(
+      { _id: stored._id, refreshTokenHash: sha256(refreshToken), revokedAt: null },
+      expect.objectContaining({
+        $set: expect.objectContaining({ refreshTokenHash: sha256(result.refreshToken), lastRefreshedAt: NOW }),
+        $push: { rotatedTokenHashes: { $each: [sha256(refreshToken)], $slice: -50 } }
+      })
+    );
+  });
+
+  test('should revoke the session when a rotated refresh token is reused', async () => {
+    const { refreshToken, stored } = await startSession();
+    stored.refreshTokenHash = sha256('newer-token');
+    stored.rotatedTokenHashes = [sha256(refreshToken)];
+
+    await expect(service.refresh(refreshToken, {}, NOW)).rejects.toMatchObject({ status: 401, code: 'REFRESH_TOKEN_REUSED' });
+
+    expect(Session.updateOne).toHaveBeenCalledWith(
+      { _id: stored._id, revokedAt: null },
+      { $set: { revokedAt: expect.any(Date), revokedReason: 'refresh_token_reuse' } }
+    );
+    expect(cache.denylist).toHaveBeenCalledWith(String(stored._id), 900);
+  });
+
+  test('should treat a lost rotation race as reuse', async () => {
+    const { refreshToken } = await startSession();
+    Session.updateOne.mockResolvedValueOnce({ modifiedCount: 0 });
+
+    await expect(service.refresh(refreshToken, {}, NOW)).rejects.toMatchObject({ code: 'REFRESH_TOKEN_REUSED' });
+    expect(Session.updateOne.mock.calls[1][1].$set.revokedReason).toBe('refresh_token_reuse');
+  });
+
+  test('should refuse unknown, idle and expired sessions', async () => {
+    await expect(service.refresh('not-a-token')).rejects.toMatchObject({ code: 'INVALID_REFRESH_TOKEN' });
+
+    const { refreshToken, stored } = await startSession();
+    await expect(service.refresh(`${stored._id}.guessed`, {}, NOW)).rejects.toMatchObject({ code: 'INVALID_REFRESH_TOKEN' });
+
+    stored.lastRefreshedAt = new Date(NOW.getTime() - 8 * 24 * 60 * 60 * 1000);
+    await expect(service.refresh(refreshToken, {}, NOW)).rejects.toMatchObject({ code: 'SESSION_EXPIRED' });
+
+    stored.lastRefreshedAt = NOW;
+    stored.revokedAt = NOW;
+    await expect(service.refresh(refreshToken, {}, NOW)).rejects.toMatchObject({ code: 'SESSION_REVOKED' });
+  });
+
+  test('should check the denylist, or the session record when the cache is down', async () => {
+    cache.isDenylisted.mockResolvedValueOnce(true);
+    await expect(service.isRevoked('s1')).resolves.toBe(true);
+    expect(Session.findById).not.toHaveBeenCalled();
+
+    cache.isConnected = false;
+    Session.findById.mockReturnValue({ select: () => ({ lean: () => Promise.resolve({ revokedAt: NOW }) }) });
+    await expect(service.isRevoked('s1')).resolves.toBe(true);
+    expect(cache.isDenylisted).toHaveBeenCalledTimes(1);
+  });
+
+  test('should not treat a session as live when the denylist lookup fails', async () => {
+    const redisCache = new CacheService();
+    redisCache.isConnected = true;
+    service = new SessionService({ tokenSecret: SECRET, hashSalt: 'salt', cacheService: redisCache });
+
+    await expect(redisCache.isDenylisted('s1')).resolves.toBeNull();
+
+    Session.findById.mockReturnValue({ select: () => ({ lean: () => Promise.resolve({ revokedAt: NOW }) }) });
+    await expect(service.isRevoked('s1')).resolves.toBe(true);
+
+    Session.findById.mockReturnValue({ select: () => ({ lean: () => Promise.resolve(null) }) });
+    await expect(service.isRevoked('s1')).resolves.toBe(true);
+
+    Session.findById.mockReturnValue({ select: () => ({ lean: () => Promise.resolve({ revokedAt: null }) }) });
+    await expect(service.isRevoked('s1')).resolves.toBe(false);
+  });
+
+  test('should keep checking the session record until a failed denylist write is retried', async () => {
+    cache.denylist.mockResolvedValueOnce(false);
+    await expect(service.revokeSession('s1', 'revoked')).resolves.toBe(true);
+    const revokedAt = Date.now();
+    Session.findById.mockReturnValue({ select: () => ({ lean: () => Promise.resolve({ revokedAt: NOW }) }) });
+
+    // Redis is back but the key never made it, so the denylist would say "not revoked"
+    cache.denylist.mockResolvedValueOnce(false);
+    await expect(service.isRevoked('s1', revokedAt)).resolves.toBe(true);
+    await expect(service.isRevoked('s1', revokedAt + 1000)).resolves.toBe(true);
+    expect(cache.isDenylisted).not.toHaveBeenCalled();
+    expect(Session.findById).toHaveBeenCalledTimes(2);
+    expect(cache.denylist).toHaveBeenCalledTimes(2);
+
+    // The retry keeps the original expiry
+    cache.isDenylisted.mockResolvedValueOnce(true);
+    await expect(service.isRevoked('s1', revokedAt + 6000)).resolves.toBe(true);
+    expect(cache.denylist).toHaveBeenLastCalledWith('s1', 894);
+    expect(cache.isDenylisted).toHaveBeenCalledWith('s1');
+    expect(Session.findById).toHaveBeenCalledTimes(2);
+  });
+
+  test('should only let users revoke their own sessions', async () => {
+    Session.updateOne.mockResolvedValueOnce({ modifiedCount: 0 });
+
+    await expect(service.revokeSession('s2', 'revoked', { userId: 'u1' })).resolves.toBe(false);
+    expect(Session.updateOne).toHaveBeenCalledWith(
+      { _id: 's2', revokedAt: null, userId: 'u1' },
+      { $set: { revokedAt: expect.any(Date), revokedReason: 'revoked' } }
+    );
+    expect(cache.denylist).not.toHaveBeenCalled();
+  });
+
+  test('should log out everywhere', async () => {
+    Session.find.mockReturnValue({ select: () => ({ lean: () => Promise.resolve([{ _id: 's1' }, { _id: 's2' }]) }) });
+
+    await expect(service.revokeAllSessions('u1')).resolves.toBe(2);
+
+    expect(Session.find).toHaveBeenCalledWith({ userId: 'u1', revokedAt: null });
+    expect(Session.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: ['s1', 's2'] }, revokedAt: null },
+      { $set: { revokedAt: expect.any(Date), revokedReason: 'logout_all' } }
+    );
+    expect(cache.denylist.mock.calls).toEqual([['s1', 900], ['s2', 900]]);
+  });
+});
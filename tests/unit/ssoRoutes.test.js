@@ -0,0 +1,103 @@
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const User = require('../../packages/api/src/models/User');
+const SessionService = require('../../packages/api/src/services/SessionService');
+const TwoFactorService = require('../../packages/api/src/services/TwoFactorService');
+const createApp = require('../../packages/api/src/app');
+const createContainer = require('../../packages/api/src/container');
+
+describe('SSO routes', () => {
+  let app;
+  let ssoService;
+  let twoFactorService;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    const sessionService = new SessionService();
+    jest.spyOn(sessionService, 'isRevoked').mockResolvedValue(false);
+    twoFactorService = new TwoFactorService();
+    ssoService = {
+      requestTtlMs: 10 * 60 * 1000,
+      listConnections: jest.fn().mockResolvedValue([]),
+      beginLogin: jest.fn(),
+      completeOidc: jest.fn().mockResolvedValue('handoff'),
+      completeSaml: jest.fn().mockResolvedValue('handoff'),
+      completionUrl: jest.fn(({ code, error }) => `https://app.piper.test/sso/complete?${code ? `code=${code}` : `error=${error}`}`)
+    };
+    app = createApp({ services: createContainer({ ssoService, sessionService, twoFactorService }) });
+  });
+
+  test('should hold connection routes to the two-factor policy for admins', async () => {
+    const admin = await new User({ email: 'admin@piper.test', role: 'admin' }).save();
+    const token = jwt.sign({ userId: admin._id, sid: 's1' }, process.env.JWT_SECRET);
+    const listConnections = () => request(app).get('/api/auth/sso/connections').set('Authorization', `Bearer ${token}`);
+
+    jest.spyOn(twoFactorService, 'getRequiredRoles').mockResolvedValue(['admin']);
+    const enrollFirst = await listConnections();
+    expect(enrollFirst.status).toBe(403);
+    expect(enrollFirst.body.code).toBe('2FA_ENROLLMENT_REQUIRED');
+    expect(ssoService.listConnections).not.toHaveBeenCalled();
+
+    twoFactorService.getRequiredRoles.mockResolvedValue([]);
+    const allowed = await listConnections();
+    expect(allowed.status).toBe(200);
+  });
+
+  test('should keep the login state in a cookie the provider\'s answer can bring back', async () => {
+    const CONNECTION_ID = '64b7f0c2a1b2c3d4e5f60740';
+    ssoService.beginLogin.mockResolvedValueOnce({ redirectUrl: 'https://idp.acme.example/authorize?state=s1', state: 's1', protocol: 'oidc' });
+
+    const oidc = await request(app).get(`/api/auth/sso/${CONNECTION_ID}/login`);
+
+    expect(oidc.status).toBe(302);
+    expect(oidc.headers.location).toBe('https://idp.acme.example/authorize?state=s1');
+    const [oidcCookie] = oidc.headers['set-cookie'];
+    expect(oidcCookie).toMatch(/^sso_state=s1; Max-Age=600; Path=\/api\/auth\/sso; Expires=[^;]+; HttpOnly; SameSite=Lax$/);
+
+    // Posted cross-site by the IdP, so it has to be SameSite=None
+    ssoService.beginLogin.mockResolvedValueOnce({ redirectUrl: 'https://idp.acme.example/sso?RelayState=s2', state: 's2', protocol: 'saml' });
+    const saml = await request(app).get(`/api/auth/sso/${CONNECTION_ID}/login`);
+    const [samlCookie] = saml.headers['set-cookie'];
+    expect(samlCookie).toMatch(/^sso_state=s2; .*HttpOnly; Secure; SameSite=None$/);
+  });
+
+  test('should start a link sign-in for the signed-in account only', async () => {
+    const CONNECTION_ID = '64b7f0c2a1b2c3d4e5f60740';
+    const moderator = await new User({ email: 'editor@piper.test', role: 'moderator' }).save();
+    const token = jwt.sign({ userId: moderator._id, sid: 's1' }, process.env.JWT_SECRET);
+    jest.spyOn(twoFactorService, 'getRequiredRoles').mockResolvedValue([]);
+    ssoService.beginLogin.mockResolvedValueOnce({ redirectUrl: 'https://idp.acme.example/authorize?state=s3', state: 's3', protocol: 'oidc' });
+
+    expect((await request(app).post(`/api/auth/sso/${CONNECTION_ID}/link`)).status).toBe(401);
+
+    const link = await request(app).post(`/api/auth/sso/${CONNECTION_ID}/link`).set('Authorization', `Bearer ${token}`);
+
+    expect(link.status).toBe(200);
+    expect(link.body).toEqual({ redirectUrl: 'https://idp.acme.example/authorize?state=s3' });
+    expect(link.headers['set-cookie'][0]).toMatch(/^sso_state=s3;/);
+    expect(ssoService.beginLogin).toHaveBeenCalledWith(CONNECTION_ID, { linkUserId: moderator._id });
+  });
+
+  test('should hand the browser\'s login state to the OIDC callback and SAML ACS', async () => {
+    const callback = await request(app)
+      .get('/api/auth/sso/oidc/callback?code=c1&state=s1')
+      .set('Cookie', 'theme=dark; sso_state=s1');
+
+    expect(callback.status).toBe(303);
+    expect(callback.headers.location).toBe('https://app.piper.test/sso/complete?code=handoff');
+    expect(ssoService.completeOidc).toHaveBeenCalledWith({ code: 'c1', state: 's1', browserState: 's1' });
+    expect(callback.headers['set-cookie'][0]).toMatch(/^sso_state=; Path=\/api\/auth\/sso; Expires=Thu, 01 Jan 1970/);
+
+    await request(app).get('/api/auth/sso/oidc/callback?code=c1&state=s1');
+    expect(ssoService.completeOidc).toHaveBeenLastCalledWith({ code: 'c1', state: 's1', browserState: null });
+
+    const acs = await request(app)
+      .post('/api/auth/sso/saml/acs')
+      .set('Cookie', 'sso_state=s2')
+      .type('form')
+      .send({ SAMLResponse: 'response', RelayState: 's2' });
+
+    expect(acs.status).toBe(303);
+    expect(ssoService.completeSaml).toHaveBeenCalledWith({ SAMLResponse: 'response', RelayState: 's2', browserState: 's2' });
+  });
+});
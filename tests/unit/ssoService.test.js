@@ -0,0 +1,360 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../../packages/api/src/models/User', () => {
+  const User = jest.fn(function(doc) {
+    Object.assign(this, { _id: 'new-user', role: 'user' }, doc);
+    this.save = jest.fn().mockResolvedValue(this);
+  });
+  User.findOne = jest.fn();
+  User.findById = jest.fn();
+  return User;
+});
+
+jest.mock('../../packages/api/src/models/SsoConnection', () => {
+  const SsoConnection = jest.fn(function(doc) {
+    Object.assign(this, { _id: 'conn1', oidc: {}, saml: {} }, doc);
+    this.save = jest.fn().mockResolvedValue(this);
+  });
+  SsoConnection.findById = jest.fn();
+  SsoConnection.findOne = jest.fn();
+  SsoConnection.SSO_PROTOCOLS = ['oidc', 'saml'];
+  SsoConnection.SSO_ROLES = ['user', 'moderator'];
+  return SsoConnection;
+});
+
+jest.mock('../../packages/api/src/models/SsoRequest', () => ({
+  create: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+  findOneAndDelete: jest.fn()
+}));
+
+const User = require('../../packages/api/src/models/User');
+const SsoConnection = require('../../packages/api/src/models/SsoConnection');
+const SsoRequest = require('../../packages/api/src/models/SsoRequest');
+const Subscription = require('../../packages/api/src/models/Subscription');
+const SsoService = require('../../packages/api/src/services/SsoService');
+
+const ISSUER = 'https://idp.acme.example';
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Mock OpenID provider: discovery, JWKS and a token endpoint that checks
+ * the client secret and the PKCE verifier
+ */
+function createMockProvider() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const grants = new Map();
+  const json = (body, status = 200) => ({ ok: status < 400, status, json: async () => body });
+
+  const provider = {
+    claims: {},
+    signingKey: privateKey,
+    tokenRequests: [],
+
+    // The user signing in at the authorization endpoint
+    authorize(authorizationUrl) {
+      const params = new URL(authorizationUrl).searchParams;
+      const code = crypto.randomBytes(8).toString('hex');
+      grants.set(code, Object.fromEntries(params));
+      return { code, state: params.get('state') };
+    },
+
+    fetch: jest.fn(async (url, init = {}) => {
+      if (url === `${ISSUER}/.well-known/openid-configuration`) {
+        return json({
+          issuer: ISSUER,
+          authorization_endpoint: `${ISSUER}/authorize`,
+          token_endpoint: `${ISSUER}/token`,
+          jwks_uri: `${ISSUER}/jwks`,
+          code_challenge_methods_supported: ['S256']
+        });
+      }
+      if (url === `${ISSUER}/jwks`) {
+        return json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig', alg: 'RS256' }] });
+      }
+      if (url === `${ISSUER}/token`) {
+        const form = new URLSearchParams(init.body);
+        provider.tokenRequests.push({ form, authorization: init.headers.Authorization });
+        const grant = grants.get(form.get('code'));
+        grants.delete(form.get('code'));
+        const challenge = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+        if (!grant || challenge !== grant.code_challenge || form.get('redirect_uri') !== grant.redirect_uri ||
+          init.headers.Authorization !== `Basic ${Buffer.from('piper:client-secret').toString('base64')}`) {
+          return json({ error: 'invalid_grant' }, 400);
+        }
+        const idToken = jwt.sign({
+          iss: ISSUER,
+          aud: grant.client_id,
+          sub: 'idp-user-1',
+          nonce: grant.nonce,
+          email: 'ada@acme.example',
+          email_verified: true,
+          given_name: 'Ada',
+          family_name: 'Lovelace',
+          groups: ['Engineering', 'Editors'],
+          ...provider.claims
+        }, provider.signingKey, { algorithm: 'RS256', keyid: 'key-1', expiresIn: '5m' });
+        return json({ access_token: 'at', token_type: 'Bearer', id_token: idToken });
+      }
+      return json({}, 404);
+    })
+  };
+  return provider;
+}
+
+describe('SsoService', () => {
+  let service;
+  let provider;
+  let sessionService;
+  let twoFactorService;
+  let requests;
+  let connection;
+  let resolveTxt;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    provider = createMockProvider();
+    sessionService = { createSession: jest.fn().mockResolvedValue({ token: 'access', refreshToken: 'refresh', expiresIn: 900 }) };
+    twoFactorService = { createChallenge: jest.fn().mockReturnValue('challenge') };
+    resolveTxt = jest.fn();
+    service = new SsoService({
+      fetch: provider.fetch,
+      resolveTxt,
+      sessionService,
+      twoFactorService,
+      apiUrl: 'https://api.example.com',
+      frontendUrl: 'https://app.example.com',
+      encryptionKey: 'test-key'
+    });
+
+    // Sign-in requests kept in memory, with the same single-use updates as the database
+    requests = [];
+    SsoRequest.create.mockImplementation(async (doc) => requests.push({ _id: requests.length, completedAt: null, ...doc }));
+    SsoRequest.findOneAndUpdate.mockImplementation(async (filter, update) => {
+      const request = requests.find(r => r.stateHash === filter.stateHash && r.protocol === filter.protocol && !r.completedAt);
+      return request ? Object.assign(request, update.$set) : null;
+    });
+    SsoRequest.updateOne.mockImplementation(async ({ _id }, update) => Object.assign(requests[_id], update.$set));
+    SsoRequest.findOneAndDelete.mockImplementation(async (filter) => {
+      const index = requests.findIndex(r => r.handoffHash === filter.handoffHash);
+      return index === -1 ? null : requests.splice(index, 1)[0];
+    });
+    jest.spyOn(Subscription, 'findOne').mockResolvedValue({ plan: 'enterprise', status: 'active' });
+
+    connection = {
+      _id: 'conn1',
+      protocol: 'oidc',
+      ownerId: 'owner1',
+      enabled: true,
+      domains: ['acme.example'],
+      jitProvisioning: true,
+      defaultRole: 'user',
+      roleMapping: [{ group: 'Editors', role: 'moderator' }],
+      oidc: {
+        issuer: ISSUER,
+        clientId: 'piper',
+        clientSecret: service.encryptSecret('client-secret'),
+        metadata: await service.oidcClient.discover(ISSUER)
+      }
+    };
+    SsoConnection.findById.mockResolvedValue(connection);
+  });
+
+  test('should only set up connections for enterprise accounts, from the discovery document', async () => {
+    const data = {
+      name: 'Acme',
+      protocol: 'oidc',
+      ownerId: 'owner1',
+      domains: ['Acme.Example'],
+      oidc: { issuer: ISSUER, clientId: 'piper', clientSecret: 'client-secret' }
+    };
+
+    Subscription.findOne.mockResolvedValueOnce(null);
+    await expect(service.createConnection(data, { _id: 'admin1' })).rejects.toMatchObject({ status: 403, code: 'SSO_PLAN_REQUIRED' });
+
+    const created = await service.createConnection(data, { _id: 'admin1' });
+    expect(Subscription.findOne).toHaveBeenCalledWith({ userId: 'owner1', plan: 'enterprise', status: 'active' });
+    expect(created.domains).toEqual([]);
+    expect(created.pendingDomains).toEqual(['acme.example']);
+    expect(created.oidc.metadata).toMatchObject({ tokenEndpoint: `${ISSUER}/token`, jwksUri: `${ISSUER}/jwks` });
+    expect(created.oidc.clientSecret).not.toContain('client-secret');
+    expect(service.decryptSecret(created.oidc.clientSecret)).toBe('client-secret');
+  });
+
+  test('should only claim domains whose TXT record carries the verification value', async () => {
+    Object.assign(connection, {
+      domains: ['acme.example'],
+      pendingDomains: ['acme.test', 'victim.example', 'offline.example'],
+      domainVerificationToken: 'token-1',
+      save: jest.fn().mockResolvedValue(connection)
+    });
+    const dnsError = (code) => Object.assign(new Error(code), { code });
+    resolveTxt.mockImplementation(async (domain) => {
+      if (domain === 'acme.test') {
+        return [['v=spf1 -all'], ['piper-sso-verification=', 'token-1']];
+      }
+      if (domain === 'victim.example') {
+        return [['piper-sso-verification=token-2']];
+      }
+      throw dnsError('ENODATA');
+    });
+
+    await service.verifyDomains('conn1');
+
+    expect(connection.domains).toEqual(['acme.example', 'acme.test']);
+    expect(connection.pendingDomains).toEqual(['victim.example', 'offline.example']);
+    expect(connection.save).toHaveBeenCalledTimes(1);
+
+    // Unverified domains cannot be used to sign in
+    await expect(service.provisionUser(connection, { subject: 's1', email: 'eve@victim.example', groups: [] }))
+      .rejects.toMatchObject({ code: 'SSO_DOMAIN_NOT_ALLOWED' });
+
+    resolveTxt.mockRejectedValue(dnsError('ETIMEOUT'));
+    await expect(service.verifyDomains('conn1')).rejects.toMatchObject({ status: 502, code: 'SSO_DNS_ERROR' });
+  });
+
+  test('should keep verified domains and hold new ones back when domains change', async () => {
+    Object.assign(connection, { pendingDomains: [], save: jest.fn().mockResolvedValue(connection) });
+
+    await service.updateConnection('conn1', { domains: ['acme.example', 'acme.test'] });
+
+    expect(connection.domains).toEqual(['acme.example']);
+    expect(connection.pendingDomains).toEqual(['acme.test']);
+  });
+
+  test('should sign in through OIDC with PKCE, provision the user and hand off a single-use code', async () => {
+    User.findOne.mockResolvedValue(null);
+
+    const { redirectUrl, state: browserState, protocol } = await service.beginLogin('conn1');
+    const params = new URL(redirectUrl).searchParams;
+    expect(protocol).toBe('oidc');
+    expect(params.get('code_challenge_method')).toBe('S256');
+    expect(params.get('redirect_uri')).toBe('https://api.example.com/api/auth/sso/oidc/callback');
+    expect(params.get('state')).toBe(browserState);
+    // Only hashes of the state reach the database
+    expect(requests[0].stateHash).toBe(sha256(params.get('state')));
+
+    const { code, state } = provider.authorize(redirectUrl);
+    const handoff = await service.completeOidc({ code, state, browserState });
+    expect(provider.tokenRequests[0].form.get('code_verifier')).toBe(requests[0].codeVerifier);
+
+    const user = User.mock.instances[0];
+    expect(user).toMatchObject({
+      email: 'ada@acme.example',
+      firstName: 'Ada',
+      lastName: 'Lovelace',
+      role: 'moderator',
+      emailVerified: true,
+      ssoConnectionId: 'conn1',
+      ssoSubject: 'idp-user-1'
+    });
+    expect(user.save).toHaveBeenCalled();
+
+    User.findById.mockResolvedValue(user);
+    await expect(service.redeemHandoff(handoff, { ipAddress: '127.0.0.1' })).resolves.toMatchObject({ token: 'access', refreshToken: 'refresh' });
+    expect(sessionService.createSession).toHaveBeenCalledWith(user, { ipAddress: '127.0.0.1' });
+
+    await expect(service.redeemHandoff(handoff, {})).rejects.toMatchObject({ code: 'INVALID_SSO_CODE' });
+    await expect(service.completeOidc({ code, state, browserState })).rejects.toMatchObject({ code: 'INVALID_SSO_STATE' });
+  });
+
+  test('should only finish a sign-in in the browser that started it', async () => {
+    User.findOne.mockResolvedValue(null);
+    const { redirectUrl, state: browserState } = await service.beginLogin('conn1');
+    // A callback URL sent to a browser without the login's cookie, or with another login's
+    const { code, state } = provider.authorize(redirectUrl);
+
+    await expect(service.completeOidc({ code, state })).rejects.toMatchObject({ code: 'SSO_STATE_MISMATCH' });
+    await expect(service.completeOidc({ code, state, browserState: 'victim-state' })).rejects.toMatchObject({ code: 'SSO_STATE_MISMATCH' });
+    expect(requests[0].completedAt).toBeNull();
+    expect(provider.tokenRequests).toHaveLength(0);
+
+    await expect(service.completeOidc({ code, state, browserState })).resolves.toEqual(expect.any(String));
+  });
+
+  test('should reject ID tokens with the wrong nonce, audience or signing key', async () => {
+    const signIn = async (claims, signingKey) => {
+      provider.claims = claims;
+      if (signingKey) {
+        provider.signingKey = signingKey;
+      }
+      const { redirectUrl, state } = await service.beginLogin('conn1');
+      return service.completeOidc({ ...provider.authorize(redirectUrl), browserState: state });
+    };
+
+    await expect(signIn({ nonce: 'replayed-nonce' })).rejects.toMatchObject({ code: 'INVALID_ID_TOKEN' });
+    await expect(signIn({ aud: 'another-client' })).rejects.toMatchObject({ code: 'INVALID_ID_TOKEN' });
+    await expect(signIn({ email_verified: false })).rejects.toMatchObject({ code: 'SSO_EMAIL_NOT_VERIFIED' });
+    await expect(signIn({}, crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey))
+      .rejects.toMatchObject({ code: 'INVALID_ID_TOKEN' });
+    expect(User.findOne).not.toHaveBeenCalled();
+  });
+
+  test('should sign in through SAML with the NameID as the address when there is no email attribute', async () => {
+    connection.protocol = 'saml';
+    connection.saml = { entityId: 'https://idp.acme.example/metadata', ssoUrl: 'https://idp.acme.example/sso', certificates: ['cert'] };
+    service.samlProvider = {
+      authorizationUrl: jest.fn().mockReturnValue('https://idp.acme.example/sso?SAMLRequest=x'),
+      validateResponse: jest.fn().mockReturnValue({ nameId: 'grace@acme.example', attributes: { groups: ['Engineering'] } })
+    };
+    User.findOne.mockResolvedValue(null);
+
+    const { state, protocol } = await service.beginLogin('conn1');
+    const { requestId, relayState } = service.samlProvider.authorizationUrl.mock.calls[0][1];
+    expect(protocol).toBe('saml');
+    expect(relayState).toBe(state);
+
+    await expect(service.completeSaml({ SAMLResponse: 'response', RelayState: relayState, browserState: 'another-browser' }))
+      .rejects.toMatchObject({ code: 'SSO_STATE_MISMATCH' });
+    expect(service.samlProvider.validateResponse).not.toHaveBeenCalled();
+
+    await service.completeSaml({ SAMLResponse: 'response', RelayState: relayState, browserState: state });
+
+    expect(service.samlProvider.validateResponse).toHaveBeenCalledWith('response', connection.saml, requestId, expect.any(Date));
+    expect(User.mock.instances[0]).toMatchObject({ email: 'grace@acme.example', ssoSubject: 'grace@acme.example', role: 'user' });
+  });
+
+  test('should keep sign-ins to the connection domains and leave admin roles alone', async () => {
+    const profile = { subject: 'idp-user-2', email: 'mallory@elsewhere.example', groups: [] };
+    await expect(service.provisionUser(connection, profile)).rejects.toMatchObject({ status: 403, code: 'SSO_DOMAIN_NOT_ALLOWED' });
+
+    // Privileged accounts are not linked by address alone
+    const admin = { _id: 'a1', email: 'root@acme.example', role: 'admin', emailVerified: true, save: jest.fn() };
+    User.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(admin);
+    await expect(service.provisionUser(connection, { ...profile, email: 'root@acme.example' }))
+      .rejects.toMatchObject({ status: 403, code: 'SSO_LINK_CONFIRMATION_REQUIRED' });
+    expect(admin.save).not.toHaveBeenCalled();
+
+    const moderator = { _id: 'm1', email: 'editor@acme.example', role: 'moderator', save: jest.fn() };
+    User.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(moderator);
+    await expect(service.provisionUser(connection, { ...profile, email: 'editor@acme.example' }))
+      .rejects.toMatchObject({ code: 'SSO_LINK_CONFIRMATION_REQUIRED' });
+
+    // A link the admin started themselves goes through, and only to them
+    User.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce({ _id: 'u1', email: 'ada@acme.example', role: 'user', save: jest.fn() });
+    await expect(service.provisionUser(connection, { ...profile, email: 'ada@acme.example' }, { linkUserId: 'a1' }))
+      .rejects.toMatchObject({ code: 'SSO_LINK_MISMATCH' });
+
+    User.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(admin);
+    await service.provisionUser(connection, { ...profile, email: 'root@acme.example' }, { linkUserId: 'a1' });
+    expect(admin).toMatchObject({ role: 'admin', ssoConnectionId: 'conn1', ssoSubject: 'idp-user-2' });
+
+    // Already linked to a different identity
+    User.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce({ ...admin, ssoConnectionId: 'conn2', ssoSubject: 'other' });
+    await expect(service.provisionUser(connection, { ...profile, email: 'root@acme.example' })).rejects.toMatchObject({ status: 409 });
+
+    User.findOne.mockResolvedValue(null);
+    await expect(service.provisionUser({ ...connection, jitProvisioning: false }, { ...profile, email: 'new@acme.example' }))
+      .rejects.toMatchObject({ code: 'SSO_ACCOUNT_NOT_FOUND' });
+  });
+
+  test('should ask users with two-factor on for their second factor', async () => {
+    requests.push({ _id: 0, handoffHash: sha256('handoff'), userId: 'u1' });
+    User.findById.mockResolvedValue({ _id: 'u1', isActive: true, twoFactorEnabled: true });
+
+    await expect(service.redeemHandoff('handoff', {})).resolves.toMatchObject({ twoFactorRequired: true, challengeToken: 'challenge' });
+    expect(sessionService.createSession).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,47 @@
+const request = require('supertest');
+const createApp = require('../../packages/api/src/app');
+const createContainer = require('../../packages/api/src/container');
+
+const AUDIENCE_ID = '64b7f0c2a1b2c3d4e5f60718';
+
+describe('Subscription routes', () => {
+  let app;
+  let doubleOptInService;
+
+  beforeEach(() => {
+    doubleOptInService = {
+      signup: jest.fn().mockResolvedValue(),
+      confirm: jest.fn(),
+      resend: jest.fn().mockResolvedValue()
+    };
+    app = createApp({ services: createContainer({ doubleOptInService }) });
+  });
+
+  test('should accept a signup without an access token', async () => {
+    const response = await request(app)
+      .post('/api/subscriptions/signup')
+      .send({
+        audienceId: AUDIENCE_ID,
+        email: 'Reader@Example.com',
+        preferences: { topics: ['AI'] },
+        consents: { gdpr: true },
+        formVersion: '2024-01'
+      });
+
+    expect(response.status).toBe(202);
+    expect(doubleOptInService.signup).toHaveBeenCalledWith(
+      AUDIENCE_ID,
+      expect.objectContaining({ email: 'reader@example.com', tags: ['ai'], formVersion: '2024-01' }),
+      expect.objectContaining({ ipAddress: expect.any(String) })
+    );
+  });
+
+  test('should keep billing subscriptions behind authentication', async () => {
+    const response = await request(app)
+      .post('/api/subscriptions')
+      .send({ plan: 'basic', paymentMethod: 'pm_123' });
+
+    expect(response.status).toBe(401);
+    expect(doubleOptInService.signup).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,169 @@
+const jwt = require('jsonwebtoken');
+
+jest.mock('../../packages/api/src/models/User', () => ({
+  updateOne: jest.fn(),
+  findById: jest.fn()
+}));
+
+jest.mock('../../packages/api/src/models/SecurityPolicy', () => ({
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+
+const User = require('../../packages/api/src/models/User');
+const SecurityPolicy = require('../../packages/api/src/models/SecurityPolicy');
+const { TwoFactorService, SESSION_REQUIREMENTS, base32Encode, base32Decode, hotp } = require('../../packages/api/src/services/TwoFactorService');
+
+const SECRET = 'test-two-factor-secret';
+const NOW = Date.UTC(2024, 0, 15, 12, 0, 0);
+
+const policy = (roles) => {
+  SecurityPolicy.findOne.mockReturnValue({ lean: () => Promise.resolve(roles ? { twoFactorRequiredRoles: roles } : null) });
+};
+
+describe('TwoFactorService', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new TwoFactorService({ tokenSecret: SECRET, policyCacheMs: 0 });
+    User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    policy(null);
+  });
+
+  // Enrol a user and return them with the stored fields applied
+  const enrolledUser = async (overrides = {}) => {
+    const user = { _id: 'u1', email: 'ada@example.com', role: 'admin', twoFactorEnabled: false, ...overrides };
+    const { secret } = await service.beginEnrollment(user);
+    user.twoFactorPendingSecret = User.updateOne.mock.calls[0][1].$set.twoFactorPendingSecret;
+
+    const { recoveryCodes } = await service.confirmEnrollment(user, service.generateCode(secret, NOW), NOW);
+    Object.assign(user, User.updateOne.mock.calls[1][1].$set, {
+      incLoginAttempts: jest.fn().mockResolvedValue({})
+    });
+    User.updateOne.mockClear();
+
+    return { user, secret, recoveryCodes };
+  };
+
+  test('should generate the RFC 6238 SHA-1 test vectors', () => {
+    const key = Buffer.from('12345678901234567890');
+
+    expect(hotp(key, Math.floor(59 / 30), 8)).toBe('94287082');
+    expect(hotp(key, Math.floor(1111111109 / 30), 8)).toBe('07081804');
+    expect(hotp(key, Math.floor(1234567890 / 30), 8)).toBe('89005924');
+    expect(base32Decode(base32Encode(key))).toEqual(key);
+    expect(base32Encode(key)).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  });
+
+  test('should enrol with an otpauth URI, an encrypted secret and hashed recovery codes', async () => {
+    const user = { _id: 'u1', email: 'ada@example.com', role: 'user', twoFactorEnabled: false };
+    const { secret, otpauthUrl } = await service.beginEnrollment(user);
+
+    expect(otpauthUrl).toBe(`otpauth://totp/Piper%20Newsletter:ada%40example.com?secret=${secret}` +
+      '&issuer=Piper+Newsletter&algorithm=SHA1&digits=6&period=30');
+
+    const stored = User.updateOne.mock.calls[0][1].$set.twoFactorPendingSecret;
+    expect(stored).not.toContain(secret);
+    expect(service.decryptSecret(stored)).toBe(secret);
+
+    user.twoFactorPendingSecret = stored;
+    await expect(service.confirmEnrollment(user, '000000', NOW)).rejects.toMatchObject({ status: 400 });
+
+    const { recoveryCodes } = await service.confirmEnrollment(user, service.generateCode(secret, NOW), NOW);
+    const update = User.updateOne.mock.calls[1][1].$set;
+
+    expect(recoveryCodes).toHaveLength(10);
+    expect(recoveryCodes[0]).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+    expect(update).toMatchObject({ twoFactorEnabled: true, twoFactorSecret: stored, twoFactorPendingSecret: null });
+    expect(update.twoFactorRecoveryCodes[0]).toEqual({ hash: service.hashRecoveryCode(recoveryCodes[0]), usedAt: null });
+    expect(JSON.stringify(update)).not.toContain(recoveryCodes[0]);
+  });
+
+  test('should accept a code within the drift window only once', async () => {
+    const { user, secret } = await enrolledUser();
+    const lastStep = user.twoFactorLastStep;
+    const code = service.generateCode(secret, NOW + 60 * 1000);
+
+    await expect(service.verifyCode(user, code, NOW + 90 * 1000)).resolves.toMatchObject({ method: 'totp' });
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: 'u1', $or: [{ twoFactorLastStep: null }, { twoFactorLastStep: { $lt: lastStep + 2 } }] },
+      { $set: { twoFactorLastStep: lastStep + 2 } }
+    );
+
+    // The database refuses the step once it has been used
+    User.updateOne.mockResolvedValueOnce({ modifiedCount: 0 });
+    await expect(service.verifyCode(user, code, NOW + 90 * 1000)).rejects.toMatchObject({ status: 401 });
+    expect(user.incLoginAttempts).toHaveBeenCalledTimes(1);
+
+    await expect(service.verifyCode(user, service.generateCode(secret, NOW + 5 * 60 * 1000), NOW))
+      .rejects.toMatchObject({ status: 401 });
+  });
+
+  test('should accept each recovery code once', async () => {
+    const { user, recoveryCodes } = await enrolledUser();
+    const hash = service.hashRecoveryCode(recoveryCodes[3]);
+
+    const result = await service.verifyCode(user, recoveryCodes[3].toUpperCase(), NOW);
+
+    expect(result).toEqual({ method: 'recovery_code', recoveryCodesRemaining: 9 });
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: 'u1', twoFactorRecoveryCodes: { $elemMatch: { hash, usedAt: null } } },
+      { $set: { 'twoFactorRecoveryCodes.$.usedAt': new Date(NOW) } }
+    );
+
+    User.updateOne.mockResolvedValueOnce({ modifiedCount: 0 });
+    await expect(service.verifyCode(user, recoveryCodes[3], NOW)).rejects.toMatchObject({ status: 401 });
+  });
+
+  test('should refuse codes while the account is locked', async () => {
+    const { user, secret } = await enrolledUser({ lockUntil: new Date(NOW + 60 * 1000) });
+
+    await expect(service.verifyCode(user, service.generateCode(secret, NOW), NOW)).rejects.toMatchObject({ status: 423 });
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('should only resolve login challenges, not access tokens', async () => {
+    const user = { _id: 'u1', twoFactorEnabled: true };
+    User.findById.mockResolvedValue(user);
+
+    await expect(service.resolveChallenge(service.createChallenge(user))).resolves.toBe(user);
+    expect(User.findById).toHaveBeenCalledWith('u1');
+
+    const accessToken = jwt.sign({ userId: 'u1', sub: 'u1' }, SECRET);
+    await expect(service.resolveChallenge(accessToken)).rejects.toMatchObject({ status: 401 });
+  });
+
+  test('should require verification or enrolment per session and role', async () => {
+    policy(['admin']);
+
+    await expect(service.sessionRequirement({ role: 'user', twoFactorEnabled: true }, { twoFactorVerified: false }))
+      .resolves.toBe(SESSION_REQUIREMENTS.VERIFY);
+    await expect(service.sessionRequirement({ role: 'user', twoFactorEnabled: true }, { twoFactorVerified: true }))
+      .resolves.toBeNull();
+    await expect(service.sessionRequirement({ role: 'admin', twoFactorEnabled: false }, {}))
+      .resolves.toBe(SESSION_REQUIREMENTS.ENROLL);
+    await expect(service.sessionRequirement({ role: 'moderator', twoFactorEnabled: false }, {}))
+      .resolves.toBeNull();
+  });
+
+  test('should only let admins with two-factor require it for admin and moderator roles', async () => {
+    const admin = { _id: 'a1', role: 'admin', twoFactorEnabled: false };
+
+    await expect(service.setRequiredRoles(['admin'], admin)).rejects.toMatchObject({ status: 400 });
+    await expect(service.setRequiredRoles(['user'], { ...admin, twoFactorEnabled: true })).rejects.toMatchObject({ status: 400 });
+
+    await expect(service.setRequiredRoles(['admin', 'moderator', 'admin'], { ...admin, twoFactorEnabled: true }))
+      .resolves.toEqual(['admin', 'moderator']);
+    expect(SecurityPolicy.findOneAndUpdate).toHaveBeenCalledWith(
+      { key: 'default' },
+      { $set: { twoFactorRequiredRoles: ['admin', 'moderator'], updatedBy: 'a1' } },
+      { upsert: true, new: true }
+    );
+
+    policy(['moderator']);
+    const { user, secret } = await enrolledUser({ role: 'moderator' });
+    await expect(service.disable(user, service.generateCode(secret, NOW + 60 * 1000), NOW + 60 * 1000))
+      .rejects.toMatchObject({ status: 403 });
+  });
+});